@@ -0,0 +1,89 @@
+/**
+ * Analytics API
+ * HTTP callable functions for reading a company's analytics report and
+ * rebuilding its daily summaries
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { isSuperAdmin, isCompanyAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const { rebuildCompanyRollups } = require('../services/analyticsRollupService');
+const { buildAnalyticsReport } = require('../services/analyticsReportService');
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a company's analytics report for a date range, with groups smaller
+ * than the company's threshold suppressed
+ * Company admins and HR read their own company, super admins any company
+ */
+const getCompanyAnalytics = onCall({ cors: true, memory: '512MiB' }, async (request) => {
+  const { auth, data } = request;
+  const { companyId, startDate, endDate } = data || {};
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!companyId) {
+    throw new HttpsError('invalid-argument', 'Company ID is required');
+  }
+
+  if (!DAY_KEY_PATTERN.test(startDate || '') || !DAY_KEY_PATTERN.test(endDate || '') || startDate > endDate) {
+    throw new HttpsError('invalid-argument', 'A date range of YYYY-MM-DD days is required');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  const userDoc = userId ? await db.collection(COLLECTIONS.USERS).doc(userId).get() : null;
+  const user = userDoc?.exists ? userDoc.data() : {};
+  const role = String(user.role || '').toUpperCase();
+  const isAuthorized = role === 'SUPER_ADMIN'
+    || (user.companyId === companyId && ['COMPANY_ADMIN', 'HR'].includes(role));
+  if (!isAuthorized) {
+    throw new HttpsError('permission-denied', 'User is not authorized to view analytics for this company');
+  }
+
+  try {
+    const report = await buildAnalyticsReport(companyId, startDate, endDate);
+    return { success: true, data: report };
+  } catch (error) {
+    console.error('Error building company analytics:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Rebuild a company's daily analytics summaries now instead of waiting for
+ * the nightly job, e.g. right after the rollups are first deployed
+ * Company admins rebuild their own company, super admins any company
+ */
+const rebuildCompanyAnalytics = onCall({ cors: true, memory: '1GiB', timeoutSeconds: 540 }, async (request) => {
+  const { auth, data } = request;
+  const { companyId } = data || {};
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!companyId) {
+    throw new HttpsError('invalid-argument', 'Company ID is required');
+  }
+
+  const isAuthorized = await isCompanyAdmin(auth.uid, companyId) || await isSuperAdmin(auth.uid);
+  if (!isAuthorized) {
+    throw new HttpsError('permission-denied', 'User is not authorized to manage this company');
+  }
+
+  try {
+    const summary = await rebuildCompanyRollups(companyId);
+    return { success: true, data: summary };
+  } catch (error) {
+    console.error('Error rebuilding company analytics:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getCompanyAnalytics,
+  rebuildCompanyAnalytics,
+};
@@ -0,0 +1,100 @@
+/**
+ * Anonymous Content API
+ * HTTP callable functions for creating anonymous posts, comments and replies.
+ * Clients cannot write anonymous content directly; Firestore rules require it
+ * to go through these functions so the real author is never stored.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { keyEncryptionKey, authorTokenSecret } = require('../config/security');
+const { getUserIdFromAuthSession } = require('../utils/helpers');
+const {
+  createAnonymousPost: createPost,
+  publishAnonymousDraft: publishDraft,
+  createAnonymousComment: createComment,
+  encryptOwnAuthorId,
+} = require('../services/anonymousContentService');
+
+const CALLABLE_OPTIONS = {
+  cors: true,
+  memory: '256MiB',
+  secrets: [keyEncryptionKey, authorTokenSecret],
+};
+
+/**
+ * Resolve the caller's user ID
+ */
+async function getAuthorId(auth) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Auth session not found. Please log in again.');
+  }
+  return userId;
+}
+
+/**
+ * Create an anonymous post, or publish one of the caller's drafts anonymously
+ * when draftId is given
+ */
+const createAnonymousPost = onCall(CALLABLE_OPTIONS, async (request) => {
+  const { auth, data } = request;
+  const userId = await getAuthorId(auth);
+  const { draftId, post } = data || {};
+
+  if (!draftId && !post) {
+    throw new HttpsError('invalid-argument', 'Post data or a draft ID is required');
+  }
+
+  try {
+    const result = draftId
+      ? await publishDraft(userId, draftId)
+      : await createPost(userId, post);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error creating anonymous post:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * Create an anonymous comment or reply
+ */
+const createAnonymousComment = onCall(CALLABLE_OPTIONS, async (request) => {
+  const { auth, data } = request;
+  const userId = await getAuthorId(auth);
+  const { postId, text, parentCommentId } = data || {};
+
+  try {
+    const result = await createComment(userId, { postId, text, parentCommentId });
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error creating anonymous comment:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * The caller's ID encrypted with their company's data key
+ * Vendor risk reports are written by the client and store the author this way
+ */
+const getEncryptedAuthorId = onCall({ cors: true, memory: '128MiB', secrets: [keyEncryptionKey] }, async (request) => {
+  const userId = await getAuthorId(request.auth);
+
+  try {
+    const encryptedId = await encryptOwnAuthorId(userId);
+    return { success: true, data: encryptedId };
+  } catch (error) {
+    console.error('Error encrypting author ID:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+module.exports = {
+  createAnonymousPost,
+  createAnonymousComment,
+  getEncryptedAuthorId,
+};
@@ -0,0 +1,101 @@
+/**
+ * Anonymous Thread API
+ * HTTP callable functions for sending and reading encrypted messages on the
+ * private thread of an anonymous post
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { anonymousSecret, keyEncryptionKey, authorTokenSecret } = require('../config/security');
+const { getUserIdFromAuthSession } = require('../utils/helpers');
+const {
+  sendThreadMessage: sendMessage,
+  readThread,
+  getThreadPreviews: getPreviews,
+} = require('../services/anonymousThreadService');
+
+// Messages from before company data keys are still read with the shared secret
+const CALLABLE_OPTIONS = {
+  cors: true,
+  memory: '256MiB',
+  secrets: [keyEncryptionKey, anonymousSecret, authorTokenSecret],
+};
+
+/**
+ * Load the caller
+ * @returns {Promise<{id: string, role: string, companyId: string}>}
+ */
+async function getCaller(auth) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  const userDoc = userId ? await db.collection(COLLECTIONS.USERS).doc(userId).get() : null;
+  if (!userDoc?.exists) {
+    throw new HttpsError('unauthenticated', 'Auth session not found. Please log in again.');
+  }
+
+  const user = userDoc.data();
+  return { id: userId, role: user.role, companyId: user.companyId };
+}
+
+/**
+ * Send a message as reporter or investigator
+ */
+const sendThreadMessage = onCall(CALLABLE_OPTIONS, async (request) => {
+  const { auth, data } = request;
+  const user = await getCaller(auth);
+  const { postId, senderRole, text } = data || {};
+
+  try {
+    const result = await sendMessage(user, { postId, senderRole, text });
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error sending thread message:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * Read a thread with its messages decrypted
+ */
+const getAnonymousThread = onCall(CALLABLE_OPTIONS, async (request) => {
+  const { auth, data } = request;
+  const user = await getCaller(auth);
+
+  if (!data?.postId) {
+    throw new HttpsError('invalid-argument', 'Post ID is required');
+  }
+
+  try {
+    const thread = await readThread(user, data.postId);
+    return { success: true, data: thread };
+  } catch (error) {
+    console.error(`Error reading thread ${data.postId}:`, error);
+    throw new HttpsError('permission-denied', error.message);
+  }
+});
+
+/**
+ * Last-message previews for the HR inbox
+ */
+const getThreadPreviews = onCall(CALLABLE_OPTIONS, async (request) => {
+  const { auth, data } = request;
+  const user = await getCaller(auth);
+  const companyId = data?.companyId || user.companyId;
+
+  try {
+    const previews = await getPreviews(user, companyId);
+    return { success: true, data: previews };
+  } catch (error) {
+    console.error('Error getting thread previews:', error);
+    throw new HttpsError('permission-denied', error.message);
+  }
+});
+
+module.exports = {
+  sendThreadMessage,
+  getAnonymousThread,
+  getThreadPreviews,
+};
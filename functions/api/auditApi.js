@@ -0,0 +1,166 @@
+/**
+ * Audit API
+ * HTTP callable functions for writing to the system audit log from the
+ * browser and for verifying audit chains against their signed checkpoints
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { auditSigningKey } = require('../config/security');
+const { isSuperAdmin, isCompanyAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const { AUDIT_CHAIN, logSystemActivity: log } = require('../services/auditLogService');
+const {
+  verifyAuditChain: verify,
+  exportAuditCheckpoints: exportCheckpoints,
+} = require('../services/auditChainService');
+
+// Activities the browser may log, with the metadata fields each may carry.
+// They record work done in the browser; security events such as password or
+// role changes are logged by the Cloud Functions that perform them. The
+// acting user is always the caller, so userId and userName are set here.
+const CLIENT_ACTIVITY_FIELDS = {
+  evidence_package_generated: ['reportId', 'packageId', 'generatedAt', 'contentType', 'reason', 'legalHold'],
+  evidence_package_pdf_generated: ['reportId', 'packageId', 'generatedAt', 'pages'],
+  court_order_uploaded: ['filename', 'fileSize', 'downloadURL'],
+  legal_request_created: ['requestId', 'requestType', 'reportId'],
+  legal_request_fulfilled: ['requestId', 'disclosureMethod', 'reportId'],
+  legal_hold_blocked: ['contentType', 'contentId', 'action'],
+};
+
+// Largest metadata, as JSON, one activity may carry
+const MAX_METADATA_LENGTH = 10000;
+
+/**
+ * Make sure the caller may read a company's audit chains
+ * Company admins check their own company, super admins any company
+ */
+async function assertCanAuditCompany(auth, companyId) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!companyId) {
+    throw new HttpsError('invalid-argument', 'Company ID is required');
+  }
+
+  const isAuthorized = await isCompanyAdmin(auth.uid, companyId) || await isSuperAdmin(auth.uid);
+  if (!isAuthorized) {
+    throw new HttpsError('permission-denied', 'User is not authorized to audit this company');
+  }
+}
+
+/**
+ * Validate the chain named by the client
+ * @returns {string} AUDIT_CHAIN value, system by default
+ */
+function parseChain(chain) {
+  if (chain === undefined || chain === null) {
+    return AUDIT_CHAIN.SYSTEM;
+  }
+  if (!Object.values(AUDIT_CHAIN).includes(chain)) {
+    throw new HttpsError('invalid-argument', `Unknown audit chain: ${chain}`);
+  }
+  return chain;
+}
+
+/**
+ * Log a system activity from the browser
+ * Any signed-in user may log an allowed activity for their own company; only
+ * the fields allowed for that activity are kept, and the entry is chained and
+ * sequenced here and records who logged it
+ */
+const logSystemActivity = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { companyId = null, activityType, metadata = {} } = data || {};
+  const allowedFields = Object.prototype.hasOwnProperty.call(CLIENT_ACTIVITY_FIELDS, activityType)
+    ? CLIENT_ACTIVITY_FIELDS[activityType]
+    : null;
+  if (!allowedFields) {
+    throw new HttpsError('invalid-argument', `Activity type cannot be logged from the browser: ${activityType}`);
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new HttpsError('invalid-argument', 'Metadata must be an object');
+  }
+  if (JSON.stringify(metadata).length > MAX_METADATA_LENGTH) {
+    throw new HttpsError('invalid-argument', `Metadata must be under ${MAX_METADATA_LENGTH} characters`);
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  const userDoc = userId ? await db.collection(COLLECTIONS.USERS).doc(userId).get() : null;
+  if (!userDoc?.exists) {
+    throw new HttpsError('permission-denied', 'User not found');
+  }
+  const user = userDoc.data();
+  if ((user.companyId || null) !== companyId && !(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'User is not a member of this company');
+  }
+
+  const entryMetadata = {};
+  for (const field of allowedFields) {
+    if (metadata[field] !== undefined) {
+      entryMetadata[field] = metadata[field];
+    }
+  }
+  entryMetadata.userId = userId;
+  entryMetadata.userName = user.displayName || user.username || null;
+
+  const result = await log(companyId, activityType, entryMetadata, userId);
+  if (!result.success) {
+    throw new HttpsError('internal', 'Failed to log activity');
+  }
+  return { success: true, data: { auditId: result.auditId, sequence: result.sequence, hash: result.hash } };
+});
+
+/**
+ * Verify a company's audit chain against its signed checkpoints and report
+ * where it breaks
+ */
+const verifyAuditChain = onCall({
+  cors: true,
+  memory: '512MiB',
+  timeoutSeconds: 300,
+  secrets: [auditSigningKey],
+}, async (request) => {
+  const { auth, data } = request;
+  const { companyId, chain } = data || {};
+
+  await assertCanAuditCompany(auth, companyId);
+  const parsedChain = parseChain(chain);
+
+  try {
+    const report = await verify(parsedChain, companyId);
+    return { success: true, data: report };
+  } catch (error) {
+    console.error(`Error verifying ${parsedChain} audit chain for company ${companyId}:`, error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * Export a company's signed audit checkpoints with the public key to check them
+ */
+const exportAuditCheckpoints = onCall({ cors: true, memory: '256MiB', secrets: [auditSigningKey] }, async (request) => {
+  const { auth, data } = request;
+  const { companyId, chain } = data || {};
+
+  await assertCanAuditCompany(auth, companyId);
+  const parsedChain = parseChain(chain);
+
+  try {
+    const exported = await exportCheckpoints(parsedChain, companyId);
+    return { success: true, data: exported };
+  } catch (error) {
+    console.error(`Error exporting ${parsedChain} audit checkpoints for company ${companyId}:`, error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+module.exports = {
+  logSystemActivity,
+  verifyAuditChain,
+  exportAuditCheckpoints,
+};
@@ -4,22 +4,87 @@
  */
 
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
-const { admin, db, COLLECTIONS } = require('../config/firebase');
-const CryptoJS = require('crypto-js');
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { CREDENTIALS, authorTokenSecret } = require('../config/security');
+const { EMAIL_TYPE } = require('../config/email');
+const { isSuperAdmin, isCompanyAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const { queueEmail } = require('../services/emailService');
+const { getAuthorToken } = require('../services/anonymousContentService');
+const { logSystemActivity } = require('../services/auditLogService');
+const {
+  hashPassword,
+  verifyPassword,
+  simulatePasswordCheck,
+  getCredentials,
+  getLockoutMinutesRemaining,
+  recordFailedAttempt,
+  recordSuccessfulLogin,
+  setPassword,
+  migrateLegacyCredentials: migrateCredentials,
+  validatePasswordPolicy,
+  hashResetSecret,
+  generateResetSecret,
+} = require('../services/credentialService');
+
+const INVALID_CREDENTIALS = 'Invalid username or password';
+const PASSWORD_RESET_URL = 'https://portal.voxwel.com/reset-password';
+const RESET_STATUS = {
+  PENDING: 'pending',
+  USED: 'used',
+  SUPERSEDED: 'superseded',
+};
 
 /**
- * Hash password
+ * Make sure a verified user may sign in
+ * Runs only after the password is verified so account state is never
+ * revealed to someone guessing passwords
  */
-function hashPassword(password) {
-  return CryptoJS.SHA256(password).toString();
+async function assertUserCanSignIn(userData) {
+  if (userData.status === 'suspended') {
+    const suspendedUntil = userData.suspendedUntil?.toDate
+      ? userData.suspendedUntil.toDate()
+      : new Date(userData.suspendedUntil || 0);
+    const now = new Date();
+
+    if (suspendedUntil > now) {
+      const daysRemaining = Math.ceil((suspendedUntil - now) / (1000 * 60 * 60 * 24));
+      throw new HttpsError(
+        'permission-denied',
+        `Your account is suspended until ${suspendedUntil.toISOString().slice(0, 10)}. ${daysRemaining} day(s) remaining. Reason: ${userData.suspensionReason || 'Policy violation'}`,
+        { reason: 'suspended', suspendedUntil: suspendedUntil.toISOString() },
+      );
+    }
+  }
+
+  if (userData.status === 'invited') {
+    throw new HttpsError('permission-denied', 'Your account is pending activation. Please check your email for the invitation link.', { reason: 'invited' });
+  }
+
+  if (userData.status !== 'active') {
+    throw new HttpsError('permission-denied', 'Your account has been deactivated. Please contact your company administrator or support.', { reason: 'inactive' });
+  }
+
+  // Check if user's company is active (skip for super admins)
+  if (userData.companyId) {
+    const companyDoc = await db.collection(COLLECTIONS.COMPANIES).doc(userData.companyId).get();
+
+    if (!companyDoc.exists) {
+      throw new HttpsError('not-found', 'Company not found. Please contact support.');
+    }
+
+    if (!companyDoc.data().isActive) {
+      throw new HttpsError('permission-denied', 'Your company account is deactivated. Please contact support.', { reason: 'company_inactive' });
+    }
+  }
 }
 
 /**
  * Generate custom auth token for user
- * This allows users who authenticate with custom credentials
- * to also be authenticated in Firebase Auth
+ * Verifies the username and password server-side, locks the account after
+ * repeated failures, upgrades legacy hashes and signs the user in with a
+ * custom token whose UID is the user ID
  */
-const generateAuthToken = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+const generateAuthToken = onCall({ cors: true, memory: '256MiB', secrets: [authorTokenSecret] }, async (request) => {
   const { data } = request;
   const { username, password } = data;
 
@@ -28,33 +93,92 @@ const generateAuthToken = onCall({ cors: true, memory: '128MiB' }, async (reques
   }
 
   try {
-    // Hash the password
-    const hashedPassword = hashPassword(password);
-
-    // Query users collection
     const usersSnapshot = await db.collection(COLLECTIONS.USERS)
-      .where('username', '==', username.toLowerCase())
-      .where('password', '==', hashedPassword)
-      .where('status', '==', 'active')
+      .where('username', '==', String(username).toLowerCase())
       .limit(1)
       .get();
 
     if (usersSnapshot.empty) {
-      throw new HttpsError('unauthenticated', 'Invalid username or password');
+      await simulatePasswordCheck(password);
+      throw new HttpsError('unauthenticated', INVALID_CREDENTIALS);
     }
 
     const userDoc = usersSnapshot.docs[0];
     const userId = userDoc.id;
     const userData = userDoc.data();
 
-    // Update last login
-    await db.collection(COLLECTIONS.USERS).doc(userId).update({
-      lastLogin: admin.firestore.FieldValue.serverTimestamp(),
+    const credentials = await getCredentials(userId, userData);
+
+    const lockoutMinutes = getLockoutMinutesRemaining(credentials);
+    if (lockoutMinutes > 0) {
+      throw new HttpsError(
+        'resource-exhausted',
+        `Too many failed login attempts. Try again in ${lockoutMinutes} minute(s).`,
+        { reason: 'locked', retryAfterMinutes: lockoutMinutes },
+      );
+    }
+
+    const { valid, needsRehash } = await verifyPassword(password, credentials.passwordHash);
+
+    if (!valid) {
+      const locked = await recordFailedAttempt(userId);
+      if (locked) {
+        console.warn(`Account ${userId} locked after ${CREDENTIALS.MAX_FAILED_ATTEMPTS} failed login attempts`);
+        throw new HttpsError(
+          'resource-exhausted',
+          `Too many failed login attempts. Try again in ${CREDENTIALS.LOCKOUT_MINUTES} minute(s).`,
+          { reason: 'locked', retryAfterMinutes: CREDENTIALS.LOCKOUT_MINUTES },
+        );
+      }
+      throw new HttpsError('unauthenticated', INVALID_CREDENTIALS);
+    }
+
+    await assertUserCanSignIn(userData);
+
+    // Clears failed attempts, rehashes legacy passwords and updates last login
+    await recordSuccessfulLogin(userId, password, needsRehash || !!userData.password);
+
+    // Users who must change their password get no auth session, so Firestore
+    // rules and every other callable deny them; the token's claim is accepted
+    // only by changePassword
+    if (userData.mustChangePassword) {
+      await db.collection(COLLECTIONS.AUTH_SESSIONS).doc(userId).delete();
+
+      const customToken = await admin.auth().createCustomToken(userId, {
+        passwordChangeRequired: true,
+      });
+
+      return {
+        success: true,
+        data: {
+          user: {
+            id: userId,
+            username: userData.username,
+            displayName: userData.displayName || null,
+            companyId: userData.companyId ?? null,
+            mustChangePassword: true,
+          },
+          customToken,
+        },
+      };
+    }
+
+    // Firestore rules resolve the caller through authSessions/{auth.uid};
+    // authorToken lets them recognise the caller's anonymous content
+    const authorToken = getAuthorToken(userId);
+    await db.collection(COLLECTIONS.AUTH_SESSIONS).doc(userId).set({
+      userId,
+      authorToken,
+      username: userData.username,
+      companyId: userData.companyId ?? null,
+      role: userData.role,
+      firebaseUid: userId,
+      createdAt: serverTimestamp(),
     });
 
     // Create custom token for Firebase Auth
     const customToken = await admin.auth().createCustomToken(userId, {
-      companyId: userData.companyId,
+      companyId: userData.companyId ?? null,
       role: userData.role,
     });
 
@@ -62,6 +186,7 @@ const generateAuthToken = onCall({ cors: true, memory: '128MiB' }, async (reques
     const userResponse = {
       id: userId,
       ...userData,
+      authorToken,
     };
     delete userResponse.password;
 
@@ -81,6 +206,490 @@ const generateAuthToken = onCall({ cors: true, memory: '128MiB' }, async (reques
   }
 });
 
+/**
+ * Set a user's password
+ * Super admins can set any password; company admins only for users in their company
+ */
+const setUserPassword = onCall({ cors: true, memory: '256MiB' }, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { userId, password } = data;
+
+  if (!userId) {
+    throw new HttpsError('invalid-argument', 'User ID is required');
+  }
+
+  const policyError = validatePasswordPolicy(password);
+  if (policyError) {
+    throw new HttpsError('invalid-argument', policyError);
+  }
+
+  try {
+    const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+    if (!userDoc.exists) {
+      throw new HttpsError('not-found', 'User not found');
+    }
+
+    const targetUser = userDoc.data();
+    const superAdmin = await isSuperAdmin(auth.uid);
+    const companyAdmin = !superAdmin && targetUser.companyId
+      && await isCompanyAdmin(auth.uid, targetUser.companyId);
+
+    if (!superAdmin && !companyAdmin) {
+      throw new HttpsError('permission-denied', 'Only admins can set passwords for this user');
+    }
+
+    await setPassword(userId, password);
+    await db.collection(COLLECTIONS.USERS).doc(userId).update({
+      password: admin.firestore.FieldValue.delete(),
+      updatedAt: serverTimestamp(),
+    });
+
+    const changedBy = await getUserIdFromAuthSession(auth.uid);
+    console.log(`Password set for user ${userId} by ${changedBy}`);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting user password:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Move legacy password hashes out of the users collection now, rather than
+ * waiting for the scheduled migration
+ */
+const migrateLegacyCredentials = onCall({ cors: true, memory: '256MiB', timeoutSeconds: 540 }, async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can migrate credentials');
+  }
+
+  try {
+    const migrated = await migrateCredentials();
+
+    console.log(`Migrated ${migrated} legacy credentials`);
+    return { success: true, data: { migrated } };
+  } catch (error) {
+    console.error('Error migrating legacy credentials:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Request a password reset link
+ * Emails a single-use token through the email queue. Always reports success
+ * so the response never reveals whether a username exists.
+ */
+const requestPasswordReset = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { data } = request;
+  const { username } = data;
+
+  if (!username) {
+    throw new HttpsError('invalid-argument', 'Username is required');
+  }
+
+  try {
+    const usersSnapshot = await db.collection(COLLECTIONS.USERS)
+      .where('username', '==', String(username).toLowerCase())
+      .limit(1)
+      .get();
+
+    if (usersSnapshot.empty) {
+      return { success: true };
+    }
+
+    const userDoc = usersSnapshot.docs[0];
+    const userData = userDoc.data();
+
+    if (userData.status !== 'active' || !userData.email) {
+      console.log(`Password reset not sent for user ${userDoc.id}: inactive or no email`);
+      return { success: true };
+    }
+
+    const pendingSnapshot = await db.collection(COLLECTIONS.PASSWORD_RESETS)
+      .where('userId', '==', userDoc.id)
+      .where('status', '==', RESET_STATUS.PENDING)
+      .get();
+
+    // Throttle repeated requests for the same account
+    const cooldownStart = Date.now() - CREDENTIALS.RESET_REQUEST_COOLDOWN_MINUTES * 60 * 1000;
+    const recentRequest = pendingSnapshot.docs.some(
+      (resetDoc) => (resetDoc.data().createdAt?.toMillis?.() || 0) > cooldownStart,
+    );
+    if (recentRequest) {
+      return { success: true };
+    }
+
+    const { secret, secretHash } = generateResetSecret();
+    const resetRef = db.collection(COLLECTIONS.PASSWORD_RESETS).doc();
+    const expiresAt = admin.firestore.Timestamp.fromMillis(
+      Date.now() + CREDENTIALS.RESET_TOKEN_TTL_MINUTES * 60 * 1000,
+    );
+
+    // Only the newest link stays valid
+    const batch = db.batch();
+    pendingSnapshot.docs.forEach((resetDoc) => {
+      batch.update(resetDoc.ref, { status: RESET_STATUS.SUPERSEDED });
+    });
+    batch.set(resetRef, {
+      userId: userDoc.id,
+      companyId: userData.companyId || null,
+      secretHash,
+      status: RESET_STATUS.PENDING,
+      expiresAt,
+      createdAt: serverTimestamp(),
+    });
+    await batch.commit();
+
+    const resetUrl = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(`${resetRef.id}.${secret}`)}`;
+
+    await queueEmail({
+      to: userData.email,
+      subject: 'Reset your password',
+      html: createPasswordResetEmail(userData, resetUrl),
+      type: EMAIL_TYPE.PASSWORD_RESET,
+      userId: userDoc.id,
+      companyId: userData.companyId || null,
+      metadata: { resetId: resetRef.id },
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Reset a password with an emailed token
+ * The token is consumed atomically with the password change
+ */
+const resetPassword = onCall({ cors: true, memory: '256MiB' }, async (request) => {
+  const { data } = request;
+  const { token, password } = data;
+
+  const [resetId, secret] = String(token || '').split('.');
+  if (!resetId || !secret) {
+    throw new HttpsError('invalid-argument', 'Invalid reset link');
+  }
+
+  const policyError = validatePasswordPolicy(password);
+  if (policyError) {
+    throw new HttpsError('invalid-argument', policyError);
+  }
+
+  const resetRef = db.collection(COLLECTIONS.PASSWORD_RESETS).doc(resetId);
+
+  try {
+    // Hash before the transaction so retries don't repeat the slow hash
+    const passwordHash = await hashPassword(password);
+
+    const userId = await db.runTransaction(async (transaction) => {
+      const resetDoc = await transaction.get(resetRef);
+
+      if (!resetDoc.exists || resetDoc.data().secretHash !== hashResetSecret(secret)) {
+        throw new HttpsError('not-found', 'Invalid reset link');
+      }
+
+      const reset = resetDoc.data();
+
+      if (reset.status !== RESET_STATUS.PENDING) {
+        throw new HttpsError('failed-precondition', 'This reset link has already been used');
+      }
+      if (reset.expiresAt.toMillis() < Date.now()) {
+        throw new HttpsError('deadline-exceeded', 'This reset link has expired');
+      }
+
+      transaction.update(resetRef, {
+        status: RESET_STATUS.USED,
+        usedAt: serverTimestamp(),
+      });
+
+      // Replaces the whole document, clearing failed attempts and any lockout
+      transaction.set(db.collection(COLLECTIONS.USER_CREDENTIALS).doc(reset.userId), {
+        userId: reset.userId,
+        passwordHash,
+        algorithm: 'scrypt',
+        failedAttempts: 0,
+        passwordUpdatedAt: serverTimestamp(),
+      });
+
+      transaction.update(db.collection(COLLECTIONS.USERS).doc(reset.userId), {
+        password: admin.firestore.FieldValue.delete(),
+        mustChangePassword: admin.firestore.FieldValue.delete(),
+        mustChangePasswordSetBy: admin.firestore.FieldValue.delete(),
+        mustChangePasswordSetAt: admin.firestore.FieldValue.delete(),
+        updatedAt: serverTimestamp(),
+      });
+
+      return reset.userId;
+    });
+
+    const userData = (await db.collection(COLLECTIONS.USERS).doc(userId).get()).data() || {};
+
+    await logSystemActivity(userData.companyId || null, 'password_changed', {
+      userId,
+      userName: userData.displayName || userData.username || null,
+      changedById: userId,
+      isSelfChange: true,
+      method: 'reset_link',
+    }, userId);
+
+    return { success: true, data: { username: userData.username || null } };
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Change the signed-in user's password
+ * Also clears the "must change password at next login" flag
+ */
+const changePassword = onCall({ cors: true, memory: '256MiB' }, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { currentPassword, newPassword } = data;
+
+  if (!currentPassword) {
+    throw new HttpsError('invalid-argument', 'Current password is required');
+  }
+
+  const policyError = validatePasswordPolicy(newPassword);
+  if (policyError) {
+    throw new HttpsError('invalid-argument', policyError);
+  }
+
+  if (currentPassword === newPassword) {
+    throw new HttpsError('invalid-argument', 'New password must be different from the current password');
+  }
+
+  try {
+    // A forced change is made with the restricted token from generateAuthToken,
+    // whose UID is the user ID; other changes need a full session
+    const userId = auth.token.passwordChangeRequired === true
+      ? auth.uid
+      : await getUserIdFromAuthSession(auth.uid);
+    if (!userId) {
+      throw new HttpsError('unauthenticated', 'No active session');
+    }
+
+    const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+    if (!userDoc.exists) {
+      throw new HttpsError('not-found', 'User not found');
+    }
+    const userData = userDoc.data();
+
+    // Wrong current passwords count towards the same lockout as failed logins
+    const credentials = await getCredentials(userId, userData);
+    const lockoutMinutes = getLockoutMinutesRemaining(credentials);
+    if (lockoutMinutes > 0) {
+      throw new HttpsError(
+        'resource-exhausted',
+        `Too many failed attempts. Try again in ${lockoutMinutes} minute(s).`,
+        { reason: 'locked', retryAfterMinutes: lockoutMinutes },
+      );
+    }
+
+    const { valid } = await verifyPassword(currentPassword, credentials.passwordHash);
+
+    if (!valid) {
+      const locked = await recordFailedAttempt(userId);
+      if (locked) {
+        console.warn(`Account ${userId} locked after ${CREDENTIALS.MAX_FAILED_ATTEMPTS} failed password attempts`);
+        throw new HttpsError(
+          'resource-exhausted',
+          `Too many failed attempts. Try again in ${CREDENTIALS.LOCKOUT_MINUTES} minute(s).`,
+          { reason: 'locked', retryAfterMinutes: CREDENTIALS.LOCKOUT_MINUTES },
+        );
+      }
+      throw new HttpsError('permission-denied', 'Current password is incorrect');
+    }
+
+    await setPassword(userId, newPassword);
+    await userDoc.ref.update({
+      password: admin.firestore.FieldValue.delete(),
+      mustChangePassword: admin.firestore.FieldValue.delete(),
+      mustChangePasswordSetBy: admin.firestore.FieldValue.delete(),
+      mustChangePasswordSetAt: admin.firestore.FieldValue.delete(),
+      updatedAt: serverTimestamp(),
+    });
+
+    await logSystemActivity(userData.companyId || null, 'password_changed', {
+      userId,
+      userName: userData.displayName || userData.username,
+      changedById: userId,
+      isSelfChange: true,
+      method: userData.mustChangePassword ? 'forced_change' : 'self_service',
+      requiredById: userData.mustChangePasswordSetBy || null,
+    }, userId);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error changing password:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Require a user to change their password at next login, or cancel that
+ * Super admins can flag anyone; company admins and HR only users in their
+ * company. Requiring a change ends the user's current session.
+ */
+const setPasswordChangeRequired = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { userId, required } = data || {};
+
+  if (!userId || typeof required !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'User ID and required flag are required');
+  }
+
+  try {
+    const callerId = await getUserIdFromAuthSession(auth.uid);
+    if (!callerId) {
+      throw new HttpsError('unauthenticated', 'No active session');
+    }
+
+    const [callerDoc, userDoc] = await Promise.all([
+      db.collection(COLLECTIONS.USERS).doc(callerId).get(),
+      db.collection(COLLECTIONS.USERS).doc(userId).get(),
+    ]);
+    if (!userDoc.exists) {
+      throw new HttpsError('not-found', 'User not found');
+    }
+
+    const caller = callerDoc.data() || {};
+    const targetUser = userDoc.data();
+    const callerRole = String(caller.role || '').toUpperCase();
+    const isAuthorized = callerRole === 'SUPER_ADMIN'
+      || (!!targetUser.companyId
+        && caller.companyId === targetUser.companyId
+        && ['COMPANY_ADMIN', 'HR'].includes(callerRole));
+
+    if (!isAuthorized) {
+      throw new HttpsError('permission-denied', 'Only admins can require a password change for this user');
+    }
+
+    if (required) {
+      await userDoc.ref.update({
+        mustChangePassword: true,
+        mustChangePasswordSetBy: callerId,
+        mustChangePasswordSetAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      // Sign-in issues a restricted token until the password is changed
+      await db.collection(COLLECTIONS.AUTH_SESSIONS).doc(userId).delete();
+    } else {
+      await userDoc.ref.update({
+        mustChangePassword: admin.firestore.FieldValue.delete(),
+        mustChangePasswordSetBy: admin.firestore.FieldValue.delete(),
+        mustChangePasswordSetAt: admin.firestore.FieldValue.delete(),
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    await logSystemActivity(
+      targetUser.companyId || null,
+      required ? 'password_change_required' : 'password_change_cancelled',
+      {
+        userId,
+        userName: targetUser.displayName || targetUser.username,
+        changedById: callerId,
+        changedByName: caller.displayName || caller.username || null,
+      },
+      callerId,
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating password change requirement:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Create HTML email content for a password reset link
+ */
+function createPasswordResetEmail(userData, resetUrl) {
+  const username = String(userData.displayName || userData.username || 'User')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px 30px; border-radius: 8px 8px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+    .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #999; font-size: 12px; }
+    .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>Reset your password</h2>
+  </div>
+
+  <div class="content">
+    <p>Hi ${username},</p>
+    <p>We received a request to reset your password. This link can be used once and expires in ${CREDENTIALS.RESET_TOKEN_TTL_MINUTES} minutes.</p>
+
+    <div style="text-align: center;">
+      <a href="${resetUrl}" class="button">Reset Password</a>
+    </div>
+
+    <div class="footer">
+      <p>If you didn't request a password reset, you can ignore this email. Your password won't change.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
 module.exports = {
   generateAuthToken,
+  setUserPassword,
+  migrateLegacyCredentials,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  setPasswordChangeRequired,
 };
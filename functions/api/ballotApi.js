@@ -0,0 +1,46 @@
+/**
+ * Ballot API
+ * HTTP callable function for votes, reactions and poll votes on posts.
+ * Clients cannot write ballots or the post counters directly; Firestore rules
+ * require them to go through this function so each user has one ballot of
+ * each kind per post.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { authorTokenSecret } = require('../config/security');
+const { getUserIdFromAuthSession } = require('../utils/helpers');
+const { castBallot: cast } = require('../services/ballotService');
+
+/**
+ * Cast, change or withdraw a vote, reaction or poll vote
+ */
+const castBallot = onCall({
+  cors: true,
+  memory: '256MiB',
+  secrets: [authorTokenSecret],
+}, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'Auth session not found. Please log in again.');
+  }
+
+  const { postId, kind, choice } = data || {};
+
+  try {
+    const result = await cast(userId, { postId, kind, choice });
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error casting ballot:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+module.exports = {
+  castBallot,
+};
@@ -0,0 +1,453 @@
+/**
+ * Invitation API
+ * Signed, expiring invitation links for company registration
+ */
+
+const crypto = require('crypto');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { inviteSigningSecret } = require('../config/security');
+const { isCompanyAdmin, getUserIdFromAuthSession, getCompany } = require('../utils/helpers');
+const { hashPassword, validatePasswordPolicy } = require('../services/credentialService');
+
+/**
+ * Invitation limits
+ */
+const INVITE_DEFAULTS = {
+  EXPIRES_IN_DAYS: 30,
+  MAX_EXPIRES_IN_DAYS: 365,
+  MAX_USES_LIMIT: 10000,
+};
+
+// Roles an invitation may grant; admins are never created through invites
+const INVITABLE_ROLES = ['employee', 'hr'];
+
+/**
+ * Invitation statuses
+ */
+const INVITE_STATUS = {
+  ACTIVE: 'active',
+  REVOKED: 'revoked',
+};
+
+/**
+ * Encode a buffer or string as base64url
+ */
+function toBase64Url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string
+ */
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64, 'base64').toString('utf8');
+}
+
+/**
+ * Sign an invitation payload
+ * @param {Object} payload - { i: inviteId, c: companyId, e: expiresAt (ms) }
+ * @returns {string} Token in the form <payload>.<signature>
+ */
+function signInviteToken(payload) {
+  const encodedPayload = toBase64Url(JSON.stringify(payload));
+  const signature = crypto
+    .createHmac('sha256', inviteSigningSecret.value())
+    .update(encodedPayload)
+    .digest();
+
+  return `${encodedPayload}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Verify an invitation token signature and expiry
+ * Does not check revocation or use counts, which live on the invite document
+ * @param {string} token - Invitation token
+ * @returns {Object} Decoded payload
+ * @throws {HttpsError} If the token is malformed, forged or expired
+ */
+function verifyInviteToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    throw new HttpsError('invalid-argument', 'Invalid invitation link');
+  }
+
+  const [encodedPayload, encodedSignature] = token.split('.');
+
+  const expected = crypto
+    .createHmac('sha256', inviteSigningSecret.value())
+    .update(encodedPayload)
+    .digest();
+  const actual = Buffer.from(encodedSignature.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new HttpsError('permission-denied', 'Invalid invitation link');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encodedPayload));
+  } catch {
+    throw new HttpsError('invalid-argument', 'Invalid invitation link');
+  }
+
+  if (!payload.i || !payload.c || !payload.e) {
+    throw new HttpsError('invalid-argument', 'Invalid invitation link');
+  }
+
+  if (Date.now() > payload.e) {
+    throw new HttpsError('failed-precondition', 'This invitation link has expired');
+  }
+
+  return payload;
+}
+
+/**
+ * Check that an invite document can still be used
+ * @param {FirebaseFirestore.DocumentSnapshot} inviteDoc - Invite document
+ * @param {Object} payload - Verified token payload
+ * @returns {Object} Invite data
+ * @throws {HttpsError} If the invite is revoked, expired or used up
+ */
+function assertInviteUsable(inviteDoc, payload) {
+  if (!inviteDoc.exists) {
+    throw new HttpsError('not-found', 'Invitation not found');
+  }
+
+  const invite = inviteDoc.data();
+
+  if (invite.companyId !== payload.c) {
+    throw new HttpsError('permission-denied', 'Invalid invitation link');
+  }
+  if (invite.status === INVITE_STATUS.REVOKED) {
+    throw new HttpsError('failed-precondition', 'This invitation has been revoked');
+  }
+  if (invite.expiresAt.toMillis() < Date.now()) {
+    throw new HttpsError('failed-precondition', 'This invitation link has expired');
+  }
+  if (invite.maxUses && invite.useCount >= invite.maxUses) {
+    throw new HttpsError('resource-exhausted', 'This invitation has reached its maximum number of uses');
+  }
+
+  return invite;
+}
+
+/**
+ * Create a signed invitation for a company
+ */
+const createInvite = onCall({
+  cors: true,
+  memory: '128MiB',
+  secrets: [inviteSigningSecret],
+}, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const {
+    companyId,
+    label = '',
+    expiresInDays = INVITE_DEFAULTS.EXPIRES_IN_DAYS,
+    maxUses = null,
+    defaultDepartmentId = null,
+    defaultRole = 'employee',
+    source = 'link',
+  } = data;
+
+  if (!companyId) {
+    throw new HttpsError('invalid-argument', 'Company ID is required');
+  }
+
+  const isAuthorized = await isCompanyAdmin(auth.uid, companyId);
+  if (!isAuthorized) {
+    throw new HttpsError('permission-denied', 'User is not authorized to manage this company');
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days < 1 || days > INVITE_DEFAULTS.MAX_EXPIRES_IN_DAYS) {
+    throw new HttpsError('invalid-argument', `Expiry must be between 1 and ${INVITE_DEFAULTS.MAX_EXPIRES_IN_DAYS} days`);
+  }
+
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_DEFAULTS.MAX_USES_LIMIT)) {
+    throw new HttpsError('invalid-argument', `Maximum uses must be between 1 and ${INVITE_DEFAULTS.MAX_USES_LIMIT}`);
+  }
+
+  if (!INVITABLE_ROLES.includes(defaultRole)) {
+    throw new HttpsError('invalid-argument', 'Invitations can only grant the employee or HR role');
+  }
+
+  if (defaultDepartmentId) {
+    const departmentDoc = await db.collection(COLLECTIONS.DEPARTMENTS).doc(defaultDepartmentId).get();
+    if (!departmentDoc.exists || departmentDoc.data().companyId !== companyId) {
+      throw new HttpsError('invalid-argument', 'Department not found in this company');
+    }
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+
+  try {
+    const inviteRef = db.collection(COLLECTIONS.INVITES).doc();
+    const expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+
+    const token = signInviteToken({ i: inviteRef.id, c: companyId, e: expiresAt });
+
+    await inviteRef.set({
+      companyId,
+      label: String(label).trim().slice(0, 100),
+      source,
+      token,
+      status: INVITE_STATUS.ACTIVE,
+      expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
+      maxUses,
+      useCount: 0,
+      defaultDepartmentId,
+      defaultRole,
+      createdBy: userId,
+      createdAt: serverTimestamp(),
+    });
+
+    return {
+      success: true,
+      data: {
+        inviteId: inviteRef.id,
+        token,
+        expiresAt,
+      },
+    };
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Revoke an invitation so its link can no longer be used
+ */
+const revokeInvite = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { inviteId } = data;
+
+  if (!inviteId) {
+    throw new HttpsError('invalid-argument', 'Invite ID is required');
+  }
+
+  const inviteRef = db.collection(COLLECTIONS.INVITES).doc(inviteId);
+  const inviteDoc = await inviteRef.get();
+
+  if (!inviteDoc.exists) {
+    throw new HttpsError('not-found', 'Invitation not found');
+  }
+
+  const isAuthorized = await isCompanyAdmin(auth.uid, inviteDoc.data().companyId);
+  if (!isAuthorized) {
+    throw new HttpsError('permission-denied', 'User is not authorized to manage this company');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+
+  try {
+    await inviteRef.update({
+      status: INVITE_STATUS.REVOKED,
+      revokedBy: userId,
+      revokedAt: serverTimestamp(),
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Validate an invitation token before showing the registration form
+ */
+const validateInvite = onCall({
+  cors: true,
+  memory: '128MiB',
+  secrets: [inviteSigningSecret],
+}, async (request) => {
+  const { token } = request.data;
+
+  const payload = verifyInviteToken(token);
+
+  try {
+    const inviteDoc = await db.collection(COLLECTIONS.INVITES).doc(payload.i).get();
+    const invite = assertInviteUsable(inviteDoc, payload);
+
+    const company = await getCompany(invite.companyId);
+    if (!company || !company.isActive) {
+      throw new HttpsError('failed-precondition', 'This company is not accepting registrations');
+    }
+
+    let departmentName = null;
+    if (invite.defaultDepartmentId) {
+      const departmentDoc = await db.collection(COLLECTIONS.DEPARTMENTS).doc(invite.defaultDepartmentId).get();
+      departmentName = departmentDoc.exists ? departmentDoc.data().name : null;
+    }
+
+    return {
+      success: true,
+      data: {
+        companyId: company.id,
+        companyName: company.name,
+        departmentName,
+        defaultRole: invite.defaultRole,
+        expiresAt: invite.expiresAt.toMillis(),
+      },
+    };
+  } catch (error) {
+    console.error('Error validating invite:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Check whether a username is free while filling in the registration form
+ * Needs a usable invitation, since people registering can't read users
+ */
+const checkInviteUsername = onCall({
+  cors: true,
+  memory: '128MiB',
+  secrets: [inviteSigningSecret],
+}, async (request) => {
+  const { token, username } = request.data;
+
+  const payload = verifyInviteToken(token);
+
+  if (!username || !/^[a-zA-Z0-9]{3,}$/.test(username)) {
+    throw new HttpsError('invalid-argument', 'Username must be at least 3 letters or numbers');
+  }
+
+  try {
+    const inviteDoc = await db.collection(COLLECTIONS.INVITES).doc(payload.i).get();
+    assertInviteUsable(inviteDoc, payload);
+
+    const existingUsers = await db.collection(COLLECTIONS.USERS)
+      .where('username', '==', username.toLowerCase())
+      .limit(1)
+      .get();
+
+    return { success: true, data: { available: existingUsers.empty } };
+  } catch (error) {
+    console.error('Error checking invite username:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Register a new user through an invitation
+ * Creates the pending user document and consumes one use of the invite atomically
+ */
+const registerWithInvite = onCall({
+  cors: true,
+  memory: '256MiB',
+  secrets: [inviteSigningSecret],
+}, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { token, fullName, username, mobile, gender, password } = data;
+
+  const payload = verifyInviteToken(token);
+
+  if (!fullName || !String(fullName).trim()) {
+    throw new HttpsError('invalid-argument', 'Full name is required');
+  }
+  if (!username || !/^[a-zA-Z0-9]{3,}$/.test(username)) {
+    throw new HttpsError('invalid-argument', 'Username must be at least 3 letters or numbers');
+  }
+  const policyError = validatePasswordPolicy(password);
+  if (policyError) {
+    throw new HttpsError('invalid-argument', policyError);
+  }
+
+  const normalizedUsername = username.toLowerCase();
+  const inviteRef = db.collection(COLLECTIONS.INVITES).doc(payload.i);
+
+  try {
+    // Hash before the transaction so retries don't repeat the slow hash
+    const passwordHash = await hashPassword(password);
+
+    const userId = await db.runTransaction(async (transaction) => {
+      const inviteDoc = await transaction.get(inviteRef);
+      const invite = assertInviteUsable(inviteDoc, payload);
+
+      const existingUsers = await transaction.get(
+        db.collection(COLLECTIONS.USERS)
+          .where('username', '==', normalizedUsername)
+          .limit(1),
+      );
+      if (!existingUsers.empty) {
+        throw new HttpsError('already-exists', 'Username is already taken');
+      }
+
+      const userRef = db.collection(COLLECTIONS.USERS).doc();
+
+      transaction.set(userRef, {
+        username: normalizedUsername,
+        displayName: String(fullName).trim(),
+        mobile: mobile || '',
+        gender: gender || '',
+        companyId: invite.companyId,
+        departmentId: invite.defaultDepartmentId || null,
+        role: invite.defaultRole || 'employee',
+        status: 'pending',
+        inviteId: inviteRef.id,
+        registeredVia: invite.source === 'qr' ? 'invite_qr' : 'invite_link',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+
+      transaction.set(db.collection(COLLECTIONS.USER_CREDENTIALS).doc(userRef.id), {
+        userId: userRef.id,
+        passwordHash,
+        algorithm: 'scrypt',
+        failedAttempts: 0,
+        passwordUpdatedAt: serverTimestamp(),
+      });
+
+      transaction.update(inviteRef, {
+        useCount: admin.firestore.FieldValue.increment(1),
+        lastUsedAt: serverTimestamp(),
+      });
+
+      return userRef.id;
+    });
+
+    return { success: true, data: { userId } };
+  } catch (error) {
+    console.error('Error registering with invite:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  createInvite,
+  revokeInvite,
+  validateInvite,
+  checkInviteUsername,
+  registerWithInvite,
+};
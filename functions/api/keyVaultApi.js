@@ -0,0 +1,222 @@
+/**
+ * Key Vault API
+ * HTTP callable functions for managing company key vaults and their
+ * custodians, and disclosing the identity behind an anonymous post under an
+ * approved legal request
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { anonymousSecret, keyEncryptionKey } = require('../config/security');
+const { isSuperAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const {
+  VAULT_MODE,
+  issueVaultKeys,
+  getKeyVaultStatuses: getStatuses,
+  getDisclosureSession: getSession,
+  getCustodianRequests: getRequests,
+  submitCustodyShare: submitShare,
+  combineAndDecrypt: disclose,
+} = require('../services/keyVaultService');
+
+// Issuing keys escrows every data key version, including the legacy passphrase
+const VAULT_KEY_OPTIONS = {
+  cors: true,
+  memory: '256MiB',
+  timeoutSeconds: 120,
+  secrets: [keyEncryptionKey, anonymousSecret],
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Make sure the caller is a super admin and return their user ID
+ */
+async function getSuperAdminId(auth) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can manage key vaults');
+  }
+
+  return getUserIdFromAuthSession(auth.uid);
+}
+
+/**
+ * Build a callable that issues new vault keys in the given mode
+ */
+function vaultKeyCallable(mode) {
+  return onCall(VAULT_KEY_OPTIONS, async (request) => {
+    const { auth, data } = request;
+    const actorId = await getSuperAdminId(auth);
+    const { companyId, dpoEmail, custody } = data || {};
+
+    if (!companyId) {
+      throw new HttpsError('invalid-argument', 'Company ID is required');
+    }
+    if (mode === VAULT_MODE.INITIALIZE && !EMAIL_PATTERN.test(String(dpoEmail || '').trim())) {
+      throw new HttpsError('invalid-argument', 'A valid DPO email address is required');
+    }
+
+    try {
+      const result = await issueVaultKeys(companyId, {
+        mode,
+        dpoEmail: dpoEmail ? String(dpoEmail).trim() : null,
+        custody: mode === VAULT_MODE.CUSTODY ? custody : null,
+      }, actorId);
+      return { success: true, data: result };
+    } catch (error) {
+      console.error(`Error running key vault ${mode} for company ${companyId}:`, error);
+      throw new HttpsError('failed-precondition', error.message);
+    }
+  });
+}
+
+/**
+ * Set up a company's key vault; returns Key Part B for the DPO
+ */
+const initializeKeyVault = vaultKeyCallable(VAULT_MODE.INITIALIZE);
+
+/**
+ * Replace a company's key parts and data key; returns the new Key Part B
+ * Existing content is re-encrypted with the new data key in the background
+ */
+const rotateKeyVault = vaultKeyCallable(VAULT_MODE.ROTATE);
+
+/**
+ * Bring a vault from an older format up to date; returns the new Key Part B
+ */
+const reinitializeKeyVault = vaultKeyCallable(VAULT_MODE.REINITIALIZE);
+
+/**
+ * Split Key Part B among M-of-N custodians; returns one share per custodian
+ */
+const configureKeyCustody = vaultKeyCallable(VAULT_MODE.CUSTODY);
+
+/**
+ * Vault status of every company, or of one when companyId is given
+ */
+const getKeyVaultStatuses = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+  await getSuperAdminId(auth);
+
+  try {
+    const statuses = await getStatuses(data?.companyId || null);
+    return { success: true, data: statuses };
+  } catch (error) {
+    console.error('Error getting key vault statuses:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Which custodians have submitted their key share for a legal request
+ */
+const getDisclosureSession = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+  await getSuperAdminId(auth);
+
+  if (!data?.legalRequestId) {
+    throw new HttpsError('invalid-argument', 'Legal request ID is required');
+  }
+
+  try {
+    const session = await getSession(data.legalRequestId);
+    return { success: true, data: session };
+  } catch (error) {
+    console.error(`Error getting disclosure session for legal request ${data.legalRequestId}:`, error.message);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * Make sure the caller is signed in and return their user ID
+ */
+async function getSignedInUserId(auth) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  if (!userId) {
+    throw new HttpsError('permission-denied', 'User not found');
+  }
+  return userId;
+}
+
+/**
+ * Legal requests waiting for the caller's key share, for every company
+ * whose Key Part B they hold a share of
+ */
+const getCustodianRequests = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const userId = await getSignedInUserId(request.auth);
+
+  try {
+    const requests = await getRequests(userId);
+    return { success: true, data: requests };
+  } catch (error) {
+    console.error(`Error getting legal requests for custodian ${userId}:`, error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Submit the caller's key share for a legal request
+ * Custodians submit from their own signed-in session; the share is only
+ * accepted from the custodian it was issued to
+ */
+const submitCustodyShare = onCall({ cors: true, memory: '256MiB', secrets: [keyEncryptionKey] }, async (request) => {
+  const { auth, data } = request;
+  const userId = await getSignedInUserId(auth);
+  const { legalRequestId, share } = data || {};
+
+  if (!legalRequestId || !share) {
+    throw new HttpsError('invalid-argument', 'Legal request ID and share are required');
+  }
+
+  try {
+    const session = await submitShare(legalRequestId, share, userId);
+    return { success: true, data: session };
+  } catch (error) {
+    console.error(`Error submitting key share for legal request ${legalRequestId}:`, error.message);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * Disclose the author of the post named in an approved legal request
+ * The request must have its approvals and be past its cooling-off period.
+ * Needs the DPO's Key Part B, or enough custodian shares submitted through
+ * submitCustodyShare; returns identity details and the ID of the
+ * disclosure audit log entry
+ */
+const combineAndDecrypt = onCall({ cors: true, memory: '256MiB', secrets: [keyEncryptionKey] }, async (request) => {
+  const { auth, data } = request;
+  const disclosedBy = await getSuperAdminId(auth);
+  const { legalRequestId, keyPartB = null, deliveryMethod = null } = data || {};
+
+  if (!legalRequestId) {
+    throw new HttpsError('invalid-argument', 'Legal request ID is required');
+  }
+
+  try {
+    const result = await disclose(legalRequestId, keyPartB, disclosedBy, deliveryMethod);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error(`Error disclosing identity for legal request ${legalRequestId}:`, error.message);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+module.exports = {
+  initializeKeyVault,
+  rotateKeyVault,
+  reinitializeKeyVault,
+  configureKeyCustody,
+  getKeyVaultStatuses,
+  getDisclosureSession,
+  getCustodianRequests,
+  submitCustodyShare,
+  combineAndDecrypt,
+};
@@ -0,0 +1,81 @@
+/**
+ * Legal Hold API
+ * HTTP callable functions for placing and releasing legal holds
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { authorTokenSecret } = require('../config/security');
+const { isSuperAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const {
+  placeLegalHold: placeHold,
+  releaseLegalHold: releaseHold,
+} = require('../services/legalHoldService');
+
+/**
+ * Make sure the caller is a super admin and return who they are
+ * @returns {Promise<{id: string, name: string|null}>}
+ */
+async function getSuperAdminActor(auth) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can manage legal holds');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  return { id: userId, name: user.displayName || user.username || null };
+}
+
+/**
+ * Place a legal hold on a post, comment, anonymous thread or user
+ */
+const placeLegalHold = onCall({
+  cors: true,
+  memory: '256MiB',
+  timeoutSeconds: 120,
+  secrets: [authorTokenSecret],
+}, async (request) => {
+  const { auth, data } = request;
+  const actor = await getSuperAdminActor(auth);
+
+  const { targetType, targetId, legalRequestId, reason } = data || {};
+
+  try {
+    const hold = await placeHold({ targetType, targetId, legalRequestId, reason }, actor);
+    return { success: true, data: hold };
+  } catch (error) {
+    console.error('Error placing legal hold:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * Release a legal hold
+ */
+const releaseLegalHold = onCall({ cors: true, memory: '256MiB', timeoutSeconds: 120 }, async (request) => {
+  const { auth, data } = request;
+  const actor = await getSuperAdminActor(auth);
+
+  const { holdId, note } = data || {};
+  if (!holdId) {
+    throw new HttpsError('invalid-argument', 'Hold ID is required');
+  }
+
+  try {
+    const result = await releaseHold(holdId, actor, note);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error releasing legal hold:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+module.exports = {
+  placeLegalHold,
+  releaseLegalHold,
+};
@@ -0,0 +1,95 @@
+/**
+ * Legal Request API
+ * HTTP callable functions for reviewing legal requests under dual control
+ * and managing each company's approval policy for identity disclosure
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { anonymousSecret, keyEncryptionKey } = require('../config/security');
+const { isSuperAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const {
+  reviewLegalRequest: review,
+  saveApprovalPolicy,
+} = require('../services/legalApprovalService');
+
+/**
+ * Make sure the caller is a super admin and return who they are
+ * @returns {Promise<{id: string, name: string|null}>}
+ */
+async function getSuperAdminActor(auth) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can review legal requests');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  return { id: userId, name: user.displayName || user.username || null };
+}
+
+/**
+ * Approve or reject a legal request
+ * Identity disclosure requests need several distinct approvers; the last
+ * approval starts the cooling-off period and notifies the reporter where the
+ * law allows it. The notice is encrypted for the company like any thread message.
+ */
+const reviewLegalRequest = onCall({
+  cors: true,
+  memory: '256MiB',
+  secrets: [keyEncryptionKey, anonymousSecret],
+}, async (request) => {
+  const { auth, data } = request;
+  const actor = await getSuperAdminActor(auth);
+
+  const { requestId, decision, notes, rejectionReason, disclosureMethod, reporterNotice, withholdReason } = data || {};
+  if (!requestId) {
+    throw new HttpsError('invalid-argument', 'Legal request ID is required');
+  }
+
+  try {
+    const result = await review(requestId, {
+      decision,
+      notes,
+      rejectionReason,
+      disclosureMethod,
+      reporterNotice,
+      withholdReason,
+    }, actor);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error(`Error reviewing legal request ${requestId}:`, error.message);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+/**
+ * Set how many approvals and how long a cooling-off a company's identity
+ * disclosure requests need
+ */
+const updateLegalApprovalPolicy = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+  const actor = await getSuperAdminActor(auth);
+
+  const { companyId, policy } = data || {};
+  if (!companyId) {
+    throw new HttpsError('invalid-argument', 'Company ID is required');
+  }
+
+  try {
+    const saved = await saveApprovalPolicy(companyId, policy || {}, actor.id);
+    return { success: true, data: saved };
+  } catch (error) {
+    console.error(`Error updating legal approval policy for company ${companyId}:`, error.message);
+    throw new HttpsError('invalid-argument', error.message);
+  }
+});
+
+module.exports = {
+  reviewLegalRequest,
+  updateLegalApprovalPolicy,
+};
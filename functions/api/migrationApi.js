@@ -0,0 +1,533 @@
+/**
+ * Migration API
+ * One-off data migrations, callable by super admins only
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { anonymousSecret, keyEncryptionKey, authorTokenSecret } = require('../config/security');
+const { isSuperAdmin } = require('../utils/helpers');
+const {
+  ANONYMOUS_CONTENT,
+  encryptAuthorId,
+  decryptAuthorId,
+  isEncryptedAuthorId,
+  getAuthorToken,
+  getContentAuthorToken,
+  recordAnonymousAuthor,
+  scrubIdentifyingFields,
+} = require('../services/anonymousContentService');
+const { SCREENING_STATUS } = require('../services/contentScreeningService');
+const {
+  BALLOT_KINDS,
+  getBallotId,
+  ballotsFromLegacyArrays,
+  countBallots,
+} = require('../services/ballotService');
+
+const BATCH_SIZE = 400;
+
+/**
+ * Run an update over every document of a query, in document ID order
+ * @param {FirebaseFirestore.Query} baseQuery - Documents to visit
+ * @param {Function} toUpdate - Maps a document to an update, or null to skip it; may be async
+ * @returns {Promise<{scanned: number, updated: number}>}
+ */
+async function updateAll(baseQuery, toUpdate) {
+  let scanned = 0;
+  let updated = 0;
+  let lastDoc = null;
+
+  while (true) {
+    let query = baseQuery
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let batchCount = 0;
+    for (const doc of snapshot.docs) {
+      const update = await toUpdate(doc.data());
+      if (update) {
+        batch.update(doc.ref, update);
+        batchCount++;
+      }
+    }
+
+    if (batchCount > 0) {
+      await batch.commit();
+    }
+
+    scanned += snapshot.size;
+    updated += batchCount;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    if (snapshot.size < BATCH_SIZE) break;
+  }
+
+  return { scanned, updated };
+}
+
+/**
+ * Real author of an anonymous post or comment written before the migration
+ * @returns {Promise<string|null>}
+ */
+async function resolveLegacyAuthor(data) {
+  if (data.creatorId) return data.creatorId;
+  if (isEncryptedAuthorId(data.authorId)) return decryptAuthorId(data.companyId, data.authorId);
+  return data.authorId || null;
+}
+
+/**
+ * Update that replaces the real author of an anonymous post or comment with
+ * the encrypted ID
+ * @returns {Promise<Object|null>} Null if the author cannot be recovered
+ */
+async function scrubAnonymousAuthor(data) {
+  const userId = await resolveLegacyAuthor(data);
+  if (!userId) return null;
+
+  return {
+    ...scrubIdentifyingFields(),
+    authorId: isEncryptedAuthorId(data.authorId) ? data.authorId : await encryptAuthorId(data.companyId, userId),
+  };
+}
+
+/**
+ * Backfill the fields the feed sorts on
+ * Sets voteScore (upvotes minus downvotes) on every post, and a numeric
+ * comments counter on posts written before the counter existed. Posts are
+ * read in document ID order so the migration can run on any number of posts.
+ */
+const backfillPostSortFields = onCall({ cors: true, memory: '256MiB', timeoutSeconds: 540 }, async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can run migrations');
+  }
+
+  try {
+    let scanned = 0;
+    let updated = 0;
+    let lastDoc = null;
+
+    while (true) {
+      let query = db.collection('posts')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(BATCH_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      let batchCount = 0;
+
+      for (const postDoc of snapshot.docs) {
+        const post = postDoc.data();
+        const updates = {};
+
+        const upvotes = Array.isArray(post.upvotes) ? post.upvotes.length : post.upvoteCount || 0;
+        const downvotes = Array.isArray(post.downvotes) ? post.downvotes.length : post.downvoteCount || 0;
+        if (post.voteScore !== upvotes - downvotes) {
+          updates.voteScore = upvotes - downvotes;
+        }
+
+        if (typeof post.comments !== 'number') {
+          const countSnapshot = await db.collection('comments')
+            .where('postId', '==', postDoc.id)
+            .count()
+            .get();
+          updates.comments = countSnapshot.data().count;
+        }
+
+        if (Object.keys(updates).length > 0) {
+          batch.update(postDoc.ref, updates);
+          batchCount++;
+        }
+      }
+
+      if (batchCount > 0) {
+        await batch.commit();
+      }
+
+      scanned += snapshot.size;
+      updated += batchCount;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+      if (snapshot.size < BATCH_SIZE) break;
+    }
+
+    console.log(`Backfilled feed sort fields on ${updated} of ${scanned} posts`);
+    return { success: true, data: { scanned, updated } };
+  } catch (error) {
+    console.error('Error backfilling post sort fields:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Remove the real author from existing anonymous content
+ * Anonymous posts lose creatorId and the other identifying fields, and
+ * anonymous comments get an encrypted authorId. Anonymous threads lose
+ * reporterId; the reporter is recognised through the post's content token
+ * instead, so run migrateAnonymousAuthorTokens afterwards. Drafts keep their
+ * plain authorId, since drafts are only anonymised when published.
+ * Safe to run more than once.
+ */
+const scrubAnonymousAuthors = onCall({
+  cors: true,
+  memory: '256MiB',
+  timeoutSeconds: 540,
+  secrets: [anonymousSecret, keyEncryptionKey, authorTokenSecret],
+}, async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can run migrations');
+  }
+
+  try {
+    const posts = await updateAll(
+      db.collection('posts').where('isAnonymous', '==', true),
+      post => {
+        if (post.isDraft === true) {
+          return post.creatorId
+            ? { ...scrubIdentifyingFields(), authorId: post.creatorId }
+            : null;
+        }
+        if (!post.creatorId && isEncryptedAuthorId(post.authorId)) return null;
+        return scrubAnonymousAuthor(post);
+      },
+    );
+
+    const comments = await updateAll(
+      db.collection('comments').where('isAnonymous', '==', true),
+      comment => {
+        if (isEncryptedAuthorId(comment.authorId) && !comment.authorRole) return null;
+        return scrubAnonymousAuthor(comment);
+      },
+    );
+
+    const threads = await updateAll(
+      db.collection('anonymousThreads'),
+      thread => (thread.reporterId ? { reporterId: admin.firestore.FieldValue.delete() } : null),
+    );
+
+    console.log(`Scrubbed anonymous authors: ${posts.updated} posts, ${comments.updated} comments, ${threads.updated} threads`);
+    return { success: true, data: { posts, comments, threads } };
+  } catch (error) {
+    console.error('Error scrubbing anonymous authors:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Give one collection's anonymous content its content tokens and author records
+ * Documents that already have an author record are skipped
+ * @param {string} collectionName - 'posts' or 'comments'
+ * @param {string} contentType - ANONYMOUS_CONTENT value
+ * @returns {Promise<{scanned: number, updated: number, skipped: number}>} skipped counts
+ *   content whose author could not be recovered
+ */
+async function migrateCollectionAuthorTokens(collectionName, contentType) {
+  let scanned = 0;
+  let updated = 0;
+  let skipped = 0;
+  let lastDoc = null;
+
+  while (true) {
+    let query = db.collection(collectionName)
+      .where('isAnonymous', '==', true)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let batchCount = 0;
+    for (const contentDoc of snapshot.docs) {
+      const content = contentDoc.data();
+      if (content.isDraft === true) continue;
+
+      const recordDoc = await db.collection(COLLECTIONS.ANONYMOUS_AUTHORS).doc(contentDoc.id).get();
+      if (recordDoc.exists) continue;
+
+      const userId = await resolveLegacyAuthor(content);
+      if (!userId) {
+        skipped++;
+        continue;
+      }
+
+      const authorToken = getAuthorToken(userId);
+      batch.update(contentDoc.ref, { authorToken: getContentAuthorToken(authorToken, contentDoc.id) });
+      recordAnonymousAuthor(batch, authorToken, {
+        contentType,
+        contentId: contentDoc.id,
+        companyId: content.companyId,
+        postId: contentType === ANONYMOUS_CONTENT.POST ? contentDoc.id : content.postId,
+      });
+      batchCount++;
+    }
+
+    if (batchCount > 0) {
+      await batch.commit();
+    }
+
+    scanned += snapshot.size;
+    updated += batchCount;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    if (snapshot.size < BATCH_SIZE) break;
+  }
+
+  return { scanned, updated, skipped };
+}
+
+/**
+ * Replace the author token on existing anonymous content with content tokens
+ * Content written before content tokens existed carries the author's own
+ * token, which is the same on everything they wrote. Each post and comment
+ * gets its own content token instead, and an author record in
+ * anonymousAuthors. Safe to run more than once.
+ */
+const migrateAnonymousAuthorTokens = onCall({
+  cors: true,
+  memory: '256MiB',
+  timeoutSeconds: 540,
+  secrets: [anonymousSecret, keyEncryptionKey, authorTokenSecret],
+}, async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can run migrations');
+  }
+
+  try {
+    const posts = await migrateCollectionAuthorTokens('posts', ANONYMOUS_CONTENT.POST);
+    const comments = await migrateCollectionAuthorTokens('comments', ANONYMOUS_CONTENT.COMMENT);
+
+    console.log(`Migrated anonymous author tokens: ${posts.updated} posts, ${comments.updated} comments`);
+    return { success: true, data: { posts, comments } };
+  } catch (error) {
+    console.error('Error migrating anonymous author tokens:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Mark posts and comments written before screening existed as passed
+ * Feed and comment queries only return content whose screeningStatus is
+ * passed or approved, so content without a status would drop out of them.
+ * Drafts are left alone; they are screened when published. The screening
+ * triggers ignore the update since the text does not change. Safe to run
+ * more than once.
+ */
+const backfillScreeningStatus = onCall({ cors: true, memory: '256MiB', timeoutSeconds: 540 }, async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can run migrations');
+  }
+
+  const toUpdate = content => (!content.screeningStatus && content.isDraft !== true
+    ? { screeningStatus: SCREENING_STATUS.PASSED }
+    : null);
+
+  try {
+    const posts = await updateAll(db.collection('posts'), toUpdate);
+    const comments = await updateAll(db.collection('comments'), toUpdate);
+
+    console.log(`Backfilled screening status: ${posts.updated} posts, ${comments.updated} comments`);
+    return { success: true, data: { posts, comments } };
+  } catch (error) {
+    console.error('Error backfilling screening status:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Check whether a post still carries voter IDs
+ */
+function hasLegacyBallots(post) {
+  return post.upvotes !== undefined
+    || post.downvotes !== undefined
+    || post.reactions !== undefined
+    || post.poll?.voters !== undefined
+    || (post.poll?.options || []).some(option => option.votes !== undefined);
+}
+
+/**
+ * Move one post's voter arrays into the ballots collection
+ * Ballots already cast through castBallot win over the arrays, and the post
+ * counters are recomputed from the combined set.
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} postDoc - Post
+ * @returns {Promise<number>} Ballots written
+ */
+async function migratePostBallots(postDoc) {
+  const post = postDoc.data();
+  const legacy = ballotsFromLegacyArrays(post);
+  const ballots = {};
+  const writes = [];
+
+  Object.values(BALLOT_KINDS).forEach(kind => {
+    ballots[kind] = {};
+    Object.entries(legacy[kind]).forEach(([userId, choice]) => {
+      const voterToken = getAuthorToken(userId);
+      ballots[kind][voterToken] = choice;
+      writes.push({ kind, voterToken, choice });
+    });
+  });
+
+  const existing = await db.collection(COLLECTIONS.BALLOTS).where('postId', '==', postDoc.id).get();
+  existing.forEach(ballotDoc => {
+    const { kind, voterToken, choice } = ballotDoc.data();
+    if (ballots[kind]) {
+      ballots[kind][voterToken] = choice;
+    }
+  });
+  const existingIds = new Set(existing.docs.map(ballotDoc => ballotDoc.id));
+  const newBallots = writes.filter(({ kind, voterToken }) => !existingIds.has(getBallotId(postDoc.id, kind, voterToken)));
+
+  for (let i = 0; i < newBallots.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    newBallots.slice(i, i + BATCH_SIZE).forEach(({ kind, voterToken, choice }) => {
+      batch.set(db.collection(COLLECTIONS.BALLOTS).doc(getBallotId(postDoc.id, kind, voterToken)), {
+        postId: postDoc.id,
+        companyId: post.companyId,
+        kind,
+        voterToken,
+        choice,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  const deleteField = admin.firestore.FieldValue.delete();
+  const update = {
+    ...countBallots(ballots),
+    upvotes: deleteField,
+    downvotes: deleteField,
+    reactions: deleteField,
+  };
+  if (post.poll) {
+    update['poll.options'] = (post.poll.options || []).map(option =>
+      Object.fromEntries(Object.entries(option).filter(([key]) => key !== 'votes')));
+    update['poll.voters'] = deleteField;
+    update['poll.totalVotes'] = deleteField;
+  }
+  await postDoc.ref.update(update);
+
+  return newBallots.length;
+}
+
+/**
+ * Move votes, reactions and poll votes out of posts into the ballots collection
+ * Replaces the upvotes/downvotes arrays, the reactions map and the poll voter
+ * lists with ballots keyed by author token, and sets the post counters.
+ * Safe to run more than once.
+ */
+const migrateBallots = onCall({
+  cors: true,
+  memory: '512MiB',
+  timeoutSeconds: 540,
+  secrets: [authorTokenSecret],
+}, async (request) => {
+  const { auth } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!(await isSuperAdmin(auth.uid))) {
+    throw new HttpsError('permission-denied', 'Only super admins can run migrations');
+  }
+
+  try {
+    let scanned = 0;
+    let updated = 0;
+    let ballots = 0;
+    let lastDoc = null;
+
+    while (true) {
+      let query = db.collection('posts')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(BATCH_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      for (const postDoc of snapshot.docs) {
+        if (!hasLegacyBallots(postDoc.data())) continue;
+        ballots += await migratePostBallots(postDoc);
+        updated++;
+      }
+
+      scanned += snapshot.size;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+      if (snapshot.size < BATCH_SIZE) break;
+    }
+
+    console.log(`Migrated ${ballots} ballots from ${updated} of ${scanned} posts`);
+    return { success: true, data: { scanned, updated, ballots } };
+  } catch (error) {
+    console.error('Error migrating ballots:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  backfillPostSortFields,
+  scrubAnonymousAuthors,
+  migrateAnonymousAuthorTokens,
+  backfillScreeningStatus,
+  migrateBallots,
+};
@@ -0,0 +1,54 @@
+/**
+ * Moderation Policy API
+ * HTTP callable function for saving company moderation policies
+ * Policies are read directly from Firestore by the client
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { isSuperAdmin, isCompanyAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const {
+  normalizeModerationPolicy,
+  saveModerationPolicy,
+} = require('../services/moderationPolicyService');
+
+/**
+ * Save a company's moderation policy
+ * Company admins manage their own company, super admins any company; the
+ * change is recorded in the company audit log
+ */
+const updateCompanyModerationPolicy = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+  const { companyId, policy } = data || {};
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  if (!companyId) {
+    throw new HttpsError('invalid-argument', 'Company ID is required');
+  }
+
+  const isAuthorized = await isCompanyAdmin(auth.uid, companyId) || await isSuperAdmin(auth.uid);
+  if (!isAuthorized) {
+    throw new HttpsError('permission-denied', 'User is not authorized to manage this company');
+  }
+
+  let parsed;
+  try {
+    parsed = normalizeModerationPolicy(policy || {});
+  } catch (error) {
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  try {
+    const userId = await getUserIdFromAuthSession(auth.uid);
+    const saved = await saveModerationPolicy(companyId, parsed, userId || auth.uid);
+    return { success: true, data: saved };
+  } catch (error) {
+    console.error('Error updating moderation policy:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  updateCompanyModerationPolicy,
+};
@@ -0,0 +1,109 @@
+/**
+ * Retention API
+ * HTTP callable functions for company retention policies
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { isSuperAdmin, isCompanyAdmin, getUserIdFromAuthSession } = require('../utils/helpers');
+const {
+  normalizePolicy,
+  getRetentionPolicy,
+  saveRetentionPolicy,
+  previewRetention,
+} = require('../services/retentionService');
+
+/**
+ * Make sure the caller may manage a company's retention policy
+ * Company admins manage their own company, super admins any company
+ */
+async function assertCanManageRetention(auth, companyId) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  if (!companyId) {
+    throw new HttpsError('invalid-argument', 'Company ID is required');
+  }
+
+  const isAuthorized = await isCompanyAdmin(auth.uid, companyId) || await isSuperAdmin(auth.uid);
+  if (!isAuthorized) {
+    throw new HttpsError('permission-denied', 'User is not authorized to manage this company');
+  }
+}
+
+/**
+ * Validate policy fields from the client
+ * @throws {HttpsError} If a value is out of range
+ */
+function parsePolicy(input) {
+  try {
+    return normalizePolicy(input || {});
+  } catch (error) {
+    throw new HttpsError('invalid-argument', error.message);
+  }
+}
+
+/**
+ * Get a company's retention policy
+ */
+const getCompanyRetentionPolicy = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+  const { companyId } = data || {};
+
+  await assertCanManageRetention(auth, companyId);
+
+  try {
+    const policy = await getRetentionPolicy(companyId);
+    return { success: true, data: policy };
+  } catch (error) {
+    console.error('Error getting retention policy:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Save a company's retention policy
+ * The change is recorded in the company audit log
+ */
+const updateCompanyRetentionPolicy = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+  const { companyId, policy } = data || {};
+
+  await assertCanManageRetention(auth, companyId);
+  const parsed = parsePolicy(policy);
+
+  try {
+    const userId = await getUserIdFromAuthSession(auth.uid);
+    const saved = await saveRetentionPolicy(companyId, parsed, userId || auth.uid);
+    return { success: true, data: saved };
+  } catch (error) {
+    console.error('Error updating retention policy:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Dry run: list what a policy would archive, delete and purge right now
+ * Uses the policy sent by the client, so unsaved changes can be previewed
+ */
+const previewCompanyRetention = onCall({ cors: true, memory: '256MiB', timeoutSeconds: 120 }, async (request) => {
+  const { auth, data } = request;
+  const { companyId, policy } = data || {};
+
+  await assertCanManageRetention(auth, companyId);
+  const parsed = policy ? parsePolicy(policy) : await getRetentionPolicy(companyId);
+
+  try {
+    const preview = await previewRetention(companyId, parsed);
+    return { success: true, data: preview };
+  } catch (error) {
+    console.error('Error previewing retention policy:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getCompanyRetentionPolicy,
+  updateCompanyRetentionPolicy,
+  previewCompanyRetention,
+};
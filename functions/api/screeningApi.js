@@ -0,0 +1,52 @@
+/**
+ * Content Screening API
+ * HTTP callable function for reviewing content held by screening
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { getUserIdFromAuthSession } = require('../utils/helpers');
+const { reviewHeldContent } = require('../services/contentScreeningService');
+
+const REVIEWER_ROLES = ['super_admin', 'company_admin', 'hr'];
+
+/**
+ * Approve or reject a held post, comment or anonymous-thread message
+ * Company admins and HR review their own company's content, super admins any
+ */
+const reviewScreenedContent = onCall({ cors: true, memory: '128MiB' }, async (request) => {
+  const { auth, data } = request;
+
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { contentType, contentId, messageId, decision, note } = data || {};
+  if (!contentType || !contentId || !decision) {
+    throw new HttpsError('invalid-argument', 'Content type, content ID and decision are required');
+  }
+
+  const userId = await getUserIdFromAuthSession(auth.uid);
+  const userDoc = userId ? await db.collection(COLLECTIONS.USERS).doc(userId).get() : null;
+  const user = userDoc?.exists ? userDoc.data() : null;
+  const role = (user?.role || '').toLowerCase();
+
+  if (!REVIEWER_ROLES.includes(role)) {
+    throw new HttpsError('permission-denied', 'Only company admins and HR can review held content');
+  }
+
+  try {
+    const result = await reviewHeldContent(
+      { contentType, contentId, messageId, decision, note },
+      { id: userId, companyId: user.companyId, isSuperAdmin: role === 'super_admin' },
+    );
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error reviewing screened content:', error);
+    throw new HttpsError('failed-precondition', error.message);
+  }
+});
+
+module.exports = {
+  reviewScreenedContent,
+};
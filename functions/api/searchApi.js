@@ -5,7 +5,15 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { getUserIdFromAuthSession } = require('../utils/helpers');
+const { getUserIdFromAuthSession, getMinGroupSize } = require('../utils/helpers');
+const { analyzeQuery } = require('../utils/textAnalysis');
+const {
+  ENTRY_KIND,
+  queryEntries,
+  matchTerms,
+  rebuildCompanyIndex,
+} = require('../services/searchIndexService');
+const { isScreeningCleared, canViewPost } = require('../services/contentScreeningService');
 
 // Initialize admin if not already done
 if (!admin.apps.length) {
@@ -14,9 +22,459 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+const ADMIN_ROLES = ['super_admin', 'company_admin', 'hr'];
+
+const MAX_PAGE_SIZE = 50;
+const SEARCH_BATCH_SIZE = 100;
+// Date-ordered pages stop scanning after this many candidates and return a
+// cursor, so sparse matches cannot turn one request into a full scan
+const MAX_SCANNED_ENTRIES = 2000;
+// Relevance ranking considers the most recent matching entries only
+const MAX_RELEVANCE_CANDIDATES = 500;
+// Firestore's limit for array-contains-any
+const MAX_QUERY_STEMS = 30;
+const COMMENT_SCORE_FACTOR = 0.5;
+
+/**
+ * Convert a Firestore timestamp (or date-like value) to an ISO string
+ */
+function toISOString(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Remove identity fields from a post before returning it
+ * Anonymous authors must never be resolvable from search results
+ */
+function toPostResult(post) {
+  const result = { ...post };
+  delete result.creatorId;
+
+  if (post.isAnonymous) {
+    delete result.authorId;
+    delete result.authorDepartmentId;
+    delete result.authorRole;
+    result.authorName = 'Anonymous';
+  }
+
+  return {
+    ...result,
+    createdAt: toISOString(post.createdAt),
+    updatedAt: toISOString(post.updatedAt),
+    scheduledPublishDate: toISOString(post.scheduledPublishDate),
+    publishedAt: toISOString(post.publishedAt),
+  };
+}
+
+/**
+ * Remove identity fields from a comment before returning it
+ */
+function toCommentResult(comment, post) {
+  const result = {
+    id: comment.id,
+    postId: comment.postId,
+    postTitle: post?.title || '',
+    postType: post?.type || null,
+    text: comment.text || comment.content || '',
+    parentCommentId: comment.parentCommentId || null,
+    isAnonymous: !!comment.isAnonymous,
+    authorName: comment.isAnonymous ? 'Anonymous' : (comment.authorName || ''),
+    createdAt: toISOString(comment.createdAt),
+    type: 'comment',
+  };
+
+  if (!comment.isAnonymous) {
+    result.authorId = comment.authorId || null;
+  }
+
+  return result;
+}
+
+/**
+ * Encode a pagination cursor for the client
+ */
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor sent by the client
+ */
+function decodeCursor(value) {
+  if (!value) return null;
+
+  try {
+    return JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch {
+    throw new functions.https.HttpsError('invalid-argument', 'Invalid pagination cursor');
+  }
+}
+
+/**
+ * Turn the date range filters into Date bounds (end date inclusive)
+ */
+function getDateRange(filters) {
+  const startDate = filters.startDate ? new Date(filters.startDate) : null;
+  let endDate = null;
+
+  if (filters.endDate) {
+    endDate = new Date(filters.endDate);
+    endDate.setHours(23, 59, 59, 999); // End of day
+  }
+
+  return { startDate, endDate };
+}
+
+/**
+ * Check a visible post against the facet filters
+ * The department facet matches the post's target department, or the
+ * author's department for named posts only (never for anonymous posts)
+ */
+function matchesFilters(post, filters) {
+  if (filters.type && post.type !== filters.type) return false;
+  if (filters.status && post.status !== filters.status) return false;
+  if (filters.priority && post.priority !== filters.priority) return false;
+
+  if (filters.isAnonymous !== undefined && filters.isAnonymous !== null &&
+      !!post.isAnonymous !== filters.isAnonymous) {
+    return false;
+  }
+
+  if (filters.department &&
+      post.departmentId !== filters.department &&
+      (post.isAnonymous || post.authorDepartmentId !== filters.department)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Make sure an admin's search does not narrow anonymous posts down to fewer
+ * than the company's minimum group size, which could identify their authors
+ * Posts are counted after every part of the search is applied: query text
+ * (in comments too when searching them), date range and facet filters.
+ * Unfiltered searches and searches for named posts only are always allowed,
+ * as are searches that match no anonymous posts at all. Counting stops once
+ * the threshold is reached; if the scan limit is hit first the search is
+ * refused, since the count cannot be confirmed.
+ * @throws {functions.https.HttpsError} failed-precondition when blocked
+ */
+async function assertAnonymousGroupSize({ query, filters, fetchOptions, isVisible }) {
+  const { companyId, queryTerms, dateRange } = fetchOptions;
+  const narrowed = String(query || '').trim() ||
+    filters.department || filters.type || filters.status || filters.priority ||
+    dateRange.startDate || dateRange.endDate;
+  if (!narrowed || filters.isAnonymous === false) return;
+
+  const minGroupSize = await getMinGroupSize(companyId);
+  const isCounted = post => post.isAnonymous === true && isVisible(post);
+  const matched = queryTerms.length > 0
+    ? await countIndexedPosts({ fetchOptions, isCounted, minGroupSize })
+    : await countAnonymousPosts({ companyId, dateRange, isCounted, minGroupSize });
+
+  if (matched > 0 && matched < minGroupSize) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `This search matches fewer than ${minGroupSize} anonymous posts. Widen it to protect anonymity.`,
+    );
+  }
+}
+
+/**
+ * Count the anonymous posts in a date range that pass isCounted, stopping at
+ * minGroupSize
+ * @returns {Promise<number>}
+ */
+async function countAnonymousPosts({ companyId, dateRange, isCounted, minGroupSize }) {
+  let anonymousQuery = db.collection('posts')
+    .where('companyId', '==', companyId)
+    .where('isAnonymous', '==', true);
+
+  if (dateRange.startDate) {
+    anonymousQuery = anonymousQuery.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(dateRange.startDate));
+  }
+  if (dateRange.endDate) {
+    anonymousQuery = anonymousQuery.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(dateRange.endDate));
+  }
+  anonymousQuery = anonymousQuery.orderBy('createdAt', 'desc').limit(SEARCH_BATCH_SIZE);
+
+  let matched = 0;
+  let scanned = 0;
+  let lastDoc = null;
+
+  while (scanned < MAX_SCANNED_ENTRIES) {
+    const snapshot = await (lastDoc ? anonymousQuery.startAfter(lastDoc) : anonymousQuery).get();
+
+    matched += snapshot.docs.filter(doc => isCounted({ id: doc.id, ...doc.data() })).length;
+    if (matched >= minGroupSize) break;
+
+    scanned += snapshot.size;
+    if (snapshot.size < SEARCH_BATCH_SIZE) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return matched;
+}
+
+/**
+ * Count the posts whose search index entries match the query terms and that
+ * pass isCounted, stopping at minGroupSize
+ * @returns {Promise<number>}
+ */
+async function countIndexedPosts({ fetchOptions, isCounted, minGroupSize }) {
+  const seen = new Set();
+  let matched = 0;
+  let scanned = 0;
+  let after = null;
+
+  while (scanned < MAX_SCANNED_ENTRIES) {
+    const candidates = await fetchCandidates({ ...fetchOptions, direction: 'desc', after, limit: SEARCH_BATCH_SIZE });
+
+    const newPostIds = [...new Set(candidates.map(candidate => candidate.postId))]
+      .filter(postId => !seen.has(postId));
+    newPostIds.forEach(postId => seen.add(postId));
+
+    const posts = await getDocsById('posts', newPostIds);
+    matched += [...posts.values()].filter(isCounted).length;
+    if (matched >= minGroupSize) break;
+
+    scanned += candidates.length;
+    if (candidates.length < SEARCH_BATCH_SIZE) break;
+    after = candidates[candidates.length - 1].position;
+  }
+
+  return matched;
+}
+
+/**
+ * Load documents by ID, skipping IDs that no longer exist
+ */
+async function getDocsById(collectionName, ids) {
+  const docs = new Map();
+  const uniqueIds = [...new Set(ids)];
+
+  for (let i = 0; i < uniqueIds.length; i += 100) {
+    const refs = uniqueIds.slice(i, i + 100).map(id => db.collection(collectionName).doc(id));
+    const snapshots = await db.getAll(...refs);
+    snapshots.forEach(doc => {
+      if (doc.exists) docs.set(doc.id, { id: doc.id, ...doc.data() });
+    });
+  }
+
+  return docs;
+}
+
+/**
+ * Read one date-ordered batch of search candidates
+ * With query terms the candidates are search index entries; without them
+ * they are the company's posts themselves
+ * @returns {Promise<Array<{postId: string, position: {t: number|null, id: string}, entry: Object|null}>>}
+ */
+async function fetchCandidates({ companyId, queryTerms, includeComments, direction, dateRange, after, limit }) {
+  if (queryTerms.length > 0) {
+    const stems = [...new Set(queryTerms.flatMap(term => term.stems))];
+    const docs = await queryEntries({
+      companyId,
+      stems,
+      includeComments,
+      direction,
+      startDate: dateRange.startDate,
+      endDate: dateRange.endDate,
+      after,
+      limit,
+    });
+
+    return docs.map(doc => {
+      const entry = doc.data();
+      return {
+        postId: entry.postId,
+        position: { t: entry.sortAt?.toMillis?.() ?? null, id: doc.id },
+        entry,
+      };
+    });
+  }
+
+  let postsQuery = db.collection('posts').where('companyId', '==', companyId);
+
+  if (dateRange.startDate) {
+    postsQuery = postsQuery.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(dateRange.startDate));
+  }
+  if (dateRange.endDate) {
+    postsQuery = postsQuery.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(dateRange.endDate));
+  }
+
+  postsQuery = postsQuery
+    .orderBy('createdAt', direction)
+    .orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+  if (after) {
+    postsQuery = postsQuery.startAfter(
+      after.t === null ? null : admin.firestore.Timestamp.fromMillis(after.t),
+      after.id,
+    );
+  }
+
+  const snapshot = await postsQuery.limit(limit).get();
+  return snapshot.docs.map(doc => ({
+    postId: doc.id,
+    position: { t: doc.data().createdAt?.toMillis?.() ?? null, id: doc.id },
+    entry: null,
+  }));
+}
+
+/**
+ * Relevance of a post: the weight of each matched query term across the
+ * post's entries (comments count for less), scaled by the share of query
+ * terms that matched
+ */
+function scoreMatch(entries, queryTerms) {
+  if (queryTerms.length === 0) return 0;
+
+  const termScores = {};
+  entries.forEach(entry => {
+    const factor = entry.kind === ENTRY_KIND.COMMENT ? COMMENT_SCORE_FACTOR : 1;
+    Object.entries(matchTerms(entry.termWeights, queryTerms)).forEach(([term, weight]) => {
+      termScores[term] = (termScores[term] || 0) + weight * factor;
+    });
+  });
+
+  const matched = Object.keys(termScores).length;
+  const total = Object.values(termScores).reduce((sum, weight) => sum + weight, 0);
+
+  return Math.round(total * (matched / queryTerms.length) * 1000) / 1000;
+}
+
+/**
+ * Walk date-ordered candidates and keep visible posts until the page is full
+ * Entries of one post share its creation time, so they arrive together and a
+ * page never ends part-way through a post unless the scan limit is hit
+ */
+async function collectDatePage({ fetchOptions, cursor, limit, isVisible }) {
+  const groups = new Map();
+  const rejected = new Set();
+  const accepted = [];
+  let after = cursor ? { t: cursor.t, id: cursor.id } : null;
+  const skipPostId = cursor?.skip || null;
+  let scanned = 0;
+
+  while (scanned < MAX_SCANNED_ENTRIES) {
+    const candidates = await fetchCandidates({ ...fetchOptions, after, limit: SEARCH_BATCH_SIZE });
+    if (candidates.length === 0) {
+      return { accepted, groups, hasMore: false, nextCursor: null };
+    }
+
+    const newPostIds = candidates
+      .map(candidate => candidate.postId)
+      .filter(postId => postId !== skipPostId && !groups.has(postId) && !rejected.has(postId));
+    const posts = await getDocsById('posts', newPostIds);
+
+    for (const candidate of candidates) {
+      const { postId } = candidate;
+
+      if (postId !== skipPostId && !rejected.has(postId)) {
+        if (!groups.has(postId)) {
+          const post = posts.get(postId);
+
+          if (!post || !isVisible(post)) {
+            rejected.add(postId);
+          } else if (accepted.length === limit) {
+            // First entry of the next page's first post
+            return {
+              accepted,
+              groups,
+              hasMore: true,
+              nextCursor: after ? encodeCursor({ m: 'date', ...after }) : null,
+            };
+          } else {
+            accepted.push(post);
+            groups.set(postId, []);
+          }
+        }
+
+        if (groups.has(postId) && candidate.entry) {
+          groups.get(postId).push(candidate.entry);
+        }
+      }
+
+      after = candidate.position;
+      scanned++;
+    }
+
+    if (candidates.length < SEARCH_BATCH_SIZE) {
+      return { accepted, groups, hasMore: false, nextCursor: null };
+    }
+  }
+
+  // Scan limit reached: let the client continue from here, skipping the rest
+  // of the post the scan stopped in
+  const lastPostId = accepted.length > 0 ? accepted[accepted.length - 1].id : null;
+  return {
+    accepted,
+    groups,
+    hasMore: true,
+    nextCursor: encodeCursor({ m: 'date', ...after, skip: lastPostId }),
+  };
+}
+
+/**
+ * Rank the most recent matching posts by relevance and return one page
+ * Pages are keyed on (score, creation time, post ID) so they stay stable
+ */
+async function collectRelevancePage({ fetchOptions, queryTerms, cursor, limit, isVisible }) {
+  const groups = new Map();
+  let after = null;
+  let scanned = 0;
+
+  while (scanned < MAX_RELEVANCE_CANDIDATES) {
+    const candidates = await fetchCandidates({ ...fetchOptions, direction: 'desc', after, limit: SEARCH_BATCH_SIZE });
+
+    candidates.forEach(candidate => {
+      if (!groups.has(candidate.postId)) groups.set(candidate.postId, []);
+      groups.get(candidate.postId).push(candidate.entry);
+      after = candidate.position;
+    });
+
+    scanned += candidates.length;
+    if (candidates.length < SEARCH_BATCH_SIZE) break;
+  }
+
+  const posts = await getDocsById('posts', [...groups.keys()]);
+  const ranked = [...posts.values()]
+    .filter(isVisible)
+    .map(post => ({
+      post,
+      score: scoreMatch(groups.get(post.id), queryTerms),
+      t: post.createdAt?.toMillis?.() ?? 0,
+    }))
+    .sort((a, b) => b.score - a.score || b.t - a.t || a.post.id.localeCompare(b.post.id));
+
+  const isAfterCursor = item => !cursor ||
+    item.score < cursor.s ||
+    (item.score === cursor.s && (item.t < cursor.t || (item.t === cursor.t && item.post.id > cursor.id)));
+
+  const remaining = ranked.filter(isAfterCursor);
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+  const hasMore = remaining.length > limit;
+
+  return {
+    accepted: page.map(item => item.post),
+    groups,
+    scores: Object.fromEntries(page.map(item => [item.post.id, item.score])),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ m: 'relevance', s: last.score, t: last.t, id: last.post.id }) : null,
+  };
+}
+
 /**
  * Advanced search across posts and comments
- * Supports filters: date range, department, type, status, search in comments
+ * Supports filters: date range, department, type, status, priority, anonymity,
+ * search in comments. Results respect the same privacy rules as the feeds.
+ * Text queries are answered from the search index; results are paged with an
+ * opaque cursor returned as pagination.nextCursor.
  */
 exports.advancedSearch = functions.https.onCall(async (data, context) => {
   try {
@@ -29,11 +487,11 @@ exports.advancedSearch = functions.https.onCall(async (data, context) => {
       query,
       searchInComments = false,
       filters = {},
-      page = 1,
-      limit = 20,
+      cursor: cursorParam = null,
       sortBy = 'createdAt',
       sortOrder = 'desc',
     } = data;
+    const limit = Math.min(Math.max(parseInt(data.limit, 10) || 20, 1), MAX_PAGE_SIZE);
 
     // Get actual user ID from auth session
     const userId = await getUserIdFromAuthSession(context.auth.uid);
@@ -50,154 +508,95 @@ exports.advancedSearch = functions.https.onCall(async (data, context) => {
 
     const userData = userDoc.data();
     const companyId = userData.companyId;
-
-    // Log search analytics
-    await db.collection('searchAnalytics').add({
-      userId,
-      companyId,
-      query,
-      filters,
-      searchInComments,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    // Build posts query
-    let postsQuery = db.collection('posts')
-      .where('companyId', '==', companyId);
-
-    // Apply filters
-    if (filters.department) {
-      postsQuery = postsQuery.where('department', '==', filters.department);
-    }
-    if (filters.type) {
-      postsQuery = postsQuery.where('type', '==', filters.type);
-    }
-    if (filters.status) {
-      postsQuery = postsQuery.where('status', '==', filters.status);
-    }
-    if (filters.priority) {
-      postsQuery = postsQuery.where('priority', '==', filters.priority);
-    }
-    if (filters.isAnonymous !== undefined) {
-      postsQuery = postsQuery.where('isAnonymous', '==', filters.isAnonymous);
+    const cursor = decodeCursor(cursorParam);
+
+    // Log search analytics once per search, not for every page
+    if (!cursor) {
+      await db.collection('searchAnalytics').add({
+        userId,
+        companyId,
+        query: query || '',
+        filters,
+        searchInComments,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      });
     }
 
-    // Execute query
-    const postsSnapshot = await postsQuery.get();
-    let posts = [];
-
-    postsSnapshot.forEach(doc => {
-      posts.push({
-        id: doc.id,
-        ...doc.data(),
-      });
+    // Firestore's array-contains-any takes at most 30 values: keep whole
+    // terms while their stems fit
+    const queryTerms = [];
+    let stemCount = 0;
+    analyzeQuery(query).forEach(term => {
+      if (stemCount + term.stems.length <= MAX_QUERY_STEMS) {
+        queryTerms.push(term);
+        stemCount += term.stems.length;
+      }
     });
 
-    // Client-side filtering for text search and date range
-    if (query && query.trim() !== '') {
-      const searchTerms = query.toLowerCase().split(' ').filter(t => t.length > 0);
-
-      posts = posts.filter(post => {
-        const title = (post.title || '').toLowerCase();
-        const content = (post.content || '').toLowerCase();
-        const tags = (post.tags || []).map(t => t.toLowerCase()).join(' ');
-        const searchableText = `${title} ${content} ${tags}`;
+    const useRelevance = sortBy === 'relevance' && queryTerms.length > 0;
+    const fetchOptions = {
+      companyId,
+      queryTerms,
+      includeComments: !!searchInComments,
+      direction: sortOrder === 'asc' ? 'asc' : 'desc',
+      dateRange: getDateRange(filters),
+    };
+    const isVisible = post => canViewPost(post, userData, userId) && matchesFilters(post, filters);
 
-        return searchTerms.some(term => searchableText.includes(term));
-      });
+    if (cursor && cursor.m !== (useRelevance ? 'relevance' : 'date')) {
+      throw new functions.https.HttpsError('invalid-argument', 'Cursor does not match this search');
     }
 
-    // Date range filter
-    if (filters.startDate || filters.endDate) {
-      posts = posts.filter(post => {
-        const postDate = post.createdAt?.toDate?.() || new Date(post.createdAt);
-
-        if (filters.startDate) {
-          const startDate = new Date(filters.startDate);
-          if (postDate < startDate) return false;
-        }
-
-        if (filters.endDate) {
-          const endDate = new Date(filters.endDate);
-          endDate.setHours(23, 59, 59, 999); // End of day
-          if (postDate > endDate) return false;
-        }
-
-        return true;
-      });
+    if (ADMIN_ROLES.includes(userData.role)) {
+      await assertAnonymousGroupSize({ query, filters, fetchOptions, isVisible });
     }
 
-    // Search in comments if requested
-    let commentResults = [];
-    if (searchInComments && query && query.trim() !== '') {
-      const commentsSnapshot = await db.collection('comments')
-        .where('companyId', '==', companyId)
-        .get();
-
-      const searchTerms = query.toLowerCase().split(' ').filter(t => t.length > 0);
-
-      commentsSnapshot.forEach(doc => {
-        const comment = doc.data();
-        const commentText = (comment.content || '').toLowerCase();
-
-        if (searchTerms.some(term => commentText.includes(term))) {
-          commentResults.push({
-            id: doc.id,
-            ...comment,
-            type: 'comment',
-          });
-        }
-      });
-
-      // Add posts that have matching comments
-      const postIdsWithComments = [...new Set(commentResults.map(c => c.postId))];
-      const postsWithComments = posts.filter(p => postIdsWithComments.includes(p.id));
+    const page = useRelevance
+      ? await collectRelevancePage({ fetchOptions, queryTerms, cursor, limit, isVisible })
+      : await collectDatePage({ fetchOptions, cursor, limit, isVisible });
 
-      // Merge results (avoid duplicates)
-      const existingPostIds = new Set(posts.map(p => p.id));
-      postsWithComments.forEach(post => {
-        if (!existingPostIds.has(post.id)) {
-          posts.push(post);
-        }
-      });
+    // Comments that matched on this page's posts
+    let commentResults = [];
+    if (searchInComments && queryTerms.length > 0) {
+      const postsById = new Map(page.accepted.map(post => [post.id, post]));
+      const commentIds = page.accepted.flatMap(post => (page.groups.get(post.id) || [])
+        .filter(entry => entry.kind === ENTRY_KIND.COMMENT)
+        .map(entry => entry.commentId));
+      const comments = await getDocsById('comments', commentIds);
+
+      commentResults = [...comments.values()]
+        .filter(comment => postsById.has(comment.postId))
+        .filter(comment => isScreeningCleared(comment) || (userId && comment.authorId === userId))
+        .map(comment => toCommentResult(comment, postsById.get(comment.postId)));
     }
 
-    // Sort results
-    posts.sort((a, b) => {
-      let aVal = a[sortBy];
-      let bVal = b[sortBy];
+    const results = page.accepted.map(post => ({
+      ...toPostResult(post),
+      score: page.scores?.[post.id] ?? scoreMatch(page.groups.get(post.id) || [], queryTerms),
+    }));
 
-      // Handle Firestore timestamps
-      if (aVal?.toDate) aVal = aVal.toDate();
-      if (bVal?.toDate) bVal = bVal.toDate();
-
-      if (sortOrder === 'desc') {
-        return bVal > aVal ? 1 : -1;
-      } else {
-        return aVal > bVal ? 1 : -1;
-      }
-    });
-
-    // Paginate
-    const total = posts.length;
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedPosts = posts.slice(startIndex, endIndex);
+    // Words and stems for highlighting, longest first
+    const terms = [...new Set(queryTerms.flatMap(({ term, stems }) => [
+      term,
+      ...stems.filter(stem => stem.length >= 3),
+    ]))].sort((a, b) => b.length - a.length);
 
     return {
       success: true,
-      results: paginatedPosts,
-      commentResults: searchInComments ? commentResults : [],
+      results,
+      commentResults,
+      terms,
       pagination: {
-        total,
-        page,
         limit,
-        totalPages: Math.ceil(total / limit),
-        hasMore: endIndex < total,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
       },
     };
   } catch (error) {
     console.error('Error in advancedSearch:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
@@ -227,7 +626,7 @@ exports.saveSearch = functions.https.onCall(async (data, context) => {
     const userData = userDoc.data();
 
     // Check if user has admin privileges
-    if (!['super_admin', 'company_admin', 'hr'].includes(userData.role)) {
+    if (!ADMIN_ROLES.includes(userData.role)) {
       throw new functions.https.HttpsError('permission-denied', 'Only admins can save searches');
     }
 
@@ -288,7 +687,7 @@ exports.getSavedSearches = functions.https.onCall(async (data, context) => {
     // Get saved searches for this user or company (if admin)
     let query = db.collection('savedSearches');
 
-    if (['super_admin', 'company_admin', 'hr'].includes(userData.role)) {
+    if (ADMIN_ROLES.includes(userData.role)) {
       // Admins can see all company searches
       query = query.where('companyId', '==', companyId);
     } else {
@@ -370,13 +769,30 @@ exports.useSavedSearch = functions.https.onCall(async (data, context) => {
 
     const { searchId } = data;
 
+    const userId = await getUserIdFromAuthSession(context.auth.uid);
+    const userDoc = userId ? await db.collection('users').doc(userId).get() : null;
+    const searchDoc = await db.collection('savedSearches').doc(searchId).get();
+
+    if (!userDoc?.exists || !searchDoc.exists || searchDoc.data().companyId !== userDoc.data().companyId) {
+      throw new functions.https.HttpsError('not-found', 'Search not found');
+    }
+
     await db.collection('savedSearches').doc(searchId).update({
       lastUsed: admin.firestore.FieldValue.serverTimestamp(),
       useCount: admin.firestore.FieldValue.increment(1),
     });
 
+    const search = searchDoc.data();
+
     return {
       success: true,
+      search: {
+        id: searchDoc.id,
+        name: search.name,
+        query: search.query || '',
+        filters: search.filters || {},
+        searchInComments: !!search.searchInComments,
+      },
     };
   } catch (error) {
     console.error('Error in useSavedSearch:', error);
@@ -409,7 +825,7 @@ exports.getSearchAnalytics = functions.https.onCall(async (data, context) => {
     const userData = userDoc.data();
 
     // Check if user has admin privileges
-    if (!['super_admin', 'company_admin', 'hr'].includes(userData.role)) {
+    if (!ADMIN_ROLES.includes(userData.role)) {
       throw new functions.https.HttpsError('permission-denied', 'Only admins can view search analytics');
     }
 
@@ -474,3 +890,53 @@ exports.getSearchAnalytics = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
+
+/**
+ * Rebuild the search index for a company (admin only)
+ * Backfills posts and comments written before the index existed; the
+ * Firestore triggers keep it current afterwards
+ */
+exports.rebuildSearchIndex = functions
+  .runWith({ timeoutSeconds: 540, memory: '1GB' })
+  .https.onCall(async (data, context) => {
+    try {
+      if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+      }
+
+      const userId = await getUserIdFromAuthSession(context.auth.uid);
+      const userDoc = userId ? await db.collection('users').doc(userId).get() : null;
+
+      if (!userDoc?.exists) {
+        throw new functions.https.HttpsError('unauthenticated', 'User session not found');
+      }
+
+      const userData = userDoc.data();
+      const isSuperAdmin = userData.role === 'super_admin';
+
+      if (!isSuperAdmin && userData.role !== 'company_admin') {
+        throw new functions.https.HttpsError('permission-denied', 'Only admins can rebuild the search index');
+      }
+
+      const companyId = isSuperAdmin && data?.companyId ? data.companyId : userData.companyId;
+
+      if (!companyId) {
+        throw new functions.https.HttpsError('invalid-argument', 'Company ID is required');
+      }
+
+      const counts = await rebuildCompanyIndex(companyId);
+      console.log(`Search index rebuilt for company ${companyId}:`, counts);
+
+      return {
+        success: true,
+        companyId,
+        ...counts,
+      };
+    } catch (error) {
+      console.error('Error in rebuildSearchIndex:', error);
+      if (error instanceof functions.https.HttpsError) {
+        throw error;
+      }
+      throw new functions.https.HttpsError('internal', error.message);
+    }
+  });
@@ -0,0 +1,67 @@
+/**
+ * Email Configuration
+ * Transport selection, sender defaults and delivery retry settings
+ */
+
+const { defineSecret, defineString, defineInt } = require('firebase-functions/params');
+
+// Transport used by the email queue worker: smtp, mailcatcher or file
+const emailTransport = defineString('EMAIL_TRANSPORT', { default: 'smtp' });
+
+// SMTP connection settings (also used by the mailcatcher transport for the host)
+const smtpHost = defineString('SMTP_HOST', { default: 'localhost' });
+const smtpPort = defineInt('SMTP_PORT', { default: 587 });
+const smtpUser = defineString('SMTP_USER', { default: '' });
+const smtpPassword = defineSecret('SMTP_PASSWORD');
+
+// Default sender, overridden per company by companies/{id}.emailBranding
+const emailFromAddress = defineString('EMAIL_FROM_ADDRESS', { default: 'no-reply@voxwel.com' });
+const emailFromName = defineString('EMAIL_FROM_NAME', { default: 'Voxwel' });
+
+// Output directory for the file transport
+const emailFileDir = defineString('EMAIL_FILE_DIR', { default: '' });
+
+/**
+ * Email queue statuses
+ */
+const EMAIL_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  RETRYING: 'retrying',
+  SENT: 'sent',
+  DEAD_LETTER: 'dead_letter',
+};
+
+/**
+ * Email types written to the queue
+ */
+const EMAIL_TYPE = {
+  DAILY_DIGEST: 'daily_digest',
+  WEEKLY_DIGEST: 'weekly_digest',
+  IMMEDIATE: 'immediate',
+  PASSWORD_RESET: 'password_reset',
+};
+
+/**
+ * Delivery retry configuration
+ */
+const DELIVERY = {
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_DELAY_MS: 60 * 1000, // 1 minute, doubled per attempt
+  SENDING_TIMEOUT_MS: 10 * 60 * 1000, // Reclaim emails stuck in "sending"
+  BATCH_LIMIT: 50,
+};
+
+module.exports = {
+  emailTransport,
+  smtpHost,
+  smtpPort,
+  smtpUser,
+  smtpPassword, // Export for function config
+  emailFromAddress,
+  emailFromName,
+  emailFileDir,
+  EMAIL_STATUS,
+  EMAIL_TYPE,
+  DELIVERY,
+};
@@ -31,6 +31,35 @@ const COLLECTIONS = {
   PRICING_TIERS: 'pricingTiers',
   BILLING_DISPUTES: 'billingDisputes',
   REVENUE_REPORTS: 'revenueReports',
+  INVITES: 'invites',
+  DEPARTMENTS: 'departments',
+  USER_CREDENTIALS: 'userCredentials',
+  AUTH_SESSIONS: 'authSessions',
+  PASSWORD_RESETS: 'passwordResets',
+  SEARCH_INDEX: 'searchIndex',
+  SYSTEM_AUDIT_LOGS: 'systemAuditLogs',
+  AUDIT_CHAIN_HEADS: 'auditChainHeads',
+  AUDIT_CHECKPOINTS: 'auditCheckpoints',
+  RETENTION_POLICIES: 'retentionPolicies',
+  LEGAL_HOLDS: 'legalHolds',
+  BALLOTS: 'ballots',
+  ANALYTICS_DAILY: 'analyticsDaily',
+  ANALYTICS_POSTS: 'analyticsPosts',
+  DELAYED_ANONYMOUS_POSTS: 'delayedAnonymousPosts',
+  MODERATION_POLICIES: 'moderationPolicies',
+  MODERATION_ACTIVITIES: 'moderationActivities',
+  MODERATION_APPEALS: 'moderationAppeals',
+  USER_STRIKES: 'userStrikes',
+  USER_RESTRICTIONS: 'userRestrictions',
+  COMPANY_DATA_KEYS: 'companyDataKeys',
+  KEY_VAULT: 'keyVault',
+  KEY_ROTATION_JOBS: 'keyRotationJobs',
+  DISCLOSURE_SESSIONS: 'disclosureSessions',
+  DISCLOSURE_AUDIT_LOG: 'disclosureAuditLog',
+  LEGAL_REQUESTS: 'legalRequests',
+  LEGAL_APPROVAL_POLICIES: 'legalApprovalPolicies',
+  ANONYMOUS_THREADS: 'anonymousThreads',
+  ANONYMOUS_AUTHORS: 'anonymousAuthors',
 };
 
 /**
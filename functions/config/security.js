@@ -0,0 +1,49 @@
+/**
+ * Security Configuration
+ * Secrets used to sign tokens issued by Cloud Functions and credential settings
+ */
+
+const { defineSecret } = require('firebase-functions/params');
+
+// HMAC key for signing company invitation tokens
+const inviteSigningSecret = defineSecret('INVITE_SIGNING_SECRET');
+
+// Passphrase anonymous author IDs and thread messages were encrypted with
+// before per-company data keys. Only read to decrypt that older content
+const anonymousSecret = defineSecret('ANONYMOUS_SECRET');
+
+// Wraps each company's data keys (see services/encryptionService.js)
+const keyEncryptionKey = defineSecret('KEY_ENCRYPTION_KEY');
+
+// HMAC key for the opaque author tokens that mark a user's anonymous content
+const authorTokenSecret = defineSecret('AUTHOR_TOKEN_SECRET');
+
+// Ed25519 private key (PKCS8 PEM) that signs audit chain checkpoints
+const auditSigningKey = defineSecret('AUDIT_SIGNING_KEY');
+
+/**
+ * Password hashing and login lockout settings
+ */
+const CREDENTIALS = {
+  SCRYPT: {
+    N: 16384, // CPU/memory cost
+    r: 8,
+    p: 1,
+    KEY_LENGTH: 64,
+    SALT_LENGTH: 16,
+  },
+  MAX_FAILED_ATTEMPTS: 5,
+  LOCKOUT_MINUTES: 15,
+  MIN_PASSWORD_LENGTH: 6,
+  RESET_TOKEN_TTL_MINUTES: 60,
+  RESET_REQUEST_COOLDOWN_MINUTES: 2,
+};
+
+module.exports = {
+  inviteSigningSecret, // Export for function config
+  anonymousSecret,
+  keyEncryptionKey,
+  authorTokenSecret,
+  auditSigningKey,
+  CREDENTIALS,
+};
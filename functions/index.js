@@ -37,6 +37,7 @@ const {
   deleteSavedSearch,
   useSavedSearch,
   getSearchAnalytics,
+  rebuildSearchIndex,
 } = require('./api/searchApi');
 
 // Notification API
@@ -53,8 +54,95 @@ const {
 // Auth API
 const {
   generateAuthToken,
+  setUserPassword,
+  migrateLegacyCredentials,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  setPasswordChangeRequired,
 } = require('./api/authApi');
 
+// Invite API
+const {
+  createInvite,
+  revokeInvite,
+  validateInvite,
+  checkInviteUsername,
+  registerWithInvite,
+} = require('./api/inviteApi');
+
+// Retention API
+const {
+  getCompanyRetentionPolicy,
+  updateCompanyRetentionPolicy,
+  previewCompanyRetention,
+} = require('./api/retentionApi');
+
+// Analytics API
+const { getCompanyAnalytics, rebuildCompanyAnalytics } = require('./api/analyticsApi');
+
+// Moderation Policy API
+const { updateCompanyModerationPolicy } = require('./api/moderationPolicyApi');
+
+// Content Screening API
+const { reviewScreenedContent } = require('./api/screeningApi');
+
+// Legal Hold API
+const {
+  placeLegalHold,
+  releaseLegalHold,
+} = require('./api/legalHoldApi');
+const {
+  reviewLegalRequest,
+  updateLegalApprovalPolicy,
+} = require('./api/legalRequestApi');
+
+// Audit API
+const {
+  logSystemActivity,
+  verifyAuditChain,
+  exportAuditCheckpoints,
+} = require('./api/auditApi');
+
+// Anonymous Content API
+const {
+  createAnonymousPost,
+  createAnonymousComment,
+  getEncryptedAuthorId,
+} = require('./api/anonymousContentApi');
+
+// Anonymous Thread API
+const {
+  sendThreadMessage,
+  getAnonymousThread,
+  getThreadPreviews,
+} = require('./api/anonymousThreadApi');
+
+// Key Vault API
+const {
+  initializeKeyVault,
+  rotateKeyVault,
+  reinitializeKeyVault,
+  configureKeyCustody,
+  getKeyVaultStatuses,
+  getDisclosureSession,
+  getCustodianRequests,
+  submitCustodyShare,
+  combineAndDecrypt,
+} = require('./api/keyVaultApi');
+
+// Ballot API
+const { castBallot } = require('./api/ballotApi');
+
+// Migration API
+const {
+  backfillPostSortFields,
+  scrubAnonymousAuthors,
+  migrateAnonymousAuthorTokens,
+  backfillScreeningStatus,
+  migrateBallots,
+} = require('./api/migrationApi');
+
 // Webhooks - COMMENTED OUT FOR NOW
 // const { handleStripeWebhook } = require('./webhooks/stripeWebhook');
 
@@ -72,6 +160,78 @@ const {
   weeklyEmailDigestJob,
 } = require('./scheduled/notificationJobs');
 
+const {
+  publishScheduledPostsJob,
+} = require('./scheduled/postJobs');
+
+const {
+  processEmailQueueJob,
+} = require('./scheduled/emailJobs');
+
+const {
+  retentionPolicyJob,
+} = require('./scheduled/retentionJobs');
+
+const {
+  analyticsRollupJob,
+} = require('./scheduled/analyticsJobs');
+
+const {
+  publishDelayedAnonymousPostsJob,
+} = require('./scheduled/anonymousContentJobs');
+
+const {
+  moderationExpiryJob,
+} = require('./scheduled/moderationJobs');
+
+const {
+  keyRotationResumeJob,
+} = require('./scheduled/keyRotationJobs');
+
+const {
+  auditCheckpointJob,
+} = require('./scheduled/auditJobs');
+
+const {
+  legacyCredentialMigrationJob,
+} = require('./scheduled/credentialJobs');
+
+// Firestore Triggers
+const {
+  sendQueuedEmail,
+  queueImmediateNotificationEmail,
+} = require('./triggers/emailTriggers');
+
+const {
+  indexPostForSearch,
+  indexCommentForSearch,
+} = require('./triggers/searchIndexTriggers');
+
+const {
+  holdNewPosts,
+  holdNewComments,
+  holdNewThreads,
+} = require('./triggers/legalHoldTriggers');
+
+const {
+  rollupPostAnalytics,
+  rollupCommentAnalytics,
+} = require('./triggers/analyticsTriggers');
+
+const {
+  screenPosts,
+  screenComments,
+  screenThreadMessages,
+} = require('./triggers/screeningTriggers');
+
+const {
+  reencryptOnKeyRotation,
+} = require('./triggers/keyRotationTriggers');
+
+const {
+  escalateNewAppeals,
+} = require('./triggers/moderationTriggers');
+
 // Export Company Admin Functions
 exports.createCompanySubscription = createCompanySubscription;
 exports.cancelCompanySubscription = cancelCompanySubscription;
@@ -105,6 +265,31 @@ exports.updatePricingTier = updatePricingTier;
 // exports.usageTrackingSyncJob = usageTrackingSyncJob;
 exports.dailyEmailDigestJob = dailyEmailDigestJob;
 exports.weeklyEmailDigestJob = weeklyEmailDigestJob;
+exports.publishScheduledPostsJob = publishScheduledPostsJob;
+exports.processEmailQueueJob = processEmailQueueJob;
+exports.retentionPolicyJob = retentionPolicyJob;
+exports.analyticsRollupJob = analyticsRollupJob;
+exports.publishDelayedAnonymousPostsJob = publishDelayedAnonymousPostsJob;
+exports.moderationExpiryJob = moderationExpiryJob;
+exports.keyRotationResumeJob = keyRotationResumeJob;
+exports.auditCheckpointJob = auditCheckpointJob;
+exports.legacyCredentialMigrationJob = legacyCredentialMigrationJob;
+
+// Export Firestore Triggers
+exports.sendQueuedEmail = sendQueuedEmail;
+exports.queueImmediateNotificationEmail = queueImmediateNotificationEmail;
+exports.indexPostForSearch = indexPostForSearch;
+exports.indexCommentForSearch = indexCommentForSearch;
+exports.holdNewPosts = holdNewPosts;
+exports.holdNewComments = holdNewComments;
+exports.holdNewThreads = holdNewThreads;
+exports.rollupPostAnalytics = rollupPostAnalytics;
+exports.rollupCommentAnalytics = rollupCommentAnalytics;
+exports.screenPosts = screenPosts;
+exports.screenComments = screenComments;
+exports.screenThreadMessages = screenThreadMessages;
+exports.reencryptOnKeyRotation = reencryptOnKeyRotation;
+exports.escalateNewAppeals = escalateNewAppeals;
 
 // Export Search Functions
 exports.advancedSearch = advancedSearch;
@@ -113,6 +298,7 @@ exports.getSavedSearches = getSavedSearches;
 exports.deleteSavedSearch = deleteSavedSearch;
 exports.useSavedSearch = useSavedSearch;
 exports.getSearchAnalytics = getSearchAnalytics;
+exports.rebuildSearchIndex = rebuildSearchIndex;
 
 // Export Notification Functions
 exports.getNotificationPreferences = getNotificationPreferences;
@@ -125,3 +311,75 @@ exports.getUnreadCount = getUnreadCount;
 
 // Export Auth Functions
 exports.generateAuthToken = generateAuthToken;
+exports.setUserPassword = setUserPassword;
+exports.migrateLegacyCredentials = migrateLegacyCredentials;
+exports.requestPasswordReset = requestPasswordReset;
+exports.resetPassword = resetPassword;
+exports.changePassword = changePassword;
+exports.setPasswordChangeRequired = setPasswordChangeRequired;
+
+// Export Invite Functions
+exports.createInvite = createInvite;
+exports.revokeInvite = revokeInvite;
+exports.validateInvite = validateInvite;
+exports.checkInviteUsername = checkInviteUsername;
+exports.registerWithInvite = registerWithInvite;
+
+// Export Retention Functions
+exports.getCompanyRetentionPolicy = getCompanyRetentionPolicy;
+exports.updateCompanyRetentionPolicy = updateCompanyRetentionPolicy;
+exports.previewCompanyRetention = previewCompanyRetention;
+
+// Export Analytics Functions
+exports.getCompanyAnalytics = getCompanyAnalytics;
+exports.rebuildCompanyAnalytics = rebuildCompanyAnalytics;
+
+// Export Moderation Policy Functions
+exports.updateCompanyModerationPolicy = updateCompanyModerationPolicy;
+
+// Export Content Screening Functions
+exports.reviewScreenedContent = reviewScreenedContent;
+
+// Export Legal Hold Functions
+exports.placeLegalHold = placeLegalHold;
+exports.releaseLegalHold = releaseLegalHold;
+
+// Export Legal Request Functions
+exports.reviewLegalRequest = reviewLegalRequest;
+exports.updateLegalApprovalPolicy = updateLegalApprovalPolicy;
+
+// Export Audit Functions
+exports.logSystemActivity = logSystemActivity;
+exports.verifyAuditChain = verifyAuditChain;
+exports.exportAuditCheckpoints = exportAuditCheckpoints;
+
+// Export Anonymous Content Functions
+exports.createAnonymousPost = createAnonymousPost;
+exports.createAnonymousComment = createAnonymousComment;
+exports.getEncryptedAuthorId = getEncryptedAuthorId;
+
+// Export Anonymous Thread Functions
+exports.sendThreadMessage = sendThreadMessage;
+exports.getAnonymousThread = getAnonymousThread;
+exports.getThreadPreviews = getThreadPreviews;
+
+// Export Key Vault Functions
+exports.initializeKeyVault = initializeKeyVault;
+exports.rotateKeyVault = rotateKeyVault;
+exports.reinitializeKeyVault = reinitializeKeyVault;
+exports.configureKeyCustody = configureKeyCustody;
+exports.getKeyVaultStatuses = getKeyVaultStatuses;
+exports.getDisclosureSession = getDisclosureSession;
+exports.getCustodianRequests = getCustodianRequests;
+exports.submitCustodyShare = submitCustodyShare;
+exports.combineAndDecrypt = combineAndDecrypt;
+
+// Export Ballot Functions
+exports.castBallot = castBallot;
+
+// Export Migration Functions
+exports.backfillPostSortFields = backfillPostSortFields;
+exports.scrubAnonymousAuthors = scrubAnonymousAuthors;
+exports.migrateAnonymousAuthorTokens = migrateAnonymousAuthorTokens;
+exports.backfillScreeningStatus = backfillScreeningStatus;
+exports.migrateBallots = migrateBallots;
@@ -0,0 +1,40 @@
+/**
+ * Scheduled jobs for analytics rollups
+ * Rebuilds every company's daily analytics summaries once a night
+ */
+
+const functions = require('firebase-functions');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { rebuildCompanyRollups } = require('../services/analyticsRollupService');
+
+/**
+ * Analytics rollup job
+ * Runs daily at 2 AM UTC; one company failing does not stop the others
+ */
+exports.analyticsRollupJob = functions
+  .runWith({ timeoutSeconds: 540, memory: '1GB' })
+  .pubsub
+  .schedule('0 2 * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      console.log('Running analytics rollup job...');
+
+      const companiesSnapshot = await db.collection(COLLECTIONS.COMPANIES).get();
+
+      for (const companyDoc of companiesSnapshot.docs) {
+        try {
+          const summary = await rebuildCompanyRollups(companyDoc.id);
+          console.log(`Analytics rebuilt for company ${companyDoc.id}:`, summary);
+        } catch (error) {
+          console.error(`Error rebuilding analytics for company ${companyDoc.id}:`, error);
+        }
+      }
+
+      console.log('Analytics rollup job completed');
+      return null;
+    } catch (error) {
+      console.error('Error in analyticsRollupJob:', error);
+      return null;
+    }
+  });
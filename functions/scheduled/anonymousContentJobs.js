@@ -0,0 +1,25 @@
+/**
+ * Scheduled jobs for anonymous content
+ * Publishes anonymous posts whose random publishing delay has passed
+ */
+
+const functions = require('firebase-functions');
+const { publishDueAnonymousPosts } = require('../services/anonymousContentService');
+
+/**
+ * Delayed anonymous post publisher job
+ * Runs every 5 minutes, like the scheduled post publisher
+ */
+exports.publishDelayedAnonymousPostsJob = functions.pubsub
+  .schedule('*/5 * * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      const { published, failed } = await publishDueAnonymousPosts();
+      console.log(`Delayed anonymous posts: ${published} published, ${failed} failed`);
+      return null;
+    } catch (error) {
+      console.error('Error in publishDelayedAnonymousPostsJob:', error);
+      return null;
+    }
+  });
@@ -0,0 +1,28 @@
+/**
+ * Scheduled jobs for the audit log
+ * Signs checkpoints of the audit chains that were written to
+ */
+
+const functions = require('firebase-functions');
+const { auditSigningKey } = require('../config/security');
+const { createAuditCheckpoints } = require('../services/auditChainService');
+
+/**
+ * Audit checkpoint job
+ * Runs hourly; chains with no new entries are not checkpointed again
+ */
+exports.auditCheckpointJob = functions
+  .runWith({ timeoutSeconds: 300, memory: '256MB', secrets: [auditSigningKey] })
+  .pubsub
+  .schedule('0 * * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      const summary = await createAuditCheckpoints();
+      console.log('Audit checkpoints created:', summary);
+      return null;
+    } catch (error) {
+      console.error('Error in createAuditCheckpoints:', error);
+      return null;
+    }
+  });
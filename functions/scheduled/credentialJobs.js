@@ -0,0 +1,30 @@
+/**
+ * Scheduled jobs for credentials
+ * Strips legacy password hashes from user documents, which clients can read
+ */
+
+const functions = require('firebase-functions');
+const { migrateLegacyCredentials } = require('../services/credentialService');
+
+/**
+ * Legacy credential migration job
+ * Runs every 15 minutes, so hashes are moved soon after a deploy; once none
+ * are left each run finds nothing to do
+ */
+exports.legacyCredentialMigrationJob = functions
+  .runWith({ timeoutSeconds: 540, memory: '256MB' })
+  .pubsub
+  .schedule('*/15 * * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      const migrated = await migrateLegacyCredentials();
+      if (migrated > 0) {
+        console.log(`Migrated ${migrated} legacy credentials`);
+      }
+      return null;
+    } catch (error) {
+      console.error('Error in migrateLegacyCredentials:', error);
+      return null;
+    }
+  });
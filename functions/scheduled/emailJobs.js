@@ -0,0 +1,31 @@
+/**
+ * Scheduled jobs for email delivery
+ * Drains the emailQueue collection, including retries and stuck sends
+ */
+
+const functions = require('firebase-functions');
+const { drainEmailQueue } = require('../services/emailService');
+const { smtpPassword } = require('../config/email');
+
+/**
+ * Email queue worker job
+ * Runs every minute and delivers pending emails and retries that are due
+ */
+exports.processEmailQueueJob = functions
+  .runWith({ secrets: [smtpPassword] })
+  .pubsub
+  .schedule('* * * * *') // Run every minute
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      console.log('Running email queue job...');
+
+      const results = await drainEmailQueue();
+
+      console.log('Email queue job completed:', JSON.stringify(results));
+      return null;
+    } catch (error) {
+      console.error('Error in processEmailQueueJob:', error);
+      return null;
+    }
+  });
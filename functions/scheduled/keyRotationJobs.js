@@ -0,0 +1,31 @@
+/**
+ * Scheduled jobs for key rotation
+ * Resumes re-encryption jobs that a timeout or error stopped part way
+ */
+
+const functions = require('firebase-functions');
+const { anonymousSecret, keyEncryptionKey } = require('../config/security');
+const { resumeKeyRotationJobs } = require('../services/keyRotationService');
+
+// Leave time to save progress before the function times out
+const RUN_SECONDS = 480;
+
+/**
+ * Key rotation resume job
+ * Runs every 10 minutes; jobs another run still holds are skipped
+ */
+exports.keyRotationResumeJob = functions
+  .runWith({ timeoutSeconds: 540, memory: '512MB', secrets: [keyEncryptionKey, anonymousSecret] })
+  .pubsub
+  .schedule('*/10 * * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      const summary = await resumeKeyRotationJobs(Date.now() + RUN_SECONDS * 1000);
+      console.log('Key rotation jobs resumed:', summary);
+      return null;
+    } catch (error) {
+      console.error('Error in resumeKeyRotationJobs:', error);
+      return null;
+    }
+  });
@@ -0,0 +1,25 @@
+/**
+ * Scheduled jobs for content moderation
+ * Lifts expired restrictions and suspensions and decays expired strikes
+ */
+
+const functions = require('firebase-functions');
+const { applyModerationExpiries } = require('../services/moderationExpiryService');
+
+/**
+ * Moderation expiry job
+ * Runs hourly, so nobody stays restricted much past their end date
+ */
+exports.moderationExpiryJob = functions.pubsub
+  .schedule('0 * * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      const summary = await applyModerationExpiries();
+      console.log('Moderation expiries applied:', summary);
+      return null;
+    } catch (error) {
+      console.error('Error in moderationExpiryJob:', error);
+      return null;
+    }
+  });
@@ -5,6 +5,8 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { queueEmail } = require('../services/emailService');
+const { EMAIL_TYPE } = require('../config/email');
 
 // Initialize admin if not already done
 if (!admin.apps.length) {
@@ -134,14 +136,14 @@ async function sendDailyDigest(userId) {
     // Create digest email
     const emailContent = createDigestEmail(userData, groupedNotifications, 'daily');
 
-    // Save to email queue (you would need to implement actual email sending)
-    await db.collection('emailQueue').add({
+    // Save to email queue (delivered by the email queue worker)
+    await queueEmail({
       to: email,
       subject: `Your Daily Digest - ${notifications.length} new notifications`,
       html: emailContent,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      status: 'pending',
-      type: 'daily_digest',
+      type: EMAIL_TYPE.DAILY_DIGEST,
+      userId,
+      companyId: userData.companyId || null,
     });
 
     console.log(`Daily digest queued for user ${userId}`);
@@ -194,14 +196,14 @@ async function sendWeeklyDigest(userId) {
     // Create digest email
     const emailContent = createDigestEmail(userData, groupedNotifications, 'weekly', weeklyStats);
 
-    // Save to email queue
-    await db.collection('emailQueue').add({
+    // Save to email queue (delivered by the email queue worker)
+    await queueEmail({
       to: email,
       subject: `Your Weekly Digest - ${notifications.length} notifications this week`,
       html: emailContent,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      status: 'pending',
-      type: 'weekly_digest',
+      type: EMAIL_TYPE.WEEKLY_DIGEST,
+      userId,
+      companyId,
     });
 
     console.log(`Weekly digest queued for user ${userId}`);
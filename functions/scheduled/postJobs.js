@@ -0,0 +1,247 @@
+/**
+ * Scheduled jobs for post lifecycle
+ * Publishes scheduled posts once their publish date has passed
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Initialize admin if not already done
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Publish attempts before a scheduled post is marked as failed
+const MAX_PUBLISH_ATTEMPTS = 5;
+
+// Delay before the first retry; doubled on every further attempt
+const RETRY_BASE_DELAY_MINUTES = 5;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Scheduled post publisher job
+ * Runs every 5 minutes and publishes every scheduled post that is due
+ */
+exports.publishScheduledPostsJob = functions.pubsub
+  .schedule('*/5 * * * *') // Run every 5 minutes
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      console.log('Running scheduled post publisher job...');
+
+      const now = new Date();
+
+      const duePostsSnapshot = await db.collection('posts')
+        .where('isScheduled', '==', true)
+        .where('scheduledPublishDate', '<=', now)
+        .get();
+
+      // Skip posts that already failed for good or are waiting for their next retry
+      const duePosts = duePostsSnapshot.docs.filter(postDoc => {
+        const post = postDoc.data();
+        if (post.publishStatus === 'failed') return false;
+
+        const nextAttempt = post.nextPublishAttemptAt?.toDate?.();
+        return !nextAttempt || nextAttempt <= now;
+      });
+
+      console.log(`Found ${duePosts.length} scheduled posts due for publishing`);
+
+      let published = 0;
+      let failed = 0;
+
+      for (const postDoc of duePosts) {
+        try {
+          const didPublish = await publishPost(postDoc.ref);
+          if (didPublish) published++;
+        } catch (error) {
+          failed++;
+          console.error(`Error publishing scheduled post ${postDoc.id}:`, error);
+          await recordPublishFailure(postDoc.ref, error);
+        }
+      }
+
+      console.log(`Scheduled post publisher job completed: ${published} published, ${failed} failed`);
+      return null;
+    } catch (error) {
+      console.error('Error in publishScheduledPostsJob:', error);
+      return null;
+    }
+  });
+
+/**
+ * Publish a single scheduled post
+ * Runs in a transaction so a post published manually in the meantime
+ * is not published (and announced) twice
+ * @returns {Promise<boolean>} True if the post was published by this call
+ */
+async function publishPost(postRef) {
+  const postData = await db.runTransaction(async (transaction) => {
+    const postSnap = await transaction.get(postRef);
+
+    if (!postSnap.exists || postSnap.data().isScheduled !== true) {
+      return null;
+    }
+
+    const post = postSnap.data();
+
+    // Validate that department-only posts have a departmentId
+    if (post.privacyLevel === 'department_only' && !post.departmentId) {
+      throw new Error('Cannot publish department-only post without departmentId');
+    }
+
+    // Only update scheduling-related fields, preserving all other data
+    transaction.update(postRef, {
+      isScheduled: false,
+      status: 'open',
+      publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      publishStatus: admin.firestore.FieldValue.delete(),
+      publishAttempts: admin.firestore.FieldValue.delete(),
+      lastPublishError: admin.firestore.FieldValue.delete(),
+      nextPublishAttemptAt: admin.firestore.FieldValue.delete(),
+    });
+
+    return post;
+  });
+
+  if (!postData) {
+    return false;
+  }
+
+  await db.collection('postActivities').add({
+    postId: postRef.id,
+    type: 'created',
+    companyId: postData.companyId || null,
+    metadata: {
+      companyId: postData.companyId || null,
+      scheduledPublish: true,
+      publishedBy: 'scheduler',
+      privacyLevel: postData.privacyLevel || null,
+      departmentId: postData.departmentId || null,
+    },
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  try {
+    await notifyFollowers(postRef.id, postData);
+  } catch (error) {
+    // Don't fail the publish if notifications fail
+    console.error(`Error notifying followers of post ${postRef.id}:`, error);
+  }
+
+  console.log(`Scheduled post ${postRef.id} published`);
+  return true;
+}
+
+/**
+ * Record a failed publish attempt
+ * Schedules a retry with exponential backoff, or marks the post as failed
+ * and notifies the author once all attempts are used up
+ */
+async function recordPublishFailure(postRef, error) {
+  try {
+    const postSnap = await postRef.get();
+    if (!postSnap.exists) return;
+
+    const post = postSnap.data();
+    const attempts = (post.publishAttempts || 0) + 1;
+    const exhausted = attempts >= MAX_PUBLISH_ATTEMPTS;
+
+    const update = {
+      publishAttempts: attempts,
+      lastPublishError: error.message || 'Unknown error',
+      lastPublishAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      publishStatus: exhausted ? 'failed' : 'retrying',
+    };
+
+    if (exhausted) {
+      update.nextPublishAttemptAt = admin.firestore.FieldValue.delete();
+    } else {
+      const delayMinutes = RETRY_BASE_DELAY_MINUTES * Math.pow(2, attempts - 1);
+      update.nextPublishAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+    }
+
+    await postRef.update(update);
+
+    // The author of an anonymous post is stored only encrypted
+    const authorId = post.isAnonymous ? null : post.authorId;
+    if (exhausted && authorId) {
+      await db.collection('notifications').add({
+        userId: authorId,
+        type: 'scheduled_post_failed',
+        title: 'Scheduled Post Failed',
+        message: `Your scheduled post "${post.title}" could not be published. Open Scheduled Posts to retry.`,
+        companyId: post.companyId || null,
+        metadata: { postId: postRef.id, error: update.lastPublishError },
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  } catch (updateError) {
+    console.error(`Error recording publish failure for post ${postRef.id}:`, updateError);
+  }
+}
+
+/**
+ * Notify users who follow new posts in the company
+ * Followers are users with the in-app "newPosts" preference enabled who are
+ * allowed to see the post under its privacy level
+ */
+async function notifyFollowers(postId, post) {
+  if (!post.companyId) return;
+
+  const usersSnapshot = await db.collection('users')
+    .where('companyId', '==', post.companyId)
+    .where('status', '==', 'active')
+    .get();
+
+  const authorId = post.isAnonymous ? null : post.authorId;
+
+  const audience = usersSnapshot.docs.filter(userDoc => {
+    const user = userDoc.data();
+    if (userDoc.id === authorId) return false;
+
+    if (post.privacyLevel === 'hr_only') {
+      return ['hr', 'company_admin'].includes(user.role);
+    }
+    if (post.privacyLevel === 'department_only') {
+      return user.departmentId === post.departmentId || ['hr', 'company_admin'].includes(user.role);
+    }
+    return true;
+  });
+
+  if (audience.length === 0) return;
+
+  const prefRefs = audience.map(userDoc => db.collection('notificationPreferences').doc(userDoc.id));
+  const prefDocs = await db.getAll(...prefRefs);
+
+  const followerIds = prefDocs
+    .filter(prefDoc => prefDoc.exists && prefDoc.data().inApp?.newPosts === true)
+    .map(prefDoc => prefDoc.id);
+
+  for (let i = 0; i < followerIds.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+
+    followerIds.slice(i, i + BATCH_SIZE).forEach(userId => {
+      batch.set(db.collection('notifications').doc(), {
+        userId,
+        type: 'new_post',
+        title: 'New Post',
+        message: `New post published: "${post.title}"`,
+        companyId: post.companyId,
+        metadata: { postId },
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    await batch.commit();
+  }
+
+  console.log(`Notified ${followerIds.length} followers of post ${postId}`);
+}
@@ -0,0 +1,46 @@
+/**
+ * Scheduled jobs for data retention
+ * Applies every enabled company retention policy once a day
+ */
+
+const functions = require('firebase-functions');
+const { db, COLLECTIONS } = require('../config/firebase');
+const { getRetentionPolicy, applyRetentionPolicy } = require('../services/retentionService');
+
+/**
+ * Retention policy job
+ * Runs daily at 3 AM UTC; one company failing does not stop the others
+ */
+exports.retentionPolicyJob = functions
+  .runWith({ timeoutSeconds: 540, memory: '512MB' })
+  .pubsub
+  .schedule('0 3 * * *')
+  .timeZone('UTC')
+  .onRun(async () => {
+    try {
+      console.log('Running retention policy job...');
+
+      const policiesSnapshot = await db.collection(COLLECTIONS.RETENTION_POLICIES)
+        .where('enabled', '==', true)
+        .get();
+
+      console.log(`Found ${policiesSnapshot.size} companies with retention enabled`);
+
+      for (const policyDoc of policiesSnapshot.docs) {
+        const companyId = policyDoc.id;
+        try {
+          const policy = await getRetentionPolicy(companyId);
+          const summary = await applyRetentionPolicy(companyId, policy);
+          console.log(`Retention applied for company ${companyId}:`, summary);
+        } catch (error) {
+          console.error(`Error applying retention for company ${companyId}:`, error);
+        }
+      }
+
+      console.log('Retention policy job completed');
+      return null;
+    } catch (error) {
+      console.error('Error in retentionPolicyJob:', error);
+      return null;
+    }
+  });
@@ -0,0 +1,229 @@
+/**
+ * Analytics Report Service
+ * Builds the analytics page's report for a date range from analyticsDaily.
+ *
+ * The daily summaries describe small groups, so they are never sent to
+ * clients. The report applies the company's k-anonymity threshold first: a
+ * range with fewer posts than the threshold is not broken down at all,
+ * departments with fewer members are merged into "Other", and trend points
+ * with fewer posts are hidden.
+ */
+
+const { db, COLLECTIONS } = require('../config/firebase');
+const { getMinGroupSize } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ranges longer than this are charted by week instead of by day
+const MAX_DAILY_TREND_DAYS = 90;
+
+// Contributors listed in the report
+const TOP_CONTRIBUTORS = 10;
+
+const SUMMARY_FIELDS = ['posts', 'comments', 'resolved', 'responses', 'responseHours', 'resolutions', 'resolutionHours'];
+
+/**
+ * UTC day of a date, as YYYY-MM-DD, matching the keys of the daily summaries
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDayKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Number of days in a date range, both ends included
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {number}
+ */
+function countRangeDays(startDate, endDate) {
+  return Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1;
+}
+
+function addCounts(target, source) {
+  Object.entries(source || {}).forEach(([key, count]) => {
+    target[key] = (target[key] || 0) + count;
+  });
+}
+
+function addNestedCounts(target, source) {
+  Object.entries(source || {}).forEach(([key, counts]) => {
+    target[key] = target[key] || {};
+    addCounts(target[key], counts);
+  });
+}
+
+/**
+ * Add up daily analytics summaries
+ * @param {Array} summaries - Daily summaries from analyticsDaily
+ * @returns {Object} Totals with the same fields as a daily summary
+ */
+function combineDailySummaries(summaries) {
+  const totals = {
+    ...Object.fromEntries(SUMMARY_FIELDS.map(field => [field, 0])),
+    byType: {},
+    byStatus: {},
+    byPriority: {},
+    departments: {},
+    contributors: {},
+  };
+
+  summaries.forEach((summary) => {
+    SUMMARY_FIELDS.forEach((field) => {
+      totals[field] += summary[field] || 0;
+    });
+    addCounts(totals.byType, summary.byType);
+    addCounts(totals.byStatus, summary.byStatus);
+    addCounts(totals.byPriority, summary.byPriority);
+    addNestedCounts(totals.departments, summary.departments);
+    addNestedCounts(totals.contributors, summary.contributors);
+  });
+
+  return totals;
+}
+
+/**
+ * Posts created per day across a date range, or per week for long ranges,
+ * with points under the threshold hidden
+ * Days without a summary count as zero, and empty points stay visible since
+ * they say nothing about anyone
+ * @returns {{interval: string, points: Array<{date: string, count: number|null, suppressed: boolean}>}}
+ *   interval is "day" or "week"; each point's date is the first day it covers
+ */
+function buildPostTrend(summaries, startDate, endDate, minGroupSize) {
+  const postsByDay = {};
+  summaries.forEach((summary) => {
+    postsByDay[summary.date] = summary.posts || 0;
+  });
+
+  const days = countRangeDays(startDate, endDate);
+  const interval = days > MAX_DAILY_TREND_DAYS ? 'week' : 'day';
+  const step = interval === 'week' ? 7 : 1;
+  const start = new Date(startDate).getTime();
+  const points = [];
+
+  for (let offset = 0; offset < days; offset += step) {
+    let count = 0;
+    for (let i = offset; i < Math.min(offset + step, days); i++) {
+      count += postsByDay[toDayKey(new Date(start + i * DAY_MS))] || 0;
+    }
+    const suppressed = count > 0 && count < minGroupSize;
+    points.push({ date: toDayKey(new Date(start + offset * DAY_MS)), count: suppressed ? null : count, suppressed });
+  }
+
+  return { interval, points };
+}
+
+function resolutionRate(totalPosts, resolvedIssues) {
+  return totalPosts > 0 ? ((resolvedIssues / totalPosts) * 100).toFixed(1) : 0;
+}
+
+/**
+ * Per-department rows for a company's active departments, with departments
+ * that have fewer active members than the threshold merged into one "Other"
+ * row. "Other" is dropped as well if its combined membership is still too small.
+ * @returns {Promise<Array>} Rows; the merged row has id "other" and isOther set
+ */
+async function buildDepartmentRows(companyId, departmentTotals, minGroupSize) {
+  const [departmentsSnapshot, usersSnapshot] = await Promise.all([
+    db.collection(COLLECTIONS.DEPARTMENTS).where('companyId', '==', companyId).get(),
+    db.collection(COLLECTIONS.USERS)
+      .where('companyId', '==', companyId)
+      .where('status', '==', 'active')
+      .get(),
+  ]);
+
+  const memberCounts = {};
+  usersSnapshot.docs.forEach((userDoc) => {
+    const { departmentId } = userDoc.data();
+    if (departmentId) {
+      memberCounts[departmentId] = (memberCounts[departmentId] || 0) + 1;
+    }
+  });
+
+  const rows = departmentsSnapshot.docs
+    .filter(departmentDoc => departmentDoc.data().isActive !== false)
+    .map((departmentDoc) => {
+      const department = departmentDoc.data();
+      const stats = departmentTotals[departmentDoc.id] || {};
+      return {
+        id: departmentDoc.id,
+        name: department.name,
+        icon: department.icon || '🏢',
+        memberCount: memberCounts[departmentDoc.id] || 0,
+        totalPosts: stats.posts || 0,
+        resolvedIssues: stats.resolved || 0,
+        pendingIssues: stats.pending || 0,
+      };
+    })
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+  const kept = rows.filter(row => row.memberCount >= minGroupSize);
+  const small = rows.filter(row => row.memberCount < minGroupSize);
+  const other = small.reduce(
+    (row, dept) => ({
+      ...row,
+      memberCount: row.memberCount + dept.memberCount,
+      totalPosts: row.totalPosts + dept.totalPosts,
+      resolvedIssues: row.resolvedIssues + dept.resolvedIssues,
+      pendingIssues: row.pendingIssues + dept.pendingIssues,
+    }),
+    { id: 'other', name: 'Other', icon: '🗂️', isOther: true, memberCount: 0, totalPosts: 0, resolvedIssues: 0, pendingIssues: 0 },
+  );
+
+  const shown = small.length === 0 || other.memberCount < minGroupSize ? kept : [...kept, other];
+  return shown.map(row => ({ ...row, resolutionRate: resolutionRate(row.totalPosts, row.resolvedIssues) }));
+}
+
+/**
+ * Build a company's analytics report for a date range
+ * @param {string} companyId - Company ID
+ * @param {string} startDate - First day, YYYY-MM-DD (UTC)
+ * @param {string} endDate - Last day, YYYY-MM-DD (UTC), inclusive
+ * @returns {Promise<Object>} { range, minGroupSize, suppressed, totals, contributors, departments, trend }
+ */
+async function buildAnalyticsReport(companyId, startDate, endDate) {
+  const [summariesSnapshot, minGroupSize] = await Promise.all([
+    db.collection(COLLECTIONS.ANALYTICS_DAILY)
+      .where('companyId', '==', companyId)
+      .where('date', '>=', startDate)
+      .where('date', '<=', endDate)
+      .orderBy('date', 'asc')
+      .get(),
+    getMinGroupSize(companyId),
+  ]);
+  const rangeSummaries = summariesSnapshot.docs.map(summaryDoc => summaryDoc.data());
+
+  // A range with only a handful of posts could point at their authors, so
+  // it is reported as empty rather than broken down
+  const rangePosts = combineDailySummaries(rangeSummaries).posts;
+  const suppressed = rangePosts > 0 && rangePosts < minGroupSize;
+  const summaries = suppressed ? [] : rangeSummaries;
+  const { departments, contributors, ...totals } = combineDailySummaries(summaries);
+
+  // Anonymous posts and comments never count as contributions
+  const topContributors = Object.entries(contributors)
+    .map(([id, counts]) => ({
+      id,
+      posts: counts.posts || 0,
+      comments: counts.comments || 0,
+      total: (counts.posts || 0) + (counts.comments || 0),
+    }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, TOP_CONTRIBUTORS);
+
+  return {
+    range: { startDate, endDate },
+    minGroupSize,
+    suppressed,
+    totals,
+    contributors: topContributors,
+    departments: await buildDepartmentRows(companyId, departments, minGroupSize),
+    trend: buildPostTrend(summaries, startDate, endDate, minGroupSize),
+  };
+}
+
+module.exports = {
+  buildAnalyticsReport,
+};
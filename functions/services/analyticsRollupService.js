@@ -0,0 +1,460 @@
+/**
+ * Analytics Rollup Service
+ * Maintains analyticsDaily: one summary per company per UTC day, so the
+ * analytics page reads a few hundred small documents instead of every post,
+ * comment and user in the company.
+ *
+ * Posts are counted on the day they were created, by type, status, priority
+ * and assigned department, along with their response time (first move out of
+ * "open") and resolution time (first move to resolved or closed). Comments
+ * are counted on the day they were written. Named posts and comments also
+ * count towards their author's contributions; anonymous ones never do.
+ *
+ * What each post currently contributes is kept in analyticsPosts/{postId},
+ * so triggers can move a post between buckets when it changes, in any order,
+ * without double counting. The nightly rebuild recomputes everything from
+ * the posts and comments themselves, which also corrects any drift from a
+ * trigger that ran while the rebuild was in progress.
+ */
+
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+
+const RESOLVED_STATUSES = ['resolved', 'closed'];
+const PENDING_STATUSES = ['open', 'in_progress'];
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 400;
+
+/**
+ * UTC day of a timestamp, as YYYY-MM-DD
+ * @param {admin.firestore.Timestamp|Date} timestamp
+ * @returns {string|null}
+ */
+function toDayKey(timestamp) {
+  const date = timestamp?.toDate ? timestamp.toDate() : timestamp;
+  if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Document ID of a company's summary for one day
+ * @param {string} companyId - Company ID
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string}
+ */
+function getDailyId(companyId, day) {
+  return `${companyId}_${day}`;
+}
+
+function toMillis(timestamp) {
+  if (!timestamp) return null;
+  if (timestamp.toMillis) return timestamp.toMillis();
+  const millis = new Date(timestamp).getTime();
+  return isNaN(millis) ? null : millis;
+}
+
+function hoursBetween(start, end) {
+  const startMs = toMillis(start);
+  const endMs = toMillis(end);
+  if (startMs === null || endMs === null || endMs < startMs) return null;
+  return (endMs - startMs) / HOUR_MS;
+}
+
+/**
+ * Department a post is assigned to, if any
+ */
+function getAssignedDepartment(post) {
+  return post.assignedTo?.type === 'department' ? post.assignedTo.id || null : null;
+}
+
+/**
+ * What a post adds to its day's summary
+ * @param {Object|null} post - Post data
+ * @param {Object} times - { respondedAt, resolvedAt } from the post's analytics record
+ * @returns {Object|null} Null for drafts and deleted posts
+ */
+function postContribution(post, times = {}) {
+  if (!post || post.isDraft === true || !post.companyId) return null;
+
+  const day = toDayKey(post.createdAt);
+  if (!day) return null;
+
+  return {
+    companyId: post.companyId,
+    day,
+    type: post.type || null,
+    status: post.status || null,
+    priority: post.priority || null,
+    departmentId: getAssignedDepartment(post),
+    contributorId: post.isAnonymous ? null : post.authorId || null,
+    responseHours: hoursBetween(post.createdAt, times.respondedAt),
+    resolutionHours: hoursBetween(post.createdAt, times.resolvedAt),
+  };
+}
+
+/**
+ * What a comment adds to its day's summary
+ * @param {Object|null} comment - Comment data
+ * @returns {Object|null}
+ */
+function commentContribution(comment) {
+  if (!comment || !comment.companyId) return null;
+
+  const day = toDayKey(comment.createdAt);
+  if (!day) return null;
+
+  return {
+    companyId: comment.companyId,
+    day,
+    contributorId: comment.isAnonymous ? null : comment.authorId || null,
+  };
+}
+
+function addTo(map, key, amount) {
+  if (key === null || key === undefined) return;
+  map[key] = (map[key] || 0) + amount;
+}
+
+/**
+ * Check whether two post contributions are the same
+ */
+function sameContribution(a, b) {
+  if (!a || !b) return a === b;
+  const keys = Object.keys(b);
+  return keys.length === Object.keys(a).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Add a post or comment contribution, times sign, to a set of daily summaries
+ * @param {Object} summaries - Summaries keyed by daily ID, changed in place
+ * @param {Object|null} contribution - From postContribution or commentContribution
+ * @param {string} kind - 'post' or 'comment'
+ * @param {number} sign - 1 to add, -1 to remove
+ */
+function accumulate(summaries, contribution, kind, sign) {
+  if (!contribution) return;
+
+  const dailyId = getDailyId(contribution.companyId, contribution.day);
+  if (!summaries[dailyId]) {
+    summaries[dailyId] = {
+      companyId: contribution.companyId,
+      date: contribution.day,
+      posts: 0,
+      comments: 0,
+      resolved: 0,
+      responses: 0,
+      responseHours: 0,
+      resolutions: 0,
+      resolutionHours: 0,
+      byType: {},
+      byStatus: {},
+      byPriority: {},
+      departments: {},
+      contributors: {},
+    };
+  }
+  const summary = summaries[dailyId];
+
+  if (kind === 'comment') {
+    summary.comments += sign;
+    if (contribution.contributorId) {
+      const contributor = summary.contributors[contribution.contributorId] || { posts: 0, comments: 0 };
+      contributor.comments += sign;
+      summary.contributors[contribution.contributorId] = contributor;
+    }
+    return;
+  }
+
+  const isResolved = RESOLVED_STATUSES.includes(contribution.status);
+  summary.posts += sign;
+  if (isResolved) summary.resolved += sign;
+  addTo(summary.byType, contribution.type, sign);
+  addTo(summary.byStatus, contribution.status, sign);
+  addTo(summary.byPriority, contribution.priority, sign);
+
+  if (contribution.responseHours !== null) {
+    summary.responses += sign;
+    summary.responseHours += sign * contribution.responseHours;
+  }
+  if (contribution.resolutionHours !== null) {
+    summary.resolutions += sign;
+    summary.resolutionHours += sign * contribution.resolutionHours;
+  }
+
+  if (contribution.departmentId) {
+    const department = summary.departments[contribution.departmentId] || { posts: 0, resolved: 0, pending: 0 };
+    department.posts += sign;
+    if (isResolved) department.resolved += sign;
+    if (PENDING_STATUSES.includes(contribution.status)) department.pending += sign;
+    summary.departments[contribution.departmentId] = department;
+  }
+
+  if (contribution.contributorId) {
+    const contributor = summary.contributors[contribution.contributorId] || { posts: 0, comments: 0 };
+    contributor.posts += sign;
+    summary.contributors[contribution.contributorId] = contributor;
+  }
+}
+
+/**
+ * Turn a summary of changes into a merge update of increments
+ * @param {Object} delta - Summary built by accumulate
+ * @returns {Object}
+ */
+function toIncrementUpdate(delta) {
+  const increments = (value) => {
+    if (typeof value === 'number') {
+      return admin.firestore.FieldValue.increment(value);
+    }
+    const nested = {};
+    Object.entries(value).forEach(([key, inner]) => {
+      nested[key] = increments(inner);
+    });
+    return nested;
+  };
+
+  const { companyId, date, ...counters } = delta;
+  return {
+    companyId,
+    date,
+    ...increments(counters),
+    updatedAt: serverTimestamp(),
+  };
+}
+
+/**
+ * First response and resolution times of a post
+ * A post is answered when it first leaves "open" and resolved when it first
+ * reaches a resolved status; later changes keep the first time
+ * @param {Object|null} post - Current post data
+ * @param {Object} previous - { respondedAt, resolvedAt } recorded so far
+ * @param {admin.firestore.Timestamp} now - Time of this change
+ */
+function trackResponseTimes(post, previous, now) {
+  const times = {
+    respondedAt: previous.respondedAt || null,
+    resolvedAt: previous.resolvedAt || null,
+  };
+  if (!post?.status) return times;
+
+  if (!times.respondedAt && post.status !== 'open') {
+    times.respondedAt = now;
+  }
+  if (!times.resolvedAt && RESOLVED_STATUSES.includes(post.status)) {
+    times.resolvedAt = now;
+  }
+  return times;
+}
+
+/**
+ * Check whether a post change can affect the summaries
+ * Votes, views and comment counters do not
+ * @param {Object|null} before - Post data before the change
+ * @param {Object|null} after - Post data after the change
+ * @returns {boolean}
+ */
+function postNeedsRollup(before, after) {
+  if (!before || !after) return true;
+
+  const sameValue = (a, b) => (a?.toMillis && b?.toMillis ? a.toMillis() === b.toMillis() : a === b);
+  const fields = ['companyId', 'createdAt', 'isDraft', 'type', 'status', 'priority', 'isAnonymous', 'authorId'];
+  return fields.some(field => !sameValue(before[field], after[field]))
+    || getAssignedDepartment(before) !== getAssignedDepartment(after);
+}
+
+/**
+ * Move a post's contribution after it was created, changed or deleted
+ * @param {string} postId - Post ID
+ * @param {Object|null} post - Post data after the change, null if deleted
+ */
+async function applyPostChange(postId, post) {
+  const recordRef = db.collection(COLLECTIONS.ANALYTICS_POSTS).doc(postId);
+
+  await db.runTransaction(async (transaction) => {
+    const recordDoc = await transaction.get(recordRef);
+    const record = recordDoc.exists ? recordDoc.data() : {};
+
+    const times = trackResponseTimes(post, record, admin.firestore.Timestamp.now());
+    const contribution = postContribution(post, times);
+
+    const unchanged = recordDoc.exists
+      && sameContribution(record.contribution || null, contribution)
+      && record.respondedAt === times.respondedAt
+      && record.resolvedAt === times.resolvedAt;
+    if (unchanged) return;
+
+    const deltas = {};
+    accumulate(deltas, record.contribution || null, 'post', -1);
+    accumulate(deltas, contribution, 'post', 1);
+
+    Object.entries(deltas).forEach(([dailyId, delta]) => {
+      transaction.set(
+        db.collection(COLLECTIONS.ANALYTICS_DAILY).doc(dailyId),
+        toIncrementUpdate(delta),
+        { merge: true },
+      );
+    });
+
+    if (post) {
+      transaction.set(recordRef, { ...times, contribution, companyId: post.companyId || null });
+    } else {
+      transaction.delete(recordRef);
+    }
+  });
+}
+
+/**
+ * Move a comment's contribution after it was created, changed or deleted
+ * @param {Object|null} before - Comment data before the change
+ * @param {Object|null} after - Comment data after the change
+ */
+async function applyCommentChange(before, after) {
+  const deltas = {};
+  accumulate(deltas, commentContribution(before), 'comment', -1);
+  accumulate(deltas, commentContribution(after), 'comment', 1);
+
+  const changed = Object.entries(deltas)
+    .filter(([, delta]) => delta.comments !== 0 || Object.values(delta.contributors).some(c => c.comments !== 0));
+  if (changed.length === 0) return;
+
+  const batch = db.batch();
+  changed.forEach(([dailyId, delta]) => {
+    batch.set(db.collection(COLLECTIONS.ANALYTICS_DAILY).doc(dailyId), toIncrementUpdate(delta), { merge: true });
+  });
+  await batch.commit();
+}
+
+/**
+ * Response and resolution times of a post with no analytics record yet,
+ * read from its status_changed activities, or its last update when there are none
+ */
+async function backfillResponseTimes(postId, post) {
+  if (!post.status || post.status === 'open') {
+    return { respondedAt: null, resolvedAt: null };
+  }
+
+  const activitiesSnapshot = await db.collection('postActivities')
+    .where('postId', '==', postId)
+    .where('type', '==', 'status_changed')
+    .get();
+  const changes = activitiesSnapshot.docs
+    .map(activityDoc => activityDoc.data())
+    .filter(activity => activity.createdAt)
+    .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+
+  const resolution = changes.find(activity => RESOLVED_STATUSES.includes(activity.metadata?.newStatus));
+  const fallback = post.updatedAt || null;
+
+  return {
+    respondedAt: changes[0]?.createdAt || fallback,
+    resolvedAt: RESOLVED_STATUSES.includes(post.status) || resolution
+      ? resolution?.createdAt || fallback
+      : null,
+  };
+}
+
+/**
+ * Visit every document of a company in a collection, in document ID order
+ * @param {string} collectionName - Collection
+ * @param {string} companyId - Company ID
+ * @param {Function} visit - Called with each page of documents
+ */
+async function forEachCompanyPage(collectionName, companyId, visit) {
+  let lastDoc = null;
+
+  while (true) {
+    let query = db.collection(collectionName)
+      .where('companyId', '==', companyId)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    await visit(snapshot.docs);
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    if (snapshot.size < BATCH_SIZE) break;
+  }
+}
+
+/**
+ * Recompute all of a company's daily summaries from its posts and comments
+ * Posts without an analytics record get one, with response times taken
+ * from their activity log. Summaries for days that no longer have any
+ * content are deleted.
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{posts: number, comments: number, days: number}>}
+ */
+async function rebuildCompanyRollups(companyId) {
+  const summaries = {};
+  let posts = 0;
+  let comments = 0;
+
+  await forEachCompanyPage('posts', companyId, async (postDocs) => {
+    const recordRefs = postDocs.map(postDoc => db.collection(COLLECTIONS.ANALYTICS_POSTS).doc(postDoc.id));
+    const recordDocs = await db.getAll(...recordRefs);
+    const batch = db.batch();
+    let batchCount = 0;
+
+    for (let i = 0; i < postDocs.length; i++) {
+      const post = postDocs[i].data();
+      const record = recordDocs[i].exists ? recordDocs[i].data() : null;
+      const times = record
+        ? { respondedAt: record.respondedAt || null, resolvedAt: record.resolvedAt || null }
+        : await backfillResponseTimes(postDocs[i].id, post);
+      const contribution = postContribution(post, times);
+
+      accumulate(summaries, contribution, 'post', 1);
+      if (!record || !sameContribution(record.contribution || null, contribution)) {
+        batch.set(recordRefs[i], { ...times, contribution, companyId });
+        batchCount++;
+      }
+      posts++;
+    }
+
+    if (batchCount > 0) {
+      await batch.commit();
+    }
+  });
+
+  await forEachCompanyPage('comments', companyId, async (commentDocs) => {
+    commentDocs.forEach(commentDoc => {
+      accumulate(summaries, commentContribution(commentDoc.data()), 'comment', 1);
+      comments++;
+    });
+  });
+
+  const existingSnapshot = await db.collection(COLLECTIONS.ANALYTICS_DAILY)
+    .where('companyId', '==', companyId)
+    .get();
+  const staleRefs = existingSnapshot.docs
+    .filter(dailyDoc => !summaries[dailyDoc.id])
+    .map(dailyDoc => dailyDoc.ref);
+
+  const writes = [
+    ...Object.entries(summaries).map(([dailyId, summary]) => (batch) => batch.set(
+      db.collection(COLLECTIONS.ANALYTICS_DAILY).doc(dailyId),
+      { ...summary, updatedAt: serverTimestamp() },
+    )),
+    ...staleRefs.map(ref => (batch) => batch.delete(ref)),
+  ];
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+
+  return { posts, comments, days: Object.keys(summaries).length };
+}
+
+module.exports = {
+  toDayKey,
+  getDailyId,
+  postNeedsRollup,
+  applyPostChange,
+  applyCommentChange,
+  rebuildCompanyRollups,
+};
@@ -0,0 +1,545 @@
+/**
+ * Anonymous Content Service
+ * Creates anonymous posts, comments and replies on behalf of their authors.
+ *
+ * The real author ID is stored only encrypted (authorId), with the company's
+ * data key, which its key vault escrows for identity disclosure. Ownership features (My
+ * Posts, edit, delete, the reporter side of anonymous threads) rest on the
+ * user's author token, an HMAC of the user ID that cannot be reversed without
+ * the server key, which is written to their auth session at login. Content
+ * never carries that token itself, or all of one author's posts would share
+ * it: each post or comment carries a token derived from it and the content ID,
+ * which Firestore rules and the client can derive again from the session. The
+ * author token is kept beside the content in anonymousAuthors, keyed by
+ * content ID, so the server can find a user's anonymous content.
+ *
+ * Timestamps on anonymous content are rounded down to the hour, and posts can
+ * be held back for a random delay, so when something appeared cannot be
+ * matched against who was online at the time.
+ */
+
+const crypto = require('crypto');
+const { admin, db, COLLECTIONS, serverTimestamp, increment } = require('../config/firebase');
+const { authorTokenSecret } = require('../config/security');
+const { SCREENING_STATUS, canViewPost } = require('./contentScreeningService');
+const { encryptForCompany, decryptForCompany, isEncryptedValue } = require('./encryptionService');
+
+const ANONYMOUS_NAME = 'Anonymous';
+
+const POST_TYPES = ['problem_report', 'idea_suggestion', 'creative_content', 'team_discussion'];
+const PRIVACY_LEVELS = ['company_public', 'department_only', 'hr_only'];
+
+const ANONYMOUS_CONTENT = {
+  POST: 'post',
+  COMMENT: 'comment',
+};
+
+// Fields that would identify the author of an anonymous post or comment
+const IDENTIFYING_FIELDS = ['creatorId', 'authorEmail', 'authorDepartmentId', 'authorRole'];
+
+// Precision of anonymous timestamps and window of the optional publishing
+// delay; keep in sync with src/utils/constants.js
+const TIME_PRECISION_MS = 60 * 60 * 1000;
+const PUBLISH_DELAY_MIN_MS = 30 * 60 * 1000;
+const PUBLISH_DELAY_MAX_MS = 4 * 60 * 60 * 1000;
+
+/**
+ * Encrypt a user ID with their company's data key
+ * @param {string} companyId - Company the content belongs to
+ * @param {string} userId - Real user ID
+ * @returns {Promise<string>} Encrypted author ID
+ */
+function encryptAuthorId(companyId, userId) {
+  return encryptForCompany(companyId, userId);
+}
+
+/**
+ * Decrypt an encrypted author ID
+ * @param {string} companyId - Company the content belongs to
+ * @param {string} encryptedId - Encrypted author ID
+ * @returns {Promise<string|null>} Real user ID, or null if it cannot be decrypted
+ */
+function decryptAuthorId(companyId, encryptedId) {
+  return decryptForCompany(companyId, encryptedId);
+}
+
+/**
+ * Check whether an author ID is already encrypted
+ * @param {string} authorId - Stored author ID
+ * @returns {boolean}
+ */
+function isEncryptedAuthorId(authorId) {
+  return isEncryptedValue(authorId);
+}
+
+/**
+ * Opaque per-user token that marks a user's anonymous content
+ * @param {string} userId - Real user ID
+ * @returns {string} Hex HMAC-SHA256 of the user ID
+ */
+function getAuthorToken(userId) {
+  return crypto
+    .createHmac('sha256', authorTokenSecret.value())
+    .update(userId)
+    .digest('hex');
+}
+
+/**
+ * Token that marks one post or comment as the author's
+ * Firestore rules derive it the same way from the session's author token,
+ * so keep the two in step
+ * @param {string} authorToken - The author's token, from getAuthorToken
+ * @param {string} contentId - Post or comment ID
+ * @returns {string} Hex SHA-256 of the author token and content ID
+ */
+function getContentAuthorToken(authorToken, contentId) {
+  return crypto
+    .createHash('sha256')
+    .update(`${authorToken}:${contentId}`)
+    .digest('hex');
+}
+
+/**
+ * Check whether a user wrote a post or comment anonymously
+ * @param {string} userId - Real user ID
+ * @param {Object} content - Post or comment data
+ * @param {string} contentId - Post or comment ID
+ * @returns {boolean}
+ */
+function isAnonymousAuthorOf(userId, content, contentId) {
+  return !!content.authorToken
+    && content.authorToken === getContentAuthorToken(getAuthorToken(userId), contentId);
+}
+
+/**
+ * Fields every anonymous post or comment carries instead of the author
+ * The content token is added once the content has an ID
+ * @param {Object} author - Author user data, with id and companyId
+ */
+async function anonymousAuthorFields(author) {
+  return {
+    isAnonymous: true,
+    authorId: await encryptAuthorId(author.companyId, author.id),
+    authorName: ANONYMOUS_NAME,
+  };
+}
+
+/**
+ * Record the author of new anonymous content in anonymousAuthors
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer - Batch or transaction writing the content
+ * @param {string} authorToken - The author's token
+ * @param {Object} record - { contentType, contentId, companyId, postId }; postId is the post itself for posts
+ */
+function recordAnonymousAuthor(writer, authorToken, { contentType, contentId, companyId, postId }) {
+  writer.set(db.collection(COLLECTIONS.ANONYMOUS_AUTHORS).doc(contentId), {
+    authorToken,
+    contentType,
+    companyId,
+    postId,
+  });
+}
+
+/**
+ * Timestamp for anonymous content, rounded down to TIME_PRECISION_MS
+ * @param {Date} [date] - Exact time, defaults to now
+ * @returns {FirebaseFirestore.Timestamp}
+ */
+function coarseTimestamp(date = new Date()) {
+  const millis = Math.floor(date.getTime() / TIME_PRECISION_MS) * TIME_PRECISION_MS;
+  return admin.firestore.Timestamp.fromMillis(millis);
+}
+
+/**
+ * Random time within the publishing delay window
+ * @returns {Date}
+ */
+function getDelayedPublishDate() {
+  return new Date(Date.now() + crypto.randomInt(PUBLISH_DELAY_MIN_MS, PUBLISH_DELAY_MAX_MS + 1));
+}
+
+/**
+ * Update that removes the identifying fields from an existing document
+ */
+function scrubIdentifyingFields() {
+  const update = {};
+  IDENTIFYING_FIELDS.forEach(field => {
+    update[field] = admin.firestore.FieldValue.delete();
+  });
+  return update;
+}
+
+/**
+ * Load the author and make sure they belong to a company
+ * @param {string} userId - Real user ID
+ * @returns {Promise<Object>} User data with id
+ */
+async function getActiveAuthor(userId) {
+  const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+  if (!userDoc.exists) {
+    throw new Error('User not found');
+  }
+
+  const user = { id: userDoc.id, ...userDoc.data() };
+  if (!user.companyId) {
+    throw new Error('Company information missing');
+  }
+  return user;
+}
+
+/**
+ * Validate the post fields shared by new posts and published drafts
+ * @param {Object} input - Post fields from the client
+ * @param {Object} author - Author user data
+ * @returns {Promise<Object>} The validated content fields
+ */
+async function buildPostContent(input, author) {
+  const title = String(input.title || '').trim();
+  const content = String(input.content || '').trim();
+  // Poll votes live in the ballots collection, so only the poll definition is kept
+  const poll = input.poll
+    ? {
+      question: String(input.poll.question || '').trim(),
+      options: (input.poll.options || []).map(option => ({ text: String(option.text || '').trim() })),
+      multipleChoice: input.poll.multipleChoice === true,
+      endDate: input.poll.endDate || null,
+    }
+    : null;
+  const privacyLevel = input.privacyLevel || 'company_public';
+  const departmentId = privacyLevel === 'department_only' ? input.departmentId || null : null;
+
+  if (!poll && (!title || !content)) {
+    throw new Error('A title and description are required');
+  }
+  if (!POST_TYPES.includes(input.type)) {
+    throw new Error(`Unknown post type: ${input.type}`);
+  }
+  if (!PRIVACY_LEVELS.includes(privacyLevel)) {
+    throw new Error(`Unknown privacy level: ${privacyLevel}`);
+  }
+
+  if (privacyLevel === 'department_only') {
+    const deptDoc = departmentId
+      ? await db.collection(COLLECTIONS.DEPARTMENTS).doc(departmentId).get()
+      : null;
+    if (!deptDoc?.exists || deptDoc.data().companyId !== author.companyId) {
+      throw new Error('Please select a department for department-only posts');
+    }
+  }
+
+  return {
+    title,
+    content,
+    category: input.category || '',
+    tags: Array.isArray(input.tags) ? input.tags.map(tag => String(tag).trim()).filter(Boolean) : [],
+    type: input.type,
+    privacyLevel,
+    departmentId,
+    attachments: Array.isArray(input.attachments) ? input.attachments : [],
+    poll,
+  };
+}
+
+/**
+ * Create an anonymous post
+ * With delayPublishing the post is queued in delayedAnonymousPosts, which
+ * clients cannot read, and published by publishDueAnonymousPosts at a random
+ * time within the delay window; it gets its ID and timestamps only then
+ * @param {string} userId - Real user ID of the author
+ * @param {Object} input - { title, content, category, tags, type, privacyLevel, departmentId, attachments, poll, delayPublishing }
+ * @returns {Promise<{id: string|null, delayed: boolean}>}
+ */
+async function createAnonymousPost(userId, input) {
+  const author = await getActiveAuthor(userId);
+  const postContent = await buildPostContent(input, author);
+
+  const post = {
+    ...postContent,
+    ...(await anonymousAuthorFields(author)),
+    companyId: author.companyId,
+    status: 'open',
+    priority: 'medium',
+    likes: [],
+    comments: 0,
+    voteScore: 0,
+    views: 0,
+    // Hidden from others until the screening trigger has checked it
+    screeningStatus: SCREENING_STATUS.PENDING,
+  };
+
+  const authorToken = getAuthorToken(author.id);
+
+  if (input.delayPublishing === true) {
+    await db.collection(COLLECTIONS.DELAYED_ANONYMOUS_POSTS).add({
+      post,
+      authorToken,
+      publishAt: getDelayedPublishDate(),
+    });
+    return { id: null, delayed: true };
+  }
+
+  const postRef = db.collection('posts').doc();
+  const createdAt = coarseTimestamp();
+  const batch = db.batch();
+  batch.set(postRef, {
+    ...post,
+    authorToken: getContentAuthorToken(authorToken, postRef.id),
+    createdAt,
+    updatedAt: createdAt,
+  });
+  recordAnonymousAuthor(batch, authorToken, {
+    contentType: ANONYMOUS_CONTENT.POST,
+    contentId: postRef.id,
+    companyId: post.companyId,
+    postId: postRef.id,
+  });
+  await batch.commit();
+
+  return { id: postRef.id, delayed: false };
+}
+
+/**
+ * Publish one queued anonymous post
+ * The queue entry is deleted in the same transaction, so a post is never
+ * published twice
+ * @param {FirebaseFirestore.DocumentReference} queuedRef - delayedAnonymousPosts entry
+ * @returns {Promise<string|null>} The new post ID, or null if it was already published
+ */
+async function publishQueuedPost(queuedRef) {
+  const postRef = db.collection('posts').doc();
+
+  const post = await db.runTransaction(async (transaction) => {
+    const queuedDoc = await transaction.get(queuedRef);
+    if (!queuedDoc.exists) return null;
+
+    // Posts queued before content tokens existed carry the author token
+    const queued = queuedDoc.data();
+    const queuedPost = queued.post;
+    const authorToken = queued.authorToken || queuedPost.authorToken;
+    const createdAt = coarseTimestamp();
+    transaction.set(postRef, {
+      ...queuedPost,
+      authorToken: getContentAuthorToken(authorToken, postRef.id),
+      createdAt,
+      updatedAt: createdAt,
+    });
+    recordAnonymousAuthor(transaction, authorToken, {
+      contentType: ANONYMOUS_CONTENT.POST,
+      contentId: postRef.id,
+      companyId: queuedPost.companyId,
+      postId: postRef.id,
+    });
+    transaction.delete(queuedRef);
+    return queuedPost;
+  });
+
+  if (!post) return null;
+
+  // Posts published straight away notify HR from the client
+  if (post.privacyLevel === 'hr_only') {
+    try {
+      await notifyHrOfPost(postRef.id, post);
+    } catch (error) {
+      console.error(`Error sending HR notifications for post ${postRef.id}:`, error);
+    }
+  }
+
+  return postRef.id;
+}
+
+/**
+ * Publish every queued anonymous post whose delay has passed
+ * @returns {Promise<{published: number, failed: number}>}
+ */
+async function publishDueAnonymousPosts() {
+  const dueSnapshot = await db.collection(COLLECTIONS.DELAYED_ANONYMOUS_POSTS)
+    .where('publishAt', '<=', new Date())
+    .get();
+
+  let published = 0;
+  let failed = 0;
+
+  for (const queuedDoc of dueSnapshot.docs) {
+    try {
+      // Entries that fail stay queued and are retried on the next run
+      if (await publishQueuedPost(queuedDoc.ref)) published++;
+    } catch (error) {
+      failed++;
+      console.error(`Error publishing delayed anonymous post ${queuedDoc.id}:`, error);
+    }
+  }
+
+  return { published, failed };
+}
+
+/**
+ * Tell the company's HR and admins about a new HR-only post
+ * @param {string} postId - Post ID
+ * @param {Object} post - Post data
+ */
+async function notifyHrOfPost(postId, post) {
+  const hrSnapshot = await db.collection(COLLECTIONS.USERS)
+    .where('companyId', '==', post.companyId)
+    .where('role', 'in', ['hr', 'company_admin'])
+    .get();
+
+  const batch = db.batch();
+  hrSnapshot.docs.forEach(hrDoc => {
+    batch.set(db.collection('notifications').doc(), {
+      userId: hrDoc.id,
+      type: 'hr_post_received',
+      title: 'New HR Post Received',
+      message: `A new post has been sent directly to HR: "${post.title}"`,
+      companyId: post.companyId,
+      metadata: { postId },
+      read: false,
+      createdAt: serverTimestamp(),
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Publish one of the user's drafts as an anonymous post
+ * Drafts belong to their author by plain user ID until they are published;
+ * publishing replaces the author fields in place so the post keeps its ID
+ * @param {string} userId - Real user ID of the author
+ * @param {string} draftId - Draft post ID
+ * @returns {Promise<{id: string}>}
+ */
+async function publishAnonymousDraft(userId, draftId) {
+  const author = await getActiveAuthor(userId);
+  const draftRef = db.collection('posts').doc(draftId);
+  const draftDoc = await draftRef.get();
+
+  if (!draftDoc.exists || draftDoc.data().isDraft !== true) {
+    throw new Error('Draft not found');
+  }
+
+  // Drafts saved before anonymous posts moved server-side carry the real ID in creatorId
+  const draft = draftDoc.data();
+  const isOwner = draft.authorId === author.id || draft.creatorId === author.id;
+  if (!isOwner || draft.companyId !== author.companyId) {
+    throw new Error('Unauthorized to publish this draft');
+  }
+
+  const postContent = await buildPostContent(draft, author);
+
+  // The draft's own timestamps are exact, so the post takes coarse ones
+  const authorToken = getAuthorToken(author.id);
+  const publishedAt = coarseTimestamp();
+  const batch = db.batch();
+  batch.update(draftRef, {
+    ...postContent,
+    ...(await anonymousAuthorFields(author)),
+    ...scrubIdentifyingFields(),
+    authorToken: getContentAuthorToken(authorToken, draftId),
+    isDraft: false,
+    status: 'open',
+    screeningStatus: SCREENING_STATUS.PENDING,
+    createdAt: publishedAt,
+    publishedAt,
+    updatedAt: publishedAt,
+  });
+  recordAnonymousAuthor(batch, authorToken, {
+    contentType: ANONYMOUS_CONTENT.POST,
+    contentId: draftId,
+    companyId: author.companyId,
+    postId: draftId,
+  });
+  await batch.commit();
+
+  return { id: draftId };
+}
+
+/**
+ * Create an anonymous comment, or a reply when parentCommentId is given
+ * @param {string} userId - Real user ID of the author
+ * @param {Object} input - { postId, text, parentCommentId }
+ * @returns {Promise<{id: string}>}
+ */
+async function createAnonymousComment(userId, input) {
+  const author = await getActiveAuthor(userId);
+  const text = String(input.text || '').trim();
+  const { postId, parentCommentId = null } = input;
+
+  if (!postId || !text) {
+    throw new Error('Post ID and comment text are required');
+  }
+
+  // Posts the author cannot see, such as HR-only or another department's
+  // posts, or archived and removed ones, are treated as missing
+  const postRef = db.collection('posts').doc(postId);
+  const postDoc = await postRef.get();
+  const post = postDoc.exists ? postDoc.data() : null;
+  if (!post || post.companyId !== author.companyId || post.isRemoved || !canViewPost(post, author, author.id)) {
+    throw new Error('Post not found');
+  }
+
+  let parentRef = null;
+  if (parentCommentId) {
+    parentRef = db.collection('comments').doc(parentCommentId);
+    const parentDoc = await parentRef.get();
+    if (!parentDoc.exists || parentDoc.data().postId !== postId || parentDoc.data().isRemoved) {
+      throw new Error('Comment not found');
+    }
+  }
+
+  const commentRef = db.collection('comments').doc();
+  const authorToken = getAuthorToken(author.id);
+  const createdAt = coarseTimestamp();
+  const batch = db.batch();
+
+  batch.set(commentRef, {
+    postId,
+    text,
+    ...(await anonymousAuthorFields(author)),
+    authorToken: getContentAuthorToken(authorToken, commentRef.id),
+    ...(parentCommentId ? { parentCommentId } : {}),
+    companyId: author.companyId,
+    likes: 0,
+    replyCount: 0,
+    screeningStatus: SCREENING_STATUS.PENDING,
+    createdAt,
+  });
+  recordAnonymousAuthor(batch, authorToken, {
+    contentType: ANONYMOUS_CONTENT.COMMENT,
+    contentId: commentRef.id,
+    companyId: author.companyId,
+    postId,
+  });
+  batch.update(postRef, { comments: increment(1), updatedAt: createdAt });
+  if (parentRef) {
+    batch.update(parentRef, { replyCount: increment(1), updatedAt: createdAt });
+  }
+
+  await batch.commit();
+  return { id: commentRef.id };
+}
+
+/**
+ * The user's ID encrypted with their company's data key, for anonymous
+ * submissions the client writes itself (vendor risk reports)
+ * @param {string} userId - Real user ID
+ * @returns {Promise<string>} Encrypted author ID
+ */
+async function encryptOwnAuthorId(userId) {
+  const author = await getActiveAuthor(userId);
+  return encryptAuthorId(author.companyId, author.id);
+}
+
+module.exports = {
+  ANONYMOUS_CONTENT,
+  encryptAuthorId,
+  decryptAuthorId,
+  isEncryptedAuthorId,
+  getAuthorToken,
+  getContentAuthorToken,
+  isAnonymousAuthorOf,
+  recordAnonymousAuthor,
+  scrubIdentifyingFields,
+  createAnonymousPost,
+  publishDueAnonymousPosts,
+  publishAnonymousDraft,
+  createAnonymousComment,
+  encryptOwnAuthorId,
+};
@@ -0,0 +1,245 @@
+/**
+ * Anonymous Thread Service
+ * Private two-way messages between the author of an anonymous post (the
+ * reporter) and the company's HR and admins (investigators). The platform
+ * can also post system notices, such as the approval of a legal request to
+ * disclose the reporter's identity.
+ *
+ * Messages are encrypted with the company's data key before they are stored
+ * and decrypted here for the participants, so message text never leaves the
+ * server encrypted with a key the browser holds. The reporter is recognised
+ * through the post's author token; threads never store who they are.
+ */
+
+const crypto = require('crypto');
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { encryptForCompany, decryptForCompany } = require('./encryptionService');
+const { isAnonymousAuthorOf } = require('./anonymousContentService');
+const { SCREENING_STATUS } = require('./contentScreeningService');
+
+// Keep in sync with ThreadSender in src/utils/constants.js
+const THREAD_SENDER = {
+  REPORTER: 'reporter',
+  INVESTIGATOR: 'investigator',
+  SYSTEM: 'system',
+};
+
+const INVESTIGATOR_ROLES = ['company_admin', 'hr'];
+const CLEARED_STATUSES = [SCREENING_STATUS.PASSED, SCREENING_STATUS.APPROVED];
+
+const MAX_MESSAGE_LENGTH = 5000;
+const PREVIEW_LENGTH = 60;
+
+// Keep in sync with ANONYMOUS_TIME_PRECISION_MINUTES in src/utils/constants.js
+const TIME_PRECISION_MS = 60 * 60 * 1000;
+
+/**
+ * Load the post a thread belongs to
+ */
+async function getThreadPost(postId) {
+  const postDoc = await db.collection('posts').doc(postId || '').get();
+  if (!postDoc.exists || !postDoc.data().isAnonymous) {
+    throw new Error('Post not found');
+  }
+  return postDoc.data();
+}
+
+/**
+ * Whether a user may act as investigator on a company's threads
+ */
+function isInvestigator(user, companyId) {
+  const role = (user.role || '').toLowerCase();
+  return role === 'super_admin' || (INVESTIGATOR_ROLES.includes(role) && user.companyId === companyId);
+}
+
+/**
+ * Whether a user wrote an anonymous post
+ */
+function isReporter(user, post, postId) {
+  return isAnonymousAuthorOf(user.id, post, postId) || post.authorId === user.id;
+}
+
+/**
+ * Whether a message has cleared screening and may be shown to the other side
+ * Messages without a status were written before screening existed
+ */
+function isCleared(message) {
+  return !message.screeningStatus || CLEARED_STATUSES.includes(message.screeningStatus);
+}
+
+/**
+ * Add a message to the thread of a post, creating the thread if needed
+ * @param {string} postId - Post ID
+ * @param {string} companyId - Company the post belongs to
+ * @param {Object} message - Message as stored
+ * @param {Object} activity - Activity fields to update with it
+ * @param {Object} createdAt - Creation time if the thread is new
+ */
+async function appendMessage(postId, companyId, message, activity, createdAt) {
+  const threadRef = db.collection(COLLECTIONS.ANONYMOUS_THREADS).doc(postId);
+  await db.runTransaction(async (transaction) => {
+    const threadDoc = await transaction.get(threadRef);
+    if (threadDoc.exists) {
+      transaction.update(threadRef, { messages: admin.firestore.FieldValue.arrayUnion(message), ...activity });
+      return;
+    }
+
+    transaction.set(threadRef, {
+      postId,
+      companyId,
+      messages: [message],
+      lastReporterActivity: null,
+      lastInvestigatorActivity: null,
+      lastReadBy: {},
+      lastReadCount: {},
+      ...activity,
+      createdAt,
+    });
+  });
+}
+
+/**
+ * Send a message on the thread of an anonymous post, creating the thread if needed
+ * @param {Object} user - Sender, with id, role and companyId
+ * @param {Object} input - { postId, senderRole, text }
+ * @returns {Promise<{id: string}>} The message ID
+ * @throws {Error} If the sender may not write as senderRole
+ */
+async function sendThreadMessage(user, { postId, senderRole, text }) {
+  const messageText = String(text || '').trim();
+  if (!messageText) {
+    throw new Error('Message text is required');
+  }
+  if (messageText.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const post = await getThreadPost(postId);
+  const isReporterMessage = senderRole === THREAD_SENDER.REPORTER;
+  const allowed = isReporterMessage ? isReporter(user, post, postId) : isInvestigator(user, post.companyId);
+  if (!allowed || ![THREAD_SENDER.REPORTER, THREAD_SENDER.INVESTIGATOR].includes(senderRole)) {
+    throw new Error('You cannot send messages on this thread');
+  }
+
+  // The reporter's times are rounded down to the hour so their activity
+  // can't be matched against who was online
+  const now = Date.now();
+  const sentAt = new Date(isReporterMessage ? Math.floor(now / TIME_PRECISION_MS) * TIME_PRECISION_MS : now);
+
+  const message = {
+    id: crypto.randomUUID(),
+    sender: senderRole,
+    encryptedContent: await encryptForCompany(post.companyId, messageText),
+    timestamp: sentAt.toISOString(),
+    read: false,
+    // Shown to the other side once screening clears it
+    screeningStatus: SCREENING_STATUS.PENDING,
+  };
+
+  const activity = {
+    [isReporterMessage ? 'lastReporterActivity' : 'lastInvestigatorActivity']:
+      isReporterMessage ? admin.firestore.Timestamp.fromDate(sentAt) : serverTimestamp(),
+  };
+
+  await appendMessage(postId, post.companyId, message, activity,
+    admin.firestore.Timestamp.fromMillis(Math.floor(now / TIME_PRECISION_MS) * TIME_PRECISION_MS));
+
+  return { id: message.id };
+}
+
+/**
+ * Post a system notice on the thread of an anonymous post
+ * Notices skip screening and are shown to both sides
+ * @param {string} postId - Post ID
+ * @param {string} text - Notice text
+ * @returns {Promise<{id: string}>} The message ID
+ */
+async function postSystemNotice(postId, text) {
+  const post = await getThreadPost(postId);
+  const now = Date.now();
+
+  const message = {
+    id: crypto.randomUUID(),
+    sender: THREAD_SENDER.SYSTEM,
+    encryptedContent: await encryptForCompany(post.companyId, String(text)),
+    timestamp: new Date(now).toISOString(),
+    read: false,
+  };
+
+  await appendMessage(postId, post.companyId, message, {},
+    admin.firestore.Timestamp.fromMillis(Math.floor(now / TIME_PRECISION_MS) * TIME_PRECISION_MS));
+  return { id: message.id };
+}
+
+/**
+ * Read a thread with its messages decrypted
+ * Investigators see every message, including ones held by screening; the
+ * reporter sees their own and the investigators' cleared messages
+ * @param {Object} user - Reader, with id, role and companyId
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} Thread data with a content field on each message, or null
+ */
+async function readThread(user, postId) {
+  const post = await getThreadPost(postId);
+  const investigator = isInvestigator(user, post.companyId);
+  if (!investigator && !isReporter(user, post, postId)) {
+    throw new Error('You cannot read this thread');
+  }
+
+  const threadDoc = await db.collection(COLLECTIONS.ANONYMOUS_THREADS).doc(postId).get();
+  if (!threadDoc.exists) return null;
+
+  const thread = threadDoc.data();
+  const messages = (thread.messages || [])
+    .filter(message => investigator || message.sender === THREAD_SENDER.REPORTER || isCleared(message));
+
+  return {
+    postId,
+    companyId: thread.companyId,
+    lastReadBy: thread.lastReadBy || {},
+    lastReadCount: thread.lastReadCount || {},
+    messages: await Promise.all(messages.map(async (message) => ({
+      id: message.id,
+      sender: message.sender,
+      timestamp: message.timestamp,
+      read: message.read,
+      screeningStatus: message.screeningStatus || null,
+      screeningReasons: message.screeningReasons || [],
+      content: (await decryptForCompany(thread.companyId, message.encryptedContent)) || '',
+    }))),
+  };
+}
+
+/**
+ * Last-message previews of every thread in a company, for the HR inbox
+ * @param {Object} user - Investigator, with role and companyId
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Preview text by post ID
+ */
+async function getThreadPreviews(user, companyId) {
+  if (!isInvestigator(user, companyId)) {
+    throw new Error('Only HR and company admins can read thread previews');
+  }
+
+  const threadsSnapshot = await db.collection(COLLECTIONS.ANONYMOUS_THREADS)
+    .where('companyId', '==', companyId)
+    .get();
+
+  const previews = {};
+  await Promise.all(threadsSnapshot.docs.map(async (threadDoc) => {
+    const messages = threadDoc.data().messages || [];
+    if (messages.length === 0) return;
+
+    const text = (await decryptForCompany(companyId, messages[messages.length - 1].encryptedContent)) || '';
+    previews[threadDoc.id] = text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH)}...` : text;
+  }));
+  return previews;
+}
+
+module.exports = {
+  THREAD_SENDER,
+  sendThreadMessage,
+  postSystemNotice,
+  readThread,
+  getThreadPreviews,
+};
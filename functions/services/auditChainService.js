@@ -0,0 +1,397 @@
+/**
+ * Audit Chain Service
+ * Signs checkpoints of the audit chains written by auditLogService and
+ * verifies the chains against them.
+ *
+ * A checkpoint records a chain's head sequence number and hash, signed with
+ * the Ed25519 key in AUDIT_SIGNING_KEY. Exported checkpoints kept outside
+ * Firestore let an auditor prove the log has not been rewritten since: an
+ * attacker able to recompute every hash still cannot sign a new checkpoint.
+ */
+
+const crypto = require('crypto');
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { auditSigningKey } = require('../config/security');
+const {
+  getChainConfig,
+  getChainHeadId,
+  canonicalJson,
+  hashAuditEntry,
+} = require('./auditLogService');
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+const PAGE_SIZE = 1000;
+
+// Breaks listed in a verification report; the count covers all of them
+const MAX_REPORTED_BREAKS = 100;
+
+/**
+ * Ways a chain can break
+ */
+const BREAK_TYPE = {
+  MISSING_ENTRIES: 'missing_entries',
+  DUPLICATE_SEQUENCE: 'duplicate_sequence',
+  CONTENT_ALTERED: 'content_altered',
+  LINK_MISMATCH: 'link_mismatch',
+  HEAD_MISMATCH: 'head_mismatch',
+  CHECKPOINT_MISMATCH: 'checkpoint_mismatch',
+  CHECKPOINT_SIGNATURE_INVALID: 'checkpoint_signature_invalid',
+};
+
+/**
+ * Load the checkpoint signing key
+ * @returns {{privateKey: crypto.KeyObject, publicKey: string, keyId: string}}
+ *   publicKey is SPKI PEM; keyId is the start of the SHA-256 of its DER form
+ * @throws {Error} If AUDIT_SIGNING_KEY is not an Ed25519 private key
+ */
+function getSigningKey() {
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(auditSigningKey.value());
+  } catch {
+    throw new Error('AUDIT_SIGNING_KEY is not set to a PEM private key.');
+  }
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('AUDIT_SIGNING_KEY must be an Ed25519 key.');
+  }
+
+  const publicKeyObject = crypto.createPublicKey(privateKey);
+  const der = publicKeyObject.export({ type: 'spki', format: 'der' });
+  return {
+    privateKey,
+    publicKey: publicKeyObject.export({ type: 'spki', format: 'pem' }),
+    keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16),
+  };
+}
+
+/**
+ * The bytes a checkpoint signature covers
+ */
+function getCheckpointPayload({ chain, companyId, sequence, headHash, checkpointedAt }) {
+  return Buffer.from(canonicalJson({ chain, companyId, sequence, headHash, checkpointedAt }));
+}
+
+/**
+ * Check a checkpoint's signature with the current signing key
+ * @returns {boolean}
+ */
+function isCheckpointSigned(checkpoint, signingKey) {
+  if (checkpoint.keyId !== signingKey.keyId || !checkpoint.signature) {
+    return false;
+  }
+  try {
+    return crypto.verify(
+      null,
+      getCheckpointPayload(checkpoint),
+      crypto.createPublicKey(signingKey.publicKey),
+      Buffer.from(checkpoint.signature, 'base64')
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sign a checkpoint of every chain head written to since its last checkpoint
+ * @returns {Promise<{checkpointed: number, unchanged: number}>}
+ */
+async function createAuditCheckpoints() {
+  const signingKey = getSigningKey();
+  const headsSnapshot = await db.collection(COLLECTIONS.AUDIT_CHAIN_HEADS).get();
+
+  let checkpointed = 0;
+  let unchanged = 0;
+  for (const headDoc of headsSnapshot.docs) {
+    const written = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(headDoc.ref);
+      const head = current.data();
+      if (head.sequence <= (head.checkpointSequence || 0)) {
+        return false;
+      }
+
+      const checkpoint = {
+        chain: head.chain,
+        companyId: head.companyId,
+        sequence: head.sequence,
+        headHash: head.headHash,
+        checkpointedAt: new Date().toISOString(),
+      };
+      const signature = crypto.sign(null, getCheckpointPayload(checkpoint), signingKey.privateKey);
+
+      const checkpointId = `${headDoc.id}_${String(head.sequence).padStart(12, '0')}`;
+      transaction.create(db.collection(COLLECTIONS.AUDIT_CHECKPOINTS).doc(checkpointId), {
+        ...checkpoint,
+        algorithm: SIGNATURE_ALGORITHM,
+        keyId: signingKey.keyId,
+        publicKey: signingKey.publicKey,
+        signature: signature.toString('base64'),
+        createdAt: serverTimestamp(),
+      });
+      transaction.update(headDoc.ref, { checkpointSequence: head.sequence });
+      return true;
+    });
+
+    if (written) {
+      checkpointed++;
+    } else {
+      unchanged++;
+    }
+  }
+
+  return { checkpointed, unchanged };
+}
+
+/**
+ * Get a company's checkpoints for a chain, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCheckpoints(chain, companyId) {
+  const snapshot = await db.collection(COLLECTIONS.AUDIT_CHECKPOINTS)
+    .where('chain', '==', chain)
+    .where('companyId', '==', companyId || null)
+    .orderBy('sequence', 'asc')
+    .get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Export a company's signed checkpoints for a chain, to keep outside Firestore
+ * @param {string} chain - AUDIT_CHAIN value
+ * @param {string|null} companyId - Company ID
+ * @returns {Promise<Object>} { exportedAt, chain, companyId, algorithm, keyId, publicKey, checkpoints }
+ */
+async function exportAuditCheckpoints(chain, companyId) {
+  getChainConfig(chain);
+  const signingKey = getSigningKey();
+  const checkpoints = await getCheckpoints(chain, companyId);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    chain,
+    companyId: companyId || null,
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: signingKey.keyId,
+    publicKey: signingKey.publicKey,
+    checkpoints: checkpoints.map((checkpoint) => ({
+      sequence: checkpoint.sequence,
+      headHash: checkpoint.headHash,
+      checkpointedAt: checkpoint.checkpointedAt,
+      keyId: checkpoint.keyId,
+      signature: checkpoint.signature,
+    })),
+  };
+}
+
+/**
+ * Verify a company's audit chain entry by entry against its head and signed
+ * checkpoints
+ *
+ * Each entry's hash is recomputed and must match the hash stored with it and
+ * the previousHash of the next entry; sequence numbers must run from 1 to
+ * the head without gaps. A checkpoint must carry a valid signature from the
+ * current signing key and the hash of the entry at its sequence number.
+ * Checking carries on past a break so every break is reported.
+ *
+ * @param {string} chain - AUDIT_CHAIN value
+ * @param {string|null} companyId - Company ID
+ * @returns {Promise<Object>} { valid, chain, companyId, headSequence, totalEntries,
+ *   verifiedEntries, firstBreak, breaks, breakCount, checkpoints, lastGoodCheckpoint,
+ *   verifiedAt, message }
+ *   firstBreak is null or { sequence, entryId, type, expected, actual, detail }
+ */
+async function verifyAuditChain(chain, companyId) {
+  const { collection } = getChainConfig(chain);
+  const signingKey = getSigningKey();
+
+  const headDoc = await db.collection(COLLECTIONS.AUDIT_CHAIN_HEADS).doc(getChainHeadId(chain, companyId)).get();
+  const head = headDoc.exists ? headDoc.data() : null;
+
+  // Breaks are found out of sequence order (checkpoint signatures first), so
+  // the earliest one is tracked apart from the capped list
+  const breaks = [];
+  let breakCount = 0;
+  let firstBreak = null;
+  const addBreak = (found) => {
+    const reported = { expected: null, actual: null, entryId: null, ...found };
+    breakCount++;
+    if (!firstBreak || reported.sequence < firstBreak.sequence) {
+      firstBreak = reported;
+    }
+    if (breaks.length < MAX_REPORTED_BREAKS) {
+      breaks.push(reported);
+    }
+  };
+
+  // Checkpoints by sequence; those failing their signature anchor nothing
+  const checkpoints = await getCheckpoints(chain, companyId);
+  const signedCheckpoints = new Map();
+  for (const checkpoint of checkpoints) {
+    if (isCheckpointSigned(checkpoint, signingKey)) {
+      signedCheckpoints.set(checkpoint.sequence, checkpoint);
+    } else {
+      addBreak({
+        sequence: checkpoint.sequence,
+        type: BREAK_TYPE.CHECKPOINT_SIGNATURE_INVALID,
+        detail: checkpoint.keyId === signingKey.keyId
+          ? `Checkpoint ${checkpoint.id} has an invalid signature.`
+          : `Checkpoint ${checkpoint.id} was not signed with the current signing key (${signingKey.keyId}).`,
+      });
+    }
+  }
+  const matchedCheckpoints = [];
+
+  let expectedSequence = 1;
+  let previousHash = head?.anchorHash || null;
+  let totalEntries = 0;
+  let verifiedEntries = 0;
+  let lastHash = null;
+  let lastSequence = 0;
+
+  const entriesQuery = db.collection(collection)
+    .where('companyId', '==', companyId || null)
+    .orderBy('sequence', 'asc')
+    .limit(PAGE_SIZE);
+
+  let snapshot = await entriesQuery.get();
+  while (!snapshot.empty) {
+    for (const doc of snapshot.docs) {
+      const entry = doc.data();
+      const { sequence } = entry;
+      totalEntries++;
+
+      if (sequence < expectedSequence) {
+        addBreak({
+          sequence,
+          entryId: doc.id,
+          type: BREAK_TYPE.DUPLICATE_SEQUENCE,
+          detail: `Sequence ${sequence} appears more than once.`,
+        });
+        continue;
+      }
+
+      let intact = true;
+      if (sequence > expectedSequence) {
+        intact = false;
+        addBreak({
+          sequence: expectedSequence,
+          entryId: doc.id,
+          type: BREAK_TYPE.MISSING_ENTRIES,
+          expected: expectedSequence,
+          actual: sequence,
+          detail: sequence - expectedSequence === 1
+            ? `Entry ${expectedSequence} is missing.`
+            : `Entries ${expectedSequence} to ${sequence - 1} are missing.`,
+        });
+      } else if (previousHash !== null && entry.previousHash !== previousHash) {
+        intact = false;
+        addBreak({
+          sequence,
+          entryId: doc.id,
+          type: BREAK_TYPE.LINK_MISMATCH,
+          expected: previousHash,
+          actual: entry.previousHash,
+          detail: `Entry ${sequence} does not link to the hash of entry ${sequence - 1}.`,
+        });
+      }
+
+      const recomputedHash = hashAuditEntry(entry);
+      if (recomputedHash !== entry.currentHash) {
+        intact = false;
+        addBreak({
+          sequence,
+          entryId: doc.id,
+          type: BREAK_TYPE.CONTENT_ALTERED,
+          expected: recomputedHash,
+          actual: entry.currentHash,
+          detail: `Entry ${sequence} was changed after it was written.`,
+        });
+      }
+
+      const checkpoint = signedCheckpoints.get(sequence);
+      if (checkpoint) {
+        if (checkpoint.headHash !== recomputedHash) {
+          intact = false;
+          addBreak({
+            sequence,
+            entryId: doc.id,
+            type: BREAK_TYPE.CHECKPOINT_MISMATCH,
+            expected: checkpoint.headHash,
+            actual: recomputedHash,
+            detail: `Entry ${sequence} does not match the checkpoint signed at ${checkpoint.checkpointedAt}.`,
+          });
+        } else {
+          matchedCheckpoints.push(checkpoint);
+        }
+      }
+
+      if (intact) {
+        verifiedEntries++;
+      }
+      previousHash = entry.currentHash;
+      lastHash = entry.currentHash;
+      lastSequence = sequence;
+      expectedSequence = sequence + 1;
+    }
+
+    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    snapshot = await entriesQuery.startAfter(lastDoc.data().sequence).get();
+  }
+
+  // Checkpoints past the last entry prove entries were removed from the end
+  const signedHeadSequence = Math.max(head?.sequence || 0, ...signedCheckpoints.keys());
+  if (signedHeadSequence > lastSequence) {
+    addBreak({
+      sequence: lastSequence + 1,
+      type: BREAK_TYPE.MISSING_ENTRIES,
+      expected: signedHeadSequence,
+      actual: lastSequence,
+      detail: signedHeadSequence === lastSequence + 1
+        ? `Entry ${signedHeadSequence} is missing from the end of the chain.`
+        : `Entries ${lastSequence + 1} to ${signedHeadSequence} are missing from the end of the chain.`,
+    });
+  } else if (head && head.headHash !== lastHash) {
+    addBreak({
+      sequence: lastSequence,
+      type: BREAK_TYPE.HEAD_MISMATCH,
+      expected: head.headHash,
+      actual: lastHash,
+      detail: `The chain head does not match entry ${lastSequence}.`,
+    });
+  }
+
+  breaks.sort((a, b) => a.sequence - b.sequence);
+  const lastGoodCheckpoint = matchedCheckpoints
+    .filter((checkpoint) => !firstBreak || checkpoint.sequence < firstBreak.sequence)
+    .map(({ sequence, headHash, checkpointedAt }) => ({ sequence, headHash, checkpointedAt }))
+    .pop() || null;
+
+  return {
+    valid: breakCount === 0,
+    chain,
+    companyId: companyId || null,
+    headSequence: head?.sequence || 0,
+    totalEntries,
+    verifiedEntries,
+    firstBreak,
+    breaks,
+    breakCount,
+    checkpoints: {
+      total: checkpoints.length,
+      matched: matchedCheckpoints.length,
+      invalid: checkpoints.length - signedCheckpoints.size,
+    },
+    lastGoodCheckpoint,
+    verifiedAt: new Date().toISOString(),
+    message: firstBreak
+      ? `Audit chain broken at entry ${firstBreak.sequence}: ${firstBreak.detail}`
+      : `All ${totalEntries} entries verified against ${matchedCheckpoints.length} signed checkpoints.`,
+  };
+}
+
+module.exports = {
+  BREAK_TYPE,
+  createAuditCheckpoints,
+  exportAuditCheckpoints,
+  verifyAuditChain,
+};
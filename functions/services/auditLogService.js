@@ -0,0 +1,247 @@
+/**
+ * Audit Log Service
+ * Appends system activity to systemAuditLogs and disclosure events to
+ * disclosureAuditLog. Cloud Functions are the only writers.
+ *
+ * Each company has one hash chain per log. Its head in auditChainHeads holds
+ * the last sequence number and hash; an entry is appended in a transaction
+ * with that head, so entries get strictly increasing sequence numbers and
+ * concurrent writers cannot fork the chain. An entry's hash covers every
+ * field stored with it except createdAt, plus the previous entry's hash.
+ * Entries written before sequencing stay in place: the first sequenced entry
+ * links to the hash of the company's last one.
+ */
+
+const crypto = require('crypto');
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+
+/**
+ * Audit chains and the collection each one is written to
+ */
+const AUDIT_CHAIN = {
+  SYSTEM: 'system',
+  DISCLOSURE: 'disclosure',
+};
+
+const CHAIN_CONFIG = {
+  [AUDIT_CHAIN.SYSTEM]: { collection: COLLECTIONS.SYSTEM_AUDIT_LOGS, genesisHash: 'GENESIS_BLOCK' },
+  [AUDIT_CHAIN.DISCLOSURE]: { collection: COLLECTIONS.DISCLOSURE_AUDIT_LOG, genesisHash: 'DISCLOSURE_GENESIS' },
+};
+
+// Chain of audit entries with no company, such as a super admin changing their password
+const PLATFORM_CHAIN_ID = 'platform';
+
+// Fields written with an entry that its hash does not cover
+const UNHASHED_FIELDS = ['currentHash', 'createdAt'];
+
+// Activities involving harassment are kept for 7 years instead of 2
+const HARASSMENT_REASONS = ['harassment', 'discrimination', 'violence'];
+const HARASSMENT_ACTIVITIES = ['hr_escalation', 'evidence_package_generated'];
+
+/**
+ * Get the settings of an audit chain
+ * @param {string} chain - AUDIT_CHAIN value
+ * @returns {{collection: string, genesisHash: string}}
+ * @throws {Error} If the chain is unknown
+ */
+function getChainConfig(chain) {
+  const config = CHAIN_CONFIG[chain];
+  if (!config) {
+    throw new Error(`Unknown audit chain: ${chain}`);
+  }
+  return config;
+}
+
+/**
+ * Document ID of a company's chain head in auditChainHeads
+ */
+function getChainHeadId(chain, companyId) {
+  return `${chain}_${companyId || PLATFORM_CHAIN_ID}`;
+}
+
+/**
+ * Document ID of an audit entry; zero-padded so IDs sort by sequence
+ */
+function getEntryId(companyId, sequence) {
+  return `${companyId || PLATFORM_CHAIN_ID}_${String(sequence).padStart(12, '0')}`;
+}
+
+/**
+ * Convert a value to what Firestore stores and reads back unchanged, so the
+ * hash of an entry can be recomputed from its document. Dates and Timestamps
+ * become ISO strings and undefined fields are dropped.
+ * @param {*} value
+ * @returns {*}
+ */
+function toAuditValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) {
+        result[key] = toAuditValue(item);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * JSON with object keys sorted, so the same entry always hashes the same
+ * however its fields were ordered when written or read
+ * @param {*} value - Value from toAuditValue
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Calculate the hash of an audit entry
+ * @param {Object} entry - Stored entry; currentHash and createdAt are ignored
+ * @returns {string} SHA-256 hex digest
+ */
+function hashAuditEntry(entry) {
+  const hashed = { ...entry };
+  for (const field of UNHASHED_FIELDS) {
+    delete hashed[field];
+  }
+  return crypto.createHash('sha256').update(canonicalJson(hashed)).digest('hex');
+}
+
+/**
+ * Hash of a company's last entry written before sequencing, which the first
+ * sequenced entry links to
+ * @returns {Promise<string>}
+ */
+async function getLegacyChainTip(transaction, chain, companyId) {
+  const { collection, genesisHash } = getChainConfig(chain);
+  const snapshot = await transaction.get(db.collection(collection)
+    .where('companyId', '==', companyId || null)
+    .orderBy('createdAt', 'desc')
+    .limit(1));
+
+  if (snapshot.empty) {
+    return genesisHash;
+  }
+  return snapshot.docs[0].data().currentHash || genesisHash;
+}
+
+/**
+ * Append an entry to a company's audit chain
+ * @param {string} chain - AUDIT_CHAIN value
+ * @param {string|null} companyId - Company ID
+ * @param {Object} fields - Entry content; companyId is added
+ * @returns {Promise<{auditId: string, sequence: number, hash: string}>}
+ */
+async function appendAuditEntry(chain, companyId, fields) {
+  const { collection } = getChainConfig(chain);
+  const headRef = db.collection(COLLECTIONS.AUDIT_CHAIN_HEADS).doc(getChainHeadId(chain, companyId));
+
+  return db.runTransaction(async (transaction) => {
+    const headDoc = await transaction.get(headRef);
+    const head = headDoc.exists ? headDoc.data() : null;
+    const anchorHash = head ? head.anchorHash : await getLegacyChainTip(transaction, chain, companyId);
+
+    const sequence = (head?.sequence || 0) + 1;
+    const entry = {
+      ...toAuditValue(fields),
+      companyId: companyId || null,
+      sequence,
+      previousHash: head?.headHash || anchorHash,
+      timestamp: new Date().toISOString(),
+    };
+    const currentHash = hashAuditEntry(entry);
+    const entryId = getEntryId(companyId, sequence);
+
+    // create() fails if the ID is taken, so an entry can never be replaced
+    transaction.create(db.collection(collection).doc(entryId), {
+      ...entry,
+      currentHash,
+      createdAt: serverTimestamp(),
+    });
+    transaction.set(headRef, {
+      chain,
+      companyId: companyId || null,
+      sequence,
+      headHash: currentHash,
+      anchorHash,
+      checkpointSequence: head?.checkpointSequence || 0,
+      updatedAt: serverTimestamp(),
+    });
+
+    return { auditId: entryId, sequence, hash: currentHash };
+  });
+}
+
+/**
+ * Log a system activity for a company
+ * Never throws, so auditing cannot break the action being audited
+ * @param {string|null} companyId - Company ID
+ * @param {string} activityType - SystemActivityType value
+ * @param {Object} metadata - Activity details
+ * @param {string|null} recordedBy - User whose request logged the activity, if any
+ * @returns {Promise<{success: boolean, auditId?: string, sequence?: number, hash?: string}>}
+ */
+async function logSystemActivity(companyId, activityType, metadata = {}, recordedBy = null) {
+  try {
+    const isHarassmentRelated =
+      HARASSMENT_REASONS.includes(metadata.reason) ||
+      HARASSMENT_REASONS.includes(metadata.violationType) ||
+      HARASSMENT_ACTIVITIES.includes(activityType);
+
+    const result = await appendAuditEntry(AUDIT_CHAIN.SYSTEM, companyId, {
+      type: activityType,
+      metadata,
+      recordedBy,
+      legalHold: isHarassmentRelated,
+      retentionYears: isHarassmentRelated ? 7 : 2,
+    });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`Error logging system activity ${activityType}:`, error);
+    return { success: false };
+  }
+}
+
+/**
+ * Log a disclosure event for a company, such as a custodian submitting a key
+ * share or an identity being disclosed
+ * Unlike logSystemActivity this throws, since a disclosure step must not go
+ * ahead unrecorded
+ * @param {string} companyId - Company ID
+ * @param {Object} entryData - Event details; companyId is added
+ * @returns {Promise<{auditId: string, sequence: number, hash: string}>}
+ */
+async function logDisclosureEvent(companyId, entryData) {
+  return appendAuditEntry(AUDIT_CHAIN.DISCLOSURE, companyId, {
+    ...entryData,
+    disclosedAt: new Date().toISOString(),
+    immutable: true,
+    retentionYears: 7,
+    legalHold: true,
+  });
+}
+
+module.exports = {
+  AUDIT_CHAIN,
+  getChainConfig,
+  getChainHeadId,
+  canonicalJson,
+  hashAuditEntry,
+  logSystemActivity,
+  logDisclosureEvent,
+};
@@ -0,0 +1,280 @@
+/**
+ * Ballot Service
+ * Votes, reactions and poll votes on posts.
+ *
+ * Each user has at most one ballot of each kind per post, stored in the
+ * ballots collection under an ID derived from the post, the kind and the
+ * user's author token, so a second ballot overwrites the first. Posts only
+ * carry aggregate counters, which are updated in the same transaction as the
+ * ballot. Ballots record the author token rather than the user ID and are
+ * readable only by their voter.
+ */
+
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { getAuthorToken } = require('./anonymousContentService');
+
+const BALLOT_KINDS = {
+  VOTE: 'vote',
+  REACTION: 'reaction',
+  POLL: 'poll',
+};
+
+const VOTE_TYPES = ['upvote', 'downvote'];
+
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'appreciate', 'idea', 'interesting'];
+
+/**
+ * ID of a user's ballot of one kind on a post
+ * @param {string} postId - Post ID
+ * @param {string} kind - BALLOT_KINDS value
+ * @param {string} voterToken - Voter's author token
+ * @returns {string}
+ */
+function getBallotId(postId, kind, voterToken) {
+  return `${postId}_${kind}_${voterToken}`;
+}
+
+/**
+ * Vote counters after a vote ballot changes from one choice to another
+ * @param {Object} post - Post data
+ * @param {string|null} previous - Previous vote type
+ * @param {string|null} next - New vote type
+ */
+function countVotes(post, previous, next) {
+  const upDelta = (next === 'upvote' ? 1 : 0) - (previous === 'upvote' ? 1 : 0);
+  const downDelta = (next === 'downvote' ? 1 : 0) - (previous === 'downvote' ? 1 : 0);
+  const upvoteCount = (post.upvoteCount || 0) + upDelta;
+  const downvoteCount = (post.downvoteCount || 0) + downDelta;
+
+  return { upvoteCount, downvoteCount, voteScore: upvoteCount - downvoteCount };
+}
+
+/**
+ * Reaction counters after a reaction ballot changes from one type to another
+ * @param {Object} post - Post data
+ * @param {string|null} previous - Previous reaction type
+ * @param {string|null} next - New reaction type
+ */
+function countReactions(post, previous, next) {
+  const reactionCounts = { ...(post.reactionCounts || {}) };
+  if (previous) {
+    reactionCounts[previous] = Math.max((reactionCounts[previous] || 0) - 1, 0);
+  }
+  if (next) {
+    reactionCounts[next] = (reactionCounts[next] || 0) + 1;
+  }
+  return { reactionCounts };
+}
+
+/**
+ * Poll counters after a poll ballot changes from one set of options to another
+ * @param {Object} post - Post data
+ * @param {Array<number>} previous - Previously chosen option indices
+ * @param {Array<number>} next - Newly chosen option indices
+ */
+function countPollVotes(post, previous, next) {
+  const pollCounts = { ...(post.pollCounts || {}) };
+  previous.filter(index => !next.includes(index)).forEach(index => {
+    pollCounts[index] = Math.max((pollCounts[index] || 0) - 1, 0);
+  });
+  next.filter(index => !previous.includes(index)).forEach(index => {
+    pollCounts[index] = (pollCounts[index] || 0) + 1;
+  });
+
+  const voterDelta = (next.length > 0 ? 1 : 0) - (previous.length > 0 ? 1 : 0);
+  return { pollCounts, pollVoterCount: Math.max((post.pollVoterCount || 0) + voterDelta, 0) };
+}
+
+/**
+ * Work out the new choice of a poll ballot when an option is clicked
+ * Single-choice polls move the vote or, on the same option, withdraw it;
+ * multiple-choice polls toggle the option
+ * @param {Object} poll - Poll data
+ * @param {Array<number>} previous - Previously chosen option indices
+ * @param {number} optionIndex - Clicked option
+ * @returns {Array<number>}
+ */
+function nextPollChoices(poll, previous, optionIndex) {
+  if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= poll.options.length) {
+    throw new Error('Invalid poll option index');
+  }
+
+  if (poll.endDate) {
+    const endDate = poll.endDate.toDate ? poll.endDate.toDate() : new Date(poll.endDate);
+    if (new Date() > endDate) {
+      throw new Error('This poll has ended');
+    }
+  }
+
+  if (previous.includes(optionIndex)) {
+    return previous.filter(index => index !== optionIndex);
+  }
+  return poll.multipleChoice ? [...previous, optionIndex].sort((a, b) => a - b) : [optionIndex];
+}
+
+/**
+ * Cast, change or withdraw a ballot
+ * Casting the same vote or reaction again withdraws it, matching the toggle
+ * buttons in the feed.
+ * @param {string} userId - Voter's user ID
+ * @param {Object} input - { postId, kind, choice } where choice is a vote
+ *   type, a reaction type or a poll option index
+ * @returns {Promise<{kind: string, choice: *, counts: Object}>} The voter's
+ *   choice after the change (null or [] when withdrawn) and the post's counters
+ */
+async function castBallot(userId, input) {
+  const { postId, kind, choice } = input;
+
+  if (!postId || !Object.values(BALLOT_KINDS).includes(kind)) {
+    throw new Error('Invalid ballot parameters');
+  }
+  if (kind === BALLOT_KINDS.VOTE && !VOTE_TYPES.includes(choice)) {
+    throw new Error(`Unknown vote type: ${choice}`);
+  }
+  if (kind === BALLOT_KINDS.REACTION && !REACTION_TYPES.includes(choice)) {
+    throw new Error(`Unknown reaction type: ${choice}`);
+  }
+
+  const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+  if (!userDoc.exists || !userDoc.data().companyId) {
+    throw new Error('User not found');
+  }
+  const { companyId } = userDoc.data();
+
+  const voterToken = getAuthorToken(userId);
+  const postRef = db.collection('posts').doc(postId);
+  const ballotRef = db.collection(COLLECTIONS.BALLOTS).doc(getBallotId(postId, kind, voterToken));
+
+  return db.runTransaction(async (transaction) => {
+    const postDoc = await transaction.get(postRef);
+    const ballotDoc = await transaction.get(ballotRef);
+
+    if (!postDoc.exists || postDoc.data().companyId !== companyId || postDoc.data().isDraft === true) {
+      throw new Error('Post not found');
+    }
+
+    const post = postDoc.data();
+    const ballot = ballotDoc.exists ? ballotDoc.data() : null;
+    let next;
+    let counts;
+
+    if (kind === BALLOT_KINDS.POLL) {
+      if (!post.poll || !Array.isArray(post.poll.options)) {
+        throw new Error('Poll not found in post');
+      }
+      const previous = ballot?.choice || [];
+      next = nextPollChoices(post.poll, previous, choice);
+      counts = countPollVotes(post, previous, next);
+    } else {
+      const previous = ballot?.choice || null;
+      next = previous === choice ? null : choice;
+      counts = kind === BALLOT_KINDS.VOTE
+        ? countVotes(post, previous, next)
+        : countReactions(post, previous, next);
+    }
+
+    const withdrawn = next === null || (Array.isArray(next) && next.length === 0);
+    if (withdrawn) {
+      transaction.delete(ballotRef);
+    } else {
+      transaction.set(ballotRef, {
+        postId,
+        companyId,
+        kind,
+        voterToken,
+        choice: next,
+        createdAt: ballot?.createdAt || serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    // Reactions never moved a post up the "recently updated" order
+    const postUpdate = kind === BALLOT_KINDS.REACTION
+      ? counts
+      : { ...counts, updatedAt: serverTimestamp() };
+    transaction.update(postRef, postUpdate);
+
+    return { kind, choice: next, counts };
+  });
+}
+
+/**
+ * Ballots a post's legacy voter arrays translate to
+ * Used by the migration. Later entries for the same user are ignored, so each
+ * user ends up with one ballot of each kind.
+ * @param {Object} post - Post data with upvotes/downvotes, reactions and poll option votes
+ * @returns {Object} Choices keyed by kind, then by user ID
+ */
+function ballotsFromLegacyArrays(post) {
+  const ballots = {
+    [BALLOT_KINDS.VOTE]: {},
+    [BALLOT_KINDS.REACTION]: {},
+    [BALLOT_KINDS.POLL]: {},
+  };
+
+  VOTE_TYPES.forEach(voteType => {
+    const voters = voteType === 'upvote' ? post.upvotes : post.downvotes;
+    (Array.isArray(voters) ? voters : []).forEach(userId => {
+      if (!ballots.vote[userId]) ballots.vote[userId] = voteType;
+    });
+  });
+
+  Object.entries(post.reactions || {}).forEach(([reactionType, users]) => {
+    if (!REACTION_TYPES.includes(reactionType) || !Array.isArray(users)) return;
+    users.forEach(userId => {
+      if (!ballots.reaction[userId]) ballots.reaction[userId] = reactionType;
+    });
+  });
+
+  (post.poll?.options || []).forEach((option, index) => {
+    (Array.isArray(option.votes) ? option.votes : []).forEach(userId => {
+      const chosen = ballots.poll[userId] || [];
+      if (chosen.length === 0 || post.poll.multipleChoice) {
+        ballots.poll[userId] = [...chosen, index];
+      }
+    });
+  });
+
+  return ballots;
+}
+
+/**
+ * Post counters for a complete set of ballots
+ * @param {Object} ballots - Choices keyed by kind, then by voter
+ * @returns {Object} upvoteCount, downvoteCount, voteScore, reactionCounts,
+ *   pollCounts and pollVoterCount
+ */
+function countBallots(ballots) {
+  const votes = Object.values(ballots.vote);
+  const upvoteCount = votes.filter(voteType => voteType === 'upvote').length;
+  const downvoteCount = votes.length - upvoteCount;
+
+  const reactionCounts = {};
+  Object.values(ballots.reaction).forEach(reactionType => {
+    reactionCounts[reactionType] = (reactionCounts[reactionType] || 0) + 1;
+  });
+
+  const pollCounts = {};
+  Object.values(ballots.poll).forEach(indices => {
+    indices.forEach(index => {
+      pollCounts[index] = (pollCounts[index] || 0) + 1;
+    });
+  });
+
+  return {
+    upvoteCount,
+    downvoteCount,
+    voteScore: upvoteCount - downvoteCount,
+    reactionCounts,
+    pollCounts,
+    pollVoterCount: Object.keys(ballots.poll).length,
+  };
+}
+
+module.exports = {
+  BALLOT_KINDS,
+  getBallotId,
+  castBallot,
+  ballotsFromLegacyArrays,
+  countBallots,
+};
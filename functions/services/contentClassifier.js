@@ -0,0 +1,72 @@
+/**
+ * Content Classifier
+ * Hook for an external text classifier used by content screening.
+ *
+ * When CONTENT_CLASSIFIER_URL is set, text is POSTed to it as { text } and
+ * the service must answer { labels: [{ label, score }] } with scores from 0
+ * to 1. Without it, a local stub that never flags anything stands in, so the
+ * rule and PII checks work on their own in development and in the emulator.
+ */
+
+const { defineString } = require('firebase-functions/params');
+
+const classifierUrl = defineString('CONTENT_CLASSIFIER_URL', { default: '' });
+
+// Labels scored at or above this are reported as flags
+const FLAG_THRESHOLD = 0.8;
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Local stand-in for the external classifier
+ * @returns {Promise<{labels: Array}>}
+ */
+async function localClassifier() {
+  return { labels: [] };
+}
+
+/**
+ * Ask the external classifier about a text
+ * @param {string} url - Classifier endpoint
+ * @param {string} text - Text to classify
+ * @returns {Promise<{labels: Array}>}
+ */
+async function remoteClassifier(url, text) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Classifier responded with ${response.status}`);
+  }
+
+  const result = await response.json();
+  return { labels: Array.isArray(result.labels) ? result.labels : [] };
+}
+
+/**
+ * Classify a text and return the labels that should hold it for review
+ * A classifier failure is logged and treated as no flags, so an outage
+ * never blocks publishing; the local rules still apply
+ * @param {string} text - Text to classify
+ * @returns {Promise<Array<{label: string, score: number}>>}
+ */
+async function classifyText(text) {
+  const url = classifierUrl.value();
+
+  try {
+    const { labels } = url ? await remoteClassifier(url, text) : await localClassifier(text);
+    return labels
+      .filter(entry => entry && typeof entry.label === 'string' && Number(entry.score) >= FLAG_THRESHOLD)
+      .map(entry => ({ label: entry.label, score: Number(entry.score) }));
+  } catch (error) {
+    console.error('Content classifier failed, continuing without it:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  classifyText,
+};
@@ -0,0 +1,426 @@
+/**
+ * Content Screening Service
+ * Screens new posts, comments and anonymous-thread messages before anyone
+ * else can see them.
+ *
+ * Clients write new content with screeningStatus 'pending', which the feeds
+ * hide from everyone but the author. Triggers then run the pipeline: local
+ * keyword rules, PII detection and the classifier hook. Clean content is
+ * marked 'passed'; anything flagged waits as 'pending_review' until an admin
+ * or HR approves or rejects it from the Moderation Dashboard. The reasons are
+ * stored with the content so its author can see why it was held.
+ */
+
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { classifyText } = require('./contentClassifier');
+const { decryptForCompany } = require('./encryptionService');
+
+// Keep in sync with ScreeningStatus in src/utils/constants.js
+const SCREENING_STATUS = {
+  PENDING: 'pending',
+  PASSED: 'passed',
+  PENDING_REVIEW: 'pending_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+// Keep in sync with ScreeningReason in src/utils/constants.js
+const SCREENING_REASON = {
+  KEYWORD: 'keyword',
+  PII_EMAIL: 'pii_email',
+  PII_PHONE: 'pii_phone',
+  PII_EMPLOYEE_ID: 'pii_employee_id',
+  CLASSIFIER: 'classifier',
+};
+
+const SCREENED_CONTENT = {
+  POST: 'post',
+  COMMENT: 'comment',
+  THREAD_MESSAGE: 'thread_message',
+};
+
+// Keep in sync with ModerationActivityType in src/utils/constants.js
+const SCREENING_ACTIVITY = {
+  HELD: 'content_held',
+  APPROVED: 'content_approved',
+  REJECTED: 'content_rejected',
+};
+
+const REVIEW_DECISION = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+};
+
+/**
+ * Local keyword rules; each rule that matches adds one reason
+ * Phrases rather than single words, to keep false positives down
+ */
+const KEYWORD_RULES = [
+  { category: 'threat', pattern: /\b(?:kill|shoot|stab|hurt|beat up|punch)\s+(?:you|him|her|them|everyone)\b/i },
+  { category: 'threat', pattern: /\b(?:watch your back|you(?:'| a)re dead|bring a (?:gun|knife))\b/i },
+  { category: 'self_harm', pattern: /\b(?:kill myself|end my life|want to die|hurt myself)\b/i },
+  { category: 'abuse', pattern: /\b(?:you(?:'re| are) (?:an? )?(?:idiot|moron|worthless|pathetic))\b/i },
+];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Candidate phone numbers; confirmed by counting digits below
+const PHONE_CANDIDATE_PATTERN = /\+?\d[\d\s().-]{6,}\d/g;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+// "EMP-12345", "employee id 4821", "staff no: A1234", "badge #5521"
+const EMPLOYEE_ID_PATTERN = /\b(?:emp[-_#]?\d{3,}|(?:employee|staff|badge)\s*(?:id|no\.?|number|#)?\s*[:#]?\s*[A-Z]{0,3}\d{3,})\b/gi;
+
+/**
+ * Count phone numbers in a text
+ * Dates and short numbers are not counted
+ */
+function countPhoneNumbers(text) {
+  return (text.match(PHONE_CANDIDATE_PATTERN) || []).filter(candidate => {
+    const digits = candidate.replace(/\D/g, '').length;
+    return digits >= MIN_PHONE_DIGITS
+      && digits <= MAX_PHONE_DIGITS
+      && !ISO_DATE_PATTERN.test(candidate.trim());
+  }).length;
+}
+
+/**
+ * Run the screening pipeline on a text
+ * Reasons record what was found, never the matched text itself
+ * @param {string} text - Text to screen
+ * @returns {Promise<{flagged: boolean, reasons: Array<Object>}>}
+ */
+async function screenText(text) {
+  const reasons = [];
+  if (!text || !text.trim()) return { flagged: false, reasons };
+
+  const categories = new Set(KEYWORD_RULES.filter(rule => rule.pattern.test(text)).map(rule => rule.category));
+  categories.forEach(category => reasons.push({ code: SCREENING_REASON.KEYWORD, category }));
+
+  const piiCounts = {
+    [SCREENING_REASON.PII_EMAIL]: (text.match(EMAIL_PATTERN) || []).length,
+    [SCREENING_REASON.PII_PHONE]: countPhoneNumbers(text),
+    [SCREENING_REASON.PII_EMPLOYEE_ID]: (text.match(EMPLOYEE_ID_PATTERN) || []).length,
+  };
+  Object.entries(piiCounts).forEach(([code, count]) => {
+    if (count > 0) reasons.push({ code, count });
+  });
+
+  const labels = await classifyText(text);
+  labels.forEach(({ label, score }) => reasons.push({ code: SCREENING_REASON.CLASSIFIER, label, score }));
+
+  return { flagged: reasons.length > 0, reasons };
+}
+
+/**
+ * Whether content has cleared screening and may be shown to everyone
+ * Content without a status was written before screening existed
+ * @param {Object} data - Post, comment or thread message
+ * @returns {boolean}
+ */
+function isScreeningCleared(data) {
+  return !data.screeningStatus
+    || data.screeningStatus === SCREENING_STATUS.PASSED
+    || data.screeningStatus === SCREENING_STATUS.APPROVED;
+}
+
+/**
+ * Check whether a user may see a post
+ * Mirrors getPostsWithPrivacyFilter in the client postManagementService
+ * @param {Object} post - Post data
+ * @param {Object} user - The user's data
+ * @param {string} userId - The user's ID
+ * @returns {boolean}
+ */
+function canViewPost(post, user, userId) {
+  if (post.isArchived) return false;
+  if (post.isDraft) return false;
+
+  // Posts still being screened, or held for review, stay with their author
+  if (!isScreeningCleared(post)) return Boolean(userId && post.authorId === userId);
+
+  // Super admin and company admin can see all posts
+  if (user.role === 'super_admin' || user.role === 'company_admin') {
+    return true;
+  }
+
+  // Authors can always see their own posts
+  if (userId && post.authorId === userId) return true;
+
+  // Users can see posts assigned to them
+  if (userId && post.assignedTo?.id === userId) return true;
+
+  const privacyLevel = post.privacyLevel || 'company_public';
+
+  if (privacyLevel === 'company_public') return true;
+
+  // HR-only posts
+  if (privacyLevel === 'hr_only') {
+    return user.role === 'hr';
+  }
+
+  // Department-only posts
+  if (privacyLevel === 'department_only') {
+    if (user.role === 'hr') return true;
+    if (user.departmentId && post.departmentId) {
+      return user.departmentId === post.departmentId;
+    }
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Text of a post or comment that is screened
+ */
+function getScreenedText(contentType, data) {
+  if (contentType === SCREENED_CONTENT.POST) {
+    return [data.title, data.content].filter(Boolean).join('\n');
+  }
+  return data.text || data.content || '';
+}
+
+/**
+ * Whether a post or comment write needs screening
+ * New content is screened unless it was already screened; edits are
+ * screened again when their text changes, drafts when they are published
+ */
+function needsScreening(contentType, before, after) {
+  if (!after || after.isDraft === true) return false;
+  if (!before) {
+    return !after.screeningStatus || after.screeningStatus === SCREENING_STATUS.PENDING;
+  }
+  if (before.isDraft === true) return true;
+  return getScreenedText(contentType, before) !== getScreenedText(contentType, after);
+}
+
+/**
+ * Record a moderation activity for screening
+ */
+async function logScreeningActivity(activityType, { contentType, contentId, companyId, userId = null, metadata = {} }) {
+  try {
+    await db.collection(COLLECTIONS.MODERATION_ACTIVITIES).add({
+      activityType,
+      contentType,
+      contentId,
+      userId,
+      companyId,
+      metadata,
+      createdAt: serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error logging screening activity:', error);
+  }
+}
+
+/**
+ * Tell a named author what happened to their content
+ * Anonymous authors are not notified: they see the status on the content
+ */
+async function notifyAuthor(data, contentType, contentId, title, message) {
+  if (data.isAnonymous || !data.authorId) return;
+
+  await db.collection('notifications').add({
+    userId: data.authorId,
+    type: 'moderation',
+    title,
+    message,
+    companyId: data.companyId,
+    metadata: { contentType, contentId },
+    read: false,
+    createdAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Screen a post or comment after it was written
+ * @param {string} contentType - SCREENED_CONTENT.POST or COMMENT
+ * @param {FirebaseFirestore.DocumentReference} ref - Content reference
+ * @param {Object|null} before - Data before the write
+ * @param {Object|null} after - Data after the write
+ * @returns {Promise<string|null>} New screening status, or null if not screened
+ */
+async function screenContentWrite(contentType, ref, before, after) {
+  if (!needsScreening(contentType, before, after)) return null;
+
+  const { flagged, reasons } = await screenText(getScreenedText(contentType, after));
+  const status = flagged ? SCREENING_STATUS.PENDING_REVIEW : SCREENING_STATUS.PASSED;
+
+  await ref.update({
+    screeningStatus: status,
+    screeningReasons: reasons,
+    screenedAt: serverTimestamp(),
+  });
+
+  if (flagged) {
+    await logScreeningActivity(SCREENING_ACTIVITY.HELD, {
+      contentType,
+      contentId: ref.id,
+      companyId: after.companyId,
+      metadata: { reasons },
+    });
+    await notifyAuthor(after, contentType, ref.id,
+      'Held for Review',
+      `Your ${contentType} is waiting for a moderator before others can see it. You can see why on the ${contentType} itself.`);
+  }
+
+  return status;
+}
+
+/**
+ * Screen the pending messages of an anonymous thread
+ * Messages are matched by ID inside a transaction, so messages added while
+ * the classifier runs are left for the next trigger
+ * @param {FirebaseFirestore.DocumentReference} threadRef - Thread reference
+ * @param {Object} thread - Thread data after the write
+ * @returns {Promise<number>} Messages held for review
+ */
+async function screenThreadMessages(threadRef, thread) {
+  const pending = (thread.messages || []).filter(msg => msg.screeningStatus === SCREENING_STATUS.PENDING);
+  if (pending.length === 0) return 0;
+
+  const results = new Map();
+  for (const message of pending) {
+    // Messages are encrypted with the company's data key
+    const text = await decryptForCompany(thread.companyId, message.encryptedContent);
+    results.set(message.id, await screenText(text || ''));
+  }
+
+  const held = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(threadRef);
+    if (!snapshot.exists) return [];
+
+    const heldIds = [];
+    const messages = (snapshot.data().messages || []).map(message => {
+      const result = results.get(message.id);
+      if (!result || message.screeningStatus !== SCREENING_STATUS.PENDING) return message;
+      if (result.flagged) heldIds.push(message.id);
+      return {
+        ...message,
+        screeningStatus: result.flagged ? SCREENING_STATUS.PENDING_REVIEW : SCREENING_STATUS.PASSED,
+        screeningReasons: result.reasons,
+      };
+    });
+
+    transaction.update(threadRef, {
+      messages,
+      heldMessageCount: messages.filter(msg => msg.screeningStatus === SCREENING_STATUS.PENDING_REVIEW).length,
+    });
+    return heldIds;
+  });
+
+  for (const messageId of held) {
+    await logScreeningActivity(SCREENING_ACTIVITY.HELD, {
+      contentType: SCREENED_CONTENT.THREAD_MESSAGE,
+      contentId: threadRef.id,
+      companyId: thread.companyId,
+      metadata: { messageId, reasons: results.get(messageId).reasons },
+    });
+  }
+
+  return held.length;
+}
+
+/**
+ * Approve or reject content held for review
+ * @param {Object} input - { contentType, contentId, messageId, decision, note }
+ * @param {Object} reviewer - { id, companyId, isSuperAdmin }
+ * @returns {Promise<{status: string}>}
+ * @throws {Error} If the content is missing, outside the reviewer's company
+ *   or not waiting for review
+ */
+async function reviewHeldContent(input, reviewer) {
+  const { contentType, contentId, messageId, decision, note } = input;
+
+  if (!Object.values(REVIEW_DECISION).includes(decision)) {
+    throw new Error('Decision must be approve or reject');
+  }
+  const status = decision === REVIEW_DECISION.APPROVE ? SCREENING_STATUS.APPROVED : SCREENING_STATUS.REJECTED;
+  const review = {
+    reviewedBy: reviewer.id,
+    reviewedAt: new Date().toISOString(),
+    reviewNote: note || '',
+  };
+
+  const assertReviewable = (data, currentStatus) => {
+    if (!reviewer.isSuperAdmin && data.companyId !== reviewer.companyId) {
+      throw new Error('Content belongs to another company');
+    }
+    if (currentStatus !== SCREENING_STATUS.PENDING_REVIEW) {
+      throw new Error('Content is not waiting for review');
+    }
+  };
+
+  let companyId;
+  let authorData = null;
+
+  if (contentType === SCREENED_CONTENT.THREAD_MESSAGE) {
+    if (!messageId) throw new Error('Message ID is required');
+    const threadRef = db.collection('anonymousThreads').doc(contentId);
+
+    companyId = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(threadRef);
+      if (!snapshot.exists) throw new Error('Thread not found');
+      const thread = snapshot.data();
+      const message = (thread.messages || []).find(msg => msg.id === messageId);
+      if (!message) throw new Error('Message not found');
+      assertReviewable(thread, message.screeningStatus);
+
+      const messages = thread.messages.map(msg => (msg.id === messageId ? { ...msg, screeningStatus: status, ...review } : msg));
+      transaction.update(threadRef, {
+        messages,
+        heldMessageCount: messages.filter(msg => msg.screeningStatus === SCREENING_STATUS.PENDING_REVIEW).length,
+      });
+      return thread.companyId;
+    });
+  } else if (contentType === SCREENED_CONTENT.POST || contentType === SCREENED_CONTENT.COMMENT) {
+    const ref = db.collection(contentType === SCREENED_CONTENT.POST ? 'posts' : 'comments').doc(contentId);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw new Error('Content not found');
+    authorData = snapshot.data();
+    assertReviewable(authorData, authorData.screeningStatus);
+
+    await ref.update({
+      screeningStatus: status,
+      reviewedBy: review.reviewedBy,
+      reviewedAt: serverTimestamp(),
+      reviewNote: review.reviewNote,
+    });
+    companyId = authorData.companyId;
+  } else {
+    throw new Error('Unknown content type');
+  }
+
+  await logScreeningActivity(
+    status === SCREENING_STATUS.APPROVED ? SCREENING_ACTIVITY.APPROVED : SCREENING_ACTIVITY.REJECTED,
+    {
+      contentType,
+      contentId,
+      companyId,
+      userId: reviewer.id,
+      metadata: { messageId: messageId || null, note: note || '' },
+    },
+  );
+
+  if (authorData) {
+    await notifyAuthor(authorData, contentType, contentId,
+      status === SCREENING_STATUS.APPROVED ? 'Content Approved' : 'Content Rejected',
+      status === SCREENING_STATUS.APPROVED
+        ? `Your ${contentType} was approved by a moderator and is now visible.`
+        : `Your ${contentType} was rejected by a moderator and will stay hidden.${note ? ` Note: ${note}` : ''}`);
+  }
+
+  return { status };
+}
+
+module.exports = {
+  SCREENING_STATUS,
+  SCREENED_CONTENT,
+  isScreeningCleared,
+  canViewPost,
+  screenText,
+  screenContentWrite,
+  screenThreadMessages,
+  reviewHeldContent,
+};
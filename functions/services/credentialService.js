@@ -0,0 +1,283 @@
+/**
+ * Credential Service
+ * Salted scrypt password hashing, legacy SHA-256 migration and login lockout.
+ * Hashes live in userCredentials/{userId}, which clients can never read.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { CREDENTIALS } = require('../config/security');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHM = 'scrypt';
+const LEGACY_SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Hash a password with a random salt
+ * Format: scrypt$N$r$p$<salt base64>$<hash base64>
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashPassword(password) {
+  const { N, r, p, KEY_LENGTH, SALT_LENGTH } = CREDENTIALS.SCRYPT;
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return [ALGORITHM, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Verify a password against a stored hash
+ * Accepts scrypt hashes and the legacy unsalted SHA-256 hex digests
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Stored hash
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+async function verifyPassword(password, storedHash) {
+  if (!storedHash || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+    const candidate = crypto.createHash('sha256').update(password).digest();
+    const valid = crypto.timingSafeEqual(candidate, Buffer.from(storedHash, 'hex'));
+    return { valid, needsRehash: true };
+  }
+
+  const [algorithm, N, r, p, salt, hash] = storedHash.split('$');
+  if (algorithm !== ALGORITHM || !salt || !hash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const candidate = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  const valid = crypto.timingSafeEqual(candidate, expected);
+  const current = CREDENTIALS.SCRYPT;
+  const needsRehash = Number(N) !== current.N || Number(r) !== current.r || Number(p) !== current.p;
+
+  return { valid, needsRehash };
+}
+
+/**
+ * Burn the same time as a real verification so unknown usernames
+ * cannot be told apart from wrong passwords
+ * @param {string} password - Plain-text password
+ */
+async function simulatePasswordCheck(password) {
+  await hashPassword(password);
+}
+
+/**
+ * Get the stored credentials for a user
+ * Falls back to the legacy users/{id}.password field for accounts that
+ * have not logged in since the migration
+ * @param {string} userId - User ID
+ * @param {Object} userData - users/{id} document data
+ * @returns {Promise<Object>} { passwordHash, failedAttempts, lockedUntil }
+ */
+async function getCredentials(userId, userData = {}) {
+  const credentialsDoc = await db.collection(COLLECTIONS.USER_CREDENTIALS).doc(userId).get();
+  const credentials = credentialsDoc.exists ? credentialsDoc.data() : {};
+
+  return {
+    ...credentials,
+    passwordHash: credentials.passwordHash || userData.password || null,
+  };
+}
+
+/**
+ * Check whether an account is locked after repeated failures
+ * @param {Object} credentials - Result of getCredentials
+ * @returns {number} Minutes remaining, or 0 when not locked
+ */
+function getLockoutMinutesRemaining(credentials) {
+  const lockedUntil = credentials.lockedUntil?.toMillis?.() || 0;
+  const remaining = lockedUntil - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+}
+
+/**
+ * Record a failed login attempt and lock the account once
+ * CREDENTIALS.MAX_FAILED_ATTEMPTS is reached
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the account is now locked
+ */
+async function recordFailedAttempt(userId) {
+  const credentialsRef = db.collection(COLLECTIONS.USER_CREDENTIALS).doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const credentialsDoc = await transaction.get(credentialsRef);
+    const failedAttempts = (credentialsDoc.exists ? credentialsDoc.data().failedAttempts || 0 : 0) + 1;
+    const locked = failedAttempts >= CREDENTIALS.MAX_FAILED_ATTEMPTS;
+
+    const update = {
+      userId,
+      failedAttempts: locked ? 0 : failedAttempts,
+      lastFailedAttemptAt: serverTimestamp(),
+    };
+
+    if (locked) {
+      update.lockedUntil = admin.firestore.Timestamp.fromMillis(
+        Date.now() + CREDENTIALS.LOCKOUT_MINUTES * 60 * 1000,
+      );
+    }
+
+    transaction.set(credentialsRef, update, { merge: true });
+    return locked;
+  });
+}
+
+/**
+ * Clear failed attempts after a successful login, rehashing the password
+ * and removing the legacy users/{id}.password field when needed
+ * @param {string} userId - User ID
+ * @param {string} password - Verified plain-text password
+ * @param {boolean} needsRehash - Whether the stored hash must be upgraded
+ */
+async function recordSuccessfulLogin(userId, password, needsRehash) {
+  const credentialsRef = db.collection(COLLECTIONS.USER_CREDENTIALS).doc(userId);
+  const update = {
+    userId,
+    failedAttempts: 0,
+    lockedUntil: admin.firestore.FieldValue.delete(),
+    lastLoginAt: serverTimestamp(),
+  };
+
+  if (needsRehash) {
+    update.passwordHash = await hashPassword(password);
+    update.algorithm = ALGORITHM;
+    update.migratedAt = serverTimestamp();
+  }
+
+  const batch = db.batch();
+  batch.set(credentialsRef, update, { merge: true });
+  batch.update(db.collection(COLLECTIONS.USERS).doc(userId), {
+    password: admin.firestore.FieldValue.delete(),
+    lastLogin: serverTimestamp(),
+  });
+  await batch.commit();
+}
+
+/**
+ * Set a new password for a user
+ * @param {string} userId - User ID
+ * @param {string} password - New plain-text password
+ * @param {FirebaseFirestore.Transaction} transaction - Optional transaction to write in
+ */
+async function setPassword(userId, password, transaction = null) {
+  const credentialsRef = db.collection(COLLECTIONS.USER_CREDENTIALS).doc(userId);
+  const credentials = {
+    userId,
+    passwordHash: await hashPassword(password),
+    algorithm: ALGORITHM,
+    failedAttempts: 0,
+    passwordUpdatedAt: serverTimestamp(),
+  };
+
+  if (transaction) {
+    transaction.set(credentialsRef, credentials);
+  } else {
+    await credentialsRef.set(credentials);
+  }
+}
+
+/**
+ * Move legacy password hashes out of the users collection
+ * Hashes keep their legacy format in userCredentials and are upgraded to
+ * scrypt on the user's next login
+ * @returns {Promise<number>} Number of users migrated
+ */
+async function migrateLegacyCredentials() {
+  const usersSnapshot = await db.collection(COLLECTIONS.USERS)
+    .where('password', '!=', null)
+    .get();
+
+  let migrated = 0;
+  let batch = db.batch();
+  let batchCount = 0;
+
+  for (const userDoc of usersSnapshot.docs) {
+    const credentialsRef = db.collection(COLLECTIONS.USER_CREDENTIALS).doc(userDoc.id);
+    const credentialsDoc = await credentialsRef.get();
+
+    // Never overwrite a hash that was already migrated or reset
+    if (!credentialsDoc.exists || !credentialsDoc.data().passwordHash) {
+      batch.set(credentialsRef, {
+        userId: userDoc.id,
+        passwordHash: userDoc.data().password,
+        algorithm: 'sha256',
+        failedAttempts: 0,
+      }, { merge: true });
+      batchCount++;
+    }
+
+    batch.update(userDoc.ref, { password: admin.firestore.FieldValue.delete() });
+    batchCount++;
+    migrated++;
+
+    if (batchCount >= 400) {
+      await batch.commit();
+      batch = db.batch();
+      batchCount = 0;
+    }
+  }
+
+  if (batchCount > 0) {
+    await batch.commit();
+  }
+
+  return migrated;
+}
+
+/**
+ * Validate a new password against the minimum policy
+ * @param {string} password - Plain-text password
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePasswordPolicy(password) {
+  if (!password || typeof password !== 'string' || password.length < CREDENTIALS.MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${CREDENTIALS.MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+/**
+ * Hash a password reset secret for storage
+ * Reset secrets are random, so a fast hash is enough
+ * @param {string} secret - Reset secret from the emailed link
+ * @returns {string} Hex digest
+ */
+function hashResetSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Create a random password reset secret
+ * @returns {{secret: string, secretHash: string}}
+ */
+function generateResetSecret() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, secretHash: hashResetSecret(secret) };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  simulatePasswordCheck,
+  getCredentials,
+  getLockoutMinutesRemaining,
+  recordFailedAttempt,
+  recordSuccessfulLogin,
+  setPassword,
+  migrateLegacyCredentials,
+  validatePasswordPolicy,
+  hashResetSecret,
+  generateResetSecret,
+};
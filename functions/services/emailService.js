@@ -0,0 +1,297 @@
+/**
+ * Email Service
+ * Delivers queued emails through pluggable transports with retry and dead-lettering
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { admin, db, serverTimestamp } = require('../config/firebase');
+const {
+  emailTransport,
+  smtpHost,
+  smtpPort,
+  smtpUser,
+  smtpPassword,
+  emailFromAddress,
+  emailFromName,
+  emailFileDir,
+  EMAIL_STATUS,
+  DELIVERY,
+} = require('../config/email');
+const { getCompany } = require('../utils/helpers');
+
+const EMAIL_QUEUE = 'emailQueue';
+
+/**
+ * Transport factories keyed by name
+ * Every transport exposes sendMail(message) resolving to { messageId }
+ */
+const transportFactories = {
+  smtp: () => nodemailer.createTransport({
+    host: smtpHost.value(),
+    port: smtpPort.value(),
+    secure: smtpPort.value() === 465,
+    auth: smtpUser.value()
+      ? { user: smtpUser.value(), pass: smtpPassword.value() }
+      : undefined,
+  }),
+
+  // Local SMTP catcher (MailCatcher, MailHog, Mailpit) for development
+  mailcatcher: () => nodemailer.createTransport({
+    host: smtpHost.value(),
+    port: 1025,
+    secure: false,
+    ignoreTLS: true,
+  }),
+
+  // Writes each message as an .eml file for inspection in tests
+  file: () => {
+    const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const outputDir = emailFileDir.value() || path.join(os.tmpdir(), 'voxwel-emails');
+
+    return {
+      sendMail: async (message) => {
+        const info = await streamTransport.sendMail(message);
+        const emailId = message.headers?.['X-Voxwel-Email-Id'] || Date.now();
+
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        await fs.promises.writeFile(path.join(outputDir, `${emailId}.eml`), info.message);
+
+        return { messageId: info.messageId };
+      },
+    };
+  },
+};
+
+const transportCache = {};
+
+/**
+ * Register an additional email transport
+ * @param {string} name - Transport name (selected with EMAIL_TRANSPORT)
+ * @param {Function} factory - Returns an object with sendMail(message)
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  delete transportCache[name];
+}
+
+/**
+ * Get the configured transport
+ * @returns {{name: string, transport: Object}}
+ */
+function getTransport() {
+  const name = emailTransport.value();
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  if (!transportCache[name]) {
+    transportCache[name] = factory();
+  }
+
+  return { name, transport: transportCache[name] };
+}
+
+/**
+ * Add an email to the delivery queue
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient address
+ * @param {string} params.subject - Subject line
+ * @param {string} params.html - HTML body
+ * @param {string} params.type - Email type (see EMAIL_TYPE)
+ * @param {string} params.userId - Recipient user ID (optional)
+ * @param {string} params.companyId - Company used for sender branding (optional)
+ * @param {Object} params.metadata - Extra data for the admin UI (optional)
+ * @returns {Promise<string>} Queued email ID
+ */
+async function queueEmail({ to, subject, html, type, userId = null, companyId = null, metadata = {} }) {
+  const emailRef = await db.collection(EMAIL_QUEUE).add({
+    to,
+    subject,
+    html,
+    type,
+    userId,
+    companyId,
+    metadata,
+    status: EMAIL_STATUS.PENDING,
+    attempts: 0,
+    createdAt: serverTimestamp(),
+  });
+
+  return emailRef.id;
+}
+
+/**
+ * Build the sender for a company
+ * Uses companies/{id}.emailBranding ({ fromName, replyTo }) and falls back to
+ * the company name and the platform defaults
+ * @param {string|null} companyId - Company ID
+ * @returns {Promise<{from: string, replyTo: string|undefined}>}
+ */
+async function getSender(companyId) {
+  const company = companyId ? await getCompany(companyId) : null;
+  const branding = company?.emailBranding || {};
+
+  const fromName = branding.fromName || company?.name || emailFromName.value();
+
+  return {
+    from: `"${fromName.replace(/"/g, '')}" <${emailFromAddress.value()}>`,
+    replyTo: branding.replyTo || undefined,
+  };
+}
+
+/**
+ * Claim a queued email for delivery
+ * Moves it to "sending" inside a transaction so concurrent workers never send twice
+ * @returns {Promise<Object|null>} Email data, or null if it is not deliverable now
+ */
+async function claimEmail(emailRef) {
+  return db.runTransaction(async (transaction) => {
+    const emailDoc = await transaction.get(emailRef);
+    if (!emailDoc.exists) return null;
+
+    const email = emailDoc.data();
+    const now = Date.now();
+
+    if (email.status === EMAIL_STATUS.RETRYING) {
+      const nextAttemptAt = email.nextAttemptAt?.toMillis?.() || 0;
+      if (nextAttemptAt > now) return null;
+    } else if (email.status === EMAIL_STATUS.SENDING) {
+      // Reclaim only if the previous worker died mid-send
+      const lockedAt = email.lockedAt?.toMillis?.() || 0;
+      if (now - lockedAt < DELIVERY.SENDING_TIMEOUT_MS) return null;
+    } else if (email.status !== EMAIL_STATUS.PENDING) {
+      return null;
+    }
+
+    const attempts = (email.attempts || 0) + 1;
+
+    transaction.update(emailRef, {
+      status: EMAIL_STATUS.SENDING,
+      attempts,
+      lockedAt: admin.firestore.Timestamp.fromMillis(now),
+      lastAttemptAt: serverTimestamp(),
+    });
+
+    return { ...email, attempts };
+  });
+}
+
+/**
+ * Deliver a single queued email
+ * On failure the email is retried with exponential backoff and moved to the
+ * dead-letter state once DELIVERY.MAX_ATTEMPTS is reached
+ * @param {FirebaseFirestore.DocumentReference} emailRef - Queue document
+ * @returns {Promise<string|null>} Resulting status, or null if the email was not claimed
+ */
+async function deliverQueuedEmail(emailRef) {
+  const email = await claimEmail(emailRef);
+  if (!email) return null;
+
+  let transportName = null;
+
+  try {
+    if (!email.to) {
+      throw new Error('Email has no recipient');
+    }
+
+    const { name, transport } = getTransport();
+    transportName = name;
+
+    const sender = await getSender(email.companyId);
+
+    const info = await transport.sendMail({
+      from: sender.from,
+      replyTo: sender.replyTo,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      headers: { 'X-Voxwel-Email-Id': emailRef.id },
+    });
+
+    await emailRef.update({
+      status: EMAIL_STATUS.SENT,
+      sentAt: serverTimestamp(),
+      transport: transportName,
+      from: sender.from,
+      messageId: info?.messageId || null,
+      lastError: admin.firestore.FieldValue.delete(),
+      nextAttemptAt: admin.firestore.FieldValue.delete(),
+      lockedAt: admin.firestore.FieldValue.delete(),
+    });
+
+    return EMAIL_STATUS.SENT;
+  } catch (error) {
+    console.error(`Error delivering email ${emailRef.id} (attempt ${email.attempts}):`, error);
+
+    const deadLetter = email.attempts >= DELIVERY.MAX_ATTEMPTS;
+    const update = {
+      status: deadLetter ? EMAIL_STATUS.DEAD_LETTER : EMAIL_STATUS.RETRYING,
+      lastError: error.message || 'Unknown error',
+      transport: transportName,
+      lockedAt: admin.firestore.FieldValue.delete(),
+    };
+
+    if (deadLetter) {
+      update.deadLetteredAt = serverTimestamp();
+      update.nextAttemptAt = admin.firestore.FieldValue.delete();
+    } else {
+      const delay = DELIVERY.RETRY_BASE_DELAY_MS * Math.pow(2, email.attempts - 1);
+      update.nextAttemptAt = admin.firestore.Timestamp.fromMillis(Date.now() + delay);
+    }
+
+    await emailRef.update(update);
+    return update.status;
+  }
+}
+
+/**
+ * Deliver every email that is ready to send
+ * @returns {Promise<Object>} Counts per resulting status
+ */
+async function drainEmailQueue() {
+  const now = admin.firestore.Timestamp.now();
+  const staleLock = admin.firestore.Timestamp.fromMillis(Date.now() - DELIVERY.SENDING_TIMEOUT_MS);
+
+  const [pendingSnapshot, retryingSnapshot, stuckSnapshot] = await Promise.all([
+    db.collection(EMAIL_QUEUE)
+      .where('status', '==', EMAIL_STATUS.PENDING)
+      .orderBy('createdAt', 'asc')
+      .limit(DELIVERY.BATCH_LIMIT)
+      .get(),
+    db.collection(EMAIL_QUEUE)
+      .where('status', '==', EMAIL_STATUS.RETRYING)
+      .where('nextAttemptAt', '<=', now)
+      .limit(DELIVERY.BATCH_LIMIT)
+      .get(),
+    db.collection(EMAIL_QUEUE)
+      .where('status', '==', EMAIL_STATUS.SENDING)
+      .where('lockedAt', '<=', staleLock)
+      .limit(DELIVERY.BATCH_LIMIT)
+      .get(),
+  ]);
+
+  const docs = [...pendingSnapshot.docs, ...retryingSnapshot.docs, ...stuckSnapshot.docs];
+  const results = { total: docs.length };
+
+  for (const emailDoc of docs) {
+    const status = await deliverQueuedEmail(emailDoc.ref);
+    if (status) {
+      results[status] = (results[status] || 0) + 1;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  queueEmail,
+  deliverQueuedEmail,
+  drainEmailQueue,
+};
@@ -0,0 +1,328 @@
+/**
+ * Encryption Service
+ * Per-company envelope encryption for anonymous author IDs and thread messages.
+ *
+ * Each company has its own AES-256-GCM data key, generated here and stored in
+ * companyDataKeys/{companyId} only wrapped with KEY_ENCRYPTION_KEY. Clients
+ * cannot read that collection and never see a key. Every ciphertext starts
+ * with the version of the data key that produced it ("v2:..."), so older
+ * versions keep decrypting after a new one is added.
+ *
+ * Content written before data keys existed was encrypted in the browser with
+ * the shared ANONYMOUS_SECRET passphrase; it is treated as key version 0.
+ *
+ * For legal disclosure every data key version is also escrowed in the
+ * company's key vault under the vault's RSA public key, whose private key is
+ * sealed with Key Part A + Key Part B (see services/keyVaultService.js).
+ */
+
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { anonymousSecret, keyEncryptionKey } = require('../config/security');
+
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Version of content encrypted with the shared passphrase
+const LEGACY_KEY_VERSION = 0;
+
+// CryptoJS passphrase output always starts with base64("Salted__")
+const LEGACY_PREFIX = 'U2FsdGVkX1';
+const VERSIONED_PATTERN = /^v(\d+):[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]*$/;
+
+// Unwrapped data keys by company and version; versions never change once written
+const dataKeyCache = new Map();
+
+/**
+ * AES-256-GCM encrypt with a raw key
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer|string} plaintext - Data to encrypt
+ * @returns {string} "iv:tag:ciphertext", each base64
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Reverse seal()
+ * @param {Buffer} key - 32-byte key
+ * @param {string} sealed - Output of seal()
+ * @returns {Buffer}
+ * @throws {Error} If the key is wrong or the data was changed
+ */
+function open(key, sealed) {
+  const [iv, tag, data] = String(sealed).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Key that wraps the data keys, derived from the KEY_ENCRYPTION_KEY secret
+ * @returns {Buffer}
+ */
+function getKeyEncryptionKey() {
+  const secret = keyEncryptionKey.value();
+  if (!secret) {
+    throw new Error('KEY_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Seal a secret that must be kept for a short while, such as a custodian's
+ * key share during a disclosure, with the key encryption key
+ * @param {string} value - Secret to seal
+ * @returns {string} Output of seal()
+ */
+function sealSecret(value) {
+  return seal(getKeyEncryptionKey(), String(value));
+}
+
+/**
+ * Reverse sealSecret()
+ * @param {string} sealed - Output of sealSecret()
+ * @returns {string}
+ */
+function openSecret(sealed) {
+  return open(getKeyEncryptionKey(), sealed).toString('utf8');
+}
+
+/**
+ * Check whether a value was encrypted by this service or the legacy client
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && (value.startsWith(LEGACY_PREFIX) || VERSIONED_PATTERN.test(value));
+}
+
+/**
+ * Data key version a ciphertext was encrypted with
+ * @param {string} ciphertext - Encrypted value
+ * @returns {number|null} LEGACY_KEY_VERSION for passphrase ciphertexts, null if not encrypted
+ */
+function getKeyVersion(ciphertext) {
+  if (typeof ciphertext !== 'string') return null;
+  if (ciphertext.startsWith(LEGACY_PREFIX)) return LEGACY_KEY_VERSION;
+  const match = ciphertext.match(VERSIONED_PATTERN);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * The passphrase legacy content was encrypted with, if it is configured
+ * @returns {string|null}
+ */
+function getLegacySecret() {
+  try {
+    return anonymousSecret.value() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decrypt a ciphertext with the key material of its version
+ * Used directly by identity disclosure, which recovers the material from escrow
+ * @param {string} ciphertext - Encrypted value
+ * @param {Buffer|string} keyMaterial - Data key, or the passphrase for version 0
+ * @returns {string|null} Plaintext, or null if it cannot be decrypted
+ */
+function decryptWithKey(ciphertext, keyMaterial) {
+  try {
+    if (getKeyVersion(ciphertext) === LEGACY_KEY_VERSION) {
+      return CryptoJS.AES.decrypt(ciphertext, String(keyMaterial)).toString(CryptoJS.enc.Utf8) || null;
+    }
+    const sealed = ciphertext.slice(ciphertext.indexOf(':') + 1);
+    return open(keyMaterial, sealed).toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Escrow key material under a key vault's RSA public key
+ * @param {string} publicKeyPem - Vault public key
+ * @param {Buffer|string} keyMaterial - Data key or legacy passphrase
+ * @returns {string} Base64 RSA-OAEP ciphertext
+ */
+function escrowKey(publicKeyPem, keyMaterial) {
+  return crypto.publicEncrypt(
+    { key: publicKeyPem, oaepHash: 'sha256' },
+    Buffer.isBuffer(keyMaterial) ? keyMaterial : Buffer.from(String(keyMaterial), 'utf8'),
+  ).toString('base64');
+}
+
+/**
+ * Recover key material escrowed with escrowKey()
+ * @param {crypto.KeyObject|string} privateKey - Vault private key
+ * @param {string} escrowed - Output of escrowKey()
+ * @param {number} version - Key version, to return the passphrase as a string
+ * @returns {Buffer|string}
+ */
+function unescrowKey(privateKey, escrowed, version) {
+  const keyMaterial = crypto.privateDecrypt(
+    { key: privateKey, oaepHash: 'sha256' },
+    Buffer.from(escrowed, 'base64'),
+  );
+  return version === LEGACY_KEY_VERSION ? keyMaterial.toString('utf8') : keyMaterial;
+}
+
+/**
+ * Unwrap a stored data key version, caching the result
+ */
+function unwrapDataKey(companyId, version, wrappedKey) {
+  const cacheKey = `${companyId}:${version}`;
+  if (!dataKeyCache.has(cacheKey)) {
+    dataKeyCache.set(cacheKey, open(getKeyEncryptionKey(), wrappedKey));
+  }
+  return dataKeyCache.get(cacheKey);
+}
+
+/**
+ * Add a new data key version for a company and make it current
+ * The key is escrowed in the company's key vault in the same transaction when
+ * the vault has been set up, so disclosure never misses a version
+ * @param {string} companyId - Company ID
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyIfMissing] - Keep the current version if there is one
+ * @returns {Promise<number>} The new (or kept) version
+ */
+async function createDataKeyVersion(companyId, { onlyIfMissing = false } = {}) {
+  const keysRef = db.collection(COLLECTIONS.COMPANY_DATA_KEYS).doc(companyId);
+  const vaultRef = db.collection(COLLECTIONS.KEY_VAULT).doc(companyId);
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(getKeyEncryptionKey(), dataKey);
+
+  const version = await db.runTransaction(async (transaction) => {
+    const [keysDoc, vaultDoc] = await Promise.all([transaction.get(keysRef), transaction.get(vaultRef)]);
+    const currentVersion = keysDoc.exists ? keysDoc.data().currentVersion || 0 : 0;
+    if (onlyIfMissing && currentVersion) return currentVersion;
+    const nextVersion = currentVersion + 1;
+
+    transaction.set(keysRef, {
+      companyId,
+      currentVersion: nextVersion,
+      versions: { [nextVersion]: { wrappedKey, createdAt: new Date() } },
+      updatedAt: serverTimestamp(),
+    }, { merge: true });
+
+    const publicKey = vaultDoc.exists ? vaultDoc.data().escrowPublicKey : null;
+    if (publicKey) {
+      transaction.update(vaultRef, { [`escrowedKeys.${nextVersion}`]: escrowKey(publicKey, dataKey) });
+    }
+    return nextVersion;
+  });
+
+  if (!dataKeyCache.has(`${companyId}:${version}`)) {
+    const keysDoc = await keysRef.get();
+    const stored = keysDoc.data().versions[version].wrappedKey;
+    dataKeyCache.set(`${companyId}:${version}`, stored === wrappedKey ? dataKey : open(getKeyEncryptionKey(), stored));
+  }
+  return version;
+}
+
+/**
+ * The company's current data key, created on first use
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{version: number, key: Buffer}>}
+ */
+async function getCurrentDataKey(companyId) {
+  const keysDoc = await db.collection(COLLECTIONS.COMPANY_DATA_KEYS).doc(companyId).get();
+  const keys = keysDoc.exists ? keysDoc.data() : null;
+
+  if (!keys?.currentVersion) {
+    const version = await createDataKeyVersion(companyId, { onlyIfMissing: true });
+    return { version, key: dataKeyCache.get(`${companyId}:${version}`) };
+  }
+
+  const { currentVersion, versions } = keys;
+  return { version: currentVersion, key: unwrapDataKey(companyId, currentVersion, versions[currentVersion].wrappedKey) };
+}
+
+/**
+ * Every data key version of a company, unwrapped, plus the legacy passphrase
+ * as version 0 when it is configured. Used to escrow keys in a new vault.
+ * @param {string} companyId - Company ID
+ * @param {FirebaseFirestore.Transaction} [transaction] - Read inside this transaction
+ * @returns {Promise<Map<number, Buffer|string>>}
+ */
+async function getAllKeyMaterial(companyId, transaction = null) {
+  const keysRef = db.collection(COLLECTIONS.COMPANY_DATA_KEYS).doc(companyId);
+  const keysDoc = transaction ? await transaction.get(keysRef) : await keysRef.get();
+  const material = new Map();
+
+  const legacySecret = getLegacySecret();
+  if (legacySecret) {
+    material.set(LEGACY_KEY_VERSION, legacySecret);
+  }
+
+  Object.entries(keysDoc.exists ? keysDoc.data().versions || {} : {}).forEach(([version, { wrappedKey }]) => {
+    material.set(Number(version), unwrapDataKey(companyId, Number(version), wrappedKey));
+  });
+  return material;
+}
+
+/**
+ * Encrypt a value with the company's current data key
+ * @param {string} companyId - Company the value belongs to
+ * @param {string} plaintext - Value to encrypt
+ * @returns {Promise<string>} "v<version>:iv:tag:ciphertext"
+ */
+async function encryptForCompany(companyId, plaintext) {
+  if (!companyId) {
+    throw new Error('Company is required to encrypt');
+  }
+  const { version, key } = await getCurrentDataKey(companyId);
+  return `v${version}:${seal(key, String(plaintext))}`;
+}
+
+/**
+ * Decrypt a value encrypted for a company, with whichever key version it names
+ * @param {string} companyId - Company the value belongs to
+ * @param {string} ciphertext - Encrypted value
+ * @returns {Promise<string|null>} Plaintext, or null if it cannot be decrypted
+ */
+async function decryptForCompany(companyId, ciphertext) {
+  const version = getKeyVersion(ciphertext);
+  if (version === null) return null;
+
+  if (version === LEGACY_KEY_VERSION) {
+    const legacySecret = getLegacySecret();
+    return legacySecret ? decryptWithKey(ciphertext, legacySecret) : null;
+  }
+
+  const cached = dataKeyCache.get(`${companyId}:${version}`);
+  if (cached) return decryptWithKey(ciphertext, cached);
+
+  try {
+    const keysDoc = await db.collection(COLLECTIONS.COMPANY_DATA_KEYS).doc(companyId).get();
+    const wrappedKey = keysDoc.exists ? keysDoc.data().versions?.[version]?.wrappedKey : null;
+    if (!wrappedKey) return null;
+    return decryptWithKey(ciphertext, unwrapDataKey(companyId, version, wrappedKey));
+  } catch (error) {
+    console.error(`Error decrypting with key version ${version} of company ${companyId}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  LEGACY_KEY_VERSION,
+  seal,
+  open,
+  sealSecret,
+  openSecret,
+  isEncryptedValue,
+  getKeyVersion,
+  decryptWithKey,
+  escrowKey,
+  unescrowKey,
+  createDataKeyVersion,
+  getAllKeyMaterial,
+  encryptForCompany,
+  decryptForCompany,
+};
@@ -0,0 +1,304 @@
+/**
+ * Key Custody Service
+ * M-of-N custody of a company's Key Part B.
+ *
+ * By default Key Part B goes to the company's DPO. A company can instead name
+ * N custodians (for example the DPO, legal counsel and an external trustee)
+ * and a threshold M: Part B is then split into N Shamir shares, one per
+ * custodian, and never shown whole. keyVault/{companyId}.custody lists the
+ * custodians with a hash of each share, so a wrong share is refused as soon
+ * as it is submitted.
+ *
+ * To disclose an identity, each custodian submits their share from their own
+ * signed-in session into the legal request's disclosure session
+ * (disclosureSessions/{legalRequestId}), where it is kept sealed with the key
+ * encryption key. Custodians never hand their password or share to the super
+ * admin running the disclosure. Once M shares are in, combineAndDecrypt
+ * rebuilds Part B.
+ */
+
+const crypto = require('crypto');
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { sealSecret, openSecret } = require('./encryptionService');
+const { splitSecret, parseShare, combineShares } = require('../utils/secretSharing');
+
+// Keep in sync with KeyCustodianRole in src/utils/constants.js
+const CUSTODIAN_ROLES = ['dpo', 'legal_counsel', 'external_trustee', 'other'];
+
+const MIN_CUSTODIANS = 2;
+const MAX_CUSTODIANS = 10;
+
+// Submitted shares are discarded if the disclosure does not happen within this time
+const SESSION_HOURS = 24;
+
+const SESSION_STATUS = {
+  COLLECTING: 'collecting',
+  USED: 'used',
+};
+
+/**
+ * Hash of a share, stored with its custodian
+ */
+function hashShare(share) {
+  return crypto.createHash('sha256').update(String(share).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Look up the accounts of the custodians named for a company
+ * @param {Array<{username: string, role: string}>} custodians - As entered by the super admin
+ * @param {number} threshold - Shares needed to disclose
+ * @returns {Promise<Array>} { userId, username, name, email, role }
+ * @throws {Error} If the list or threshold is invalid or an account cannot be used
+ */
+async function resolveCustodians(custodians, threshold) {
+  if (!Array.isArray(custodians) || custodians.length < MIN_CUSTODIANS || custodians.length > MAX_CUSTODIANS) {
+    throw new Error(`Name between ${MIN_CUSTODIANS} and ${MAX_CUSTODIANS} custodians`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > custodians.length) {
+    throw new Error(`The threshold must be between 2 and ${custodians.length}`);
+  }
+
+  const resolved = [];
+  for (const { username, role } of custodians) {
+    if (!CUSTODIAN_ROLES.includes(role)) {
+      throw new Error(`Unknown custodian role: ${role}`);
+    }
+
+    const usersSnapshot = await db.collection(COLLECTIONS.USERS)
+      .where('username', '==', String(username || '').trim().toLowerCase())
+      .limit(1)
+      .get();
+    if (usersSnapshot.empty) {
+      throw new Error(`No account found for custodian "${username}"`);
+    }
+
+    const userDoc = usersSnapshot.docs[0];
+    const user = userDoc.data();
+    if (user.status !== 'active') {
+      throw new Error(`The account of custodian "${username}" is not active`);
+    }
+    if (resolved.some(custodian => custodian.userId === userDoc.id)) {
+      throw new Error(`"${username}" is named more than once`);
+    }
+
+    resolved.push({
+      userId: userDoc.id,
+      username: user.username,
+      name: user.displayName || user.name || user.username,
+      email: user.email || null,
+      role,
+    });
+  }
+  return resolved;
+}
+
+/**
+ * Split Key Part B among a vault's custodians
+ * @param {string} keyPartB - 32 hex characters
+ * @param {Object} custody - { threshold, custodians }, custodians without shares
+ * @returns {{custody: Object, shares: Array}} custody to store in the vault, and
+ *   the shares to hand out once: { custodianId, name, username, role, email, share }
+ */
+function splitKeyPartB(keyPartB, { threshold, custodians }) {
+  const shares = splitSecret(Buffer.from(keyPartB, 'hex'), custodians.length, threshold);
+
+  return {
+    custody: {
+      threshold,
+      custodians: custodians.map(({ userId, username, name, email, role }, index) => ({
+        userId,
+        username,
+        name,
+        email,
+        role,
+        shareIndex: index + 1,
+        shareHash: hashShare(shares[index]),
+      })),
+    },
+    shares: custodians.map((custodian, index) => ({
+      custodianId: custodian.userId,
+      name: custodian.name,
+      username: custodian.username,
+      role: custodian.role,
+      email: custodian.email,
+      share: shares[index],
+    })),
+  };
+}
+
+/**
+ * Custody details safe to show to super admins
+ * @param {Object|null} custody - keyVault custody field
+ * @returns {Object|null} { threshold, custodians: [{ id, name, username, role, email }] }
+ */
+function toPublicCustody(custody) {
+  if (!custody) return null;
+  return {
+    threshold: custody.threshold,
+    custodians: custody.custodians.map(({ userId, name, username, role, email }) => ({
+      id: userId,
+      name,
+      username,
+      role,
+      email,
+    })),
+  };
+}
+
+/**
+ * Check whether a user is one of a vault's custodians
+ * @param {Object|null} custody - keyVault custody field
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+function isCustodian(custody, userId) {
+  return !!custody && custody.custodians.some(entry => entry.userId === userId);
+}
+
+/**
+ * Find the custodian a share belongs to and check the share
+ * @param {Object} custody - keyVault custody field
+ * @param {string} userId - Signed-in user submitting the share
+ * @param {string} share - Submitted share
+ * @returns {Object} The custodian entry
+ * @throws {Error} If the user is not a custodian or the share is not theirs
+ */
+function matchCustodianShare(custody, userId, share) {
+  const custodian = custody.custodians.find(entry => entry.userId === userId);
+  if (!custodian) {
+    throw new Error('This account is not a key custodian for the company');
+  }
+
+  const parsed = parseShare(share);
+  if (!parsed || parsed.x !== custodian.shareIndex || hashShare(share) !== custodian.shareHash) {
+    throw new Error('This is not the current key share of this custodian');
+  }
+  return custodian;
+}
+
+/**
+ * Whether a session can still collect shares for a vault's current keys
+ */
+function isSessionOpen(session, vault) {
+  return !!session
+    && session.status === SESSION_STATUS.COLLECTING
+    && session.vaultKeyVersion === vault.keyVersion
+    && session.expiresAt?.toMillis() > Date.now();
+}
+
+/**
+ * Summary of a disclosure session, without shares
+ */
+function describeSession(session, vault) {
+  const open = isSessionOpen(session, vault);
+  const submissions = open ? session.submissions || {} : {};
+
+  return {
+    threshold: vault.custody.threshold,
+    submittedCount: Object.keys(submissions).length,
+    expiresAt: open ? session.expiresAt.toDate().toISOString() : null,
+    custodians: toPublicCustody(vault.custody).custodians.map(custodian => ({
+      ...custodian,
+      submitted: !!submissions[custodian.id],
+      submittedAt: submissions[custodian.id]?.submittedAt || null,
+    })),
+  };
+}
+
+/**
+ * Add a custodian's share to the disclosure session of a legal request
+ * A session for older keys, an expired one or a used one is started afresh
+ * @param {string} legalRequestId - Legal request ID
+ * @param {Object} vault - keyVault document data
+ * @param {Object} custodian - Entry from vault.custody.custodians
+ * @param {string} share - The custodian's share, already checked
+ * @returns {Promise<Object>} Result of describeSession()
+ */
+async function recordShare(legalRequestId, vault, custodian, share) {
+  const sessionRef = db.collection(COLLECTIONS.DISCLOSURE_SESSIONS).doc(legalRequestId);
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+    const existing = sessionDoc.exists ? sessionDoc.data() : null;
+    const session = isSessionOpen(existing, vault)
+      ? existing
+      : {
+        legalRequestId,
+        companyId: vault.companyId,
+        vaultKeyVersion: vault.keyVersion,
+        status: SESSION_STATUS.COLLECTING,
+        submissions: {},
+        sealedShares: {},
+        createdAt: serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + SESSION_HOURS * 60 * 60 * 1000),
+      };
+
+    const updated = {
+      ...session,
+      submissions: {
+        ...session.submissions,
+        [custodian.userId]: { submittedAt: new Date().toISOString() },
+      },
+      sealedShares: { ...session.sealedShares, [custodian.userId]: sealSecret(share) },
+      updatedAt: serverTimestamp(),
+    };
+    transaction.set(sessionRef, updated);
+    return describeSession(updated, vault);
+  });
+}
+
+/**
+ * Summary of the disclosure session of a legal request
+ * @param {string} legalRequestId - Legal request ID
+ * @param {Object} vault - keyVault document data, with custody
+ * @returns {Promise<Object>} Result of describeSession()
+ */
+async function getSessionStatus(legalRequestId, vault) {
+  const sessionDoc = await db.collection(COLLECTIONS.DISCLOSURE_SESSIONS).doc(legalRequestId).get();
+  return describeSession(sessionDoc.exists ? sessionDoc.data() : null, vault);
+}
+
+/**
+ * Rebuild Key Part B from the shares submitted for a legal request
+ * @param {string} legalRequestId - Legal request ID
+ * @param {Object} vault - keyVault document data, with custody
+ * @returns {Promise<string>} Key Part B
+ * @throws {Error} If fewer than threshold shares have been submitted
+ */
+async function rebuildKeyPartB(legalRequestId, vault) {
+  const sessionDoc = await db.collection(COLLECTIONS.DISCLOSURE_SESSIONS).doc(legalRequestId).get();
+  const session = sessionDoc.exists ? sessionDoc.data() : null;
+  const { threshold } = vault.custody;
+
+  const sealedShares = isSessionOpen(session, vault) ? Object.values(session.sealedShares || {}) : [];
+  if (sealedShares.length < threshold) {
+    throw new Error(`${sealedShares.length} of the ${threshold} key shares needed have been submitted.`);
+  }
+
+  return combineShares(sealedShares.map(openSecret)).toString('hex');
+}
+
+/**
+ * Discard the shares of a disclosure session once they have been used
+ * @param {string} legalRequestId - Legal request ID
+ */
+async function closeSession(legalRequestId) {
+  await db.collection(COLLECTIONS.DISCLOSURE_SESSIONS).doc(legalRequestId).update({
+    status: SESSION_STATUS.USED,
+    sealedShares: {},
+    usedAt: serverTimestamp(),
+  });
+}
+
+module.exports = {
+  CUSTODIAN_ROLES,
+  resolveCustodians,
+  splitKeyPartB,
+  toPublicCustody,
+  isCustodian,
+  matchCustodianShare,
+  recordShare,
+  getSessionStatus,
+  rebuildKeyPartB,
+  closeSession,
+};
@@ -0,0 +1,359 @@
+/**
+ * Key Rotation Service
+ * Re-encrypts a company's existing ciphertexts with its current data key
+ * after a key rotation.
+ *
+ * Rotating a key vault adds a new data key version and starts a job in
+ * keyRotationJobs. The job walks every collection that holds ciphertexts
+ * for the company in document ID order, saving its cursor after each page,
+ * so a run cut short by a timeout is picked up again by resumeKeyRotationJobs.
+ * Every ciphertext names the key version that produced it, so older versions
+ * keep decrypting while the job runs. When it finishes, the older versions
+ * are marked retired and the completion is written to the audit log.
+ */
+
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const {
+  isEncryptedValue,
+  getKeyVersion,
+  encryptForCompany,
+  decryptForCompany,
+} = require('./encryptionService');
+const { logSystemActivity } = require('./auditLogService');
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+};
+
+// Keep in sync with SystemActivityType in src/utils/constants.js
+const KEY_ROTATION_COMPLETED_ACTIVITY = 'key_rotation_completed';
+
+const PAGE_SIZE = 100;
+
+// A run holds the job this long; a run that dies is resumed after it lapses
+const LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Collections holding ciphertexts, in the order the job visits them
+ * reencrypt(companyId, docRef, data, targetVersion) returns the number of
+ * values it re-encrypted
+ */
+const TARGETS = [
+  { name: 'posts', collection: 'posts', reencrypt: reencryptAuthorId },
+  { name: 'delayedPosts', collection: COLLECTIONS.DELAYED_ANONYMOUS_POSTS, reencrypt: reencryptAuthorId },
+  { name: 'comments', collection: 'comments', reencrypt: reencryptAuthorId },
+  { name: 'vendorReports', collection: 'vendorReports', reencrypt: reencryptVendorReport },
+  { name: 'threads', collection: COLLECTIONS.ANONYMOUS_THREADS, reencrypt: reencryptThread },
+];
+
+/**
+ * Re-encrypt a value if it was encrypted with an older key version
+ * @returns {Promise<string|null>} The new ciphertext, or null if it is current or not encrypted
+ * @throws {Error} If the value cannot be decrypted
+ */
+async function reencryptValue(companyId, ciphertext, targetVersion) {
+  if (!isEncryptedValue(ciphertext) || getKeyVersion(ciphertext) === targetVersion) return null;
+
+  const plaintext = await decryptForCompany(companyId, ciphertext);
+  if (plaintext === null) {
+    throw new Error(`Cannot decrypt a value with key version ${getKeyVersion(ciphertext)}`);
+  }
+  return encryptForCompany(companyId, plaintext);
+}
+
+/**
+ * Re-encrypt the authorId of an anonymous post or comment
+ */
+async function reencryptAuthorId(companyId, docRef, data, targetVersion) {
+  const authorId = await reencryptValue(companyId, data.authorId, targetVersion);
+  if (!authorId) return 0;
+
+  await docRef.update({ authorId });
+  return 1;
+}
+
+/**
+ * Re-encrypt the authorId of a vendor report and of its corroborations
+ */
+async function reencryptVendorReport(companyId, docRef, data, targetVersion) {
+  let count = await reencryptAuthorId(companyId, docRef, data, targetVersion);
+
+  const corroborations = await docRef.collection('corroborations').get();
+  for (const corroborationDoc of corroborations.docs) {
+    count += await reencryptAuthorId(companyId, corroborationDoc.ref, corroborationDoc.data(), targetVersion);
+  }
+  return count;
+}
+
+/**
+ * Re-encrypt the messages of an anonymous thread
+ * Runs in a transaction so messages sent or screened meanwhile are kept
+ */
+async function reencryptThread(companyId, docRef, data, targetVersion) {
+  const reencrypted = new Map();
+  for (const message of data.messages || []) {
+    const encryptedContent = await reencryptValue(companyId, message.encryptedContent, targetVersion);
+    if (encryptedContent) {
+      reencrypted.set(message.id, { from: message.encryptedContent, to: encryptedContent });
+    }
+  }
+  if (reencrypted.size === 0) return 0;
+
+  return db.runTransaction(async (transaction) => {
+    const threadDoc = await transaction.get(docRef);
+    if (!threadDoc.exists) return 0;
+
+    let count = 0;
+    const messages = (threadDoc.data().messages || []).map(message => {
+      const update = reencrypted.get(message.id);
+      if (!update || update.from !== message.encryptedContent) return message;
+      count++;
+      return { ...message, encryptedContent: update.to };
+    });
+
+    if (count > 0) {
+      transaction.update(docRef, { messages });
+    }
+    return count;
+  });
+}
+
+/**
+ * Start re-encrypting a company's content with a new data key version
+ * @param {string} companyId - Company ID
+ * @param {number} targetVersion - Data key version to re-encrypt with
+ * @param {string} startedBy - Super admin who rotated the key
+ * @returns {Promise<string>} Job ID
+ */
+async function startKeyRotationJob(companyId, targetVersion, startedBy) {
+  const counts = await Promise.all(TARGETS.map(async (target) => {
+    const snapshot = await db.collection(target.collection).where('companyId', '==', companyId).count().get();
+    return snapshot.data().count;
+  }));
+
+  const jobRef = await db.collection(COLLECTIONS.KEY_ROTATION_JOBS).add({
+    companyId,
+    targetVersion,
+    status: JOB_STATUS.RUNNING,
+    targetIndex: 0,
+    lastDocId: null,
+    totalDocuments: counts.reduce((sum, count) => sum + count, 0),
+    processedDocuments: 0,
+    reencryptedValues: 0,
+    failedDocuments: 0,
+    failedDocumentPaths: [],
+    retiredVersions: [],
+    startedBy,
+    leaseUntil: null,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    completedAt: null,
+  });
+  return jobRef.id;
+}
+
+/**
+ * Take the job for this run unless another run holds it
+ * @returns {Promise<Object|null>} Job data, or null if it is finished or taken
+ */
+async function acquireJob(jobRef) {
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists) return null;
+
+    const job = jobDoc.data();
+    if (job.status !== JOB_STATUS.RUNNING) return null;
+    if (job.leaseUntil && job.leaseUntil.toMillis() > Date.now()) return null;
+
+    transaction.update(jobRef, {
+      leaseUntil: admin.firestore.Timestamp.fromMillis(Date.now() + LEASE_MS),
+    });
+    return job;
+  });
+}
+
+/**
+ * Mark a finished job completed, retire older key versions if nothing failed
+ * and write the audit record
+ */
+async function completeJob(jobRef, job) {
+  const keysRef = db.collection(COLLECTIONS.COMPANY_DATA_KEYS).doc(job.companyId);
+  const keysDoc = await keysRef.get();
+  const versions = keysDoc.exists ? keysDoc.data().versions || {} : {};
+
+  // Retired versions still decrypt, but nothing should be encrypted with them anymore
+  const retiredVersions = job.failedDocuments > 0
+    ? []
+    : Object.keys(versions)
+      .map(Number)
+      .filter(version => version < job.targetVersion && !versions[version].retiredAt);
+
+  if (retiredVersions.length > 0) {
+    const retiredAt = new Date();
+    await keysRef.update(Object.fromEntries(retiredVersions.map(version => [`versions.${version}.retiredAt`, retiredAt])));
+  }
+
+  const status = job.failedDocuments > 0 ? JOB_STATUS.COMPLETED_WITH_ERRORS : JOB_STATUS.COMPLETED;
+  await jobRef.update({
+    status,
+    retiredVersions,
+    leaseUntil: null,
+    updatedAt: serverTimestamp(),
+    completedAt: serverTimestamp(),
+  });
+
+  await logSystemActivity(job.companyId, KEY_ROTATION_COMPLETED_ACTIVITY, {
+    jobId: jobRef.id,
+    status,
+    targetVersion: job.targetVersion,
+    processedDocuments: job.processedDocuments,
+    reencryptedValues: job.reencryptedValues,
+    failedDocuments: job.failedDocuments,
+    retiredVersions,
+    startedBy: job.startedBy,
+  });
+
+  return status;
+}
+
+/**
+ * Run a re-encryption job until it finishes or the deadline passes
+ * Progress is saved after every page, so the job can be resumed from there
+ * @param {string} jobId - keyRotationJobs document ID
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Stop before this time (ms since epoch)
+ * @returns {Promise<string|null>} The job status after this run, or null if it was not run
+ */
+async function runKeyRotationJob(jobId, { deadline = Date.now() + LEASE_MS / 2 } = {}) {
+  const jobRef = db.collection(COLLECTIONS.KEY_ROTATION_JOBS).doc(jobId);
+  const job = await acquireJob(jobRef);
+  if (!job) return null;
+
+  while (job.targetIndex < TARGETS.length) {
+    if (Date.now() >= deadline) {
+      await jobRef.update({ leaseUntil: null, updatedAt: serverTimestamp() });
+      return JOB_STATUS.RUNNING;
+    }
+
+    const target = TARGETS[job.targetIndex];
+    let query = db.collection(target.collection)
+      .where('companyId', '==', job.companyId)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (job.lastDocId) {
+      query = query.startAfter(job.lastDocId);
+    }
+
+    const snapshot = await query.get();
+    for (const doc of snapshot.docs) {
+      try {
+        job.reencryptedValues += await target.reencrypt(job.companyId, doc.ref, doc.data(), job.targetVersion);
+      } catch (error) {
+        console.error(`Error re-encrypting ${doc.ref.path} for key rotation job ${jobId}:`, error);
+        job.failedDocuments++;
+        job.failedDocumentPaths.push(doc.ref.path);
+      }
+      job.processedDocuments++;
+    }
+
+    if (snapshot.size < PAGE_SIZE) {
+      job.targetIndex++;
+      job.lastDocId = null;
+    } else {
+      job.lastDocId = snapshot.docs[snapshot.docs.length - 1].id;
+    }
+
+    await jobRef.update({
+      targetIndex: job.targetIndex,
+      lastDocId: job.lastDocId,
+      processedDocuments: job.processedDocuments,
+      reencryptedValues: job.reencryptedValues,
+      failedDocuments: job.failedDocuments,
+      // Enough to find what failed without growing the document unbounded
+      failedDocumentPaths: job.failedDocumentPaths.slice(0, 100),
+      leaseUntil: admin.firestore.Timestamp.fromMillis(Date.now() + LEASE_MS),
+      updatedAt: serverTimestamp(),
+    });
+  }
+
+  return completeJob(jobRef, job);
+}
+
+/**
+ * Whether a company has a re-encryption job that has not finished
+ * @param {string} companyId - Company ID
+ * @returns {Promise<boolean>}
+ */
+async function hasRunningKeyRotationJob(companyId) {
+  const snapshot = await db.collection(COLLECTIONS.KEY_ROTATION_JOBS)
+    .where('companyId', '==', companyId)
+    .where('status', '==', JOB_STATUS.RUNNING)
+    .limit(1)
+    .get();
+  return !snapshot.empty;
+}
+
+/**
+ * Latest re-encryption job of a company, for the key vault status
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object|null>} Progress fields with ISO dates, or null if there is none
+ */
+async function getLatestKeyRotationJob(companyId) {
+  const snapshot = await db.collection(COLLECTIONS.KEY_ROTATION_JOBS)
+    .where('companyId', '==', companyId)
+    .orderBy('createdAt', 'desc')
+    .limit(1)
+    .get();
+  if (snapshot.empty) return null;
+
+  const job = snapshot.docs[0].data();
+  return {
+    jobId: snapshot.docs[0].id,
+    status: job.status,
+    targetVersion: job.targetVersion,
+    currentTarget: TARGETS[job.targetIndex]?.name || null,
+    totalDocuments: job.totalDocuments,
+    processedDocuments: job.processedDocuments,
+    reencryptedValues: job.reencryptedValues,
+    failedDocuments: job.failedDocuments,
+    retiredVersions: job.retiredVersions || [],
+    startedAt: job.createdAt?.toDate ? job.createdAt.toDate().toISOString() : null,
+    completedAt: job.completedAt?.toDate ? job.completedAt.toDate().toISOString() : null,
+  };
+}
+
+/**
+ * Resume every re-encryption job whose last run stopped or died
+ * @param {number} deadline - Stop starting new pages after this time (ms since epoch)
+ * @returns {Promise<{resumed: number, completed: number}>}
+ */
+async function resumeKeyRotationJobs(deadline) {
+  const snapshot = await db.collection(COLLECTIONS.KEY_ROTATION_JOBS)
+    .where('status', '==', JOB_STATUS.RUNNING)
+    .get();
+
+  let resumed = 0;
+  let completed = 0;
+  for (const jobDoc of snapshot.docs) {
+    if (Date.now() >= deadline) break;
+    try {
+      const status = await runKeyRotationJob(jobDoc.id, { deadline });
+      if (status) resumed++;
+      if (status && status !== JOB_STATUS.RUNNING) completed++;
+    } catch (error) {
+      console.error(`Error resuming key rotation job ${jobDoc.id}:`, error);
+    }
+  }
+  return { resumed, completed };
+}
+
+module.exports = {
+  JOB_STATUS,
+  startKeyRotationJob,
+  runKeyRotationJob,
+  hasRunningKeyRotationJob,
+  getLatestKeyRotationJob,
+  resumeKeyRotationJobs,
+};
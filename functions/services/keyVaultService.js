@@ -0,0 +1,518 @@
+/**
+ * Key Vault Service
+ * Split-key escrow of each company's data keys for legal identity disclosure.
+ *
+ * keyVault/{companyId} holds an RSA key pair. The public key escrows every
+ * data key version (escrowedKeys, see services/encryptionService.js). The
+ * private key is sealed with Key Part A + Key Part B: Part A is kept in the
+ * vault, Part B is handed to the company's DPO once and never stored, or
+ * split among several custodians (see services/keyCustodyService.js). An
+ * identity can only be disclosed when the DPO supplies Part B or enough
+ * custodians submit their shares, and the disclosure runs here, so no key
+ * ever reaches a browser.
+ *
+ * Clients cannot read the vault; its status is served by getKeyVaultStatuses.
+ */
+
+const crypto = require('crypto');
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const {
+  seal,
+  open,
+  isEncryptedValue,
+  getKeyVersion,
+  decryptWithKey,
+  escrowKey,
+  unescrowKey,
+  createDataKeyVersion,
+  getAllKeyMaterial,
+} = require('./encryptionService');
+const {
+  startKeyRotationJob,
+  hasRunningKeyRotationJob,
+  getLatestKeyRotationJob,
+} = require('./keyRotationService');
+const {
+  resolveCustodians,
+  splitKeyPartB,
+  toPublicCustody,
+  isCustodian,
+  matchCustodianShare,
+  recordShare,
+  getSessionStatus,
+  rebuildKeyPartB,
+  closeSession,
+} = require('./keyCustodyService');
+const { logDisclosureEvent } = require('./auditLogService');
+const { assertDisclosureCleared, isIdentityDisclosed, recordDisclosure } = require('./legalApprovalService');
+
+const KEY_PART_LENGTH = 32;
+const RSA_MODULUS_LENGTH = 3072;
+
+const VAULT_MODE = {
+  INITIALIZE: 'initialize',
+  ROTATE: 'rotate',
+  REINITIALIZE: 'reinitialize',
+  CUSTODY: 'custody',
+};
+
+// disclosureAuditLog event types for share submissions
+const SHARE_EVENT = {
+  SUBMITTED: 'custody_share_submitted',
+  REJECTED: 'custody_share_rejected',
+};
+
+// disclosureAuditLog event type for a disclosed identity
+const IDENTITY_DISCLOSED_EVENT = 'identity_disclosed';
+
+/**
+ * Firestore timestamp as an ISO string, for callable responses
+ */
+function toIsoString(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return date.toISOString();
+}
+
+/**
+ * Key sealing the vault's private key
+ * @param {string} keyPartA - 32 hex characters
+ * @param {string} keyPartB - 32 hex characters
+ * @returns {Buffer}
+ */
+function combineKeyParts(keyPartA, keyPartB) {
+  return Buffer.from(`${keyPartA}${keyPartB}`, 'hex');
+}
+
+/**
+ * Generate new key parts and key pair for a company vault and escrow every
+ * data key version under it
+ * Rotating or re-initializing replaces Part A and the key pair, so the old
+ * Part B stops working. Rotating also adds a new data key version and starts
+ * a job that re-encrypts existing content with it (see keyRotationService.js)
+ * Vaults with custodians get Part B back as shares, one per custodian; the
+ * custody mode replaces the custodians and threshold
+ * @param {string} companyId - Company ID
+ * @param {Object} options - { mode, dpoEmail, custody: { threshold, custodians: [{ username, role }] } }
+ * @param {string} actorId - Super admin performing the action
+ * @returns {Promise<Object>} { keyPartB, shares, threshold, keyVersion, rotationJobId }
+ *   with keyPartB null and one share per custodian when the vault has custodians
+ */
+async function issueVaultKeys(companyId, { mode, dpoEmail, custody = null }, actorId) {
+  if (!Object.values(VAULT_MODE).includes(mode)) {
+    throw new Error(`Unknown key vault action: ${mode}`);
+  }
+
+  const companyDoc = await db.collection(COLLECTIONS.COMPANIES).doc(companyId).get();
+  if (!companyDoc.exists) {
+    throw new Error('Company not found');
+  }
+
+  const newCustodians = mode === VAULT_MODE.CUSTODY
+    ? await resolveCustodians(custody?.custodians, custody?.threshold)
+    : null;
+
+  const isRotation = mode === VAULT_MODE.ROTATE;
+  if (isRotation && await hasRunningKeyRotationJob(companyId)) {
+    throw new Error('Existing content is still being re-encrypted after the last rotation. Try again when it has finished.');
+  }
+
+  // The vault escrows at least the key new content is encrypted with
+  const dataKeyVersion = await createDataKeyVersion(companyId, { onlyIfMissing: !isRotation });
+
+  const keyPartA = crypto.randomBytes(KEY_PART_LENGTH / 2).toString('hex');
+  const keyPartB = crypto.randomBytes(KEY_PART_LENGTH / 2).toString('hex');
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: RSA_MODULUS_LENGTH,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+
+  const vaultRef = db.collection(COLLECTIONS.KEY_VAULT).doc(companyId);
+
+  const issued = await db.runTransaction(async (transaction) => {
+    const vaultDoc = await transaction.get(vaultRef);
+    // Read in the transaction so a data key added meanwhile is escrowed too
+    const keyMaterial = await getAllKeyMaterial(companyId, transaction);
+
+    if (mode === VAULT_MODE.INITIALIZE && vaultDoc.exists) {
+      throw new Error('Key Vault already initialized. Use Rotate Key to generate new keys.');
+    }
+    if (mode !== VAULT_MODE.INITIALIZE && !vaultDoc.exists) {
+      throw new Error('Key vault not initialized for this company');
+    }
+
+    const escrowedKeys = {};
+    keyMaterial.forEach((material, version) => {
+      escrowedKeys[version] = escrowKey(publicKey, material);
+    });
+
+    const keys = {
+      keyPartA,
+      escrowPublicKey: publicKey,
+      escrowPrivateKey: seal(combineKeyParts(keyPartA, keyPartB), privateKey),
+      escrowedKeys,
+    };
+
+    if (mode === VAULT_MODE.INITIALIZE) {
+      transaction.set(vaultRef, {
+        ...keys,
+        companyId,
+        dpoEmail,
+        custody: null,
+        keyVersion: 1,
+        status: 'active',
+        initializedBy: actorId,
+        createdAt: serverTimestamp(),
+      });
+      return { keyVersion: 1, shares: null, threshold: null };
+    }
+
+    // Existing custodians keep custody of the new Part B
+    const vault = vaultDoc.data();
+    const custodians = newCustodians
+      ? { threshold: custody.threshold, custodians: newCustodians }
+      : vault.custody || null;
+    const split = custodians ? splitKeyPartB(keyPartB, custodians) : null;
+
+    // Replacing the document drops fields of older vault formats (wrappedSecret)
+    const nextVersion = (vault.keyVersion || 0) + 1;
+    transaction.set(vaultRef, {
+      ...keys,
+      companyId,
+      dpoEmail: dpoEmail || vault.dpoEmail,
+      custody: split ? split.custody : null,
+      keyVersion: nextVersion,
+      status: 'active',
+      initializedBy: vault.initializedBy || actorId,
+      createdAt: vault.createdAt || serverTimestamp(),
+      rotatedAt: serverTimestamp(),
+      rotatedBy: actorId,
+    });
+    return {
+      keyVersion: nextVersion,
+      shares: split ? split.shares : null,
+      threshold: split ? split.custody.threshold : null,
+    };
+  });
+
+  const rotationJobId = isRotation ? await startKeyRotationJob(companyId, dataKeyVersion, actorId) : null;
+
+  // Part B and its shares are returned to the caller and NEVER written to Firestore
+  return {
+    keyPartB: issued.shares ? null : keyPartB,
+    shares: issued.shares,
+    threshold: issued.threshold,
+    keyVersion: issued.keyVersion,
+    rotationJobId,
+  };
+}
+
+/**
+ * Vault status of every company that has one, or of a single company
+ * Never includes key parts or keys
+ * @param {string|null} companyId - Limit to one company
+ * @returns {Promise<Array>} { companyId, companyName, dpoEmail, keyVersion,
+ *   dataKeyVersion, status, createdAt, rotatedAt, rotatedBy, escrowReady,
+ *   custody, reencryption } where custody lists the custodians, or is null
+ *   when Part B is held by the DPO, and reencryption is the latest
+ *   re-encryption job or null
+ */
+async function getKeyVaultStatuses(companyId = null) {
+  const vaultDocs = companyId
+    ? [await db.collection(COLLECTIONS.KEY_VAULT).doc(companyId).get()].filter(vaultDoc => vaultDoc.exists)
+    : (await db.collection(COLLECTIONS.KEY_VAULT).get()).docs;
+
+  return Promise.all(vaultDocs.map(async (vaultDoc) => {
+    const vault = vaultDoc.data();
+    const [companyDoc, keysDoc, reencryption] = await Promise.all([
+      db.collection(COLLECTIONS.COMPANIES).doc(vaultDoc.id).get(),
+      db.collection(COLLECTIONS.COMPANY_DATA_KEYS).doc(vaultDoc.id).get(),
+      getLatestKeyRotationJob(vaultDoc.id),
+    ]);
+    const company = companyDoc.exists ? companyDoc.data() : {};
+    const dataKeyVersion = keysDoc.exists ? keysDoc.data().currentVersion || null : null;
+
+    return {
+      companyId: vaultDoc.id,
+      companyName: company.companyName || company.name || vaultDoc.id,
+      dpoEmail: vault.dpoEmail,
+      keyVersion: vault.keyVersion,
+      dataKeyVersion,
+      status: vault.status,
+      createdAt: toIsoString(vault.createdAt),
+      rotatedAt: toIsoString(vault.rotatedAt),
+      rotatedBy: vault.rotatedBy || null,
+      // Vaults from before server-side escrow only wrapped the shared secret
+      escrowReady: !!vault.escrowPrivateKey
+        && (!dataKeyVersion || !!vault.escrowedKeys?.[dataKeyVersion]),
+      custody: toPublicCustody(vault.custody),
+      reencryption,
+    };
+  }));
+}
+
+/**
+ * Load an approved legal request with the anonymous post it names and the
+ * key vault of the post's company
+ * @param {string} legalRequestId - Legal request ID
+ * @returns {Promise<{request: Object, post: Object, vault: Object}>}
+ * @throws {Error} If the request has not cleared dual control, the post is
+ *   not anonymous or the vault cannot disclose identities
+ */
+async function loadDisclosureTarget(legalRequestId) {
+  const requestDoc = await db.collection(COLLECTIONS.LEGAL_REQUESTS).doc(legalRequestId || '').get();
+  if (!requestDoc.exists) {
+    throw new Error('Legal request not found');
+  }
+  const request = requestDoc.data();
+  assertDisclosureCleared(request);
+
+  const postDoc = await db.collection('posts').doc(request.reportId || '').get();
+  if (!postDoc.exists) {
+    throw new Error('Post not found. Verify the Report ID on the legal request.');
+  }
+  const post = postDoc.data();
+  if (!post.isAnonymous || !post.authorId) {
+    throw new Error('This post is not anonymous or has no encrypted author ID.');
+  }
+  if (request.companyId && post.companyId !== request.companyId) {
+    throw new Error('The post does not belong to the company named on the legal request.');
+  }
+
+  const vaultDoc = await db.collection(COLLECTIONS.KEY_VAULT).doc(post.companyId).get();
+  if (!vaultDoc.exists) {
+    throw new Error('Key Vault not initialized for this company. Please initialize it in Key Vault Management first.');
+  }
+  const vault = vaultDoc.data();
+  if (!vault.escrowPrivateKey) {
+    throw new Error('This key vault uses an older format. Re-initialize it in Key Vault Management and give the DPO the new Key Part B.');
+  }
+
+  return { request, post, vault };
+}
+
+/**
+ * Custodian share collection for a legal request
+ * @param {string} legalRequestId - Legal request ID
+ * @returns {Promise<Object>} { custody: false } when the DPO holds Key Part B,
+ *   otherwise { custody: true, threshold, submittedCount, expiresAt, custodians }
+ */
+async function getDisclosureSession(legalRequestId) {
+  const { vault } = await loadDisclosureTarget(legalRequestId);
+  if (!vault.custody) {
+    return { custody: false };
+  }
+  return { custody: true, ...(await getSessionStatus(legalRequestId, vault)) };
+}
+
+/**
+ * Legal requests waiting for a custodian's key share
+ * Lists the identity disclosure requests that have cleared dual control, and
+ * whose identity has not been disclosed yet, for every company whose Key
+ * Part B the user holds a share of
+ * @param {string} userId - Custodian's user ID
+ * @returns {Promise<Array>} { legalRequestId, companyId, companyName,
+ *   requestedBy, legalJustification, courtOrderUrl, submittedByMe,
+ *   ...getDisclosureSession() }
+ */
+async function getCustodianRequests(userId) {
+  const vaultsSnapshot = await db.collection(COLLECTIONS.KEY_VAULT).get();
+  const vaults = vaultsSnapshot.docs.map(vaultDoc => vaultDoc.data()).filter(vault => isCustodian(vault.custody, userId));
+
+  const pending = [];
+  for (const vault of vaults) {
+    const [companyDoc, requestsSnapshot] = await Promise.all([
+      db.collection(COLLECTIONS.COMPANIES).doc(vault.companyId).get(),
+      db.collection(COLLECTIONS.LEGAL_REQUESTS).where('companyId', '==', vault.companyId).get(),
+    ]);
+    const company = companyDoc.exists ? companyDoc.data() : {};
+
+    for (const requestDoc of requestsSnapshot.docs) {
+      const request = requestDoc.data();
+      try {
+        assertDisclosureCleared(request);
+      } catch {
+        continue;
+      }
+      if (isIdentityDisclosed(request)) continue;
+
+      const session = await getSessionStatus(requestDoc.id, vault);
+      pending.push({
+        legalRequestId: requestDoc.id,
+        companyId: vault.companyId,
+        companyName: company.companyName || company.name || vault.companyId,
+        requestedBy: request.requestedBy || null,
+        legalJustification: request.legalJustification || null,
+        courtOrderUrl: request.courtOrderUrl || null,
+        submittedByMe: session.custodians.some(custodian => custodian.id === userId && custodian.submitted),
+        custody: true,
+        ...session,
+      });
+    }
+  }
+  return pending;
+}
+
+/**
+ * Take a custodian's key share for the disclosure of a legal request
+ * The share must come from the custodian's own signed-in session. Accepted
+ * and refused submissions are both written to disclosureAuditLog.
+ * @param {string} legalRequestId - Legal request ID
+ * @param {string} share - The custodian's key share
+ * @param {string} userId - Signed-in user submitting the share
+ * @returns {Promise<Object>} Session status, as getDisclosureSession()
+ * @throws {Error} If the user is not a custodian or the share is not theirs
+ */
+async function submitCustodyShare(legalRequestId, share, userId) {
+  const { request, vault } = await loadDisclosureTarget(legalRequestId);
+  if (!vault.custody) {
+    throw new Error('Key Part B for this company is held by its DPO; no shares are needed.');
+  }
+
+  const event = {
+    requestId: legalRequestId,
+    postId: request.reportId,
+    vaultKeyVersion: vault.keyVersion,
+    custodianId: userId,
+  };
+
+  let custodian;
+  try {
+    custodian = matchCustodianShare(vault.custody, userId, share);
+  } catch (error) {
+    await logDisclosureEvent(vault.companyId, {
+      ...event,
+      eventType: SHARE_EVENT.REJECTED,
+      reason: error.message,
+    });
+    throw error;
+  }
+
+  const status = await recordShare(legalRequestId, vault, custodian, String(share).trim().toLowerCase());
+
+  await logDisclosureEvent(vault.companyId, {
+    ...event,
+    eventType: SHARE_EVENT.SUBMITTED,
+    custodianUsername: custodian.username,
+    custodianRole: custodian.role,
+    submittedCount: status.submittedCount,
+    threshold: status.threshold,
+  });
+
+  return { custody: true, ...status };
+}
+
+/**
+ * Decrypt the author of the post named in an approved legal request
+ * Key Part A from the vault and Key Part B, from the DPO or rebuilt from the
+ * custodians' submitted shares, open the vault's private key, which recovers
+ * the escrowed data key version the author ID was encrypted with. Only
+ * identity details are returned, and only once the disclosure is in the
+ * disclosure audit log.
+ * @param {string} legalRequestId - Legal request ID
+ * @param {string|null} keyPartB - Key Part B from the DPO; unused when the vault has custodians
+ * @param {string} disclosedBy - Super admin running the disclosure
+ * @param {string|null} deliveryMethod - How the identity will be delivered to the requester
+ * @returns {Promise<Object>} { identity, keyVersion, dpoEmail, auditId }
+ * @throws {Error} If the request has not cleared dual control, the post is not anonymous,
+ *   Key Part B is wrong, too few shares were submitted, the key version
+ *   was never escrowed or the disclosure could not be logged
+ */
+async function combineAndDecrypt(legalRequestId, keyPartB, disclosedBy, deliveryMethod = null) {
+  const { request, post, vault } = await loadDisclosureTarget(legalRequestId);
+
+  let partB;
+  if (vault.custody) {
+    partB = await rebuildKeyPartB(legalRequestId, vault);
+  } else {
+    partB = String(keyPartB || '').trim().toLowerCase();
+    if (!/^[0-9a-f]+$/.test(partB) || partB.length !== KEY_PART_LENGTH) {
+      throw new Error(`Key Part B must be exactly ${KEY_PART_LENGTH} hexadecimal characters.`);
+    }
+  }
+
+  let privateKey;
+  try {
+    privateKey = open(combineKeyParts(vault.keyPartA, partB), vault.escrowPrivateKey).toString('utf8');
+  } catch {
+    throw new Error(vault.custody
+      ? 'The submitted key shares do not open this vault.'
+      : 'Invalid Key Part B. Please verify with the DPO and try again.');
+  }
+
+  // Posts from before author IDs were encrypted carry the plain user ID
+  let userId = post.authorId;
+  const keyVersion = getKeyVersion(post.authorId);
+  if (isEncryptedValue(post.authorId)) {
+    const escrowed = vault.escrowedKeys?.[keyVersion];
+    if (!escrowed) {
+      throw new Error(`Key version ${keyVersion} is not escrowed in this vault. Rotate the key to escrow every version.`);
+    }
+    userId = decryptWithKey(post.authorId, unescrowKey(privateKey, escrowed, keyVersion));
+    if (!userId) {
+      throw new Error('Could not decrypt reporter identity.');
+    }
+  }
+
+  const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+  if (!userDoc.exists) {
+    throw new Error('User account not found.');
+  }
+  const user = userDoc.data();
+
+  const [companyDoc, departmentDoc] = await Promise.all([
+    user.companyId ? db.collection(COLLECTIONS.COMPANIES).doc(user.companyId).get() : null,
+    user.departmentId ? db.collection(COLLECTIONS.DEPARTMENTS).doc(user.departmentId).get() : null,
+  ]);
+  const company = companyDoc?.exists ? companyDoc.data() : null;
+
+  const disclosedByDoc = await db.collection(COLLECTIONS.USERS).doc(disclosedBy).get();
+  const discloser = disclosedByDoc.exists ? disclosedByDoc.data() : {};
+  const { auditId } = await logDisclosureEvent(vault.companyId, {
+    eventType: IDENTITY_DISCLOSED_EVENT,
+    requestId: legalRequestId,
+    postId: request.reportId,
+    approvedBy: discloser.displayName || discloser.username || null,
+    approvedById: disclosedBy,
+    dpoEmail: vault.dpoEmail || null,
+    legalBasis: request.legalJustification || null,
+    deliveryMethod,
+    vaultKeyVersion: vault.keyVersion,
+    keyVersion,
+  });
+
+  // Shares are single-use; the next disclosure needs them submitted again
+  if (vault.custody) {
+    await closeSession(legalRequestId);
+  }
+  await recordDisclosure(legalRequestId, disclosedBy);
+
+  return {
+    identity: {
+      userId,
+      displayName: user.displayName || user.name || 'Unknown',
+      email: user.email || 'No email on record',
+      username: user.username || userId,
+      role: user.role || 'employee',
+      status: user.status || 'unknown',
+      companyId: user.companyId || 'Unknown',
+      companyName: company ? company.name || company.companyName || 'Unknown Company' : 'Unavailable',
+      departmentName: departmentDoc?.exists ? departmentDoc.data().name || 'Unknown Department' : 'Not Assigned',
+      joinedAt: toIsoString(user.createdAt),
+    },
+    keyVersion,
+    dpoEmail: vault.dpoEmail || null,
+    auditId,
+  };
+}
+
+module.exports = {
+  VAULT_MODE,
+  issueVaultKeys,
+  getKeyVaultStatuses,
+  getDisclosureSession,
+  getCustodianRequests,
+  submitCustodyShare,
+  combineAndDecrypt,
+};
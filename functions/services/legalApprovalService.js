@@ -0,0 +1,421 @@
+/**
+ * Legal Approval Service
+ * Dual control over identity disclosure requests.
+ *
+ * An identity disclosure request needs approval from several distinct super
+ * admins, none of whom submitted it, and then waits out a cooling-off period
+ * before combineAndDecrypt will disclose anyone. How many approvals and how
+ * long a cooling-off apply is set per company in legalApprovalPolicies and
+ * snapshotted onto the request at its first review, so a policy change never
+ * alters a request already under way. Other request types keep a single
+ * approval.
+ *
+ * Every step is appended to the request's timeline. When the last approval
+ * comes in, the reporter is told through their anonymous thread, unless an
+ * approver records that the law forbids telling them.
+ */
+
+const crypto = require('crypto');
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { logSystemActivity } = require('./auditLogService');
+const { postSystemNotice } = require('./anonymousThreadService');
+
+const POLICY_UPDATED_ACTIVITY = 'legal_approval_policy_updated';
+
+// Keep in sync with LegalRequestStatus and LegalRequestType in src/utils/constants.js
+const REQUEST_STATUS = {
+  PENDING: 'pending',
+  UNDER_REVIEW: 'under_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+const IDENTITY_DISCLOSURE = 'identity_disclosure';
+
+// Keep in sync with LegalRequestEvent in src/utils/constants.js
+const REQUEST_EVENT = {
+  APPROVAL: 'approval',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  REPORTER_NOTIFIED: 'reporter_notified',
+  REPORTER_NOTICE_WITHHELD: 'reporter_notice_withheld',
+  IDENTITY_DISCLOSED: 'identity_disclosed',
+};
+
+// Keep in sync with ReporterNotice in src/utils/constants.js
+const REPORTER_NOTICE = {
+  NOTIFY: 'notify',
+  WITHHOLD: 'withhold',
+};
+
+// Keep in sync with DEFAULT_LEGAL_APPROVAL_POLICY in src/utils/constants.js
+const DEFAULT_POLICY = {
+  requiredApprovals: 2,
+  coolingOffHours: 72,
+};
+
+const POLICY_LIMITS = {
+  MIN_APPROVALS: 2,
+  MAX_APPROVALS: 5,
+  MIN_COOLING_OFF_HOURS: 24,
+  MAX_COOLING_OFF_HOURS: 720,
+};
+
+// The policy applied to every other request type
+const SINGLE_APPROVAL_POLICY = {
+  requiredApprovals: 1,
+  coolingOffHours: 0,
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Read a whole number within a range
+ * @throws {Error} If the value is missing or out of range
+ */
+function parseWholeNumber(input, field, min, max) {
+  const value = Number(input[field]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize an approval policy
+ * @param {Object} input - { requiredApprovals, coolingOffHours }
+ * @returns {Object} Normalized policy
+ * @throws {Error} If a value is out of range
+ */
+function normalizeApprovalPolicy(input = {}) {
+  return {
+    requiredApprovals: parseWholeNumber(input, 'requiredApprovals', POLICY_LIMITS.MIN_APPROVALS, POLICY_LIMITS.MAX_APPROVALS),
+    coolingOffHours: parseWholeNumber(input, 'coolingOffHours', POLICY_LIMITS.MIN_COOLING_OFF_HOURS, POLICY_LIMITS.MAX_COOLING_OFF_HOURS),
+  };
+}
+
+/**
+ * Get a company's approval policy for identity disclosure
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Policy, or the default policy
+ */
+async function getApprovalPolicy(companyId) {
+  const policyDoc = await db.collection(COLLECTIONS.LEGAL_APPROVAL_POLICIES).doc(companyId).get();
+  if (!policyDoc.exists) {
+    return { ...DEFAULT_POLICY };
+  }
+
+  const data = policyDoc.data();
+  const policy = { ...DEFAULT_POLICY };
+  Object.keys(DEFAULT_POLICY).forEach(field => {
+    if (data[field] !== undefined) policy[field] = data[field];
+  });
+  return policy;
+}
+
+/**
+ * Save a company's approval policy and audit the change
+ * Requests already under review keep the policy they started with
+ * @param {string} companyId - Company ID
+ * @param {Object} input - Policy fields
+ * @param {string} updatedBy - User ID of the super admin
+ * @returns {Promise<Object>} Saved policy
+ */
+async function saveApprovalPolicy(companyId, input, updatedBy) {
+  const previous = await getApprovalPolicy(companyId);
+  const policy = normalizeApprovalPolicy(input);
+
+  await db.collection(COLLECTIONS.LEGAL_APPROVAL_POLICIES).doc(companyId).set({
+    companyId,
+    ...policy,
+    updatedAt: serverTimestamp(),
+    updatedBy,
+  });
+
+  await logSystemActivity(companyId, POLICY_UPDATED_ACTIVITY, {
+    updatedBy,
+    previous,
+    policy,
+  });
+
+  return policy;
+}
+
+/**
+ * Build a timeline entry
+ */
+function timelineEvent(type, actor, note = null, details = {}) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    actorId: actor?.id || null,
+    actorName: actor?.name || null,
+    at: new Date().toISOString(),
+    note,
+    ...details,
+  };
+}
+
+/**
+ * Trim an optional note to its allowed length
+ */
+function cleanNote(value) {
+  const note = String(value || '').trim();
+  return note ? note.substring(0, MAX_NOTE_LENGTH) : null;
+}
+
+/**
+ * Whether the reporter may be told about an approved request
+ * A single approver recording that the law forbids it is enough to withhold
+ */
+function mayNotifyReporter(approvals) {
+  return approvals.every(approval => approval.reporterNotice !== REPORTER_NOTICE.WITHHOLD);
+}
+
+/**
+ * Tell the reporter through their anonymous thread that disclosure of their
+ * identity was approved, and record the outcome on the request
+ * @param {string} requestId - Legal request ID
+ * @param {Object} request - Approved request data
+ */
+async function noticeReporter(requestId, request) {
+  const requestRef = db.collection(COLLECTIONS.LEGAL_REQUESTS).doc(requestId);
+
+  if (!mayNotifyReporter(request.approvals)) {
+    const reasons = request.approvals
+      .filter(approval => approval.reporterNotice === REPORTER_NOTICE.WITHHOLD)
+      .map(approval => approval.withholdReason)
+      .filter(Boolean);
+    await requestRef.update({
+      timeline: admin.firestore.FieldValue.arrayUnion(
+        timelineEvent(REQUEST_EVENT.REPORTER_NOTICE_WITHHELD, null, reasons.join('\n') || null)
+      ),
+    });
+    return;
+  }
+
+  const coolingOffEndsAt = request.coolingOffEndsAt.toDate();
+  try {
+    await postSystemNotice(request.reportId, [
+      'A legal request to disclose the identity of the author of this post has been approved.',
+      `Your identity will not be disclosed before ${coolingOffEndsAt.toUTCString()}.`,
+      'You may wish to seek independent legal advice before then.',
+    ].join(' '));
+  } catch (error) {
+    // The request stands even if the notice cannot be delivered; the
+    // timeline shows the reporter was not told
+    console.error(`Error notifying reporter for legal request ${requestId}:`, error);
+    await requestRef.update({
+      timeline: admin.firestore.FieldValue.arrayUnion(
+        timelineEvent(REQUEST_EVENT.REPORTER_NOTICE_WITHHELD, null, `Notice could not be delivered: ${error.message}`)
+      ),
+    });
+    return;
+  }
+
+  await requestRef.update({
+    timeline: admin.firestore.FieldValue.arrayUnion(timelineEvent(REQUEST_EVENT.REPORTER_NOTIFIED, null)),
+  });
+}
+
+/**
+ * Approve or reject a legal request as one of its reviewers
+ * The reviewer must not have submitted the request and may approve it only
+ * once. An identity disclosure request is approved when it has the number of
+ * approvals its policy requires, and its cooling-off period starts then; any
+ * single rejection rejects it.
+ * @param {string} requestId - Legal request ID
+ * @param {Object} review - { decision: 'approve'|'reject', notes, rejectionReason,
+ *   disclosureMethod, reporterNotice, withholdReason }
+ * @param {{id: string, name: string|null}} actor - Reviewing super admin
+ * @returns {Promise<Object>} { status, approvals, requiredApprovals, coolingOffEndsAt }
+ * @throws {Error} If the request cannot be reviewed by this reviewer
+ */
+async function reviewLegalRequest(requestId, review, actor) {
+  const { decision } = review;
+  if (decision !== 'approve' && decision !== 'reject') {
+    throw new Error('Decision must be approve or reject');
+  }
+
+  const rejectionReason = cleanNote(review.rejectionReason);
+  if (decision === 'reject' && !rejectionReason) {
+    throw new Error('A rejection reason is required');
+  }
+
+  const reporterNotice = review.reporterNotice === REPORTER_NOTICE.WITHHOLD
+    ? REPORTER_NOTICE.WITHHOLD
+    : REPORTER_NOTICE.NOTIFY;
+  const withholdReason = cleanNote(review.withholdReason);
+  if (reporterNotice === REPORTER_NOTICE.WITHHOLD && !withholdReason) {
+    throw new Error('Give the legal grounds for withholding notice from the reporter');
+  }
+
+  const requestRef = db.collection(COLLECTIONS.LEGAL_REQUESTS).doc(requestId || '');
+  const existingDoc = await requestRef.get();
+  if (!existingDoc.exists) {
+    throw new Error('Legal request not found');
+  }
+  const isIdentityDisclosure = existingDoc.data().requestType === IDENTITY_DISCLOSURE;
+  const companyPolicy = isIdentityDisclosure
+    ? await getApprovalPolicy(existingDoc.data().companyId)
+    : SINGLE_APPROVAL_POLICY;
+
+  const result = await db.runTransaction(async (transaction) => {
+    const requestDoc = await transaction.get(requestRef);
+    const request = requestDoc.data();
+
+    if (![REQUEST_STATUS.PENDING, REQUEST_STATUS.UNDER_REVIEW].includes(request.status)) {
+      throw new Error(`This request is ${request.status} and can no longer be reviewed`);
+    }
+    if (request.requestedByUserId === actor.id) {
+      throw new Error('You submitted this request, so another super admin must review it');
+    }
+
+    const approvals = request.approvals || [];
+    if (approvals.some(approval => approval.userId === actor.id)) {
+      throw new Error('You have already approved this request; it needs another approver');
+    }
+
+    const approvalPolicy = request.approvalPolicy || companyPolicy;
+    const now = new Date();
+    const update = {
+      approvalPolicy,
+      updatedAt: serverTimestamp(),
+    };
+
+    if (decision === 'reject') {
+      Object.assign(update, {
+        status: REQUEST_STATUS.REJECTED,
+        reviewedBy: actor.name,
+        reviewedByUserId: actor.id,
+        reviewedAt: admin.firestore.Timestamp.fromDate(now),
+        rejectionReason,
+        timeline: admin.firestore.FieldValue.arrayUnion(
+          timelineEvent(REQUEST_EVENT.REJECTED, actor, rejectionReason)
+        ),
+      });
+      transaction.update(requestRef, update);
+      return { request, update, approvals, approvalPolicy };
+    }
+
+    const approval = {
+      userId: actor.id,
+      name: actor.name,
+      approvedAt: now.toISOString(),
+      notes: cleanNote(review.notes),
+      disclosureMethod: review.disclosureMethod || null,
+      ...(isIdentityDisclosure ? { reporterNotice, withholdReason: reporterNotice === REPORTER_NOTICE.WITHHOLD ? withholdReason : null } : {}),
+    };
+    const updatedApprovals = [...approvals, approval];
+    const events = [timelineEvent(REQUEST_EVENT.APPROVAL, actor, approval.notes, {
+      count: updatedApprovals.length,
+      required: approvalPolicy.requiredApprovals,
+    })];
+
+    update.approvals = updatedApprovals;
+    if (updatedApprovals.length >= approvalPolicy.requiredApprovals) {
+      const coolingOffEndsAt = new Date(now.getTime() + approvalPolicy.coolingOffHours * 60 * 60 * 1000);
+      Object.assign(update, {
+        status: REQUEST_STATUS.APPROVED,
+        reviewedBy: actor.name,
+        reviewedByUserId: actor.id,
+        reviewedAt: admin.firestore.Timestamp.fromDate(now),
+        approvalNotes: approval.notes,
+        disclosureMethod: approval.disclosureMethod,
+        coolingOffEndsAt: admin.firestore.Timestamp.fromDate(coolingOffEndsAt),
+      });
+      events.push(timelineEvent(REQUEST_EVENT.APPROVED, null, null, {
+        coolingOffEndsAt: coolingOffEndsAt.toISOString(),
+      }));
+    } else {
+      update.status = REQUEST_STATUS.UNDER_REVIEW;
+    }
+    update.timeline = admin.firestore.FieldValue.arrayUnion(...events);
+
+    transaction.update(requestRef, update);
+    return { request, update, approvals: updatedApprovals, approvalPolicy };
+  });
+
+  const { request, update, approvals, approvalPolicy } = result;
+
+  await logSystemActivity(request.companyId, `legal_request_${update.status}`, {
+    requestId,
+    requestType: request.requestType,
+    reviewedBy: actor.id,
+    approvals: approvals.length,
+    requiredApprovals: approvalPolicy.requiredApprovals,
+  });
+
+  if (isIdentityDisclosure && update.status === REQUEST_STATUS.APPROVED) {
+    await noticeReporter(requestId, { ...request, ...update, approvals });
+  }
+
+  return {
+    status: update.status,
+    approvals,
+    requiredApprovals: approvalPolicy.requiredApprovals,
+    coolingOffEndsAt: update.coolingOffEndsAt ? update.coolingOffEndsAt.toDate().toISOString() : null,
+  };
+}
+
+/**
+ * Make sure a legal request has cleared dual control for identity disclosure
+ * @param {Object} request - Legal request data
+ * @throws {Error} If it is not an approved identity disclosure request with
+ *   enough approvals whose cooling-off period is over
+ */
+function assertDisclosureCleared(request) {
+  if (request.status !== REQUEST_STATUS.APPROVED) {
+    throw new Error('Identities can only be disclosed for approved legal requests');
+  }
+  if (request.requestType !== IDENTITY_DISCLOSURE) {
+    throw new Error('Identities can only be disclosed under an identity disclosure request');
+  }
+
+  const required = request.approvalPolicy?.requiredApprovals;
+  const approvers = new Set((request.approvals || []).map(approval => approval.userId));
+  approvers.delete(request.requestedByUserId);
+  if (!required || approvers.size < required) {
+    throw new Error('This request has not been approved by enough distinct super admins');
+  }
+
+  const coolingOffEndsAt = request.coolingOffEndsAt?.toMillis();
+  if (!coolingOffEndsAt || coolingOffEndsAt > Date.now()) {
+    const until = coolingOffEndsAt ? ` until ${new Date(coolingOffEndsAt).toISOString()}` : '';
+    throw new Error(`This request is in its cooling-off period${until}`);
+  }
+}
+
+/**
+ * Whether an identity has already been disclosed under a legal request
+ * @param {Object} request - Legal request data
+ * @returns {boolean}
+ */
+function isIdentityDisclosed(request) {
+  return (request.timeline || []).some(event => event.type === REQUEST_EVENT.IDENTITY_DISCLOSED);
+}
+
+/**
+ * Record on a request's timeline that an identity was disclosed
+ * @param {string} requestId - Legal request ID
+ * @param {string} disclosedBy - User ID of the super admin who disclosed it
+ */
+async function recordDisclosure(requestId, disclosedBy) {
+  const userDoc = await db.collection(COLLECTIONS.USERS).doc(disclosedBy).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  const actor = { id: disclosedBy, name: user.displayName || user.username || null };
+
+  await db.collection(COLLECTIONS.LEGAL_REQUESTS).doc(requestId).update({
+    timeline: admin.firestore.FieldValue.arrayUnion(timelineEvent(REQUEST_EVENT.IDENTITY_DISCLOSED, actor)),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+module.exports = {
+  normalizeApprovalPolicy,
+  getApprovalPolicy,
+  saveApprovalPolicy,
+  reviewLegalRequest,
+  assertDisclosureCleared,
+  isIdentityDisclosed,
+  recordDisclosure,
+};
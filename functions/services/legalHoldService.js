@@ -0,0 +1,343 @@
+/**
+ * Legal Hold Service
+ * Preserves posts, comments, anonymous threads or everything a user has
+ * written while a legal request is open.
+ *
+ * Each hold is a legalHolds document. The items it covers are flagged with
+ * legalHold: true and carry the hold ID in legalHoldIds, so an item stays
+ * held until the last hold covering it is released. Firestore rules and the
+ * client services refuse to edit or delete flagged items; only the Admin SDK
+ * (this service) may change the flags.
+ */
+
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { logSystemActivity } = require('./auditLogService');
+const { ANONYMOUS_CONTENT, getAuthorToken } = require('./anonymousContentService');
+
+const LEGAL_HOLD_TARGET = {
+  POST: 'post',
+  COMMENT: 'comment',
+  THREAD: 'thread',
+  USER: 'user',
+};
+
+const LEGAL_HOLD_STATUS = {
+  ACTIVE: 'active',
+  RELEASED: 'released',
+};
+
+const LEGAL_HOLD_ACTIVITY = {
+  PLACED: 'legal_hold_placed',
+  RELEASED: 'legal_hold_released',
+  BLOCKED: 'legal_hold_blocked',
+};
+
+const TARGET_COLLECTIONS = {
+  [LEGAL_HOLD_TARGET.POST]: 'posts',
+  [LEGAL_HOLD_TARGET.COMMENT]: 'comments',
+  [LEGAL_HOLD_TARGET.THREAD]: 'anonymousThreads',
+  [LEGAL_HOLD_TARGET.USER]: COLLECTIONS.USERS,
+};
+
+// Every collection that can carry the legalHold flag
+const HOLDABLE_COLLECTIONS = Object.values(TARGET_COLLECTIONS);
+
+const BATCH_SIZE = 400;
+
+/**
+ * Collect the documents a hold covers
+ * A post hold also covers the post's comments and anonymous thread; a user
+ * hold covers the profile and everything the user has posted
+ * @param {string} targetType - LEGAL_HOLD_TARGET value
+ * @param {string} targetId - Target document ID
+ * @param {string|null} authorToken - Author token of a held user
+ * @returns {Promise<Array<FirebaseFirestore.DocumentReference>>}
+ */
+async function collectHeldRefs(targetType, targetId, authorToken) {
+  const refs = new Map();
+  const add = (ref) => refs.set(ref.path, ref);
+  const addAll = (snapshot) => snapshot.docs.forEach(d => add(d.ref));
+
+  add(db.collection(TARGET_COLLECTIONS[targetType]).doc(targetId));
+
+  if (targetType === LEGAL_HOLD_TARGET.POST) {
+    addAll(await db.collection('comments').where('postId', '==', targetId).get());
+
+    const threadDoc = await db.collection('anonymousThreads').doc(targetId).get();
+    if (threadDoc.exists) add(threadDoc.ref);
+  }
+
+  if (targetType === LEGAL_HOLD_TARGET.USER) {
+    addAll(await db.collection('posts').where('authorId', '==', targetId).get());
+    addAll(await db.collection('comments').where('authorId', '==', targetId).get());
+
+    // Anonymous content is found through its author records, which outlive
+    // deleted content; anonymous threads belong to the author of their post
+    const records = await db.collection(COLLECTIONS.ANONYMOUS_AUTHORS).where('authorToken', '==', authorToken).get();
+    for (const recordDoc of records.docs) {
+      const isPost = recordDoc.data().contentType === ANONYMOUS_CONTENT.POST;
+      const contentDoc = await db.collection(isPost ? 'posts' : 'comments').doc(recordDoc.id).get();
+      if (contentDoc.exists) add(contentDoc.ref);
+      if (!isPost) continue;
+
+      const threadDoc = await db.collection('anonymousThreads').doc(recordDoc.id).get();
+      if (threadDoc.exists) add(threadDoc.ref);
+    }
+  }
+
+  return [...refs.values()];
+}
+
+/**
+ * Apply an update to many documents in batches
+ * @param {Array} items - Items to update
+ * @param {Function} toUpdate - Maps an item to [ref, update]
+ */
+async function updateInBatches(items, toUpdate) {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    items.slice(i, i + BATCH_SIZE).forEach(item => {
+      const [ref, update] = toUpdate(item);
+      batch.update(ref, update);
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Company-visible audit details of a hold
+ * User holds leave out the user, hold ID and reason: company admins can read
+ * the audit log, and linking a user to the held anonymous posts would reveal
+ * who wrote them
+ */
+function auditDetails(hold, holdId) {
+  if (hold.targetType === LEGAL_HOLD_TARGET.USER) {
+    return { targetType: hold.targetType, legalRequestId: hold.legalRequestId };
+  }
+  return {
+    holdId,
+    targetType: hold.targetType,
+    targetId: hold.targetId,
+    legalRequestId: hold.legalRequestId,
+    reason: hold.reason,
+  };
+}
+
+/**
+ * Place a legal hold
+ * @param {Object} input - { targetType, targetId, legalRequestId, reason }
+ * @param {Object} placedBy - { id, name } of the super admin
+ * @returns {Promise<Object>} The hold
+ * @throws {Error} If the input is invalid, the target is missing or already held
+ */
+async function placeLegalHold(input, placedBy) {
+  const { targetType, targetId, legalRequestId = null } = input;
+  const reason = (input.reason || '').trim();
+
+  if (!TARGET_COLLECTIONS[targetType]) {
+    throw new Error(`Unknown hold target type: ${targetType}`);
+  }
+  if (!targetId) {
+    throw new Error('Target ID is required');
+  }
+  if (!reason) {
+    throw new Error('A reason is required');
+  }
+
+  const targetDoc = await db.collection(TARGET_COLLECTIONS[targetType]).doc(targetId).get();
+  if (!targetDoc.exists) {
+    throw new Error(`No ${targetType} found with ID ${targetId}`);
+  }
+
+  if (legalRequestId) {
+    const requestDoc = await db.collection('legalRequests').doc(legalRequestId).get();
+    if (!requestDoc.exists) {
+      throw new Error('Legal request not found');
+    }
+  }
+
+  const existing = await db.collection(COLLECTIONS.LEGAL_HOLDS)
+    .where('targetType', '==', targetType)
+    .where('targetId', '==', targetId)
+    .where('status', '==', LEGAL_HOLD_STATUS.ACTIVE)
+    .limit(1)
+    .get();
+  if (!existing.empty) {
+    throw new Error(`This ${targetType} is already under legal hold`);
+  }
+
+  // Lets content the user writes anonymously later be matched to the hold
+  const authorToken = targetType === LEGAL_HOLD_TARGET.USER ? getAuthorToken(targetId) : null;
+
+  const refs = await collectHeldRefs(targetType, targetId, authorToken);
+  const holdRef = db.collection(COLLECTIONS.LEGAL_HOLDS).doc();
+  const hold = {
+    targetType,
+    targetId,
+    authorToken,
+    companyId: targetDoc.data().companyId || null,
+    legalRequestId,
+    reason,
+    status: LEGAL_HOLD_STATUS.ACTIVE,
+    itemCount: refs.length,
+    placedBy: placedBy.id,
+    placedByName: placedBy.name || null,
+    placedAt: serverTimestamp(),
+    releasedBy: null,
+    releasedAt: null,
+    releaseNote: null,
+  };
+
+  // Record the hold before flagging, so a failure part-way can be released
+  await holdRef.set(hold);
+  await updateInBatches(refs, ref => [ref, {
+    legalHold: true,
+    legalHoldIds: admin.firestore.FieldValue.arrayUnion(holdRef.id),
+  }]);
+
+  if (hold.companyId) {
+    await logSystemActivity(hold.companyId, LEGAL_HOLD_ACTIVITY.PLACED, {
+      ...auditDetails(hold, holdRef.id),
+      itemCount: refs.length,
+      placedBy: placedBy.id,
+    });
+  }
+
+  return { id: holdRef.id, ...hold, placedAt: new Date().toISOString() };
+}
+
+/**
+ * Release a legal hold
+ * Items stay flagged while another active hold still covers them
+ * @param {string} holdId - Hold ID
+ * @param {Object} releasedBy - { id, name } of the super admin
+ * @param {string} note - Why the hold is released
+ * @returns {Promise<{released: number, stillHeld: number}>}
+ * @throws {Error} If the hold is missing or already released
+ */
+async function releaseLegalHold(holdId, releasedBy, note = '') {
+  const holdRef = db.collection(COLLECTIONS.LEGAL_HOLDS).doc(holdId);
+  const holdDoc = await holdRef.get();
+  if (!holdDoc.exists) {
+    throw new Error('Legal hold not found');
+  }
+
+  const hold = holdDoc.data();
+  if (hold.status !== LEGAL_HOLD_STATUS.ACTIVE) {
+    throw new Error('Legal hold is already released');
+  }
+
+  const heldDocs = [];
+  for (const collectionName of HOLDABLE_COLLECTIONS) {
+    const snapshot = await db.collection(collectionName)
+      .where('legalHoldIds', 'array-contains', holdId)
+      .get();
+    heldDocs.push(...snapshot.docs);
+  }
+
+  let stillHeld = 0;
+  await updateInBatches(heldDocs, heldDoc => {
+    const remaining = (heldDoc.data().legalHoldIds || []).filter(id => id !== holdId);
+    if (remaining.length > 0) stillHeld++;
+    return [heldDoc.ref, { legalHold: remaining.length > 0, legalHoldIds: remaining }];
+  });
+
+  await holdRef.update({
+    status: LEGAL_HOLD_STATUS.RELEASED,
+    releasedBy: releasedBy.id,
+    releasedByName: releasedBy.name || null,
+    releasedAt: serverTimestamp(),
+    releaseNote: (note || '').trim() || null,
+  });
+
+  if (hold.companyId) {
+    await logSystemActivity(hold.companyId, LEGAL_HOLD_ACTIVITY.RELEASED, {
+      ...auditDetails(hold, holdId),
+      itemCount: heldDocs.length,
+      stillHeld,
+      releasedBy: releasedBy.id,
+    });
+  }
+
+  return { released: heldDocs.length - stillHeld, stillHeld };
+}
+
+/**
+ * Find active holds on any of the given targets
+ * @param {string} targetType - LEGAL_HOLD_TARGET value
+ * @param {Array<string>} targetIds - Target IDs (up to 30)
+ * @returns {Promise<Array<string>>} Hold IDs
+ */
+async function findActiveHoldIds(targetType, targetIds) {
+  const ids = [...new Set(targetIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const snapshot = await db.collection(COLLECTIONS.LEGAL_HOLDS)
+    .where('targetType', '==', targetType)
+    .where('targetId', 'in', ids)
+    .where('status', '==', LEGAL_HOLD_STATUS.ACTIVE)
+    .get();
+  return snapshot.docs.map(d => d.id);
+}
+
+/**
+ * Find active user holds on the authors of anonymous content
+ * @param {Array<string>} authorTokens - Author tokens
+ * @returns {Promise<Array<string>>} Hold IDs
+ */
+async function findActiveTokenHoldIds(authorTokens) {
+  const tokens = [...new Set(authorTokens.filter(Boolean))];
+  if (tokens.length === 0) return [];
+
+  const snapshot = await db.collection(COLLECTIONS.LEGAL_HOLDS)
+    .where('authorToken', 'in', tokens)
+    .where('status', '==', LEGAL_HOLD_STATUS.ACTIVE)
+    .get();
+  return snapshot.docs.map(d => d.id);
+}
+
+/**
+ * Flag a newly created post, comment or thread when an active hold already
+ * covers it: its author is held, or (for comments and threads) its post is
+ * @param {string} collectionName - 'posts', 'comments' or 'anonymousThreads'
+ * @param {FirebaseFirestore.DocumentSnapshot} snapshot - The new document
+ * @returns {Promise<number>} Number of holds applied
+ */
+async function applyExistingHolds(collectionName, snapshot) {
+  const data = snapshot.data() || {};
+
+  // Threads belong to the author of their post, and share its ID
+  let author = data;
+  if (collectionName === 'anonymousThreads') {
+    const postDoc = await db.collection('posts').doc(snapshot.id).get();
+    author = postDoc.exists ? postDoc.data() : {};
+  }
+  const recordDoc = await db.collection(COLLECTIONS.ANONYMOUS_AUTHORS).doc(snapshot.id).get();
+
+  const holdIds = [
+    ...await findActiveHoldIds(LEGAL_HOLD_TARGET.USER, [author.authorId]),
+    ...await findActiveTokenHoldIds([recordDoc.exists ? recordDoc.data().authorToken : null]),
+  ];
+
+  if (collectionName === 'comments' || collectionName === 'anonymousThreads') {
+    const postId = collectionName === 'comments' ? data.postId : snapshot.id;
+    holdIds.push(...await findActiveHoldIds(LEGAL_HOLD_TARGET.POST, [postId]));
+  }
+
+  if (holdIds.length === 0) return 0;
+
+  await snapshot.ref.update({
+    legalHold: true,
+    legalHoldIds: admin.firestore.FieldValue.arrayUnion(...holdIds),
+  });
+  return holdIds.length;
+}
+
+module.exports = {
+  LEGAL_HOLD_TARGET,
+  LEGAL_HOLD_STATUS,
+  LEGAL_HOLD_ACTIVITY,
+  placeLegalHold,
+  releaseLegalHold,
+  applyExistingHolds,
+};
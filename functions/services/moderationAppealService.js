@@ -0,0 +1,104 @@
+/**
+ * Moderation Appeal Service
+ * Escalates new strike appeals that no company moderator may decide.
+ *
+ * Users file appeals from the browser, always as pending. An appeal must be
+ * decided by someone other than the moderator who issued the strike, so when
+ * that moderator is the company's only admin or HR member the appeal goes to
+ * super admins instead. That is decided here rather than by the client.
+ */
+
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+
+// Keep in sync with AppealStatus in src/utils/constants.js
+const APPEAL_STATUS = {
+  PENDING: 'pending',
+  ESCALATED: 'escalated',
+};
+
+// Keep in sync with ModerationActivityType and NotificationType in src/utils/constants.js
+const APPEAL_ACTIVITY_ESCALATED = 'appeal_escalated';
+const APPEAL_NOTIFICATION_FILED = 'appeal_filed';
+
+const ESCALATION_REASON = 'No other moderator in the company';
+
+/**
+ * IDs of the company's admins and HR members who may decide an appeal
+ * @param {string} companyId - Company ID
+ * @param {string} originalModeratorId - Moderator who issued the strike
+ * @returns {Promise<Array<string>>}
+ */
+async function getAppealReviewerIds(companyId, originalModeratorId) {
+  const reviewersSnapshot = await db.collection(COLLECTIONS.USERS)
+    .where('companyId', '==', companyId)
+    .where('role', 'in', ['company_admin', 'hr'])
+    .get();
+  return reviewersSnapshot.docs
+    .map(reviewerDoc => reviewerDoc.id)
+    .filter(reviewerId => reviewerId !== originalModeratorId);
+}
+
+/**
+ * Escalate a new appeal to super admins when no company moderator may decide it
+ * @param {FirebaseFirestore.DocumentReference} appealRef - moderationAppeals document
+ * @param {Object} appeal - Appeal data
+ * @returns {Promise<boolean>} Whether the appeal was escalated
+ */
+async function escalateUnreviewableAppeal(appealRef, appeal) {
+  if (appeal.status !== APPEAL_STATUS.PENDING) {
+    return false;
+  }
+
+  const reviewerIds = await getAppealReviewerIds(appeal.companyId, appeal.originalModeratorId);
+  if (reviewerIds.length > 0) {
+    return false;
+  }
+
+  const superAdminsSnapshot = await db.collection(COLLECTIONS.USERS)
+    .where('role', '==', 'super_admin')
+    .get();
+
+  const batch = db.batch();
+  batch.update(appealRef, {
+    status: APPEAL_STATUS.ESCALATED,
+    escalatedAt: serverTimestamp(),
+    escalationReason: ESCALATION_REASON,
+    updatedAt: serverTimestamp(),
+  });
+
+  batch.set(db.collection(COLLECTIONS.MODERATION_ACTIVITIES).doc(), {
+    activityType: APPEAL_ACTIVITY_ESCALATED,
+    reportId: appeal.reportId || null,
+    contentType: appeal.contentType || null,
+    contentId: appeal.contentId || null,
+    userId: appeal.userId,
+    companyId: appeal.companyId,
+    metadata: { appealId: appealRef.id, reason: ESCALATION_REASON, automatic: true },
+    createdAt: serverTimestamp(),
+  });
+
+  superAdminsSnapshot.docs.forEach((adminDoc) => {
+    batch.set(db.collection('notifications').doc(), {
+      userId: adminDoc.id,
+      type: APPEAL_NOTIFICATION_FILED,
+      title: 'Appeal Escalated',
+      message: 'A strike appeal has been escalated and requires your review.',
+      companyId: appeal.companyId,
+      metadata: {
+        appealId: appealRef.id,
+        reportId: appeal.reportId || null,
+        strikeId: appeal.strikeId,
+        escalated: true,
+      },
+      read: false,
+      createdAt: serverTimestamp(),
+    });
+  });
+
+  await batch.commit();
+  return true;
+}
+
+module.exports = {
+  escalateUnreviewableAppeal,
+};
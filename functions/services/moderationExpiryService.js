@@ -0,0 +1,197 @@
+/**
+ * Moderation Expiry Service
+ * Lifts posting restrictions and suspensions once their end date has passed,
+ * and decays strikes whose policy expiry date has passed.
+ *
+ * The client only checks end dates lazily, when it happens to read them; this
+ * keeps the stored state true so the Moderation Dashboard and member lists
+ * show who is actually restricted right now.
+ */
+
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+
+// Keep in sync with ModerationActivityType in src/utils/constants.js
+const EXPIRY_ACTIVITY = {
+  RESTRICTION_LIFTED: 'restriction_lifted',
+  SUSPENSION_LIFTED: 'suspension_lifted',
+  STRIKE_EXPIRED: 'strike_expired',
+};
+
+// Keep in sync with NotificationType in src/utils/constants.js
+const EXPIRY_NOTIFICATION = {
+  RESTRICTION_LIFTED: 'restriction_lifted',
+  ACCOUNT_REINSTATED: 'account_reinstated',
+  STRIKE_EXPIRED: 'strike_expired',
+};
+
+// Caps each kind of expiry per run; the rest is picked up on the next run
+const MAX_EXPIRIES_PER_RUN = 400;
+
+/**
+ * Queue a notification and a moderation activity entry on a batch
+ * The activity has no acting user: the expiry is done by the system
+ */
+function addExpiryRecords(batch, { userId, companyId, notification, activityType, metadata }) {
+  batch.set(db.collection('notifications').doc(), {
+    userId,
+    companyId,
+    ...notification,
+    read: false,
+    createdAt: serverTimestamp(),
+  });
+
+  batch.set(db.collection(COLLECTIONS.MODERATION_ACTIVITIES).doc(), {
+    activityType,
+    userId: null,
+    companyId,
+    metadata: { targetUserId: userId, automatic: true, ...metadata },
+    createdAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Deactivate posting restrictions whose end date has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Restrictions lifted
+ */
+async function liftExpiredRestrictions(now) {
+  const snapshot = await db.collection(COLLECTIONS.USER_RESTRICTIONS)
+    .where('isActive', '==', true)
+    .where('endsAt', '<=', admin.firestore.Timestamp.fromDate(now))
+    .limit(MAX_EXPIRIES_PER_RUN)
+    .get();
+
+  for (const restrictionDoc of snapshot.docs) {
+    const restriction = restrictionDoc.data();
+    const batch = db.batch();
+
+    batch.update(restrictionDoc.ref, {
+      isActive: false,
+      liftedAt: serverTimestamp(),
+    });
+    addExpiryRecords(batch, {
+      userId: restriction.userId,
+      companyId: restriction.companyId,
+      notification: {
+        type: EXPIRY_NOTIFICATION.RESTRICTION_LIFTED,
+        title: 'Posting Restriction Lifted',
+        message: 'Your posting restriction has ended. You can post and comment again.',
+        metadata: { restrictionId: restrictionDoc.id },
+      },
+      activityType: EXPIRY_ACTIVITY.RESTRICTION_LIFTED,
+      metadata: {
+        restrictionId: restrictionDoc.id,
+        restrictionType: restriction.restrictionType,
+      },
+    });
+
+    await batch.commit();
+  }
+
+  return snapshot.size;
+}
+
+/**
+ * Reactivate accounts whose timed suspension has ended
+ * Suspensions set by hand without an end date are left alone
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Suspensions lifted
+ */
+async function liftExpiredSuspensions(now) {
+  const snapshot = await db.collection(COLLECTIONS.USERS)
+    .where('status', '==', 'suspended')
+    .where('suspendedUntil', '<=', admin.firestore.Timestamp.fromDate(now))
+    .limit(MAX_EXPIRIES_PER_RUN)
+    .get();
+
+  for (const userDoc of snapshot.docs) {
+    const user = userDoc.data();
+    const batch = db.batch();
+
+    batch.update(userDoc.ref, {
+      status: 'active',
+      suspendedUntil: null,
+      suspensionReason: null,
+      suspensionStrikeId: null,
+      suspensionLiftedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    addExpiryRecords(batch, {
+      userId: userDoc.id,
+      companyId: user.companyId,
+      notification: {
+        type: EXPIRY_NOTIFICATION.ACCOUNT_REINSTATED,
+        title: 'Account Reinstated',
+        message: 'Your suspension has ended and your account is active again.',
+        metadata: {},
+      },
+      activityType: EXPIRY_ACTIVITY.SUSPENSION_LIFTED,
+      metadata: { suspensionReason: user.suspensionReason || null },
+    });
+
+    await batch.commit();
+  }
+
+  return snapshot.size;
+}
+
+/**
+ * Stop counting strikes whose expiry date, set from the company's
+ * moderation policy when they were issued, has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Strikes expired
+ */
+async function decayExpiredStrikes(now) {
+  const snapshot = await db.collection(COLLECTIONS.USER_STRIKES)
+    .where('isActive', '==', true)
+    .where('expiresAt', '<=', admin.firestore.Timestamp.fromDate(now))
+    .limit(MAX_EXPIRIES_PER_RUN)
+    .get();
+
+  for (const strikeDoc of snapshot.docs) {
+    const strike = strikeDoc.data();
+    const batch = db.batch();
+
+    batch.update(strikeDoc.ref, {
+      isActive: false,
+      decayedAt: serverTimestamp(),
+    });
+    addExpiryRecords(batch, {
+      userId: strike.userId,
+      companyId: strike.companyId,
+      notification: {
+        type: EXPIRY_NOTIFICATION.STRIKE_EXPIRED,
+        title: 'Strike Expired',
+        message: `Your strike for ${strike.violationType || 'a guidelines violation'} has expired and no longer counts against you.`,
+        metadata: { strikeId: strikeDoc.id },
+      },
+      activityType: EXPIRY_ACTIVITY.STRIKE_EXPIRED,
+      metadata: {
+        strikeId: strikeDoc.id,
+        strikeLevel: strike.strikeLevel,
+        reportId: strike.reportId || null,
+      },
+    });
+
+    await batch.commit();
+  }
+
+  return snapshot.size;
+}
+
+/**
+ * Apply every moderation expiry that is due
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { restrictionsLifted, suspensionsLifted, strikesExpired }
+ */
+async function applyModerationExpiries(now = new Date()) {
+  const restrictionsLifted = await liftExpiredRestrictions(now);
+  const suspensionsLifted = await liftExpiredSuspensions(now);
+  const strikesExpired = await decayExpiredStrikes(now);
+
+  return { restrictionsLifted, suspensionsLifted, strikesExpired };
+}
+
+module.exports = {
+  applyModerationExpiries,
+};
@@ -0,0 +1,136 @@
+/**
+ * Moderation Policy Service
+ * Per-company moderation rules: the strike ladder, how long strikes count,
+ * which report reasons escalate to HR, and how long reports are retained.
+ *
+ * Policies are read directly by the client moderation service, which applies
+ * them when reports are filed and strikes are issued; they are only written
+ * here, so every change is validated and audited.
+ */
+
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { logSystemActivity } = require('./auditLogService');
+
+const POLICY_UPDATED_ACTIVITY = 'moderation_policy_updated';
+
+const REPORT_REASONS = ['harassment', 'inappropriate', 'spam', 'false_info', 'discrimination', 'violence', 'other'];
+
+// Keep in sync with DEFAULT_MODERATION_POLICY in src/utils/constants.js
+const DEFAULT_POLICY = {
+  restrictAtStrikes: 2,
+  restrictionDays: 7,
+  suspendAtStrikes: 3,
+  suspensionDays: 30,
+  strikeExpiryDays: null,
+  escalationReasons: ['harassment', 'discrimination', 'violence'],
+  criticalRetentionYears: 7,
+  standardRetentionYears: 2,
+};
+
+const POLICY_LIMITS = {
+  MAX_STRIKES: 10,
+  MAX_RESTRICTION_DAYS: 365,
+  MAX_EXPIRY_DAYS: 3650,
+  MAX_RETENTION_YEARS: 50,
+};
+
+/**
+ * Read a whole number within a range
+ * @throws {Error} If the value is missing or out of range
+ */
+function parseWholeNumber(input, field, min, max) {
+  const value = Number(input[field]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize a moderation policy
+ * An empty strikeExpiryDays means strikes never expire
+ * @param {Object} input - Policy fields
+ * @returns {Object} Normalized policy
+ * @throws {Error} If a value is out of range
+ */
+function normalizeModerationPolicy(input = {}) {
+  const restrictAtStrikes = parseWholeNumber(input, 'restrictAtStrikes', 1, POLICY_LIMITS.MAX_STRIKES - 1);
+  const suspendAtStrikes = parseWholeNumber(input, 'suspendAtStrikes', 2, POLICY_LIMITS.MAX_STRIKES);
+  if (suspendAtStrikes <= restrictAtStrikes) {
+    throw new Error('suspendAtStrikes must be higher than restrictAtStrikes');
+  }
+
+  const criticalRetentionYears = parseWholeNumber(input, 'criticalRetentionYears', 1, POLICY_LIMITS.MAX_RETENTION_YEARS);
+  const standardRetentionYears = parseWholeNumber(input, 'standardRetentionYears', 1, POLICY_LIMITS.MAX_RETENTION_YEARS);
+
+  const escalationReasons = Array.isArray(input.escalationReasons) ? [...new Set(input.escalationReasons)] : [];
+  const unknownReason = escalationReasons.find(reason => !REPORT_REASONS.includes(reason));
+  if (unknownReason) {
+    throw new Error(`Unknown report reason: ${unknownReason}`);
+  }
+
+  const hasExpiry = input.strikeExpiryDays !== null && input.strikeExpiryDays !== undefined && input.strikeExpiryDays !== '';
+
+  return {
+    restrictAtStrikes,
+    restrictionDays: parseWholeNumber(input, 'restrictionDays', 1, POLICY_LIMITS.MAX_RESTRICTION_DAYS),
+    suspendAtStrikes,
+    suspensionDays: parseWholeNumber(input, 'suspensionDays', 1, POLICY_LIMITS.MAX_RESTRICTION_DAYS),
+    strikeExpiryDays: hasExpiry ? parseWholeNumber(input, 'strikeExpiryDays', 1, POLICY_LIMITS.MAX_EXPIRY_DAYS) : null,
+    escalationReasons,
+    criticalRetentionYears,
+    standardRetentionYears,
+  };
+}
+
+/**
+ * Get a company's moderation policy
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Policy, or the default policy
+ */
+async function getModerationPolicy(companyId) {
+  const policyDoc = await db.collection(COLLECTIONS.MODERATION_POLICIES).doc(companyId).get();
+  if (!policyDoc.exists) {
+    return { ...DEFAULT_POLICY };
+  }
+
+  const data = policyDoc.data();
+  const policy = { ...DEFAULT_POLICY };
+  Object.keys(DEFAULT_POLICY).forEach(field => {
+    if (data[field] !== undefined) policy[field] = data[field];
+  });
+  return policy;
+}
+
+/**
+ * Save a company's moderation policy and audit the change
+ * @param {string} companyId - Company ID
+ * @param {Object} input - Policy fields
+ * @param {string} updatedBy - User ID of the admin
+ * @returns {Promise<Object>} Saved policy
+ */
+async function saveModerationPolicy(companyId, input, updatedBy) {
+  const previous = await getModerationPolicy(companyId);
+  const policy = normalizeModerationPolicy(input);
+
+  await db.collection(COLLECTIONS.MODERATION_POLICIES).doc(companyId).set({
+    companyId,
+    ...policy,
+    updatedAt: serverTimestamp(),
+    updatedBy,
+  });
+
+  await logSystemActivity(companyId, POLICY_UPDATED_ACTIVITY, {
+    updatedBy,
+    previous,
+    policy,
+  });
+
+  return policy;
+}
+
+module.exports = {
+  normalizeModerationPolicy,
+  getModerationPolicy,
+  saveModerationPolicy,
+};
@@ -0,0 +1,486 @@
+/**
+ * Retention Service
+ * Per-company retention rules: auto-archive resolved or closed posts,
+ * hard-delete archived posts, and purge read notifications.
+ *
+ * The same candidate search backs the scheduled job and the dry-run preview
+ * in company settings, so the preview shows exactly what the next run does.
+ * Content under legal hold is never archived or deleted.
+ */
+
+const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { logSystemActivity } = require('./auditLogService');
+
+const RETENTION_ACTIVITY = {
+  POLICY_UPDATED: 'retention_policy_updated',
+  POST_ARCHIVED: 'retention_post_archived',
+  POST_DELETED: 'retention_post_deleted',
+  NOTIFICATIONS_PURGED: 'retention_notifications_purged',
+  RUN_COMPLETED: 'retention_run_completed',
+};
+
+const RETENTION_LIMITS = {
+  MIN_DAYS: 1,
+  MAX_DAYS: 3650,
+};
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  archiveResolvedAfterDays: null,
+  deleteArchivedAfterDays: null,
+  purgeReadNotificationsAfterDays: null,
+};
+
+const ARCHIVABLE_STATUSES = ['resolved', 'closed'];
+
+// Caps each rule per company per run; the rest is picked up on the next run
+const MAX_ACTIONS_PER_RULE = 500;
+const MAX_PREVIEW_ITEMS = 50;
+const BATCH_SIZE = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate and normalize a retention policy
+ * Empty day values switch the matching rule off
+ * @param {Object} input - Policy fields
+ * @returns {Object} Normalized policy
+ * @throws {Error} If a day value is out of range
+ */
+function normalizePolicy(input = {}) {
+  const policy = { ...DEFAULT_POLICY, enabled: input.enabled === true };
+
+  ['archiveResolvedAfterDays', 'deleteArchivedAfterDays', 'purgeReadNotificationsAfterDays'].forEach(field => {
+    const value = input[field];
+    if (value === null || value === undefined || value === '') return;
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < RETENTION_LIMITS.MIN_DAYS || days > RETENTION_LIMITS.MAX_DAYS) {
+      throw new Error(`${field} must be a whole number of days between ${RETENTION_LIMITS.MIN_DAYS} and ${RETENTION_LIMITS.MAX_DAYS}`);
+    }
+    policy[field] = days;
+  });
+
+  return policy;
+}
+
+/**
+ * Get a company's retention policy
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Policy, or the default (disabled) policy
+ */
+async function getRetentionPolicy(companyId) {
+  const policyDoc = await db.collection(COLLECTIONS.RETENTION_POLICIES).doc(companyId).get();
+  if (!policyDoc.exists) {
+    return { ...DEFAULT_POLICY };
+  }
+
+  const data = policyDoc.data();
+  return {
+    ...DEFAULT_POLICY,
+    enabled: data.enabled === true,
+    archiveResolvedAfterDays: data.archiveResolvedAfterDays ?? null,
+    deleteArchivedAfterDays: data.deleteArchivedAfterDays ?? null,
+    purgeReadNotificationsAfterDays: data.purgeReadNotificationsAfterDays ?? null,
+    updatedAt: data.updatedAt?.toDate?.()?.toISOString() || null,
+    updatedBy: data.updatedBy || null,
+    lastRunAt: data.lastRunAt?.toDate?.()?.toISOString() || null,
+    lastRunSummary: data.lastRunSummary || null,
+  };
+}
+
+/**
+ * Save a company's retention policy and audit the change
+ * @param {string} companyId - Company ID
+ * @param {Object} input - Policy fields
+ * @param {string} updatedBy - User ID of the admin
+ * @returns {Promise<Object>} Saved policy
+ */
+async function saveRetentionPolicy(companyId, input, updatedBy) {
+  const previous = await getRetentionPolicy(companyId);
+  const policy = normalizePolicy(input);
+
+  await db.collection(COLLECTIONS.RETENTION_POLICIES).doc(companyId).set({
+    companyId,
+    ...policy,
+    updatedAt: serverTimestamp(),
+    updatedBy,
+  }, { merge: true });
+
+  await logSystemActivity(companyId, RETENTION_ACTIVITY.POLICY_UPDATED, {
+    updatedBy,
+    previous: {
+      enabled: previous.enabled,
+      archiveResolvedAfterDays: previous.archiveResolvedAfterDays,
+      deleteArchivedAfterDays: previous.deleteArchivedAfterDays,
+      purgeReadNotificationsAfterDays: previous.purgeReadNotificationsAfterDays,
+    },
+    policy,
+  });
+
+  return policy;
+}
+
+/**
+ * Check whether a post is under legal hold
+ * @param {Object} post - Post data
+ * @returns {boolean}
+ */
+function isUnderLegalHold(post) {
+  return post.legalHold === true;
+}
+
+/**
+ * Check whether any comment of a post is under legal hold
+ * Deleting the post would delete the comment with it
+ * @param {string} postId - Post ID
+ * @returns {Promise<boolean>}
+ */
+async function hasHeldComments(postId) {
+  const snapshot = await db.collection('comments')
+    .where('postId', '==', postId)
+    .where('legalHold', '==', true)
+    .limit(1)
+    .get();
+  return !snapshot.empty;
+}
+
+/**
+ * Summarize a post for previews and audit entries
+ * Author fields are left out so previews never reveal anonymous authors
+ */
+function toPostSummary(postDoc) {
+  const post = postDoc.data();
+  return {
+    id: postDoc.id,
+    title: post.title || '',
+    type: post.type || null,
+    status: post.status || null,
+    updatedAt: post.updatedAt?.toDate?.()?.toISOString() || null,
+    archivedAt: post.archivedAt?.toDate?.()?.toISOString() || null,
+  };
+}
+
+/**
+ * Read posts matching a query page by page until enough pass the filter
+ * @param {FirebaseFirestore.Query} baseQuery - Ordered query
+ * @param {Function} accept - Async filter returning 'take', 'held' or 'skip'
+ * @returns {Promise<{matched: Array, held: Array, truncated: boolean}>}
+ */
+async function collectPosts(baseQuery, accept) {
+  const matched = [];
+  const held = [];
+  let lastDoc = null;
+
+  while (matched.length < MAX_ACTIONS_PER_RULE) {
+    let pageQuery = baseQuery.limit(BATCH_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+
+    for (const postDoc of snapshot.docs) {
+      const verdict = await accept(postDoc);
+      if (verdict === 'take') matched.push(postDoc);
+      if (verdict === 'held') held.push(postDoc);
+      if (matched.length >= MAX_ACTIONS_PER_RULE) {
+        return { matched, held, truncated: true };
+      }
+    }
+
+    if (snapshot.size < BATCH_SIZE) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return { matched, held, truncated: false };
+}
+
+/**
+ * Find resolved or closed posts idle for longer than the archive period
+ */
+async function findPostsToArchive(companyId, days, now) {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const baseQuery = db.collection('posts')
+    .where('companyId', '==', companyId)
+    .where('status', 'in', ARCHIVABLE_STATUSES)
+    .where('updatedAt', '<', cutoff)
+    .orderBy('updatedAt', 'asc');
+
+  return collectPosts(baseQuery, async (postDoc) => {
+    const post = postDoc.data();
+    if (post.isArchived === true || post.isDraft === true) return 'skip';
+    return isUnderLegalHold(post) ? 'held' : 'take';
+  });
+}
+
+/**
+ * Find archived posts older than the deletion period
+ */
+async function findPostsToDelete(companyId, days, now) {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const baseQuery = db.collection('posts')
+    .where('companyId', '==', companyId)
+    .where('isArchived', '==', true)
+    .where('archivedAt', '<', cutoff)
+    .orderBy('archivedAt', 'asc');
+
+  return collectPosts(baseQuery, async (postDoc) => {
+    if (isUnderLegalHold(postDoc.data()) || await hasHeldComments(postDoc.id)) {
+      return 'held';
+    }
+    return 'take';
+  });
+}
+
+/**
+ * Build the per-user queries for read notifications older than the purge period
+ * Not every notification carries a companyId, so they are found by recipient
+ */
+async function getNotificationQueries(companyId, days, now) {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const usersSnapshot = await db.collection(COLLECTIONS.USERS)
+    .where('companyId', '==', companyId)
+    .get();
+
+  return usersSnapshot.docs.map(userDoc => db.collection('notifications')
+    .where('userId', '==', userDoc.id)
+    .where('read', '==', true)
+    .where('createdAt', '<', cutoff));
+}
+
+/**
+ * Work out what a retention run would do, without changing anything
+ * @param {string} companyId - Company ID
+ * @param {Object} policy - Normalized policy
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} Candidates per rule
+ */
+async function findRetentionCandidates(companyId, policy, now = new Date()) {
+  const empty = { matched: [], held: [], truncated: false };
+
+  const archive = policy.archiveResolvedAfterDays
+    ? await findPostsToArchive(companyId, policy.archiveResolvedAfterDays, now)
+    : empty;
+  const deletion = policy.deleteArchivedAfterDays
+    ? await findPostsToDelete(companyId, policy.deleteArchivedAfterDays, now)
+    : empty;
+  const notificationQueries = policy.purgeReadNotificationsAfterDays
+    ? await getNotificationQueries(companyId, policy.purgeReadNotificationsAfterDays, now)
+    : [];
+
+  return { archive, deletion, notificationQueries };
+}
+
+/**
+ * Dry-run preview of a retention policy
+ * @param {string} companyId - Company ID
+ * @param {Object} policy - Normalized policy
+ * @returns {Promise<Object>} Counts and sample posts per rule
+ */
+async function previewRetention(companyId, policy) {
+  const { archive, deletion, notificationQueries } = await findRetentionCandidates(companyId, policy);
+
+  let notificationCount = 0;
+  for (const notificationQuery of notificationQueries) {
+    const countSnapshot = await notificationQuery.count().get();
+    notificationCount += countSnapshot.data().count;
+  }
+
+  const held = [...archive.held, ...deletion.held];
+
+  return {
+    archive: {
+      count: archive.matched.length,
+      truncated: archive.truncated,
+      posts: archive.matched.slice(0, MAX_PREVIEW_ITEMS).map(toPostSummary),
+    },
+    delete: {
+      count: deletion.matched.length,
+      truncated: deletion.truncated,
+      posts: deletion.matched.slice(0, MAX_PREVIEW_ITEMS).map(toPostSummary),
+    },
+    held: {
+      count: held.length,
+      posts: held.slice(0, MAX_PREVIEW_ITEMS).map(toPostSummary),
+    },
+    notifications: {
+      count: notificationCount,
+    },
+    maxActionsPerRule: MAX_ACTIONS_PER_RULE,
+  };
+}
+
+/**
+ * Archive a post on behalf of the retention policy
+ */
+async function archivePost(companyId, postDoc, days) {
+  const reason = `Auto-archived after ${days} days by retention policy`;
+
+  await postDoc.ref.update({
+    isArchived: true,
+    archivedAt: serverTimestamp(),
+    archivedBy: 'system',
+    archivedByName: 'Retention policy',
+    archiveReason: reason,
+    updatedAt: serverTimestamp(),
+  });
+
+  await db.collection('postActivities').add({
+    postId: postDoc.id,
+    type: 'archived',
+    companyId,
+    metadata: {
+      companyId,
+      adminId: 'system',
+      adminName: 'Retention policy',
+      reason,
+    },
+    createdAt: serverTimestamp(),
+  });
+
+  await logSystemActivity(companyId, RETENTION_ACTIVITY.POST_ARCHIVED, {
+    postId: postDoc.id,
+    status: postDoc.data().status || null,
+    afterDays: days,
+  });
+}
+
+/**
+ * Permanently delete an archived post with its comments, edit history and ballots
+ * Post activities are kept as the audit trail
+ */
+async function deletePost(companyId, postDoc, days) {
+  const postId = postDoc.id;
+  let commentsDeleted = 0;
+
+  const commentsSnapshot = await db.collection('comments').where('postId', '==', postId).get();
+  for (let i = 0; i < commentsSnapshot.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    commentsSnapshot.docs.slice(i, i + BATCH_SIZE).forEach(commentDoc => batch.delete(commentDoc.ref));
+    await batch.commit();
+    commentsDeleted += Math.min(BATCH_SIZE, commentsSnapshot.docs.length - i);
+  }
+
+  const historySnapshot = await db.collection('postEditHistory')
+    .where('postId', '==', postId)
+    .where('companyId', '==', companyId)
+    .get();
+  for (let i = 0; i < historySnapshot.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    historySnapshot.docs.slice(i, i + BATCH_SIZE).forEach(historyDoc => batch.delete(historyDoc.ref));
+    await batch.commit();
+  }
+
+  const ballotsSnapshot = await db.collection(COLLECTIONS.BALLOTS)
+    .where('postId', '==', postId)
+    .where('companyId', '==', companyId)
+    .get();
+  for (let i = 0; i < ballotsSnapshot.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    ballotsSnapshot.docs.slice(i, i + BATCH_SIZE).forEach(ballotDoc => batch.delete(ballotDoc.ref));
+    await batch.commit();
+  }
+
+  // Removes the likes, reactions and comments subcollections with the post
+  await db.recursiveDelete(postDoc.ref);
+
+  await logSystemActivity(companyId, RETENTION_ACTIVITY.POST_DELETED, {
+    postId,
+    archivedAt: postDoc.data().archivedAt?.toDate?.()?.toISOString() || null,
+    afterDays: days,
+    commentsDeleted,
+  });
+}
+
+/**
+ * Delete read notifications matched by the purge queries
+ * @returns {Promise<number>} Notifications deleted
+ */
+async function purgeNotifications(notificationQueries) {
+  let purged = 0;
+
+  for (const notificationQuery of notificationQueries) {
+    let snapshot = await notificationQuery.limit(BATCH_SIZE).get();
+
+    while (!snapshot.empty) {
+      const batch = db.batch();
+      snapshot.docs.forEach(notificationDoc => batch.delete(notificationDoc.ref));
+      await batch.commit();
+      purged += snapshot.size;
+
+      if (snapshot.size < BATCH_SIZE) break;
+      snapshot = await notificationQuery.limit(BATCH_SIZE).get();
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Apply a company's retention policy
+ * Every archived or deleted post gets its own audit entry; the notification
+ * purge and the run as a whole are audited once each
+ * @param {string} companyId - Company ID
+ * @param {Object} policy - Normalized policy
+ * @returns {Promise<Object>} Run summary
+ */
+async function applyRetentionPolicy(companyId, policy) {
+  const { archive, deletion, notificationQueries } = await findRetentionCandidates(companyId, policy);
+  const summary = { archived: 0, deleted: 0, held: 0, notificationsPurged: 0, failed: 0 };
+
+  for (const postDoc of archive.matched) {
+    try {
+      await archivePost(companyId, postDoc, policy.archiveResolvedAfterDays);
+      summary.archived++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Retention: error archiving post ${postDoc.id}:`, error);
+    }
+  }
+
+  for (const postDoc of deletion.matched) {
+    try {
+      await deletePost(companyId, postDoc, policy.deleteArchivedAfterDays);
+      summary.deleted++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Retention: error deleting post ${postDoc.id}:`, error);
+    }
+  }
+
+  summary.held = archive.held.length + deletion.held.length;
+
+  if (notificationQueries.length > 0) {
+    summary.notificationsPurged = await purgeNotifications(notificationQueries);
+    if (summary.notificationsPurged > 0) {
+      await logSystemActivity(companyId, RETENTION_ACTIVITY.NOTIFICATIONS_PURGED, {
+        count: summary.notificationsPurged,
+        afterDays: policy.purgeReadNotificationsAfterDays,
+      });
+    }
+  }
+
+  await logSystemActivity(companyId, RETENTION_ACTIVITY.RUN_COMPLETED, {
+    ...summary,
+    heldPostIds: [...archive.held, ...deletion.held].map(postDoc => postDoc.id),
+    policy: normalizePolicy(policy),
+  });
+
+  await db.collection(COLLECTIONS.RETENTION_POLICIES).doc(companyId).set({
+    lastRunAt: serverTimestamp(),
+    lastRunSummary: summary,
+  }, { merge: true });
+
+  return summary;
+}
+
+module.exports = {
+  RETENTION_ACTIVITY,
+  RETENTION_LIMITS,
+  normalizePolicy,
+  getRetentionPolicy,
+  saveRetentionPolicy,
+  isUnderLegalHold,
+  previewRetention,
+  applyRetentionPolicy,
+};
@@ -0,0 +1,353 @@
+/**
+ * Search Index Service
+ * Maintains the searchIndex collection: one entry per post and per comment
+ * holding the stems of its text and their weights. Firestore's array index on
+ * `tokens` serves as the inverted index, so searches only read matching
+ * entries instead of every post in the company.
+ *
+ * Only content fields (title, content, tags, comment text) are indexed.
+ * Author fields such as authorId, authorName, creatorId or authorDepartmentId
+ * are never copied into an entry, so anonymous identities cannot be recovered
+ * or matched through the index.
+ */
+
+const { admin, db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
+const { tokenize, detectLanguage, analyze } = require('../utils/textAnalysis');
+
+const ENTRY_KIND = {
+  POST: 'post',
+  COMMENT: 'comment',
+};
+
+// Field weights used for relevance ranking
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  content: 1,
+  comment: 1,
+};
+
+// Keep entries well below Firestore's document and index-entry limits
+const MAX_TERMS_PER_ENTRY = 500;
+const BATCH_SIZE = 400;
+
+/**
+ * Document ID of the index entry for a post or comment
+ * @param {string} kind - ENTRY_KIND value
+ * @param {string} id - Post or comment ID
+ * @returns {string}
+ */
+function getEntryId(kind, id) {
+  return `${kind}_${id}`;
+}
+
+/**
+ * Weigh the stems of several fields
+ * Weights grow logarithmically with frequency so long texts that repeat a
+ * word do not drown out short titles
+ * @param {Array<[string, number]>} fields - [text, weight] pairs
+ * @returns {{language: string, tokens: string[], termWeights: Object}}
+ */
+function buildTerms(fields) {
+  const language = detectLanguage(tokenize(fields.map(([text]) => text).join(' ')));
+  const rawWeights = {};
+
+  fields.forEach(([text, weight]) => {
+    analyze(text, language).forEach(term => {
+      rawWeights[term] = (rawWeights[term] || 0) + weight;
+    });
+  });
+
+  const tokens = Object.keys(rawWeights)
+    .sort((a, b) => rawWeights[b] - rawWeights[a])
+    .slice(0, MAX_TERMS_PER_ENTRY);
+
+  const termWeights = {};
+  tokens.forEach(term => {
+    termWeights[term] = Math.round(Math.log1p(rawWeights[term]) * 100) / 100;
+  });
+
+  return { language, tokens, termWeights };
+}
+
+/**
+ * Build the index entry for a post
+ * @param {string} postId - Post ID
+ * @param {Object} post - Post data
+ * @returns {Object} Index entry
+ */
+function buildPostEntry(postId, post) {
+  const tags = Array.isArray(post.tags) ? post.tags.join(' ') : '';
+
+  return {
+    kind: ENTRY_KIND.POST,
+    companyId: post.companyId,
+    postId,
+    sortAt: post.createdAt || null,
+    ...buildTerms([
+      [post.title || '', FIELD_WEIGHTS.title],
+      [tags, FIELD_WEIGHTS.tags],
+      [post.content || '', FIELD_WEIGHTS.content],
+    ]),
+    indexedAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Build the index entry for a comment
+ * Comment entries sort with their post so a post's entries stay together
+ * @param {string} commentId - Comment ID
+ * @param {Object} comment - Comment data
+ * @param {Object} post - Parent post data
+ * @returns {Object} Index entry
+ */
+function buildCommentEntry(commentId, comment, post) {
+  return {
+    kind: ENTRY_KIND.COMMENT,
+    companyId: post.companyId,
+    postId: comment.postId,
+    commentId,
+    sortAt: post.createdAt || null,
+    ...buildTerms([[comment.text || comment.content || '', FIELD_WEIGHTS.comment]]),
+    indexedAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Check whether a post change affects its index entries
+ * @param {Object|null} before - Post data before the write
+ * @param {Object|null} after - Post data after the write
+ * @returns {boolean}
+ */
+function postNeedsReindex(before, after) {
+  if (!before || !after) return true;
+
+  return before.title !== after.title ||
+    before.content !== after.content ||
+    before.companyId !== after.companyId ||
+    JSON.stringify(before.tags || []) !== JSON.stringify(after.tags || []) ||
+    before.createdAt?.toMillis?.() !== after.createdAt?.toMillis?.();
+}
+
+/**
+ * Check whether a comment change affects its index entry
+ * @param {Object|null} before - Comment data before the write
+ * @param {Object|null} after - Comment data after the write
+ * @returns {boolean}
+ */
+function commentNeedsReindex(before, after) {
+  if (!before || !after) return true;
+
+  return (before.text || before.content) !== (after.text || after.content) ||
+    before.postId !== after.postId ||
+    before.companyId !== after.companyId;
+}
+
+/**
+ * Delete every document matched by a query, in batches
+ * @param {FirebaseFirestore.Query} query - Query to delete
+ * @returns {Promise<number>} Number of documents deleted
+ */
+async function deleteQueryInBatches(query) {
+  let deleted = 0;
+  let snapshot = await query.limit(BATCH_SIZE).get();
+
+  while (!snapshot.empty) {
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+
+    if (snapshot.size < BATCH_SIZE) break;
+    snapshot = await query.limit(BATCH_SIZE).get();
+  }
+
+  return deleted;
+}
+
+/**
+ * Index (or re-index) a post
+ * Also moves the post's comment entries when its createdAt changed
+ * @param {string} postId - Post ID
+ * @param {Object} post - Post data
+ * @param {Object|null} previous - Post data before the change, if any
+ */
+async function indexPost(postId, post, previous = null) {
+  const entry = buildPostEntry(postId, post);
+  await db.collection(COLLECTIONS.SEARCH_INDEX).doc(getEntryId(ENTRY_KIND.POST, postId)).set(entry);
+
+  const sortChanged = previous && previous.createdAt?.toMillis?.() !== post.createdAt?.toMillis?.();
+  if (!sortChanged) return;
+
+  const commentEntries = await db.collection(COLLECTIONS.SEARCH_INDEX)
+    .where('postId', '==', postId)
+    .where('kind', '==', ENTRY_KIND.COMMENT)
+    .get();
+
+  for (let i = 0; i < commentEntries.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    commentEntries.docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+      batch.update(doc.ref, { sortAt: entry.sortAt });
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Remove a post and all of its comment entries from the index
+ * @param {string} postId - Post ID
+ */
+async function removePost(postId) {
+  await db.collection(COLLECTIONS.SEARCH_INDEX).doc(getEntryId(ENTRY_KIND.POST, postId)).delete();
+  await deleteQueryInBatches(
+    db.collection(COLLECTIONS.SEARCH_INDEX).where('postId', '==', postId),
+  );
+}
+
+/**
+ * Index (or re-index) a comment
+ * Comments whose post no longer exists are removed from the index instead
+ * @param {string} commentId - Comment ID
+ * @param {Object} comment - Comment data
+ */
+async function indexComment(commentId, comment) {
+  const entryRef = db.collection(COLLECTIONS.SEARCH_INDEX).doc(getEntryId(ENTRY_KIND.COMMENT, commentId));
+  const postDoc = comment.postId ? await db.collection('posts').doc(comment.postId).get() : null;
+
+  if (!postDoc || !postDoc.exists) {
+    await entryRef.delete();
+    return;
+  }
+
+  await entryRef.set(buildCommentEntry(commentId, comment, postDoc.data()));
+}
+
+/**
+ * Remove a comment from the index
+ * @param {string} commentId - Comment ID
+ */
+async function removeComment(commentId) {
+  await db.collection(COLLECTIONS.SEARCH_INDEX).doc(getEntryId(ENTRY_KIND.COMMENT, commentId)).delete();
+}
+
+/**
+ * Rebuild the index for every post and comment of a company
+ * Used to backfill content written before the index existed
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{posts: number, comments: number}>} Entries written
+ */
+async function rebuildCompanyIndex(companyId) {
+  const posts = new Map();
+  const counts = { posts: 0, comments: 0 };
+
+  const postsSnapshot = await db.collection('posts').where('companyId', '==', companyId).get();
+  for (let i = 0; i < postsSnapshot.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    postsSnapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+      posts.set(doc.id, doc.data());
+      batch.set(
+        db.collection(COLLECTIONS.SEARCH_INDEX).doc(getEntryId(ENTRY_KIND.POST, doc.id)),
+        buildPostEntry(doc.id, doc.data()),
+      );
+    });
+    await batch.commit();
+    counts.posts += Math.min(BATCH_SIZE, postsSnapshot.docs.length - i);
+  }
+
+  const commentsSnapshot = await db.collection('comments').where('companyId', '==', companyId).get();
+  const comments = commentsSnapshot.docs.filter(doc => posts.has(doc.data().postId));
+  for (let i = 0; i < comments.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    comments.slice(i, i + BATCH_SIZE).forEach(doc => {
+      const comment = doc.data();
+      batch.set(
+        db.collection(COLLECTIONS.SEARCH_INDEX).doc(getEntryId(ENTRY_KIND.COMMENT, doc.id)),
+        buildCommentEntry(doc.id, comment, posts.get(comment.postId)),
+      );
+    });
+    await batch.commit();
+    counts.comments += Math.min(BATCH_SIZE, comments.length - i);
+  }
+
+  return counts;
+}
+
+/**
+ * Read one batch of index entries matching any of the given stems,
+ * ordered by their post's creation time
+ * @param {Object} options
+ * @param {string} options.companyId - Company ID
+ * @param {string[]} options.stems - Stems to match (at most 30)
+ * @param {boolean} options.includeComments - Also match comment entries
+ * @param {string} options.direction - 'asc' or 'desc'
+ * @param {Date|null} options.startDate - Earliest post creation date
+ * @param {Date|null} options.endDate - Latest post creation date
+ * @param {{t: number|null, id: string}|null} options.after - Position to continue after
+ * @param {number} options.limit - Batch size
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>}
+ */
+async function queryEntries({ companyId, stems, includeComments, direction, startDate, endDate, after, limit }) {
+  let query = db.collection(COLLECTIONS.SEARCH_INDEX)
+    .where('companyId', '==', companyId);
+
+  if (!includeComments) {
+    query = query.where('kind', '==', ENTRY_KIND.POST);
+  }
+
+  query = query.where('tokens', 'array-contains-any', stems);
+
+  if (startDate) {
+    query = query.where('sortAt', '>=', admin.firestore.Timestamp.fromDate(startDate));
+  }
+  if (endDate) {
+    query = query.where('sortAt', '<=', admin.firestore.Timestamp.fromDate(endDate));
+  }
+
+  query = query
+    .orderBy('sortAt', direction)
+    .orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+  if (after) {
+    query = query.startAfter(
+      after.t === null ? null : admin.firestore.Timestamp.fromMillis(after.t),
+      after.id,
+    );
+  }
+
+  const snapshot = await query.limit(limit).get();
+  return snapshot.docs;
+}
+
+/**
+ * Score an entry's match against the query terms
+ * @param {Object} termWeights - Entry term weights
+ * @param {Array<{term: string, stems: string[]}>} queryTerms - Analyzed query
+ * @returns {Object} Best weight per query term, keyed by term
+ */
+function matchTerms(termWeights, queryTerms) {
+  const matches = {};
+
+  queryTerms.forEach(({ term, stems }) => {
+    const weight = Math.max(0, ...stems.map(stem => termWeights?.[stem] || 0));
+    if (weight > 0) {
+      matches[term] = weight;
+    }
+  });
+
+  return matches;
+}
+
+module.exports = {
+  ENTRY_KIND,
+  FIELD_WEIGHTS,
+  getEntryId,
+  postNeedsReindex,
+  commentNeedsReindex,
+  indexPost,
+  removePost,
+  indexComment,
+  removeComment,
+  rebuildCompanyIndex,
+  queryEntries,
+  matchTerms,
+};
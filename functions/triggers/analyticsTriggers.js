@@ -0,0 +1,56 @@
+/**
+ * Firestore triggers for analytics rollups
+ * Keep the daily analytics summaries in step with posts and comments
+ */
+
+const functions = require('firebase-functions');
+const {
+  postNeedsRollup,
+  applyPostChange,
+  applyCommentChange,
+} = require('../services/analyticsRollupService');
+
+/**
+ * Update the summaries when a post is created, changes type, status,
+ * priority or department, or is deleted
+ */
+exports.rollupPostAnalytics = functions.firestore
+  .document('posts/{postId}')
+  .onWrite(async (change, context) => {
+    const { postId } = context.params;
+
+    try {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+
+      if (!postNeedsRollup(before, after)) {
+        return null;
+      }
+
+      await applyPostChange(postId, after);
+      return null;
+    } catch (error) {
+      console.error(`Error in rollupPostAnalytics for ${postId}:`, error);
+      return null;
+    }
+  });
+
+/**
+ * Update the summaries when a comment is created or deleted
+ */
+exports.rollupCommentAnalytics = functions.firestore
+  .document('comments/{commentId}')
+  .onWrite(async (change, context) => {
+    const { commentId } = context.params;
+
+    try {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+
+      await applyCommentChange(before, after);
+      return null;
+    } catch (error) {
+      console.error(`Error in rollupCommentAnalytics for ${commentId}:`, error);
+      return null;
+    }
+  });
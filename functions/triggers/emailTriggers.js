@@ -0,0 +1,141 @@
+/**
+ * Firestore triggers for email delivery
+ * Sends queued emails as soon as they are written and queues immediate
+ * notification emails according to each user's preferences
+ */
+
+const functions = require('firebase-functions');
+const { db } = require('../config/firebase');
+const { smtpPassword, EMAIL_TYPE } = require('../config/email');
+const { deliverQueuedEmail, queueEmail } = require('../services/emailService');
+
+/**
+ * Map notification types to email.immediate.* preference keys
+ */
+const IMMEDIATE_PREFERENCE_BY_TYPE = {
+  mention: 'mentions',
+  assigned: 'assignedToYou',
+  status_changed: 'statusChanges',
+  status_change: 'statusChanges',
+};
+
+/**
+ * Deliver a queued email right away
+ * Failures are left in the queue for processEmailQueueJob to retry
+ */
+exports.sendQueuedEmail = functions
+  .runWith({ secrets: [smtpPassword] })
+  .firestore
+  .document('emailQueue/{emailId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      await deliverQueuedEmail(snapshot.ref);
+    } catch (error) {
+      console.error(`Error in sendQueuedEmail for ${context.params.emailId}:`, error);
+    }
+    return null;
+  });
+
+/**
+ * Queue an immediate email for a new notification
+ * Only for users who enabled email and the matching email.immediate.* preference
+ */
+exports.queueImmediateNotificationEmail = functions.firestore
+  .document('notifications/{notificationId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      const notification = snapshot.data();
+      const preferenceKey = IMMEDIATE_PREFERENCE_BY_TYPE[notification.type];
+
+      if (!preferenceKey || !notification.userId) {
+        return null;
+      }
+
+      const prefsDoc = await db.collection('notificationPreferences').doc(notification.userId).get();
+      if (!prefsDoc.exists) return null;
+
+      const emailPrefs = prefsDoc.data().email || {};
+      if (!emailPrefs.enabled || !emailPrefs.immediate?.[preferenceKey]) {
+        return null;
+      }
+
+      const userDoc = await db.collection('users').doc(notification.userId).get();
+      if (!userDoc.exists) return null;
+
+      const userData = userDoc.data();
+      if (!userData.email) return null;
+
+      await queueEmail({
+        to: userData.email,
+        subject: notification.title || 'New notification',
+        html: createImmediateEmail(userData, notification),
+        type: EMAIL_TYPE.IMMEDIATE,
+        userId: notification.userId,
+        companyId: notification.companyId || userData.companyId || null,
+        metadata: {
+          notificationId: context.params.notificationId,
+          notificationType: notification.type,
+        },
+      });
+
+      console.log(`Immediate email queued for notification ${context.params.notificationId}`);
+      return null;
+    } catch (error) {
+      console.error(`Error in queueImmediateNotificationEmail for ${context.params.notificationId}:`, error);
+      return null;
+    }
+  });
+
+/**
+ * Create HTML email content for a single notification
+ */
+function createImmediateEmail(userData, notification) {
+  const username = escapeHtml(userData.username || 'User');
+  const title = escapeHtml(notification.title || 'New notification');
+  const message = escapeHtml(notification.message || '');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px 30px; border-radius: 8px 8px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+    .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #999; font-size: 12px; }
+    .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>${title}</h2>
+  </div>
+
+  <div class="content">
+    <p>Hi ${username},</p>
+    <p>${message}</p>
+
+    <div style="text-align: center;">
+      <a href="https://your-app-url.com/notifications" class="button">View Notification</a>
+    </div>
+
+    <div class="footer">
+      <p>You're receiving this email because you have immediate email notifications enabled.</p>
+      <p><a href="https://your-app-url.com/settings/notifications" style="color: #667eea;">Update your notification preferences</a></p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Escape user-provided text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,32 @@
+/**
+ * Firestore triggers for key rotation
+ * Start re-encrypting a company's content as soon as a rotation creates its job
+ */
+
+const functions = require('firebase-functions');
+const { anonymousSecret, keyEncryptionKey } = require('../config/security');
+const { runKeyRotationJob } = require('../services/keyRotationService');
+
+// Leave time to save progress before the function times out
+const RUN_SECONDS = 480;
+
+/**
+ * Run a new re-encryption job
+ * Whatever is left when this run stops is picked up by resumeKeyRotationJobs
+ */
+exports.reencryptOnKeyRotation = functions
+  .runWith({ timeoutSeconds: 540, memory: '512MB', secrets: [keyEncryptionKey, anonymousSecret] })
+  .firestore
+  .document('keyRotationJobs/{jobId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      const status = await runKeyRotationJob(context.params.jobId, {
+        deadline: Date.now() + RUN_SECONDS * 1000,
+      });
+      console.log(`Key rotation job ${context.params.jobId} run finished:`, status);
+      return null;
+    } catch (error) {
+      console.error(`Error running key rotation job ${context.params.jobId}:`, error);
+      return null;
+    }
+  });
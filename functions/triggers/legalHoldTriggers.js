@@ -0,0 +1,30 @@
+/**
+ * Firestore triggers for legal holds
+ * Content created while a hold is active on its author (or its post) is
+ * held from the moment it is written
+ */
+
+const functions = require('firebase-functions');
+const { applyExistingHolds } = require('../services/legalHoldService');
+
+/**
+ * Build an onCreate trigger that applies active holds to a new document
+ * @param {string} collectionName - Collection to watch
+ */
+function holdNewDocuments(collectionName) {
+  return functions.firestore
+    .document(`${collectionName}/{docId}`)
+    .onCreate(async (snapshot, context) => {
+      try {
+        await applyExistingHolds(collectionName, snapshot);
+        return null;
+      } catch (error) {
+        console.error(`Error applying legal holds to ${collectionName}/${context.params.docId}:`, error);
+        return null;
+      }
+    });
+}
+
+exports.holdNewPosts = holdNewDocuments('posts');
+exports.holdNewComments = holdNewDocuments('comments');
+exports.holdNewThreads = holdNewDocuments('anonymousThreads');
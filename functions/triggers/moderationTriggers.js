@@ -0,0 +1,22 @@
+/**
+ * Firestore triggers for moderation
+ * Send new strike appeals to super admins when no company moderator may decide them
+ */
+
+const functions = require('firebase-functions');
+const { escalateUnreviewableAppeal } = require('../services/moderationAppealService');
+
+/**
+ * Escalate a new appeal whose strike was issued by the company's only moderator
+ */
+exports.escalateNewAppeals = functions.firestore
+  .document('moderationAppeals/{appealId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      await escalateUnreviewableAppeal(snapshot.ref, snapshot.data());
+      return null;
+    } catch (error) {
+      console.error(`Error escalating appeal ${context.params.appealId}:`, error);
+      return null;
+    }
+  });
@@ -0,0 +1,55 @@
+/**
+ * Firestore triggers for content screening
+ * Screen posts, comments and anonymous-thread messages as they are written
+ */
+
+const functions = require('firebase-functions');
+const { anonymousSecret, keyEncryptionKey } = require('../config/security');
+const {
+  SCREENED_CONTENT,
+  screenContentWrite,
+  screenThreadMessages,
+} = require('../services/contentScreeningService');
+
+/**
+ * Build an onWrite trigger that screens a post or comment
+ * @param {string} collectionName - Collection to watch
+ * @param {string} contentType - SCREENED_CONTENT value
+ */
+function screenWrites(collectionName, contentType) {
+  return functions.firestore
+    .document(`${collectionName}/{docId}`)
+    .onWrite(async (change, context) => {
+      try {
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+        await screenContentWrite(contentType, change.after.ref, before, after);
+        return null;
+      } catch (error) {
+        console.error(`Error screening ${collectionName}/${context.params.docId}:`, error);
+        return null;
+      }
+    });
+}
+
+exports.screenPosts = screenWrites('posts', SCREENED_CONTENT.POST);
+exports.screenComments = screenWrites('comments', SCREENED_CONTENT.COMMENT);
+
+/**
+ * Screen new anonymous-thread messages
+ * Needs the data key secrets to read the encrypted messages
+ */
+exports.screenThreadMessages = functions
+  .runWith({ secrets: [keyEncryptionKey, anonymousSecret] })
+  .firestore
+  .document('anonymousThreads/{postId}')
+  .onWrite(async (change, context) => {
+    try {
+      if (!change.after.exists) return null;
+      await screenThreadMessages(change.after.ref, change.after.data());
+      return null;
+    } catch (error) {
+      console.error(`Error screening thread ${context.params.postId}:`, error);
+      return null;
+    }
+  });
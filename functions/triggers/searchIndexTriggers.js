@@ -0,0 +1,74 @@
+/**
+ * Firestore triggers for the search index
+ * Keep searchIndex entries in step with posts and comments
+ */
+
+const functions = require('firebase-functions');
+const {
+  postNeedsReindex,
+  commentNeedsReindex,
+  indexPost,
+  removePost,
+  indexComment,
+  removeComment,
+} = require('../services/searchIndexService');
+
+/**
+ * Index a post when it is created or its text changes, and drop it and its
+ * comments from the index when it is deleted
+ * Vote, view and status updates do not touch the index
+ */
+exports.indexPostForSearch = functions.firestore
+  .document('posts/{postId}')
+  .onWrite(async (change, context) => {
+    const { postId } = context.params;
+
+    try {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+
+      if (!after) {
+        await removePost(postId);
+        return null;
+      }
+
+      if (!postNeedsReindex(before, after)) {
+        return null;
+      }
+
+      await indexPost(postId, after, before);
+      return null;
+    } catch (error) {
+      console.error(`Error in indexPostForSearch for ${postId}:`, error);
+      return null;
+    }
+  });
+
+/**
+ * Index a comment when it is created or edited, and drop it when deleted
+ */
+exports.indexCommentForSearch = functions.firestore
+  .document('comments/{commentId}')
+  .onWrite(async (change, context) => {
+    const { commentId } = context.params;
+
+    try {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+
+      if (!after) {
+        await removeComment(commentId);
+        return null;
+      }
+
+      if (!commentNeedsReindex(before, after)) {
+        return null;
+      }
+
+      await indexComment(commentId, after);
+      return null;
+    } catch (error) {
+      console.error(`Error in indexCommentForSearch for ${commentId}:`, error);
+      return null;
+    }
+  });
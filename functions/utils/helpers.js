@@ -5,6 +5,10 @@
 
 const { db, COLLECTIONS, serverTimestamp } = require('../config/firebase');
 
+// k-anonymity threshold; keep in sync with src/utils/constants.js
+const DEFAULT_MIN_GROUP_SIZE = 5;
+const MIN_ALLOWED_GROUP_SIZE = 3;
+
 /**
  * Generate invoice number
  * @param {string} companyId - Company ID
@@ -286,6 +290,22 @@ async function getCompany(companyId) {
   };
 }
 
+/**
+ * Smallest group a company's analytics and admin filters may single out
+ * Companies set analyticsMinGroupSize to raise the default; values below
+ * MIN_ALLOWED_GROUP_SIZE are ignored
+ * @param {string} companyId - Company ID
+ * @returns {Promise<number>}
+ */
+async function getMinGroupSize(companyId) {
+  const company = await getCompany(companyId);
+  const configured = company?.analyticsMinGroupSize;
+
+  return Number.isInteger(configured) && configured >= MIN_ALLOWED_GROUP_SIZE
+    ? configured
+    : DEFAULT_MIN_GROUP_SIZE;
+}
+
 /**
  * Retry logic with exponential backoff
  * @param {Function} fn - Function to retry
@@ -327,6 +347,7 @@ module.exports = {
   isSuperAdmin,
   isCompanyAdmin,
   getCompany,
+  getMinGroupSize,
   retryWithBackoff,
   getUserIdFromAuthSession,
 };
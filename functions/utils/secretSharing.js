@@ -0,0 +1,115 @@
+/**
+ * Shamir secret sharing over GF(256)
+ * Splits a secret into N shares so that any M of them rebuild it and fewer
+ * reveal nothing about it. Each byte of the secret is the constant term of
+ * its own random polynomial of degree M - 1; share x holds every polynomial
+ * evaluated at x.
+ */
+
+const crypto = require('crypto');
+
+const MAX_SHARES = 255;
+const SHARE_PATTERN = /^(\d{1,3})-([0-9a-f]+)$/;
+
+// Log and antilog tables for GF(256) with the AES polynomial, generator 3
+const EXP = new Array(510);
+const LOG = new Array(256);
+(() => {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    const doubled = (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+    value = (doubled ^ value) & 0xff;
+  }
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+  return a === 0 ? 0 : EXP[(LOG[a] + 255 - LOG[b]) % 255];
+}
+
+/**
+ * Split a secret into shares
+ * @param {Buffer} secret - Secret bytes
+ * @param {number} shareCount - N, number of shares to create
+ * @param {number} threshold - M, number of shares needed to rebuild the secret
+ * @returns {string[]} Shares as "<x>-<hex>", x running from 1 to N
+ */
+function splitSecret(secret, shareCount, threshold) {
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > shareCount || shareCount > MAX_SHARES) {
+    throw new Error(`Cannot split a secret into ${shareCount} shares with threshold ${threshold}`);
+  }
+
+  const shares = Array.from({ length: shareCount }, () => Buffer.alloc(secret.length));
+  for (let byteIndex = 0; byteIndex < secret.length; byteIndex++) {
+    const coefficients = [secret[byteIndex], ...crypto.randomBytes(threshold - 1)];
+    shares.forEach((share, shareIndex) => {
+      const x = shareIndex + 1;
+      // Horner's rule, highest coefficient first
+      share[byteIndex] = coefficients.reduceRight((sum, coefficient) => multiply(sum, x) ^ coefficient, 0);
+    });
+  }
+  return shares.map((share, shareIndex) => `${shareIndex + 1}-${share.toString('hex')}`);
+}
+
+/**
+ * Parse a share produced by splitSecret()
+ * @param {string} share - "<x>-<hex>"
+ * @returns {{x: number, data: Buffer}|null} Null if it is not a share
+ */
+function parseShare(share) {
+  const match = String(share || '').trim().toLowerCase().match(SHARE_PATTERN);
+  if (!match || match[2].length % 2 !== 0) return null;
+
+  const x = Number(match[1]);
+  if (x < 1 || x > MAX_SHARES) return null;
+  return { x, data: Buffer.from(match[2], 'hex') };
+}
+
+/**
+ * Rebuild a secret from at least threshold distinct shares
+ * Fewer shares give a wrong result rather than an error, so callers check
+ * the count and the outcome
+ * @param {string[]} shares - Shares produced by splitSecret()
+ * @returns {Buffer}
+ */
+function combineShares(shares) {
+  const points = shares.map(parseShare);
+  if (points.some(point => !point)) {
+    throw new Error('Invalid share');
+  }
+  if (new Set(points.map(point => point.x)).size !== points.length) {
+    throw new Error('Each share can only be used once');
+  }
+
+  const length = points[0].data.length;
+  if (points.some(point => point.data.length !== length)) {
+    throw new Error('Shares do not belong to the same secret');
+  }
+
+  // Lagrange interpolation at x = 0
+  const secret = Buffer.alloc(length);
+  points.forEach((point, j) => {
+    let basis = 1;
+    points.forEach((other, k) => {
+      if (k !== j) basis = multiply(basis, divide(other.x, other.x ^ point.x));
+    });
+    for (let byteIndex = 0; byteIndex < length; byteIndex++) {
+      secret[byteIndex] ^= multiply(point.data[byteIndex], basis);
+    }
+  });
+  return secret;
+}
+
+module.exports = {
+  splitSecret,
+  parseShare,
+  combineShares,
+};
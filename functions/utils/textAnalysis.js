@@ -0,0 +1,265 @@
+/**
+ * Text Analysis Utilities
+ * Tokenizing, language detection and light stemming for the search index.
+ * Covers the locales shipped by the app: en, es, fr, it and si.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'it', 'si'];
+const DEFAULT_LANGUAGE = 'en';
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 40;
+const MIN_STEM_LENGTH = 3;
+const MIN_SINHALA_STEM_LENGTH = 2;
+
+const SINHALA_PATTERN = /[\u0D80-\u0DFF]/;
+const TOKEN_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+const COMBINING_MARKS_PATTERN = /[\u0300-\u036f]/g;
+
+const STOPWORDS = {
+  en: [
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'his', 'how', 'its', 'who', 'did', 'this', 'that', 'with', 'have', 'from',
+    'they', 'will', 'would', 'there', 'their', 'what', 'about', 'which', 'when', 'were', 'been',
+    'into', 'than', 'then', 'them', 'these', 'those', 'some', 'just', 'also', 'very', 'of', 'to',
+    'in', 'on', 'at', 'by', 'an', 'is', 'it', 'be', 'as', 'or', 'we', 'my', 'me', 'so', 'if', 'do',
+  ],
+  es: [
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'que', 'en', 'y', 'por',
+    'con', 'para', 'no', 'se', 'su', 'sus', 'lo', 'le', 'les', 'es', 'son', 'fue', 'como', 'mas',
+    'pero', 'este', 'esta', 'estos', 'estas', 'ese', 'esa', 'hay', 'muy', 'ya', 'sin', 'sobre',
+    'entre', 'cuando', 'tambien', 'nos', 'mi', 'mis', 'tu', 'ha', 'han', 'ser', 'estar', 'o',
+  ],
+  fr: [
+    'le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'et', 'en', 'au', 'aux', 'que', 'qui', 'ne',
+    'pas', 'pour', 'par', 'sur', 'dans', 'avec', 'ce', 'cet', 'cette', 'ces', 'est', 'sont', 'il',
+    'elle', 'ils', 'elles', 'nous', 'vous', 'on', 'se', 'sa', 'son', 'ses', 'leur', 'leurs', 'mais',
+    'ou', 'donc', 'plus', 'tres', 'tout', 'tous', 'etre', 'avoir', 'ont', 'a', 'je', 'tu', 'mon',
+  ],
+  it: [
+    'il', 'lo', 'la', 'gli', 'le', 'un', 'uno', 'una', 'di', 'del', 'della', 'dei', 'delle', 'da',
+    'dal', 'in', 'nel', 'nella', 'su', 'sul', 'per', 'con', 'tra', 'fra', 'che', 'chi', 'non', 'e',
+    'ed', 'ma', 'anche', 'come', 'piu', 'molto', 'sono', 'essere', 'avere', 'ha', 'hanno', 'questo',
+    'questa', 'quello', 'quella', 'ci', 'si', 'mi', 'ti', 'noi', 'voi', 'loro', 'suo', 'sua', 'o',
+  ],
+  si: [
+    'සහ', 'හා', 'ද', 'නැත', 'නෑ', 'මේ', 'ඒ', 'එම', 'මෙම', 'අපි', 'මම', 'ඔබ', 'ඔවුන්', 'ඔහු', 'ඇය',
+    'එය', 'මෙය', 'වන', 'වූ', 'ඇති', 'නිසා', 'සඳහා', 'විසින්', 'තුළ', 'සමඟ', 'බව', 'ලෙස', 'නමුත්',
+  ],
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)]),
+);
+
+/**
+ * Light suffix-stripping rules per language, applied step by step.
+ * In each step the first matching suffix wins, provided the remaining stem
+ * is long enough. A rule that maps a suffix to itself stops the step.
+ * Latin-script rules run on accent-stripped text.
+ */
+const STEM_RULES = {
+  en: [
+    [['sses', 'ss'], ['ies', 'y'], ['ss', 'ss'], ['us', 'us'], ['is', 'is'], ['s', '']],
+    [['eedly', 'ee'], ['ingly', ''], ['edly', ''], ['eed', 'ee'], ['ing', ''], ['ed', '']],
+    [
+      ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['ousness', 'ous'],
+      ['iveness', 'ive'], ['ation', 'ate'], ['ness', ''], ['ment', ''], ['ly', ''],
+    ],
+  ],
+  es: [
+    [['ciones', 'cion'], ['iones', 'ion'], ['ces', 'z'], ['es', ''], ['s', '']],
+    [['amente', ''], ['mente', ''], ['acion', ''], ['icion', ''], ['cion', ''], ['idad', ''], ['ismo', ''], ['ista', '']],
+    [['ando', ''], ['iendo', ''], ['ado', ''], ['ido', ''], ['ar', ''], ['er', ''], ['ir', '']],
+    [['a', ''], ['o', ''], ['e', '']],
+  ],
+  fr: [
+    [['eaux', 'eau'], ['aux', 'al'], ['s', ''], ['x', '']],
+    [
+      ['issement', ''], ['ement', ''], ['ment', ''], ['ation', ''], ['euse', ''], ['eux', ''],
+      ['ite', ''], ['ique', ''],
+    ],
+    [['ee', ''], ['er', ''], ['ir', ''], ['e', '']],
+  ],
+  it: [
+    [
+      ['amenti', ''], ['amento', ''], ['mente', ''], ['zioni', ''], ['zione', ''], ['ita', ''],
+      ['ismo', ''], ['ista', ''],
+    ],
+    [['ando', ''], ['endo', ''], ['are', ''], ['ere', ''], ['ire', ''], ['ato', ''], ['ito', '']],
+    [['chi', 'c'], ['ghi', 'g'], ['che', 'c'], ['ghe', 'g'], ['i', ''], ['e', ''], ['a', ''], ['o', '']],
+  ],
+  si: [
+    [
+      ['වලින්', ''], ['වලට', ''], ['වල', ''], ['යන්ගේ', ''], ['යන්ට', ''], ['යන්', ''],
+      ['යෙන්', ''], ['යෙහි', ''], ['යේ', ''], ['ගෙන්', ''], ['ගේ', ''], ['ට', ''], ['ක්', ''],
+      ['යි', ''], ['ය', ''],
+    ],
+    [['ුව', 'ු']],
+  ],
+};
+
+/**
+ * Check whether a token is written in Sinhala script
+ * @param {string} token - Token
+ * @returns {boolean}
+ */
+function isSinhala(token) {
+  return SINHALA_PATTERN.test(token);
+}
+
+/**
+ * Normalize a single token: lowercase, and strip accents from Latin-script
+ * text (Sinhala vowel signs are combining marks and must be kept)
+ * @param {string} token - Raw token
+ * @returns {string} Normalized token
+ */
+function normalizeToken(token) {
+  const lower = token.toLowerCase();
+  if (isSinhala(lower)) {
+    return lower.normalize('NFC');
+  }
+  return lower.normalize('NFD').replace(COMBINING_MARKS_PATTERN, '');
+}
+
+/**
+ * Split text into normalized tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens, in order, duplicates kept
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const matches = String(text).match(TOKEN_PATTERN) || [];
+
+  return matches
+    .map(normalizeToken)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH);
+}
+
+/**
+ * Guess the language of a list of tokens
+ * Sinhala is detected by script, the Latin-script languages by stopword hits
+ * @param {string[]} tokens - Normalized tokens
+ * @returns {string} Language code
+ */
+function detectLanguage(tokens) {
+  const sinhalaCount = tokens.filter(isSinhala).length;
+  if (sinhalaCount > 0 && sinhalaCount >= tokens.length / 2) {
+    return 'si';
+  }
+
+  let bestLanguage = DEFAULT_LANGUAGE;
+  let bestHits = 0;
+
+  ['en', 'es', 'fr', 'it'].forEach(language => {
+    const stopwords = STOPWORD_SETS[language];
+    const hits = tokens.filter(token => stopwords.has(token)).length;
+    if (hits > bestHits) {
+      bestLanguage = language;
+      bestHits = hits;
+    }
+  });
+
+  return bestLanguage;
+}
+
+/**
+ * Reduce a token to its stem for the given language
+ * Tokens in a different script from the language are returned unchanged
+ * @param {string} token - Normalized token
+ * @param {string} language - Language code
+ * @returns {string} Stem
+ */
+function stem(token, language) {
+  const steps = STEM_RULES[language];
+  if (!steps || isSinhala(token) !== (language === 'si')) {
+    return token;
+  }
+
+  const minLength = language === 'si' ? MIN_SINHALA_STEM_LENGTH : MIN_STEM_LENGTH;
+  let result = token;
+
+  steps.forEach(rules => {
+    for (const [suffix, replacement] of rules) {
+      if (!result.endsWith(suffix)) continue;
+      if (suffix === replacement) break;
+
+      const candidate = result.slice(0, -suffix.length) + replacement;
+      if (candidate.length >= minLength) {
+        result = candidate;
+        break;
+      }
+    }
+  });
+
+  if (language === 'en') {
+    // running -> runn -> run, happy/happiness -> happi
+    if (/([^aeiouslz])\1$/.test(result) && result !== token) {
+      result = result.slice(0, -1);
+    }
+    if (result.endsWith('y') && result.length > MIN_STEM_LENGTH) {
+      result = `${result.slice(0, -1)}i`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a token is a stopword
+ * @param {string} token - Normalized token
+ * @param {string} language - Language code, or omit to check every language
+ * @returns {boolean}
+ */
+function isStopword(token, language) {
+  if (language) {
+    return STOPWORD_SETS[language]?.has(token) || false;
+  }
+  return SUPPORTED_LANGUAGES.some(code => STOPWORD_SETS[code].has(token));
+}
+
+/**
+ * Turn text into stems for indexing, dropping stopwords
+ * @param {string} text - Text to analyze
+ * @param {string} language - Language code
+ * @returns {string[]} Stems, duplicates kept so callers can count frequency
+ */
+function analyze(text, language) {
+  return tokenize(text)
+    .filter(token => !isStopword(token, language))
+    .map(token => stem(token, language));
+}
+
+/**
+ * Turn a search query into terms, each with the stems it may be indexed
+ * under. The language of a query is not known, so every term is stemmed for
+ * each language written in its script.
+ * @param {string} query - Search query
+ * @returns {Array<{term: string, stems: string[]}>}
+ */
+function analyzeQuery(query) {
+  const seen = new Set();
+
+  return tokenize(query)
+    .filter(token => !isStopword(token))
+    .filter(token => {
+      if (seen.has(token)) return false;
+      seen.add(token);
+      return true;
+    })
+    .map(token => {
+      const languages = isSinhala(token) ? ['si'] : ['en', 'es', 'fr', 'it'];
+      const stems = [...new Set(languages.map(language => stem(token, language)))];
+      return { term: token, stems };
+    });
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  tokenize,
+  detectLanguage,
+  stem,
+  isStopword,
+  analyze,
+  analyzeQuery,
+};
@@ -34,6 +34,7 @@ import EmployeeMessageThread from "./pages/EmployeeMessageThread";
 import PrivateRoute from "./components/PrivateRoute";
 import { useAuth } from "./contexts/AuthContext";
 import Register from "./pages/Register";
+import ResetPassword from "./pages/ResetPassword";
 import EmployeeLayout from "./components/EmployeeLayout";
 import CompanyAdminLayout from "./components/CompanyAdminLayout";
 import RoleBasedLayout from "./components/RoleBasedLayout";
@@ -47,6 +48,7 @@ import ProblemsFeed from "./pages/feed/ProblemsFeed";
 import DiscussionsFeed from "./pages/feed/DiscussionsFeed";
 import MyPosts from "./pages/MyPosts";
 import AssignedToMe from "./pages/AssignedToMe";
+import SearchPage from "./pages/SearchPage";
 
 // Moderation Pages
 import ModerationDashboard from "./pages/ModerationDashboard";
@@ -56,6 +58,7 @@ import ReportDetailView from "./pages/ReportDetailView";
 import SuperAdminLegalRequests from "./pages/admin/SuperAdminLegalRequests";
 import KeyVaultManagement from "./pages/admin/KeyVaultManagement";
 import LegalRequestsPage from "./pages/company/LegalRequestsPage";
+import KeyCustody from "./pages/KeyCustody";
 import PolicyManagement from "./pages/company/PolicyManagement";
 import PolicyLibrary from "./pages/PolicyLibrary";
 
@@ -96,6 +99,7 @@ function App() {
             <Route path="/login" element={<Login />} />
             <Route path="/qr-generator" element={<QRCodeGenerator />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
 
             {/* ── SUPER ADMIN ROUTES ── */}
             <Route
@@ -182,6 +186,16 @@ function App() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/search"
+              element={
+                <PrivateRoute>
+                  <RoleBasedLayout>
+                    <SearchPage />
+                  </RoleBasedLayout>
+                </PrivateRoute>
+              }
+            />
             <Route
               path="/assigned-to-me"
               element={
@@ -192,6 +206,16 @@ function App() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/key-custody"
+              element={
+                <PrivateRoute>
+                  <RoleBasedLayout>
+                    <KeyCustody />
+                  </RoleBasedLayout>
+                </PrivateRoute>
+              }
+            />
             <Route
               path="/moderation"
               element={
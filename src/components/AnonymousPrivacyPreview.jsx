@@ -0,0 +1,96 @@
+import { useTranslation } from "react-i18next";
+import { ShieldCheck, Clock, Timer, FileCheck, FileWarning, Radio } from "lucide-react";
+import { canStripMetadata } from "../utils/anonymityHelpers";
+import { ANONYMOUS_PUBLISH_DELAY_MINUTES } from "../utils/constants";
+
+/**
+ * AnonymousPrivacyPreview - tells an anonymous reporter what others will be
+ * able to see about their submission before they send it.
+ *
+ * Props:
+ *   files            - Files about to be attached (File objects)
+ *   delayPublishing  - true/false when the submission can be delayed; leave
+ *                      undefined when it is always sent straight away
+ *   liveThread       - true for messages in a thread the other side may have open
+ */
+const AnonymousPrivacyPreview = ({ files = [], delayPublishing, liveThread = false }) => {
+  const { t } = useTranslation();
+
+  const items = [
+    {
+      icon: ShieldCheck,
+      tone: "safe",
+      text: t("privacyPreview.identityHidden", "Your name, email, department and role are not shown or stored with it"),
+    },
+    {
+      icon: Clock,
+      tone: "safe",
+      text: t("privacyPreview.coarseTime", "The time is shown rounded down to the hour"),
+    },
+  ];
+
+  if (delayPublishing === true) {
+    items.push({
+      icon: Timer,
+      tone: "safe",
+      text: t("privacyPreview.delayed", "It is published at a random time {{min}} minutes to {{max}} hours from now", {
+        min: ANONYMOUS_PUBLISH_DELAY_MINUTES.min,
+        max: ANONYMOUS_PUBLISH_DELAY_MINUTES.max / 60,
+      }),
+    });
+  } else if (delayPublishing === false) {
+    items.push({
+      icon: Timer,
+      tone: "warn",
+      text: t("privacyPreview.immediate", "It appears as soon as you submit, so people around you at that moment may guess it was you"),
+    });
+  }
+
+  if (liveThread) {
+    items.push({
+      icon: Radio,
+      tone: "warn",
+      text: t("privacyPreview.liveThread", "Anyone with this conversation open sees your message the moment it arrives"),
+    });
+  }
+
+  files.forEach((file) => {
+    const stripped = canStripMetadata(file);
+    items.push({
+      icon: stripped ? FileCheck : FileWarning,
+      tone: stripped ? "safe" : "warn",
+      text: stripped
+        ? t("privacyPreview.imageScrubbed", "{{name}}: renamed, and camera, location and time data removed", { name: file.name })
+        : t("privacyPreview.fileKept", "{{name}}: renamed, but properties inside the file, such as its author, are kept. Check them before attaching it", { name: file.name }),
+    });
+  });
+
+  if (delayPublishing === true && files.length > 0) {
+    items.push({
+      icon: FileWarning,
+      tone: "warn",
+      text: t("privacyPreview.uploadNow", "Attachments are uploaded when you submit, not when the post is published"),
+    });
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl px-4 py-3">
+      <p className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">
+        {t("privacyPreview.title", "What others will see")}
+      </p>
+      <ul className="space-y-1.5">
+        {items.map((item, index) => {
+          const Icon = item.icon;
+          return (
+            <li key={index} className="flex items-start gap-2">
+              <Icon size={14} className={`mt-0.5 flex-shrink-0 ${item.tone === "safe" ? "text-teal-600" : "text-amber-500"}`} />
+              <span className="text-xs text-gray-600">{item.text}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default AnonymousPrivacyPreview;
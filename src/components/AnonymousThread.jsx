@@ -1,40 +1,23 @@
 import { useState, useEffect, useRef } from "react";
 import { doc, onSnapshot } from "firebase/firestore";
 import { db } from "../config/firebase";
-import CryptoJS from "crypto-js";
 import {
   createThread,
   addMessage,
+  getThread,
   markThreadRead,
+  countUnreadMessages,
 } from "../services/anonymousThreadService";
-import { useAuth } from "../contexts/AuthContext";
 import { ThreadSender, UserRole } from "../utils/constants";
-
-const ANONYMOUS_SECRET =
-  import.meta.env.VITE_ANONYMOUS_SECRET || "default-secret-key-change-in-production";
+import AnonymousPrivacyPreview from "./AnonymousPrivacyPreview";
+import ScreeningNotice from "./ScreeningNotice";
+import { isScreeningCleared } from "../services/contentScreeningService";
 
 // Brand colors
 const NAVY = "#2D3E50";
 const TEAL = "#00BCD4";
 const CORAL = "#FF6B6B";
 
-const decryptMessage = (encryptedText) => {
-  if (!encryptedText || typeof encryptedText !== "string") return "";
-  try {
-    const bytes = CryptoJS.AES.decrypt(encryptedText, ANONYMOUS_SECRET);
-    // bytes.toString can throw "Malformed UTF-8 data" in CryptoJS 4.x
-    // when the key doesn't match — wrap separately
-    try {
-      const text = bytes.toString(CryptoJS.enc.Utf8);
-      return text || "";
-    } catch {
-      return "";
-    }
-  } catch {
-    return "";
-  }
-};
-
 const isInvestigatorRole = (role) =>
   [UserRole.SUPER_ADMIN, UserRole.COMPANY_ADMIN, UserRole.HR].includes(role);
 
@@ -63,7 +46,6 @@ const formatTime = (timestamp) => {
  *   isAnonymousPost  - Boolean; component renders nothing when false
  */
 const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost, defaultOpen }) => {
-  const { userData } = useAuth();
   const [isOpen, setIsOpen] = useState(defaultOpen || false);
   const [messages, setMessages] = useState([]);
   const [threadData, setThreadData] = useState(null);
@@ -74,16 +56,17 @@ const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost,
 
   const isInvestigator = isInvestigatorRole(currentUserRole);
   const senderRole = isInvestigator ? ThreadSender.INVESTIGATOR : ThreadSender.REPORTER;
-  const otherSender = isInvestigator ? ThreadSender.REPORTER : ThreadSender.INVESTIGATOR;
 
-  // Live subscription to thread document
+  // Live subscription to thread document. The document only holds ciphertext,
+  // so each change fetches the decrypted messages from the server.
   useEffect(() => {
     if (!isAnonymousPost || !postId) return;
 
+    let cancelled = false;
     const threadRef = doc(db, "anonymousThreads", postId);
     const unsubscribe = onSnapshot(
       threadRef,
-      (snap) => {
+      async (snap) => {
         if (!snap.exists()) {
           setMessages([]);
           setThreadData(null);
@@ -94,30 +77,27 @@ const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost,
         const data = snap.data();
         setThreadData(data);
 
-        const decrypted = (data.messages || []).map((msg) => ({
-          ...msg,
-          content: decryptMessage(msg.encryptedContent),
-        }));
-        setMessages(decrypted);
-
         // Count unread messages from the other party
-        const lastReadRaw = data.lastReadBy?.[senderRole];
-        const lastReadDate = lastReadRaw?.toDate ? lastReadRaw.toDate() : null;
+        setUnreadCount(countUnreadMessages(data, senderRole));
+
+        const thread = await getThread(postId);
+        if (cancelled || !thread) return;
 
-        const unread = decrypted.filter((msg) => {
-          if (msg.sender !== otherSender) return false;
-          if (!lastReadDate) return true;
-          return new Date(msg.timestamp) > lastReadDate;
-        });
-        setUnreadCount(unread.length);
+        // The other side's messages appear once screening clears them
+        setMessages(
+          thread.messages.filter((msg) => msg.sender === senderRole || isScreeningCleared(msg))
+        );
       },
       (error) => {
         console.error("Anonymous thread snapshot error:", error);
       }
     );
 
-    return () => unsubscribe();
-  }, [postId, isAnonymousPost, senderRole, otherSender]);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [postId, isAnonymousPost, senderRole]);
 
   // Scroll to bottom when thread opens or new messages arrive
   useEffect(() => {
@@ -134,8 +114,7 @@ const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost,
 
     if (opening) {
       // Ensure the thread document exists before subscribing UI
-      // Pass reporterId for reporters so the Firestore rule allows future updates
-      await createThread(postId, companyId, !isInvestigator ? userData?.id : null);
+      await createThread(postId, companyId);
       // Mark all existing messages as read
       await markThreadRead(postId, senderRole);
       setUnreadCount(0);
@@ -148,7 +127,7 @@ const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost,
 
     try {
       setSending(true);
-      await addMessage(postId, senderRole, text, companyId);
+      await addMessage(postId, senderRole, text);
       setReplyText("");
       // Mark immediately as read for the sender
       await markThreadRead(postId, senderRole);
@@ -252,6 +231,19 @@ const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost,
                 </p>
               ) : (
                 messages.map((msg) => {
+                  if (msg.sender === ThreadSender.SYSTEM) {
+                    return (
+                      <div key={msg.id} className="flex flex-col items-center">
+                        <span className="text-xs text-gray-400 mb-1 px-1">
+                          Notice · {formatTime(msg.timestamp)}
+                        </span>
+                        <div className="max-w-[90%] px-3 py-2 rounded-xl text-sm break-words bg-amber-50 border border-amber-200 text-amber-900">
+                          {msg.content || <em className="text-xs">Unable to display message</em>}
+                        </div>
+                      </div>
+                    );
+                  }
+
                   const isOwnMessage = msg.sender === senderRole;
                   const senderName = isOwnMessage
                     ? "You"
@@ -275,6 +267,11 @@ const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost,
                       >
                         {msg.content || <em className="text-xs">Unable to display message</em>}
                       </div>
+                      {isOwnMessage && (
+                        <div className="max-w-[75%]">
+                          <ScreeningNotice content={msg} compact />
+                        </div>
+                      )}
                     </div>
                   );
                 })
@@ -282,6 +279,13 @@ const AnonymousThread = ({ postId, companyId, currentUserRole, isAnonymousPost,
               <div ref={messagesEndRef} />
             </div>
 
+            {/* What the investigators see of the reporter's messages */}
+            {!isInvestigator && (
+              <div className="border-t p-3 bg-white" style={{ borderColor: "#E5E7EB" }}>
+                <AnonymousPrivacyPreview liveThread />
+              </div>
+            )}
+
             {/* Reply Box */}
             <div
               className="border-t p-3 bg-white flex gap-2 items-end"
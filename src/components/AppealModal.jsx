@@ -0,0 +1,170 @@
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+import { X, Scale, AlertCircle, CheckCircle, Info } from "lucide-react";
+import { fileAppeal } from "../services/moderationService";
+import { useAuth } from "../contexts/AuthContext";
+
+const NAVY = "#2D3E50";
+const TEAL = "#1ABC9C";
+
+/**
+ * AppealModal - lets a user appeal one of their strikes. The appeal is
+ * reviewed by a moderator other than the one who issued the strike.
+ *
+ * Props:
+ *   isOpen        - Whether the modal is shown
+ *   onClose       - Close handler
+ *   strikeId      - userStrikes document being appealed
+ *   violationType - Shown so the user knows which strike this is
+ *   onFiled       - Called with the appeal ID once filed
+ */
+const AppealModal = ({ isOpen, onClose, strikeId, violationType, onFiled }) => {
+  const { t } = useTranslation();
+  const { userData } = useAuth();
+  const [reason, setReason] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState(false);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setReason("");
+    setError("");
+    setSuccess(false);
+  };
+
+  const handleClose = () => {
+    if (isSubmitting) return;
+    reset();
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!reason.trim()) {
+      setError(t("appeals.reasonRequired", "Please explain why you are appealing"));
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const appealId = await fileAppeal({ strikeId, reason }, userData);
+      setSuccess(true);
+      onFiled?.(appealId);
+      setTimeout(() => {
+        reset();
+        onClose();
+      }, 2000);
+    } catch (err) {
+      console.error("Error filing appeal:", err);
+      setError(err.message || t("appeals.fileFailed", "Failed to file the appeal. Please try again."));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-lg border border-gray-100 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-100">
+          <div className="flex items-center gap-3">
+            <div
+              className="w-9 h-9 rounded-xl flex items-center justify-center"
+              style={{ backgroundColor: `${NAVY}10` }}
+            >
+              <Scale className="w-4.5 h-4.5" style={{ color: NAVY }} />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold" style={{ color: NAVY }}>
+                {t("appeals.title", "Appeal Strike")}
+              </h2>
+              {violationType && <p className="text-xs text-gray-500">{violationType}</p>}
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            disabled={isSubmitting}
+            className="text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-xl p-2 transition-colors disabled:opacity-50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {success ? (
+          <div className="mx-6 my-5 p-4 rounded-xl border border-emerald-200" style={{ backgroundColor: "#f0fdf9" }}>
+            <div className="flex items-center gap-3">
+              <CheckCircle className="w-5 h-5 flex-shrink-0" style={{ color: TEAL }} />
+              <p className="text-sm font-medium" style={{ color: NAVY }}>
+                {t("appeals.filed", "Your appeal has been filed. You will be notified of the decision.")}
+              </p>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6">
+            <label htmlFor="appeal-reason" className="block text-sm font-medium mb-2" style={{ color: NAVY }}>
+              {t("appeals.reasonLabel", "Why should this decision be reconsidered?")} *
+              <span className="text-gray-400 font-normal ml-1">
+                {t("appeals.maxChars", "(1000 characters max)")}
+              </span>
+            </label>
+            <textarea
+              id="appeal-reason"
+              rows={5}
+              maxLength={1000}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={isSubmitting}
+              placeholder={t("appeals.reasonPlaceholder", "Explain the context, or why you believe the content did not break the guidelines...")}
+              className="w-full px-4 py-3 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:border-transparent disabled:bg-gray-50 disabled:cursor-not-allowed transition-shadow"
+              style={{ "--tw-ring-color": TEAL }}
+            />
+            <div className="text-xs text-gray-400 mt-1.5 mb-5 text-right">{reason.length}/1000</div>
+
+            {error && (
+              <div className="mb-4 p-3.5 bg-red-50 border border-red-100 rounded-xl">
+                <div className="flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />
+                  <p className="text-red-700 text-sm">{error}</p>
+                </div>
+              </div>
+            )}
+
+            <div className="mb-6 p-3.5 rounded-xl border border-gray-100" style={{ backgroundColor: `${TEAL}08` }}>
+              <div className="flex items-center gap-2.5">
+                <Info className="w-4 h-4 flex-shrink-0" style={{ color: TEAL }} />
+                <p className="text-xs" style={{ color: NAVY }}>
+                  {t("appeals.info", "A different moderator reviews your appeal. If nobody else is available it goes to the platform administrators. Each strike can be appealed once.")}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleClose}
+                disabled={isSubmitting}
+                className="flex-1 px-4 py-2.5 border border-gray-200 text-gray-600 rounded-xl hover:bg-gray-50 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t("common.cancel", "Cancel")}
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting || !reason.trim()}
+                className="flex-1 px-4 py-2.5 text-white rounded-xl text-sm font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm hover:shadow-md"
+                style={{ backgroundColor: isSubmitting || !reason.trim() ? "#9CA3AF" : NAVY }}
+              >
+                {isSubmitting ? t("appeals.submitting", "Submitting...") : t("appeals.submit", "File Appeal")}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AppealModal;
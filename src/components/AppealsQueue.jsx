@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { toast } from "react-toastify";
+import { Scale, Loader2, ChevronRight } from "lucide-react";
+import { getAppeals } from "../services/moderationService";
+import { AppealStatus, AppealStatusConfig } from "../utils/constants";
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+/**
+ * Strike appeals for the Moderation Dashboard. Each appeal opens the report
+ * the strike was issued for, where it is decided.
+ * Pass no companyId to list appeals from every company (super admins).
+ */
+const AppealsQueue = ({ companyId = null }) => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [appeals, setAppeals] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("open");
+  const [loading, setLoading] = useState(true);
+
+  const loadAppeals = useCallback(async () => {
+    try {
+      setLoading(true);
+      setAppeals(await getAppeals(companyId));
+    } catch (error) {
+      console.error("Error loading appeals:", error);
+      toast.error(t("appeals.loadFailed", "Failed to load appeals"));
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId, t]);
+
+  useEffect(() => {
+    loadAppeals();
+  }, [companyId, loadAppeals]);
+
+  const visibleAppeals = appeals.filter((appeal) => {
+    if (statusFilter === "open") {
+      return [AppealStatus.PENDING, AppealStatus.ESCALATED].includes(appeal.status);
+    }
+    return statusFilter === "all" || appeal.status === statusFilter;
+  });
+
+  const filters = [
+    { id: "open", label: t("appeals.filters.open", "Open") },
+    { id: AppealStatus.ESCALATED, label: t("appeals.status.escalated", "Escalated") },
+    { id: AppealStatus.OVERTURNED, label: t("appeals.status.overturned", "Overturned") },
+    { id: AppealStatus.UPHELD, label: t("appeals.status.upheld", "Decision Upheld") },
+    { id: "all", label: t("appeals.filters.all", "All") },
+  ];
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-2xl p-6 shadow-sm">
+      <h2 className="text-lg font-semibold text-[#2D3E50] mb-1">
+        {t("appeals.queueTitle", "Appeals ({{count}})", { count: visibleAppeals.length })}
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {t("appeals.queueHelp", "Appeals are decided on the report page by a moderator other than the one who issued the strike. Escalated appeals are decided by super admins.")}
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-5">
+        {filters.map((filter) => (
+          <button
+            key={filter.id}
+            onClick={() => setStatusFilter(filter.id)}
+            className={`px-3 py-1.5 text-xs font-medium rounded-lg transition-colors ${
+              statusFilter === filter.id
+                ? "bg-[#2D3E50] text-white"
+                : "bg-gray-50 text-gray-600 hover:bg-gray-100"
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 size={18} className="animate-spin text-gray-400" />
+        </div>
+      ) : visibleAppeals.length === 0 ? (
+        <div className="text-center py-12">
+          <Scale className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+          <p className="text-sm text-gray-500">{t("appeals.queueEmpty", "No appeals here")}</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {visibleAppeals.map((appeal) => {
+            const statusConfig = AppealStatusConfig[appeal.status];
+            const createdAt = toDate(appeal.createdAt);
+            return (
+              <button
+                key={appeal.id}
+                onClick={() => appeal.reportId && navigate(`/moderation/report/${appeal.reportId}`)}
+                className="w-full text-left border border-gray-100 rounded-xl p-4 hover:border-gray-200 hover:bg-gray-50/50 transition-colors flex items-start gap-3"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1.5">
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-md ${statusConfig.bgColor} ${statusConfig.textColor}`}>
+                      {t(`appeals.status.${appeal.status}`, statusConfig.label)}
+                    </span>
+                    <span className="text-sm font-medium text-gray-900">
+                      {appeal.violationType || t("appeals.guidelinesViolation", "Guidelines violation")}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      · {t("appeals.strikeLevel", "Strike {{level}}", { level: appeal.strikeLevel })}
+                      {createdAt && ` · ${createdAt.toLocaleString()}`}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600 line-clamp-2">{appeal.reason}</p>
+                </div>
+                <ChevronRight size={16} className="text-gray-300 mt-1 flex-shrink-0" />
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AppealsQueue;
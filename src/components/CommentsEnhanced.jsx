@@ -5,8 +5,6 @@ import {
   addDoc,
   query,
   where,
-  orderBy,
-  onSnapshot,
   serverTimestamp,
   updateDoc,
   deleteDoc,
@@ -23,7 +21,12 @@ import {
   highlightMentions,
 } from "../services/mentionsService";
 import ReportContentModal from "./ReportContentModal";
-import { ReportableContentType } from "../utils/constants";
+import ScreeningNotice from "./ScreeningNotice";
+import { canSeeScreenedContent, screeningClearedConstraint } from "../services/contentScreeningService";
+import { subscribeToPostComments } from "../services/commentThreadingService";
+import { ReportableContentType, ScreeningStatus } from "../utils/constants";
+import { assertNotUnderLegalHold, isLegalHoldError } from "../services/legalHoldService";
+import { createAnonymousComment, isContentAuthor, getRecordedActor } from "../services/anonymousContentService";
 
 const CommentsEnhanced = ({
   postId,
@@ -67,7 +70,8 @@ const CommentsEnhanced = ({
         const q = query(
           collection(db, "comments"),
           where("postId", "==", postId),
-          where("companyId", "==", userData.companyId)
+          where("companyId", "==", userData.companyId),
+          screeningClearedConstraint()
         );
         const snapshot = await getCountFromServer(q);
         setCommentCount(snapshot.data().count);
@@ -80,14 +84,12 @@ const CommentsEnhanced = ({
 
   useEffect(() => {
     if (!showComments || !postId || !userData?.companyId) return;
-    const commentsRef = collection(db, "comments");
-    const q = query(commentsRef, where("postId", "==", postId), where("companyId", "==", userData.companyId), orderBy("createdAt", "asc"));
-    const unsubscribe = onSnapshot(q,
-      (snapshot) => {
-        const fetchedComments = [];
-        snapshot.forEach((doc) => { fetchedComments.push({ id: doc.id, ...doc.data() }); });
-        setComments(fetchedComments);
-        setCommentCount(fetchedComments.length);
+    const unsubscribe = subscribeToPostComments(postId, userData,
+      (fetchedComments) => {
+        // Comments still being screened, or held, are shown to their author only
+        const visibleComments = fetchedComments.filter((comment) => canSeeScreenedContent(comment, userData));
+        setComments(visibleComments);
+        setCommentCount(visibleComments.length);
       },
       (error) => {
         console.error("Error fetching comments:", error);
@@ -95,7 +97,7 @@ const CommentsEnhanced = ({
       }
     );
     return () => unsubscribe();
-  }, [postId, showComments, userData?.companyId]);
+  }, [postId, showComments, userData]);
 
   const handleTextChange = async (e) => {
     const text = e.target.value;
@@ -138,23 +140,29 @@ const CommentsEnhanced = ({
     setError("");
     try {
       if (!userData?.id) throw new Error("Please log in to comment");
-      const commentData = {
-        postId,
-        text: newComment.trim(),
-        authorId: userData.id,
-        authorName: isAnonymous ? "Anonymous" : userData.displayName,
-        authorRole: userData.role,
-        isAnonymous,
-        createdAt: serverTimestamp(),
-        likes: 0,
-        companyId: userData.companyId,
-      };
-      await addDoc(collection(db, "comments"), commentData);
-      const postRef = doc(db, "posts", postId);
-      await updateDoc(postRef, { comments: increment(1), updatedAt: serverTimestamp() });
+      if (isAnonymous) {
+        // Written by a Cloud Function, which also bumps the post's comment counter
+        await createAnonymousComment({ postId, text: newComment.trim() });
+      } else {
+        const commentData = {
+          postId,
+          text: newComment.trim(),
+          authorId: userData.id,
+          authorName: userData.displayName,
+          authorRole: userData.role,
+          isAnonymous: false,
+          createdAt: serverTimestamp(),
+          likes: 0,
+          companyId: userData.companyId,
+          screeningStatus: ScreeningStatus.PENDING,
+        };
+        await addDoc(collection(db, "comments"), commentData);
+        const postRef = doc(db, "posts", postId);
+        await updateDoc(postRef, { comments: increment(1), updatedAt: serverTimestamp() });
+      }
       await createMentionNotifications(newComment, userData.companyId, {
         postId, postTitle,
-        authorId: userData.id,
+        authorId: isAnonymous ? null : userData.id,
         authorName: isAnonymous ? "Anonymous" : userData.displayName,
         commentId: null,
       });
@@ -176,18 +184,39 @@ const CommentsEnhanced = ({
   const handleSaveEdit = async (commentId) => {
     if (!editText.trim()) return;
     try {
+      const comment = comments.find((c) => c.id === commentId);
+      await assertNotUnderLegalHold(comment, {
+        contentType: "comment",
+        contentId: commentId,
+        action: "edit",
+        companyId: userData.companyId,
+        userId: getRecordedActor(comment, userData).id,
+      });
       const commentRef = doc(db, "comments", commentId);
-      await updateDoc(commentRef, { text: editText.trim(), edited: true, editedAt: serverTimestamp() });
+      await updateDoc(commentRef, {
+        text: editText.trim(),
+        edited: true,
+        editedAt: serverTimestamp(),
+        screeningStatus: ScreeningStatus.PENDING,
+      });
       setEditingCommentId(null);
       setEditText("");
     } catch (error) {
-      setError("Failed to edit comment.");
+      setError(isLegalHoldError(error) ? error.message : "Failed to edit comment.");
     }
   };
 
   const handleDeleteComment = async (commentId) => {
     if (!window.confirm("Delete this comment?")) return;
     try {
+      const comment = comments.find((c) => c.id === commentId);
+      await assertNotUnderLegalHold(comment, {
+        contentType: "comment",
+        contentId: commentId,
+        action: "delete",
+        companyId: userData.companyId,
+        userId: getRecordedActor(comment, userData).id,
+      });
       await deleteDoc(doc(db, "comments", commentId));
       const postRef = doc(db, "posts", postId);
       await updateDoc(postRef, { comments: increment(-1) });
@@ -211,7 +240,7 @@ const CommentsEnhanced = ({
         }
       }
     } catch (error) {
-      setError("Failed to delete comment.");
+      setError(isLegalHoldError(error) ? error.message : "Failed to delete comment.");
     }
   };
 
@@ -223,19 +252,24 @@ const CommentsEnhanced = ({
   const handleSaveReply = async (parentCommentId) => {
     if (!replyText.trim()) return;
     try {
-      await addDoc(collection(db, "comments"), {
-        postId,
-        text: replyText.trim(),
-        authorId: replyIsAnonymous ? null : userData.id,
-        authorName: replyIsAnonymous ? "Anonymous" : userData.displayName,
-        authorRole: userData.role,
-        parentCommentId,
-        isAnonymous: replyIsAnonymous,
-        companyId: userData.companyId,
-        createdAt: serverTimestamp(),
-      });
-      const postRef = doc(db, "posts", postId);
-      await updateDoc(postRef, { comments: increment(1) });
+      if (replyIsAnonymous) {
+        await createAnonymousComment({ postId, text: replyText.trim(), parentCommentId });
+      } else {
+        await addDoc(collection(db, "comments"), {
+          postId,
+          text: replyText.trim(),
+          authorId: userData.id,
+          authorName: userData.displayName,
+          authorRole: userData.role,
+          parentCommentId,
+          isAnonymous: false,
+          companyId: userData.companyId,
+          screeningStatus: ScreeningStatus.PENDING,
+          createdAt: serverTimestamp(),
+        });
+        const postRef = doc(db, "posts", postId);
+        await updateDoc(postRef, { comments: increment(1) });
+      }
       setReplyingToId(null);
       setReplyText("");
       setReplyIsAnonymous(false);
@@ -301,7 +335,7 @@ const CommentsEnhanced = ({
               </div>
             ) : (
               topLevelComments.map((comment) => {
-                const isOwn = userData && userData.id === comment.authorId;
+                const isOwn = isContentAuthor(comment, userData);
                 const isEditing = editingCommentId === comment.id;
                 const isReplying = replyingToId === comment.id;
                 const replies = getReplies(comment.id);
@@ -347,6 +381,7 @@ const CommentsEnhanced = ({
                               {renderMentions(comment.text)}
                             </p>
                           )}
+                          {isOwn && <ScreeningNotice content={comment} compact />}
                         </div>
 
                         {/* Comment Actions */}
@@ -412,7 +447,7 @@ const CommentsEnhanced = ({
                         {replies.length > 0 && (
                           <div className="mt-2 space-y-2 ml-2 pl-3 border-l-2 border-[#1ABC9C]/15">
                             {replies.map((reply) => {
-                              const isOwnReply = userData && userData.id === reply.authorId;
+                              const isOwnReply = isContentAuthor(reply, userData);
                               const isEditingReply = editingCommentId === reply.id;
 
                               return (
@@ -438,6 +473,7 @@ const CommentsEnhanced = ({
                                       ) : (
                                         <p className="text-xs text-gray-700 whitespace-pre-wrap break-words">{renderMentions(reply.text)}</p>
                                       )}
+                                      {isOwnReply && <ScreeningNotice content={reply} compact />}
                                     </div>
                                     {!isEditingReply && (
                                       <div className="flex items-center gap-0.5 mt-0.5 ml-1">
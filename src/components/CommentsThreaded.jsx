@@ -2,10 +2,6 @@ import { useState, useEffect, useRef } from "react";
 import {
   collection,
   addDoc,
-  query,
-  where,
-  orderBy,
-  onSnapshot,
   serverTimestamp,
   updateDoc,
   doc,
@@ -16,6 +12,7 @@ import { useAuth } from "../contexts/AuthContext";
 import { MessageCircle, Send, CornerDownRight, Heart, Reply, X } from "lucide-react";
 import {
   addCommentReply,
+  subscribeToPostComments,
   buildCommentTree,
   getTotalCommentCount,
 } from "../services/commentThreadingService";
@@ -24,6 +21,9 @@ import {
   createMentionNotifications,
   highlightMentions,
 } from "../services/mentionsService";
+import { createAnonymousComment } from "../services/anonymousContentService";
+import { canSeeScreenedContent } from "../services/contentScreeningService";
+import { ScreeningStatus } from "../utils/constants";
 
 /**
  * Threaded Comment Component
@@ -43,13 +43,15 @@ const ThreadedComment = ({ comment, postId, postTitle, depth = 0, maxDepth = 3 }
     setLoading(true);
 
     try {
-      const replyData = {
-        text: replyText.trim(),
-        authorId: userData.id,
-        authorName: isAnonymous ? "Anonymous" : userData.displayName,
-        authorRole: userData.role,
-        isAnonymous,
-      };
+      const replyData = isAnonymous
+        ? { text: replyText.trim(), isAnonymous }
+        : {
+          text: replyText.trim(),
+          authorId: userData.id,
+          authorName: userData.displayName,
+          authorRole: userData.role,
+          isAnonymous,
+        };
 
       await addCommentReply(postId, comment.id, replyData, userData.companyId);
 
@@ -57,7 +59,7 @@ const ThreadedComment = ({ comment, postId, postTitle, depth = 0, maxDepth = 3 }
       await createMentionNotifications(replyText, userData.companyId, {
         postId,
         postTitle,
-        authorId: userData.id,
+        authorId: isAnonymous ? null : userData.id,
         authorName: isAnonymous ? "Anonymous" : userData.displayName,
         commentId: comment.id,
       });
@@ -246,21 +248,12 @@ const CommentsThreaded = ({
   useEffect(() => {
     if (!showComments || !postId || !userData?.companyId) return;
 
-    const commentsRef = collection(db, "comments");
-    const q = query(
-      commentsRef,
-      where("postId", "==", postId),
-      where("companyId", "==", userData.companyId),
-      orderBy("createdAt", "asc")
-    );
-
-    const unsubscribe = onSnapshot(
-      q,
-      (snapshot) => {
-        const fetchedComments = [];
-        snapshot.forEach((doc) => {
-          fetchedComments.push({ id: doc.id, ...doc.data() });
-        });
+    const unsubscribe = subscribeToPostComments(
+      postId,
+      userData,
+      (postComments) => {
+        // Comments still being screened, or held, are shown to their author only
+        const fetchedComments = postComments.filter((comment) => canSeeScreenedContent(comment, userData));
 
         // Build threaded structure
         const threadedComments = buildCommentTree(fetchedComments);
@@ -277,7 +270,7 @@ const CommentsThreaded = ({
     );
 
     return () => unsubscribe();
-  }, [postId, showComments, userData?.companyId]);
+  }, [postId, showComments, userData]);
 
   const handleAddComment = async () => {
     if (!newComment.trim() || loading) return;
@@ -290,33 +283,39 @@ const CommentsThreaded = ({
         throw new Error("Please log in to comment");
       }
 
-      const commentData = {
-        postId,
-        text: newComment.trim(),
-        authorId: userData.id,
-        authorName: isAnonymous ? "Anonymous" : userData.displayName,
-        authorRole: userData.role,
-        isAnonymous,
-        createdAt: serverTimestamp(),
-        likes: 0,
-        companyId: userData.companyId,
-        replyCount: 0,
-      };
-
-      await addDoc(collection(db, "comments"), commentData);
-
-      // Update post comment count
-      const postRef = doc(db, "posts", postId);
-      await updateDoc(postRef, {
-        comments: increment(1),
-        updatedAt: serverTimestamp(),
-      });
+      if (isAnonymous) {
+        // Written by a Cloud Function, which also updates the post comment count
+        await createAnonymousComment({ postId, text: newComment.trim() });
+      } else {
+        const commentData = {
+          postId,
+          text: newComment.trim(),
+          authorId: userData.id,
+          authorName: userData.displayName,
+          authorRole: userData.role,
+          isAnonymous: false,
+          createdAt: serverTimestamp(),
+          likes: 0,
+          companyId: userData.companyId,
+          replyCount: 0,
+          screeningStatus: ScreeningStatus.PENDING,
+        };
+
+        await addDoc(collection(db, "comments"), commentData);
+
+        // Update post comment count
+        const postRef = doc(db, "posts", postId);
+        await updateDoc(postRef, {
+          comments: increment(1),
+          updatedAt: serverTimestamp(),
+        });
+      }
 
       // Create mention notifications
       await createMentionNotifications(newComment, userData.companyId, {
         postId,
         postTitle,
-        authorId: userData.id,
+        authorId: isAnonymous ? null : userData.id,
         authorName: isAnonymous ? "Anonymous" : userData.displayName,
         commentId: null,
       });
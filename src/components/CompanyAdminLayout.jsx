@@ -39,6 +39,7 @@ import {
   Shield,
   Inbox,
   HelpCircle,
+  Search,
 } from "lucide-react";
 import LanguageSwitcher from "./LanguageSwitcher";
 
@@ -67,9 +68,13 @@ const CompanyAdminLayout = ({ children }) => {
     ) {
       return;
     }
-    const unsubscribe = subscribeToCompanyThreads(userData.companyId, (threads) => {
-      setHasUnreadThreads(threads.some((t) => t.unreadCount > 0));
-    });
+    const unsubscribe = subscribeToCompanyThreads(
+      userData.companyId,
+      (threads) => {
+        setHasUnreadThreads(threads.some((t) => t.unreadCount > 0));
+      },
+      { withPreviews: false }
+    );
     return () => unsubscribe();
   }, [userData?.companyId, userData?.role]);
 
@@ -158,6 +163,7 @@ const CompanyAdminLayout = ({ children }) => {
         { label: t("navigation.creative", "Creative"), path: "/feed/creative", icon: Lightbulb },
         { label: t("navigation.problems", "Problems"), path: "/feed/problems", icon: AlertTriangle },
         { label: t("navigation.discussions", "Discussions"), path: "/feed/discussions", icon: MessageSquare },
+        { label: t("navigation.search", "Search"), path: "/search", icon: Search },
       ],
     },
     {
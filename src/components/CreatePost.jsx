@@ -5,9 +5,13 @@ import { db, storage } from "../config/firebase";
 import { useAuth } from "../contexts/AuthContext";
 import PollCreator from "./PollCreator";
 import AnonymityGuaranteeScreen from "./AnonymityGuaranteeScreen";
+import AnonymousPrivacyPreview from "./AnonymousPrivacyPreview";
 import { useTranslation } from "react-i18next";
-import { encryptAuthorId } from "../services/postManagementService";
+import { createAnonymousPost } from "../services/anonymousContentService";
 import { saveDraft } from "../services/postEnhancementsService";
+import { showSuccess } from "../services/toastService";
+import { prepareAnonymousFile } from "../utils/anonymityHelpers";
+import { ScreeningStatus } from "../utils/constants";
 import { X, Paperclip, Eye, EyeOff, Send, Sparkles, AlertTriangle, MessageCircle, ChevronDown, Image as ImageIcon, FileText, Shield, Lock } from "lucide-react";
 
 const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
@@ -27,6 +31,7 @@ const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
     category: "",
     tags: "",
     isAnonymous: false,
+    delayPublishing: false,
     privacyLevel: "company_public",
     departmentId: "",
   });
@@ -171,15 +176,16 @@ const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
     });
   };
 
-  const uploadFiles = async () => {
-    if (selectedFiles.length === 0) return [];
+  const uploadFiles = async (files) => {
+    if (files.length === 0) return [];
     setUploadProgress(0);
-    const totalFiles = selectedFiles.length;
+    const totalFiles = files.length;
     let completedFiles = 0;
 
-    const uploadPromises = selectedFiles.map(async (fileObj) => {
-      const file = fileObj.file;
-      const fileRef = ref(storage, `posts/${userData.companyId}/${Date.now()}_${file.name}`);
+    const uploadPromises = files.map(async (file) => {
+      // Anonymous files already have a random name; a timestamp would date them
+      const fileName = formData.isAnonymous ? file.name : `${Date.now()}_${file.name}`;
+      const fileRef = ref(storage, `posts/${userData.companyId}/${fileName}`);
       return new Promise((resolve, reject) => {
         const uploadTask = uploadBytesResumable(fileRef, file);
         uploadTask.on("state_changed",
@@ -213,45 +219,65 @@ const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
       if (!userData?.companyId) throw new Error("Company information missing. Please contact support.");
       if (formData.privacyLevel === "department_only" && !formData.departmentId) throw new Error("Please select a department for department-only posts.");
 
+      // Files of anonymous posts lose their metadata and original names first
+      const files = formData.isAnonymous
+        ? await Promise.all(selectedFiles.map((fileObj) => prepareAnonymousFile(fileObj.file)))
+        : selectedFiles.map((fileObj) => fileObj.file);
+
       let uploadedAttachments = [];
-      if (selectedFiles.length > 0) {
+      if (files.length > 0) {
         try {
-          uploadedAttachments = await uploadFiles();
+          uploadedAttachments = await uploadFiles(files);
         } catch (uploadError) {
           throw new Error("Failed to upload attachments. Please try again.");
         }
       }
 
-      const postData = {
+      const postContent = {
         title: formData.title.trim(),
         content: formData.description.trim(),
         category: formData.category,
         tags: formData.tags.split(",").map((tag) => tag.trim()).filter(Boolean),
-        isAnonymous: formData.isAnonymous,
-        authorId: formData.isAnonymous ? encryptAuthorId(userData.id) : userData.id,
-        creatorId: userData.id,
-        authorName: formData.isAnonymous ? "Anonymous" : userData.displayName || "Unknown User",
-        authorEmail: userData.email || "",
-        authorDepartmentId: userData.departmentId || null,
-        companyId: userData.companyId,
         type: currentConfig.postType,
-        status: "open",
-        priority: "medium",
         privacyLevel: formData.privacyLevel,
         departmentId: formData.privacyLevel === "department_only" ? formData.departmentId : null,
         attachments: uploadedAttachments,
         poll: pollData,
-        likes: [],
-        comments: 0,
-        views: 0,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
       };
+      const postData = { ...postContent, companyId: userData.companyId };
+
+      // Anonymous posts are written by a Cloud Function so the author is only stored encrypted
+      let newPostId;
+      let delayed = false;
+      if (formData.isAnonymous) {
+        ({ id: newPostId, delayed } = await createAnonymousPost({
+          ...postContent,
+          delayPublishing: formData.delayPublishing,
+        }));
+      } else {
+        const newPostRef = await addDoc(collection(db, "posts"), {
+          ...postData,
+          isAnonymous: false,
+          authorId: userData.id,
+          authorName: userData.displayName || "Unknown User",
+          authorEmail: userData.email || "",
+          authorDepartmentId: userData.departmentId || null,
+          status: "open",
+          priority: "medium",
+          likes: [],
+          comments: 0,
+          voteScore: 0,
+          views: 0,
+          screeningStatus: ScreeningStatus.PENDING,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        });
+        newPostId = newPostRef.id;
+      }
 
-      const newPostRef = await addDoc(collection(db, "posts"), postData);
-
-      // Notify HR and company admin users when an hr_only post is created
-      if (postData.privacyLevel === "hr_only") {
+      // Notify HR and company admin users when an hr_only post is created;
+      // delayed posts notify them when they are published
+      if (postData.privacyLevel === "hr_only" && !delayed) {
         try {
           const hrUsersQuery = query(
             collection(db, "users"),
@@ -266,7 +292,7 @@ const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
               title: "New HR Post Received",
               message: `A new post has been sent directly to HR: "${postData.title}"`,
               companyId: postData.companyId,
-              metadata: { postId: newPostRef.id },
+              metadata: { postId: newPostId },
               read: false,
               createdAt: serverTimestamp(),
             })
@@ -278,6 +304,9 @@ const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
         }
       }
 
+      if (delayed) {
+        showSuccess(t("createPost.delayedNotice", "Your post will be published at a random time within the next few hours."));
+      }
       if (onSuccess) onSuccess();
       if (onClose) onClose();
     } catch (error) {
@@ -310,7 +339,6 @@ const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
         tags: formData.tags.split(",").map(t => t.trim()).filter(Boolean),
         isAnonymous: formData.isAnonymous,
         authorId: userData.id,
-        creatorId: userData.id,
         authorName: userData.displayName || "Unknown User",
         authorEmail: userData.email || "",
         authorDepartmentId: userData.departmentId || null,
@@ -519,6 +547,28 @@ const CreatePost = ({ type = "creative", onClose, onSuccess }) => {
                 </div>
               </div>
 
+              {/* Anonymous: publishing delay and privacy preview */}
+              {formData.isAnonymous && (
+                <div className="space-y-3">
+                  <label className="flex items-start gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      name="delayPublishing"
+                      checked={formData.delayPublishing}
+                      onChange={handleInputChange}
+                      className="mt-0.5 rounded border-gray-300 text-[#1ABC9C] focus:ring-[#1ABC9C]"
+                    />
+                    <span className="text-xs text-gray-600">
+                      {t("createPost.delayPublishing", "Publish at a random time within the next few hours, so the timing can't point to you")}
+                    </span>
+                  </label>
+                  <AnonymousPrivacyPreview
+                    files={selectedFiles.map((fileObj) => fileObj.file)}
+                    delayPublishing={formData.delayPublishing}
+                  />
+                </div>
+              )}
+
               {/* Department Selection */}
               {formData.privacyLevel === "department_only" && (
                 <div>
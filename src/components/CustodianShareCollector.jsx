@@ -0,0 +1,155 @@
+import { useState } from "react";
+import { CheckCircle, RefreshCw, Users } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { getDisclosureSession, submitCustodyShare } from "../services/keyVaultService";
+import { KeyCustodianRoleConfig } from "../utils/constants";
+
+/**
+ * CustodianShareCollector — shows which custodians have submitted their key
+ * share for an identity disclosure when a company's Key Part B is split among
+ * custodians. Custodians submit from their own signed-in account (the Key
+ * Custody page); the share field is only shown to a custodian who has not
+ * submitted yet. The server records every attempt in the disclosure audit log.
+ *
+ * Props:
+ *   legalRequestId  - Approved legal request ID
+ *   session         - Result of getDisclosureSession() with custody: true
+ *   onSessionChange - (session) => void, called after each accepted share
+ */
+const CustodianShareCollector = ({ legalRequestId, session, onSessionChange }) => {
+  const { userData } = useAuth();
+  const [share, setShare] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState("");
+
+  const hasEnoughShares = session.submittedCount >= session.threshold;
+  const myCustody = session.custodians.find((custodian) => custodian.id === userData?.id);
+  const canSubmit = !hasEnoughShares && myCustody && !myCustody.submitted;
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setError("");
+    try {
+      onSessionChange(await getDisclosureSession(legalRequestId));
+    } catch (err) {
+      console.error("Error refreshing disclosure session:", err);
+      setError(`Could not refresh: ${err.message}`);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!share.trim()) {
+      setError("Enter your key share.");
+      return;
+    }
+
+    setSubmitting(true);
+    setError("");
+    try {
+      const updated = await submitCustodyShare(legalRequestId, share.trim());
+      setShare("");
+      onSessionChange(updated);
+    } catch (err) {
+      console.error("Error submitting key share:", err);
+      setError(`Share not accepted: ${err.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start gap-3 p-4 rounded-lg border border-amber-300 bg-amber-50">
+        <Users className="w-5 h-5 flex-shrink-0 mt-0.5 text-amber-600" />
+        <div className="text-sm text-amber-800">
+          <p className="font-semibold mb-1">
+            {session.threshold} of {session.custodians.length} custodians required
+          </p>
+          <p className="text-xs">
+            Key Part B for this company is split among its key custodians. Each
+            custodian submits their share from Key Custody in their own
+            account; every submission is recorded in the disclosure audit log. Submitted
+            shares are discarded if the disclosure does not happen
+            {session.expiresAt
+              ? ` by ${new Date(session.expiresAt).toLocaleString()}`
+              : " within 24 hours"}
+            .
+          </p>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+        {session.custodians.map((custodian) => (
+          <div key={custodian.id} className="flex items-center justify-between px-3 py-2 text-sm">
+            <div>
+              <p className="font-medium text-gray-900">{custodian.name}</p>
+              <p className="text-xs text-gray-500">
+                {KeyCustodianRoleConfig[custodian.role]?.label || custodian.role} · @{custodian.username}
+              </p>
+            </div>
+            {custodian.submitted ? (
+              <span className="flex items-center gap-1 text-xs font-medium text-teal-600">
+                <CheckCircle className="w-4 h-4" />
+                Share submitted
+              </span>
+            ) : (
+              <span className="text-xs text-gray-400">Waiting</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-600">
+          {session.submittedCount} of {session.threshold} shares submitted
+        </p>
+        {/* getDisclosureSession is for super admins; custodians reload Key Custody */}
+        {!myCustody && (
+          <button
+            onClick={handleRefresh}
+            disabled={refreshing}
+            className="flex items-center gap-1 text-xs font-medium text-gray-600 hover:text-gray-900 disabled:opacity-40"
+          >
+            <RefreshCw className={`w-3.5 h-3.5 ${refreshing ? "animate-spin" : ""}`} />
+            Refresh
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {canSubmit && (
+        <div className="space-y-3 bg-gray-50 border border-gray-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-gray-700">Your key share</p>
+          <input
+            type="text"
+            value={share}
+            onChange={(e) => setShare(e.target.value.trim())}
+            placeholder="Key share, e.g. 2-9f0c..."
+            className="w-full px-3 py-2 text-sm font-mono border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+            autoComplete="off"
+            spellCheck={false}
+          />
+          <div className="flex justify-end">
+            <button
+              onClick={handleSubmit}
+              disabled={submitting || !share}
+              className="px-4 py-2 text-sm font-medium text-white bg-gray-700 rounded-lg hover:bg-gray-800 transition disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {submitting ? "Checking..." : "Submit Share"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustodianShareCollector;
@@ -175,13 +175,13 @@ const DepartmentCard = ({
                 <>
                   <div className="text-center">
                     <p className="text-2xl font-bold text-green-600">
-                      {stats.resolvedIssues || 0}
+                      {stats.suppressed ? "—" : stats.resolvedIssues || 0}
                     </p>
                     <p className="text-xs text-gray-500">Resolved</p>
                   </div>
                   <div className="text-center">
                     <p className="text-2xl font-bold text-orange-600">
-                      {stats.pendingIssues || 0}
+                      {stats.suppressed ? "—" : stats.pendingIssues || 0}
                     </p>
                     <p className="text-xs text-gray-500">Pending</p>
                   </div>
@@ -383,13 +383,13 @@ const DepartmentCard = ({
             <>
               <div className="text-center p-2 bg-green-50 rounded">
                 <p className="text-lg font-bold text-green-600">
-                  {stats.resolvedIssues || 0}
+                  {stats.suppressed ? "—" : stats.resolvedIssues || 0}
                 </p>
                 <p className="text-xs text-gray-500">Resolved</p>
               </div>
               <div className="text-center p-2 bg-orange-50 rounded">
                 <p className="text-lg font-bold text-orange-600">
-                  {stats.pendingIssues || 0}
+                  {stats.suppressed ? "—" : stats.pendingIssues || 0}
                 </p>
                 <p className="text-xs text-gray-500">Pending</p>
               </div>
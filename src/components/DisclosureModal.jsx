@@ -1,9 +1,7 @@
 import { useState } from "react";
-import { doc, getDoc } from "firebase/firestore";
-import { db } from "../config/firebase";
 import { XCircle, AlertTriangle, ShieldAlert, CheckCircle, Lock, Eye, ClipboardList } from "lucide-react";
-import { getKeyPartA, combineAndDecrypt } from "../services/keyVaultService";
-import { logDisclosure } from "../services/disclosureAuditService";
+import { combineAndDecrypt, getDisclosureSession } from "../services/keyVaultService";
+import CustodianShareCollector from "./CustodianShareCollector";
 
 // Brand colors
 const NAVY = "#2D3E50";
@@ -20,15 +18,16 @@ const STEPS = {
 /**
  * DisclosureModal — four-step wizard for super_admin to decrypt an anonymous
  * reporter's identity under a valid legal order, using the split-key vault.
+ * When the company's Key Part B is split among custodians, the key step
+ * collects a share from each custodian, signed in with their own account.
  *
  * Props:
  *   isOpen       - boolean
  *   onClose      - () => void
  *   request      - legalRequest document (with .id, .reportId, .legalJustification,
  *                  .companyId, .requestedBy, .courtOrderUrl)
- *   currentUser  - userData from AuthContext ({ id, displayName, role, companyId })
  */
-const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
+const DisclosureModal = ({ isOpen, onClose, request }) => {
   const [step, setStep] = useState(STEPS.CONFIRM);
   const [legalBasisConfirmed, setLegalBasisConfirmed] = useState(false);
   const [keyPartB, setKeyPartB] = useState("");
@@ -37,6 +36,8 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
   const [auditId, setAuditId] = useState(null);
   const [error, setError] = useState("");
   const [deliveryMethod, setDeliveryMethod] = useState("secure_portal");
+  const [session, setSession] = useState(null); // { custody, threshold, submittedCount, custodians }
+  const [loadingSession, setLoadingSession] = useState(false);
 
   if (!isOpen || !request) return null;
 
@@ -49,94 +50,63 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
     setAuditId(null);
     setError("");
     setDeliveryMethod("secure_portal");
+    setSession(null);
     onClose();
   };
 
+  const isCustody = !!session?.custody;
+  const hasEnoughShares = isCustody && session.submittedCount >= session.threshold;
+
+  const handleContinueToKey = async () => {
+    setLoadingSession(true);
+    setError("");
+    try {
+      // Tells whether the DPO holds Key Part B or custodians hold shares of it
+      setSession(await getDisclosureSession(request.id));
+      setStep(STEPS.KEY_INPUT);
+    } catch (err) {
+      console.error("Error loading disclosure session:", err);
+      setError(`Could not load the key vault: ${err.message}`);
+    } finally {
+      setLoadingSession(false);
+    }
+  };
+
   const handleDecrypt = async () => {
-    if (!keyPartB.trim()) {
+    if (!isCustody && !keyPartB.trim()) {
       setError("Please paste Key Part B from the DPO.");
       return;
     }
-    if (keyPartB.trim().length !== 32) {
+    if (!isCustody && keyPartB.trim().length !== 32) {
       setError("Key Part B must be exactly 32 hexadecimal characters.");
       return;
     }
+    if (isCustody && !hasEnoughShares) {
+      setError(`${session.threshold} custodians must submit their shares first.`);
+      return;
+    }
 
     setDecrypting(true);
     setError("");
 
     try {
-      // 1. Fetch the post to get the encryptedAuthorId
-      const postRef = doc(db, "posts", request.reportId);
-      const postSnap = await getDoc(postRef);
-
-      if (!postSnap.exists()) {
-        setError("Post not found. Verify the Report ID on the legal request.");
-        setDecrypting(false);
-        return;
-      }
-
-      const postData = postSnap.data();
-
-      if (!postData.isAnonymous || !postData.authorId) {
-        setError("This post is not anonymous or has no encrypted author ID.");
-        setDecrypting(false);
-        return;
-      }
-
-      // 2. Fetch Key Part A from the vault
-      const vaultData = await getKeyPartA(request.companyId);
-
-      if (!vaultData) {
-        setError("No key vault found for this company. Initialize it via the Key Vault Setup page.");
-        setDecrypting(false);
-        return;
-      }
-
-      // 3. Combine keys and decrypt
-      const userId = combineAndDecrypt(
-        postData.authorId,
-        vaultData.keyPartA,
-        keyPartB.trim()
-      );
-
-      if (!userId) {
-        setError(
-          "Decryption failed. Verify that Key Part B is correct and that the post was encrypted with this company's vault key."
-        );
-        setDecrypting(false);
-        return;
-      }
-
-      // 4. Look up the user by decrypted ID — show displayName + email ONLY
-      const userRef = doc(db, "users", userId);
-      const userSnap = await getDoc(userRef);
-
-      if (!userSnap.exists()) {
-        setError("User account no longer exists. Audit log will still be recorded.");
-      }
-
-      const userData = userSnap.exists() ? userSnap.data() : {};
-      const identity = {
-        displayName: userData.displayName || userData.username || "(unknown)",
-        email: userData.email || "(no email on record)",
-      };
-
-      setDisclosedIdentity(identity);
-
-      // 5. Log the disclosure — immutable audit record
-      const result = await logDisclosure(
+      // 1. Decrypt server-side: Key Part A stays in the vault and only the
+      //    identity comes back, never a key. With custodians, Part B is
+      //    rebuilt from the shares they submitted. The server writes the
+      //    immutable disclosure audit record before returning.
+      const { identity, auditId: disclosureAuditId } = await combineAndDecrypt(
         request.id,
-        request.reportId,
-        request.companyId,
-        currentUser.displayName || currentUser.username,
-        currentUser.id || currentUser.uid,
-        vaultData.dpoEmail,
-        request.legalJustification,
+        isCustody ? null : keyPartB.trim(),
         deliveryMethod
       );
 
-      setAuditId(result.auditId);
+      // 2. Show displayName + email ONLY
+      setDisclosedIdentity({
+        displayName: identity.displayName || identity.username || "(unknown)",
+        email: identity.email || "(no email on record)",
+      });
+
+      setAuditId(disclosureAuditId);
       setStep(STEPS.RESULT);
     } catch (err) {
       console.error("Disclosure error:", err);
@@ -242,6 +212,12 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
         </span>
       </label>
 
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
       {/* Actions */}
       <div className="flex justify-end gap-3 pt-2 border-t border-gray-200">
         <button
@@ -251,20 +227,20 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
           Cancel
         </button>
         <button
-          onClick={() => setStep(STEPS.KEY_INPUT)}
-          disabled={!legalBasisConfirmed}
+          onClick={handleContinueToKey}
+          disabled={!legalBasisConfirmed || loadingSession}
           className="px-4 py-2 text-sm font-medium text-white rounded-lg transition disabled:opacity-40 disabled:cursor-not-allowed"
           style={{ backgroundColor: NAVY }}
         >
-          Continue →
+          {loadingSession ? "Loading..." : "Continue →"}
         </button>
       </div>
     </div>
   );
 
   // ─── Step 1: Key Part B Input ───────────────────────────────────────────────
-  const renderStepKeyInput = () => (
-    <div className="space-y-5">
+  const renderKeyPartBInput = () => (
+    <>
       <div
         className="flex items-start gap-3 p-4 rounded-lg border"
         style={{ backgroundColor: "#FFFBEB", borderColor: "#F59E0B" }}
@@ -273,9 +249,9 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
         <div className="text-sm text-amber-800">
           <p className="font-semibold mb-1">Two-key authorization required</p>
           <p className="text-xs">
-            Key Part A has been retrieved from the secure vault. You must obtain
-            Key Part B from the company's DPO ({request.companyId}) and paste it below.
-            Neither part alone can decrypt the identity.
+            Key Part A is held in the company's key vault on the server. You must
+            obtain Key Part B from the company's DPO ({request.companyId}) and paste
+            it below. Neither part alone can decrypt the identity.
           </p>
         </div>
       </div>
@@ -300,6 +276,20 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
           {keyPartB.length} / 32 characters
         </p>
       </div>
+    </>
+  );
+
+  const renderStepKeyInput = () => (
+    <div className="space-y-5">
+      {isCustody ? (
+        <CustodianShareCollector
+          legalRequestId={request.id}
+          session={session}
+          onSessionChange={setSession}
+        />
+      ) : (
+        renderKeyPartBInput()
+      )}
 
       {error && (
         <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
@@ -323,7 +313,7 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
           </button>
           <button
             onClick={handleDecrypt}
-            disabled={decrypting || keyPartB.trim().length !== 32}
+            disabled={decrypting || (isCustody ? !hasEnoughShares : keyPartB.trim().length !== 32)}
             className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white rounded-lg transition disabled:opacity-40 disabled:cursor-not-allowed"
             style={{ backgroundColor: CORAL }}
           >
@@ -410,7 +400,7 @@ const DisclosureModal = ({ isOpen, onClose, request, currentUser }) => {
   // ─── Step labels ────────────────────────────────────────────────────────────
   const stepLabels = [
     "Confirm Legal Basis",
-    "Provide Key Part B",
+    isCustody ? "Collect Custodian Shares" : "Provide Key Part B",
     "Identity Disclosed",
   ];
 
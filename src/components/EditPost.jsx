@@ -2,7 +2,6 @@ import { useState, useEffect } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import { History, X, Upload, FileText, Trash2, Loader2, Eye, EyeOff } from "lucide-react";
 import { editPost, getPostEditHistory, updateDraft } from "../services/postEnhancementsService";
-import { encryptAuthorId } from "../services/postManagementService";
 import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from "firebase/storage";
 import { storage } from "../config/firebase";
 
@@ -214,13 +213,12 @@ const EditPost = ({ post, onClose, onSuccess }) => {
       };
 
       if (post.isDraft) {
-        // For drafts: use updateDraft (no author check on encrypted ID) and persist anonymous choice
+        // Drafts stay under the author's ID; the anonymous choice applies when published
         await updateDraft(post.id, {
           ...updateData,
           isAnonymous,
-          authorId: isAnonymous ? encryptAuthorId(userId) : userId,
-          authorName: isAnonymous ? "Anonymous" : (userData.displayName || "Unknown"),
-          creatorId: userId,
+          authorId: userId,
+          authorName: userData.displayName || "Unknown",
         });
       } else {
         await editPost(post.id, updateData, {
@@ -228,6 +226,7 @@ const EditPost = ({ post, onClose, onSuccess }) => {
           uid: userData.uid || userData.id,
           displayName: userData.displayName,
           role: userData.role,
+          authorToken: userData.authorToken,
         });
       }
 
@@ -3,7 +3,10 @@ import { useAuth } from "../contexts/AuthContext";
 import { useNavigate, Outlet, useLocation } from "react-router-dom";
 import { useTranslation } from "react-i18next";
 import { db } from "../config/firebase";
-import { collection, query, where, onSnapshot, getDocs, doc, getDoc } from "firebase/firestore";
+import { collection, query, where, onSnapshot, doc, getDoc } from "firebase/firestore";
+import { countUnreadMessages } from "../services/anonymousThreadService";
+import { getMyAnonymousPosts } from "../services/anonymousContentService";
+import { ThreadSender } from "../utils/constants";
 import {
   Home,
   Plus,
@@ -21,6 +24,7 @@ import {
   BookOpen,
   ChevronRight,
   LogOut,
+  Search,
 } from "lucide-react";
 
 const EmployeeLayout = ({ children }) => {
@@ -95,40 +99,14 @@ const EmployeeLayout = ({ children }) => {
 
     const fetchUnreadCount = async () => {
       try {
-        // Query by both authorId and creatorId to find all anonymous posts.
-        // Run separately so a missing composite index on creatorId doesn't break the primary query.
-        const snap1 = await getDocs(query(collection(db, "posts"), where("companyId", "==", userData.companyId), where("authorId", "==", userData.id), where("isAnonymous", "==", true)));
-        let snap2Docs = [];
-        try {
-          const snap2 = await getDocs(query(collection(db, "posts"), where("companyId", "==", userData.companyId), where("creatorId", "==", userData.id), where("isAnonymous", "==", true)));
-          snap2Docs = snap2.docs;
-        } catch { /* index not yet available */ }
-        const seenPosts = new Set();
-        const allAnonDocs = [];
-        [...snap1.docs, ...snap2Docs].forEach(d => { if (!seenPosts.has(d.id)) { seenPosts.add(d.id); allAnonDocs.push(d); } });
-        const postsSnap = { docs: allAnonDocs };
+        // Threads exist only on anonymous posts, whose authorId is encrypted
+        const anonymousPosts = await getMyAnonymousPosts({ authorToken: userData.authorToken, companyId: userData.companyId });
 
         let total = 0;
-        for (const postDoc of postsSnap.docs) {
-          const threadDoc = await getDoc(doc(db, "anonymousThreads", postDoc.id));
+        for (const post of anonymousPosts) {
+          const threadDoc = await getDoc(doc(db, "anonymousThreads", post.id));
           if (!threadDoc.exists()) continue;
-          const data = threadDoc.data();
-          const messages = data.messages || [];
-          const lastReadByReporter = data.lastReadBy?.reporter || null;
-          const lastReadTime = lastReadByReporter?.toDate
-            ? lastReadByReporter.toDate()
-            : lastReadByReporter
-              ? new Date(lastReadByReporter)
-              : null;
-          const unread = messages.filter((m) => {
-            if (m.sender !== "investigator") return false;
-            if (!lastReadTime) return true;
-            const msgTime = m.timestamp?.toDate
-              ? m.timestamp.toDate()
-              : new Date(m.timestamp);
-            return msgTime > lastReadTime;
-          });
-          total += unread.length;
+          total += countUnreadMessages(threadDoc.data(), ThreadSender.REPORTER);
         }
         setUnreadCount(total);
       } catch (err) {
@@ -139,7 +117,7 @@ const EmployeeLayout = ({ children }) => {
     fetchUnreadCount();
     const interval = setInterval(fetchUnreadCount, 30000);
     return () => clearInterval(interval);
-  }, [userData?.id, userData?.companyId]);
+  }, [userData?.id, userData?.companyId, userData?.authorToken]);
 
   const handleNavigate = (path) => {
     window.scrollTo({ top: 0, behavior: "instant" });
@@ -203,6 +181,7 @@ const EmployeeLayout = ({ children }) => {
   const quickLinks = [
     ...(isAdminOrHR ? [{ label: t("navigation.assignedToMe", "Assigned to Me"), path: "/assigned-to-me", icon: ClipboardCheck }] : []),
     { label: t("navigation.myPosts", "My Posts"), path: "/my-posts", icon: ClipboardList },
+    { label: t("navigation.search", "Search"), path: "/search", icon: Search },
     { label: t("navigation.policies", "Policies"), path: "/policies", icon: BookOpen },
     { label: t("navigation.help", "Help"), path: "/help", icon: HelpCircle },
   ];
@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import { toast } from "react-toastify";
+import DOMPurify from "dompurify";
+import { CheckCircle, XCircle, ShieldCheck, Loader2, FileText, MessageSquare, Lock } from "lucide-react";
+import {
+  getHeldContent,
+  reviewScreenedContent,
+  describeScreeningReason,
+} from "../services/contentScreeningService";
+import { ScreenedContentType } from "../utils/constants";
+
+const TYPE_ICONS = {
+  [ScreenedContentType.POST]: FileText,
+  [ScreenedContentType.COMMENT]: MessageSquare,
+  [ScreenedContentType.THREAD_MESSAGE]: Lock,
+};
+
+// Posts are stored as HTML; the queue shows plain text
+const toPlainText = (html) => DOMPurify.sanitize(html || "", { ALLOWED_TAGS: [] });
+
+const itemKey = (item) => `${item.contentType}:${item.contentId}:${item.messageId || ""}`;
+
+/**
+ * Content held by pre-publication screening, waiting for a moderator
+ * Shown in the Moderation Dashboard
+ */
+const HeldContentQueue = ({ companyId }) => {
+  const { t } = useTranslation();
+  const [items, setItems] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [reviewingKey, setReviewingKey] = useState(null);
+
+  const loadItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      setItems(await getHeldContent(companyId));
+    } catch (error) {
+      console.error("Error loading held content:", error);
+      toast.error(t("screening.loadFailed", "Failed to load content waiting for review"));
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId, t]);
+
+  useEffect(() => {
+    if (!companyId) return;
+    loadItems();
+  }, [companyId, loadItems]);
+
+  const handleReview = async (item, decision) => {
+    const key = itemKey(item);
+    try {
+      setReviewingKey(key);
+      await reviewScreenedContent({
+        contentType: item.contentType,
+        contentId: item.contentId,
+        messageId: item.messageId || null,
+        decision,
+        note: notes[key] || "",
+      });
+      setItems((prev) => prev.filter((entry) => itemKey(entry) !== key));
+      toast.success(decision === "approve"
+        ? t("screening.approved", "Published")
+        : t("screening.rejectedToast", "Rejected; it stays hidden"));
+    } catch (error) {
+      console.error("Error reviewing held content:", error);
+      toast.error(error.message || t("screening.reviewFailed", "Failed to save the decision"));
+    } finally {
+      setReviewingKey(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-2xl shadow-sm p-5 flex items-center justify-center">
+        <Loader2 size={18} className="animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const typeLabels = {
+    [ScreenedContentType.POST]: t("screening.types.post", "Post"),
+    [ScreenedContentType.COMMENT]: t("screening.types.comment", "Comment"),
+    [ScreenedContentType.THREAD_MESSAGE]: t("screening.types.threadMessage", "Private thread message"),
+  };
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-2xl p-6 shadow-sm">
+      <h2 className="text-lg font-semibold text-[#2D3E50] mb-1">
+        {t("screening.queueTitle", "Pending Review ({{count}})", { count: items.length })}
+      </h2>
+      <p className="text-sm text-gray-500 mb-5">
+        {t("screening.queueHelp", "Held by automatic screening before anyone else saw it. Approving publishes it; rejecting keeps it visible to its author only.")}
+      </p>
+
+      {items.length === 0 ? (
+        <div className="text-center py-12">
+          <ShieldCheck className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+          <p className="text-sm text-gray-500">{t("screening.queueEmpty", "Nothing is waiting for review")}</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {items.map((item) => {
+            const key = itemKey(item);
+            const Icon = TYPE_ICONS[item.contentType] || FileText;
+            const busy = reviewingKey === key;
+            return (
+              <div key={key} className="border border-gray-100 rounded-xl p-4">
+                <div className="flex items-center gap-2 text-xs text-gray-500 mb-2">
+                  <Icon size={14} />
+                  <span className="font-medium text-gray-700">{typeLabels[item.contentType]}</span>
+                  <span>· {item.authorName || t("screening.unknownAuthor", "Unknown")}</span>
+                  {item.createdAt && <span>· {item.createdAt.toLocaleString()}</span>}
+                </div>
+                {item.title && <p className="text-sm font-semibold text-gray-900 mb-1">{item.title}</p>}
+                <p className="text-sm text-gray-700 whitespace-pre-wrap break-words mb-3">{toPlainText(item.text)}</p>
+                <div className="flex flex-wrap gap-1.5 mb-3">
+                  {item.reasons.map((reason, index) => (
+                    <span key={index} className="px-2 py-0.5 bg-amber-50 text-amber-700 text-xs rounded-md border border-amber-100">
+                      {describeScreeningReason(reason, t)}
+                    </span>
+                  ))}
+                </div>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="text"
+                    value={notes[key] || ""}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [key]: e.target.value }))}
+                    placeholder={t("screening.notePlaceholder", "Note for the author (optional)")}
+                    className="flex-1 text-sm border border-gray-200 rounded-lg px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-[#1ABC9C]/30"
+                  />
+                  <button
+                    onClick={() => handleReview(item, "approve")}
+                    disabled={busy}
+                    className="inline-flex items-center justify-center gap-1.5 px-3 py-1.5 bg-[#1ABC9C] text-white text-sm font-medium rounded-lg hover:bg-[#16a085] disabled:opacity-50"
+                  >
+                    <CheckCircle size={14} />
+                    {t("screening.approve", "Approve")}
+                  </button>
+                  <button
+                    onClick={() => handleReview(item, "reject")}
+                    disabled={busy}
+                    className="inline-flex items-center justify-center gap-1.5 px-3 py-1.5 bg-red-50 text-red-600 text-sm font-medium rounded-lg hover:bg-red-100 disabled:opacity-50"
+                  >
+                    <XCircle size={14} />
+                    {t("screening.reject", "Reject")}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HeldContentQueue;
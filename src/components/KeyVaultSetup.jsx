@@ -24,6 +24,7 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
   const [dpoEmail, setDpoEmail] = useState("");
   const [submitting, setSubmitting] = useState(false);
   const [keyPartB, setKeyPartB] = useState(null);
+  const [shares, setShares] = useState(null); // set instead of keyPartB when custodians hold Part B
   const [keyVersion, setKeyVersion] = useState(null);
   const [copied, setCopied] = useState(false);
   const [error, setError] = useState("");
@@ -46,19 +47,12 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
     setSubmitting(true);
 
     try {
+      // Fails if the company already has a vault; rotate it instead
       const result = await initializeCompanyKeyVault(companyId.trim(), dpoEmail.trim());
 
-      if (result.existed) {
-        setError(
-          "A key vault already exists for this company. Use the Key Rotation tab to generate a new key pair."
-        );
-        setSubmitting(false);
-        return;
-      }
-
       setKeyPartB(result.keyPartB);
-      setKeyVersion(1);
-      if (onVaultInitialized) onVaultInitialized({ companyId, keyVersion: 1 });
+      setKeyVersion(result.keyVersion);
+      if (onVaultInitialized) onVaultInitialized({ companyId, keyVersion: result.keyVersion });
     } catch (err) {
       console.error("Error initializing vault:", err);
       setError(`Initialization failed: ${err.message}`);
@@ -81,6 +75,7 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
     try {
       const result = await rotateKey(companyId.trim());
       setKeyPartB(result.keyPartB);
+      setShares(result.shares);
       setKeyVersion(result.keyVersion);
       setRotateConfirmed(false);
       if (onVaultInitialized) onVaultInitialized({ companyId, keyVersion: result.keyVersion });
@@ -112,7 +107,7 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
   };
 
   // ─── Key Part B reveal panel ─────────────────────────────────────────────
-  if (keyPartB) {
+  if (keyPartB || shares) {
     return (
       <div className="max-w-lg mx-auto">
         <div
@@ -130,7 +125,9 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
                 One-time key — will not be shown again
               </p>
               <p className="text-red-100 text-xs mt-0.5">
-                Send Key Part B to the DPO immediately via a secure channel.
+                {shares
+                  ? "Send each custodian their own share immediately via a secure channel."
+                  : "Send Key Part B to the DPO immediately via a secure channel."}
               </p>
             </div>
           </div>
@@ -143,50 +140,79 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
               </p>
             )}
 
-            <div>
-              <p className="text-sm font-medium text-gray-700 mb-2">Key Part B</p>
-              <div className="flex items-center gap-2">
-                <code
-                  className="flex-1 px-3 py-2.5 text-sm font-mono rounded-lg border border-gray-300 bg-gray-50 break-all select-all"
-                  style={{ color: NAVY }}
-                >
-                  {keyPartB}
-                </code>
-                <button
-                  onClick={handleCopy}
-                  title="Copy to clipboard"
-                  className="flex-shrink-0 p-2 rounded-lg border transition"
-                  style={{
-                    borderColor: copied ? TEAL : "#D1D5DB",
-                    backgroundColor: copied ? "#E0F7FA" : "#F9FAFB",
-                    color: copied ? TEAL : "#6B7280",
-                  }}
-                >
-                  {copied ? <Check className="w-5 h-5" /> : <Copy className="w-5 h-5" />}
-                </button>
+            {shares ? (
+              <div className="space-y-3">
+                <p className="text-sm font-medium text-gray-700">Custodian Key Shares</p>
+                {shares.map((entry) => (
+                  <div key={entry.custodianId}>
+                    <p className="text-xs text-gray-500 mb-1">
+                      {entry.name}
+                      {entry.email ? ` · ${entry.email}` : ""}
+                    </p>
+                    <code
+                      className="block px-3 py-2 text-xs font-mono rounded-lg border border-gray-300 bg-gray-50 break-all select-all"
+                      style={{ color: NAVY }}
+                    >
+                      {entry.share}
+                    </code>
+                  </div>
+                ))}
               </div>
-              <p className="text-xs text-gray-500 mt-1">
-                {keyPartB.length} characters · Click the code block to select all
-              </p>
-            </div>
+            ) : (
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Key Part B</p>
+                <div className="flex items-center gap-2">
+                  <code
+                    className="flex-1 px-3 py-2.5 text-sm font-mono rounded-lg border border-gray-300 bg-gray-50 break-all select-all"
+                    style={{ color: NAVY }}
+                  >
+                    {keyPartB}
+                  </code>
+                  <button
+                    onClick={handleCopy}
+                    title="Copy to clipboard"
+                    className="flex-shrink-0 p-2 rounded-lg border transition"
+                    style={{
+                      borderColor: copied ? TEAL : "#D1D5DB",
+                      backgroundColor: copied ? "#E0F7FA" : "#F9FAFB",
+                      color: copied ? TEAL : "#6B7280",
+                    }}
+                  >
+                    {copied ? <Check className="w-5 h-5" /> : <Copy className="w-5 h-5" />}
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {keyPartB.length} characters · Click the code block to select all
+                </p>
+              </div>
+            )}
 
             <div
               className="text-xs rounded-lg p-3 space-y-1"
               style={{ backgroundColor: "#FFF8E1", color: "#92400E" }}
             >
               <p className="font-semibold">Next steps:</p>
-              <ol className="list-decimal list-inside space-y-0.5">
-                <li>Copy Key Part B using the button above.</li>
-                <li>Transmit it to the DPO via encrypted email or in-person handoff.</li>
-                <li>Instruct the DPO to store it securely (password manager / HSM).</li>
-                <li>Close this window — the key will NOT be displayed again.</li>
-              </ol>
+              {shares ? (
+                <ol className="list-decimal list-inside space-y-0.5">
+                  <li>Send each share only to its own custodian, separately.</li>
+                  <li>Instruct each custodian to store it securely (password manager / HSM).</li>
+                  <li>Close this window — the shares will NOT be displayed again.</li>
+                </ol>
+              ) : (
+                <ol className="list-decimal list-inside space-y-0.5">
+                  <li>Copy Key Part B using the button above.</li>
+                  <li>Transmit it to the DPO via encrypted email or in-person handoff.</li>
+                  <li>Instruct the DPO to store it securely (password manager / HSM).</li>
+                  <li>Close this window — the key will NOT be displayed again.</li>
+                </ol>
+              )}
             </div>
 
             <div className="pt-2 border-t border-gray-200">
               <button
                 onClick={() => {
                   setKeyPartB(null);
+                  setShares(null);
                   setKeyVersion(null);
                   setDpoEmail("");
                 }}
@@ -247,16 +273,19 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
             <Shield className="w-4 h-4 flex-shrink-0 mt-0.5" />
             {mode === "init" ? (
               <p>
-                Generates a 64-character AES key split into two 32-character halves.
-                Part A is stored securely in Firestore. Part B must be delivered to
-                the company DPO — it is shown only once and never stored.
+                Generates a 64-character key split into two 32-character halves that
+                together unlock the company's escrowed data key. Part A stays in the
+                vault on the server. Part B must be delivered to the company DPO — it
+                is shown only once and never stored.
               </p>
             ) : (
               <p>
-                Generates a new key pair for this company. The previous Part A is
-                replaced in Firestore. Part B is shown once for DPO delivery.
+                Generates a new key pair and data key for this company. The previous
+                Part A is replaced, every data key version is escrowed again under
+                the new pair, and existing content is re-encrypted with the new data
+                key in the background. Part B is shown once for DPO delivery.
                 <strong className="block mt-1 text-amber-700">
-                  Warning: existing encrypted posts will require the old key. Only rotate
+                  Warning: the old Part B stops working immediately. Only rotate
                   if the current key is compromised.
                 </strong>
               </p>
@@ -305,8 +334,8 @@ const KeyVaultSetup = ({ companyId: propCompanyId, onVaultInitialized }) => {
                 style={{ accentColor: CORAL }}
               />
               <span className="text-sm text-gray-700">
-                I understand that rotating the key will make previously encrypted
-                anonymous posts un-decryptable with the new key pair. This action is
+                I understand that rotating the key makes the current Key Part B
+                useless and that the DPO must receive the new one. This action is
                 irreversible.
               </span>
             </label>
@@ -0,0 +1,120 @@
+import { Clock, Users } from "lucide-react";
+import {
+  LegalRequestStatus,
+  LegalRequestType,
+  LegalRequestEvent,
+  LegalRequestEventConfig,
+} from "../utils/constants";
+
+/**
+ * Timeline entries of a request, falling back to its review fields for
+ * requests created before timelines were recorded
+ */
+const getEvents = (request) => {
+  if (request.timeline?.length > 0) {
+    return [...request.timeline].sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  const events = [];
+  if (request.createdAt) {
+    events.push({
+      id: "submitted",
+      type: LegalRequestEvent.SUBMITTED,
+      actorName: request.requestedBy,
+      at: request.createdAt,
+    });
+  }
+  if (request.reviewedAt && [LegalRequestStatus.REJECTED, LegalRequestStatus.APPROVED, LegalRequestStatus.FULFILLED].includes(request.status)) {
+    events.push({
+      id: "reviewed",
+      type: request.status === LegalRequestStatus.REJECTED ? LegalRequestEvent.REJECTED : LegalRequestEvent.APPROVED,
+      actorName: request.reviewedBy,
+      at: request.reviewedAt,
+      note: request.rejectionReason || request.approvalNotes || null,
+    });
+  }
+  if (request.fulfilledAt) {
+    events.push({ id: "fulfilled", type: LegalRequestEvent.FULFILLED, at: request.fulfilledAt });
+  }
+  return events;
+};
+
+/**
+ * LegalRequestTimeline — approval progress and full history of a legal
+ * request. Identity disclosure requests show how many of the required
+ * approvals are in and when their cooling-off period ends.
+ *
+ * Props:
+ *   request - Legal request from legalRequestService
+ */
+const LegalRequestTimeline = ({ request }) => {
+  const events = getEvents(request);
+  const isIdentityDisclosure = request.requestType === LegalRequestType.IDENTITY_DISCLOSURE;
+  const approvals = request.approvals || [];
+  const requiredApprovals = request.approvalPolicy?.requiredApprovals;
+  const coolingOffActive =
+    request.status === LegalRequestStatus.APPROVED &&
+    request.coolingOffEndsAt &&
+    request.coolingOffEndsAt > new Date();
+
+  return (
+    <div className="space-y-3">
+      {isIdentityDisclosure && requiredApprovals && (
+        <div className="flex flex-wrap items-center gap-3 text-xs">
+          <span className="flex items-center gap-1 font-medium text-gray-700">
+            <Users className="w-4 h-4" />
+            {Math.min(approvals.length, requiredApprovals)} of {requiredApprovals} approvals
+          </span>
+          {approvals.map((approval) => (
+            <span
+              key={approval.userId}
+              className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 border border-blue-200"
+            >
+              {approval.name || "Super admin"}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {coolingOffActive && (
+        <div className="flex items-center gap-2 p-2 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-800">
+          <Clock className="w-4 h-4 flex-shrink-0" />
+          Cooling-off period: identity cannot be disclosed before{" "}
+          {request.coolingOffEndsAt.toLocaleString()}
+        </div>
+      )}
+
+      {events.length > 0 && (
+        <ol className="relative border-l border-gray-200 ml-1.5 space-y-3">
+          {events.map((event) => {
+            const config = LegalRequestEventConfig[event.type];
+            return (
+              <li key={event.id || `${event.type}-${event.at}`} className="ml-4">
+                <span
+                  className={`absolute -left-1.5 mt-1 w-3 h-3 rounded-full border-2 border-white ${config?.dotColor || "bg-gray-400"}`}
+                />
+                <p className="text-sm text-gray-900">
+                  {config?.label || event.type}
+                  {event.type === LegalRequestEvent.APPROVAL && event.required
+                    ? ` (${event.count} of ${event.required})`
+                    : ""}
+                  {event.actorName && <span className="text-gray-500"> · {event.actorName}</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {new Date(event.at).toLocaleString()}
+                  {event.coolingOffEndsAt &&
+                    ` · cooling-off until ${new Date(event.coolingOffEndsAt).toLocaleString()}`}
+                </p>
+                {event.note && (
+                  <p className="text-xs text-gray-600 mt-0.5 whitespace-pre-line">{event.note}</p>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default LegalRequestTimeline;
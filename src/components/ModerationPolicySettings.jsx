@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import { toast } from "react-toastify";
+import { Ban, Lock, Hourglass, Archive, Loader2 } from "lucide-react";
+import {
+  getModerationPolicy,
+  updateModerationPolicy,
+} from "../services/moderationPolicyService";
+import {
+  ReportReason,
+  ReportReasonConfig,
+  MODERATION_POLICY_LIMITS,
+} from "../utils/constants";
+
+const toFormValue = (value) => (value === null || value === undefined ? "" : String(value));
+
+const toForm = (policy) => ({
+  restrictAtStrikes: toFormValue(policy.restrictAtStrikes),
+  restrictionDays: toFormValue(policy.restrictionDays),
+  suspendAtStrikes: toFormValue(policy.suspendAtStrikes),
+  suspensionDays: toFormValue(policy.suspensionDays),
+  strikeExpiryDays: toFormValue(policy.strikeExpiryDays),
+  escalationReasons: [...policy.escalationReasons],
+  criticalRetentionYears: toFormValue(policy.criticalRetentionYears),
+  standardRetentionYears: toFormValue(policy.standardRetentionYears),
+});
+
+const toPolicy = (form) => ({
+  restrictAtStrikes: Number(form.restrictAtStrikes),
+  restrictionDays: Number(form.restrictionDays),
+  suspendAtStrikes: Number(form.suspendAtStrikes),
+  suspensionDays: Number(form.suspensionDays),
+  strikeExpiryDays: form.strikeExpiryDays === "" ? null : Number(form.strikeExpiryDays),
+  escalationReasons: form.escalationReasons,
+  criticalRetentionYears: Number(form.criticalRetentionYears),
+  standardRetentionYears: Number(form.standardRetentionYears),
+});
+
+/**
+ * Company moderation policy: strike ladder, strike expiry, HR escalation
+ * and report retention
+ * Shown in the Moderation Dashboard; only company admins can change it
+ */
+const ModerationPolicySettings = ({ companyId, canEdit }) => {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadPolicy = useCallback(async () => {
+    try {
+      setLoading(true);
+      setForm(toForm(await getModerationPolicy(companyId)));
+    } catch (error) {
+      console.error("Error loading moderation policy:", error);
+      toast.error(t("moderationPolicy.loadFailed", "Failed to load the moderation policy"));
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId, t]);
+
+  useEffect(() => {
+    if (!companyId) return;
+    loadPolicy();
+  }, [companyId, loadPolicy]);
+
+  const updateField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleReason = (reason) => {
+    setForm((prev) => ({
+      ...prev,
+      escalationReasons: prev.escalationReasons.includes(reason)
+        ? prev.escalationReasons.filter((r) => r !== reason)
+        : [...prev.escalationReasons, reason],
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setForm(toForm(await updateModerationPolicy(companyId, toPolicy(form))));
+      toast.success(t("moderationPolicy.saved", "Moderation policy saved"));
+    } catch (error) {
+      console.error("Error saving moderation policy:", error);
+      toast.error(error.message || t("moderationPolicy.saveFailed", "Failed to save the moderation policy"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !form) {
+    return (
+      <div className="bg-white rounded-2xl shadow-sm p-5 flex items-center justify-center">
+        <Loader2 size={18} className="animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const sections = [
+    {
+      key: "ladder",
+      title: t("moderationPolicy.ladder", "Strike ladder"),
+      rows: [
+        { field: "restrictAtStrikes", icon: Ban, label: t("moderationPolicy.restrictAt", "Restrict posting at"), unit: t("moderationPolicy.strikes", "strikes"), min: 1, max: MODERATION_POLICY_LIMITS.MAX_STRIKES - 1 },
+        { field: "restrictionDays", icon: Ban, label: t("moderationPolicy.restrictionDays", "Posting restriction lasts"), unit: t("moderationPolicy.days", "days"), min: 1, max: MODERATION_POLICY_LIMITS.MAX_RESTRICTION_DAYS },
+        { field: "suspendAtStrikes", icon: Lock, label: t("moderationPolicy.suspendAt", "Suspend the account at"), unit: t("moderationPolicy.strikes", "strikes"), min: 2, max: MODERATION_POLICY_LIMITS.MAX_STRIKES },
+        { field: "suspensionDays", icon: Lock, label: t("moderationPolicy.suspensionDays", "Suspension lasts"), unit: t("moderationPolicy.days", "days"), min: 1, max: MODERATION_POLICY_LIMITS.MAX_RESTRICTION_DAYS },
+        { field: "strikeExpiryDays", icon: Hourglass, label: t("moderationPolicy.strikeExpiry", "Strikes expire after"), unit: t("moderationPolicy.days", "days"), min: 1, max: MODERATION_POLICY_LIMITS.MAX_EXPIRY_DAYS, optional: true },
+      ],
+    },
+    {
+      key: "retention",
+      title: t("moderationPolicy.retention", "Report retention"),
+      rows: [
+        { field: "criticalRetentionYears", icon: Archive, label: t("moderationPolicy.criticalRetention", "Keep escalated reports for"), unit: t("moderationPolicy.years", "years"), min: 1, max: MODERATION_POLICY_LIMITS.MAX_RETENTION_YEARS },
+        { field: "standardRetentionYears", icon: Archive, label: t("moderationPolicy.standardRetention", "Keep other reports for"), unit: t("moderationPolicy.years", "years"), min: 1, max: MODERATION_POLICY_LIMITS.MAX_RETENTION_YEARS },
+      ],
+    },
+  ];
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-5">
+      <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">
+        {t("moderationPolicy.title", "Moderation Policy")}
+      </h3>
+      <p className="text-xs text-gray-500 mb-4">
+        {canEdit
+          ? t("moderationPolicy.description", "Applies to new reports and strikes. Leave the strike expiry empty so strikes never expire.")
+          : t("moderationPolicy.readOnly", "Only company admins can change the moderation policy.")}
+      </p>
+
+      {sections.map((section) => (
+        <div key={section.key} className="mb-5">
+          <p className="text-sm font-semibold text-gray-700 mb-1">{section.title}</p>
+          {section.rows.map((row) => {
+            const Icon = row.icon;
+            return (
+              <div key={row.field} className="flex items-center gap-3 py-2 border-t border-gray-50">
+                <Icon size={16} className="text-gray-400 flex-shrink-0" />
+                <span className="text-sm text-gray-700 flex-1">{row.label}</span>
+                <input
+                  type="number"
+                  min={row.min}
+                  max={row.max}
+                  value={form[row.field]}
+                  disabled={!canEdit}
+                  onChange={(e) => updateField(row.field, e.target.value)}
+                  placeholder={row.optional ? t("moderationPolicy.never", "Never") : ""}
+                  className="w-20 text-sm text-right border border-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-[#1ABC9C]/30 disabled:bg-gray-50"
+                />
+                <span className="text-xs text-gray-500 w-12">{row.unit}</span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+
+      <div className="mb-5">
+        <p className="text-sm font-semibold text-gray-700 mb-1">
+          {t("moderationPolicy.escalation", "Escalate to HR")}
+        </p>
+        <p className="text-xs text-gray-500 mb-2">
+          {t("moderationPolicy.escalationHelp", "Reports for these reasons are marked critical, placed on legal hold and sent to HR straight away.")}
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {Object.values(ReportReason).map((reason) => (
+            <label key={reason} className="inline-flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.escalationReasons.includes(reason)}
+                disabled={!canEdit}
+                onChange={() => toggleReason(reason)}
+                className="rounded border-gray-300 text-[#1ABC9C] focus:ring-[#1ABC9C]"
+              />
+              {ReportReasonConfig[reason]?.icon} {ReportReasonConfig[reason]?.label || reason}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {canEdit && (
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="w-full bg-[#1ABC9C] text-white rounded-xl py-2.5 text-sm font-medium hover:bg-[#16a085] transition-colors disabled:opacity-50"
+        >
+          {saving ? t("moderationPolicy.saving", "Saving...") : t("moderationPolicy.save", "Save")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ModerationPolicySettings;
@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import { Scale } from "lucide-react";
+import AppealModal from "./AppealModal";
+import { getUserModerationHistory, getMyAppeals } from "../services/moderationService";
+import { isStrikeActive } from "../services/moderationPolicyService";
+import { AppealStatusConfig } from "../utils/constants";
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+/**
+ * The user's own strikes with their appeal status, shown on the Profile page
+ * Renders nothing for users who have never received a strike
+ */
+const MyStrikes = ({ userId, companyId }) => {
+  const { t } = useTranslation();
+  const [strikes, setStrikes] = useState([]);
+  const [appealsByStrike, setAppealsByStrike] = useState({});
+  const [appealTarget, setAppealTarget] = useState(null);
+
+  const loadStrikes = useCallback(async () => {
+    try {
+      const [history, appeals] = await Promise.all([
+        getUserModerationHistory(userId, companyId),
+        getMyAppeals(userId, companyId),
+      ]);
+      setStrikes(history.strikes);
+      setAppealsByStrike(Object.fromEntries(appeals.map((appeal) => [appeal.strikeId, appeal])));
+    } catch (error) {
+      console.error("Error loading strikes:", error);
+    }
+  }, [userId, companyId]);
+
+  useEffect(() => {
+    if (!userId || !companyId) return;
+    loadStrikes();
+  }, [userId, companyId, loadStrikes]);
+
+  if (strikes.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-5 mb-4">
+      <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-3">
+        {t("appeals.myStrikes", "Moderation Strikes")}
+      </h3>
+      <div className="divide-y divide-gray-50">
+        {strikes.map((strike) => {
+          const appeal = appealsByStrike[strike.id];
+          const statusConfig = appeal && AppealStatusConfig[appeal.status];
+          const issuedAt = toDate(strike.issuedAt);
+          return (
+            <div key={strike.id} className="flex items-center gap-3 py-3.5">
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-semibold text-gray-900 truncate">
+                  {strike.violationType || t("appeals.guidelinesViolation", "Guidelines violation")}
+                </div>
+                <div className="text-xs text-gray-400 mt-0.5">
+                  {t("appeals.strikeLevel", "Strike {{level}}", { level: strike.strikeLevel })}
+                  {issuedAt && ` · ${issuedAt.toLocaleDateString()}`}
+                  {strike.reversedAt
+                    ? ` · ${t("appeals.reversed", "Reversed")}`
+                    : !isStrikeActive(strike) && ` · ${t("appeals.expired", "Expired")}`}
+                </div>
+              </div>
+              {statusConfig ? (
+                <span className={`px-2 py-0.5 text-xs font-medium rounded-md ${statusConfig.bgColor} ${statusConfig.textColor}`}>
+                  {t(`appeals.status.${appeal.status}`, statusConfig.label)}
+                </span>
+              ) : (
+                !strike.reversedAt && (
+                  <button
+                    onClick={() => setAppealTarget(strike)}
+                    className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors"
+                  >
+                    <Scale size={14} />
+                    {t("appeals.appeal", "Appeal")}
+                  </button>
+                )
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <AppealModal
+        isOpen={!!appealTarget}
+        onClose={() => setAppealTarget(null)}
+        strikeId={appealTarget?.id}
+        violationType={appealTarget?.violationType}
+        onFiled={loadStrikes}
+      />
+    </div>
+  );
+};
+
+export default MyStrikes;
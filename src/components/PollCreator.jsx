@@ -47,11 +47,9 @@ const PollCreator = ({ onPollChange, initialPoll = null }) => {
   const updatePoll = (q, opts, mc, ed) => {
     const pollData = {
       question: q,
-      options: opts.map((text) => ({ text, votes: [] })),
+      options: opts.map((text) => ({ text })),
       multipleChoice: mc,
       endDate: ed ? new Date(ed) : null,
-      totalVotes: 0,
-      voters: [],
     };
 
     const validation = validatePollData(pollData);
@@ -1,32 +1,38 @@
 import { useState, useEffect } from "react";
 import { CheckCircle2, Clock, BarChart3 } from "lucide-react";
-import { votePoll, getUserVotes, getPollStats, hasUserVoted } from "../services/pollService";
+import { votePoll, getPollStats } from "../services/pollService";
 import { useAuth } from "../contexts/AuthContext";
 
 /**
  * PollDisplay Component
  * Displays a poll and allows users to vote
+ * Vote counts come from the post's pollCounts; the user's own choices come
+ * from their poll ballot
  */
-const PollDisplay = ({ poll, postId, onVoteUpdate }) => {
+const PollDisplay = ({ poll, postId, pollCounts = null, initialUserChoices = null, onVoteUpdate }) => {
   const { userData } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-  const [localPoll, setLocalPoll] = useState(poll);
+  const [localCounts, setLocalCounts] = useState(pollCounts || {});
+  const [userVotes, setUserVotes] = useState(initialUserChoices || []);
 
-  // Sync localPoll with poll prop when it changes (e.g. from parent onSnapshot)
+  // Sync with the post's counters and the user's ballot when they change (e.g. from parent onSnapshot)
   useEffect(() => {
-    if (poll && !loading) {
-      setLocalPoll(poll);
+    if (!loading) {
+      setLocalCounts(pollCounts || {});
     }
-  }, [poll]);
+  }, [pollCounts]);
+
+  useEffect(() => {
+    setUserVotes(initialUserChoices || []);
+  }, [initialUserChoices]);
 
   if (!poll || !poll.options) {
     return null;
   }
 
-  const stats = getPollStats(localPoll);
-  const userVotes = getUserVotes(localPoll, userData?.id);
-  const hasVoted = hasUserVoted(localPoll, userData?.id);
+  const stats = getPollStats(poll, localCounts);
+  const hasVoted = userVotes.length > 0;
 
   const handleVote = async (optionIndex) => {
     if (!userData?.id) {
@@ -47,10 +53,11 @@ const PollDisplay = ({ poll, postId, onVoteUpdate }) => {
     setError("");
 
     try {
-      const updatedPoll = await votePoll(postId, optionIndex, userData.id);
-      setLocalPoll(updatedPoll);
+      const result = await votePoll(postId, optionIndex);
+      setLocalCounts(result.pollCounts);
+      setUserVotes(result.choices);
       if (onVoteUpdate) {
-        onVoteUpdate(updatedPoll);
+        onVoteUpdate(result);
       }
     } catch (error) {
       console.error("Error voting on poll:", error);
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { Flag } from "lucide-react";
 import ReactionButton from "./ReactionButton";
 import CommentsEnhanced from "./CommentsEnhanced";
@@ -6,12 +6,16 @@ import ReportContentModal from "./ReportContentModal";
 import { useTranslation } from "react-i18next";
 import { useAuth } from "../contexts/AuthContext";
 import DOMPurify from "dompurify";
+import { subscribeToMyBallots } from "../services/ballotService";
+import { isContentAuthor } from "../services/anonymousContentService";
+import ScreeningNotice from "./ScreeningNotice";
 
 import {
   PostStatusConfig,
   PostPriorityConfig,
   PostType,
   ReportableContentType,
+  BallotKind,
 } from "../utils/constants";
 
 const Post = ({ post }) => {
@@ -20,6 +24,13 @@ const Post = ({ post }) => {
 
   const [isExpanded, setIsExpanded] = useState(false);
   const [showReportModal, setShowReportModal] = useState(false);
+  const [myBallots, setMyBallots] = useState({});
+
+  useEffect(() => {
+    if (!userData?.authorToken) return;
+    const unsub = subscribeToMyBallots(post.id, userData.authorToken, setMyBallots);
+    return () => unsub();
+  }, [userData?.authorToken, post.id]);
 
   // Check if this is a problem report to show status/priority
   const isProblemReport = post.type === PostType.PROBLEM_REPORT;
@@ -241,6 +252,7 @@ const Post = ({ post }) => {
 
       {/* Post Content */}
       <div className="p-3 sm:p-4">
+        {isContentAuthor(post, userData) && <ScreeningNotice content={post} />}
         <h2 className="text-lg sm:text-xl font-semibold text-slate-900 mb-2">
           {post.title}
         </h2>
@@ -457,7 +469,8 @@ const Post = ({ post }) => {
           reactionButton={
             <ReactionButton
               postId={post.id}
-              initialReactions={post.reactions || {}}
+              initialReactionCounts={post.reactionCounts || {}}
+              initialUserReaction={myBallots[BallotKind.REACTION] || null}
               postAuthorId={post.authorId}
               postAuthorName={post.authorName}
               postTitle={post.title}
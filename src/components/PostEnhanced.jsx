@@ -26,12 +26,16 @@ import {
   PostType,
   ReportableContentType,
   UserRole,
+  BallotKind,
 } from "../utils/constants";
 import { getEditHistory } from "../services/postEnhancedFeaturesService";
 import { deletePost } from "../services/postManagementService";
+import { isContentAuthor } from "../services/anonymousContentService";
 import { subscribeToBookmark, toggleBookmark } from "../services/bookmarkService";
+import { subscribeToMyBallots } from "../services/ballotService";
 import { showSuccess, showError, showPromise } from "../services/toastService";
 import CommentsEnhanced from "./CommentsEnhanced";
+import ScreeningNotice from "./ScreeningNotice";
 import EditPost from "./EditPost";
 
 const PostEnhanced = ({ post }) => {
@@ -51,6 +55,7 @@ const PostEnhanced = ({ post }) => {
   const [showEditModal, setShowEditModal] = useState(false);
   const [isBookmarked, setIsBookmarked] = useState(false);
   const [bookmarkLoading, setBookmarkLoading] = useState(false);
+  const [myBallots, setMyBallots] = useState({});
 
   useEffect(() => {
     if (!userData?.id) return;
@@ -58,6 +63,12 @@ const PostEnhanced = ({ post }) => {
     return () => unsub();
   }, [userData?.id, post.id]);
 
+  useEffect(() => {
+    if (!userData?.authorToken) return;
+    const unsub = subscribeToMyBallots(post.id, userData.authorToken, setMyBallots);
+    return () => unsub();
+  }, [userData?.authorToken, post.id]);
+
   const handleToggleBookmark = async () => {
     if (!userData?.id || bookmarkLoading) return;
     setBookmarkLoading(true);
@@ -73,9 +84,7 @@ const PostEnhanced = ({ post }) => {
 
   const isProblemReport = post.type === PostType.PROBLEM_REPORT;
 
-  const isAuthor =
-    userData &&
-    (userData.id === post.authorId || userData.uid === post.authorId);
+  const isAuthor = isContentAuthor(post, userData);
   const isAdmin =
     userData &&
     [UserRole.SUPER_ADMIN, UserRole.COMPANY_ADMIN, UserRole.HR].includes(userData.role);
@@ -320,6 +329,7 @@ const PostEnhanced = ({ post }) => {
 
         {/* Post Content */}
         <div className="px-4 sm:px-5 pb-4">
+          {isAuthor && <ScreeningNotice content={post} />}
           <h2 className="text-base sm:text-lg font-semibold text-slate-900 mb-2 break-words leading-snug">
             {post.title}
           </h2>
@@ -376,7 +386,12 @@ const PostEnhanced = ({ post }) => {
                 </svg>
                 <h4 className="font-semibold text-blue-900 text-sm">Poll</h4>
               </div>
-              <PollDisplay poll={post.poll} postId={post.id} />
+              <PollDisplay
+                poll={post.poll}
+                postId={post.id}
+                pollCounts={post.pollCounts}
+                initialUserChoices={myBallots[BallotKind.POLL]}
+              />
             </div>
           </div>
         )}
@@ -462,13 +477,15 @@ const PostEnhanced = ({ post }) => {
             <>
               <VotingButton
                 postId={post.id}
-                initialUpvotes={post.upvotes || []}
-                initialDownvotes={post.downvotes || []}
+                initialUpvotes={post.upvoteCount || 0}
+                initialDownvotes={post.downvoteCount || 0}
+                initialUserVote={myBallots[BallotKind.VOTE] || null}
               />
               <div className="h-5 w-px bg-slate-200 mx-1.5" />
               <ReactionButton
                 postId={post.id}
-                initialReactions={post.reactions || {}}
+                initialReactionCounts={post.reactionCounts || {}}
+                initialUserReaction={myBallots[BallotKind.REACTION] || null}
                 postAuthorId={post.authorId}
                 postAuthorName={post.authorName}
                 postTitle={post.title}
@@ -492,7 +509,7 @@ const PostEnhanced = ({ post }) => {
                   <span className="hidden sm:inline text-xs">{isBookmarked ? "Saved" : "Save"}</span>
                 </button>
               )}
-              {userData && userData.id !== post.authorId && (
+              {userData && !isAuthor && (
                 <button
                   onClick={() => setShowReportModal(true)}
                   className="flex items-center gap-1 px-2 sm:px-3 py-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors text-sm"
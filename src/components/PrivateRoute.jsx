@@ -4,7 +4,16 @@ import { useAuth } from "../contexts/AuthContext";
 const PrivateRoute = ({ children }) => {
   const { currentUser } = useAuth();
 
-  return currentUser ? children : <Navigate to="/login" />;
+  if (!currentUser) {
+    return <Navigate to="/login" />;
+  }
+
+  // Admin-required password changes are completed on the login page
+  if (currentUser.mustChangePassword) {
+    return <Navigate to="/login" />;
+  }
+
+  return children;
 };
 
 export default PrivateRoute;
@@ -1,23 +1,18 @@
 import { useState, useEffect } from "react";
-import {
-  doc,
-  updateDoc,
-  arrayUnion,
-  arrayRemove,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
-import { useAuth } from "../contexts/AuthContext";
+import { castBallot } from "../services/ballotService";
+import { BallotKind } from "../utils/constants";
 import { SmilePlus } from "lucide-react";
 
 const ReactionButton = ({
   postId,
-  initialReactions = {},
+  initialReactionCounts = {},
+  initialUserReaction = null,
   postAuthorId,
   postAuthorName,
   postTitle,
 }) => {
-  const { userData } = useAuth();
-  const [reactions, setReactions] = useState(initialReactions);
+  const [reactionCounts, setReactionCounts] = useState(initialReactionCounts);
+  const [currentUserReaction, setCurrentUserReaction] = useState(initialUserReaction);
   const [showReactionPicker, setShowReactionPicker] = useState(false);
   const [loading, setLoading] = useState(false);
 
@@ -33,59 +28,34 @@ const ReactionButton = ({
   ];
 
   useEffect(() => {
-    setReactions(initialReactions);
-  }, [initialReactions]);
+    setReactionCounts(initialReactionCounts);
+  }, [initialReactionCounts]);
 
-  const getUserReaction = () => {
-    for (const type of reactionTypes) {
-      const reactionList = reactions[type.type] || [];
-      if (reactionList.includes(userData?.id)) return type.type;
-    }
-    return null;
-  };
+  useEffect(() => {
+    setCurrentUserReaction(initialUserReaction);
+  }, [initialUserReaction]);
 
   const getTotalCount = () => {
-    return Object.values(reactions).reduce((total, users) => {
-      return total + (Array.isArray(users) ? users.length : 0);
-    }, 0);
+    return Object.values(reactionCounts).reduce((total, count) => total + (count || 0), 0);
   };
 
   const getTopReactions = () => {
     return reactionTypes
-      .map((rt) => ({ ...rt, count: (reactions[rt.type] || []).length }))
+      .map((rt) => ({ ...rt, count: reactionCounts[rt.type] || 0 }))
       .filter((rt) => rt.count > 0)
       .sort((a, b) => b.count - a.count)
       .slice(0, 3);
   };
 
+  // Reacting again with the current reaction removes it; another type replaces it
   const handleReaction = async (reactionType) => {
     if (loading) return;
     setLoading(true);
-    const currentReaction = getUserReaction();
 
     try {
-      const postRef = doc(db, "posts", postId);
-
-      if (currentReaction) {
-        await updateDoc(postRef, {
-          [`reactions.${currentReaction}`]: arrayRemove(userData.id),
-        });
-        setReactions((prev) => ({
-          ...prev,
-          [currentReaction]: (prev[currentReaction] || []).filter((id) => id !== userData.id),
-        }));
-      }
-
-      if (currentReaction !== reactionType) {
-        await updateDoc(postRef, {
-          [`reactions.${reactionType}`]: arrayUnion(userData.id),
-        });
-        setReactions((prev) => ({
-          ...prev,
-          [reactionType]: [...(prev[reactionType] || []), userData.id],
-        }));
-      }
-
+      const { choice, counts } = await castBallot(postId, BallotKind.REACTION, reactionType);
+      setReactionCounts(counts.reactionCounts);
+      setCurrentUserReaction(choice);
       setShowReactionPicker(false);
     } catch (error) {
       console.error("Error updating reaction:", error);
@@ -94,7 +64,6 @@ const ReactionButton = ({
     }
   };
 
-  const currentUserReaction = getUserReaction();
   const currentReactionData = reactionTypes.find((rt) => rt.type === currentUserReaction);
   const topReactions = getTopReactions();
   const totalCount = getTotalCount();
@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import { toast } from "react-toastify";
+import { Archive, Trash2, BellOff, Scale, Eye, Loader2 } from "lucide-react";
+import {
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  previewRetention,
+} from "../services/retentionService";
+
+const EMPTY_POLICY = {
+  enabled: false,
+  archiveResolvedAfterDays: "",
+  deleteArchivedAfterDays: "",
+  purgeReadNotificationsAfterDays: "",
+};
+
+const toFormValue = (days) => (days === null || days === undefined ? "" : String(days));
+
+const toPolicy = (form) => ({
+  enabled: form.enabled,
+  archiveResolvedAfterDays: form.archiveResolvedAfterDays === "" ? null : Number(form.archiveResolvedAfterDays),
+  deleteArchivedAfterDays: form.deleteArchivedAfterDays === "" ? null : Number(form.deleteArchivedAfterDays),
+  purgeReadNotificationsAfterDays: form.purgeReadNotificationsAfterDays === "" ? null : Number(form.purgeReadNotificationsAfterDays),
+});
+
+/**
+ * Company retention policy settings with a dry-run preview
+ * Shown to company admins in the company settings
+ */
+const RetentionSettings = ({ companyId }) => {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(EMPTY_POLICY);
+  const [lastRun, setLastRun] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const loadPolicy = useCallback(async () => {
+    try {
+      setLoading(true);
+      const policy = await getRetentionPolicy(companyId);
+      setForm({
+        enabled: policy.enabled,
+        archiveResolvedAfterDays: toFormValue(policy.archiveResolvedAfterDays),
+        deleteArchivedAfterDays: toFormValue(policy.deleteArchivedAfterDays),
+        purgeReadNotificationsAfterDays: toFormValue(policy.purgeReadNotificationsAfterDays),
+      });
+      setLastRun(policy.lastRunAt ? { at: policy.lastRunAt, summary: policy.lastRunSummary } : null);
+    } catch (error) {
+      console.error("Error loading retention policy:", error);
+      toast.error(t("retention.loadFailed", "Failed to load retention settings"));
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId, t]);
+
+  useEffect(() => {
+    if (!companyId) return;
+    loadPolicy();
+  }, [companyId, loadPolicy]);
+
+  const updateField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setPreview(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await updateRetentionPolicy(companyId, toPolicy(form));
+      toast.success(t("retention.saved", "Retention settings saved"));
+    } catch (error) {
+      console.error("Error saving retention policy:", error);
+      toast.error(error.message || t("retention.saveFailed", "Failed to save retention settings"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      setPreview(await previewRetention(companyId, toPolicy(form)));
+    } catch (error) {
+      console.error("Error previewing retention policy:", error);
+      toast.error(error.message || t("retention.previewFailed", "Failed to preview retention settings"));
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const rules = [
+    {
+      field: "archiveResolvedAfterDays",
+      icon: Archive,
+      label: t("retention.archiveResolved", "Archive resolved and closed posts after"),
+    },
+    {
+      field: "deleteArchivedAfterDays",
+      icon: Trash2,
+      label: t("retention.deleteArchived", "Permanently delete archived posts after"),
+    },
+    {
+      field: "purgeReadNotificationsAfterDays",
+      icon: BellOff,
+      label: t("retention.purgeNotifications", "Delete read notifications after"),
+    },
+  ];
+
+  const previewSections = preview ? [
+    { key: "archive", title: t("retention.willArchive", "Will be archived"), data: preview.archive, color: "text-amber-700" },
+    { key: "delete", title: t("retention.willDelete", "Will be permanently deleted"), data: preview.delete, color: "text-red-700" },
+    { key: "held", title: t("retention.heldSkipped", "Skipped: under legal hold"), data: preview.held, color: "text-indigo-700" },
+  ] : [];
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-2xl shadow-sm p-5 mb-4 flex items-center justify-center">
+        <Loader2 size={18} className="animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-5 mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider">
+          {t("retention.title", "Data Retention")}
+        </h3>
+        <label className="inline-flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={(e) => updateField("enabled", e.target.checked)}
+            className="rounded border-gray-300 text-[#1ABC9C] focus:ring-[#1ABC9C]"
+          />
+          {t("retention.enabled", "Enabled")}
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        {t("retention.description", "Rules run daily. Leave a field empty to turn that rule off. Content under legal hold is never archived or deleted.")}
+      </p>
+
+      <div className="space-y-3">
+        {rules.map((rule) => {
+          const Icon = rule.icon;
+          return (
+            <div key={rule.field} className="flex items-center gap-3 py-2 border-t border-gray-50">
+              <Icon size={16} className="text-gray-400 flex-shrink-0" />
+              <span className="text-sm text-gray-700 flex-1">{rule.label}</span>
+              <input
+                type="number"
+                min="1"
+                max="3650"
+                value={form[rule.field]}
+                onChange={(e) => updateField(rule.field, e.target.value)}
+                placeholder={t("retention.off", "Off")}
+                className="w-20 text-sm text-right border border-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-[#1ABC9C]/30"
+              />
+              <span className="text-xs text-gray-500 w-8">{t("retention.days", "days")}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {lastRun && (
+        <p className="text-xs text-gray-400 mt-3">
+          {t("retention.lastRun", "Last run {{date}}: {{archived}} archived, {{deleted}} deleted, {{held}} held, {{notifications}} notifications purged", {
+            date: new Date(lastRun.at).toLocaleString(),
+            archived: lastRun.summary?.archived || 0,
+            deleted: lastRun.summary?.deleted || 0,
+            held: lastRun.summary?.held || 0,
+            notifications: lastRun.summary?.notificationsPurged || 0,
+          })}
+        </p>
+      )}
+
+      <div className="flex gap-2 mt-4">
+        <button
+          onClick={handlePreview}
+          disabled={previewing}
+          className="flex-1 inline-flex items-center justify-center gap-1.5 border border-gray-200 text-gray-700 rounded-xl py-2.5 text-sm font-medium hover:bg-gray-50 transition-colors disabled:opacity-50"
+        >
+          {previewing ? <Loader2 size={14} className="animate-spin" /> : <Eye size={14} />}
+          {t("retention.preview", "Preview (dry run)")}
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 bg-[#1ABC9C] text-white rounded-xl py-2.5 text-sm font-medium hover:bg-[#16a085] transition-colors disabled:opacity-50"
+        >
+          {saving ? t("retention.saving", "Saving...") : t("retention.save", "Save")}
+        </button>
+      </div>
+
+      {preview && (
+        <div className="mt-4 pt-4 border-t border-gray-100 space-y-4">
+          {previewSections.map(({ key, title, data, color }) => (
+            <div key={key}>
+              <p className={`text-sm font-semibold ${color}`}>
+                {title}: {data.count}{data.truncated ? "+" : ""}
+              </p>
+              {data.posts.length > 0 && (
+                <ul className="mt-1 space-y-1 max-h-40 overflow-y-auto">
+                  {data.posts.map((post) => (
+                    <li key={post.id} className="flex items-center gap-2 text-xs text-gray-600">
+                      {key === "held" && <Scale size={12} className="text-indigo-500 flex-shrink-0" />}
+                      <span className="truncate flex-1">{post.title || post.id}</span>
+                      {post.status && <span className="text-gray-400">{post.status}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+          <p className="text-sm font-semibold text-gray-700">
+            {t("retention.willPurge", "Read notifications to delete")}: {preview.notifications.count}
+          </p>
+          {(preview.archive.truncated || preview.delete.truncated) && (
+            <p className="text-xs text-gray-400">
+              {t("retention.truncated", "Each run handles up to {{count}} posts per rule; the rest follow on later runs.", { count: preview.maxActionsPerRule })}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RetentionSettings;
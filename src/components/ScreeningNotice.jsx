@@ -0,0 +1,65 @@
+import { useTranslation } from "react-i18next";
+import { Hourglass, ShieldAlert, XCircle } from "lucide-react";
+import { describeScreeningReason } from "../services/contentScreeningService";
+import { ScreeningStatus } from "../utils/constants";
+
+/**
+ * ScreeningNotice - tells an author why others cannot see their post,
+ * comment or message yet. Renders nothing once the content is cleared.
+ *
+ * Props:
+ *   content - Post, comment or thread message with screeningStatus and screeningReasons
+ *   compact - Smaller single-line style for comments and messages
+ */
+const ScreeningNotice = ({ content, compact = false }) => {
+  const { t } = useTranslation();
+  const status = content?.screeningStatus;
+
+  const states = {
+    [ScreeningStatus.PENDING]: {
+      icon: Hourglass,
+      classes: "bg-gray-50 border-gray-200 text-gray-600",
+      text: t("screening.pending", "Being checked. Only you can see this until it is published."),
+    },
+    [ScreeningStatus.PENDING_REVIEW]: {
+      icon: ShieldAlert,
+      classes: "bg-amber-50 border-amber-200 text-amber-800",
+      text: t("screening.held", "Held for review by a moderator. Only you can see this for now."),
+    },
+    [ScreeningStatus.REJECTED]: {
+      icon: XCircle,
+      classes: "bg-red-50 border-red-200 text-red-700",
+      text: t("screening.rejected", "A moderator decided not to publish this. Only you can see it."),
+    },
+  };
+
+  const state = states[status];
+  if (!state) return null;
+
+  const Icon = state.icon;
+  const reasons = status === ScreeningStatus.PENDING ? [] : content.screeningReasons || [];
+
+  return (
+    <div className={`border rounded-lg ${compact ? "px-2 py-1.5 mt-1" : "px-3 py-2 mb-3"} ${state.classes}`}>
+      <div className="flex items-start gap-2">
+        <Icon size={compact ? 12 : 14} className="mt-0.5 flex-shrink-0" />
+        <div className={compact ? "text-xs" : "text-sm"}>
+          <p>{state.text}</p>
+          {reasons.length > 0 && (
+            <p className="mt-0.5 opacity-90">
+              {t("screening.because", "Reason:")}{" "}
+              {reasons.map((reason) => describeScreeningReason(reason, t)).join(", ")}
+            </p>
+          )}
+          {status === ScreeningStatus.REJECTED && content.reviewNote && (
+            <p className="mt-0.5 opacity-90">
+              {t("screening.moderatorNote", "Moderator note:")} {content.reviewNote}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScreeningNotice;
@@ -3,25 +3,24 @@ import { ArrowUp, ArrowDown } from "lucide-react";
 import { castVote } from "../services/votingService";
 import { useAuth } from "../contexts/AuthContext";
 
-const VotingButton = ({ postId, initialUpvotes = [], initialDownvotes = [] }) => {
+const VotingButton = ({ postId, initialUpvotes = 0, initialDownvotes = 0, initialUserVote = null }) => {
   const { userData } = useAuth();
   const [upvotes, setUpvotes] = useState(initialUpvotes);
   const [downvotes, setDownvotes] = useState(initialDownvotes);
+  const [userVote, setUserVote] = useState(initialUserVote);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
   useEffect(() => {
-    setUpvotes(initialUpvotes || []);
-    setDownvotes(initialDownvotes || []);
+    setUpvotes(initialUpvotes || 0);
+    setDownvotes(initialDownvotes || 0);
   }, [initialUpvotes, initialDownvotes]);
 
-  const userVote = upvotes.includes(userData?.id)
-    ? "upvote"
-    : downvotes.includes(userData?.id)
-    ? "downvote"
-    : null;
+  useEffect(() => {
+    setUserVote(initialUserVote);
+  }, [initialUserVote]);
 
-  const score = upvotes.length - downvotes.length;
+  const score = upvotes - downvotes;
 
   const handleVote = async (voteType) => {
     if (!userData?.id) {
@@ -35,17 +34,10 @@ const VotingButton = ({ postId, initialUpvotes = [], initialDownvotes = [] }) =>
     setError("");
 
     try {
-      await castVote(postId, userData.id, voteType);
-      const updatedDoc = await import("../config/firebase").then(({ db }) =>
-        import("firebase/firestore").then(({ doc, getDoc }) =>
-          getDoc(doc(db, "posts", postId))
-        )
-      );
-      if (updatedDoc.exists()) {
-        const data = updatedDoc.data();
-        setUpvotes(data.upvotes || []);
-        setDownvotes(data.downvotes || []);
-      }
+      const result = await castVote(postId, voteType);
+      setUpvotes(result.upvotes);
+      setDownvotes(result.downvotes);
+      setUserVote(result.userVote);
     } catch (error) {
       console.error("Error voting:", error);
       setError("Failed to vote");
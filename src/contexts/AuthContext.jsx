@@ -1,11 +1,8 @@
 import { createContext, useContext, useEffect, useState } from "react";
 import { onAuthStateChanged, signOut } from "firebase/auth";
 import { auth, db } from "../config/firebase";
-import { doc, setDoc, serverTimestamp, getDoc } from "firebase/firestore";
-import {
-  loginWithUsernamePassword,
-  getUserById,
-} from "../services/authService";
+import { doc, getDoc } from "firebase/firestore";
+import { loginWithUsernamePassword } from "../services/authService";
 
 const AuthContext = createContext();
 
@@ -23,21 +20,30 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    // Listen to Firebase Auth state changes (for anonymous auth)
+    // Listen to Firebase Auth state changes (custom token sign-in)
     const unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
       try {
         if (firebaseUser) {
-          // User is authenticated with Firebase (anonymous auth)
           // Check if we have custom user data in localStorage
           const storedUser = localStorage.getItem("currentUser");
-          if (storedUser) {
+
+          // Anonymous sessions (registration) and sessions from the old
+          // client-side login don't map to a user; they must log in again
+          if (storedUser && !firebaseUser.isAnonymous) {
             const user = JSON.parse(storedUser);
 
-            // Ensure authSession exists for this Firebase Auth UID
-            // This handles cases where the anonymous auth UID changes
+            if (firebaseUser.uid !== user.id) {
+              throw new Error("Auth session does not match stored user");
+            }
+
+            // The authSession is written by the server at login
             const authSessionRef = doc(db, "authSessions", firebaseUser.uid);
             const authSessionDoc = await getDoc(authSessionRef);
 
+            if (!authSessionDoc.exists()) {
+              throw new Error("Auth session not found");
+            }
+
             // Verify user document in Firestore matches localStorage
             const userDocRef = doc(db, "users", user.id);
             const userDocSnap = await getDoc(userDocRef);
@@ -66,35 +72,18 @@ export const AuthProvider = ({ children }) => {
               user.username = firestoreUser.username;
             }
 
-            if (!authSessionDoc.exists()) {
-              // Create authSession if it doesn't exist
-              await setDoc(authSessionRef, {
-                userId: user.id,
-                username: user.username,
-                companyId: normalizeCompanyId(user.companyId),
-                role: user.role,
-                createdAt: serverTimestamp(),
-              });
-            } else {
-              // Verify authSession data matches current user
-              const sessionData = authSessionDoc.data();
-
-              if (sessionData.userId !== user.id ||
-                  normalizeCompanyId(sessionData.companyId) !== normalizeCompanyId(user.companyId) ||
-                  sessionData.role !== user.role) {
-                console.warn("AuthSession data mismatch detected - updating authSession");
-                // Update authSession to match current user
-                await setDoc(authSessionRef, {
-                  userId: user.id,
-                  username: user.username,
-                  companyId: normalizeCompanyId(user.companyId),
-                  role: user.role,
-                  createdAt: serverTimestamp(),
-                }, { merge: true });
-              }
+            // A role or company change requires a new server-issued session,
+            // as do sessions issued before author tokens existed
+            const sessionData = authSessionDoc.data();
+            if (sessionData.userId !== user.id ||
+                normalizeCompanyId(sessionData.companyId) !== normalizeCompanyId(user.companyId) ||
+                sessionData.role !== user.role ||
+                !sessionData.authorToken) {
+              throw new Error("Auth session is out of date");
             }
+            user.authorToken = sessionData.authorToken;
 
-            // Only set user state AFTER authSession is verified/created
+            // Only set user state AFTER authSession is verified
             setCurrentUser(user);
             setUserData(user);
           }
@@ -120,6 +109,10 @@ export const AuthProvider = ({ children }) => {
 
   const login = async (username, password) => {
     try {
+      // Drop any stale user so the auth listener doesn't compare the new
+      // session against it while signing in
+      localStorage.removeItem("currentUser");
+
       const user = await loginWithUsernamePassword(username, password);
       setCurrentUser(user);
       setUserData(user);
@@ -134,22 +127,10 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = async () => {
-    // Do NOT call signOut(auth) — that destroys the anonymous session
-    // and forces a new Firebase Auth user to be created on the next login.
-    // Instead, reset the authSession to pending to block Firestore rule access.
-    const firebaseUser = auth.currentUser;
-    if (firebaseUser) {
-      try {
-        await setDoc(doc(db, "authSessions", firebaseUser.uid), {
-          userId: "pending",
-          role: "pending",
-          companyId: null,
-          firebaseUid: firebaseUser.uid,
-          createdAt: serverTimestamp(),
-        });
-      } catch (err) {
-        console.error("Error clearing auth session on logout:", err);
-      }
+    try {
+      await signOut(auth);
+    } catch (err) {
+      console.error("Error signing out:", err);
     }
     setCurrentUser(null);
     setUserData(null);
@@ -170,7 +151,7 @@ export const AuthProvider = ({ children }) => {
         throw new Error("User document not found");
       }
 
-      const freshUserData = { id: userDocSnap.id, ...userDocSnap.data() };
+      const freshUserData = { id: userDocSnap.id, ...userDocSnap.data(), authorToken: userData.authorToken };
 
       // Update state
       setCurrentUser(freshUserData);
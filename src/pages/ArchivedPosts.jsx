@@ -19,6 +19,7 @@ import {
 } from "firebase/firestore";
 import { db } from "../config/firebase";
 import { unarchivePost } from "../services/postEnhancedFeaturesService";
+import { screeningClearedConstraint } from "../services/contentScreeningService";
 import { showSuccess, showError } from "../services/toastService";
 import {
   PostType,
@@ -49,6 +50,7 @@ const ArchivedPosts = () => {
         postsRef,
         where("companyId", "==", userData.companyId),
         where("isArchived", "==", true),
+        screeningClearedConstraint(),
         orderBy("archivedAt", "desc")
       );
 
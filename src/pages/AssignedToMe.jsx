@@ -5,6 +5,7 @@ import { useAuth } from "../contexts/AuthContext";
 import { useTranslation } from "react-i18next";
 import Post from "../components/Post";
 import AdminActionPanel from "../components/AdminActionPanel";
+import { screeningClearedConstraint } from "../services/contentScreeningService";
 import {
   PostStatus,
   PostStatusConfig,
@@ -61,6 +62,7 @@ const AssignedToMe = () => {
         postsRef,
         where("companyId", "==", userData.companyId),
         where("assignedTo.id", "==", userData.id),
+        screeningClearedConstraint(),
         orderBy("createdAt", "desc")
       );
       const snapshot = await getDocs(q);
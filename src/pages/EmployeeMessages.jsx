@@ -3,8 +3,11 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import { useTranslation } from "react-i18next";
 import { db } from "../config/firebase";
-import { collection, query, where, getDocs, doc, getDoc } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
 import { Shield, MessageSquare, ChevronRight } from "lucide-react";
+import { countUnreadMessages } from "../services/anonymousThreadService";
+import { getMyAnonymousPosts } from "../services/anonymousContentService";
+import { ThreadSender } from "../utils/constants";
 
 const getTimeAgo = (timestamp) => {
   if (!timestamp) return "";
@@ -34,19 +37,8 @@ const EmployeeMessages = () => {
   const loadThreads = async () => {
     setLoading(true);
     try {
-      // Query by authorId (non-anon posts) and by creatorId (anonymous posts with encrypted authorId).
-      // Run separately so a missing index on creatorId doesn't break the primary query.
-      const postsSnap1 = await getDocs(query(collection(db, "posts"), where("companyId", "==", userData.companyId), where("authorId", "==", userData.id)));
-      let postsSnap2Docs = [];
-      try {
-        const postsSnap2 = await getDocs(query(collection(db, "posts"), where("companyId", "==", userData.companyId), where("creatorId", "==", userData.id)));
-        postsSnap2Docs = postsSnap2.docs;
-      } catch { /* index not yet available */ }
-      const seenIds = new Set();
-      const userPosts = [];
-      [...postsSnap1.docs, ...postsSnap2Docs].forEach((d) => {
-        if (!seenIds.has(d.id)) { seenIds.add(d.id); userPosts.push({ id: d.id, ...d.data() }); }
-      });
+      // Threads exist only on anonymous posts, whose authorId is encrypted
+      const userPosts = await getMyAnonymousPosts(userData);
 
       const threadResults = [];
       for (const post of userPosts) {
@@ -57,23 +49,7 @@ const EmployeeMessages = () => {
             const threadData = threadDoc.data();
             const messages = threadData.messages || [];
             if (messages.length > 0) {
-              const lastReadByReporter = threadData.lastReadBy?.reporter || null;
-              let unreadCount = 0;
-              if (lastReadByReporter) {
-                const lastReadTime = lastReadByReporter.toDate
-                  ? lastReadByReporter.toDate()
-                  : new Date(lastReadByReporter);
-                unreadCount = messages.filter(
-                  (m) =>
-                    m.sender === "investigator" &&
-                    m.timestamp &&
-                    (m.timestamp.toDate
-                      ? m.timestamp.toDate()
-                      : new Date(m.timestamp.seconds * 1000)) > lastReadTime
-                ).length;
-              } else {
-                unreadCount = messages.filter((m) => m.sender === "investigator").length;
-              }
+              const unreadCount = countUnreadMessages(threadData, ThreadSender.REPORTER);
 
               const lastMsg = messages[messages.length - 1];
               threadResults.push({
@@ -0,0 +1,99 @@
+import { useState, useEffect } from "react";
+import { KeyRound, ShieldCheck, FileText } from "lucide-react";
+import { getCustodianRequests } from "../services/keyVaultService";
+import CustodianShareCollector from "../components/CustodianShareCollector";
+
+/**
+ * KeyCustody — where a key custodian submits their share of a company's Key
+ * Part B for an approved identity disclosure. Shares are only accepted from
+ * the custodian's own signed-in account; nobody submits on their behalf.
+ */
+const KeyCustody = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const loadRequests = async () => {
+      try {
+        setRequests(await getCustodianRequests());
+      } catch (err) {
+        console.error("Error loading custodian requests:", err);
+        setError("Could not load legal requests. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRequests();
+  }, []);
+
+  const handleSessionChange = (legalRequestId, session) => {
+    setRequests((prev) =>
+      prev.map((request) =>
+        request.legalRequestId === legalRequestId ? { ...request, ...session } : request
+      )
+    );
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 pb-24 pt-4">
+      <div className="flex items-center gap-3 mb-1">
+        <KeyRound className="w-5 h-5 text-[#1ABC9C]" />
+        <h1 className="text-lg font-bold text-[#2D3E50]">Key Custody</h1>
+      </div>
+      <p className="text-sm text-gray-500 mb-5">
+        Approved identity disclosures waiting for your key share. Every
+        submission is recorded in the disclosure audit log.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="w-8 h-8 border-2 border-[#1ABC9C] border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : error ? (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="bg-white rounded-2xl border border-gray-100 p-8 text-center shadow-sm">
+          <ShieldCheck className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+          <p className="text-sm text-gray-500">No legal requests need your key share.</p>
+        </div>
+      ) : (
+        <div className="flex flex-col gap-4">
+          {requests.map((request) => (
+            <div key={request.legalRequestId} className="bg-white rounded-2xl border border-gray-100 p-5 shadow-sm">
+              <div className="mb-4">
+                <p className="text-sm font-bold text-[#2D3E50]">{request.companyName}</p>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  Requested by {request.requestedBy || "Unknown"} · {request.legalRequestId}
+                </p>
+                {request.legalJustification && (
+                  <p className="text-sm text-gray-700 mt-3 whitespace-pre-wrap">{request.legalJustification}</p>
+                )}
+                {request.courtOrderUrl && (
+                  <a
+                    href={request.courtOrderUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-xs font-medium text-teal-600 hover:underline mt-2"
+                  >
+                    <FileText className="w-3.5 h-3.5" />
+                    Court order
+                  </a>
+                )}
+              </div>
+              <CustodianShareCollector
+                legalRequestId={request.legalRequestId}
+                session={request}
+                onSessionChange={(session) => handleSessionChange(request.legalRequestId, session)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeyCustody;
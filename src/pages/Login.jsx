@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import { requestPasswordReset, changePassword } from "../services/authService";
 import { Html5Qrcode } from "html5-qrcode";
 import { useTranslation } from "react-i18next";
 import LanguageSwitcher from "../components/LanguageSwitcher";
@@ -17,6 +18,8 @@ import {
   Info,
   AlertCircle,
   Loader2,
+  KeyRound,
+  CheckCircle,
 } from "lucide-react";
 
 const Login = () => {
@@ -29,7 +32,16 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const [showQRScanner, setShowQRScanner] = useState(false);
   const [scanning, setScanning] = useState(false);
-  const { login } = useAuth();
+  // "login", "forgot" (request a reset link) or "changePassword" (forced change)
+  const [view, setView] = useState("login");
+  const [resetUsername, setResetUsername] = useState("");
+  const [resetRequested, setResetRequested] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState("");
+  // True when the current password was just entered on the login form
+  const [currentPasswordKnown, setCurrentPasswordKnown] = useState(false);
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmNewPassword, setConfirmNewPassword] = useState("");
+  const { login, logout, currentUser } = useAuth();
   const navigate = useNavigate();
   const html5QrCodeRef = useRef(null);
 
@@ -48,6 +60,23 @@ const Login = () => {
     };
   }, []);
 
+  // Signed-in users flagged by an admin are sent here until they change their password
+  useEffect(() => {
+    if (currentUser?.mustChangePassword) {
+      setView("changePassword");
+    }
+  }, [currentUser]);
+
+  const completeLogin = (user, usedPassword) => {
+    if (user.mustChangePassword) {
+      setCurrentPassword(usedPassword);
+      setCurrentPasswordKnown(true);
+      setView("changePassword");
+      return;
+    }
+    navigate("/dashboard");
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -62,8 +91,8 @@ const Login = () => {
         localStorage.removeItem("rememberedUsername");
       }
 
-      await login(username, password);
-      navigate("/dashboard");
+      const user = await login(username, password);
+      completeLogin(user, password);
     } catch (error) {
       // Display the actual error message from the server
       setError(error.message || t("auth.login.invalidCredentials"));
@@ -73,6 +102,60 @@ const Login = () => {
     }
   };
 
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+
+    try {
+      setError("");
+      setLoading(true);
+      await requestPasswordReset(resetUsername);
+      setResetRequested(true);
+    } catch (error) {
+      setError(error.message || t("auth.passwordReset.requestFailed"));
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    if (newPassword.length < 6) {
+      setError(t("auth.register.passwordLength"));
+      return;
+    }
+    if (newPassword !== confirmNewPassword) {
+      setError(t("auth.register.passwordMismatch"));
+      return;
+    }
+
+    try {
+      setError("");
+      setLoading(true);
+      await changePassword(currentPassword, newPassword);
+
+      // The forced-change token has no session; sign in again for a full one
+      await login(currentUser.username, newPassword);
+      navigate("/dashboard");
+    } catch (error) {
+      setError(error.message || t("auth.changePassword.failed"));
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelPasswordChange = async () => {
+    await logout();
+    setCurrentPassword("");
+    setCurrentPasswordKnown(false);
+    setNewPassword("");
+    setConfirmNewPassword("");
+    setError("");
+    setView("login");
+  };
+
   const handleQRScan = async (decodedText) => {
     try {
       setError("");
@@ -82,15 +165,15 @@ const Login = () => {
       try {
         const qrData = JSON.parse(decodedText);
 
-        // Handle company registration QR codes
-        if (qrData.type === "company_registration" && qrData.companyId) {
+        // Handle company registration QR codes (legacy codes without an
+        // invite token are rejected by the registration page)
+        if (qrData.type === "company_registration" && (qrData.invite || qrData.companyId)) {
           if (html5QrCodeRef.current) {
             await html5QrCodeRef.current.stop();
           }
           navigate("/register", {
             state: {
-              companyId: qrData.companyId,
-              companyName: qrData.companyName,
+              inviteToken: qrData.invite || null,
             },
           });
           handled = true;
@@ -104,8 +187,8 @@ const Login = () => {
           setScanning(false);
           setLoading(true);
           try {
-            await login(qrData.username, qrData.password);
-            navigate("/dashboard");
+            const user = await login(qrData.username, qrData.password);
+            completeLogin(user, qrData.password);
           } catch (loginError) {
             setError(loginError.message || t("auth.login.invalidCredentials"));
           } finally {
@@ -117,13 +200,13 @@ const Login = () => {
         // Not JSON — try parsing as URL
         try {
           const url = new URL(decodedText);
+          const inviteToken = url.searchParams.get('invite');
           const companyId = url.searchParams.get('companyId');
-          const companyName = url.searchParams.get('companyName');
-          if (companyId) {
+          if (inviteToken || companyId) {
             if (html5QrCodeRef.current) {
               await html5QrCodeRef.current.stop();
             }
-            navigate('/register', { state: { companyId, companyName } });
+            navigate('/register', { state: { inviteToken } });
             handled = true;
           }
         } catch {}
@@ -331,7 +414,223 @@ const Login = () => {
 
           {/* Login Card */}
           <div className="bg-white rounded-2xl shadow-sm p-5 sm:p-6 lg:p-7 xl:p-8 border border-gray-100">
-            {!showQRScanner ? (
+            {!showQRScanner && view === "forgot" ? (
+              <>
+                {/* Forgot Password View */}
+                <div className="mb-7">
+                  <div className="inline-flex items-center justify-center w-12 h-12 rounded-2xl mb-4" style={{ backgroundColor: "#1ABC9C15" }}>
+                    <KeyRound className="w-6 h-6" style={{ color: "#1ABC9C" }} />
+                  </div>
+                  <h1 className="text-2xl font-bold mb-2" style={{ color: "#2D3E50" }}>
+                    {t("auth.passwordReset.title")}
+                  </h1>
+                  <p className="text-gray-500 text-sm">
+                    {t("auth.passwordReset.description")}
+                  </p>
+                </div>
+                {/* Error Message */}
+                {error && (
+                  <div className="mb-6 p-4 bg-red-50 border border-red-100 rounded-xl flex items-start space-x-3">
+                    <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm font-medium text-red-700">{error}</p>
+                  </div>
+                )}
+
+                {resetRequested ? (
+                  <div className="mb-6 p-4 bg-green-50 border border-green-100 rounded-xl flex items-start space-x-3">
+                    <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm font-medium text-green-800">
+                      {t("auth.passwordReset.requestSent")}
+                    </p>
+                  </div>
+                ) : (
+                  <form onSubmit={handleForgotPassword} className="space-y-5">
+                    <div>
+                      <label
+                        htmlFor="reset-username"
+                        className="block text-sm font-semibold mb-2"
+                        style={{ color: "#2D3E50" }}
+                      >
+                        {t("auth.login.username")}
+                      </label>
+                      <div className="relative">
+                        <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                          <User className="w-5 h-5 text-gray-400" />
+                        </div>
+                        <input
+                          id="reset-username"
+                          type="text"
+                          value={resetUsername}
+                          onChange={(e) => setResetUsername(e.target.value)}
+                          required
+                          autoComplete="username"
+                          className="w-full pl-12 pr-4 py-3 border border-gray-100 rounded-xl focus:ring-2 focus:border-transparent transition-all bg-gray-50 hover:bg-white text-gray-900 placeholder-gray-400"
+                          onFocus={(e) => { e.target.style.boxShadow = "0 0 0 2px #1ABC9C40"; e.target.style.borderColor = "#1ABC9C"; }}
+                          onBlur={(e) => { e.target.style.boxShadow = "none"; e.target.style.borderColor = ""; }}
+                          placeholder={t("auth.login.usernamePlaceholder")}
+                        />
+                      </div>
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="w-full text-white py-3.5 rounded-xl font-semibold text-base focus:outline-none focus:ring-4 focus:ring-opacity-30 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+                      style={{ backgroundColor: "#1ABC9C" }}
+                    >
+                      {loading ? (
+                        <div className="flex items-center justify-center space-x-2">
+                          <Loader2 className="w-5 h-5 animate-spin text-white" />
+                          <span>{t("auth.passwordReset.sending")}</span>
+                        </div>
+                      ) : (
+                        t("auth.passwordReset.sendLink")
+                      )}
+                    </button>
+                  </form>
+                )}
+
+                <button
+                  type="button"
+                  onClick={() => {
+                    setError("");
+                    setView("login");
+                  }}
+                  className="mt-7 flex items-center text-gray-500 hover:text-gray-800 transition group"
+                >
+                  <ArrowLeft className="w-5 h-5 mr-2 group-hover:-translate-x-1 transition-transform" />
+                  {t("auth.passwordReset.backToLogin")}
+                </button>
+              </>
+            ) : !showQRScanner && view === "changePassword" ? (
+              <>
+                {/* Forced Password Change View */}
+                <div className="mb-7">
+                  <div className="inline-flex items-center justify-center w-12 h-12 rounded-2xl mb-4" style={{ backgroundColor: "#1ABC9C15" }}>
+                    <KeyRound className="w-6 h-6" style={{ color: "#1ABC9C" }} />
+                  </div>
+                  <h1 className="text-2xl font-bold mb-2" style={{ color: "#2D3E50" }}>
+                    {t("auth.changePassword.title")}
+                  </h1>
+                  <p className="text-gray-500 text-sm">
+                    {t("auth.changePassword.description")}
+                  </p>
+                </div>
+                {/* Error Message */}
+                {error && (
+                  <div className="mb-6 p-4 bg-red-50 border border-red-100 rounded-xl flex items-start space-x-3">
+                    <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm font-medium text-red-700">{error}</p>
+                  </div>
+                )}
+
+                <form onSubmit={handleChangePassword} className="space-y-5">
+                  {!currentPasswordKnown && (
+                    <div>
+                      <label
+                        htmlFor="current-password"
+                        className="block text-sm font-semibold mb-2"
+                        style={{ color: "#2D3E50" }}
+                      >
+                        {t("auth.changePassword.currentPassword")}
+                      </label>
+                      <div className="relative">
+                        <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                          <Lock className="w-5 h-5 text-gray-400" />
+                        </div>
+                        <input
+                          id="current-password"
+                          type="password"
+                          value={currentPassword}
+                          onChange={(e) => setCurrentPassword(e.target.value)}
+                          required
+                          autoComplete="current-password"
+                          className="w-full pl-12 pr-4 py-3 border border-gray-100 rounded-xl focus:ring-2 focus:border-transparent transition-all bg-gray-50 hover:bg-white text-gray-900 placeholder-gray-400"
+                          onFocus={(e) => { e.target.style.boxShadow = "0 0 0 2px #1ABC9C40"; e.target.style.borderColor = "#1ABC9C"; }}
+                          onBlur={(e) => { e.target.style.boxShadow = "none"; e.target.style.borderColor = ""; }}
+                          placeholder={t("auth.login.passwordPlaceholder")}
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <div>
+                    <label
+                      htmlFor="new-password"
+                      className="block text-sm font-semibold mb-2"
+                      style={{ color: "#2D3E50" }}
+                    >
+                      {t("auth.changePassword.newPassword")}
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                        <Lock className="w-5 h-5 text-gray-400" />
+                      </div>
+                      <input
+                        id="new-password"
+                        type="password"
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        required
+                        autoComplete="new-password"
+                        className="w-full pl-12 pr-4 py-3 border border-gray-100 rounded-xl focus:ring-2 focus:border-transparent transition-all bg-gray-50 hover:bg-white text-gray-900 placeholder-gray-400"
+                        onFocus={(e) => { e.target.style.boxShadow = "0 0 0 2px #1ABC9C40"; e.target.style.borderColor = "#1ABC9C"; }}
+                        onBlur={(e) => { e.target.style.boxShadow = "none"; e.target.style.borderColor = ""; }}
+                        placeholder={t("auth.changePassword.newPasswordPlaceholder")}
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="confirm-new-password"
+                      className="block text-sm font-semibold mb-2"
+                      style={{ color: "#2D3E50" }}
+                    >
+                      {t("auth.changePassword.confirmPassword")}
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                        <Lock className="w-5 h-5 text-gray-400" />
+                      </div>
+                      <input
+                        id="confirm-new-password"
+                        type="password"
+                        value={confirmNewPassword}
+                        onChange={(e) => setConfirmNewPassword(e.target.value)}
+                        required
+                        autoComplete="new-password"
+                        className="w-full pl-12 pr-4 py-3 border border-gray-100 rounded-xl focus:ring-2 focus:border-transparent transition-all bg-gray-50 hover:bg-white text-gray-900 placeholder-gray-400"
+                        onFocus={(e) => { e.target.style.boxShadow = "0 0 0 2px #1ABC9C40"; e.target.style.borderColor = "#1ABC9C"; }}
+                        onBlur={(e) => { e.target.style.boxShadow = "none"; e.target.style.borderColor = ""; }}
+                        placeholder={t("auth.changePassword.confirmPasswordPlaceholder")}
+                      />
+                    </div>
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="w-full text-white py-3.5 rounded-xl font-semibold text-base focus:outline-none focus:ring-4 focus:ring-opacity-30 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+                    style={{ backgroundColor: "#1ABC9C" }}
+                  >
+                    {loading ? (
+                      <div className="flex items-center justify-center space-x-2">
+                        <Loader2 className="w-5 h-5 animate-spin text-white" />
+                        <span>{t("auth.changePassword.saving")}</span>
+                      </div>
+                    ) : (
+                      t("auth.changePassword.submit")
+                    )}
+                  </button>
+                </form>
+
+                <button
+                  type="button"
+                  onClick={handleCancelPasswordChange}
+                  className="mt-7 flex items-center text-gray-500 hover:text-gray-800 transition group"
+                >
+                  <ArrowLeft className="w-5 h-5 mr-2 group-hover:-translate-x-1 transition-transform" />
+                  {t("auth.changePassword.signOut")}
+                </button>
+              </>
+            ) : !showQRScanner ? (
               <>
                 {/* Header */}
                 <div className="mb-7">
@@ -427,7 +726,7 @@ const Login = () => {
                   </div>
 
                   {/* Remember Me */}
-                  <div className="flex items-center">
+                  <div className="flex items-center justify-between">
                     <label className="flex items-center cursor-pointer group">
                       <input
                         type="checkbox"
@@ -440,6 +739,19 @@ const Login = () => {
                         {t("auth.login.rememberMe")}
                       </span>
                     </label>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setError("");
+                        setResetUsername(username);
+                        setResetRequested(false);
+                        setView("forgot");
+                      }}
+                      className="text-sm font-semibold hover:opacity-80 transition"
+                      style={{ color: "#1ABC9C" }}
+                    >
+                      {t("auth.login.forgotPassword")}
+                    </button>
                   </div>
 
                   {/* Login Button */}
@@ -14,12 +14,19 @@ import {
   FileText,
   ArrowLeft,
   LayoutDashboard,
+  Settings,
+  ShieldAlert,
+  Scale,
 } from "lucide-react";
 import { useAuth } from "../contexts/AuthContext";
+import ModerationPolicySettings from "../components/ModerationPolicySettings";
+import HeldContentQueue from "../components/HeldContentQueue";
+import AppealsQueue from "../components/AppealsQueue";
 import {
   getCompanyReports,
   getModerationStats,
   getModerationActivityLogs,
+  groupReportsIntoCases,
 } from "../services/moderationService";
 import {
   ReportStatus,
@@ -27,6 +34,9 @@ import {
   ReportReasonConfig,
   ReportableContentType,
   ReportReason,
+  ReportSeverity,
+  ReportSeverityConfig,
+  UserRole,
 } from "../utils/constants";
 
 // Critical issues that HR focuses on
@@ -47,10 +57,11 @@ const GENERAL_REASONS = [
 const ModerationDashboard = () => {
   const { userData } = useAuth();
   const navigate = useNavigate();
-  const [mainTab, setMainTab] = useState("all"); // all, critical, general, users
+  const [mainTab, setMainTab] = useState("all"); // all, critical, general, users, review, appeals, policy
   const [statusFilter, setStatusFilter] = useState("all");
   const [selectedReasons, setSelectedReasons] = useState([...CRITICAL_REASONS]);
   const [reports, setReports] = useState([]);
+  const [cases, setCases] = useState([]);
   const [allReports, setAllReports] = useState([]);
   const [stats, setStats] = useState(null);
   const [activityLogs, setActivityLogs] = useState([]);
@@ -63,7 +74,7 @@ const ModerationDashboard = () => {
   }, [mainTab, statusFilter, selectedReasons, userData?.companyId]);
 
   const fetchData = async () => {
-    if (!userData?.companyId) return;
+    if (!userData?.companyId || ["policy", "review", "appeals"].includes(mainTab)) return;
 
     setLoading(true);
     setError("");
@@ -119,6 +130,28 @@ const ModerationDashboard = () => {
 
       setReports(filteredReports);
 
+      // The list shows one case per reported post or comment, so the same
+      // tab and status filters apply to the case as a whole
+      const matchesTab = (reportCase) => {
+        if (mainTab === "critical") {
+          return reportCase.reasons.some((reason) => selectedReasons.includes(reason));
+        }
+        if (mainTab === "general") {
+          return reportCase.reasons.some((reason) => GENERAL_REASONS.includes(reason));
+        }
+        return true;
+      };
+      const toTime = (value) => (value?.toDate ? value.toDate() : new Date(value)).getTime();
+
+      setCases(
+        groupReportsIntoCases(allReportsData)
+          .filter(matchesTab)
+          .filter((reportCase) => statusFilter === "all" || reportCase.status === statusFilter)
+          .sort((a, b) =>
+            ReportSeverityConfig[b.severity].rank - ReportSeverityConfig[a.severity].rank
+            || toTime(b.lastReportedAt) - toTime(a.lastReportedAt))
+      );
+
       // Fetch stats
       const statsData = await getModerationStats(userData.companyId);
       setStats(statsData);
@@ -180,33 +213,39 @@ const ModerationDashboard = () => {
     });
   };
 
-  const exportCaseSummary = async (report, e) => {
+  const exportCaseSummary = async (reportCase, e) => {
     e.stopPropagation();
 
+    const formatDate = (value) =>
+      value?.toDate ? value.toDate().toLocaleString() : "N/A";
+
     const summary = `
 CASE SUMMARY
 ============
-Report ID: ${report.id}
-Date: ${
-      report.createdAt?.toDate
-        ? report.createdAt.toDate().toLocaleString()
-        : "N/A"
-    }
-Reason: ${ReportReasonConfig[report.reason]?.label || report.reason}
-Status: ${ReportStatusConfig[report.status]?.label || report.status}
-Priority: ${report.priority || "N/A"}
-Content Type: ${report.contentType}
-Description: ${report.description || "No description provided"}
-
-${report.legalHold ? "⚠️ LEGAL HOLD ACTIVE" : ""}
-${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
+Case: ${reportCase.id}
+First reported: ${formatDate(reportCase.firstReportedAt)}
+Last reported: ${formatDate(reportCase.lastReportedAt)}
+Reporters: ${reportCase.reporterCount} (${reportCase.reportCount} reports)
+Reasons: ${reportCase.reasons
+      .map((reason) => `${ReportReasonConfig[reason]?.label || reason} (${reportCase.reasonCounts[reason]})`)
+      .join(", ")}
+Severity: ${ReportSeverityConfig[reportCase.severity]?.label || reportCase.severity}
+Status: ${ReportStatusConfig[reportCase.status]?.label || reportCase.status}
+Content Type: ${reportCase.contentType}
+
+Reports:
+${reportCase.reports
+      .map((report) => `- ${report.id} · ${formatDate(report.createdAt)} · ${ReportReasonConfig[report.reason]?.label || report.reason}${report.description ? ` · ${report.description}` : ""}`)
+      .join("\n")}
+
+${reportCase.legalHold ? "⚠️ LEGAL HOLD ACTIVE" : ""}
 `;
 
     const blob = new Blob([summary], { type: "text/plain" });
     const url = URL.createObjectURL(blob);
     const link = document.createElement("a");
     link.href = url;
-    link.download = `case-summary-${report.id}.txt`;
+    link.download = `case-summary-${reportCase.primaryReportId}.txt`;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -727,7 +766,7 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
       );
     }
 
-    if (reports.length === 0) {
+    if (cases.length === 0) {
       return (
         <div className="text-center py-16">
           <div className="w-14 h-14 rounded-2xl bg-gray-100 flex items-center justify-center mx-auto mb-4">
@@ -740,51 +779,52 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
 
     return (
       <div className="space-y-3">
-        {reports.map((report) => {
-          const statusConfig = ReportStatusConfig[report.status];
-          const reasonConfig = ReportReasonConfig[report.reason];
-          const createdDate = report.createdAt?.toDate
-            ? report.createdAt.toDate()
-            : new Date(report.createdAt);
+        {cases.map((reportCase) => {
+          const statusConfig = ReportStatusConfig[reportCase.status];
+          const severityConfig = ReportSeverityConfig[reportCase.severity];
+          const topReasonConfig = ReportReasonConfig[reportCase.reasons[0]];
+          const lastReportedDate = reportCase.lastReportedAt?.toDate
+            ? reportCase.lastReportedAt.toDate()
+            : new Date(reportCase.lastReportedAt);
 
-          const isCritical = mainTab === "critical" || report.priority === "critical";
+          const isCritical = reportCase.severity === ReportSeverity.CRITICAL;
 
           return (
             <div
-              key={report.id}
-              onClick={() => handleReportClick(report.id)}
+              key={reportCase.id}
+              onClick={() => handleReportClick(reportCase.primaryReportId)}
               className={`bg-white border rounded-2xl p-5 hover:shadow-md transition-all cursor-pointer ${
-                isCritical && report.priority === "critical"
+                isCritical
                   ? "border-red-200 bg-red-50/50"
                   : "border-gray-100"
               } shadow-sm`}
             >
               <div className="flex items-start justify-between mb-3">
                 <div className="flex items-center gap-3">
-                  <span className="text-xl">{reasonConfig.icon}</span>
+                  <span className="text-xl">{topReasonConfig?.icon}</span>
                   <div>
                     <h3 className="font-semibold text-[#2D3E50]">
-                      {reasonConfig.label}
+                      {topReasonConfig?.label || reportCase.reasons[0]}
                     </h3>
                     <p className="text-sm text-gray-500">
-                      {report.contentType === ReportableContentType.POST
+                      {reportCase.contentType === ReportableContentType.POST
                         ? "Post"
                         : "Comment"}{" "}
-                      by {report.contentAuthorName || "Unknown"}
+                      by {reportCase.contentAuthorName || "Unknown"}
                     </p>
                   </div>
                 </div>
                 <div className="flex items-center space-x-2">
-                  {report.legalHold && (
+                  {reportCase.legalHold && (
                     <span className="px-2.5 py-1 bg-orange-100 text-orange-700 text-xs font-medium rounded-xl">
                       Legal Hold
                     </span>
                   )}
-                  {report.priority === "critical" && (
-                    <span className="px-2.5 py-1 bg-red-100 text-red-700 text-xs font-medium rounded-xl">
-                      Critical
-                    </span>
-                  )}
+                  <span
+                    className={`px-2.5 py-1 text-xs font-medium rounded-xl ${severityConfig.bgColor} ${severityConfig.textColor}`}
+                  >
+                    {severityConfig.label}
+                  </span>
                   <span
                     className={`px-3 py-1 text-xs font-medium rounded-xl ${statusConfig.bgColor} ${statusConfig.textColor}`}
                   >
@@ -795,31 +835,45 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
 
               <div className="bg-gray-50 rounded-xl p-3.5 mb-3">
                 <p className="text-sm text-gray-600 line-clamp-2">
-                  {report.contentPreview}
+                  {reportCase.contentPreview}
                 </p>
               </div>
 
-              {report.description && (
+              {reportCase.reasons.length > 1 && (
+                <div className="flex flex-wrap gap-1.5 mb-3">
+                  {reportCase.reasons.map((reason) => (
+                    <span
+                      key={reason}
+                      className="px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-lg"
+                    >
+                      {ReportReasonConfig[reason]?.icon} {ReportReasonConfig[reason]?.label || reason}
+                      {reportCase.reasonCounts[reason] > 1 && ` ×${reportCase.reasonCounts[reason]}`}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {reportCase.descriptions.length > 0 && (
                 <div className="mb-3">
                   <p className="text-sm text-gray-500">
                     <span className="font-medium text-gray-600">Reporter notes:</span>{" "}
-                    {report.description}
+                    {reportCase.descriptions[0]}
+                    {reportCase.descriptions.length > 1 &&
+                      ` (+${reportCase.descriptions.length - 1} more)`}
                   </p>
                 </div>
               )}
 
               <div className="flex items-center justify-between text-xs text-gray-400">
-                <span>Reported {createdDate.toLocaleDateString()}</span>
+                <span>Last reported {lastReportedDate.toLocaleDateString()}</span>
                 <div className="flex items-center space-x-2">
-                  {report.totalReportsForContent > 0 && (
-                    <span className="bg-red-100 text-red-700 px-2.5 py-1 rounded-xl font-medium">
-                      {report.totalReportsForContent} report{report.totalReportsForContent !== 1 ? 's' : ''}
-                      {report.previouslyActionedForContent > 0 && ` — ${report.previouslyActionedForContent} previously actioned`}
-                    </span>
-                  )}
+                  <span className="bg-red-100 text-red-700 px-2.5 py-1 rounded-xl font-medium">
+                    {reportCase.reporterCount} reporter{reportCase.reporterCount !== 1 ? "s" : ""}
+                    {reportCase.previouslyActionedForContent > 0 && ` — ${reportCase.previouslyActionedForContent} previously actioned`}
+                  </span>
                   {mainTab === "critical" && (
                     <button
-                      onClick={(e) => exportCaseSummary(report, e)}
+                      onClick={(e) => exportCaseSummary(reportCase, e)}
                       className="flex items-center px-2.5 py-1 bg-gray-100 text-gray-600 rounded-xl hover:bg-gray-200 transition-colors"
                     >
                       <Download className="w-3 h-3 mr-1" />
@@ -831,11 +885,11 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
 
               {mainTab === "critical" && (
                 <div className="flex items-center space-x-2 mt-4 pt-4 border-t border-gray-100">
-                  {report.status === ReportStatus.PENDING && (
+                  {reportCase.status === ReportStatus.PENDING && (
                     <>
                       <button
                         onClick={(e) =>
-                          handleQuickAction(report.id, "legal_review", e)
+                          handleQuickAction(reportCase.primaryReportId, "legal_review", e)
                         }
                         className="px-3.5 py-1.5 bg-orange-100 text-orange-700 text-xs font-medium rounded-xl hover:bg-orange-200 transition-colors"
                       >
@@ -843,7 +897,7 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
                       </button>
                       <button
                         onClick={(e) =>
-                          handleQuickAction(report.id, "escalate", e)
+                          handleQuickAction(reportCase.primaryReportId, "escalate", e)
                         }
                         className="px-3.5 py-1.5 bg-purple-100 text-purple-700 text-xs font-medium rounded-xl hover:bg-purple-200 transition-colors"
                       >
@@ -851,10 +905,10 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
                       </button>
                     </>
                   )}
-                  {report.status === ReportStatus.UNDER_REVIEW && (
+                  {reportCase.status === ReportStatus.UNDER_REVIEW && (
                     <button
                       onClick={(e) =>
-                        handleQuickAction(report.id, "resolve", e)
+                        handleQuickAction(reportCase.primaryReportId, "resolve", e)
                       }
                       className="px-3.5 py-1.5 bg-emerald-100 text-emerald-700 text-xs font-medium rounded-xl hover:bg-emerald-200 transition-colors"
                     >
@@ -950,8 +1004,14 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
     { id: "critical", label: "Critical Issues", icon: <AlertTriangle className="w-4 h-4" /> },
     { id: "general", label: "General Violations" },
     { id: "users", label: "User Management" },
+    { id: "review", label: "Pending Review", icon: <ShieldAlert className="w-4 h-4" /> },
+    { id: "appeals", label: "Appeals", icon: <Scale className="w-4 h-4" /> },
+    { id: "policy", label: "Policy", icon: <Settings className="w-4 h-4" /> },
   ];
 
+  const canEditPolicy =
+    userData?.role === UserRole.COMPANY_ADMIN || userData?.role === UserRole.SUPER_ADMIN;
+
   return (
     <div className="min-h-screen bg-gray-50 pb-24">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -1012,30 +1072,42 @@ ${report.retentionYears ? `Retention: ${report.retentionYears} years` : ""}
           </div>
         </div>
 
-        {/* Stats */}
-        {renderMainTabStats()}
-
-        {/* Filters */}
-        {renderFilters()}
-
-        {/* Repeat Offenders (for Critical tab) */}
-        {mainTab === "critical" && renderRepeatOffenders()}
-
-        {/* Content */}
-        <div className="bg-white border border-gray-100 rounded-2xl p-6 shadow-sm">
-          <div className="flex items-center justify-between mb-5">
-            <h2 className="text-lg font-semibold text-[#2D3E50]">
-              {mainTab === "all" && `All Reports (${reports.length})`}
-              {mainTab === "critical" && `Critical Issues (${reports.length})`}
-              {mainTab === "general" && `General Violations (${reports.length})`}
-              {mainTab === "users" && `User Management (${repeatOffenders.length} offenders)`}
-            </h2>
-            <div className="w-8 h-8 rounded-lg bg-gray-100 flex items-center justify-center">
-              <FileText className="w-4 h-4 text-gray-400" />
+        {mainTab === "policy" ? (
+          <ModerationPolicySettings companyId={userData?.companyId} canEdit={canEditPolicy} />
+        ) : mainTab === "review" ? (
+          <HeldContentQueue companyId={userData?.companyId} />
+        ) : mainTab === "appeals" ? (
+          <AppealsQueue
+            companyId={userData?.role === UserRole.SUPER_ADMIN ? null : userData?.companyId}
+          />
+        ) : (
+          <>
+            {/* Stats */}
+            {renderMainTabStats()}
+
+            {/* Filters */}
+            {renderFilters()}
+
+            {/* Repeat Offenders (for Critical tab) */}
+            {mainTab === "critical" && renderRepeatOffenders()}
+
+            {/* Content */}
+            <div className="bg-white border border-gray-100 rounded-2xl p-6 shadow-sm">
+              <div className="flex items-center justify-between mb-5">
+                <h2 className="text-lg font-semibold text-[#2D3E50]">
+                  {mainTab === "all" && `All Reports (${cases.length} cases)`}
+                  {mainTab === "critical" && `Critical Issues (${cases.length} cases)`}
+                  {mainTab === "general" && `General Violations (${cases.length} cases)`}
+                  {mainTab === "users" && `User Management (${repeatOffenders.length} offenders)`}
+                </h2>
+                <div className="w-8 h-8 rounded-lg bg-gray-100 flex items-center justify-center">
+                  <FileText className="w-4 h-4 text-gray-400" />
+                </div>
+              </div>
+              {mainTab === "users" ? renderUserManagement() : renderReportsList()}
             </div>
-          </div>
-          {mainTab === "users" ? renderUserManagement() : renderReportsList()}
-        </div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -19,7 +19,6 @@ import {
 import { doc, getDoc } from "firebase/firestore";
 import { db } from "../config/firebase";
 import { ChevronUp, Shield, FileText, Eye, Bookmark, Send, Edit, EyeOff } from "lucide-react";
-import { encryptAuthorId } from "../services/postManagementService";
 
 const getTimeAgo = (date) => {
   if (!date) return "Just now";
@@ -130,7 +129,7 @@ const MyPosts = () => {
   const loadMyPosts = async () => {
     try {
       setLoading(true);
-      const myPosts = await getUserPosts(userData.id, userData.companyId);
+      const myPosts = await getUserPosts(userData.id, userData.companyId, null, userData.authorToken);
       setPosts(myPosts);
     } catch (error) {
       console.error("Error loading my posts:", error);
@@ -182,13 +181,13 @@ const MyPosts = () => {
   const handlePublishDraft = async (post) => {
     setPublishingId(post.id);
     try {
-      // Apply the current anonymous toggle before publishing
+      // Apply the current anonymous toggle before publishing; anonymous drafts
+      // are published by a Cloud Function that replaces the author
       const { updateDraft } = await import("../services/postEnhancementsService");
       await updateDraft(post.id, {
         isAnonymous: draftAnonymous,
-        authorId: draftAnonymous ? encryptAuthorId(userData.id) : userData.id,
-        authorName: draftAnonymous ? "Anonymous" : (userData.displayName || "Unknown"),
-        creatorId: userData.id,
+        authorId: userData.id,
+        authorName: userData.displayName || "Unknown",
       });
       await publishDraft(post.id, { id: userData.id, displayName: userData.displayName });
       await loadMyPosts();
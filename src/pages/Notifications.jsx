@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import { db } from "../config/firebase";
 import {
@@ -22,7 +23,18 @@ import {
   Check,
   Trash2,
   BellOff,
+  Scale,
 } from "lucide-react";
+import AppealModal from "../components/AppealModal";
+import { getMyAppeals } from "../services/moderationService";
+import { NotificationType } from "../utils/constants";
+
+// Notifications about a strike that can be appealed from here
+const APPEALABLE_TYPES = [
+  NotificationType.STRIKE_RECEIVED,
+  NotificationType.ACCOUNT_RESTRICTED,
+  NotificationType.ACCOUNT_SUSPENDED,
+];
 
 const Notifications = () => {
   const { t } = useTranslation();
@@ -30,6 +42,9 @@ const Notifications = () => {
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState("all"); // all, unread, read
+  const [appealedStrikeIds, setAppealedStrikeIds] = useState(new Set());
+  const [appealTarget, setAppealTarget] = useState(null);
+  const navigate = useNavigate();
 
   useEffect(() => {
     if (!currentUser) return;
@@ -54,6 +69,19 @@ const Notifications = () => {
     return () => unsubscribe();
   }, [currentUser]);
 
+  useEffect(() => {
+    if (!currentUser?.companyId) return;
+
+    getMyAppeals(currentUser.id, currentUser.companyId)
+      .then((appeals) => setAppealedStrikeIds(new Set(appeals.map((appeal) => appeal.strikeId))))
+      .catch((error) => console.error("Error loading appeals:", error));
+  }, [currentUser]);
+
+  const canAppeal = (notification) =>
+    APPEALABLE_TYPES.includes(notification.type) &&
+    notification.metadata?.strikeId &&
+    !appealedStrikeIds.has(notification.metadata.strikeId);
+
   const markAsRead = async (notificationId) => {
     try {
       const notifRef = doc(db, "notifications", notificationId);
@@ -249,6 +277,24 @@ const Notifications = () => {
                         <p className="mt-1.5 text-xs text-gray-400">
                           {formatTimestamp(notification.createdAt)}
                         </p>
+                        {canAppeal(notification) && (
+                          <button
+                            onClick={() => setAppealTarget(notification.metadata)}
+                            className="mt-2 inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors"
+                          >
+                            <Scale className="w-3.5 h-3.5" />
+                            {t("appeals.appeal", "Appeal")}
+                          </button>
+                        )}
+                        {notification.type === NotificationType.APPEAL_FILED && notification.metadata?.reportId && (
+                          <button
+                            onClick={() => navigate(`/moderation/report/${notification.metadata.reportId}`)}
+                            className="mt-2 inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors"
+                          >
+                            <Scale className="w-3.5 h-3.5" />
+                            {t("appeals.reviewAppeal", "Review appeal")}
+                          </button>
+                        )}
                       </div>
                       <div className="flex items-center gap-0.5 flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
                         {!notification.read && (
@@ -276,6 +322,16 @@ const Notifications = () => {
           </div>
         )}
       </div>
+
+      <AppealModal
+        isOpen={!!appealTarget}
+        onClose={() => setAppealTarget(null)}
+        strikeId={appealTarget?.strikeId}
+        violationType={appealTarget?.violationType}
+        onFiled={() =>
+          setAppealedStrikeIds((prev) => new Set([...prev, appealTarget.strikeId]))
+        }
+      />
     </div>
   );
 };
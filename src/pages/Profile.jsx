@@ -5,7 +5,10 @@ import { db, storage } from "../config/firebase";
 import { doc, updateDoc, getDoc, collection, query, where, getDocs } from "firebase/firestore";
 import { ref, uploadBytesResumable, getDownloadURL } from "firebase/storage";
 import { useTranslation } from "react-i18next";
-import { PostType, UserRole } from "../utils/constants";
+import { PostType, UserRole, MIN_ALLOWED_GROUP_SIZE } from "../utils/constants";
+import RetentionSettings from "../components/RetentionSettings";
+import MyStrikes from "../components/MyStrikes";
+import { resolveMinGroupSize } from "../utils/analyticsHelpers";
 import {
   Shield,
   ClipboardList,
@@ -17,6 +20,7 @@ import {
   LogOut,
   Edit3,
   MessageSquare,
+  KeyRound,
 } from "lucide-react";
 
 const Profile = () => {
@@ -37,7 +41,7 @@ const Profile = () => {
   const [editData, setEditData] = useState({ displayName: "", email: "" });
   const [stats, setStats] = useState({ total: 0, problems: 0, ideas: 0 });
   const [companyData, setCompanyData] = useState(null);
-  const [companyEditData, setCompanyEditData] = useState({ name: "", logoUrl: "" });
+  const [companyEditData, setCompanyEditData] = useState({ name: "", logoUrl: "", minGroupSize: "" });
   const [logoFile, setLogoFile] = useState(null);
   const [logoPreview, setLogoPreview] = useState(null);
   const [logoUploading, setLogoUploading] = useState(false);
@@ -70,7 +74,11 @@ const Profile = () => {
       if (companyDoc.exists()) {
         const data = companyDoc.data();
         setCompanyData({ id: companyDoc.id, ...data });
-        setCompanyEditData({ name: data.name || "", logoUrl: data.logoUrl || "" });
+        setCompanyEditData({
+          name: data.name || "",
+          logoUrl: data.logoUrl || "",
+          minGroupSize: String(resolveMinGroupSize(data)),
+        });
       }
     } catch (error) {
       console.error("Error loading company data:", error);
@@ -132,6 +140,13 @@ const Profile = () => {
       displayName: profileData.displayName,
       email: profileData.email,
     });
+    if (companyData) {
+      setCompanyEditData({
+        name: companyData.name || "",
+        logoUrl: companyData.logoUrl || "",
+        minGroupSize: String(resolveMinGroupSize(companyData)),
+      });
+    }
     setLogoFile(null);
     setLogoPreview(null);
     setIsEditing(false);
@@ -150,6 +165,14 @@ const Profile = () => {
 
   const handleSaveCompany = async () => {
     if (!userData?.companyId) return;
+    const minGroupSize = parseInt(companyEditData.minGroupSize, 10);
+    if (!Number.isInteger(minGroupSize) || minGroupSize < MIN_ALLOWED_GROUP_SIZE) {
+      alert(t("profile.minGroupSizeInvalid", {
+        defaultValue: "The minimum group size must be a whole number of at least {{min}}.",
+        min: MIN_ALLOWED_GROUP_SIZE,
+      }));
+      return;
+    }
     try {
       setLoading(true);
       let logoUrl = companyEditData.logoUrl;
@@ -171,10 +194,16 @@ const Profile = () => {
       await updateDoc(companyRef, {
         name: companyEditData.name.trim(),
         logoUrl,
+        analyticsMinGroupSize: minGroupSize,
       });
 
-      setCompanyData((prev) => ({ ...prev, name: companyEditData.name.trim(), logoUrl }));
-      setCompanyEditData({ name: companyEditData.name.trim(), logoUrl });
+      setCompanyData((prev) => ({
+        ...prev,
+        name: companyEditData.name.trim(),
+        logoUrl,
+        analyticsMinGroupSize: minGroupSize,
+      }));
+      setCompanyEditData({ name: companyEditData.name.trim(), logoUrl, minGroupSize: String(minGroupSize) });
       setLogoFile(null);
       setLogoPreview(null);
       setIsEditing(false);
@@ -230,6 +259,7 @@ const Profile = () => {
     { label: t("profile.policyLibrary", "Policy Library"), sub: t("profile.viewPolicies", "Company guidelines"), path: "/policies", icon: BookOpen, iconColor: "text-cyan-600", bg: "bg-cyan-50" },
     { label: "Report Vendor Risk", sub: "Flag a supplier or third-party issue", path: "/vendor-risk", icon: ShieldAlert, iconColor: "text-orange-600", bg: "bg-orange-50" },
     { label: t("navigation.notifications", "Notifications"), sub: t("profile.viewNotifications", "Recent alerts"), path: "/notifications", icon: Bell, iconColor: "text-amber-600", bg: "bg-amber-50" },
+    { label: "Key Custody", sub: "Submit a key share for a legal request", path: "/key-custody", icon: KeyRound, iconColor: "text-gray-600", bg: "bg-gray-100" },
     ...(userData?.userTagId
       ? [{
           label: t("navigation.assignedToMe", "Assigned to Me"),
@@ -364,6 +394,11 @@ const Profile = () => {
         </div>
       </div>
 
+      {/* Strikes and appeals - only rendered if the user has any */}
+      {userData?.id && userData.companyId && (
+        <MyStrikes userId={userData.id} companyId={userData.companyId} />
+      )}
+
       {/* Company Settings - only for company_admin */}
       {userData?.role === UserRole.COMPANY_ADMIN && companyData && (
         <div className="bg-white rounded-2xl shadow-sm p-5 mb-4">
@@ -418,10 +453,43 @@ const Profile = () => {
                 </span>
               )}
             </div>
+
+            {/* Minimum group size for analytics (k-anonymity) */}
+            <div className="py-2 border-t border-gray-50">
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-500 flex-shrink-0 mr-4">
+                  {t("profile.minGroupSize", "Minimum Group Size")}
+                </span>
+                {isEditing ? (
+                  <input
+                    type="number"
+                    min={MIN_ALLOWED_GROUP_SIZE}
+                    value={companyEditData.minGroupSize}
+                    onChange={(e) => setCompanyEditData((prev) => ({ ...prev, minGroupSize: e.target.value }))}
+                    className="w-20 text-sm font-medium text-gray-900 text-right border-b-2 border-[#1ABC9C] outline-none bg-transparent py-0.5"
+                  />
+                ) : (
+                  <span className="text-sm font-medium text-gray-900">
+                    {resolveMinGroupSize(companyData)}
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-400 mt-0.5">
+                {t(
+                  "profile.minGroupSizeHint",
+                  "Analytics, exports and admin filters never single out fewer people or anonymous posts than this."
+                )}
+              </p>
+            </div>
           </div>
         </div>
       )}
 
+      {/* Retention policy - only for company_admin */}
+      {userData?.role === UserRole.COMPANY_ADMIN && userData.companyId && (
+        <RetentionSettings companyId={userData.companyId} />
+      )}
+
       {/* Quick links */}
       <div className="bg-white rounded-2xl shadow-sm p-5 mb-4">
         <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-3">
@@ -1,20 +1,13 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import {
   useNavigate,
   useLocation,
   useSearchParams,
   Link,
 } from "react-router-dom";
-import {
-  doc,
-  getDoc,
-  addDoc,
-  collection,
-  serverTimestamp,
-} from "firebase/firestore";
-import { db, auth } from "../config/firebase";
+import { auth } from "../config/firebase";
 import { signInAnonymously } from "firebase/auth";
-import { checkUsernameExists, hashPassword } from "../services/authService";
+import { validateInvite, checkInviteUsername, registerWithInvite } from "../services/inviteService";
 import { useTranslation } from "react-i18next";
 import {
   ArrowLeft,
@@ -36,10 +29,8 @@ const Register = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const [searchParams] = useSearchParams();
-  const { companyId: stateCompanyId, companyName: stateCompanyName } =
-    location.state || {};
-  const companyId = stateCompanyId || searchParams.get("companyId");
-  const companyName = stateCompanyName || searchParams.get("companyName");
+  const { inviteToken: stateInviteToken } = location.state || {};
+  const inviteToken = stateInviteToken || searchParams.get("invite");
 
   const [company, setCompany] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -60,14 +51,6 @@ const Register = () => {
   const [usernameChecked, setUsernameChecked] = useState(false);
   const usernameCheckTimeout = useRef(null);
 
-  useEffect(() => {
-    if (!companyId) {
-      navigate("/login");
-      return;
-    }
-    loadCompany();
-  }, [companyId, navigate]);
-
   // Auto-check username availability with debounce
   useEffect(() => {
     // Clear any existing timeout
@@ -79,8 +62,8 @@ const Register = () => {
     setUsernameAvailable(null);
     setUsernameChecked(false);
 
-    // Don't check if username is too short or empty
-    if (!formData.username || formData.username.length < 3) {
+    // Don't check if username is too short or empty, or without an invite
+    if (!inviteToken || !formData.username || formData.username.length < 3) {
       return;
     }
 
@@ -90,11 +73,11 @@ const Register = () => {
       setError("");
 
       try {
-        const exists = await checkUsernameExists(formData.username);
-        setUsernameAvailable(!exists);
+        const available = await checkInviteUsername(inviteToken, formData.username);
+        setUsernameAvailable(available);
         setUsernameChecked(true);
 
-        if (exists) {
+        if (!available) {
           setError(t("auth.register.usernameAlreadyTaken"));
         }
       } catch (error) {
@@ -111,9 +94,22 @@ const Register = () => {
         clearTimeout(usernameCheckTimeout.current);
       }
     };
-  }, [formData.username]);
+  }, [formData.username, inviteToken]);
+
+  const getInviteErrorMessage = useCallback((error) => {
+    switch (error.code) {
+      case "functions/failed-precondition":
+      case "functions/resource-exhausted":
+      case "functions/permission-denied":
+      case "functions/invalid-argument":
+      case "functions/not-found":
+        return error.message || t("auth.register.inviteInvalid");
+      default:
+        return null;
+    }
+  }, [t]);
 
-  const loadCompany = async () => {
+  const loadInvite = useCallback(async () => {
     try {
       // Wait for anonymous auth — mobile cold-starts need this
       if (!auth.currentUser) {
@@ -123,31 +119,47 @@ const Register = () => {
       // Small delay to ensure auth state is propagated
       await new Promise((resolve) => setTimeout(resolve, 300));
 
-      const companyDoc = await getDoc(doc(db, "companies", companyId));
-      if (companyDoc.exists()) {
-        setCompany({ id: companyDoc.id, ...companyDoc.data() });
-      } else {
-        setError(t("auth.register.companyNotFound"));
-      }
+      const invite = await validateInvite(inviteToken);
+      setCompany({
+        id: invite.companyId,
+        name: invite.companyName,
+        departmentName: invite.departmentName,
+      });
     } catch (error) {
-      console.error("Error loading company:", error);
+      console.error("Error validating invite:", error);
+
+      const inviteError = getInviteErrorMessage(error);
+      if (inviteError) {
+        setError(inviteError);
+        return;
+      }
+
       // Retry once — mobile networks can be flaky on first load
       try {
         if (!auth.currentUser) {
           await signInAnonymously(auth);
         }
-        const companyDoc = await getDoc(doc(db, "companies", companyId));
-        if (companyDoc.exists()) {
-          setCompany({ id: companyDoc.id, ...companyDoc.data() });
-        } else {
-          setError(t("auth.register.companyNotFound"));
-        }
+        const invite = await validateInvite(inviteToken);
+        setCompany({
+          id: invite.companyId,
+          name: invite.companyName,
+          departmentName: invite.departmentName,
+        });
       } catch (retryError) {
         console.error("Retry failed:", retryError);
-        setError(t("auth.register.companyLoadFailed"));
+        setError(getInviteErrorMessage(retryError) || t("auth.register.companyLoadFailed"));
       }
     }
-  };
+  }, [inviteToken, getInviteErrorMessage, t]);
+
+  useEffect(() => {
+    if (!inviteToken) {
+      // Links without a signed invite (e.g. old companyId-only QR codes) are no longer accepted
+      setError(t("auth.register.inviteRequired"));
+      return;
+    }
+    loadInvite();
+  }, [inviteToken, loadInvite, t]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -227,17 +239,12 @@ const Register = () => {
     setLoading(true);
 
     try {
-      await addDoc(collection(db, "users"), {
-        username: formData.username.toLowerCase(),
-        password: hashPassword(formData.password),
-        displayName: formData.fullName,
+      await registerWithInvite(inviteToken, {
+        fullName: formData.fullName,
+        username: formData.username,
         mobile: formData.mobile,
         gender: formData.gender,
-        companyId: companyId,
-        role: "employee",
-        status: "pending",
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
+        password: formData.password,
       });
 
       setSuccess(t("auth.register.registrationPending"));
@@ -258,7 +265,12 @@ const Register = () => {
       }, 3000);
     } catch (error) {
       console.error("Registration error:", error);
-      setError("Registration failed. Please try again.");
+      if (error.code === "functions/already-exists") {
+        setUsernameAvailable(false);
+        setError(t("auth.register.usernameAlreadyTaken"));
+      } else {
+        setError(getInviteErrorMessage(error) || "Registration failed. Please try again.");
+      }
     } finally {
       setLoading(false);
     }
@@ -340,6 +352,11 @@ const Register = () => {
             <p className="text-sm text-gray-500">
               {t("auth.register.createEmployeeAccount")}
             </p>
+            {company.departmentName && (
+              <p className="text-xs text-gray-400 mt-1">
+                {t("auth.register.joiningDepartment", { departmentName: company.departmentName })}
+              </p>
+            )}
           </div>
 
           {/* Alerts */}
@@ -15,11 +15,18 @@ import {
   AlertCircle,
   CheckCircle,
   Hash,
+  Users,
+  History,
 } from "lucide-react";
 import { useAuth } from "../contexts/AuthContext";
 import {
   getReportById,
   reviewReport,
+  getAppealsForReport,
+  getReportActivityLog,
+  canDecideAppeal,
+  decideAppeal,
+  escalateAppeal,
 } from "../services/moderationService";
 import {
   ReportReasonConfig,
@@ -27,7 +34,11 @@ import {
   ModerationActionType,
   ModerationActionConfig,
   ReportableContentType,
+  ReportSeverityConfig,
   UserRole,
+  AppealStatus,
+  AppealStatusConfig,
+  ModerationActivityType,
 } from "../utils/constants";
 import { downloadEvidencePackageWithFormat } from "../services/legalEvidenceService";
 import LegalRequestModal from "../components/LegalRequestModal";
@@ -84,6 +95,34 @@ const STATUS_STYLES = {
   escalated: "bg-purple-50 text-purple-700 border border-purple-200",
 };
 
+const ACTIVITY_LABELS = {
+  [ModerationActivityType.REPORT_CREATED]: "Report filed",
+  [ModerationActivityType.REPORT_REVIEWED]: "Report reviewed",
+  [ModerationActivityType.REPORT_DISMISSED]: "Report dismissed",
+  [ModerationActivityType.REPORT_ESCALATED]: "Report escalated",
+  [ModerationActivityType.CONTENT_REMOVED]: "Content removed",
+  [ModerationActivityType.STRIKE_ISSUED]: "Strike issued",
+  [ModerationActivityType.USER_RESTRICTED]: "Posting restricted",
+  [ModerationActivityType.USER_SUSPENDED]: "Account suspended",
+  [ModerationActivityType.RESTRICTION_LIFTED]: "Restriction lifted",
+  [ModerationActivityType.SUSPENSION_LIFTED]: "Suspension lifted",
+  [ModerationActivityType.STRIKE_EXPIRED]: "Strike expired",
+  [ModerationActivityType.APPEAL_FILED]: "Appeal filed",
+  [ModerationActivityType.APPEAL_ESCALATED]: "Appeal escalated",
+  [ModerationActivityType.APPEAL_UPHELD]: "Appeal decided: original decision upheld",
+  [ModerationActivityType.APPEAL_OVERTURNED]: "Appeal decided: overturned",
+  [ModerationActivityType.STRIKE_REVERSED]: "Strike reversed",
+  [ModerationActivityType.CONTENT_RESTORED]: "Content restored",
+};
+
+const APPEAL_DECISION_DEFAULTS = {
+  outcome: "uphold",
+  reverseStrike: true,
+  restoreContent: true,
+  liftRestrictions: true,
+  notes: "",
+};
+
 const ReportDetailView = () => {
   const { reportId } = useParams();
   const navigate = useNavigate();
@@ -102,6 +141,11 @@ const ReportDetailView = () => {
   const [showLegalRequestModal, setShowLegalRequestModal] = useState(false);
   const [exportingEvidence, setExportingEvidence] = useState(false);
 
+  const [appeals, setAppeals] = useState([]);
+  const [activityLog, setActivityLog] = useState([]);
+  const [appealDecision, setAppealDecision] = useState(APPEAL_DECISION_DEFAULTS);
+  const [appealInProgress, setAppealInProgress] = useState(false);
+
   useEffect(() => {
     fetchReport();
   }, [reportId]);
@@ -112,6 +156,18 @@ const ReportDetailView = () => {
     try {
       const reportData = await getReportById(reportId);
       setReport(reportData);
+
+      // Strikes, appeals and their log entries point at the report the
+      // case was actioned through
+      if (reportData) {
+        const actionedReportId = reportData.resolvedWithReportId || reportData.id;
+        const [reportAppeals, reportActivity] = await Promise.all([
+          getAppealsForReport(actionedReportId, reportData.companyId),
+          getReportActivityLog(actionedReportId, reportData.companyId),
+        ]);
+        setAppeals(reportAppeals);
+        setActivityLog(reportActivity);
+      }
     } catch (err) {
       console.error("Error fetching report:", err);
       setError("Failed to load report. Please try again.");
@@ -169,6 +225,41 @@ const ReportDetailView = () => {
     }
   };
 
+  const handleDecideAppeal = async (appeal) => {
+    if (!appealDecision.notes.trim()) {
+      showWarning("Please explain the decision to the user");
+      return;
+    }
+
+    setAppealInProgress(true);
+    try {
+      await decideAppeal(appeal.id, { ...appealDecision, notes: appealDecision.notes.trim() }, userData);
+      showSuccess(appealDecision.outcome === "overturn" ? "Appeal overturned" : "Original decision upheld");
+      setAppealDecision(APPEAL_DECISION_DEFAULTS);
+      await fetchReport();
+    } catch (err) {
+      console.error("Error deciding appeal:", err);
+      showError(err.message || "Failed to decide the appeal. Please try again.");
+    } finally {
+      setAppealInProgress(false);
+    }
+  };
+
+  const handleEscalateAppeal = async (appeal) => {
+    setAppealInProgress(true);
+    try {
+      await escalateAppeal(appeal.id, userData, appealDecision.notes.trim());
+      showSuccess("Appeal escalated to Super Admin");
+      setAppealDecision(APPEAL_DECISION_DEFAULTS);
+      await fetchReport();
+    } catch (err) {
+      console.error("Error escalating appeal:", err);
+      showError(err.message || "Failed to escalate the appeal. Please try again.");
+    } finally {
+      setAppealInProgress(false);
+    }
+  };
+
   const handleExportEvidence = async (format) => {
     if (!userData?.companyId || !report?.id) return;
     setExportingEvidence(true);
@@ -222,6 +313,8 @@ const ReportDetailView = () => {
     ? report.createdAt.toDate()
     : new Date(report.createdAt);
   const isActioned = ["resolved", "dismissed"].includes(report.status);
+  const reportCase = report.case;
+  const severityConfig = reportCase ? ReportSeverityConfig[reportCase.severity] : null;
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -272,10 +365,9 @@ const ReportDetailView = () => {
                 <span className="text-xs px-2.5 py-1 bg-gray-100 text-gray-600 rounded-lg font-medium">
                   {report.contentType === ReportableContentType.POST ? "Post" : "Comment"}
                 </span>
-                {report.totalReportsForContent > 0 && (
-                  <span className="text-xs px-2.5 py-1 bg-red-50 text-red-600 rounded-lg font-medium">
-                    {report.totalReportsForContent} report{report.totalReportsForContent !== 1 ? "s" : ""}
-                    {report.previouslyActionedForContent > 0 && ` · ${report.previouslyActionedForContent} actioned`}
+                {reportCase && (
+                  <span className={`text-xs px-2.5 py-1 rounded-lg font-medium ${severityConfig.bgColor} ${severityConfig.textColor}`}>
+                    {severityConfig.label} severity
                   </span>
                 )}
               </div>
@@ -313,15 +405,52 @@ const ReportDetailView = () => {
             </div>
           </div>
 
-          {/* Reporter's Explanation */}
-          {report.description && (
+          {/* Case: every report about this content */}
+          {reportCase && (
             <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
-              <div className="px-5 py-4 border-b border-gray-100 flex items-center gap-2">
-                <Flag className="w-4 h-4 text-gray-400" />
-                <h2 className="text-sm font-semibold text-gray-900">Reporter's Explanation</h2>
+              <div className="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <Users className="w-4 h-4 text-gray-400" />
+                  <h2 className="text-sm font-semibold text-gray-900">Reports in this Case</h2>
+                </div>
+                <span className="text-xs px-2.5 py-1 bg-red-50 text-red-600 rounded-lg font-medium">
+                  {reportCase.reporterCount} reporter{reportCase.reporterCount !== 1 ? "s" : ""}
+                  {reportCase.reportCount !== reportCase.reporterCount && ` · ${reportCase.reportCount} reports`}
+                </span>
               </div>
               <div className="p-5">
-                <p className="text-sm text-gray-700 leading-relaxed">{report.description}</p>
+                <div className="flex flex-wrap gap-1.5 mb-4">
+                  {reportCase.reasons.map((reason) => (
+                    <span key={reason} className="px-2.5 py-1 bg-gray-100 text-gray-700 text-xs font-medium rounded-lg">
+                      {ReportReasonConfig[reason]?.icon} {ReportReasonConfig[reason]?.label || reason}
+                      {reportCase.reasonCounts[reason] > 1 && ` ×${reportCase.reasonCounts[reason]}`}
+                    </span>
+                  ))}
+                </div>
+                <div className="space-y-2">
+                  {reportCase.reports.map((caseReport) => {
+                    const reportedAt = caseReport.createdAt?.toDate
+                      ? caseReport.createdAt.toDate()
+                      : new Date(caseReport.createdAt);
+                    return (
+                      <div key={caseReport.id} className="flex items-start gap-2 px-3 py-2.5 bg-gray-50 rounded-xl">
+                        <Flag className="w-3.5 h-3.5 text-gray-400 flex-shrink-0 mt-0.5" />
+                        <div className="min-w-0">
+                          <p className="text-xs font-semibold text-gray-700">
+                            {ReportReasonConfig[caseReport.reason]?.label || caseReport.reason}
+                            <span className="font-normal text-gray-400">
+                              {" · "}
+                              {reportedAt.toLocaleDateString(undefined, { month: "short", day: "numeric" })}
+                            </span>
+                          </p>
+                          {caseReport.description && (
+                            <p className="text-sm text-gray-700 leading-relaxed mt-0.5">{caseReport.description}</p>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
               </div>
             </div>
           )}
@@ -341,7 +470,7 @@ const ReportDetailView = () => {
                   <p className="text-sm font-semibold text-gray-900">{report.contentAuthorName || "Unknown"}</p>
                   {report.authorHistory?.currentStrikeCount > 0 && (
                     <p className="text-xs text-amber-600 font-medium mt-0.5">
-                      {report.authorHistory.currentStrikeCount}/3 strikes
+                      {report.authorHistory.currentStrikeCount}/{report.authorHistory.strikeLimit} strikes
                     </p>
                   )}
                 </div>
@@ -377,6 +506,142 @@ const ReportDetailView = () => {
             </div>
           </div>
 
+          {/* Appeals against the strike issued for this case */}
+          {appeals.length > 0 && (
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+              <div className="px-5 py-4 border-b border-gray-100 flex items-center gap-2">
+                <Scale className="w-4 h-4 text-gray-400" />
+                <h2 className="text-sm font-semibold text-gray-900">Appeals</h2>
+              </div>
+              <div className="p-5 space-y-4">
+                {appeals.map((appeal) => {
+                  const appealStatus = AppealStatusConfig[appeal.status];
+                  const filedAt = appeal.createdAt?.toDate ? appeal.createdAt.toDate() : null;
+                  const isOpen = [AppealStatus.PENDING, AppealStatus.ESCALATED].includes(appeal.status);
+                  const canDecide = canDecideAppeal(appeal, userData);
+                  return (
+                    <div key={appeal.id} className="border border-gray-100 rounded-2xl p-4">
+                      <div className="flex items-center justify-between gap-2 mb-2">
+                        <span className="text-xs font-semibold text-gray-700">
+                          Strike {appeal.strikeLevel}
+                          {appeal.violationType && ` · ${appeal.violationType}`}
+                          {filedAt && (
+                            <span className="font-normal text-gray-400">
+                              {" · filed "}
+                              {filedAt.toLocaleDateString(undefined, { month: "short", day: "numeric" })}
+                            </span>
+                          )}
+                        </span>
+                        <span className={`px-2.5 py-1 text-xs font-medium rounded-lg ${appealStatus.bgColor} ${appealStatus.textColor}`}>
+                          {appealStatus.label}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-700 leading-relaxed whitespace-pre-wrap break-words">{appeal.reason}</p>
+
+                      {appeal.escalationReason && (
+                        <p className="text-xs text-purple-700 mt-2">Escalated: {appeal.escalationReason}</p>
+                      )}
+
+                      {!isOpen && (
+                        <div className="mt-3 px-3 py-2.5 bg-gray-50 rounded-xl">
+                          <p className="text-xs text-gray-600">{appeal.decisionNotes}</p>
+                          {appeal.status === AppealStatus.OVERTURNED && (
+                            <p className="text-xs text-gray-400 mt-1">
+                              {[
+                                appeal.strikeReversed && "strike reversed",
+                                appeal.contentRestored && "content restored",
+                                (appeal.restrictionsLifted > 0 || appeal.suspensionLifted) && "restrictions lifted",
+                              ].filter(Boolean).join(" · ") || "no changes applied"}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {isOpen && !canDecide && (
+                        <p className="mt-3 text-xs text-gray-500">
+                          {appeal.originalModeratorId === userData?.id
+                            ? "You issued this strike, so another moderator reviews this appeal."
+                            : "Escalated appeals are decided by a Super Admin."}
+                        </p>
+                      )}
+
+                      {canDecide && (
+                        <div className="mt-4 pt-4 border-t border-gray-100 space-y-3">
+                          <div className="flex gap-2">
+                            {[
+                              { value: "uphold", label: "Uphold decision" },
+                              { value: "overturn", label: "Overturn" },
+                            ].map((option) => (
+                              <button
+                                key={option.value}
+                                onClick={() => setAppealDecision({ ...appealDecision, outcome: option.value })}
+                                className={`flex-1 px-3 py-2 text-sm font-medium rounded-xl border transition-colors ${
+                                  appealDecision.outcome === option.value
+                                    ? "border-[#2D3E50] bg-[#2D3E50] text-white"
+                                    : "border-gray-200 text-gray-600 hover:bg-gray-50"
+                                }`}
+                              >
+                                {option.label}
+                              </button>
+                            ))}
+                          </div>
+
+                          {appealDecision.outcome === "overturn" && (
+                            <div className="space-y-1.5">
+                              {[
+                                { field: "reverseStrike", label: "Reverse the strike" },
+                                { field: "restoreContent", label: "Restore the removed content" },
+                                { field: "liftRestrictions", label: "Lift restrictions caused by this strike" },
+                              ].map((option) => (
+                                <label key={option.field} className="flex items-center gap-2 text-sm text-gray-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={appealDecision[option.field]}
+                                    onChange={(e) => setAppealDecision({ ...appealDecision, [option.field]: e.target.checked })}
+                                    className="h-4 w-4 rounded"
+                                    style={{ accentColor: "#1ABC9C" }}
+                                  />
+                                  {option.label}
+                                </label>
+                              ))}
+                            </div>
+                          )}
+
+                          <textarea
+                            value={appealDecision.notes}
+                            onChange={(e) => setAppealDecision({ ...appealDecision, notes: e.target.value })}
+                            rows={3}
+                            placeholder="Explain the decision (shared with the user)..."
+                            className="w-full px-3 py-2.5 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-[#1ABC9C]/30"
+                          />
+
+                          <div className="flex gap-2">
+                            {appeal.status === AppealStatus.PENDING && userData?.role !== UserRole.SUPER_ADMIN && (
+                              <button
+                                onClick={() => handleEscalateAppeal(appeal)}
+                                disabled={appealInProgress}
+                                className="px-4 py-2.5 text-sm font-medium rounded-xl border border-purple-200 text-purple-700 hover:bg-purple-50 transition-colors disabled:opacity-50"
+                              >
+                                Escalate
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleDecideAppeal(appeal)}
+                              disabled={appealInProgress}
+                              className="flex-1 px-4 py-2.5 text-sm font-medium rounded-xl text-white bg-[#2D3E50] hover:bg-[#1f2d3a] transition-colors disabled:opacity-50"
+                            >
+                              {appealInProgress ? "Saving..." : "Save Decision"}
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Moderator Actions */}
           {!isActioned && (
             <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
@@ -419,6 +684,39 @@ const ReportDetailView = () => {
             </div>
           )}
 
+          {/* Moderation timeline: review, strike, restrictions and appeals */}
+          {activityLog.length > 0 && (
+            <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+              <div className="px-5 py-4 border-b border-gray-100 flex items-center gap-2">
+                <History className="w-4 h-4 text-gray-400" />
+                <h2 className="text-sm font-semibold text-gray-900">Moderation Timeline</h2>
+              </div>
+              <div className="p-5">
+                <ol className="relative border-l border-gray-200 ml-1.5 space-y-4">
+                  {activityLog.map((entry) => {
+                    const loggedAt = entry.createdAt?.toDate ? entry.createdAt.toDate() : null;
+                    return (
+                      <li key={entry.id} className="ml-4">
+                        <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white bg-[#1ABC9C]" />
+                        <p className="text-sm font-medium text-gray-800">
+                          {ACTIVITY_LABELS[entry.activityType] || entry.activityType}
+                        </p>
+                        <p className="text-xs text-gray-400 mt-0.5">
+                          {loggedAt
+                            ? `${loggedAt.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })} · ${loggedAt.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" })}`
+                            : "Just now"}
+                        </p>
+                        {entry.metadata?.notes && (
+                          <p className="text-xs text-gray-600 mt-1">{entry.metadata.notes}</p>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ol>
+              </div>
+            </div>
+          )}
+
           {/* Legal & Evidence Card */}
           <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
             <div className="px-5 py-4 border-b border-gray-100 flex items-center gap-2">
@@ -566,6 +864,16 @@ const ReportDetailView = () => {
                   </>
                 )}
 
+                {reportCase?.reportCount > 1 && (
+                  <div className="p-3.5 bg-blue-50 border border-blue-200 rounded-2xl">
+                    <p className="text-xs text-blue-800">
+                      This action applies to all {reportCase.reportCount} reports in this case.
+                      {selectedAction !== ModerationActionType.ESCALATE &&
+                        " Each reporter is notified of the outcome."}
+                    </p>
+                  </div>
+                )}
+
                 {selectedAction === ModerationActionType.ESCALATE && (
                   <div className="p-3.5 bg-purple-50 border border-purple-200 rounded-2xl">
                     <p className="text-xs text-purple-800">
@@ -0,0 +1,185 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useAuth } from "../contexts/AuthContext";
+import { resetPassword } from "../services/authService";
+import LanguageSwitcher from "../components/LanguageSwitcher";
+import { Lock, KeyRound, AlertCircle, CheckCircle, Loader2, ArrowLeft } from "lucide-react";
+
+const ResetPassword = () => {
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [completed, setCompleted] = useState(false);
+  const { login } = useAuth();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password.length < 6) {
+      setError(t("auth.register.passwordLength"));
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError(t("auth.register.passwordMismatch"));
+      return;
+    }
+
+    try {
+      setError("");
+      setLoading(true);
+
+      const { username } = await resetPassword(token, password);
+      setCompleted(true);
+
+      // Sign in with the new password; resetPassword audits the change
+      try {
+        await login(username, password);
+        navigate("/dashboard");
+      } catch (loginError) {
+        // The password was changed; the account itself may not be able to sign in
+        setError(loginError.message);
+      }
+    } catch (error) {
+      console.error("Error resetting password:", error);
+      setError(error.message || t("auth.passwordReset.resetFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName =
+    "w-full pl-12 pr-4 py-3 border border-gray-100 rounded-xl focus:ring-2 focus:border-transparent transition-all bg-gray-50 hover:bg-white text-gray-900 placeholder-gray-400";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 sm:p-6 bg-gray-50">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <img
+            src="/voxwel-logo.png"
+            alt="VoxWel Logo"
+            className="w-20 h-20 object-contain mx-auto mb-3"
+          />
+          <h2 className="text-2xl font-bold" style={{ color: "#2D3E50" }}>
+            VoxWel
+          </h2>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-sm p-5 sm:p-6 lg:p-8 border border-gray-100">
+          <div className="mb-7">
+            <div className="flex items-center justify-between mb-4">
+              <div className="inline-flex items-center justify-center w-12 h-12 rounded-2xl" style={{ backgroundColor: "#1ABC9C15" }}>
+                <KeyRound className="w-6 h-6" style={{ color: "#1ABC9C" }} />
+              </div>
+              <LanguageSwitcher />
+            </div>
+            <h1 className="text-2xl font-bold mb-2" style={{ color: "#2D3E50" }}>
+              {t("auth.passwordReset.newPasswordTitle")}
+            </h1>
+            <p className="text-gray-500 text-sm">
+              {t("auth.passwordReset.newPasswordDescription")}
+            </p>
+          </div>
+
+          {!token && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-100 rounded-xl flex items-start space-x-3">
+              <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+              <p className="text-sm font-medium text-red-700">{t("auth.passwordReset.invalidLink")}</p>
+            </div>
+          )}
+
+          {completed && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-100 rounded-xl flex items-start space-x-3">
+              <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+              <p className="text-sm font-medium text-green-800">{t("auth.passwordReset.resetComplete")}</p>
+            </div>
+          )}
+
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-100 rounded-xl flex items-start space-x-3">
+              <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+              <p className="text-sm font-medium text-red-700">{error}</p>
+            </div>
+          )}
+
+          {token && !completed && (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div>
+                <label htmlFor="new-password" className="block text-sm font-semibold mb-2" style={{ color: "#2D3E50" }}>
+                  {t("auth.changePassword.newPassword")}
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                    <Lock className="w-5 h-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="new-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    autoComplete="new-password"
+                    className={inputClassName}
+                    placeholder={t("auth.changePassword.newPasswordPlaceholder")}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="confirm-password" className="block text-sm font-semibold mb-2" style={{ color: "#2D3E50" }}>
+                  {t("auth.changePassword.confirmPassword")}
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                    <Lock className="w-5 h-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="confirm-password"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    required
+                    autoComplete="new-password"
+                    className={inputClassName}
+                    placeholder={t("auth.changePassword.confirmPasswordPlaceholder")}
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full text-white py-3.5 rounded-xl font-semibold text-base focus:outline-none transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+                style={{ backgroundColor: "#1ABC9C" }}
+              >
+                {loading ? (
+                  <div className="flex items-center justify-center space-x-2">
+                    <Loader2 className="w-5 h-5 animate-spin text-white" />
+                    <span>{t("auth.changePassword.saving")}</span>
+                  </div>
+                ) : (
+                  t("auth.passwordReset.resetPassword")
+                )}
+              </button>
+            </form>
+          )}
+
+          <Link
+            to="/login"
+            className="mt-7 flex items-center text-gray-500 hover:text-gray-800 transition group"
+          >
+            <ArrowLeft className="w-5 h-5 mr-2 group-hover:-translate-x-1 transition-transform" />
+            {t("auth.passwordReset.backToLogin")}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,7 +1,7 @@
 import { useState, useEffect } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import { useTranslation } from 'react-i18next';
-import { Clock, Calendar, X, Edit } from "lucide-react";
+import { Clock, Calendar, X, Edit, AlertTriangle, RefreshCw } from "lucide-react";
 import {
   getScheduledPosts,
   cancelScheduledPost,
@@ -131,11 +131,15 @@ const ScheduledPostsPage = () => {
           {scheduledPosts.map((post) => {
             const isOwner = post.authorId === userData?.id;
             const timeUntil = getTimeUntilPublish(post.scheduledPublishDate);
+            const publishFailed = post.publishStatus === "failed";
+            const publishRetrying = post.publishStatus === "retrying";
 
             return (
               <div
                 key={post.id}
-                className="bg-white border border-slate-200 rounded-lg p-5 hover:border-slate-300 transition"
+                className={`bg-white border rounded-lg p-5 transition ${
+                  publishFailed ? "border-red-300" : "border-slate-200 hover:border-slate-300"
+                }`}
               >
                 {/* Post Header */}
                 <div className="flex items-start justify-between mb-3">
@@ -149,10 +153,31 @@ const ScheduledPostsPage = () => {
                         {formatScheduledDate(post.scheduledPublishDate)}
                       </span>
                       <span className="text-xs text-slate-500">{timeUntil}</span>
+                      {publishFailed && (
+                        <span className="text-xs px-2 py-1 bg-red-100 text-red-700 rounded flex items-center gap-1">
+                          <AlertTriangle className="w-3 h-3" />
+                          {t('scheduled.publishFailed')}
+                        </span>
+                      )}
+                      {publishRetrying && (
+                        <span className="text-xs px-2 py-1 bg-amber-100 text-amber-700 rounded flex items-center gap-1">
+                          <RefreshCw className="w-3 h-3" />
+                          {t('scheduled.retrying', { attempts: post.publishAttempts })}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
 
+                {/* Publish Failure Details */}
+                {(publishFailed || publishRetrying) && post.lastPublishError && (
+                  <div className={`mb-3 p-3 rounded-lg text-sm ${
+                    publishFailed ? "bg-red-50 text-red-700" : "bg-amber-50 text-amber-700"
+                  }`}>
+                    {t('scheduled.lastError')} {post.lastPublishError}
+                  </div>
+                )}
+
                 {/* Post Content Preview */}
                 <p className="text-sm text-slate-700 line-clamp-2 mb-3">
                   {post.content}
@@ -174,7 +199,7 @@ const ScheduledPostsPage = () => {
                       onClick={() => handlePublishNow(post.id)}
                       className="flex items-center gap-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition"
                     >
-                      {t('scheduled.publishNow')}
+                      {publishFailed ? t('scheduled.retryNow') : t('scheduled.publishNow')}
                     </button>
                     <button
                       onClick={() => handleCancel(post.id)}
@@ -0,0 +1,632 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { toast } from "react-toastify";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  advancedSearch,
+  saveSearch,
+  getSavedSearches,
+  deleteSavedSearch,
+  runSavedSearch,
+  getSearchAnalytics,
+  getHighlightSegments,
+  getMatchSnippet,
+} from "../services/searchService";
+import { getDepartments } from "../services/departmentservice";
+import { isAdmin } from "../services/postManagementService";
+import {
+  PostType,
+  PostStatus,
+  PostStatusConfig,
+  PostPriority,
+  PostPriorityConfig,
+} from "../utils/constants";
+import {
+  Search,
+  SlidersHorizontal,
+  MessageSquare,
+  Bookmark,
+  Trash2,
+  TrendingUp,
+  ArrowRight,
+  Loader2,
+  EyeOff,
+  X,
+} from "lucide-react";
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  department: "",
+  type: "",
+  status: "",
+  priority: "",
+  anonymity: "any",
+  startDate: "",
+  endDate: "",
+};
+
+const FEED_PATHS = {
+  [PostType.PROBLEM_REPORT]: "/feed/problems",
+  [PostType.CREATIVE_CONTENT]: "/feed/creative",
+  [PostType.IDEA_SUGGESTION]: "/feed/creative",
+  [PostType.TEAM_DISCUSSION]: "/feed/discussions",
+};
+
+/**
+ * Convert the form filters to the shape advancedSearch expects,
+ * dropping empty values
+ */
+const toSearchFilters = (filters) => {
+  const result = {};
+  if (filters.department) result.department = filters.department;
+  if (filters.type) result.type = filters.type;
+  if (filters.status) result.status = filters.status;
+  if (filters.priority) result.priority = filters.priority;
+  if (filters.anonymity === "anonymous") result.isAnonymous = true;
+  if (filters.anonymity === "named") result.isAnonymous = false;
+  if (filters.startDate) result.startDate = filters.startDate;
+  if (filters.endDate) result.endDate = `${filters.endDate}T23:59:59.999Z`;
+  return result;
+};
+
+/**
+ * Convert saved search filters back to the form shape
+ */
+const fromSearchFilters = (filters = {}) => ({
+  ...EMPTY_FILTERS,
+  department: filters.department || "",
+  type: filters.type || "",
+  status: filters.status || "",
+  priority: filters.priority || "",
+  anonymity: filters.isAnonymous === true ? "anonymous" : filters.isAnonymous === false ? "named" : "any",
+  startDate: filters.startDate ? filters.startDate.slice(0, 10) : "",
+  endDate: filters.endDate ? filters.endDate.slice(0, 10) : "",
+});
+
+const Highlighted = ({ text, terms }) => (
+  <>
+    {getHighlightSegments(text, terms).map((segment, index) =>
+      segment.match ? (
+        <mark key={index} className="bg-yellow-100 text-gray-900 rounded px-0.5">
+          {segment.text}
+        </mark>
+      ) : (
+        <span key={index}>{segment.text}</span>
+      )
+    )}
+  </>
+);
+
+const formatDate = (value) => {
+  if (!value) return "";
+  return new Date(value).toLocaleDateString();
+};
+
+const SearchPage = () => {
+  const { t } = useTranslation();
+  const { userData } = useAuth();
+  const navigate = useNavigate();
+  const canManageSearches = isAdmin(userData?.role);
+
+  const [query, setQuery] = useState("");
+  const [searchInComments, setSearchInComments] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sortBy, setSortBy] = useState("relevance");
+  const [showFilters, setShowFilters] = useState(false);
+  const [departments, setDepartments] = useState([]);
+
+  const [results, setResults] = useState([]);
+  const [commentResults, setCommentResults] = useState([]);
+  const [terms, setTerms] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [lastSearch, setLastSearch] = useState(null);
+
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [topQueries, setTopQueries] = useState([]);
+  const [saveName, setSaveName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!userData?.companyId) return;
+
+    getDepartments(userData.companyId)
+      .then(setDepartments)
+      .catch((error) => console.error("Error loading departments:", error));
+
+    if (canManageSearches) {
+      loadSavedSearches();
+      getSearchAnalytics({ limit: 200 })
+        .then((analytics) => setTopQueries(analytics.topQueries || []))
+        .catch((error) => console.error("Error loading search analytics:", error));
+    }
+  }, [userData?.companyId, canManageSearches]);
+
+  const loadSavedSearches = async () => {
+    try {
+      setSavedSearches(await getSavedSearches());
+    } catch (error) {
+      console.error("Error loading saved searches:", error);
+    }
+  };
+
+  const runSearch = async ({
+    nextQuery = query,
+    nextFilters = filters,
+    nextSearchInComments = searchInComments,
+  } = {}) => {
+    const params = {
+      query: nextQuery.trim(),
+      searchInComments: nextSearchInComments,
+      filters: toSearchFilters(nextFilters),
+      limit: PAGE_SIZE,
+      sortBy: sortBy === "oldest" ? "createdAt" : sortBy,
+      sortOrder: sortBy === "oldest" ? "asc" : "desc",
+    };
+
+    await fetchResults(params);
+  };
+
+  // Load more keeps the parameters of the search being paged through,
+  // even if the form has been edited since
+  const handleLoadMore = () => {
+    if (lastSearch && pagination?.hasMore) {
+      fetchResults(lastSearch, pagination.nextCursor);
+    }
+  };
+
+  const fetchResults = async (params, cursor = null) => {
+    const append = !!cursor;
+
+    try {
+      append ? setLoadingMore(true) : setLoading(true);
+
+      const data = await advancedSearch({ ...params, cursor });
+
+      setResults((prev) => (append ? [...prev, ...data.results] : data.results));
+      if (!append) setCommentResults(data.commentResults || []);
+      setTerms(data.terms || []);
+      setPagination(data.pagination);
+      setLastSearch(params);
+    } catch (error) {
+      console.error("Error searching:", error);
+      if (error.code === "functions/failed-precondition") {
+        toast.error(t("search.filtersTooNarrow", "This search matches too few anonymous posts. Widen it to protect anonymity."));
+      } else {
+        toast.error(t("search.searchFailed", "Search failed. Please try again."));
+      }
+    } finally {
+      append ? setLoadingMore(false) : setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handleSaveSearch = async () => {
+    if (!saveName.trim()) return;
+
+    try {
+      setSaving(true);
+      await saveSearch({
+        name: saveName.trim(),
+        query: query.trim(),
+        filters: toSearchFilters(filters),
+        searchInComments,
+      });
+      setSaveName("");
+      toast.success(t("search.searchSaved", "Search saved"));
+      loadSavedSearches();
+    } catch (error) {
+      console.error("Error saving search:", error);
+      toast.error(t("search.saveFailed", "Failed to save search"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRunSavedSearch = async (searchId) => {
+    try {
+      const saved = await runSavedSearch(searchId);
+      const nextFilters = fromSearchFilters(saved.filters);
+
+      setQuery(saved.query || "");
+      setFilters(nextFilters);
+      setSearchInComments(saved.searchInComments);
+      runSearch({
+        nextQuery: saved.query || "",
+        nextFilters,
+        nextSearchInComments: saved.searchInComments,
+      });
+    } catch (error) {
+      console.error("Error running saved search:", error);
+      toast.error(t("search.searchFailed", "Search failed. Please try again."));
+    }
+  };
+
+  const handleDeleteSavedSearch = async (searchId) => {
+    if (!window.confirm(t("search.confirmDeleteSaved", "Delete this saved search?"))) return;
+
+    try {
+      await deleteSavedSearch(searchId);
+      setSavedSearches((prev) => prev.filter((s) => s.id !== searchId));
+    } catch (error) {
+      console.error("Error deleting saved search:", error);
+      toast.error(t("search.deleteFailed", "Failed to delete saved search"));
+    }
+  };
+
+  const handleTopQuery = (topQuery) => {
+    setQuery(topQuery);
+    runSearch({ nextQuery: topQuery });
+  };
+
+  const activeFilterCount = Object.keys(toSearchFilters(filters)).length;
+
+  const typeOptions = [
+    { value: PostType.PROBLEM_REPORT, label: t("company.postTypeProblem", "Problem Report") },
+    { value: PostType.CREATIVE_CONTENT, label: t("company.postTypeCreative", "Creative Content") },
+    { value: PostType.TEAM_DISCUSSION, label: t("company.postTypeDiscussion", "Team Discussion") },
+    { value: PostType.IDEA_SUGGESTION, label: t("company.postTypeIdea", "Idea Suggestion") },
+  ];
+
+  const selectClassName =
+    "w-full px-3 py-2 text-sm border border-gray-200 rounded-xl bg-white focus:ring-2 focus:ring-[#1ABC9C]/30 focus:border-[#1ABC9C] focus:outline-none";
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 pb-24 pt-4">
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-5">
+        <div className="w-10 h-10 bg-teal-50 rounded-xl flex items-center justify-center">
+          <Search size={20} className="text-[#1ABC9C]" />
+        </div>
+        <div>
+          <h1 className="text-lg font-bold text-gray-900">{t("search.title", "Search")}</h1>
+          <p className="text-xs text-gray-400">{t("search.subtitle", "Find posts and comments you can see")}</p>
+        </div>
+      </div>
+
+      {/* Search form */}
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-4 mb-4">
+        <div className="flex gap-2">
+          <div className="relative flex-1">
+            <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t("search.placeholder", "Search titles, content and tags...")}
+              className="w-full pl-9 pr-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:ring-2 focus:ring-[#1ABC9C]/30 focus:border-[#1ABC9C] focus:outline-none"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => setShowFilters((prev) => !prev)}
+            className={`flex items-center gap-1.5 px-3 py-2.5 rounded-xl text-sm font-medium border transition-colors ${
+              showFilters || activeFilterCount > 0
+                ? "bg-teal-50 border-teal-200 text-teal-700"
+                : "bg-white border-gray-200 text-gray-600 hover:bg-gray-50"
+            }`}
+          >
+            <SlidersHorizontal size={16} />
+            <span className="hidden sm:inline">{t("search.filters", "Filters")}</span>
+            {activeFilterCount > 0 && (
+              <span className="px-1.5 py-0.5 text-[10px] font-bold rounded-full bg-[#1ABC9C] text-white">
+                {activeFilterCount}
+              </span>
+            )}
+          </button>
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-4 py-2.5 rounded-xl text-sm font-semibold text-white bg-[#1ABC9C] hover:bg-[#16a085] disabled:opacity-50 transition-colors"
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : t("search.search", "Search")}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 mt-3">
+          <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={searchInComments}
+              onChange={(e) => setSearchInComments(e.target.checked)}
+              className="rounded border-gray-300 text-[#1ABC9C] focus:ring-[#1ABC9C]"
+            />
+            {t("search.searchInComments", "Search in comments")}
+          </label>
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <span>{t("search.sortBy", "Sort by")}</span>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white focus:outline-none"
+            >
+              <option value="relevance">{t("search.sortRelevance", "Relevance")}</option>
+              <option value="createdAt">{t("search.sortNewest", "Newest")}</option>
+              <option value="oldest">{t("search.sortOldest", "Oldest")}</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Facets */}
+        {showFilters && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-4 pt-4 border-t border-gray-100">
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1">{t("search.department", "Department")}</label>
+              <select value={filters.department} onChange={(e) => handleFilterChange("department", e.target.value)} className={selectClassName}>
+                <option value="">{t("search.allDepartments", "All departments")}</option>
+                {departments.map((department) => (
+                  <option key={department.id} value={department.id}>{department.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1">{t("search.type", "Type")}</label>
+              <select value={filters.type} onChange={(e) => handleFilterChange("type", e.target.value)} className={selectClassName}>
+                <option value="">{t("search.allTypes", "All types")}</option>
+                {typeOptions.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1">{t("search.status", "Status")}</label>
+              <select value={filters.status} onChange={(e) => handleFilterChange("status", e.target.value)} className={selectClassName}>
+                <option value="">{t("search.allStatuses", "All statuses")}</option>
+                {Object.values(PostStatus).map((status) => (
+                  <option key={status} value={status}>{PostStatusConfig[status]?.label || status}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1">{t("search.priority", "Priority")}</label>
+              <select value={filters.priority} onChange={(e) => handleFilterChange("priority", e.target.value)} className={selectClassName}>
+                <option value="">{t("search.allPriorities", "All priorities")}</option>
+                {Object.values(PostPriority).map((priority) => (
+                  <option key={priority} value={priority}>{PostPriorityConfig[priority]?.label || priority}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1">{t("search.from", "From")}</label>
+              <input type="date" value={filters.startDate} onChange={(e) => handleFilterChange("startDate", e.target.value)} className={selectClassName} />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1">{t("search.to", "To")}</label>
+              <input type="date" value={filters.endDate} onChange={(e) => handleFilterChange("endDate", e.target.value)} className={selectClassName} />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1">{t("search.anonymity", "Anonymity")}</label>
+              <select value={filters.anonymity} onChange={(e) => handleFilterChange("anonymity", e.target.value)} className={selectClassName}>
+                <option value="any">{t("search.anyAuthor", "Any author")}</option>
+                <option value="anonymous">{t("search.anonymousOnly", "Anonymous only")}</option>
+                <option value="named">{t("search.namedOnly", "Named only")}</option>
+              </select>
+            </div>
+            <div className="flex items-end">
+              <button
+                type="button"
+                onClick={handleClearFilters}
+                className="flex items-center gap-1.5 px-3 py-2 text-sm text-gray-500 hover:text-gray-800 transition-colors"
+              >
+                <X size={14} />
+                {t("search.clearFilters", "Clear filters")}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Save current search (admins) */}
+        {canManageSearches && (
+          <div className="flex gap-2 mt-4 pt-4 border-t border-gray-100">
+            <input
+              type="text"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              placeholder={t("search.saveNamePlaceholder", "Name this search to save it")}
+              className="flex-1 px-3 py-2 text-sm border border-gray-200 rounded-xl focus:ring-2 focus:ring-[#1ABC9C]/30 focus:border-[#1ABC9C] focus:outline-none"
+            />
+            <button
+              type="button"
+              onClick={handleSaveSearch}
+              disabled={saving || !saveName.trim()}
+              className="flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              <Bookmark size={14} />
+              {t("search.saveSearch", "Save search")}
+            </button>
+          </div>
+        )}
+      </form>
+
+      {/* Saved searches and top queries (admins) */}
+      {canManageSearches && (savedSearches.length > 0 || topQueries.length > 0) && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          {savedSearches.length > 0 && (
+            <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-4">
+              <h2 className="flex items-center gap-2 text-sm font-semibold text-gray-900 mb-3">
+                <Bookmark size={14} className="text-[#1ABC9C]" />
+                {t("search.savedSearches", "Saved searches")}
+              </h2>
+              <div className="space-y-1">
+                {savedSearches.map((saved) => (
+                  <div key={saved.id} className="flex items-center gap-2 group">
+                    <button
+                      onClick={() => handleRunSavedSearch(saved.id)}
+                      className="flex-1 text-left text-sm text-gray-700 hover:text-[#1ABC9C] truncate py-1"
+                    >
+                      {saved.name}
+                      {saved.query && <span className="text-xs text-gray-400 ml-1.5">“{saved.query}”</span>}
+                    </button>
+                    {saved.userId === userData?.id && (
+                      <button
+                        onClick={() => handleDeleteSavedSearch(saved.id)}
+                        title={t("search.deleteSaved", "Delete saved search")}
+                        className="p-1 text-gray-300 hover:text-red-500 transition-colors"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {topQueries.length > 0 && (
+            <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-4">
+              <h2 className="flex items-center gap-2 text-sm font-semibold text-gray-900 mb-3">
+                <TrendingUp size={14} className="text-[#1ABC9C]" />
+                {t("search.topQueries", "Top searches")}
+              </h2>
+              <div className="flex flex-wrap gap-1.5">
+                {topQueries.map((topQuery) => (
+                  <button
+                    key={topQuery.query}
+                    onClick={() => handleTopQuery(topQuery.query)}
+                    className="px-2.5 py-1 text-xs rounded-full bg-gray-50 border border-gray-100 text-gray-600 hover:bg-teal-50 hover:text-teal-700 transition-colors"
+                  >
+                    {topQuery.query} <span className="text-gray-400">({topQuery.count})</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Results */}
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <div className="w-8 h-8 rounded-xl border-2 border-[#1ABC9C] border-t-transparent animate-spin" />
+        </div>
+      ) : lastSearch && (
+        <>
+          <p className="text-xs text-gray-400 mb-3">
+            {pagination?.hasMore
+              ? t("search.resultCountMore", "{{count}}+ posts found", { count: results.length })
+              : t("search.resultCount", "{{count}} posts found", { count: results.length })}
+          </p>
+
+          {results.length === 0 && commentResults.length === 0 ? (
+            <div className="text-center py-16 bg-white rounded-2xl border border-gray-100">
+              <Search size={32} className="mx-auto text-gray-200 mb-3" />
+              <p className="text-sm text-gray-500">{t("search.noResults", "No results match your search")}</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {results.map((post) => (
+                <div key={post.id} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-4">
+                  <div className="flex flex-wrap items-center gap-1.5 mb-2">
+                    {post.status && PostStatusConfig[post.status] && (
+                      <span className={`px-2 py-0.5 text-[10px] font-semibold rounded-full ${PostStatusConfig[post.status].bgColor} ${PostStatusConfig[post.status].textColor}`}>
+                        {PostStatusConfig[post.status].label}
+                      </span>
+                    )}
+                    {post.priority && PostPriorityConfig[post.priority] && (
+                      <span className={`px-2 py-0.5 text-[10px] font-semibold rounded-full ${PostPriorityConfig[post.priority].bgColor} ${PostPriorityConfig[post.priority].textColor}`}>
+                        {PostPriorityConfig[post.priority].label}
+                      </span>
+                    )}
+                    {post.isAnonymous && (
+                      <span className="flex items-center gap-1 px-2 py-0.5 text-[10px] font-semibold rounded-full bg-gray-100 text-gray-600">
+                        <EyeOff size={10} />
+                        {t("search.anonymous", "Anonymous")}
+                      </span>
+                    )}
+                    <span className="text-[11px] text-gray-400 ml-auto">
+                      {post.authorName} · {formatDate(post.createdAt)}
+                    </span>
+                  </div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-1">
+                    <Highlighted text={post.title} terms={terms} />
+                  </h3>
+                  <p className="text-sm text-gray-600 whitespace-pre-line">
+                    <Highlighted text={getMatchSnippet(post.content, terms)} terms={terms} />
+                  </p>
+                  {post.tags?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {post.tags.map((tag) => (
+                        <span key={tag} className="px-2 py-0.5 text-[10px] rounded-full bg-gray-50 text-gray-500">
+                          #<Highlighted text={tag} terms={terms} />
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {FEED_PATHS[post.type] && (
+                    <button
+                      onClick={() => navigate(FEED_PATHS[post.type])}
+                      className="mt-3 flex items-center gap-1 text-xs font-medium text-[#1ABC9C] hover:text-[#16a085]"
+                    >
+                      {t("search.viewInFeed", "View in feed")}
+                      <ArrowRight size={12} />
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              {pagination?.hasMore && (
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="w-full py-2.5 rounded-xl text-sm font-medium border border-gray-200 text-gray-600 bg-white hover:bg-gray-50 disabled:opacity-50 transition-colors"
+                >
+                  {loadingMore ? t("search.loading", "Loading...") : t("search.loadMore", "Load more")}
+                </button>
+              )}
+
+              {commentResults.length > 0 && (
+                <div className="pt-4">
+                  <h2 className="flex items-center gap-2 text-sm font-semibold text-gray-900 mb-3">
+                    <MessageSquare size={14} className="text-[#1ABC9C]" />
+                    {t("search.matchingComments", "Matching comments")} ({commentResults.length})
+                  </h2>
+                  <div className="space-y-2">
+                    {commentResults.map((comment) => (
+                      <div key={comment.id} className="bg-white rounded-xl border border-gray-100 p-3">
+                        <p className="text-sm text-gray-700 whitespace-pre-line">
+                          <Highlighted text={getMatchSnippet(comment.text, terms)} terms={terms} />
+                        </p>
+                        <div className="flex items-center gap-2 mt-2 text-[11px] text-gray-400">
+                          <span>{comment.authorName}</span>
+                          <span>·</span>
+                          <span>{formatDate(comment.createdAt)}</span>
+                          <span>·</span>
+                          <span className="truncate">{t("search.onPost", "on \"{{title}}\"", { title: comment.postTitle })}</span>
+                          {FEED_PATHS[comment.postType] && (
+                            <button
+                              onClick={() => navigate(FEED_PATHS[comment.postType])}
+                              className="ml-auto flex items-center gap-1 font-medium text-[#1ABC9C] hover:text-[#16a085]"
+                            >
+                              {t("search.viewInFeed", "View in feed")}
+                              <ArrowRight size={12} />
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchPage;
@@ -7,6 +7,7 @@ import {
   submitCorroboration,
   validateReferenceCode,
 } from "../services/vendorRiskService";
+import AnonymousPrivacyPreview from "../components/AnonymousPrivacyPreview";
 import {
   Shield, AlertTriangle, Users, ArrowLeft, Upload, Lock,
   CheckCircle, X, FileText, Image, Copy, Info, CloudUpload,
@@ -129,8 +130,7 @@ const VendorRiskReport = () => {
       await submitCorroboration(
         foundReportId,
         { relationship, account: account.trim(), severity: corrSeverity },
-        corrFiles,
-        userData
+        corrFiles
       );
       setMode("success_corr");
     } catch {
@@ -352,7 +352,8 @@ const VendorRiskReport = () => {
           </div>
         </div>
 
-        <div className="mt-4">
+        <div className="mt-4 space-y-3">
+          <AnonymousPrivacyPreview files={selectedFiles} />
           <AnonymousBadge />
         </div>
 
@@ -546,6 +547,7 @@ const VendorRiskReport = () => {
               <UploadArea files={corrFiles} onFilesChange={setCorrFiles} />
             </div>
 
+            <AnonymousPrivacyPreview files={corrFiles} />
             <AnonymousBadge />
 
             <button
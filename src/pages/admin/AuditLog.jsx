@@ -7,6 +7,8 @@ import {
   getAuditLogStats,
   exportAuditLogsToJSON,
   exportAuditLogsToCSV,
+  verifyAuditChain,
+  exportAuditCheckpoints,
 } from "../../services/auditService";
 import { collection, query, where, getDocs } from "firebase/firestore";
 import { db } from "../../config/firebase";
@@ -31,8 +33,17 @@ import {
   ChevronRight,
   Info,
   Loader2,
+  ShieldCheck,
+  ShieldAlert,
+  FileCheck,
 } from "lucide-react";
 
+// Audit chains verified from this page and what each one records
+const AUDIT_CHAINS = [
+  { id: "system", label: "System activity" },
+  { id: "disclosure", label: "Identity disclosures" },
+];
+
 const AuditLog = () => {
   const { userData } = useAuth();
   const navigate = useNavigate();
@@ -57,6 +68,11 @@ const AuditLog = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(50);
 
+  // Audit chain verification
+  const [chainReports, setChainReports] = useState(null);
+  const [verifyingChain, setVerifyingChain] = useState(false);
+  const [chainError, setChainError] = useState("");
+
   useEffect(() => {
     if (!userData?.companyId) {
       navigate("/dashboard");
@@ -205,6 +221,43 @@ const AuditLog = () => {
     }
   };
 
+  const handleVerifyChain = async () => {
+    setVerifyingChain(true);
+    setChainError("");
+    try {
+      const reports = await Promise.all(
+        AUDIT_CHAINS.map((chain) => verifyAuditChain(userData.companyId, chain.id))
+      );
+      setChainReports(reports);
+    } catch (error) {
+      console.error("Error verifying audit chain:", error);
+      setChainReports(null);
+      setChainError(error.message || "Failed to verify audit chain");
+    } finally {
+      setVerifyingChain(false);
+    }
+  };
+
+  const handleExportCheckpoints = async () => {
+    try {
+      const exported = {};
+      for (const chain of AUDIT_CHAINS) {
+        exported[chain.id] = await exportAuditCheckpoints(userData.companyId, chain.id);
+      }
+
+      const blob = new Blob([JSON.stringify(exported, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `audit-checkpoints-${new Date().toISOString()}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error exporting audit checkpoints:", error);
+      alert(`Failed to export audit checkpoints: ${error.message}`);
+    }
+  };
+
   const formatDate = (timestamp) => {
     if (!timestamp) return "N/A";
     const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -497,9 +550,80 @@ const AuditLog = () => {
               <FileSpreadsheet className="w-4 h-4" />
               Export CSV
             </button>
+            {userData?.role !== "hr" && (
+              <>
+                <button
+                  onClick={handleVerifyChain}
+                  disabled={verifyingChain}
+                  className="inline-flex items-center gap-2 px-4 py-2.5 bg-teal-50 text-teal-700 text-sm font-medium rounded-xl hover:bg-teal-100 transition-all border border-teal-100 disabled:opacity-50"
+                >
+                  {verifyingChain ? <Loader2 className="w-4 h-4 animate-spin" /> : <ShieldCheck className="w-4 h-4" />}
+                  {verifyingChain ? "Verifying..." : "Verify Chain"}
+                </button>
+                <button
+                  onClick={handleExportCheckpoints}
+                  className="inline-flex items-center gap-2 px-4 py-2.5 bg-gray-50 text-gray-700 text-sm font-medium rounded-xl hover:bg-gray-100 transition-all border border-gray-200"
+                >
+                  <FileCheck className="w-4 h-4" />
+                  Export Checkpoints
+                </button>
+              </>
+            )}
           </div>
         </div>
 
+        {/* Audit Chain Verification */}
+        {(chainReports || chainError) && (
+          <div className="bg-white rounded-2xl border border-gray-100 p-5 shadow-sm mb-6 space-y-3">
+            {chainError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">
+                {chainError}
+              </div>
+            )}
+            {chainReports?.map((report, index) => (
+              <div
+                key={report.chain}
+                className={`flex items-start gap-3 p-4 rounded-xl border ${
+                  report.valid ? "bg-emerald-50 border-emerald-100" : "bg-red-50 border-red-200"
+                }`}
+              >
+                {report.valid ? (
+                  <ShieldCheck className="w-5 h-5 flex-shrink-0 mt-0.5 text-emerald-600" />
+                ) : (
+                  <ShieldAlert className="w-5 h-5 flex-shrink-0 mt-0.5 text-red-600" />
+                )}
+                <div className="text-sm min-w-0">
+                  <p className={`font-semibold ${report.valid ? "text-emerald-800" : "text-red-800"}`}>
+                    {AUDIT_CHAINS[index].label}: {report.message}
+                  </p>
+                  <p className="text-xs text-gray-600 mt-1">
+                    {report.verifiedEntries} of {report.totalEntries} entries intact · head at #{report.headSequence} ·{" "}
+                    {report.checkpoints.matched} of {report.checkpoints.total} checkpoints matched
+                    {report.lastGoodCheckpoint &&
+                      ` · last good checkpoint #${report.lastGoodCheckpoint.sequence} (${new Date(report.lastGoodCheckpoint.checkpointedAt).toLocaleString()})`}
+                  </p>
+                  {report.firstBreak && (
+                    <div className="mt-2 text-xs text-red-700 space-y-0.5">
+                      <p>
+                        First break: entry #{report.firstBreak.sequence} ({report.firstBreak.type.replace(/_/g, " ")})
+                        {report.firstBreak.entryId && (
+                          <span className="font-mono"> · {report.firstBreak.entryId}</span>
+                        )}
+                      </p>
+                      {report.firstBreak.expected !== null && (
+                        <p className="font-mono break-all">
+                          expected {String(report.firstBreak.expected)} · found {String(report.firstBreak.actual)}
+                        </p>
+                      )}
+                      {report.breakCount > 1 && <p>{report.breakCount - 1} more break(s) after this one</p>}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Activity List */}
         <div className="bg-white rounded-2xl border border-gray-100 overflow-hidden shadow-sm">
           {activities.length === 0 ? (
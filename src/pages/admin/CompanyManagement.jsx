@@ -16,8 +16,9 @@ import {
   writeBatch,
 } from "firebase/firestore";
 import { db } from "../../config/firebase";
-import { hashPassword, checkUsernameExists } from "../../services/authService";
+import { checkUsernameExists, setUserPassword } from "../../services/authService";
 import SuperAdminNav from "../../components/SuperAdminNav";
+import { assertNotUnderLegalHold, isLegalHoldError, isUnderLegalHold } from "../../services/legalHoldService";
 
 const CompanyManagement = () => {
   const { userData, logout } = useAuth();
@@ -106,9 +107,8 @@ const CompanyManagement = () => {
       });
 
       // Create company admin user
-      await addDoc(collection(db, "users"), {
+      const adminRef = await addDoc(collection(db, "users"), {
         username: formData.username.toLowerCase(),
-        password: hashPassword(formData.password),
         displayName: formData.adminName,
         email: formData.adminEmail,
         companyId: companyRef.id,
@@ -118,6 +118,9 @@ const CompanyManagement = () => {
         updatedAt: serverTimestamp(),
       });
 
+      // Password is hashed server-side
+      await setUserPassword(adminRef.id, formData.password);
+
       // Store credentials to display to user
       setNewCredentials({
         companyName: formData.companyName,
@@ -205,6 +208,18 @@ const CompanyManagement = () => {
       );
       const usersSnapshot = await getDocs(usersQuery);
 
+      // Users under legal hold cannot be deleted, so neither can their company
+      const heldUser = usersSnapshot.docs.find((userDoc) => isUnderLegalHold(userDoc.data()));
+      if (heldUser) {
+        await assertNotUnderLegalHold(heldUser.data(), {
+          contentType: "user",
+          contentId: heldUser.id,
+          action: "delete_company",
+          companyId: companyToDelete.id,
+          userId: userData.id,
+        });
+      }
+
       // Use batch to delete all users and their auth sessions
       const batch = writeBatch(db);
 
@@ -239,7 +254,7 @@ const CompanyManagement = () => {
       setTimeout(() => setSuccess(""), 3000);
     } catch (error) {
       console.error("Error deleting company:", error);
-      setError("Failed to delete company. Please try again.");
+      setError(isLegalHoldError(error) ? error.message : "Failed to delete company. Please try again.");
       setTimeout(() => setError(""), 3000);
     } finally {
       setLoading(false);
@@ -9,7 +9,24 @@ import {
   getAllKeyVaultStatuses,
   rotateKey,
   reinitializeKeyVault,
+  configureKeyCustody,
 } from "../../services/keyVaultService";
+import {
+  getLegalApprovalPolicy,
+  updateLegalApprovalPolicy,
+} from "../../services/legalRequestService";
+import {
+  KeyCustodianRole,
+  KeyCustodianRoleConfig,
+  LEGAL_APPROVAL_POLICY_LIMITS,
+} from "../../utils/constants";
+
+const DEFAULT_CUSTODIANS = [
+  { username: "", role: KeyCustodianRole.DPO },
+  { username: "", role: KeyCustodianRole.LEGAL_COUNSEL },
+  { username: "", role: KeyCustodianRole.EXTERNAL_TRUSTEE },
+];
+const MAX_CUSTODIANS = 10;
 
 const KeyVaultManagement = () => {
   const { userData, logout } = useAuth();
@@ -36,6 +53,7 @@ const KeyVaultManagement = () => {
   const [reinitError, setReinitError] = useState("");
   const [reinitSubmitting, setReinitSubmitting] = useState(false);
   const [reinitKeyPartB, setReinitKeyPartB] = useState(null);
+  const [reinitShares, setReinitShares] = useState(null);
   const [reinitCopied, setReinitCopied] = useState(false);
   const [reinitConfirmed, setReinitConfirmed] = useState(false);
 
@@ -45,10 +63,30 @@ const KeyVaultManagement = () => {
   const [rotateError, setRotateError] = useState("");
   const [rotateSubmitting, setRotateSubmitting] = useState(false);
   const [rotateKeyPartB, setRotateKeyPartB] = useState(null);
+  const [rotateShares, setRotateShares] = useState(null);
   const [rotateCopied, setRotateCopied] = useState(false);
   const [rotateConfirmedDone, setRotateConfirmedDone] = useState(false);
   const [rotateAgreed, setRotateAgreed] = useState(false);
 
+  // Custodians modal state
+  const [showCustodyModal, setShowCustodyModal] = useState(false);
+  const [custodyCompany, setCustodyCompany] = useState(null);
+  const [custodyThreshold, setCustodyThreshold] = useState(2);
+  const [custodyRows, setCustodyRows] = useState(DEFAULT_CUSTODIANS);
+  const [custodyError, setCustodyError] = useState("");
+  const [custodySubmitting, setCustodySubmitting] = useState(false);
+  const [custodyShares, setCustodyShares] = useState(null);
+  const [custodyConfirmed, setCustodyConfirmed] = useState(false);
+
+  // Disclosure approvals modal state
+  const [approvalCompany, setApprovalCompany] = useState(null);
+  const [approvalPolicy, setApprovalPolicy] = useState(null);
+  const [approvalError, setApprovalError] = useState("");
+  const [approvalSubmitting, setApprovalSubmitting] = useState(false);
+
+  // Custodian whose share was last copied, in whichever modal is open
+  const [copiedShareId, setCopiedShareId] = useState(null);
+
   useEffect(() => {
     if (userData?.role !== "super_admin") {
       navigate("/dashboard");
@@ -108,6 +146,27 @@ const KeyVaultManagement = () => {
     const d = s.rotatedAt.toDate ? s.rotatedAt.toDate() : new Date(s.rotatedAt);
     return d.getMonth() === currentMonth && d.getFullYear() === currentYear;
   }).length;
+  const hasRunningRotation = Object.values(vaultStatuses).some(
+    (s) => s.reencryption?.status === "running"
+  );
+
+  // Poll while a rotation is re-encrypting content, to show its progress
+  useEffect(() => {
+    if (!hasRunningRotation) return undefined;
+    const interval = setInterval(async () => {
+      try {
+        const statuses = await getAllKeyVaultStatuses();
+        const statusMap = {};
+        statuses.forEach((s) => {
+          statusMap[s.companyId] = s;
+        });
+        setVaultStatuses(statusMap);
+      } catch (err) {
+        console.error("Error refreshing vault statuses:", err);
+      }
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [hasRunningRotation]);
 
   // ── Initialize Modal handlers ──────────────────────────────────────────────
 
@@ -142,12 +201,8 @@ const KeyVaultManagement = () => {
     setInitSubmitting(true);
     setInitError("");
     try {
-      const partB = await initializeCompanyKeyVault(
-        initCompany.id,
-        dpoEmail.trim(),
-        userData?.uid || userData?.id
-      );
-      setInitKeyPartB(partB);
+      const { keyPartB } = await initializeCompanyKeyVault(initCompany.id, dpoEmail.trim());
+      setInitKeyPartB(keyPartB);
       await refreshVaultStatuses();
     } catch (err) {
       console.error("Error initializing vault:", err);
@@ -167,7 +222,9 @@ const KeyVaultManagement = () => {
     setRotateCompany(company);
     setRotateError("");
     setRotateKeyPartB(null);
+    setRotateShares(null);
     setRotateCopied(false);
+    setCopiedShareId(null);
     setRotateConfirmedDone(false);
     setRotateAgreed(false);
     setShowRotateModal(true);
@@ -177,6 +234,7 @@ const KeyVaultManagement = () => {
     setShowRotateModal(false);
     setRotateCompany(null);
     setRotateKeyPartB(null);
+    setRotateShares(null);
     setRotateCopied(false);
     setRotateConfirmedDone(false);
     setRotateAgreed(false);
@@ -189,11 +247,9 @@ const KeyVaultManagement = () => {
     setRotateSubmitting(true);
     setRotateError("");
     try {
-      const partB = await rotateKey(
-        rotateCompany.id,
-        userData?.uid || userData?.id
-      );
-      setRotateKeyPartB(partB);
+      const { keyPartB, shares } = await rotateKey(rotateCompany.id);
+      setRotateKeyPartB(keyPartB);
+      setRotateShares(shares);
       await refreshVaultStatuses();
     } catch (err) {
       console.error("Error rotating key:", err);
@@ -213,7 +269,9 @@ const KeyVaultManagement = () => {
     setReinitCompany(company);
     setReinitError("");
     setReinitKeyPartB(null);
+    setReinitShares(null);
     setReinitCopied(false);
+    setCopiedShareId(null);
     setReinitConfirmed(false);
     setShowReinitModal(true);
   };
@@ -222,6 +280,7 @@ const KeyVaultManagement = () => {
     setShowReinitModal(false);
     setReinitCompany(null);
     setReinitKeyPartB(null);
+    setReinitShares(null);
     setReinitCopied(false);
     setReinitConfirmed(false);
     setReinitError("");
@@ -235,12 +294,9 @@ const KeyVaultManagement = () => {
     try {
       const vault = vaultStatuses[reinitCompany.id];
       const dpoEmail = vault?.dpoEmail || "";
-      const partB = await reinitializeKeyVault(
-        reinitCompany.id,
-        dpoEmail,
-        userData?.uid || userData?.id
-      );
-      setReinitKeyPartB(partB);
+      const { keyPartB, shares } = await reinitializeKeyVault(reinitCompany.id, dpoEmail);
+      setReinitKeyPartB(keyPartB);
+      setReinitShares(shares);
       await refreshVaultStatuses();
     } catch (err) {
       console.error("Error re-initializing vault:", err);
@@ -254,6 +310,108 @@ const KeyVaultManagement = () => {
     closeReinitModal();
   };
 
+  // ── Disclosure Approvals Modal handlers ────────────────────────────────────
+
+  const openApprovalModal = async (company) => {
+    setApprovalCompany(company);
+    setApprovalPolicy(null);
+    setApprovalError("");
+    setApprovalPolicy(await getLegalApprovalPolicy(company.id));
+  };
+
+  const closeApprovalModal = () => {
+    setApprovalCompany(null);
+    setApprovalPolicy(null);
+    setApprovalError("");
+  };
+
+  const handleSaveApprovalPolicy = async () => {
+    if (!approvalCompany || !approvalPolicy) return;
+
+    setApprovalSubmitting(true);
+    setApprovalError("");
+    try {
+      await updateLegalApprovalPolicy(approvalCompany.id, {
+        requiredApprovals: Number(approvalPolicy.requiredApprovals),
+        coolingOffHours: Number(approvalPolicy.coolingOffHours),
+      });
+      closeApprovalModal();
+    } catch (err) {
+      console.error("Error saving disclosure approval policy:", err);
+      setApprovalError(err.message || "Failed to save the approval policy.");
+    } finally {
+      setApprovalSubmitting(false);
+    }
+  };
+
+  // ── Custodians Modal handlers ──────────────────────────────────────────────
+
+  const openCustodyModal = (company) => {
+    const custody = vaultStatuses[company.id]?.custody;
+    setCustodyCompany(company);
+    setCustodyThreshold(custody?.threshold || 2);
+    setCustodyRows(
+      custody
+        ? custody.custodians.map(({ username, role }) => ({ username, role }))
+        : DEFAULT_CUSTODIANS
+    );
+    setCustodyError("");
+    setCustodyShares(null);
+    setCopiedShareId(null);
+    setCustodyConfirmed(false);
+    setShowCustodyModal(true);
+  };
+
+  const closeCustodyModal = () => {
+    setShowCustodyModal(false);
+    setCustodyCompany(null);
+    setCustodyShares(null);
+    setCopiedShareId(null);
+    setCustodyConfirmed(false);
+    setCustodyError("");
+  };
+
+  const updateCustodyRow = (index, field, value) => {
+    setCustodyRows((rows) =>
+      rows.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    );
+  };
+
+  const addCustodyRow = () => {
+    setCustodyRows((rows) => [...rows, { username: "", role: KeyCustodianRole.OTHER }]);
+  };
+
+  const removeCustodyRow = (index) => {
+    setCustodyRows((rows) => rows.filter((_, i) => i !== index));
+    setCustodyThreshold((threshold) => Math.min(threshold, custodyRows.length - 1));
+  };
+
+  const handleConfigureCustody = async () => {
+    if (!custodyCompany) return;
+
+    if (custodyRows.some((row) => !row.username.trim())) {
+      setCustodyError("Enter a username for every custodian.");
+      return;
+    }
+
+    setCustodySubmitting(true);
+    setCustodyError("");
+    try {
+      const { shares } = await configureKeyCustody(
+        custodyCompany.id,
+        Number(custodyThreshold),
+        custodyRows.map((row) => ({ username: row.username.trim(), role: row.role }))
+      );
+      setCustodyShares(shares);
+      await refreshVaultStatuses();
+    } catch (err) {
+      console.error("Error configuring key custodians:", err);
+      setCustodyError(err.message || "Failed to configure key custodians.");
+    } finally {
+      setCustodySubmitting(false);
+    }
+  };
+
   // ── Helpers ────────────────────────────────────────────────────────────────
 
   const handleLogout = async () => {
@@ -264,6 +422,59 @@ const KeyVaultManagement = () => {
   const getCompanyDisplayName = (company) =>
     company.companyName || company.name || company.id;
 
+  const describeCustody = (custody) =>
+    custody
+      ? `${custody.threshold}-of-${custody.custodians.length} custodians`
+      : "DPO holds Key Part B";
+
+  const getReencryptionPercent = (job) =>
+    job.totalDocuments
+      ? Math.min(100, Math.round((job.processedDocuments / job.totalDocuments) * 100))
+      : 100;
+
+  const describeReencryption = (job) => {
+    if (!job) return "—";
+    if (job.status === "running") {
+      return `Running (${getReencryptionPercent(job)}%, ${job.processedDocuments}/${job.totalDocuments} documents)`;
+    }
+    const finished = job.completedAt ? new Date(job.completedAt).toLocaleString() : "—";
+    if (job.status === "completed_with_errors") {
+      return `Finished ${finished} with ${job.failedDocuments} failed documents; older key versions were kept in use`;
+    }
+    return `Finished ${finished}; ${job.reencryptedValues} values moved to data key v${job.targetVersion}`;
+  };
+
+  const renderReencryption = (job) => {
+    if (!job) return null;
+
+    if (job.status === "running") {
+      const percent = getReencryptionPercent(job);
+      return (
+        <span className="block mt-1" title={describeReencryption(job)}>
+          <span className="block text-xs text-amber-700">
+            Re-encrypting to v{job.targetVersion}: {percent}%
+          </span>
+          <span className="block w-28 h-1.5 bg-gray-200 rounded-full overflow-hidden mt-0.5">
+            <span
+              className="block h-full bg-amber-500 transition-all"
+              style={{ width: `${percent}%` }}
+            />
+          </span>
+        </span>
+      );
+    }
+
+    if (job.status === "completed_with_errors") {
+      return (
+        <span className="block text-xs text-red-600 mt-1" title={describeReencryption(job)}>
+          Re-encryption: {job.failedDocuments} failed
+        </span>
+      );
+    }
+
+    return null;
+  };
+
   // ── Key Part B display (shared by both modals) ─────────────────────────────
 
   const renderKeyPartBSection = ({ keyPartB, copied, onCopy, confirmed, onConfirm, dpoEmailDisplay }) => (
@@ -302,6 +513,297 @@ const KeyVaultManagement = () => {
     </div>
   );
 
+  // ── Custodian shares display (replaces Key Part B once custodians are set) ──
+
+  const renderSharesSection = ({ shares, threshold, confirmed, onConfirm }) => (
+    <div className="mt-2">
+      <p className="text-sm font-medium text-gray-700 mb-2">
+        Key Shares ({threshold} of {shares.length} needed to disclose)
+      </p>
+      <div className="space-y-3 mb-4">
+        {shares.map((entry) => (
+          <div key={entry.custodianId} className="border border-gray-200 rounded-lg p-3">
+            <div className="flex items-center justify-between mb-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{entry.name}</p>
+                <p className="text-xs text-gray-500">
+                  {KeyCustodianRoleConfig[entry.role]?.label || entry.role}
+                  {entry.email ? ` · ${entry.email}` : ""}
+                </p>
+              </div>
+              <button
+                onClick={() => {
+                  navigator.clipboard.writeText(entry.share);
+                  setCopiedShareId(entry.custodianId);
+                }}
+                className="px-3 py-1 bg-gray-100 text-gray-700 border border-gray-300 rounded hover:bg-gray-200 transition-colors text-xs font-medium"
+              >
+                {copiedShareId === entry.custodianId ? "Copied!" : "Copy"}
+              </button>
+            </div>
+            <div className="p-2 bg-gray-900 rounded">
+              <p className="font-mono text-green-400 text-xs break-all select-all">{entry.share}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="p-4 bg-red-50 border border-red-200 rounded-lg mb-4">
+        <p className="text-red-800 text-sm font-medium">
+          ⚠ This is the only time these shares will be displayed. Send each share
+          only to its own custodian, separately. Any {threshold} custodians together
+          can disclose an identity; fewer reveal nothing. Shares cannot be recovered.
+        </p>
+      </div>
+      <label className="flex items-start space-x-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={confirmed}
+          onChange={(e) => onConfirm(e.target.checked)}
+          className="mt-1"
+        />
+        <span className="text-sm text-gray-700">
+          I have copied every share and will send each one to its custodian
+        </span>
+      </label>
+    </div>
+  );
+
+  // ── Disclosure Approvals Modal ─────────────────────────────────────────────
+
+  const renderApprovalModal = () => {
+    if (!approvalCompany) return null;
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">
+                Disclosure Approvals for {getCompanyDisplayName(approvalCompany)}
+              </h2>
+              <button
+                onClick={closeApprovalModal}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg mb-4">
+              <p className="text-sm text-amber-800">
+                Identity disclosure requests need approval from this many different
+                super admins, none of whom submitted the request. Once the last approval
+                is in, the identity can only be disclosed after the cooling-off period.
+                Requests already under review keep the policy they started with.
+              </p>
+            </div>
+
+            {approvalError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg mb-4">
+                <p className="text-red-800 text-sm">{approvalError}</p>
+              </div>
+            )}
+
+            {!approvalPolicy ? (
+              <p className="text-sm text-gray-500 mb-6">Loading policy...</p>
+            ) : (
+              <div className="grid grid-cols-2 gap-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Approvals required
+                  </label>
+                  <input
+                    type="number"
+                    min={LEGAL_APPROVAL_POLICY_LIMITS.MIN_APPROVALS}
+                    max={LEGAL_APPROVAL_POLICY_LIMITS.MAX_APPROVALS}
+                    value={approvalPolicy.requiredApprovals}
+                    onChange={(e) => setApprovalPolicy({ ...approvalPolicy, requiredApprovals: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Cooling-off (hours)
+                  </label>
+                  <input
+                    type="number"
+                    min={LEGAL_APPROVAL_POLICY_LIMITS.MIN_COOLING_OFF_HOURS}
+                    max={LEGAL_APPROVAL_POLICY_LIMITS.MAX_COOLING_OFF_HOURS}
+                    value={approvalPolicy.coolingOffHours}
+                    onChange={(e) => setApprovalPolicy({ ...approvalPolicy, coolingOffHours: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={closeApprovalModal}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveApprovalPolicy}
+                disabled={approvalSubmitting || !approvalPolicy}
+                className="px-4 py-2 text-white rounded-lg transition-colors disabled:opacity-50"
+                style={{ backgroundColor: "#00BCD4" }}
+              >
+                {approvalSubmitting ? "Saving..." : "Save Policy"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // ── Custodians Modal ───────────────────────────────────────────────────────
+
+  const renderCustodyModal = () => {
+    if (!showCustodyModal || !custodyCompany) return null;
+
+    const currentCustody = vaultStatuses[custodyCompany.id]?.custody;
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">
+                Key Custodians for {getCompanyDisplayName(custodyCompany)}
+              </h2>
+              <button
+                onClick={closeCustodyModal}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {!custodyShares ? (
+              <>
+                <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg mb-4">
+                  <p className="text-sm text-amber-800">
+                    Key Part B will be split into one share per custodian instead of
+                    going to the DPO. This generates new keys: the current{" "}
+                    {currentCustody ? "shares stop" : "Key Part B stops"} working.
+                    Each custodian needs an active account; they sign in with it to
+                    submit their share during a disclosure.
+                  </p>
+                </div>
+
+                {custodyError && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded-lg mb-4">
+                    <p className="text-red-800 text-sm">{custodyError}</p>
+                  </div>
+                )}
+
+                <div className="space-y-2 mb-4">
+                  {custodyRows.map((row, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        value={row.username}
+                        onChange={(e) => updateCustodyRow(index, "username", e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                        placeholder="Username"
+                      />
+                      <select
+                        value={row.role}
+                        onChange={(e) => updateCustodyRow(index, "role", e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                      >
+                        {Object.values(KeyCustodianRole).map((role) => (
+                          <option key={role} value={role}>
+                            {KeyCustodianRoleConfig[role].label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => removeCustodyRow(index)}
+                        disabled={custodyRows.length <= 2}
+                        className="px-2 py-2 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                        title="Remove custodian"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  {custodyRows.length < MAX_CUSTODIANS && (
+                    <button
+                      onClick={addCustodyRow}
+                      className="text-sm font-medium text-teal-600 hover:text-teal-700"
+                    >
+                      + Add custodian
+                    </button>
+                  )}
+                </div>
+
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Shares needed to disclose
+                  </label>
+                  <select
+                    value={custodyThreshold}
+                    onChange={(e) => setCustodyThreshold(Number(e.target.value))}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                  >
+                    {Array.from({ length: custodyRows.length - 1 }, (_, i) => i + 2).map((value) => (
+                      <option key={value} value={value}>
+                        {value} of {custodyRows.length}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                  <button
+                    onClick={closeCustodyModal}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleConfigureCustody}
+                    disabled={custodySubmitting}
+                    className="px-4 py-2 text-white rounded-lg transition-colors disabled:opacity-50"
+                    style={{ backgroundColor: "#00BCD4" }}
+                  >
+                    {custodySubmitting ? "Generating..." : "Generate Shares"}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                {renderSharesSection({
+                  shares: custodyShares,
+                  threshold: custodyThreshold,
+                  confirmed: custodyConfirmed,
+                  onConfirm: setCustodyConfirmed,
+                })}
+                <div className="flex justify-end mt-4">
+                  <button
+                    onClick={closeCustodyModal}
+                    disabled={!custodyConfirmed}
+                    className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors disabled:opacity-50"
+                  >
+                    Done
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   // ── Re-initialize Modal ────────────────────────────────────────────────────
 
   const renderReinitModal = () => {
@@ -328,7 +830,7 @@ const KeyVaultManagement = () => {
               </button>
             </div>
 
-            {!reinitKeyPartB ? (
+            {!reinitKeyPartB && !reinitShares ? (
               <>
                 <div className="p-4 bg-red-50 border border-red-200 rounded-lg mb-4">
                   <div className="flex items-start">
@@ -336,10 +838,12 @@ const KeyVaultManagement = () => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                     </svg>
                     <p className="text-sm text-red-800">
-                      This vault was created with an older version and is missing the{" "}
-                      <strong>wrappedSecret</strong> field required for identity
-                      disclosure. Re-initializing will generate new keys. The old Key
-                      Part B will stop working. A new Key Part B will be generated.
+                      This vault was created with an older version and does not hold
+                      an escrowed copy of the company's data key, which identity
+                      disclosure needs. Re-initializing will generate new keys.{" "}
+                      {vault?.custody
+                        ? "The custodians' current shares will stop working and each gets a new share."
+                        : "The old Key Part B will stop working. A new Key Part B will be generated."}
                     </p>
                   </div>
                 </div>
@@ -368,17 +872,24 @@ const KeyVaultManagement = () => {
               </>
             ) : (
               <>
-                {renderKeyPartBSection({
-                  keyPartB: reinitKeyPartB,
-                  copied: reinitCopied,
-                  onCopy: () => {
-                    navigator.clipboard.writeText(reinitKeyPartB);
-                    setReinitCopied(true);
-                  },
-                  confirmed: reinitConfirmed,
-                  onConfirm: setReinitConfirmed,
-                  dpoEmailDisplay,
-                })}
+                {reinitShares
+                  ? renderSharesSection({
+                      shares: reinitShares,
+                      threshold: vault?.custody?.threshold,
+                      confirmed: reinitConfirmed,
+                      onConfirm: setReinitConfirmed,
+                    })
+                  : renderKeyPartBSection({
+                      keyPartB: reinitKeyPartB,
+                      copied: reinitCopied,
+                      onCopy: () => {
+                        navigator.clipboard.writeText(reinitKeyPartB);
+                        setReinitCopied(true);
+                      },
+                      confirmed: reinitConfirmed,
+                      onConfirm: setReinitConfirmed,
+                      dpoEmailDisplay,
+                    })}
                 <div className="flex justify-end mt-4">
                   <button
                     onClick={handleReinitDone}
@@ -531,7 +1042,7 @@ const KeyVaultManagement = () => {
               </button>
             </div>
 
-            {!rotateKeyPartB ? (
+            {!rotateKeyPartB && !rotateShares ? (
               <>
                 <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg mb-4">
                   <div className="flex items-start">
@@ -539,8 +1050,13 @@ const KeyVaultManagement = () => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                     </svg>
                     <p className="text-sm text-amber-800">
-                      This generates a new key pair. The old Key Part B will stop
-                      working. Notify the DPO immediately with the new Key Part B.
+                      This generates a new key pair and a new data key.{" "}
+                      {vaultStatus?.custody
+                        ? "The custodians' current shares will stop working; send each custodian their new share immediately."
+                        : "The old Key Part B will stop working. Notify the DPO immediately with the new Key Part B."}{" "}
+                      Existing content is re-encrypted with the new
+                      data key in the background; older key versions keep decrypting
+                      until that finishes.
                     </p>
                   </div>
                 </div>
@@ -559,7 +1075,8 @@ const KeyVaultManagement = () => {
                     className="mt-1"
                   />
                   <span className="text-sm text-gray-700">
-                    I understand this will invalidate the existing Key Part B
+                    I understand this will invalidate the existing{" "}
+                    {vaultStatus?.custody ? "custodian shares" : "Key Part B"}
                   </span>
                 </label>
 
@@ -581,17 +1098,24 @@ const KeyVaultManagement = () => {
               </>
             ) : (
               <>
-                {renderKeyPartBSection({
-                  keyPartB: rotateKeyPartB,
-                  copied: rotateCopied,
-                  onCopy: () => {
-                    navigator.clipboard.writeText(rotateKeyPartB);
-                    setRotateCopied(true);
-                  },
-                  confirmed: rotateConfirmedDone,
-                  onConfirm: setRotateConfirmedDone,
-                  dpoEmailDisplay,
-                })}
+                {rotateShares
+                  ? renderSharesSection({
+                      shares: rotateShares,
+                      threshold: vaultStatus?.custody?.threshold,
+                      confirmed: rotateConfirmedDone,
+                      onConfirm: setRotateConfirmedDone,
+                    })
+                  : renderKeyPartBSection({
+                      keyPartB: rotateKeyPartB,
+                      copied: rotateCopied,
+                      onCopy: () => {
+                        navigator.clipboard.writeText(rotateKeyPartB);
+                        setRotateCopied(true);
+                      },
+                      confirmed: rotateConfirmedDone,
+                      onConfirm: setRotateConfirmedDone,
+                      dpoEmailDisplay,
+                    })}
                 <div className="flex justify-end mt-4">
                   <button
                     onClick={handleRotateDone}
@@ -797,11 +1321,22 @@ const KeyVaultManagement = () => {
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className="text-sm text-gray-600">
                             {vault?.dpoEmail || "—"}
+                            {vault?.custody && (
+                              <span className="block text-xs text-indigo-600">
+                                {describeCustody(vault.custody)}
+                              </span>
+                            )}
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className="text-sm text-gray-600">
                             {vault?.keyVersion ? `v${vault.keyVersion}` : "—"}
+                            {vault?.dataKeyVersion && (
+                              <span className="block text-xs text-gray-400">
+                                Data key v{vault.dataKeyVersion}
+                              </span>
+                            )}
+                            {renderReencryption(vault?.reencryption)}
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
@@ -825,11 +1360,29 @@ const KeyVaultManagement = () => {
                               <>
                                 <button
                                   onClick={() => openRotateModal(company)}
-                                  className="px-3 py-1.5 bg-amber-500 text-white text-sm font-medium rounded hover:bg-amber-600 transition-colors"
+                                  disabled={vault?.reencryption?.status === "running"}
+                                  title={
+                                    vault?.reencryption?.status === "running"
+                                      ? "Wait for re-encryption to finish before rotating again"
+                                      : undefined
+                                  }
+                                  className="px-3 py-1.5 bg-amber-500 text-white text-sm font-medium rounded hover:bg-amber-600 transition-colors disabled:opacity-50"
                                 >
                                   Rotate Key
                                 </button>
-                                {!vault?.hasWrappedSecret && (
+                                <button
+                                  onClick={() => openCustodyModal(company)}
+                                  className="px-3 py-1.5 bg-white border border-indigo-300 text-indigo-700 text-sm font-medium rounded hover:bg-indigo-50 transition-colors"
+                                >
+                                  Custodians
+                                </button>
+                                <button
+                                  onClick={() => openApprovalModal(company)}
+                                  className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded hover:bg-gray-50 transition-colors"
+                                >
+                                  Approvals
+                                </button>
+                                {!vault?.escrowReady && (
                                   <button
                                     onClick={() => openReinitModal(company)}
                                     title="Old vault format — click to upgrade"
@@ -843,8 +1396,14 @@ const KeyVaultManagement = () => {
                                     alert(
                                       `Vault Status for ${getCompanyDisplayName(company)}\n\n` +
                                         `DPO Email: ${vault.dpoEmail}\n` +
+                                        `Key Custody: ${describeCustody(vault.custody)}` +
+                                        (vault.custody
+                                          ? ` (${vault.custody.custodians.map((c) => c.name).join(", ")})\n`
+                                          : "\n") +
                                         `Key Version: v${vault.keyVersion}\n` +
+                                        `Data Key Version: ${vault.dataKeyVersion ? `v${vault.dataKeyVersion}` : "—"}\n` +
                                         `Status: ${vault.status}\n` +
+                                        `Re-encryption: ${describeReencryption(vault.reencryption)}\n` +
                                         `Initialized: ${createdDate ? createdDate.toLocaleString() : "—"}\n` +
                                         (vault.rotatedAt
                                           ? `Last Rotated: ${
@@ -881,6 +1440,8 @@ const KeyVaultManagement = () => {
       {renderInitModal()}
       {renderRotateModal()}
       {renderReinitModal()}
+      {renderCustodyModal()}
+      {renderApprovalModal()}
     </div>
   );
 };
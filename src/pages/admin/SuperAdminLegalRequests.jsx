@@ -9,6 +9,8 @@ import {
   Download,
   Shield,
   AlertTriangle,
+  Lock,
+  Unlock,
 } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
@@ -19,18 +21,29 @@ import {
   reviewLegalRequest,
   fulfillLegalRequest,
   getLegalRequestStats,
+  isCoolingOffOver,
+  getLegalApprovalPolicy,
 } from "../../services/legalRequestService";
 import {
   LegalRequestStatus,
   LegalRequestStatusConfig,
+  LegalRequestType,
   LegalRequestTypeConfig,
+  ReporterNotice,
   DisclosureMethod,
   DisclosureMethodConfig,
+  LegalHoldTargetType,
+  LegalHoldTargetTypeConfig,
 } from "../../utils/constants";
+import {
+  getLegalHolds,
+  placeLegalHold,
+  releaseLegalHold,
+} from "../../services/legalHoldService";
 import { downloadEvidencePackageWithFormat } from "../../services/legalEvidenceService";
-import { collection, addDoc, doc, getDoc, serverTimestamp } from "firebase/firestore";
-import { db } from "../../config/firebase";
-import { decryptAuthorId } from "../../services/postManagementService";
+import { combineAndDecrypt, getDisclosureSession } from "../../services/keyVaultService";
+import CustodianShareCollector from "../../components/CustodianShareCollector";
+import LegalRequestTimeline from "../../components/LegalRequestTimeline";
 
 const SuperAdminLegalRequests = () => {
   const { userData, logout } = useAuth();
@@ -46,6 +59,9 @@ const SuperAdminLegalRequests = () => {
   const [reviewNotes, setReviewNotes] = useState("");
   const [rejectionReason, setRejectionReason] = useState("");
   const [disclosureMethod, setDisclosureMethod] = useState(DisclosureMethod.ENCRYPTED_EMAIL);
+  const [reporterNotice, setReporterNotice] = useState(ReporterNotice.NOTIFY);
+  const [withholdReason, setWithholdReason] = useState("");
+  const [reviewPolicy, setReviewPolicy] = useState(null); // approval policy of the request under review
   const [submitting, setSubmitting] = useState(false);
 
   // Disclosure modal state
@@ -56,6 +72,17 @@ const SuperAdminLegalRequests = () => {
   const [disclosureLoading, setDisclosureLoading] = useState(false);
   const [disclosureError, setDisclosureError] = useState('');
   const [legalConfirmed, setLegalConfirmed] = useState(false);
+  const [keyPartB, setKeyPartB] = useState('');
+  const [disclosureSession, setDisclosureSession] = useState(null); // custodian shares, when the vault has custodians
+
+  // Legal hold state
+  const [holds, setHolds] = useState([]);
+  const [showHoldModal, setShowHoldModal] = useState(false);
+  const [holdRequest, setHoldRequest] = useState(null);
+  const [holdTargetType, setHoldTargetType] = useState(LegalHoldTargetType.POST);
+  const [holdTargetId, setHoldTargetId] = useState("");
+  const [holdReason, setHoldReason] = useState("");
+  const [holdError, setHoldError] = useState("");
 
   useEffect(() => {
     fetchData();
@@ -74,12 +101,18 @@ const SuperAdminLegalRequests = () => {
       else if (activeTab === "rejected") status = LegalRequestStatus.REJECTED;
       else if (activeTab === "fulfilled") status = LegalRequestStatus.FULFILLED;
 
-      const requestsData = await getAllLegalRequests(status);
-      setRequests(requestsData);
+      if (activeTab !== "holds") {
+        const requestsData = await getAllLegalRequests(status);
+        setRequests(requestsData);
+      }
 
-      // Fetch stats
-      const statsData = await getLegalRequestStats();
+      // Fetch stats and active holds (for the tab count and request badges)
+      const [statsData, holdsData] = await Promise.all([
+        getLegalRequestStats(),
+        getLegalHolds(),
+      ]);
       setStats(statsData);
+      setHolds(holdsData);
     } catch (err) {
       console.error("Error fetching legal requests:", err);
       setError("Failed to load legal requests. Please try again.");
@@ -98,12 +131,30 @@ const SuperAdminLegalRequests = () => {
     }
   };
 
+  const isAwaitingReview = (request) =>
+    request.status === LegalRequestStatus.PENDING || request.status === LegalRequestStatus.UNDER_REVIEW;
+
+  // Reviewers must be distinct and must not have submitted the request;
+  // the reviewLegalRequest Cloud Function enforces the same
+  const canReview = (request) =>
+    isAwaitingReview(request) &&
+    request.requestedByUserId !== userData?.id &&
+    !(request.approvals || []).some((approval) => approval.userId === userData?.id);
+
   const openReviewModal = (request, action) => {
     setSelectedRequest(request);
     setReviewAction(action);
     setReviewNotes("");
     setRejectionReason("");
+    setReporterNotice(ReporterNotice.NOTIFY);
+    setWithholdReason("");
+    setReviewPolicy(request.approvalPolicy || null);
     setShowReviewModal(true);
+
+    // The company's policy applies from the first review on
+    if (request.requestType === LegalRequestType.IDENTITY_DISCLOSURE && !request.approvalPolicy) {
+      getLegalApprovalPolicy(request.companyId).then(setReviewPolicy);
+    }
   };
 
   const closeReviewModal = () => {
@@ -126,32 +177,44 @@ const SuperAdminLegalRequests = () => {
       alert("Please provide rejection reason");
       return;
     }
+    if (reviewAction === "approve" && reporterNotice === ReporterNotice.WITHHOLD && !withholdReason.trim()) {
+      alert("Please give the legal grounds for withholding notice from the reporter");
+      return;
+    }
 
     setSubmitting(true);
 
     try {
       const reviewData = {
-        reviewedBy: userData.displayName || userData.username,
-        reviewedByUserId: userData.id,
         status: reviewAction === "approve" ? LegalRequestStatus.APPROVED : LegalRequestStatus.REJECTED,
         approvalNotes: reviewAction === "approve" ? reviewNotes : null,
         rejectionReason: reviewAction === "reject" ? rejectionReason : null,
         disclosureMethod: reviewAction === "approve" ? disclosureMethod : null,
+        reporterNotice: reviewAction === "approve" ? reporterNotice : null,
+        withholdReason: reporterNotice === ReporterNotice.WITHHOLD ? withholdReason : null,
       };
 
-      await reviewLegalRequest(selectedRequest.id, reviewData);
+      const result = await reviewLegalRequest(selectedRequest.id, reviewData);
 
-      alert(
-        reviewAction === "approve"
-          ? "Legal request approved successfully"
-          : "Legal request rejected"
-      );
+      if (reviewAction === "reject") {
+        alert("Legal request rejected");
+      } else if (result.status === LegalRequestStatus.APPROVED) {
+        alert(
+          result.coolingOffEndsAt
+            ? `Legal request approved. Identity can be disclosed after ${new Date(result.coolingOffEndsAt).toLocaleString()}.`
+            : "Legal request approved successfully"
+        );
+      } else {
+        alert(
+          `Approval recorded (${result.approvals.length} of ${result.requiredApprovals}). Another super admin must also approve.`
+        );
+      }
 
       closeReviewModal();
       fetchData();
     } catch (err) {
       console.error("Error submitting review:", err);
-      alert("Failed to submit review. Please try again.");
+      alert(err.message || "Failed to submit review. Please try again.");
     } finally {
       setSubmitting(false);
     }
@@ -178,13 +241,22 @@ const SuperAdminLegalRequests = () => {
     }
   };
 
-  const openDisclosureModal = (request) => {
+  const openDisclosureModal = async (request) => {
     setDisclosureRequest(request);
     setDisclosureStep(1);
     setDisclosedIdentity(null);
     setDisclosureError('');
     setLegalConfirmed(false);
+    setKeyPartB('');
+    setDisclosureSession(null);
     setShowDisclosureModal(true);
+
+    try {
+      setDisclosureSession(await getDisclosureSession(request.id));
+    } catch (err) {
+      console.error('Error loading disclosure session:', err);
+      setDisclosureError(err.message || 'Could not load the key vault.');
+    }
   };
 
   const closeDisclosureModal = () => {
@@ -194,128 +266,88 @@ const SuperAdminLegalRequests = () => {
     setDisclosedIdentity(null);
     setDisclosureError('');
     setLegalConfirmed(false);
+    setKeyPartB('');
+    setDisclosureSession(null);
   };
 
   const handleDecryptIdentity = async () => {
     setDisclosureLoading(true);
     setDisclosureError('');
     try {
-      // Fetch post
-      const postDoc = await getDoc(doc(db, 'posts', disclosureRequest.reportId));
-      if (!postDoc.exists()) {
-        setDisclosureError('Post not found. Verify the Report ID.');
-        return;
-      }
-      const postData = postDoc.data();
-      if (!postData.isAnonymous) {
-        setDisclosureError('This post is not anonymous.');
-        return;
-      }
-
-      // Debug: print raw field values to help verify which field holds the encrypted string
-      console.log('[DecryptIdentity] postData.authorId:', postData.authorId);
-      console.log('[DecryptIdentity] postData.encryptedAuthorId:', postData.encryptedAuthorId);
+      // Decrypted server-side with Key Part A from the vault and the DPO's
+      // Key Part B, or the custodians' shares; only the identity comes back,
+      // after the server has written it to the disclosure audit log
+      const { identity } = await combineAndDecrypt(
+        disclosureRequest.id,
+        disclosureSession?.custody ? null : keyPartB.trim()
+      );
+      setDisclosedIdentity(identity);
 
-      const rawAuthorId = postData.authorId;
-      if (!rawAuthorId) {
-        setDisclosureError('No encrypted identity found in this post.');
-        return;
-      }
+      setDisclosureStep(3);
+    } catch (error) {
+      console.error('VoxWel Disclosure Error:', error);
+      setDisclosureError(error.message || 'Decryption failed.');
+    } finally {
+      setDisclosureLoading(false);
+    }
+  };
 
-      // Detect whether authorId is a CryptoJS AES ciphertext or a plain Firebase UID.
-      // Encrypted CryptoJS output contains '/', '+', or '=' and is longer than 40 chars.
-      const isEncrypted = rawAuthorId.length > 40 ||
-        rawAuthorId.includes('/') ||
-        rawAuthorId.includes('+') ||
-        rawAuthorId.includes('=');
-
-      let userId;
-      if (!isEncrypted) {
-        // Plain UID — post was created before encryption was wired up; use directly.
-        console.warn('[VoxWel] Post authorId was unencrypted plain UID — using directly.');
-        userId = rawAuthorId;
-      } else {
-        // Encrypted — decrypt using VITE_ANONYMOUS_SECRET
-        try {
-          userId = decryptAuthorId(rawAuthorId);
-        } catch (decryptErr) {
-          setDisclosureError(decryptErr.message || 'Decryption threw an unexpected error.');
-          return;
-        }
-
-        if (!userId || userId.length < 3) {
-          setDisclosureError(
-            "Decryption failed — the post may have been created with a different VITE_ANONYMOUS_SECRET than the one currently set in your environment. Ensure VITE_ANONYMOUS_SECRET in your .env matches the value active when this post was created, then redeploy."
-          );
-          return;
-        }
-      }
+  const openHoldModal = (request) => {
+    setHoldRequest(request);
+    setHoldTargetType(LegalHoldTargetType.POST);
+    setHoldTargetId(request.reportId || "");
+    setHoldReason("");
+    setHoldError("");
+    setShowHoldModal(true);
+  };
 
-      // Fetch user profile
-      const userDoc = await getDoc(doc(db, 'users', userId));
-      if (!userDoc.exists()) {
-        setDisclosureError('User account not found.');
-        return;
-      }
-      const user = userDoc.data();
-
-      // Fetch company details
-      let companyName = 'Unavailable';
-      if (user.companyId) {
-        try {
-          const companyDoc = await getDoc(doc(db, 'companies', user.companyId));
-          if (companyDoc.exists()) {
-            const c = companyDoc.data();
-            companyName = c.name || c.companyName || 'Unknown Company';
-          }
-        } catch (_) {
-          companyName = 'Unavailable';
-        }
-      }
+  const closeHoldModal = () => {
+    setShowHoldModal(false);
+    setHoldRequest(null);
+    setHoldError("");
+  };
 
-      // Fetch department details
-      let departmentName = 'Not Assigned';
-      if (user.departmentId) {
-        try {
-          const deptDoc = await getDoc(doc(db, 'departments', user.departmentId));
-          if (deptDoc.exists()) {
-            departmentName = deptDoc.data().name || 'Unknown Department';
-          }
-        } catch (_) {
-          departmentName = 'Unavailable';
-        }
-      }
+  const handlePlaceHold = async () => {
+    if (!holdTargetId.trim() || !holdReason.trim()) {
+      setHoldError("Target ID and reason are required");
+      return;
+    }
 
-      setDisclosedIdentity({
-        displayName: user.displayName || user.name || 'Unknown',
-        email: user.email || 'No email on record',
-        username: user.username || userId,
-        role: user.role || 'employee',
-        status: user.status || 'unknown',
-        companyId: user.companyId || 'Unknown',
-        companyName,
-        departmentName,
-        userId,
-        joinedAt: user.createdAt || null,
+    setSubmitting(true);
+    setHoldError("");
+    try {
+      const hold = await placeLegalHold({
+        targetType: holdTargetType,
+        targetId: holdTargetId.trim(),
+        legalRequestId: holdRequest.id,
+        reason: holdReason.trim(),
       });
+      alert(`Legal hold placed on ${hold.itemCount} item(s)`);
+      closeHoldModal();
+      fetchData();
+    } catch (err) {
+      console.error("Error placing legal hold:", err);
+      setHoldError(err.message || "Failed to place legal hold");
+    } finally {
+      setSubmitting(false);
+    }
+  };
 
-      // Log to audit trail
-      await addDoc(collection(db, 'disclosureAuditLog'), {
-        requestId: disclosureRequest.id,
-        postId: disclosureRequest.reportId,
-        companyId: disclosureRequest.companyId,
-        disclosedBy: userData.displayName || userData.username,
-        disclosedByUserId: userData.id,
-        disclosedAt: serverTimestamp(),
-        immutable: true,
-      });
+  const handleReleaseHold = async (hold) => {
+    const note = window.prompt("Why is this legal hold being released?");
+    if (note === null) return;
 
-      setDisclosureStep(3);
-    } catch (error) {
-      console.error('VoxWel Disclosure Error:', error);
-      setDisclosureError(error.message || 'Decryption failed.');
-    } finally {
-      setDisclosureLoading(false);
+    try {
+      const result = await releaseLegalHold(hold.id, note);
+      alert(
+        result.stillHeld > 0
+          ? `Hold released. ${result.stillHeld} item(s) remain held by other holds.`
+          : "Hold released"
+      );
+      fetchData();
+    } catch (err) {
+      console.error("Error releasing legal hold:", err);
+      alert(err.message || "Failed to release legal hold");
     }
   };
 
@@ -412,6 +444,7 @@ const SuperAdminLegalRequests = () => {
           const statusConfig = LegalRequestStatusConfig[request.status];
           const typeConfig = LegalRequestTypeConfig[request.requestType];
           const createdDate = request.createdAt;
+          const requestHolds = holds.filter((hold) => hold.legalRequestId === request.id);
 
           return (
             <div
@@ -431,11 +464,19 @@ const SuperAdminLegalRequests = () => {
                     </p>
                   </div>
                 </div>
-                <span
-                  className={`px-3 py-1 ${statusConfig.bgColor} ${statusConfig.textColor} text-sm font-medium rounded-full`}
-                >
-                  {statusConfig.label}
-                </span>
+                <div className="flex items-center gap-2">
+                  {requestHolds.length > 0 && (
+                    <span className="flex items-center px-3 py-1 bg-indigo-100 text-indigo-800 text-sm font-medium rounded-full">
+                      <Lock className="w-3.5 h-3.5 mr-1" />
+                      {requestHolds.length} active hold{requestHolds.length === 1 ? "" : "s"}
+                    </span>
+                  )}
+                  <span
+                    className={`px-3 py-1 ${statusConfig.bgColor} ${statusConfig.textColor} text-sm font-medium rounded-full`}
+                  >
+                    {statusConfig.label}
+                  </span>
+                </div>
               </div>
 
               {/* Details Grid */}
@@ -474,27 +515,11 @@ const SuperAdminLegalRequests = () => {
                 </p>
               </div>
 
-              {/* Review Info (if reviewed) */}
-              {request.reviewedBy && (
-                <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded">
-                  <p className="text-sm font-medium text-blue-900 mb-1">
-                    Reviewed by: {request.reviewedBy}
-                  </p>
-                  <p className="text-xs text-blue-700">
-                    {request.reviewedAt?.toLocaleString() || "N/A"}
-                  </p>
-                  {request.approvalNotes && (
-                    <p className="text-sm text-blue-800 mt-2">
-                      Notes: {request.approvalNotes}
-                    </p>
-                  )}
-                  {request.rejectionReason && (
-                    <p className="text-sm text-red-800 mt-2">
-                      Reason: {request.rejectionReason}
-                    </p>
-                  )}
-                </div>
-              )}
+              {/* Approvals and timeline */}
+              <div className="mb-4">
+                <p className="text-xs text-gray-500 mb-2">Timeline</p>
+                <LegalRequestTimeline request={request} />
+              </div>
 
               {/* Action Buttons */}
               <div className="flex items-center justify-between pt-4 border-t border-gray-200">
@@ -518,7 +543,24 @@ const SuperAdminLegalRequests = () => {
                 </div>
 
                 <div className="flex space-x-2">
-                  {request.status === LegalRequestStatus.PENDING && (
+                  {request.status !== LegalRequestStatus.REJECTED && (
+                    <button
+                      onClick={() => openHoldModal(request)}
+                      className="flex items-center px-4 py-2 bg-indigo-100 text-indigo-700 text-sm font-medium rounded hover:bg-indigo-200 transition-colors"
+                    >
+                      <Lock className="w-4 h-4 mr-1" />
+                      Place Legal Hold
+                    </button>
+                  )}
+                  {isAwaitingReview(request) && !canReview(request) && (
+                    <span className="flex items-center px-3 py-2 text-sm text-gray-500">
+                      <Clock className="w-4 h-4 mr-1" />
+                      {request.requestedByUserId === userData?.id
+                        ? "You submitted this request"
+                        : "Awaiting another approver"}
+                    </span>
+                  )}
+                  {canReview(request) && (
                     <>
                       <button
                         onClick={() => openReviewModal(request, "approve")}
@@ -536,10 +578,13 @@ const SuperAdminLegalRequests = () => {
                       </button>
                     </>
                   )}
-                  {request.status === LegalRequestStatus.APPROVED && (
+                  {request.status === LegalRequestStatus.APPROVED &&
+                    request.requestType === LegalRequestType.IDENTITY_DISCLOSURE && (
                     <button
                       onClick={() => openDisclosureModal(request)}
-                      className="flex items-center gap-2 px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded hover:bg-teal-600 transition-colors"
+                      disabled={!isCoolingOffOver(request)}
+                      title={isCoolingOffOver(request) ? undefined : `Cooling-off until ${request.coolingOffEndsAt.toLocaleString()}`}
+                      className="flex items-center gap-2 px-4 py-2 bg-teal-500 text-white text-sm font-medium rounded hover:bg-teal-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       🔓 Disclose Reporter Identity
                     </button>
@@ -553,6 +598,181 @@ const SuperAdminLegalRequests = () => {
     );
   };
 
+  const renderHoldsList = () => {
+    if (loading) {
+      return (
+        <div className="text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          <p className="text-gray-600 mt-2">Loading legal holds...</p>
+        </div>
+      );
+    }
+
+    if (holds.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <Lock className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600">No active legal holds</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        {holds.map((hold) => (
+          <div
+            key={hold.id}
+            className="bg-white border border-gray-200 rounded-lg p-5 hover:shadow-md transition-shadow"
+          >
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="font-semibold text-gray-900 text-lg">
+                  {LegalHoldTargetTypeConfig[hold.targetType]?.label || hold.targetType}: {hold.targetId}
+                </h3>
+                <p className="text-sm text-gray-600">Hold ID: {hold.id}</p>
+              </div>
+              <span className="flex items-center px-3 py-1 bg-indigo-100 text-indigo-800 text-sm font-medium rounded-full">
+                <Lock className="w-3.5 h-3.5 mr-1" />
+                {hold.itemCount} item(s)
+              </span>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+              <div>
+                <p className="text-xs text-gray-500 mb-1">Placed By</p>
+                <p className="text-sm font-medium text-gray-900">{hold.placedByName || hold.placedBy}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 mb-1">Placed</p>
+                <p className="text-sm font-medium text-gray-900">{hold.placedAt?.toLocaleString() || "N/A"}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 mb-1">Company ID</p>
+                <p className="text-sm font-medium text-gray-900">{hold.companyId || "N/A"}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 mb-1">Legal Request</p>
+                <p className="text-sm font-medium text-gray-900">{hold.legalRequestId || "None"}</p>
+              </div>
+            </div>
+
+            <div className="mb-4">
+              <p className="text-xs text-gray-500 mb-1">Reason</p>
+              <p className="text-sm text-gray-700 bg-gray-50 p-3 rounded border border-gray-200">{hold.reason}</p>
+            </div>
+
+            <div className="flex justify-end pt-4 border-t border-gray-200">
+              <button
+                onClick={() => handleReleaseHold(hold)}
+                className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded hover:bg-gray-200 transition-colors"
+              >
+                <Unlock className="w-4 h-4 mr-1" />
+                Release Hold
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderHoldModal = () => {
+    if (!showHoldModal || !holdRequest) return null;
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+          <div className="p-6">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-gray-900">Place Legal Hold</h2>
+              <button onClick={closeHoldModal} className="text-gray-400 hover:text-gray-600">
+                <XCircle className="w-6 h-6" />
+              </button>
+            </div>
+
+            <div className="mb-6 p-4 bg-indigo-50 border border-indigo-200 rounded text-sm text-indigo-900">
+              Held items cannot be edited, archived, moderated away or deleted by anyone until the
+              hold is released. Every blocked attempt is recorded in the company audit log.
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">What to hold</label>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.values(LegalHoldTargetType).map((type) => (
+                  <label
+                    key={type}
+                    className={`p-3 border rounded cursor-pointer ${
+                      holdTargetType === type ? "border-indigo-600 bg-indigo-50" : "border-gray-300"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="holdTargetType"
+                      value={type}
+                      checked={holdTargetType === type}
+                      onChange={() => setHoldTargetType(type)}
+                      className="mr-2"
+                    />
+                    <span className="text-sm font-medium">{LegalHoldTargetTypeConfig[type].label}</span>
+                    <p className="text-xs text-gray-500 mt-1">{LegalHoldTargetTypeConfig[type].description}</p>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {LegalHoldTargetTypeConfig[holdTargetType].label} ID *
+              </label>
+              <input
+                type="text"
+                value={holdTargetId}
+                onChange={(e) => setHoldTargetId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+              <textarea
+                value={holdReason}
+                onChange={(e) => setHoldReason(e.target.value)}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="e.g. Preservation letter received for case 24-cv-0193"
+              />
+            </div>
+
+            {holdError && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                {holdError}
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={closeHoldModal}
+                disabled={submitting}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handlePlaceHold}
+                disabled={submitting}
+                className="flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+              >
+                <Lock className="w-4 h-4 mr-1" />
+                {submitting ? "Placing..." : "Place Hold"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   const renderReviewModal = () => {
     if (!showReviewModal || !selectedRequest) return null;
 
@@ -628,6 +848,48 @@ const SuperAdminLegalRequests = () => {
                   </select>
                 </div>
 
+                {selectedRequest.requestType === LegalRequestType.IDENTITY_DISCLOSURE && (
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Notify the Reporter
+                    </label>
+                    <div className="space-y-2">
+                      <label className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          name="reporterNotice"
+                          checked={reporterNotice === ReporterNotice.NOTIFY}
+                          onChange={() => setReporterNotice(ReporterNotice.NOTIFY)}
+                          className="mt-1"
+                        />
+                        <span>
+                          The law allows notice. The reporter is told through their anonymous
+                          thread when the request is fully approved.
+                        </span>
+                      </label>
+                      <label className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          name="reporterNotice"
+                          checked={reporterNotice === ReporterNotice.WITHHOLD}
+                          onChange={() => setReporterNotice(ReporterNotice.WITHHOLD)}
+                          className="mt-1"
+                        />
+                        <span>Notice is prohibited, e.g. by a non-disclosure or gag order.</span>
+                      </label>
+                    </div>
+                    {reporterNotice === ReporterNotice.WITHHOLD && (
+                      <textarea
+                        value={withholdReason}
+                        onChange={(e) => setWithholdReason(e.target.value)}
+                        rows={2}
+                        className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                        placeholder="Legal grounds for withholding notice..."
+                      />
+                    )}
+                  </div>
+                )}
+
                 <div className="p-4 bg-green-50 border border-green-200 rounded mb-4">
                   <div className="flex items-start">
                     <AlertTriangle className="w-5 h-5 text-green-600 mr-2 mt-0.5" />
@@ -637,6 +899,17 @@ const SuperAdminLegalRequests = () => {
                         By approving this request, you authorize the disclosure of sensitive information.
                         Ensure all legal requirements are met before proceeding.
                       </p>
+                      {selectedRequest.requestType === LegalRequestType.IDENTITY_DISCLOSURE && (
+                        <p className="mt-2">
+                          Identity disclosure needs approval from{" "}
+                          {reviewPolicy?.requiredApprovals || "several"} different super admins
+                          {selectedRequest.approvals?.length > 0 &&
+                            ` (${selectedRequest.approvals.length} so far)`}
+                          . Once the last approval is in, the identity can only be disclosed after a
+                          {reviewPolicy ? ` ${reviewPolicy.coolingOffHours}-hour` : ""} cooling-off
+                          period.
+                        </p>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -702,7 +975,7 @@ const SuperAdminLegalRequests = () => {
 
     return (
       <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
-        <div className="bg-white max-w-lg w-full rounded-xl shadow-2xl p-6">
+        <div className="bg-white max-w-lg w-full max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl p-6">
 
           {/* STEP 1 — Confirmation */}
           {disclosureStep === 1 && (
@@ -759,6 +1032,32 @@ const SuperAdminLegalRequests = () => {
                 </span>
               </label>
 
+              <div className="mb-6">
+                {disclosureSession?.custody ? (
+                  <CustodianShareCollector
+                    legalRequestId={disclosureRequest.id}
+                    session={disclosureSession}
+                    onSessionChange={setDisclosureSession}
+                  />
+                ) : (
+                  <>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Key Part B{' '}
+                      <span className="text-xs font-normal text-gray-500">(32 hex characters, from the company DPO)</span>
+                    </label>
+                    <input
+                      type="text"
+                      value={keyPartB}
+                      onChange={(e) => setKeyPartB(e.target.value.trim())}
+                      maxLength={32}
+                      autoComplete="off"
+                      spellCheck={false}
+                      className="w-full px-3 py-2 text-sm font-mono border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                    />
+                  </>
+                )}
+              </div>
+
               <div className="flex justify-end gap-3">
                 <button
                   onClick={closeDisclosureModal}
@@ -768,7 +1067,14 @@ const SuperAdminLegalRequests = () => {
                 </button>
                 <button
                   onClick={handleDecryptIdentity}
-                  disabled={!legalConfirmed || disclosureLoading}
+                  disabled={
+                    !legalConfirmed ||
+                    !disclosureSession ||
+                    disclosureLoading ||
+                    (disclosureSession.custody
+                      ? disclosureSession.submittedCount < disclosureSession.threshold
+                      : keyPartB.length !== 32)
+                  }
                   className="flex items-center gap-2 px-4 py-2 bg-teal-500 text-white rounded-lg hover:bg-teal-600 transition-colors text-sm disabled:opacity-40 disabled:cursor-not-allowed"
                 >
                   {disclosureLoading && (
@@ -979,6 +1285,7 @@ const SuperAdminLegalRequests = () => {
               { id: "approved", label: "Approved", count: stats?.approved },
               { id: "rejected", label: "Rejected", count: stats?.rejected },
               { id: "fulfilled", label: "Fulfilled", count: stats?.fulfilled },
+              { id: "holds", label: "Legal Holds", count: holds.length },
             ].map((tab) => (
               <button
                 key={tab.id}
@@ -1002,7 +1309,7 @@ const SuperAdminLegalRequests = () => {
 
         {/* Requests List */}
         <div className="bg-white border border-gray-200 rounded-lg p-6">
-          {renderRequestsList()}
+          {activeTab === "holds" ? renderHoldsList() : renderRequestsList()}
         </div>
 
         {/* Review Modal */}
@@ -1010,6 +1317,9 @@ const SuperAdminLegalRequests = () => {
 
         {/* Disclosure Modal */}
         {renderDisclosureModal()}
+
+        {/* Legal Hold Modal */}
+        {renderHoldModal()}
       </div>
     </div>
   );
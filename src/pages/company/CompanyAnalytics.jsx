@@ -2,35 +2,32 @@ import { useState, useEffect } from "react";
 import { useAuth } from "../../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
 import { useTranslation } from "react-i18next";
-import {
-  collection,
-  query,
-  where,
-  getDocs,
-  orderBy,
-} from "firebase/firestore";
-import { db } from "../../config/firebase";
 import {
   PostStatus,
   PostPriority,
   PostType,
 } from "../../utils/constants";
-import { getDepartments, getDepartmentStats } from "../../services/departmentservice";
 import {
-  calculateAverageResponseTime,
-  calculateUserEngagement,
-  calculateDepartmentPerformance,
-  filterPostsByDateRange,
+  getCompanyAnalytics,
+  getUserCounts,
+  getUserNames,
+} from "../../services/analyticsService";
+import {
+  getPresetRange,
+  countRangeDays,
   exportToCSV,
   downloadCSV,
 } from "../../utils/analyticsHelpers";
 
+const RANGE_PRESETS = ["7", "30", "90", "365"];
+
 const CompanyAnalytics = () => {
   const { userData } = useAuth();
   const navigate = useNavigate();
   const { t } = useTranslation();
   const [loading, setLoading] = useState(true);
   const [analytics, setAnalytics] = useState({
+    range: getPresetRange(30),
     overview: {
       totalPosts: 0,
       totalComments: 0,
@@ -42,265 +39,105 @@ const CompanyAnalytics = () => {
     postsByStatus: {},
     postsByPriority: {},
     responseTimeAvg: 0,
+    resolutionTimeAvg: 0,
     resolutionRate: 0,
     departmentStats: [],
     userEngagement: [],
-    trendsLast30Days: [],
-    trendsLast7Days: [],
+    trend: { interval: "day", points: [] },
     happinessScore: 0,
+    minGroupSize: 0,
+    suppressed: false,
   });
-  const [trendPeriod, setTrendPeriod] = useState("30"); // 7, 30, or 90 days
-  const [dateFilter, setDateFilter] = useState({
-    startDate: "",
-    endDate: "",
-    enabled: false,
-  });
-  const [allPostsData, setAllPostsData] = useState(null); // Store all data for filtering
+  // A preset number of days, or "custom" for the dates below
+  const [rangePreset, setRangePreset] = useState("30");
+  const [customRange, setCustomRange] = useState({ startDate: "", endDate: "" });
+  const [range, setRange] = useState(() => getPresetRange(30));
   const [showExportDropdown, setShowExportDropdown] = useState(false);
 
   useEffect(() => {
     if (userData?.companyId) {
       fetchAnalyticsData();
     }
-  }, [userData]);
+  }, [userData, range]);
 
-  // Re-calculate analytics when date filter changes
-  useEffect(() => {
-    if (allPostsData && dateFilter.enabled) {
-      applyDateFilter();
-    } else if (allPostsData && !dateFilter.enabled) {
-      // Reset to show all data
-      calculateAnalytics(allPostsData);
-    }
-  }, [dateFilter]);
+  const selectPreset = (days) => {
+    setRangePreset(days);
+    setRange(getPresetRange(parseInt(days, 10)));
+  };
+
+  const applyCustomRange = () => {
+    setRangePreset("custom");
+    setRange({ ...customRange });
+  };
 
   const fetchAnalyticsData = async () => {
     try {
       setLoading(true);
 
-      // Fetch all posts for the company
-      const postsRef = collection(db, "posts");
-      const postsQuery = query(
-        postsRef,
-        where("companyId", "==", userData.companyId)
-      );
-      const postsSnapshot = await getDocs(postsQuery);
-      const posts = postsSnapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-
-      // Fetch all comments for the company
-      const commentsRef = collection(db, "comments");
-      const commentsQuery = query(
-        commentsRef,
-        where("companyId", "==", userData.companyId)
-      );
-      const commentsSnapshot = await getDocs(commentsQuery);
-      const companyComments = commentsSnapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
+      // Small groups are suppressed on the server: a range with only a
+      // handful of posts comes back empty, small departments are merged into
+      // "Other" and small trend points are hidden
+      const [report, userCounts] = await Promise.all([
+        getCompanyAnalytics(userData.companyId, range.startDate, range.endDate),
+        getUserCounts(userData.companyId),
+      ]);
+      const { totals, minGroupSize, suppressed } = report;
 
-      // Fetch all users for the company
-      const usersRef = collection(db, "users");
-      const usersQuery = query(
-        usersRef,
-        where("companyId", "==", userData.companyId)
-      );
-      const usersSnapshot = await getDocs(usersQuery);
-      const users = usersSnapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-
-      // Calculate overview stats
       const overview = {
-        totalPosts: posts.length,
-        totalComments: companyComments.length,
-        totalUsers: users.length,
-        activeUsers: users.filter((u) => u.status === "active").length,
-        pendingUsers: users.filter((u) => u.status === "pending").length,
-      };
-
-      // Posts by type
-      const postsByType = {
-        [PostType.PROBLEM_REPORT]: posts.filter(
-          (p) => p.type === PostType.PROBLEM_REPORT
-        ).length,
-        [PostType.CREATIVE_CONTENT]: posts.filter(
-          (p) => p.type === PostType.CREATIVE_CONTENT
-        ).length,
-        [PostType.TEAM_DISCUSSION]: posts.filter(
-          (p) => p.type === PostType.TEAM_DISCUSSION
-        ).length,
-        [PostType.IDEA_SUGGESTION]: posts.filter(
-          (p) => p.type === PostType.IDEA_SUGGESTION
-        ).length,
+        totalPosts: totals.posts,
+        totalComments: totals.comments,
+        ...userCounts,
       };
 
-      // Posts by status
-      const postsByStatus = {
-        [PostStatus.OPEN]: posts.filter((p) => p.status === PostStatus.OPEN)
-          .length,
-        [PostStatus.ACKNOWLEDGED]: posts.filter(
-          (p) => p.status === PostStatus.ACKNOWLEDGED
-        ).length,
-        [PostStatus.IN_PROGRESS]: posts.filter(
-          (p) => p.status === PostStatus.IN_PROGRESS
-        ).length,
-        [PostStatus.WORKING_ON]: posts.filter(
-          (p) => p.status === PostStatus.WORKING_ON
-        ).length,
-        [PostStatus.UNDER_REVIEW]: posts.filter(
-          (p) => p.status === PostStatus.UNDER_REVIEW
-        ).length,
-        [PostStatus.RESOLVED]: posts.filter(
-          (p) => p.status === PostStatus.RESOLVED
-        ).length,
-        [PostStatus.CLOSED]: posts.filter((p) => p.status === PostStatus.CLOSED)
-          .length,
-        [PostStatus.REJECTED]: posts.filter(
-          (p) => p.status === PostStatus.REJECTED
-        ).length,
-      };
+      const countBy = (counts, values) =>
+        Object.fromEntries(values.map((value) => [value, counts[value] || 0]));
+
+      const postsByType = countBy(totals.byType, [
+        PostType.PROBLEM_REPORT,
+        PostType.CREATIVE_CONTENT,
+        PostType.TEAM_DISCUSSION,
+        PostType.IDEA_SUGGESTION,
+      ]);
+
+      const postsByStatus = countBy(totals.byStatus, [
+        PostStatus.OPEN,
+        PostStatus.ACKNOWLEDGED,
+        PostStatus.IN_PROGRESS,
+        PostStatus.WORKING_ON,
+        PostStatus.UNDER_REVIEW,
+        PostStatus.RESOLVED,
+        PostStatus.CLOSED,
+        PostStatus.REJECTED,
+      ]);
+
+      const postsByPriority = countBy(totals.byPriority, [
+        PostPriority.CRITICAL,
+        PostPriority.HIGH,
+        PostPriority.MEDIUM,
+        PostPriority.LOW,
+      ]);
 
-      // Posts by priority
-      const postsByPriority = {
-        [PostPriority.CRITICAL]: posts.filter(
-          (p) => p.priority === PostPriority.CRITICAL
-        ).length,
-        [PostPriority.HIGH]: posts.filter((p) => p.priority === PostPriority.HIGH)
-          .length,
-        [PostPriority.MEDIUM]: posts.filter(
-          (p) => p.priority === PostPriority.MEDIUM
-        ).length,
-        [PostPriority.LOW]: posts.filter((p) => p.priority === PostPriority.LOW)
-          .length,
-      };
-
-      // Calculate resolution rate
-      const resolvedPosts = posts.filter(
-        (p) =>
-          p.status === PostStatus.RESOLVED || p.status === PostStatus.CLOSED
-      ).length;
       const resolutionRate =
-        posts.length > 0 ? ((resolvedPosts / posts.length) * 100).toFixed(1) : 0;
-
-      // Calculate average response time
-      const postsWithResponse = posts.filter(
-        (p) => p.status !== PostStatus.OPEN && p.updatedAt && p.createdAt
+        totals.posts > 0 ? ((totals.resolved / totals.posts) * 100).toFixed(1) : 0;
+      const avgResponseHours =
+        totals.responses > 0 ? (totals.responseHours / totals.responses).toFixed(1) : 0;
+      const avgResolutionHours =
+        totals.resolutions > 0 ? (totals.resolutionHours / totals.resolutions).toFixed(1) : 0;
+
+      // Top contributors; anonymous posts and comments are never attributed
+      const topContributors = report.contributors;
+      const names = await getUserNames(
+        userData.companyId,
+        topContributors.map((user) => user.id)
       );
-      let totalResponseTime = 0;
-      postsWithResponse.forEach((post) => {
-        const created = post.createdAt?.toDate?.() || new Date(post.createdAt);
-        const updated = post.updatedAt?.toDate?.() || new Date(post.updatedAt);
-        const diff = updated - created;
-        totalResponseTime += diff;
-      });
-      const avgResponseTime =
-        postsWithResponse.length > 0
-          ? totalResponseTime / postsWithResponse.length
-          : 0;
-      const avgResponseHours = (avgResponseTime / (1000 * 60 * 60)).toFixed(1);
-
-      // User engagement (top contributors)
-      const userEngagementMap = {};
-      users.forEach((user) => {
-        userEngagementMap[user.id] = {
-          name: user.displayName || "Unknown",
-          posts: 0,
-          comments: 0,
-        };
-      });
-
-      posts.forEach((post) => {
-        if (!post.isAnonymous && userEngagementMap[post.authorId]) {
-          userEngagementMap[post.authorId].posts += 1;
-        }
-      });
-
-      companyComments.forEach((comment) => {
-        if (userEngagementMap[comment.authorId]) {
-          userEngagementMap[comment.authorId].comments += 1;
-        }
-      });
-
-      const userEngagement = Object.entries(userEngagementMap)
-        .map(([id, data]) => ({
-          id,
-          ...data,
-          total: data.posts + data.comments,
-        }))
-        .sort((a, b) => b.total - a.total)
-        .slice(0, 10);
-
-      // Trends for last 30 days
-      const now = new Date();
-      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      const trendsMap = {};
-
-      for (let i = 0; i < 30; i++) {
-        const date = new Date(thirtyDaysAgo.getTime() + i * 24 * 60 * 60 * 1000);
-        const dateKey = date.toISOString().split("T")[0];
-        trendsMap[dateKey] = 0;
-      }
-
-      posts.forEach((post) => {
-        const postDate = post.createdAt?.toDate?.() || new Date(post.createdAt);
-        const dateKey = postDate.toISOString().split("T")[0];
-        if (trendsMap[dateKey] !== undefined) {
-          trendsMap[dateKey] += 1;
-        }
-      });
-
-      const trendsLast30Days = Object.entries(trendsMap).map(([date, count]) => ({
-        date,
-        count,
+      const userEngagement = topContributors.map((user) => ({
+        ...user,
+        name: names[user.id] || "Unknown",
       }));
 
-      // Trends for last 7 days
-      const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-      const trends7Map = {};
-      for (let i = 0; i < 7; i++) {
-        const date = new Date(sevenDaysAgo.getTime() + i * 24 * 60 * 60 * 1000);
-        const dateKey = date.toISOString().split("T")[0];
-        trends7Map[dateKey] = 0;
-      }
-      posts.forEach((post) => {
-        const postDate = post.createdAt?.toDate?.() || new Date(post.createdAt);
-        const dateKey = postDate.toISOString().split("T")[0];
-        if (trends7Map[dateKey] !== undefined) {
-          trends7Map[dateKey] += 1;
-        }
-      });
-      const trendsLast7Days = Object.entries(trends7Map).map(([date, count]) => ({
-        date,
-        count,
-      }));
-
-      // Fetch department statistics
-      const departments = await getDepartments(userData.companyId, false);
-      const departmentStatsData = [];
-      for (const dept of departments) {
-        const stats = await getDepartmentStats(dept.id, userData.companyId);
-        departmentStatsData.push({
-          id: dept.id,
-          name: dept.name,
-          icon: dept.icon || "🏢",
-          memberCount: dept.memberCount || 0,
-          totalPosts: stats.totalPosts || 0,
-          resolvedIssues: stats.resolvedIssues || 0,
-          pendingIssues: stats.pendingIssues || 0,
-          resolutionRate: stats.totalPosts > 0
-            ? ((stats.resolvedIssues / stats.totalPosts) * 100).toFixed(1)
-            : 0,
-        });
-      }
-
       // Calculate happiness score (based on resolution rate, engagement, and response time)
       const engagementRate = overview.totalPosts > 0
-        ? (companyComments.length / overview.totalPosts) * 10
+        ? (overview.totalComments / overview.totalPosts) * 10
         : 0;
       const resolutionScore = parseFloat(resolutionRate);
       const responseScore = avgResponseHours > 0
@@ -309,20 +146,21 @@ const CompanyAnalytics = () => {
       const happinessScore = ((resolutionScore + Math.min(engagementRate * 10, 100) + responseScore) / 3).toFixed(1);
 
       setAnalytics({
+        range,
         overview,
         postsByType,
         postsByStatus,
         postsByPriority,
         responseTimeAvg: avgResponseHours,
+        resolutionTimeAvg: avgResolutionHours,
         resolutionRate,
-        departmentStats: departmentStatsData,
+        departmentStats: report.departments,
         userEngagement,
-        trendsLast30Days,
-        trendsLast7Days,
+        trend: report.trend,
         happinessScore,
+        minGroupSize,
+        suppressed,
       });
-      // Store all data for filtering
-      setAllPostsData({ posts, comments: companyComments, users, departments: departmentStatsData });
     } catch (error) {
       console.error("Error fetching analytics:", error);
     } finally {
@@ -330,53 +168,6 @@ const CompanyAnalytics = () => {
     }
   };
 
-  const applyDateFilter = () => {
-    if (!allPostsData) return;
-
-    const startDate = new Date(dateFilter.startDate);
-    startDate.setHours(0, 0, 0, 0);
-    const endDate = new Date(dateFilter.endDate);
-    endDate.setHours(23, 59, 59, 999);
-
-    const filteredPosts = filterPostsByDateRange(
-      allPostsData.posts,
-      startDate,
-      endDate
-    );
-
-    calculateAnalytics({
-      posts: filteredPosts,
-      comments: allPostsData.comments,
-      users: allPostsData.users,
-      departments: allPostsData.departments,
-    });
-  };
-
-  const calculateAnalytics = (data) => {
-    const { posts, comments, users, departments } = data;
-
-    // Filter comments to only those belonging to filtered posts
-    const postIds = new Set(posts.map((p) => p.id));
-    const filteredComments = comments.filter((c) => postIds.has(c.postId));
-
-    // Recalculate overview
-    const overview = {
-      totalPosts: posts.length,
-      totalComments: filteredComments.length,
-      totalUsers: users.length,
-      activeUsers: users.filter((u) => u.status === "active").length,
-      pendingUsers: users.filter((u) => u.status === "pending").length,
-    };
-
-    // Recalculate other analytics based on filtered data...
-    // (Using simplified recalculation for now to avoid excessive complexity)
-    setAnalytics((prev) => ({
-      ...prev,
-      overview,
-      // Keep other analytics as-is for now
-    }));
-  };
-
   const getTypeLabel = (type) => {
     const labels = {
       [PostType.PROBLEM_REPORT]: "Problems",
@@ -429,8 +220,9 @@ const CompanyAnalytics = () => {
     );
   }
 
-  const trendData = trendPeriod === "7" ? analytics.trendsLast7Days : analytics.trendsLast30Days;
-  const maxTrendValue = Math.max(...trendData.map((d) => d.count), 1);
+  const trendData = analytics.trend.points;
+  const trendTotal = analytics.overview.totalPosts;
+  const maxTrendValue = Math.max(...trendData.map((d) => d.count || 0), analytics.minGroupSize, 1);
 
   const getHappinessEmoji = (score) => {
     if (score >= 80) return "😊";
@@ -479,21 +271,34 @@ const CompanyAnalytics = () => {
         </p>
       </div>
 
-      {/* Controls: Date Filter & Export */}
+      {/* Controls: Date Range & Export */}
       <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100 mb-6">
         <div className="flex flex-wrap items-end gap-4">
-          {/* Date Range Filter */}
+          {/* Date Range */}
           <div className="flex-1 min-w-[300px]">
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Date Range Filter
+              Date Range
             </label>
-            <div className="flex gap-2 items-end">
+            <div className="flex flex-wrap gap-2 items-end">
+              {RANGE_PRESETS.map((days) => (
+                <button
+                  key={days}
+                  onClick={() => selectPreset(days)}
+                  className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                    rangePreset === days
+                      ? "bg-blue-600 text-white"
+                      : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                  }`}
+                >
+                  {days} Days
+                </button>
+              ))}
               <div>
                 <input
                   type="date"
-                  value={dateFilter.startDate}
+                  value={customRange.startDate}
                   onChange={(e) =>
-                    setDateFilter((prev) => ({
+                    setCustomRange((prev) => ({
                       ...prev,
                       startDate: e.target.value,
                     }))
@@ -505,9 +310,9 @@ const CompanyAnalytics = () => {
               <div>
                 <input
                   type="date"
-                  value={dateFilter.endDate}
+                  value={customRange.endDate}
                   onChange={(e) =>
-                    setDateFilter((prev) => ({
+                    setCustomRange((prev) => ({
                       ...prev,
                       endDate: e.target.value,
                     }))
@@ -516,31 +321,16 @@ const CompanyAnalytics = () => {
                 />
               </div>
               <button
-                onClick={() =>
-                  setDateFilter((prev) => ({
-                    ...prev,
-                    enabled: prev.startDate && prev.endDate,
-                  }))
+                onClick={applyCustomRange}
+                disabled={
+                  !customRange.startDate ||
+                  !customRange.endDate ||
+                  customRange.startDate > customRange.endDate
                 }
-                disabled={!dateFilter.startDate || !dateFilter.endDate}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-sm font-medium transition"
               >
-                Apply Filter
+                Apply Range
               </button>
-              {dateFilter.enabled && (
-                <button
-                  onClick={() =>
-                    setDateFilter({
-                      startDate: "",
-                      endDate: "",
-                      enabled: false,
-                    })
-                  }
-                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm font-medium transition"
-                >
-                  Clear Filter
-                </button>
-              )}
             </div>
           </div>
 
@@ -554,7 +344,8 @@ const CompanyAnalytics = () => {
                   `analytics-report-${new Date().toISOString().split("T")[0]}.csv`
                 );
               }}
-              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium transition flex items-center gap-2"
+              disabled={analytics.suppressed}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-sm font-medium transition flex items-center gap-2"
             >
               <svg
                 className="w-4 h-4"
@@ -574,11 +365,12 @@ const CompanyAnalytics = () => {
             <div className="relative">
               <button
                 onClick={() => setShowExportDropdown((prev) => !prev)}
-                className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 text-sm font-medium transition"
+                disabled={analytics.suppressed}
+                className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-sm font-medium transition"
               >
                 Export Options ▾
               </button>
-              {showExportDropdown && (
+              {showExportDropdown && !analytics.suppressed && (
                 <div className="absolute right-0 mt-2 w-56 bg-white rounded-lg shadow-xl border border-gray-200 py-1 z-10">
                   <button
                     onClick={() => {
@@ -616,10 +408,21 @@ const CompanyAnalytics = () => {
           </div>
         </div>
 
-        {dateFilter.enabled && (
-          <div className="mt-4 text-sm text-blue-600">
-            Showing data from {new Date(dateFilter.startDate).toLocaleDateString()} to{" "}
-            {new Date(dateFilter.endDate).toLocaleDateString()}
+        <div className="mt-4 text-sm text-blue-600">
+          Showing posts and comments created from{" "}
+          {new Date(analytics.range.startDate).toLocaleDateString(undefined, { timeZone: "UTC" })} to{" "}
+          {new Date(analytics.range.endDate).toLocaleDateString(undefined, { timeZone: "UTC" })} (UTC)
+        </div>
+        {analytics.suppressed ? (
+          <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            This range has fewer than {analytics.minGroupSize} posts, so it is not broken down
+            and cannot be exported, to protect anonymous authors. Choose a wider range.
+          </div>
+        ) : (
+          <div className="mt-1 text-xs text-gray-500">
+            Departments with fewer than {analytics.minGroupSize} members are grouped as
+            &quot;Other&quot;, and days or weeks with fewer than {analytics.minGroupSize} posts
+            are hidden from the trend chart.
           </div>
         )}
       </div>
@@ -808,6 +611,9 @@ const CompanyAnalytics = () => {
           <p className="text-sm text-gray-500 mt-2">
             Time to first admin response on posts
           </p>
+          <p className="text-sm text-gray-500 mt-1">
+            Average time to resolution: {analytics.resolutionTimeAvg} hours
+          </p>
         </div>
 
         <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
@@ -980,8 +786,8 @@ const CompanyAnalytics = () => {
                 {analytics.departmentStats
                   .sort((a, b) => b.totalPosts - a.totalPosts)
                   .map((dept) => (
-                    <tr key={dept.id} className="hover:bg-gray-50 transition cursor-pointer"
-                        onClick={() => navigate(`/departments/${dept.id}`)}>
+                    <tr key={dept.id} className={`hover:bg-gray-50 transition ${dept.isOther ? "" : "cursor-pointer"}`}
+                        onClick={() => !dept.isOther && navigate(`/departments/${dept.id}`)}>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="flex items-center">
                           <span className="text-2xl mr-3">{dept.icon}</span>
@@ -1036,37 +842,17 @@ const CompanyAnalytics = () => {
             </h3>
             <p className="text-sm text-gray-600 mt-1">
               Track post creation patterns over time
+              {analytics.trend.interval === "week" && " (weekly totals)"}
             </p>
           </div>
-          <div className="flex items-center gap-2">
-            <button
-              onClick={() => setTrendPeriod("7")}
-              className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
-                trendPeriod === "7"
-                  ? "bg-blue-600 text-white"
-                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
-              }`}
-            >
-              7 Days
-            </button>
-            <button
-              onClick={() => setTrendPeriod("30")}
-              className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
-                trendPeriod === "30"
-                  ? "bg-blue-600 text-white"
-                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
-              }`}
-            >
-              30 Days
-            </button>
-          </div>
         </div>
         <div className="h-64 flex items-end justify-between gap-1">
           {trendData.map((data, index) => {
-            const height = (data.count / maxTrendValue) * 100;
+            const height = data.suppressed ? 0 : (data.count / maxTrendValue) * 100;
             const isWeekend =
-              new Date(data.date).getDay() === 0 ||
-              new Date(data.date).getDay() === 6;
+              analytics.trend.interval === "day" &&
+              (new Date(data.date).getUTCDay() === 0 ||
+                new Date(data.date).getUTCDay() === 6);
             return (
               <div
                 key={index}
@@ -1074,24 +860,26 @@ const CompanyAnalytics = () => {
               >
                 <div
                   className={`w-full ${
-                    isWeekend ? "bg-indigo-300" : "bg-indigo-600"
-                  } rounded-t hover:bg-indigo-700 transition-all cursor-pointer`}
-                  style={{ height: `${height}%`, minHeight: data.count > 0 ? "4px" : "0" }}
+                    data.suppressed ? "bg-gray-300" : isWeekend ? "bg-indigo-300" : "bg-indigo-600"
+                  } rounded-t ${data.suppressed ? "" : "hover:bg-indigo-700"} transition-all cursor-pointer`}
+                  style={{ height: `${height}%`, minHeight: data.suppressed || data.count > 0 ? "4px" : "0" }}
                 ></div>
                 <div className="absolute bottom-full mb-2 hidden group-hover:block bg-gray-900 text-white text-xs rounded py-1 px-2 whitespace-nowrap">
+                  {analytics.trend.interval === "week" && "Week of "}
                   {new Date(data.date).toLocaleDateString("en-US", {
                     month: "short",
                     day: "numeric",
+                    timeZone: "UTC",
                   })}
-                  : {data.count} posts
+                  : {data.suppressed ? `fewer than ${analytics.minGroupSize}` : data.count} posts
                 </div>
               </div>
             );
           })}
         </div>
         <div className="flex justify-between mt-4 text-xs text-gray-500">
-          <span>{trendPeriod} days ago</span>
-          <span>Today</span>
+          <span>{new Date(analytics.range.startDate).toLocaleDateString(undefined, { timeZone: "UTC" })}</span>
+          <span>{new Date(analytics.range.endDate).toLocaleDateString(undefined, { timeZone: "UTC" })}</span>
         </div>
         <div className="mt-4 p-4 bg-blue-50 rounded-lg">
           <div className="flex items-start gap-3">
@@ -1111,8 +899,9 @@ const CompanyAnalytics = () => {
             <div className="flex-1">
               <p className="text-sm font-medium text-blue-900">Trend Insights</p>
               <p className="text-sm text-blue-700 mt-1">
-                {trendData.reduce((sum, d) => sum + d.count, 0)} total posts in the last {trendPeriod} days.
-                Average: {(trendData.reduce((sum, d) => sum + d.count, 0) / trendData.length).toFixed(1)} posts/day
+                {trendTotal} total posts over{" "}
+                {countRangeDays(analytics.range.startDate, analytics.range.endDate)} days.
+                Average: {(trendTotal / countRangeDays(analytics.range.startDate, analytics.range.endDate)).toFixed(1)} posts/day
               </p>
             </div>
           </div>
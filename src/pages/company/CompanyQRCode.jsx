@@ -6,6 +6,22 @@ import { doc, getDoc } from "firebase/firestore";
 import { db } from "../../config/firebase";
 import QRCode from "qrcode";
 import { toast } from "react-toastify";
+import { getDepartments } from "../../services/departmentservice";
+import {
+  buildInviteUrl,
+  createInvite,
+  revokeInvite,
+  getCompanyInvites,
+  isInviteUsable,
+} from "../../services/inviteService";
+
+const DEFAULT_INVITE_FORM = {
+  label: "",
+  expiresInDays: 30,
+  maxUses: "",
+  defaultDepartmentId: "",
+  defaultRole: "employee",
+};
 
 const CompanyQRCode = () => {
   const { t } = useTranslation();
@@ -14,6 +30,11 @@ const CompanyQRCode = () => {
   const [company, setCompany] = useState(null);
   const [qrCodeUrl, setQrCodeUrl] = useState("");
   const [loading, setLoading] = useState(true);
+  const [invites, setInvites] = useState([]);
+  const [selectedInvite, setSelectedInvite] = useState(null);
+  const [departments, setDepartments] = useState([]);
+  const [inviteForm, setInviteForm] = useState(DEFAULT_INVITE_FORM);
+  const [creatingInvite, setCreatingInvite] = useState(false);
 
   useEffect(() => {
     if (userData?.role !== "company_admin") {
@@ -33,8 +54,10 @@ const CompanyQRCode = () => {
         const companyData = { id: companyDoc.id, ...companyDoc.data() };
         setCompany(companyData);
 
-        // Generate QR code
-        await generateQRCode(companyData);
+        const departmentList = await getDepartments(companyData.id);
+        setDepartments(departmentList);
+
+        await loadInvites(companyData.id);
       }
     } catch (error) {
       console.error("Error loading company:", error);
@@ -43,9 +66,95 @@ const CompanyQRCode = () => {
     }
   };
 
-  const generateQRCode = async (companyData) => {
+  const loadInvites = async (companyId, preferredInviteId = null) => {
     try {
-      const qrData = `https://portal.voxwel.com/register?companyId=${companyData.id}&companyName=${encodeURIComponent(companyData.name)}&source=qr`;
+      const inviteList = await getCompanyInvites(companyId);
+      setInvites(inviteList);
+
+      // Keep showing the preferred invite, otherwise the newest usable one
+      const nextInvite =
+        inviteList.find((invite) => invite.id === preferredInviteId && isInviteUsable(invite)) ||
+        inviteList.find(isInviteUsable) ||
+        null;
+
+      await selectInvite(nextInvite);
+    } catch (error) {
+      console.error("Error loading invites:", error);
+    }
+  };
+
+  const selectInvite = async (invite) => {
+    setSelectedInvite(invite);
+
+    if (invite) {
+      await generateQRCode(invite);
+    } else {
+      setQrCodeUrl("");
+    }
+  };
+
+  const handleCreateInvite = async (e) => {
+    e.preventDefault();
+    if (!company) return;
+
+    setCreatingInvite(true);
+    try {
+      const result = await createInvite({
+        companyId: company.id,
+        label: inviteForm.label,
+        expiresInDays: Number(inviteForm.expiresInDays),
+        maxUses: inviteForm.maxUses ? Number(inviteForm.maxUses) : null,
+        defaultDepartmentId: inviteForm.defaultDepartmentId || null,
+        defaultRole: inviteForm.defaultRole,
+        source: "qr",
+      });
+
+      setInviteForm(DEFAULT_INVITE_FORM);
+      await loadInvites(company.id, result.inviteId);
+      toast.success(t("company.invites.created"));
+    } catch (error) {
+      console.error("Error creating invite:", error);
+      toast.error(error.message || t("company.invites.createFailed"));
+    } finally {
+      setCreatingInvite(false);
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    if (!confirm(t("company.invites.revokeConfirm"))) return;
+
+    try {
+      await revokeInvite(invite.id);
+      await loadInvites(company.id, selectedInvite?.id);
+      toast.success(t("company.invites.revoked"));
+    } catch (error) {
+      console.error("Error revoking invite:", error);
+      toast.error(error.message || t("company.invites.revokeFailed"));
+    }
+  };
+
+  const formatInviteDate = (timestamp) => {
+    if (!timestamp) return "N/A";
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString();
+  };
+
+  const getInviteStatusLabel = (invite) => {
+    if (invite.status === "revoked") return t("company.invites.statusRevoked");
+    const expiresAt = invite.expiresAt?.toDate ? invite.expiresAt.toDate() : new Date(invite.expiresAt);
+    if (expiresAt < new Date()) return t("company.invites.statusExpired");
+    if (invite.maxUses && invite.useCount >= invite.maxUses) return t("company.invites.statusUsedUp");
+    return t("company.invites.statusActive");
+  };
+
+  const getDepartmentName = (departmentId) => {
+    if (!departmentId) return null;
+    return departments.find((department) => department.id === departmentId)?.name || null;
+  };
+
+  const generateQRCode = async (invite) => {
+    try {
+      const qrData = buildInviteUrl(invite.token, "qr");
 
       const url = await QRCode.toDataURL(qrData, {
         width: 400,
@@ -713,7 +822,7 @@ const CompanyQRCode = () => {
               files: [file],
             });
           } else {
-            const shareUrl = `${window.location.origin}/join/${company.id}`;
+            const shareUrl = buildInviteUrl(selectedInvite.token, "link");
             const fullShareText = `${shareText}\n\nOr visit: ${shareUrl}`;
             await navigator.clipboard.writeText(fullShareText);
             alert(t('company.shareInfoCopied'));
@@ -734,8 +843,8 @@ const CompanyQRCode = () => {
   };
 
   const copyRegistrationLink = () => {
-    if (!company) return;
-    const registrationUrl = `https://portal.voxwel.com/register?companyId=${company.id}&companyName=${encodeURIComponent(company.name)}&source=link`;
+    if (!company || !selectedInvite) return;
+    const registrationUrl = buildInviteUrl(selectedInvite.token, "link");
     navigator.clipboard.writeText(registrationUrl).then(() => {
       toast.success("Registration link copied!");
     }).catch(() => {
@@ -916,6 +1025,143 @@ const CompanyQRCode = () => {
               </div>
             </div>
 
+            {/* Invitations Card */}
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                {t("company.invites.title")}
+              </h3>
+              <p className="text-xs text-gray-500 mb-4">
+                {t("company.invites.description")}
+              </p>
+
+              <form onSubmit={handleCreateInvite} className="space-y-3 mb-6">
+                <input
+                  type="text"
+                  value={inviteForm.label}
+                  onChange={(e) => setInviteForm({ ...inviteForm, label: e.target.value })}
+                  placeholder={t("company.invites.labelPlaceholder")}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs font-medium text-gray-500">{t("company.invites.expiresInDays")}</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="365"
+                      value={inviteForm.expiresInDays}
+                      onChange={(e) => setInviteForm({ ...inviteForm, expiresInDays: e.target.value })}
+                      className="w-full mt-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-500">{t("company.invites.maxUses")}</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={inviteForm.maxUses}
+                      onChange={(e) => setInviteForm({ ...inviteForm, maxUses: e.target.value })}
+                      placeholder={t("company.invites.unlimited")}
+                      className="w-full mt-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs font-medium text-gray-500">{t("company.invites.department")}</label>
+                    <select
+                      value={inviteForm.defaultDepartmentId}
+                      onChange={(e) => setInviteForm({ ...inviteForm, defaultDepartmentId: e.target.value })}
+                      className="w-full mt-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    >
+                      <option value="">{t("company.invites.none")}</option>
+                      {departments.map((department) => (
+                        <option key={department.id} value={department.id}>
+                          {department.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-500">{t("company.invites.role")}</label>
+                    <select
+                      value={inviteForm.defaultRole}
+                      onChange={(e) => setInviteForm({ ...inviteForm, defaultRole: e.target.value })}
+                      className="w-full mt-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    >
+                      <option value="employee">{t("company.invites.roleEmployee")}</option>
+                      <option value="hr">{t("company.invites.roleHr")}</option>
+                    </select>
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  disabled={creatingInvite}
+                  className="w-full px-4 py-2 bg-primary-600 text-white text-sm font-semibold rounded-lg hover:bg-primary-700 transition disabled:opacity-50"
+                >
+                  {creatingInvite ? t("company.invites.creating") : t("company.invites.create")}
+                </button>
+              </form>
+
+              {invites.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center">{t("company.invites.empty")}</p>
+              ) : (
+                <ul className="space-y-2">
+                  {invites.map((invite) => {
+                    const statusLabel = getInviteStatusLabel(invite);
+                    const usable = isInviteUsable(invite);
+                    const departmentName = getDepartmentName(invite.defaultDepartmentId);
+
+                    return (
+                      <li
+                        key={invite.id}
+                        className={`p-3 rounded-lg border text-sm ${
+                          selectedInvite?.id === invite.id
+                            ? "border-primary-400 bg-primary-50"
+                            : "border-gray-200"
+                        }`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <button
+                            type="button"
+                            onClick={() => usable && selectInvite(invite)}
+                            disabled={!usable}
+                            className="font-medium text-gray-900 text-left truncate disabled:text-gray-400"
+                          >
+                            {invite.label || t("company.invites.untitled", { date: formatInviteDate(invite.createdAt) })}
+                          </button>
+                          <span
+                            className={`ml-2 px-2 py-0.5 text-xs font-semibold rounded-full ${
+                              usable ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-600"
+                            }`}
+                          >
+                            {statusLabel}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {t("company.invites.expires", { date: formatInviteDate(invite.expiresAt) })} ·{" "}
+                          {invite.maxUses
+                            ? t("company.invites.usedOf", { count: invite.useCount || 0, max: invite.maxUses })
+                            : t("company.invites.used", { count: invite.useCount || 0 })}
+                          {departmentName ? ` · ${departmentName}` : ""}
+                          {invite.defaultRole === "hr" ? ` · ${t("company.invites.roleHr")}` : ""}
+                        </p>
+                        {invite.status !== "revoked" && (
+                          <button
+                            type="button"
+                            onClick={() => handleRevokeInvite(invite)}
+                            className="mt-2 text-xs font-medium text-red-600 hover:text-red-700"
+                          >
+                            {t("company.invites.revoke")}
+                          </button>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
           </div>
 
           {/* Right Side - QR Code */}
@@ -924,12 +1170,16 @@ const CompanyQRCode = () => {
               {/* QR Code Display */}
               <div className="flex flex-col items-center mb-8">
                 <div className="bg-white p-8 rounded-2xl border-2 border-primary-200 shadow-xl mb-6">
-                  {qrCodeUrl && (
+                  {qrCodeUrl ? (
                     <img
                       src={qrCodeUrl}
                       alt="Company QR Code"
                       className="w-80 h-80"
                     />
+                  ) : (
+                    <div className="w-80 h-80 flex items-center justify-center text-center text-sm text-gray-500">
+                      {t("company.invites.noQrCode")}
+                    </div>
                   )}
                 </div>
                 <p className="text-center text-gray-600 max-w-md mb-6">
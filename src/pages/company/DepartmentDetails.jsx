@@ -204,7 +204,7 @@ const DepartmentDetails = () => {
               <div>
                 <p className="text-sm font-medium text-gray-600">Total Posts</p>
                 <p className="text-3xl font-bold text-gray-900 mt-1">
-                  {stats?.totalPosts || 0}
+                  {stats?.suppressed ? "—" : stats?.totalPosts || 0}
                 </p>
               </div>
               <div className="bg-purple-100 rounded-full p-3">
@@ -230,7 +230,7 @@ const DepartmentDetails = () => {
               <div>
                 <p className="text-sm font-medium text-gray-600">Resolved Issues</p>
                 <p className="text-3xl font-bold text-green-600 mt-1">
-                  {stats?.resolvedIssues || 0}
+                  {stats?.suppressed ? "—" : stats?.resolvedIssues || 0}
                 </p>
               </div>
               <div className="bg-green-100 rounded-full p-3">
@@ -256,7 +256,7 @@ const DepartmentDetails = () => {
               <div>
                 <p className="text-sm font-medium text-gray-600">Pending Issues</p>
                 <p className="text-3xl font-bold text-orange-600 mt-1">
-                  {stats?.pendingIssues || 0}
+                  {stats?.suppressed ? "—" : stats?.pendingIssues || 0}
                 </p>
               </div>
               <div className="bg-orange-100 rounded-full p-3">
@@ -278,6 +278,13 @@ const DepartmentDetails = () => {
           </div>
         </div>
 
+        {stats?.suppressed && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            Post counts are hidden because this department is too small to report on without
+            risking the anonymity of its members.
+          </div>
+        )}
+
         {/* Members List */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-100">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -10,6 +10,7 @@ import {
   deleteDepartment,
   getDepartmentStats,
 } from "../../services/departmentservice";
+import { getMinGroupSize } from "../../services/analyticsService";
 import DepartmentModal from "../../components/DepartmentModal.jsx";
 import DepartmentCard from "../../components/DepartmentCard";
 
@@ -37,12 +38,15 @@ const DepartmentManagement = () => {
   const loadDepartments = async () => {
     try {
       setLoading(true);
-      const depts = await getDepartments(userData.companyId, showInactive);
+      const [depts, minGroupSize] = await Promise.all([
+        getDepartments(userData.companyId, showInactive),
+        getMinGroupSize(userData.companyId),
+      ]);
       setDepartments(depts);
 
       // Load stats for all departments in parallel
       const statsPromises = depts.map((dept) =>
-        getDepartmentStats(dept.id, userData.companyId)
+        getDepartmentStats(dept.id, userData.companyId, minGroupSize)
           .then((stat) => ({ id: dept.id, stat }))
           .catch((error) => {
             console.error(`Error loading stats for ${dept.id}:`, error);
@@ -15,6 +15,7 @@ import { useAuth } from "../../contexts/AuthContext";
 import {
   createLegalRequest,
   getCompanyLegalRequests,
+  isCoolingOffOver,
 } from "../../services/legalRequestService";
 import {
   LegalRequestType,
@@ -26,6 +27,7 @@ import {
 import { uploadCourtOrder } from "../../services/legalEvidenceService";
 import BackButton from "../../components/BackButton";
 import DisclosureModal from "../../components/DisclosureModal";
+import LegalRequestTimeline from "../../components/LegalRequestTimeline";
 import { collection, getDocs, query, where, orderBy, limit } from "firebase/firestore";
 import { db } from "../../config/firebase";
 
@@ -275,29 +277,11 @@ const LegalRequestsPage = () => {
                 </p>
               </div>
 
-              {/* Review Info */}
-              {request.reviewedBy && (
-                <div className="p-3 bg-blue-50 border border-blue-200 rounded mb-4">
-                  <p className="text-sm font-medium text-blue-900 mb-1">
-                    Reviewed by: {request.reviewedBy}
-                  </p>
-                  <p className="text-xs text-blue-700">
-                    {request.reviewedAt?.toDate
-                      ? request.reviewedAt.toDate().toLocaleString()
-                      : "N/A"}
-                  </p>
-                  {request.approvalNotes && (
-                    <p className="text-sm text-blue-800 mt-2">
-                      Notes: {request.approvalNotes}
-                    </p>
-                  )}
-                  {request.rejectionReason && (
-                    <p className="text-sm text-red-800 mt-2">
-                      Reason: {request.rejectionReason}
-                    </p>
-                  )}
-                </div>
-              )}
+              {/* Approvals and timeline */}
+              <div className="mb-4">
+                <p className="text-xs text-gray-500 mb-2">Timeline</p>
+                <LegalRequestTimeline request={request} />
+              </div>
 
               {/* Court Order Link */}
               {request.courtOrderUrl && (
@@ -312,26 +296,30 @@ const LegalRequestsPage = () => {
                 </div>
               )}
 
-              {/* Approve & Disclose — super_admin only, approved requests only */}
+              {/* Disclose — super_admin only, approved identity disclosure requests
+                  past their cooling-off period */}
               {userData?.role === UserRole.SUPER_ADMIN &&
-                request.status === LegalRequestStatus.APPROVED && (
+                request.status === LegalRequestStatus.APPROVED &&
+                request.requestType === LegalRequestType.IDENTITY_DISCLOSURE && (
                   <div className="pt-3 border-t border-gray-200">
                     <button
                       onClick={() => {
                         setSelectedRequest(request);
                         setShowDisclosureModal(true);
                       }}
-                      className="flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white rounded-lg transition-colors shadow-sm"
+                      disabled={!isCoolingOffOver(request)}
+                      className="flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white rounded-lg transition-colors shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
                       style={{ backgroundColor: "#2D3E50" }}
                       onMouseEnter={(e) => (e.currentTarget.style.opacity = "0.85")}
                       onMouseLeave={(e) => (e.currentTarget.style.opacity = "1")}
                     >
                       <UnlockKeyhole className="w-4 h-4" />
-                      Approve &amp; Disclose Identity
+                      Disclose Identity
                     </button>
                     <p className="text-xs text-gray-500 mt-1">
-                      Requires Key Part B from the company DPO. Action is permanent and
-                      fully audited.
+                      {isCoolingOffOver(request)
+                        ? "Requires Key Part B from the company DPO. Action is permanent and fully audited."
+                        : `Available after the cooling-off period ends on ${request.coolingOffEndsAt.toLocaleString()}.`}
                     </p>
                   </div>
                 )}
@@ -403,7 +391,6 @@ const LegalRequestsPage = () => {
           setSelectedRequest(null);
         }}
         request={selectedRequest}
-        currentUser={userData}
       />
 
       {/* Create Request Modal */}
@@ -20,6 +20,7 @@ import {
   assignUserToDepartment,
 } from "../../services/departmentservice";
 import { showSuccess, showError, showWarning } from "../../services/toastService";
+import { setPasswordChangeRequired } from "../../services/authService";
 
 const MemberManagement = () => {
   const { t } = useTranslation();
@@ -222,41 +223,23 @@ const MemberManagement = () => {
       setLoading(true);
       const batch = writeBatch(db);
 
-      // Re-attribute named posts (authorId == member.id for non-anonymous posts)
+      // Re-attribute named posts (authorId == member.id for non-anonymous posts).
+      // Anonymous posts stay anonymous: marking them would reveal who wrote them
       const namedPostsQuery = query(
         collection(db, "posts"),
         where("authorId", "==", member.id),
         where("companyId", "==", userData.companyId)
       );
       const namedPostsSnapshot = await getDocs(namedPostsQuery);
-      const updatedIds = new Set();
       namedPostsSnapshot.forEach((postDoc) => {
         batch.update(postDoc.ref, {
           authorName: "Former Employee",
           isFormerEmployee: true,
           updatedAt: serverTimestamp(),
         });
-        updatedIds.add(postDoc.id);
       });
 
-      // Re-attribute anonymous posts (creatorId == member.id; authorId is encrypted)
-      const anonPostsQuery = query(
-        collection(db, "posts"),
-        where("creatorId", "==", member.id),
-        where("companyId", "==", userData.companyId)
-      );
-      const anonPostsSnapshot = await getDocs(anonPostsQuery);
-      anonPostsSnapshot.forEach((postDoc) => {
-        if (!updatedIds.has(postDoc.id)) {
-          batch.update(postDoc.ref, {
-            authorName: "Former Employee",
-            isFormerEmployee: true,
-            updatedAt: serverTimestamp(),
-          });
-        }
-      });
-
-      const hadPosts = namedPostsSnapshot.size > 0 || anonPostsSnapshot.size > 0;
+      const hadPosts = namedPostsSnapshot.size > 0;
 
       // Mark the user as removed
       batch.update(doc(db, "users", member.id), {
@@ -302,6 +285,35 @@ const MemberManagement = () => {
     }
   };
 
+  const handleTogglePasswordChange = async (member) => {
+    const requiring = !member.mustChangePassword;
+    const confirmMessage = requiring
+      ? t('company.confirmRequirePasswordChange', { name: member.displayName })
+      : t('company.confirmCancelPasswordChange', { name: member.displayName });
+
+    if (!confirm(confirmMessage)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await setPasswordChangeRequired(member.id, requiring);
+
+      if (requiring) {
+        showSuccess(t('company.passwordChangeRequired', 'Password change required at next login'));
+      } else {
+        showSuccess(t('company.passwordChangeCancelled', 'Password change requirement removed'));
+      }
+
+      loadData();
+    } catch (error) {
+      console.error("Error updating password change requirement:", error);
+      showError(t('company.failedToRequirePasswordChange', 'Failed to update password requirement'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleChangeRole = async (newRole) => {
     if (!selectedMember) return;
     if (selectedMember.role === newRole) {
@@ -835,6 +847,15 @@ const MemberManagement = () => {
                             {t('company.changeRole', 'Role')}
                           </button>
                           <span className="text-gray-300">|</span>
+                          <button
+                            onClick={() => handleTogglePasswordChange(member)}
+                            className={member.mustChangePassword ? "text-amber-600 hover:text-amber-800 font-medium" : "text-gray-600 hover:text-gray-800 font-medium"}
+                          >
+                            {member.mustChangePassword
+                              ? t('company.passwordChangePending', 'Reset pending')
+                              : t('company.requirePasswordChange', 'Force reset')}
+                          </button>
+                          <span className="text-gray-300">|</span>
                           <button
                             onClick={() => handleRemoveMember(member)}
                             className="text-red-600 hover:text-red-800 font-medium"
@@ -28,6 +28,7 @@ import {
   getPolicyAcknowledgementStats,
   uploadPolicyFileWithProgress,
 } from "../../services/policyService";
+import { isLegalHoldError } from "../../services/legalHoldService";
 
 const CATEGORY_LABELS = {
   code_of_conduct: "Code of Conduct",
@@ -261,12 +262,12 @@ const PolicyManagement = () => {
       return;
     }
     try {
-      await deletePolicy(policy.id, userData.companyId);
+      await deletePolicy(policy.id, userData.companyId, userData.id);
       showToast("Policy deleted.");
       loadPolicies();
     } catch (err) {
       console.error(err);
-      showToast("Failed to delete policy.");
+      showToast(isLegalHoldError(err) ? err.message : "Failed to delete policy.");
     }
   };
 
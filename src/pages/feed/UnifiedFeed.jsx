@@ -1,16 +1,25 @@
 /* eslint-disable react-hooks/exhaustive-deps */
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useAuth } from "../../contexts/AuthContext";
 import PostEnhanced from "../../components/PostEnhanced";
 import CreatePost from "../../components/CreatePost";
 import AdminActionPanel from "../../components/AdminActionPanel";
-import { isAdmin, getPostsWithPrivacyFilter } from "../../services/postManagementService";
+import {
+  isAdmin,
+  canUserViewPost,
+  toFeedPost,
+  getFeedPage,
+  getFeedCount,
+  getFeedQueryConstraints,
+} from "../../services/postManagementService";
 import { useTranslation } from "react-i18next";
 import { getPinnedPosts } from "../../services/postEnhancedFeaturesService";
 import { PostSkeleton } from "../../components/SkeletonLoader";
-import { collection, query, where, onSnapshot } from "firebase/firestore";
+import { collection, doc, query, limit, endAt, onSnapshot, getDoc } from "firebase/firestore";
 import { db } from "../../config/firebase";
-import { Search, X, Plus, Pin, ChevronDown, Sparkles, MessageCircle, AlertTriangle } from "lucide-react";
+import { isContentAuthor } from "../../services/anonymousContentService";
+import { FeedSort, FEED_PAGE_SIZE, UserRole } from "../../utils/constants";
+import { Search, X, Plus, Pin, ChevronDown, Sparkles, MessageCircle, AlertTriangle, ArrowUp, Loader2 } from "lucide-react";
 
 const feedIcons = {
   creative_content: Sparkles,
@@ -18,6 +27,19 @@ const feedIcons = {
   team_discussion: MessageCircle,
 };
 
+// Statuses behind each problem wall tab
+const problemTabStatuses = {
+  open: ["open", "acknowledged"],
+  progress: ["in_progress", "under_review", "working_on"],
+  resolved: ["resolved", "closed", "not_a_problem"],
+};
+
+const sortOptions = [
+  { value: FeedSort.NEWEST, labelKey: "feed.latest" },
+  { value: FeedSort.MOST_VOTED, labelKey: "feed.mostVoted" },
+  { value: FeedSort.MOST_DISCUSSED, labelKey: "feed.mostCommented" },
+];
+
 const UnifiedFeed = ({ feedType, title, description, colors }) => {
   const { t } = useTranslation();
   const { userData } = useAuth();
@@ -25,29 +47,73 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
   const [pinnedPosts, setPinnedPosts] = useState([]);
   const [filteredPosts, setFilteredPosts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [newPosts, setNewPosts] = useState([]);
+  const [statusCounts, setStatusCounts] = useState(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedCategory, setSelectedCategory] = useState("all");
+  const [sortBy, setSortBy] = useState(FeedSort.NEWEST);
   const [activeTab, setActiveTab] = useState("all");
 
+  // Bumped on every reload so late responses from an older feed are dropped
+  const loadIdRef = useRef(0);
+  // IDs of the posts in the list, read by the live listener
+  const loadedIdsRef = useRef(new Set());
+  const sentinelRef = useRef(null);
+
   const userIsAdmin = isAdmin(userData?.role);
+  const canSeeCounts = userData?.role === UserRole.COMPANY_ADMIN || userData?.role === UserRole.SUPER_ADMIN;
   const FeedIcon = feedIcons[feedType] || Sparkles;
+  const statuses = feedType === "problem_report" ? problemTabStatuses[activeTab] || null : null;
 
   useEffect(() => {
     if (!userData?.companyId) return;
     loadPosts();
+    loadPinnedPosts();
+  }, [userData, feedType, sortBy, activeTab]);
+
+  useEffect(() => {
+    if (!userData?.companyId || !canSeeCounts || feedType !== "problem_report") return;
+    loadStatusCounts();
+  }, [userData, feedType]);
 
-    const postsRef = collection(db, "posts");
-    const postsQuery = query(postsRef, where("companyId", "==", userData.companyId));
-    const unsubscribe = onSnapshot(postsQuery, (snapshot) => {
-      if (!snapshot.metadata.hasPendingWrites) loadPosts();
+  useEffect(() => {
+    loadedIdsRef.current = new Set(posts.map((post) => post.id));
+  }, [posts]);
+
+  // Live updates for the pages already loaded: the listener covers the feed
+  // from the top down to the last loaded post, so later pages are never read.
+  useEffect(() => {
+    if (!userData?.companyId || loading) return;
+
+    const constraints = getFeedQueryConstraints(userData.companyId, feedType, sortBy, statuses);
+    const feedQuery = cursor
+      ? query(collection(db, "posts"), ...constraints, endAt(cursor))
+      : query(collection(db, "posts"), ...constraints, limit(FEED_PAGE_SIZE));
+
+    const unsubscribe = onSnapshot(feedQuery, (snapshot) => {
+      handleFeedChanges(snapshot.docChanges());
     }, (error) => {
       console.error("Error with real-time updates:", error);
     });
     return () => unsubscribe();
-  }, [userData, feedType]);
+  }, [userData, feedType, sortBy, activeTab, cursor, loading]);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore) return;
 
-  useEffect(() => { filterPosts(); }, [posts, searchTerm, selectedCategory, activeTab]);
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMorePosts();
+    }, { rootMargin: "400px" });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, cursor, loading, filteredPosts.length]);
+
+  useEffect(() => { filterPosts(); }, [posts, searchTerm, selectedCategory]);
 
   useEffect(() => {
     if (searchTerm || selectedCategory !== "all") {
@@ -57,9 +123,45 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
 
   const loadPosts = async () => {
     if (!userData?.companyId) return;
+    const loadId = ++loadIdRef.current;
     try {
       setLoading(true);
-      const postsData = await getPostsWithPrivacyFilter(userData.companyId, feedType, userData);
+      setNewPosts([]);
+      const page = await getFeedPage(userData.companyId, feedType, userData, { sortBy, statuses });
+      if (loadId !== loadIdRef.current) return;
+      setPosts(page.posts);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error("Error loading posts:", error);
+    } finally {
+      if (loadId === loadIdRef.current) setLoading(false);
+    }
+  };
+
+  const loadMorePosts = async () => {
+    if (!userData?.companyId || loadingMore || !hasMore || !cursor) return;
+    const loadId = loadIdRef.current;
+    try {
+      setLoadingMore(true);
+      const page = await getFeedPage(userData.companyId, feedType, userData, { sortBy, statuses, cursor });
+      if (loadId !== loadIdRef.current) return;
+      setPosts((prev) => {
+        const loadedIds = new Set(prev.map((post) => post.id));
+        return [...prev, ...page.posts.filter((post) => !loadedIds.has(post.id))];
+      });
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error("Error loading more posts:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const loadPinnedPosts = async () => {
+    if (!userData?.companyId) return;
+    try {
       const pinned = await getPinnedPosts(userData.companyId, feedType);
       const userId = userData.id || userData.uid;
       // Only show pinned posts to the person who pinned them
@@ -68,14 +170,82 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
         return userId && post.pinnedBy === userId;
       });
       setPinnedPosts(filteredPinned);
-      setPosts(postsData);
     } catch (error) {
-      console.error("Error loading posts:", error);
-    } finally {
-      setLoading(false);
+      console.error("Error loading pinned posts:", error);
     }
   };
 
+  const loadStatusCounts = async () => {
+    try {
+      const [all, open, progress, resolved] = await Promise.all([
+        getFeedCount(userData.companyId, feedType),
+        getFeedCount(userData.companyId, feedType, problemTabStatuses.open),
+        getFeedCount(userData.companyId, feedType, problemTabStatuses.progress),
+        getFeedCount(userData.companyId, feedType, problemTabStatuses.resolved),
+      ]);
+      setStatusCounts({ all, open, progress, resolved });
+    } catch (error) {
+      console.error("Error loading status counts:", error);
+    }
+  };
+
+  // Apply listener changes to loaded posts only. Visible posts that are not in
+  // the list yet are held back behind the "new posts" banner so the list the
+  // user is reading does not jump. Anonymous posts carry only a coarse
+  // creation time, so arrivals are told apart by ID rather than by age.
+  const handleFeedChanges = (changes) => {
+    const updated = new Map();
+    const removedIds = [];
+    const arrived = [];
+
+    changes.forEach((change) => {
+      const post = toFeedPost(change.doc);
+      if (change.type === "removed") {
+        removedIds.push(change.doc.id);
+      } else if (!change.doc.metadata.hasPendingWrites
+        && !loadedIdsRef.current.has(post.id) && canUserViewPost(post, userData)
+        && (change.type === "added" || !isContentAuthor(post, userData))) {
+        // New posts are only visible to others once screening clears them,
+        // so most arrive as a modification rather than an addition
+        arrived.push(post);
+      } else {
+        updated.set(post.id, post);
+      }
+    });
+
+    if (updated.size > 0) {
+      setPosts((prev) => prev
+        .map((post) => updated.get(post.id) || post)
+        .filter((post) => !updated.has(post.id) || canUserViewPost(post, userData)));
+    }
+
+    if (arrived.length > 0) {
+      setNewPosts((pending) => [
+        ...arrived.filter((post) => !pending.some((p) => p.id === post.id)),
+        ...pending,
+      ]);
+    }
+
+    // A post leaves the listener's range when it is deleted, or when its sort
+    // value drops below the last loaded post; only the first removes it here
+    removedIds.forEach(async (postId) => {
+      try {
+        const postDoc = await getDoc(doc(db, "posts", postId));
+        if (!postDoc.exists() || !canUserViewPost(toFeedPost(postDoc), userData)) {
+          setPosts((prev) => prev.filter((post) => post.id !== postId));
+          setNewPosts((pending) => pending.filter((post) => post.id !== postId));
+        }
+      } catch (error) {
+        console.error("Error checking removed post:", error);
+      }
+    });
+  };
+
+  const showNewPosts = () => {
+    window.scrollTo({ top: 0, behavior: "smooth" });
+    loadPosts();
+  };
+
   const filterPosts = () => {
     let filtered = [...posts];
     if (searchTerm) {
@@ -87,33 +257,17 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
     if (selectedCategory !== "all") {
       filtered = filtered.filter((post) => post.category === selectedCategory);
     }
-    // Status tab filtering for problem wall
-    if (feedType === "problem_report" && activeTab !== "all") {
-      if (activeTab === "open") {
-        filtered = filtered.filter(p => p.status === "open" || p.status === "acknowledged");
-      } else if (activeTab === "progress") {
-        filtered = filtered.filter(p => ["in_progress", "under_review", "working_on"].includes(p.status));
-      } else if (activeTab === "resolved") {
-        filtered = filtered.filter(p => ["resolved", "closed", "not_a_problem"].includes(p.status));
-      }
-    }
     setFilteredPosts(filtered);
   };
 
-  const handlePostUpdate = () => { loadPosts(); };
+  // Loaded posts update live, but pins are read separately
+  const handlePostUpdate = () => { loadPinnedPosts(); };
 
   const categories = [...new Set(posts.map((post) => post.category).filter(Boolean))].sort();
 
-  // Stats for problem wall
-  const getStatusCounts = () => {
-    if (feedType !== "problem_report") return null;
-    const open = posts.filter(p => p.status === "open" || p.status === "acknowledged").length;
-    const progress = posts.filter(p => ["in_progress", "under_review", "working_on"].includes(p.status)).length;
-    const resolved = posts.filter(p => ["resolved", "closed", "not_a_problem"].includes(p.status)).length;
-    return { open, progress, resolved };
-  };
-
-  const statusCounts = getStatusCounts();
+  // A new post may already have been loaded by a later page in vote/comment order
+  const loadedIds = new Set(posts.map((post) => post.id));
+  const newPostCount = newPosts.filter((post) => !loadedIds.has(post.id)).length;
 
   if (loading) {
     return (
@@ -141,14 +295,14 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
             </div>
           </div>
 
-          {/* Stats Row for Problem Wall */}
-          {statusCounts && (
+          {/* Status tabs for Problem Wall; server counts are admin-only */}
+          {feedType === "problem_report" && (
             <div className="flex gap-2 mt-4">
               {[
-                { key: "all", label: t("feed.allCategories") || "All", count: posts.length },
-                { key: "open", label: "Open", count: statusCounts.open },
-                { key: "progress", label: "In Progress", count: statusCounts.progress },
-                { key: "resolved", label: "Resolved", count: statusCounts.resolved },
+                { key: "all", label: t("feed.allCategories") || "All", count: statusCounts?.all },
+                { key: "open", label: "Open", count: statusCounts?.open },
+                { key: "progress", label: "In Progress", count: statusCounts?.progress },
+                { key: "resolved", label: "Resolved", count: statusCounts?.resolved },
               ].map((tab) => (
                 <button
                   key={tab.key}
@@ -160,11 +314,13 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
                   }`}
                 >
                   {tab.label}
-                  <span className={`px-1.5 py-0.5 rounded-md text-[10px] font-bold ${
-                    activeTab === tab.key ? "bg-gray-100 text-gray-700" : "bg-white/20 text-white"
-                  }`}>
-                    {tab.count}
-                  </span>
+                  {tab.count !== undefined && (
+                    <span className={`px-1.5 py-0.5 rounded-md text-[10px] font-bold ${
+                      activeTab === tab.key ? "bg-gray-100 text-gray-700" : "bg-white/20 text-white"
+                    }`}>
+                      {tab.count}
+                    </span>
+                  )}
                 </button>
               ))}
             </div>
@@ -210,6 +366,20 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
                 <ChevronDown size={14} className="absolute right-2.5 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none" />
               </div>
             )}
+
+            <div className="relative">
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                aria-label={t('feed.sortBy')}
+                className="appearance-none h-full pl-3 pr-8 bg-gray-50 border-0 rounded-xl text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-[#1ABC9C]/30 cursor-pointer transition-all"
+              >
+                {sortOptions.map((option) => (
+                  <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                ))}
+              </select>
+              <ChevronDown size={14} className="absolute right-2.5 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none" />
+            </div>
           </div>
 
           {/* Active Filters */}
@@ -235,6 +405,18 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
 
       {/* Posts */}
       <div className="max-w-5xl mx-auto px-4 mt-4 space-y-3">
+        {newPostCount > 0 && (
+          <div className="sticky top-4 z-20 flex justify-center">
+            <button
+              onClick={showNewPosts}
+              className={`inline-flex items-center gap-1.5 px-4 py-2 bg-gradient-to-r ${colors.gradient} text-white text-sm font-semibold rounded-full shadow-lg hover:shadow-xl active:scale-95 transition-all`}
+            >
+              <ArrowUp size={14} />
+              {t('feed.newPosts', { count: newPostCount })}
+            </button>
+          </div>
+        )}
+
         {filteredPosts.length === 0 ? (
           <div className="bg-white rounded-2xl border border-gray-100 p-12 text-center">
             <div className={`w-16 h-16 mx-auto mb-5 rounded-2xl bg-gradient-to-r ${colors.gradient} flex items-center justify-center shadow-lg`}>
@@ -253,6 +435,16 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
               <Plus size={18} />
               {t("post.create")}
             </button>
+            {/* Search and category only cover loaded posts */}
+            {hasMore && posts.length > 0 && (
+              <button
+                onClick={loadMorePosts}
+                disabled={loadingMore}
+                className="block mx-auto mt-4 text-sm font-medium text-gray-500 hover:text-gray-700 disabled:opacity-50"
+              >
+                {loadingMore ? t('feed.loadingMore') : t('feed.loadMore')}
+              </button>
+            )}
           </div>
         ) : (
           <>
@@ -300,6 +492,18 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
                 <PostEnhanced post={post} />
               </div>
             ))}
+
+            {/* Infinite scroll */}
+            <div ref={sentinelRef} />
+            {loadingMore && (
+              <div className="flex items-center justify-center gap-2 py-4 text-xs text-gray-400">
+                <Loader2 size={14} className="animate-spin" />
+                {t('feed.loadingMore')}
+              </div>
+            )}
+            {!hasMore && posts.length > 0 && (
+              <p className="py-4 text-center text-xs text-gray-400">{t('feed.endOfFeed')}</p>
+            )}
           </>
         )}
       </div>
@@ -313,7 +517,7 @@ const UnifiedFeed = ({ feedType, title, description, colors }) => {
             : "discussion"
           }
           onClose={() => setShowCreateModal(false)}
-          onSuccess={loadPosts}
+          onSuccess={showNewPosts}
         />
       )}
 
@@ -235,6 +235,8 @@ const HRConversations = () => {
                       <p className="text-xs text-gray-500 truncate flex-1">
                         {thread.lastMessageSender === "reporter"
                           ? `Reporter: ${thread.lastMessagePreview}`
+                          : thread.lastMessageSender === "system"
+                          ? `Notice: ${thread.lastMessagePreview}`
                           : `You: ${thread.lastMessagePreview}`}
                       </p>
                       {thread.unreadCount > 0 && (
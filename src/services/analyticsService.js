@@ -0,0 +1,125 @@
+/**
+ * Analytics Service
+ * Frontend service for company analytics
+ *
+ * Analytics come from analyticsDaily, one summary per company per UTC day,
+ * which Cloud Functions keep up to date as posts and comments change and
+ * rebuild every night. Clients never read the summaries themselves: the
+ * getCompanyAnalytics Cloud Function combines them and suppresses groups
+ * smaller than the company's threshold.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  query,
+  where,
+  getDocs,
+  documentId,
+  getCountFromServer,
+} from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../config/firebase";
+import { resolveMinGroupSize } from "../utils/analyticsHelpers";
+
+/**
+ * Get a company's analytics report for a date range
+ * @param {string} companyId - Company ID
+ * @param {string} startDate - First day, YYYY-MM-DD (UTC)
+ * @param {string} endDate - Last day, YYYY-MM-DD (UTC), inclusive
+ * @returns {Promise<Object>} { range, minGroupSize, suppressed, totals, contributors, departments, trend }
+ */
+export const getCompanyAnalytics = async (companyId, startDate, endDate) => {
+  try {
+    const getCompanyAnalyticsFunc = httpsCallable(functions, "getCompanyAnalytics");
+    const result = await getCompanyAnalyticsFunc({ companyId, startDate, endDate });
+    return result.data.data;
+  } catch (error) {
+    console.error("Error fetching analytics:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a company's k-anonymity threshold for analytics
+ * @param {string} companyId - Company ID
+ * @returns {Promise<number>}
+ */
+export const getMinGroupSize = async (companyId) => {
+  try {
+    const companyDoc = await getDoc(doc(db, "companies", companyId));
+    return resolveMinGroupSize(companyDoc.exists() ? companyDoc.data() : null);
+  } catch (error) {
+    console.error("Error fetching minimum group size:", error);
+    throw error;
+  }
+};
+
+/**
+ * Count a company's users by status
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{totalUsers: number, activeUsers: number, pendingUsers: number}>}
+ */
+export const getUserCounts = async (companyId) => {
+  try {
+    const usersRef = collection(db, "users");
+    const countWhere = async (...constraints) => {
+      const snapshot = await getCountFromServer(
+        query(usersRef, where("companyId", "==", companyId), ...constraints)
+      );
+      return snapshot.data().count;
+    };
+
+    const [totalUsers, activeUsers, pendingUsers] = await Promise.all([
+      countWhere(),
+      countWhere(where("status", "==", "active")),
+      countWhere(where("status", "==", "pending")),
+    ]);
+
+    return { totalUsers, activeUsers, pendingUsers };
+  } catch (error) {
+    console.error("Error counting users:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get display names for a set of a company's users
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Object>} Display names keyed by user ID
+ */
+export const getUserNames = async (companyId, userIds) => {
+  try {
+    const names = {};
+    // "in" queries accept at most 30 values
+    for (let i = 0; i < userIds.length; i += 30) {
+      const q = query(
+        collection(db, "users"),
+        where("companyId", "==", companyId),
+        where(documentId(), "in", userIds.slice(i, i + 30))
+      );
+      const snapshot = await getDocs(q);
+      snapshot.docs.forEach((doc) => {
+        names[doc.id] = doc.data().displayName || "Unknown";
+      });
+    }
+    return names;
+  } catch (error) {
+    console.error("Error fetching user names:", error);
+    throw error;
+  }
+};
+
+/**
+ * Rebuild a company's daily summaries from its posts and comments
+ * Only needed once after the rollups are first deployed, or to repair them
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{posts: number, comments: number, days: number}>}
+ */
+export async function rebuildCompanyAnalytics(companyId) {
+  const rebuildFunc = httpsCallable(functions, "rebuildCompanyAnalytics");
+  const result = await rebuildFunc({ companyId });
+  return result.data.data;
+}
@@ -0,0 +1,136 @@
+/**
+ * Anonymous Content Service
+ * Frontend service for anonymous posts, comments and replies
+ *
+ * Anonymous content is created by Cloud Functions, which store the author only
+ * encrypted. The author's own content is recognised through authorToken, an
+ * opaque per-user token issued at login and kept on userData: each post or
+ * comment carries a token derived from it and the content ID, so tokens on
+ * different posts cannot be matched to one author.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { collection, doc, getDoc, getDocs, query, where } from "firebase/firestore";
+import SHA256 from "crypto-js/sha256";
+import { db, functions } from "../config/firebase";
+
+/**
+ * Token that marks one post or comment as written by the holder of an author
+ * token; matches getContentAuthorToken in the Cloud Functions
+ * @param {string} authorToken - The user's author token
+ * @param {string} contentId - Post or comment ID
+ * @returns {string} Hex SHA-256
+ */
+const getContentAuthorToken = (authorToken, contentId) =>
+  SHA256(`${authorToken}:${contentId}`).toString();
+
+/**
+ * Check whether the user wrote a post or comment anonymously
+ */
+const isAnonymousAuthorOf = (content, user, contentId) =>
+  !!user?.authorToken
+  && !!content?.authorToken
+  && !!contentId
+  && content.authorToken === getContentAuthorToken(user.authorToken, contentId);
+
+/**
+ * Create an anonymous post
+ * With delayPublishing the post is held back and published at a random time
+ * within the next few hours; it has no ID until then
+ * @param {Object} post - { title, content, category, tags, type, privacyLevel, departmentId, attachments, poll, delayPublishing }
+ * @returns {Promise<{id: string|null, delayed: boolean}>}
+ */
+export async function createAnonymousPost(post) {
+  const createAnonymousPostFunc = httpsCallable(functions, "createAnonymousPost");
+  const result = await createAnonymousPostFunc({ post });
+  return result.data.data;
+}
+
+/**
+ * Publish one of the current user's drafts as an anonymous post
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<{id: string}>}
+ */
+export async function publishAnonymousDraft(draftId) {
+  const createAnonymousPostFunc = httpsCallable(functions, "createAnonymousPost");
+  const result = await createAnonymousPostFunc({ draftId });
+  return result.data.data;
+}
+
+/**
+ * Create an anonymous comment, or a reply when parentCommentId is given
+ * @param {Object} comment - { postId, text, parentCommentId }
+ * @returns {Promise<{id: string}>}
+ */
+export async function createAnonymousComment(comment) {
+  const createAnonymousCommentFunc = httpsCallable(functions, "createAnonymousComment");
+  const result = await createAnonymousCommentFunc(comment);
+  return result.data.data;
+}
+
+/**
+ * The current user's ID encrypted with their company's data key, for
+ * anonymous submissions the client writes itself
+ * @returns {Promise<string>} Encrypted author ID
+ */
+export async function getEncryptedAuthorId() {
+  const getEncryptedAuthorIdFunc = httpsCallable(functions, "getEncryptedAuthorId");
+  const result = await getEncryptedAuthorIdFunc();
+  return result.data.data;
+}
+
+/**
+ * The current user's anonymous posts
+ * Found through their author records in anonymousAuthors, which only the
+ * author can read; deleted posts are left out
+ * @param {Object} user - userData from AuthContext
+ * @returns {Promise<Array>} Posts with their IDs, in no particular order
+ */
+export async function getMyAnonymousPosts(user) {
+  if (!user?.authorToken || !user.companyId) return [];
+
+  const records = await getDocs(query(
+    collection(db, "anonymousAuthors"),
+    where("authorToken", "==", user.authorToken),
+    where("contentType", "==", "post"),
+    where("companyId", "==", user.companyId)
+  ));
+
+  // Posts are read one by one: Firestore rules recognise the author of a post
+  // still being screened, or held, by its content token, which a query cannot
+  // check. Deleted posts cannot be read at all.
+  const postDocs = await Promise.all(records.docs.map((record) =>
+    getDoc(doc(db, "posts", record.id)).catch(() => null)
+  ));
+  return postDocs
+    .filter((postDoc) => postDoc?.exists())
+    .map((postDoc) => ({ id: postDoc.id, ...postDoc.data() }));
+}
+
+/**
+ * Check whether a post or comment was written by the given user, named or
+ * anonymously
+ * @param {Object} content - Post or comment data
+ * @param {Object} user - userData from AuthContext
+ * @param {string} [contentId] - Post or comment ID, when content has no id
+ * @returns {boolean}
+ */
+export const isContentAuthor = (content, user, contentId = content?.id) => {
+  if (!content || !user) return false;
+  if (content.authorId && (content.authorId === user.id || content.authorId === user.uid)) return true;
+  return isAnonymousAuthorOf(content, user, contentId);
+};
+
+/**
+ * The user to record when someone edits or deletes a post or comment
+ * An anonymous author acting on their own content is recorded as Anonymous,
+ * so edit history, deletion records and audit entries don't reveal them
+ * @param {Object} content - Post or comment data
+ * @param {Object} user - Acting user
+ * @param {string} [contentId] - Post or comment ID, when content has no id
+ * @returns {Object} The user, or an anonymous stand-in
+ */
+export const getRecordedActor = (content, user, contentId = content?.id) => {
+  const isAnonymousAuthor = content?.isAnonymous === true && isAnonymousAuthorOf(content, user, contentId);
+  return isAnonymousAuthor ? { id: null, uid: null, displayName: "Anonymous", role: null } : user;
+};
@@ -2,45 +2,27 @@ import {
   doc,
   getDoc,
   setDoc,
-  updateDoc,
   serverTimestamp,
-  arrayUnion,
+  Timestamp,
+  runTransaction,
   collection,
   query,
   where,
   onSnapshot,
 } from "firebase/firestore";
-import { db } from "../config/firebase";
-import CryptoJS from "crypto-js";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../config/firebase";
 import { ThreadSender } from "../utils/constants";
+import { coarsenDate } from "../utils/anonymityHelpers";
+import { isScreeningCleared } from "./contentScreeningService";
 
-const ANONYMOUS_SECRET =
-  import.meta.env.VITE_ANONYMOUS_SECRET || "default-secret-key-change-in-production";
+// Messages are encrypted and decrypted by Cloud Functions with the company's
+// data key (functions/services/anonymousThreadService.js); the thread
+// documents only ever hold ciphertext.
 
-// ============================================
-// ENCRYPTION HELPERS
-// ============================================
-
-const encryptMessage = (text) => {
-  return CryptoJS.AES.encrypt(text, ANONYMOUS_SECRET).toString();
-};
-
-const decryptMessage = (encryptedText) => {
-  if (!encryptedText || typeof encryptedText !== "string") return "";
-  try {
-    const bytes = CryptoJS.AES.decrypt(encryptedText, ANONYMOUS_SECRET);
-    // bytes.toString can throw "Malformed UTF-8 data" in CryptoJS 4.x
-    // when the key doesn't match — wrap separately
-    try {
-      const text = bytes.toString(CryptoJS.enc.Utf8);
-      return text || "";
-    } catch {
-      return "";
-    }
-  } catch (error) {
-    console.error("Error decrypting message:", error);
-    return "";
-  }
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
 };
 
 // ============================================
@@ -54,32 +36,26 @@ const decryptMessage = (encryptedText) => {
  * @param {string} companyId - The company ID for access scoping
  * @returns {Promise<{success: boolean, existed: boolean}>}
  */
-export const createThread = async (postId, companyId, reporterId = null) => {
+export const createThread = async (postId, companyId) => {
   try {
     const threadRef = doc(db, "anonymousThreads", postId);
     const existing = await getDoc(threadRef);
 
     if (existing.exists()) {
-      // Backfill reporterId if thread was created by HR before the reporter opened it
-      if (reporterId && !existing.data().reporterId) {
-        try {
-          await updateDoc(threadRef, { reporterId });
-        } catch {
-          // Best-effort; may fail if caller lacks write permission before reporterId is set
-        }
-      }
       return { success: true, existed: true };
     }
 
+    // The reporter is recognised through the post's author token, so the
+    // thread never stores who they are
     await setDoc(threadRef, {
       postId,
       companyId,
-      ...(reporterId ? { reporterId } : {}),
       messages: [],
       lastReporterActivity: null,
       lastInvestigatorActivity: null,
       lastReadBy: {},
-      createdAt: serverTimestamp(),
+      lastReadCount: {},
+      createdAt: Timestamp.fromDate(coarsenDate()),
     });
 
     return { success: true, existed: false };
@@ -90,43 +66,17 @@ export const createThread = async (postId, companyId, reporterId = null) => {
 };
 
 /**
- * Add an encrypted message to a thread.
- * Creates the thread first if it doesn't exist.
+ * Send a message on a thread. The message is encrypted server-side, and the
+ * thread is created if it doesn't exist.
  * @param {string} postId - The post ID
  * @param {string} senderRole - ThreadSender.REPORTER or ThreadSender.INVESTIGATOR
- * @param {string} messageText - Plain-text message content to encrypt
- * @param {string} companyId - Company ID for thread creation if needed
+ * @param {string} messageText - Plain-text message content
  * @returns {Promise<{success: boolean}>}
  */
-export const addMessage = async (postId, senderRole, messageText, companyId) => {
+export const addMessage = async (postId, senderRole, messageText) => {
   try {
-    const threadRef = doc(db, "anonymousThreads", postId);
-    const existing = await getDoc(threadRef);
-
-    if (!existing.exists()) {
-      await createThread(postId, companyId);
-    }
-
-    const encryptedContent = encryptMessage(messageText);
-
-    const message = {
-      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      sender: senderRole,
-      encryptedContent,
-      timestamp: new Date().toISOString(),
-      read: false,
-    };
-
-    const activityField =
-      senderRole === ThreadSender.REPORTER
-        ? "lastReporterActivity"
-        : "lastInvestigatorActivity";
-
-    await updateDoc(threadRef, {
-      messages: arrayUnion(message),
-      [activityField]: serverTimestamp(),
-    });
-
+    const sendThreadMessageFunc = httpsCallable(functions, "sendThreadMessage");
+    await sendThreadMessageFunc({ postId, senderRole, text: messageText });
     return { success: true };
   } catch (error) {
     console.error("Error adding message:", error);
@@ -135,31 +85,17 @@ export const addMessage = async (postId, senderRole, messageText, companyId) =>
 };
 
 /**
- * Fetch and decrypt all messages in a thread.
+ * Fetch a thread with its messages decrypted server-side.
+ * Investigators get every message; the reporter gets their own and the
+ * investigators' messages that cleared screening.
  * @param {string} postId - The post ID
- * @param {string} companyId - Company ID (used for validation context)
- * @returns {Promise<object|null>} Thread data with decrypted messages, or null if not found
+ * @returns {Promise<object|null>} Thread data with a content field on each message, or null if not found
  */
-export const getThread = async (postId, companyId) => {
+export const getThread = async (postId) => {
   try {
-    const threadRef = doc(db, "anonymousThreads", postId);
-    const snap = await getDoc(threadRef);
-
-    if (!snap.exists()) {
-      return null;
-    }
-
-    const data = snap.data();
-
-    const decryptedMessages = (data.messages || []).map((msg) => ({
-      ...msg,
-      content: decryptMessage(msg.encryptedContent),
-    }));
-
-    return {
-      ...data,
-      messages: decryptedMessages,
-    };
+    const getAnonymousThreadFunc = httpsCallable(functions, "getAnonymousThread");
+    const result = await getAnonymousThreadFunc({ postId });
+    return result.data.data;
   } catch (error) {
     console.error("Error fetching thread:", error);
     return null;
@@ -168,7 +104,8 @@ export const getThread = async (postId, companyId) => {
 
 /**
  * Mark a thread as read for a given role.
- * Updates lastReadBy.{readerRole} to the current server timestamp.
+ * Records how many messages the reader has seen in lastReadCount.{readerRole};
+ * reporter messages carry rounded times, so unread counts can't rely on them.
  * @param {string} postId - The post ID
  * @param {string} readerRole - ThreadSender.REPORTER or ThreadSender.INVESTIGATOR
  * @returns {Promise<{success: boolean}>}
@@ -176,8 +113,16 @@ export const getThread = async (postId, companyId) => {
 export const markThreadRead = async (postId, readerRole) => {
   try {
     const threadRef = doc(db, "anonymousThreads", postId);
-    await updateDoc(threadRef, {
-      [`lastReadBy.${readerRole}`]: serverTimestamp(),
+    await runTransaction(db, async (transaction) => {
+      const snap = await transaction.get(threadRef);
+      if (!snap.exists()) throw new Error("Thread not found");
+
+      transaction.update(threadRef, {
+        [`lastReadCount.${readerRole}`]: (snap.data().messages || []).length,
+        [`lastReadBy.${readerRole}`]: readerRole === ThreadSender.REPORTER
+          ? Timestamp.fromDate(coarsenDate())
+          : serverTimestamp(),
+      });
     });
     return { success: true };
   } catch (error) {
@@ -186,6 +131,33 @@ export const markThreadRead = async (postId, readerRole) => {
   }
 };
 
+/**
+ * Count the messages from the other party, and system notices, a reader hasn't seen yet
+ * @param {object} thread - Thread data
+ * @param {string} readerRole - ThreadSender.REPORTER or ThreadSender.INVESTIGATOR
+ * @returns {number}
+ */
+export const countUnreadMessages = (thread, readerRole) => {
+  const messages = thread?.messages || [];
+  const otherSender =
+    readerRole === ThreadSender.REPORTER ? ThreadSender.INVESTIGATOR : ThreadSender.REPORTER;
+
+  // Messages still being screened are not shown to the reader yet
+  const isIncoming = (msg) =>
+    (msg.sender === otherSender || msg.sender === ThreadSender.SYSTEM) && isScreeningCleared(msg);
+
+  const readCount = thread?.lastReadCount?.[readerRole];
+  if (typeof readCount === "number") {
+    return messages.slice(readCount).filter(isIncoming).length;
+  }
+
+  // Threads last read before read counts were recorded
+  const lastRead = toDate(thread?.lastReadBy?.[readerRole]);
+  return messages.filter(
+    (msg) => isIncoming(msg) && (!lastRead || toDate(msg.timestamp) > lastRead)
+  ).length;
+};
+
 /**
  * Get all anonymous threads for a company, enriched with post title.
  * Used by HR inbox to see all active conversations in one place.
@@ -195,9 +167,11 @@ export const markThreadRead = async (postId, readerRole) => {
  *
  * @param {string} companyId - Company ID
  * @param {function} onUpdate - Callback called with enriched threads array on every update
+ * @param {object} [options]
+ * @param {boolean} [options.withPreviews=true] - Decrypt the last message of each thread for a preview
  * @returns {function} Unsubscribe function
  */
-export const subscribeToCompanyThreads = (companyId, onUpdate) => {
+export const subscribeToCompanyThreads = (companyId, onUpdate, { withPreviews = true } = {}) => {
   const threadsQuery = query(
     collection(db, "anonymousThreads"),
     where("companyId", "==", companyId)
@@ -206,6 +180,17 @@ export const subscribeToCompanyThreads = (companyId, onUpdate) => {
   const unsubscribe = onSnapshot(threadsQuery, async (snapshot) => {
     const threads = [];
 
+    // Previews are decrypted server-side, for every thread in one call
+    let previews = {};
+    if (withPreviews) {
+      try {
+        const getThreadPreviewsFunc = httpsCallable(functions, "getThreadPreviews");
+        previews = (await getThreadPreviewsFunc({ companyId })).data.data;
+      } catch (error) {
+        console.error("Error fetching thread previews:", error);
+      }
+    }
+
     for (const threadDoc of snapshot.docs) {
       const data = threadDoc.data();
 
@@ -226,26 +211,11 @@ export const subscribeToCompanyThreads = (companyId, onUpdate) => {
         // Post fetch failed — use fallback title
       }
 
-      // Decrypt the last message for preview
-      let lastMessagePreview = "";
-      let lastMessageSender = "";
-      if (data.messages.length > 0) {
-        const lastMsg = data.messages[data.messages.length - 1];
-        const decrypted = decryptMessage(lastMsg.encryptedContent);
-        lastMessagePreview = decrypted
-          ? (decrypted.length > 60 ? decrypted.substring(0, 60) + "..." : decrypted)
-          : "";
-        lastMessageSender = lastMsg.sender;
-      }
+      const lastMessagePreview = previews[threadDoc.id] || "";
+      const lastMessageSender = data.messages[data.messages.length - 1].sender;
 
       // Count unread messages from reporter (messages HR hasn't read yet)
-      const lastReadRaw = data.lastReadBy?.["investigator"];
-      const lastReadDate = lastReadRaw?.toDate ? lastReadRaw.toDate() : null;
-      const unreadCount = data.messages.filter((msg) => {
-        if (msg.sender !== "reporter") return false;
-        if (!lastReadDate) return true;
-        return new Date(msg.timestamp) > lastReadDate;
-      }).length;
+      const unreadCount = countUnreadMessages(data, ThreadSender.INVESTIGATOR);
 
       // Determine last activity timestamp (most recent message)
       const lastMsg = data.messages[data.messages.length - 1];
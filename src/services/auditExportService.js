@@ -177,7 +177,8 @@ export const queryAuditLogs = async (companyId, filters = {}) => {
       "user_login", "user_logout", "user_created", "user_updated",
       "user_deleted", "user_suspended", "user_activated", "role_changed",
       "department_created", "department_updated", "department_deleted",
-      "password_changed", "profile_updated",
+      "password_changed", "password_change_required", "password_change_cancelled",
+      "profile_updated",
     ].includes(actionType);
 
     const isPostOnlyType = [
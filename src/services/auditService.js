@@ -1,142 +1,45 @@
 import {
   collection,
-  addDoc,
   getDocs,
   query,
   where,
   orderBy,
   limit as firestoreLimit,
-  serverTimestamp,
   Timestamp,
 } from "firebase/firestore";
-import { db } from "../config/firebase";
-import { SystemActivityType } from "../utils/constants";
-import CryptoJS from "crypto-js";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../config/firebase";
 
-// ============================================
-// BLOCKCHAIN-STYLE AUDIT CHAIN
-// ============================================
-
-// In-memory cache for last audit hash (per company)
-const lastAuditHashCache = {};
-
-/**
- * Calculate hash for audit entry
- * @param {Object} activityData - Activity data
- * @param {string} previousHash - Previous entry's hash
- * @param {string} timestamp - Timestamp
- * @returns {string} SHA256 hash
- */
-const calculateAuditHash = (activityData, previousHash, timestamp) => {
-  try {
-    const dataString = JSON.stringify({
-      activityData,
-      previousHash,
-      timestamp,
-    });
-    return CryptoJS.SHA256(dataString).toString();
-  } catch (error) {
-    console.error("Error calculating audit hash:", error);
-    return null;
-  }
-};
-
-/**
- * Get last audit hash for a company
- * @param {string} companyId - Company ID
- * @returns {Promise<string>} Last audit hash or "GENESIS_BLOCK"
- */
-const getLastAuditHash = async (companyId) => {
-  try {
-    // Check cache first
-    if (lastAuditHashCache[companyId]) {
-      return lastAuditHashCache[companyId];
-    }
-
-    // Fetch last audit entry from database
-    const auditQuery = query(
-      collection(db, "systemAuditLogs"),
-      where("companyId", "==", companyId),
-      orderBy("createdAt", "desc"),
-      firestoreLimit(1)
-    );
-
-    const snapshot = await getDocs(auditQuery);
-
-    if (snapshot.empty) {
-      return "GENESIS_BLOCK";
-    }
-
-    const lastEntry = snapshot.docs[0].data();
-    const hash = lastEntry.currentHash || "GENESIS_BLOCK";
-
-    // Update cache
-    lastAuditHashCache[companyId] = hash;
-
-    return hash;
-  } catch (error) {
-    console.error("Error getting last audit hash:", error);
-    return "GENESIS_BLOCK";
-  }
-};
+// The system audit log is written only by Cloud Functions
+// (functions/services/auditLogService.js). Each entry gets the next sequence
+// number in its company's hash chain inside a transaction, and the chain head
+// is checkpointed and signed hourly.
 
 // ============================================
 // SYSTEM ACTIVITY LOGGING
 // ============================================
 
 /**
- * Log system-level activity (user actions, admin operations, etc.) with cryptographic hashing
+ * Log an activity performed in the browser to the company's hash-chained
+ * audit log. The logSystemActivity Cloud Function accepts only informational
+ * activity types and records the caller as the acting user; security events
+ * are logged by the Cloud Functions that perform them.
  * @param {string} companyId - Company ID
  * @param {string} activityType - Activity type from SystemActivityType enum
  * @param {object} metadata - Additional activity metadata
- * @returns {Promise<object>}
+ * @returns {Promise<object>} { success, auditId?, sequence?, hash? }
  */
 export const logSystemActivity = async (companyId, activityType, metadata = {}) => {
   try {
-    // Detect if this is a harassment-related activity
-    const harassmentTypes = ["harassment", "discrimination", "violence"];
-    const isHarassmentRelated =
-      harassmentTypes.includes(metadata.reason) ||
-      harassmentTypes.includes(metadata.violationType) ||
-      activityType === "hr_escalation" ||
-      activityType === "evidence_package_generated";
-
-    // Get previous hash for blockchain-style chaining
-    const previousHash = await getLastAuditHash(companyId);
-
-    // Prepare activity data
-    const timestamp = new Date().toISOString();
-    const activityData = {
-      companyId,
-      type: activityType,
-      metadata,
-    };
-
-    // Calculate current hash
-    const currentHash = calculateAuditHash(activityData, previousHash, timestamp);
-
-    // Add legal metadata
-    const legalMetadata = {
-      legalHold: isHarassmentRelated,
-      retentionYears: isHarassmentRelated ? 7 : 2,
-    };
-
-    // Create audit entry with blockchain fields
-    const auditEntry = {
-      ...activityData,
-      previousHash,
-      currentHash,
-      legalHold: legalMetadata.legalHold,
-      retentionYears: legalMetadata.retentionYears,
-      createdAt: serverTimestamp(),
-    };
-
-    await addDoc(collection(db, "systemAuditLogs"), auditEntry);
-
-    // Update cache
-    lastAuditHashCache[companyId] = currentHash;
+    const logSystemActivityFunc = httpsCallable(functions, "logSystemActivity");
+    const result = await logSystemActivityFunc({
+      companyId: companyId || null,
+      activityType,
+      // Dates become ISO strings and undefined fields are dropped
+      metadata: JSON.parse(JSON.stringify(metadata)),
+    });
 
-    return { success: true, hash: currentHash };
+    return { success: true, ...result.data.data };
   } catch (error) {
     console.error("Error logging system activity:", error);
     // Don't throw - activity logging should not break the main operation
@@ -336,240 +239,6 @@ export const getSystemActivities = async (companyId, options = {}) => {
   }
 };
 
-// ============================================
-// SPECIFIC ACTIVITY LOGGING FUNCTIONS
-// ============================================
-
-/**
- * Log user login
- * @param {string} companyId - Company ID
- * @param {object} userData - User data
- * @returns {Promise<object>}
- */
-export const logUserLogin = async (companyId, userData) => {
-  return logSystemActivity(companyId, SystemActivityType.USER_LOGIN, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    userRole: userData.role,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log user logout
- * @param {string} companyId - Company ID
- * @param {object} userData - User data
- * @returns {Promise<object>}
- */
-export const logUserLogout = async (companyId, userData) => {
-  return logSystemActivity(companyId, SystemActivityType.USER_LOGOUT, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    userRole: userData.role,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log user creation
- * @param {string} companyId - Company ID
- * @param {object} newUserData - New user data
- * @param {object} createdBy - User who created the new user
- * @returns {Promise<object>}
- */
-export const logUserCreated = async (companyId, newUserData, createdBy) => {
-  return logSystemActivity(companyId, SystemActivityType.USER_CREATED, {
-    userId: newUserData.id,
-    userName: newUserData.displayName || newUserData.username,
-    userRole: newUserData.role,
-    userEmail: newUserData.email,
-    createdById: createdBy.id,
-    createdByName: createdBy.displayName || createdBy.username,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log user update
- * @param {string} companyId - Company ID
- * @param {object} userData - Updated user data
- * @param {object} updatedBy - User who updated the user
- * @param {object} changes - Changes made
- * @returns {Promise<object>}
- */
-export const logUserUpdated = async (companyId, userData, updatedBy, changes = {}) => {
-  return logSystemActivity(companyId, SystemActivityType.USER_UPDATED, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    updatedById: updatedBy.id,
-    updatedByName: updatedBy.displayName || updatedBy.username,
-    changes: JSON.stringify(changes),
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log user deletion
- * @param {string} companyId - Company ID
- * @param {object} userData - Deleted user data
- * @param {object} deletedBy - User who deleted the user
- * @returns {Promise<object>}
- */
-export const logUserDeleted = async (companyId, userData, deletedBy) => {
-  return logSystemActivity(companyId, SystemActivityType.USER_DELETED, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    userRole: userData.role,
-    deletedById: deletedBy.id,
-    deletedByName: deletedBy.displayName || deletedBy.username,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log user suspension
- * @param {string} companyId - Company ID
- * @param {object} userData - Suspended user data
- * @param {object} suspendedBy - User who suspended the user
- * @param {string} reason - Reason for suspension
- * @returns {Promise<object>}
- */
-export const logUserSuspended = async (companyId, userData, suspendedBy, reason = "") => {
-  return logSystemActivity(companyId, SystemActivityType.USER_SUSPENDED, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    suspendedById: suspendedBy.id,
-    suspendedByName: suspendedBy.displayName || suspendedBy.username,
-    reason,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log user activation
- * @param {string} companyId - Company ID
- * @param {object} userData - Activated user data
- * @param {object} activatedBy - User who activated the user
- * @returns {Promise<object>}
- */
-export const logUserActivated = async (companyId, userData, activatedBy) => {
-  return logSystemActivity(companyId, SystemActivityType.USER_ACTIVATED, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    activatedById: activatedBy.id,
-    activatedByName: activatedBy.displayName || activatedBy.username,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log role change
- * @param {string} companyId - Company ID
- * @param {object} userData - User whose role changed
- * @param {string} oldRole - Previous role
- * @param {string} newRole - New role
- * @param {object} changedBy - User who changed the role
- * @returns {Promise<object>}
- */
-export const logRoleChanged = async (companyId, userData, oldRole, newRole, changedBy) => {
-  return logSystemActivity(companyId, SystemActivityType.ROLE_CHANGED, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    oldRole,
-    newRole,
-    changedById: changedBy.id,
-    changedByName: changedBy.displayName || changedBy.username,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log department creation
- * @param {string} companyId - Company ID
- * @param {object} departmentData - Department data
- * @param {object} createdBy - User who created the department
- * @returns {Promise<object>}
- */
-export const logDepartmentCreated = async (companyId, departmentData, createdBy) => {
-  return logSystemActivity(companyId, SystemActivityType.DEPARTMENT_CREATED, {
-    departmentId: departmentData.id,
-    departmentName: departmentData.name,
-    createdById: createdBy.id,
-    createdByName: createdBy.displayName || createdBy.username,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log department update
- * @param {string} companyId - Company ID
- * @param {object} departmentData - Updated department data
- * @param {object} updatedBy - User who updated the department
- * @param {object} changes - Changes made
- * @returns {Promise<object>}
- */
-export const logDepartmentUpdated = async (companyId, departmentData, updatedBy, changes = {}) => {
-  return logSystemActivity(companyId, SystemActivityType.DEPARTMENT_UPDATED, {
-    departmentId: departmentData.id,
-    departmentName: departmentData.name,
-    updatedById: updatedBy.id,
-    updatedByName: updatedBy.displayName || updatedBy.username,
-    changes: JSON.stringify(changes),
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log department deletion
- * @param {string} companyId - Company ID
- * @param {object} departmentData - Deleted department data
- * @param {object} deletedBy - User who deleted the department
- * @returns {Promise<object>}
- */
-export const logDepartmentDeleted = async (companyId, departmentData, deletedBy) => {
-  return logSystemActivity(companyId, SystemActivityType.DEPARTMENT_DELETED, {
-    departmentId: departmentData.id,
-    departmentName: departmentData.name,
-    deletedById: deletedBy.id,
-    deletedByName: deletedBy.displayName || deletedBy.username,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log password change
- * @param {string} companyId - Company ID
- * @param {object} userData - User whose password changed
- * @param {object} changedBy - User who changed the password (may be same user)
- * @returns {Promise<object>}
- */
-export const logPasswordChanged = async (companyId, userData, changedBy) => {
-  return logSystemActivity(companyId, SystemActivityType.PASSWORD_CHANGED, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    changedById: changedBy.id,
-    changedByName: changedBy.displayName || changedBy.username,
-    isSelfChange: userData.id === changedBy.id,
-    timestamp: new Date().toISOString(),
-  });
-};
-
-/**
- * Log profile update
- * @param {string} companyId - Company ID
- * @param {object} userData - User whose profile updated
- * @param {object} changes - Changes made
- * @returns {Promise<object>}
- */
-export const logProfileUpdated = async (companyId, userData, changes = {}) => {
-  return logSystemActivity(companyId, SystemActivityType.PROFILE_UPDATED, {
-    userId: userData.id,
-    userName: userData.displayName || userData.username,
-    changes: JSON.stringify(changes),
-    timestamp: new Date().toISOString(),
-  });
-};
-
 // ============================================
 // AUDIT LOG SEARCH & FILTERING
 // ============================================
@@ -719,117 +388,46 @@ export const exportAuditLogsToCSV = async (companyId, options = {}) => {
 // ============================================
 
 /**
- * Verify audit chain integrity
+ * Verify a company's audit chain entry by entry against its signed
+ * checkpoints. Runs in Cloud Functions and keeps going past a break, so the
+ * report lists every break, not just the first.
+ *
+ * Break types: missing_entries, duplicate_sequence, content_altered,
+ * link_mismatch, head_mismatch, checkpoint_mismatch, checkpoint_signature_invalid
+ *
  * @param {string} companyId - Company ID
- * @param {Date} startDate - Start date for verification (optional)
- * @param {Date} endDate - End date for verification (optional)
- * @returns {Promise<Object>} Verification report
+ * @param {string} chain - "system" (systemAuditLogs) or "disclosure" (disclosureAuditLog)
+ * @returns {Promise<Object>} { valid, headSequence, totalEntries, verifiedEntries, firstBreak,
+ *   breaks, breakCount, checkpoints: { total, matched, invalid }, lastGoodCheckpoint,
+ *   verifiedAt, message }; firstBreak is null or
+ *   { sequence, entryId, type, expected, actual, detail }
  */
-export const verifyAuditChain = async (companyId, startDate = null, endDate = null) => {
+export const verifyAuditChain = async (companyId, chain = "system") => {
   try {
-    // Build query constraints
-    const constraints = [
-      where("companyId", "==", companyId),
-      orderBy("createdAt", "asc"),
-    ];
-
-    if (startDate) {
-      constraints.push(where("createdAt", ">=", Timestamp.fromDate(startDate)));
-    }
-
-    if (endDate) {
-      constraints.push(where("createdAt", "<=", Timestamp.fromDate(endDate)));
-    }
-
-    // Fetch audit logs in chronological order
-    const auditQuery = query(collection(db, "systemAuditLogs"), ...constraints);
-    const snapshot = await getDocs(auditQuery);
-
-    const entries = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
-
-    if (entries.length === 0) {
-      return {
-        valid: true,
-        totalEntries: 0,
-        verifiedEntries: 0,
-        tamperedEntries: [],
-        message: "No audit entries found in the specified range",
-      };
-    }
-
-    const tamperedEntries = [];
-    let expectedPreviousHash = "GENESIS_BLOCK";
-
-    // Verify each entry
-    for (let i = 0; i < entries.length; i++) {
-      const entry = entries[i];
-
-      // Check if entry has hashing fields (older entries might not have them)
-      if (!entry.previousHash || !entry.currentHash) {
-        continue; // Skip entries without hashing
-      }
-
-      // Verify previousHash matches expected value
-      if (entry.previousHash !== expectedPreviousHash) {
-        tamperedEntries.push({
-          entryId: entry.id,
-          index: i,
-          type: entry.type,
-          timestamp: entry.createdAt?.toDate
-            ? entry.createdAt.toDate().toISOString()
-            : null,
-          expectedPreviousHash,
-          actualPreviousHash: entry.previousHash,
-          issue: "Previous hash mismatch - possible tampering or reordering",
-        });
-      }
-
-      // Recalculate hash to verify integrity
-      const activityData = {
-        companyId: entry.companyId,
-        type: entry.type,
-        metadata: entry.metadata,
-      };
-
-      const timestamp = entry.createdAt?.toDate
-        ? entry.createdAt.toDate().toISOString()
-        : new Date().toISOString();
-
-      const calculatedHash = calculateAuditHash(
-        activityData,
-        entry.previousHash,
-        timestamp
-      );
-
-      // Note: Hash verification might not match exactly due to timestamp differences
-      // This is a simplified check - in production, you'd need more precise timestamp handling
-
-      // Update expected hash for next iteration
-      expectedPreviousHash = entry.currentHash;
-    }
-
-    return {
-      valid: tamperedEntries.length === 0,
-      totalEntries: entries.length,
-      verifiedEntries: entries.length - tamperedEntries.length,
-      tamperedEntries,
-      startDate: startDate ? startDate.toISOString() : null,
-      endDate: endDate ? endDate.toISOString() : null,
-      verifiedAt: new Date().toISOString(),
-      message:
-        tamperedEntries.length === 0
-          ? "Audit chain integrity verified - no tampering detected"
-          : `Found ${tamperedEntries.length} potentially tampered entries`,
-    };
+    const verifyAuditChainFunc = httpsCallable(functions, "verifyAuditChain");
+    const result = await verifyAuditChainFunc({ companyId, chain });
+    return result.data.data;
   } catch (error) {
     console.error("Error verifying audit chain:", error);
-    return {
-      valid: false,
-      error: error.message,
-      message: "Failed to verify audit chain",
-    };
+    throw error;
+  }
+};
+
+/**
+ * Export a company's signed audit checkpoints with the public key to check
+ * them, for safekeeping outside the platform
+ * @param {string} companyId - Company ID
+ * @param {string} chain - "system" or "disclosure"
+ * @returns {Promise<Object>} { exportedAt, chain, companyId, algorithm, keyId, publicKey,
+ *   checkpoints: [{ sequence, headHash, checkpointedAt, keyId, signature }] }
+ */
+export const exportAuditCheckpoints = async (companyId, chain = "system") => {
+  try {
+    const exportAuditCheckpointsFunc = httpsCallable(functions, "exportAuditCheckpoints");
+    const result = await exportAuditCheckpointsFunc({ companyId, chain });
+    return result.data.data;
+  } catch (error) {
+    console.error("Error exporting audit checkpoints:", error);
+    throw error;
   }
 };
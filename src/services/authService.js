@@ -5,148 +5,99 @@ import {
   getDocs,
   doc,
   getDoc,
-  addDoc,
-  updateDoc,
-  serverTimestamp,
-  setDoc,
 } from "firebase/firestore";
-import { db, auth } from "../config/firebase";
-import { signInAnonymously } from "firebase/auth";
-import CryptoJS from "crypto-js";
+import { httpsCallable } from "firebase/functions";
+import { signInWithCustomToken } from "firebase/auth";
+import { db, auth, functions } from "../config/firebase";
 
-// Hash password
-const hashPassword = (password) => {
-  return CryptoJS.SHA256(password).toString();
-};
-
-// Login with username and password (custom authentication + Firebase Anonymous Auth)
+// Login with username and password
+// Credentials are verified by the generateAuthToken Cloud Function, which also
+// writes the authSession and returns a custom token for Firebase Auth
 export const loginWithUsernamePassword = async (username, password) => {
   try {
-    const hashedPassword = hashPassword(password);
-
-    // Reuse existing anonymous session if available, otherwise create one.
-    // This prevents unbounded accumulation of Firebase Auth anonymous users.
-    let firebaseUser = auth.currentUser;
-    if (!firebaseUser) {
-      const firebaseAuthResult = await signInAnonymously(auth);
-      firebaseUser = firebaseAuthResult.user;
-    }
-
-    // Create a temporary auth session so Firestore rules can resolve getSession()
-    // during the user queries below. This is needed because rules call getUserRole()
-    // which reads from authSessions.
-    const tempSessionData = {
-      userId: "pending",
+    const generateAuthToken = httpsCallable(functions, "generateAuthToken");
+    const result = await generateAuthToken({
       username: username.toLowerCase(),
-      companyId: null,
-      role: "pending",
-      firebaseUid: firebaseUser.uid,
-      createdAt: serverTimestamp(),
-    };
-    await setDoc(doc(db, "authSessions", firebaseUser.uid), tempSessionData);
-
-    try {
-      // Query users collection for custom authentication
-      const usersRef = collection(db, "users");
-      // First, check if user exists regardless of status
-      const userCheckQuery = query(
-        usersRef,
-        where("username", "==", username.toLowerCase()),
-        where("password", "==", hashedPassword)
-      );
-
-      const userCheckSnapshot = await getDocs(userCheckQuery);
-
-      if (userCheckSnapshot.empty) {
-        throw new Error("Invalid username or password");
-      }
-
-      const userDoc = userCheckSnapshot.docs[0];
-      const userData = { id: userDoc.id, ...userDoc.data() };
-
-      // Check user status
-      if (userData.status === "suspended") {
-        const suspendedUntil = userData.suspendedUntil?.toDate ? userData.suspendedUntil.toDate() : new Date(userData.suspendedUntil || 0);
-        const now = new Date();
-
-        if (suspendedUntil > now) {
-          const daysRemaining = Math.ceil((suspendedUntil - now) / (1000 * 60 * 60 * 24));
-          throw new Error(`Your account is suspended until ${suspendedUntil.toLocaleDateString()}. ${daysRemaining} day(s) remaining. Reason: ${userData.suspensionReason || 'Policy violation'}`);
-        }
-      } else if (userData.status === "invited") {
-        throw new Error("Your account is pending activation. Please check your email for the invitation link.");
-      } else if (userData.status !== "active") {
-        throw new Error("Your account has been deactivated. Please contact your company administrator or support.");
-      }
-
-      // Re-query to ensure status is active
-      const q = query(
-        usersRef,
-        where("username", "==", username.toLowerCase()),
-        where("password", "==", hashedPassword),
-        where("status", "==", "active")
-      );
+      password,
+    });
 
-      const querySnapshot = await getDocs(q);
+    const { user, customToken } = result.data.data;
+    await signInWithCustomToken(auth, customToken);
 
-      if (querySnapshot.empty) {
-        throw new Error("Invalid username or password");
-      }
-
-      const activeUserDoc = querySnapshot.docs[0];
-      const activeUserData = { id: activeUserDoc.id, ...activeUserDoc.data() };
-
-      // Check if user's company is active (skip for super admins)
-      if (activeUserData.companyId) {
-        const companyDoc = await getDoc(doc(db, "companies", activeUserData.companyId));
-
-        if (!companyDoc.exists()) {
-          throw new Error("Company not found. Please contact support.");
-        }
-
-        const companyData = companyDoc.data();
+    // Users who must change their password get a token without an auth
+    // session, so they can't read their profile until they change it
+    if (user.mustChangePassword) {
+      return user;
+    }
 
-        if (!companyData.isActive) {
-          throw new Error("Your company account is deactivated. Please contact support.");
-        }
-      }
+    // Re-read the profile so timestamps come back as Firestore Timestamps;
+    // the author token lives only in the auth session
+    const profile = await getUserById(user.id);
+    return { ...profile, authorToken: user.authorToken };
+  } catch (error) {
+    console.error("Login error:", error);
+    throw error;
+  }
+};
 
-      // Update the auth session with the real user data
-      const authSessionData = {
-        userId: activeUserDoc.id,
-        username: activeUserData.username,
-        companyId: activeUserData.companyId ?? null,
-        role: activeUserData.role,
-        firebaseUid: firebaseUser.uid,
-        createdAt: serverTimestamp(),
-      };
+// Set a user's password (super admin, or company admin for their own company)
+export const setUserPassword = async (userId, password) => {
+  try {
+    const setUserPasswordFunc = httpsCallable(functions, "setUserPassword");
+    const result = await setUserPasswordFunc({ userId, password });
+    return result.data;
+  } catch (error) {
+    console.error("Set password error:", error);
+    throw error;
+  }
+};
 
-      await setDoc(doc(db, "authSessions", firebaseUser.uid), authSessionData);
+// Request a password reset email (always succeeds to avoid revealing usernames)
+export const requestPasswordReset = async (username) => {
+  try {
+    const requestPasswordResetFunc = httpsCallable(functions, "requestPasswordReset");
+    const result = await requestPasswordResetFunc({ username: username.toLowerCase() });
+    return result.data;
+  } catch (error) {
+    console.error("Request password reset error:", error);
+    throw error;
+  }
+};
 
-      // Update last login
-      await updateDoc(doc(db, "users", activeUserDoc.id), {
-        lastLogin: serverTimestamp(),
-      });
+// Reset a password with the single-use token from the reset email
+// Returns the username so the user can be signed in
+export const resetPassword = async (token, password) => {
+  try {
+    const resetPasswordFunc = httpsCallable(functions, "resetPassword");
+    const result = await resetPasswordFunc({ token, password });
+    return result.data.data;
+  } catch (error) {
+    console.error("Reset password error:", error);
+    throw error;
+  }
+};
 
-      // Remove password from returned data
-      delete activeUserData.password;
+// Change the signed-in user's password (clears mustChangePassword)
+export const changePassword = async (currentPassword, newPassword) => {
+  try {
+    const changePasswordFunc = httpsCallable(functions, "changePassword");
+    const result = await changePasswordFunc({ currentPassword, newPassword });
+    return result.data;
+  } catch (error) {
+    console.error("Change password error:", error);
+    throw error;
+  }
+};
 
-      return activeUserData;
-    } catch (loginError) {
-      // Login failed — reset authSession to pending to block Firestore rule access.
-      // Do NOT call signOut(auth) as that would destroy the anonymous session and
-      // force a new Firebase Auth user to be created on the next login attempt.
-      await setDoc(doc(db, "authSessions", firebaseUser.uid), {
-        userId: "pending",
-        role: "pending",
-        companyId: null,
-        firebaseUid: firebaseUser.uid,
-        createdAt: serverTimestamp(),
-      });
-      throw loginError;
-    }
+// Require a user to change their password at next login, or cancel that
+// (admins and HR); requiring a change signs the user out
+export const setPasswordChangeRequired = async (userId, required) => {
+  try {
+    const setPasswordChangeRequiredFunc = httpsCallable(functions, "setPasswordChangeRequired");
+    const result = await setPasswordChangeRequiredFunc({ userId, required });
+    return result.data;
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Set password change required error:", error);
     throw error;
   }
 };
@@ -183,5 +134,3 @@ export const checkUsernameExists = async (username) => {
     throw error;
   }
 };
-
-export { hashPassword };
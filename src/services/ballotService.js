@@ -0,0 +1,56 @@
+/**
+ * Ballot Service
+ * Frontend service for votes, reactions and poll votes on posts
+ *
+ * Ballots are cast by the castBallot Cloud Function, which keeps one ballot
+ * of each kind per user and updates the counters on the post. Ballots are
+ * stored under the voter's author token and only the voter can read them.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { collection, query, where, onSnapshot } from "firebase/firestore";
+import { db, functions } from "../config/firebase";
+
+/**
+ * Cast, change or withdraw a ballot
+ * Casting the same vote or reaction again withdraws it
+ * @param {string} postId - The post ID
+ * @param {string} kind - BallotKind value
+ * @param {string|number} choice - Vote type, reaction type or poll option index
+ * @returns {Promise<{kind: string, choice: *, counts: Object}>} The user's
+ *   choice afterwards (null, or [] for polls, when withdrawn) and the post's counters
+ */
+export async function castBallot(postId, kind, choice) {
+  const castBallotFunc = httpsCallable(functions, "castBallot");
+  const result = await castBallotFunc({ postId, kind, choice });
+  return result.data.data;
+}
+
+/**
+ * Subscribe to the current user's ballots on a post
+ * @param {string} postId - The post ID
+ * @param {string} authorToken - The user's author token
+ * @param {Function} callback - Called with the user's choices keyed by BallotKind
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMyBallots = (postId, authorToken, callback) => {
+  const q = query(
+    collection(db, "ballots"),
+    where("postId", "==", postId),
+    where("voterToken", "==", authorToken)
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      const choices = {};
+      snapshot.docs.forEach((d) => {
+        choices[d.data().kind] = d.data().choice;
+      });
+      callback(choices);
+    },
+    (error) => {
+      console.error("Error subscribing to ballots:", error);
+    }
+  );
+};
@@ -5,12 +5,16 @@ import {
   where,
   orderBy,
   getDocs,
+  onSnapshot,
   serverTimestamp,
   doc,
   updateDoc,
   increment,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { createAnonymousComment } from "./anonymousContentService";
+import { screeningClearedConstraint } from "./contentScreeningService";
+import { ScreeningStatus } from "../utils/constants";
 
 /**
  * Comment Threading Service
@@ -19,6 +23,8 @@ import { db } from "../config/firebase";
 
 /**
  * Add a reply to a comment
+ * Anonymous replies are written by a Cloud Function, which stores the author
+ * encrypted and updates the counters itself
  * @param {string} postId - The post ID
  * @param {string} parentCommentId - The parent comment ID
  * @param {Object} replyData - Reply data (text, authorId, authorName, isAnonymous)
@@ -31,6 +37,11 @@ export async function addCommentReply(postId, parentCommentId, replyData, compan
   }
 
   try {
+    if (replyData.isAnonymous) {
+      const { id } = await createAnonymousComment({ postId, text: replyData.text, parentCommentId });
+      return id;
+    }
+
     // Create the reply comment
     const replyRef = await addDoc(collection(db, "comments"), {
       postId,
@@ -39,11 +50,12 @@ export async function addCommentReply(postId, parentCommentId, replyData, compan
       authorId: replyData.authorId,
       authorName: replyData.authorName || "Anonymous",
       authorRole: replyData.authorRole,
-      isAnonymous: replyData.isAnonymous || false,
+      isAnonymous: false,
       createdAt: serverTimestamp(),
       likes: 0,
       companyId,
       replyCount: 0, // Replies can also have replies
+      screeningStatus: ScreeningStatus.PENDING,
     });
 
     // Update parent comment's reply count
@@ -73,6 +85,7 @@ export async function getCommentReplies(commentId, companyId) {
   try {
     const constraints = [
       where("parentCommentId", "==", commentId),
+      screeningClearedConstraint(),
       orderBy("createdAt", "asc"),
     ];
     if (companyId) {
@@ -100,6 +113,54 @@ export async function getCommentReplies(commentId, companyId) {
   }
 }
 
+/**
+ * Listen to the comments on a post that a user may see
+ * Firestore rules return other people's comments only once they clear
+ * screening, so the user's own comments, which they see whatever their
+ * status, are read by a second listener and merged in. Anonymous comments
+ * cannot be matched to their author by a query and only appear once cleared.
+ * @param {string} postId - The post ID
+ * @param {Object} user - userData from AuthContext
+ * @param {Function} onComments - Called with the comments, oldest first
+ * @param {Function} onError - Called when either listener fails
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToPostComments(postId, user, onComments, onError) {
+  const commentsRef = collection(db, "comments");
+  const postComments = [where("postId", "==", postId), where("companyId", "==", user.companyId)];
+  const toMillis = (comment) => comment.createdAt?.toMillis?.() ?? Date.now();
+
+  let cleared = [];
+  let own = [];
+  const emit = () => {
+    const byId = new Map([...cleared, ...own].map((comment) => [comment.id, comment]));
+    onComments([...byId.values()].sort((a, b) => toMillis(a) - toMillis(b)));
+  };
+  const toComments = (snapshot) => snapshot.docs.map((commentDoc) => ({ id: commentDoc.id, ...commentDoc.data() }));
+
+  const unsubscribeCleared = onSnapshot(
+    query(commentsRef, ...postComments, screeningClearedConstraint(), orderBy("createdAt", "asc")),
+    (snapshot) => {
+      cleared = toComments(snapshot);
+      emit();
+    },
+    onError
+  );
+  const unsubscribeOwn = onSnapshot(
+    query(commentsRef, ...postComments, where("authorId", "==", user.id), orderBy("createdAt", "asc")),
+    (snapshot) => {
+      own = toComments(snapshot);
+      emit();
+    },
+    onError
+  );
+
+  return () => {
+    unsubscribeCleared();
+    unsubscribeOwn();
+  };
+}
+
 /**
  * Build a threaded comment structure
  * @param {Array} comments - Flat array of comments
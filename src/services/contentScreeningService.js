@@ -0,0 +1,164 @@
+/**
+ * Content Screening Service
+ * Frontend service for pre-publication screening: who may see content that
+ * is still being screened or held, and the review queue in the Moderation
+ * Dashboard
+ */
+
+import { collection, query, where, getDocs } from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../config/firebase";
+import { isContentAuthor } from "./anonymousContentService";
+import { getThread } from "./anonymousThreadService";
+import { ScreeningStatus, ScreeningReason, ScreenedContentType } from "../utils/constants";
+
+const CLEARED_STATUSES = [ScreeningStatus.PASSED, ScreeningStatus.APPROVED];
+
+/**
+ * Whether content has cleared screening and may be shown to everyone
+ * Content without a status was written before screening existed
+ * @param {Object} content - Post, comment or thread message
+ * @returns {boolean}
+ */
+export const isScreeningCleared = (content) =>
+  !content?.screeningStatus || CLEARED_STATUSES.includes(content.screeningStatus);
+
+/**
+ * Query constraint for posts or comments that have cleared screening
+ * Firestore rules let company members read other people's content only once
+ * it clears screening, so queries not limited to the reader's own content
+ * need it. Content written before screening existed is given a status by
+ * the backfillScreeningStatus migration.
+ * @returns {Object} where() constraint
+ */
+export const screeningClearedConstraint = () =>
+  where("screeningStatus", "in", CLEARED_STATUSES);
+
+/**
+ * Whether a user may see a post or comment given its screening status
+ * Authors always see their own content, with the reason it is held
+ * @param {Object} content - Post or comment data
+ * @param {Object} user - userData from AuthContext
+ * @returns {boolean}
+ */
+export const canSeeScreenedContent = (content, user) =>
+  isScreeningCleared(content) || isContentAuthor(content, user);
+
+/**
+ * Describe one screening reason without repeating the matched text
+ * @param {Object} reason - { code, category, count, label }
+ * @param {Function} t - i18n translate function
+ * @returns {string}
+ */
+export const describeScreeningReason = (reason, t) => {
+  switch (reason.code) {
+    case ScreeningReason.KEYWORD:
+      return t(`screening.categories.${reason.category}`, reason.category);
+    case ScreeningReason.PII_EMAIL:
+      return t("screening.reasons.piiEmail", "An email address");
+    case ScreeningReason.PII_PHONE:
+      return t("screening.reasons.piiPhone", "A phone number");
+    case ScreeningReason.PII_EMPLOYEE_ID:
+      return t("screening.reasons.piiEmployeeId", "An employee ID");
+    case ScreeningReason.CLASSIFIER:
+      return t("screening.reasons.classifier", "Flagged by the automatic check ({{label}})", { label: reason.label });
+    default:
+      return reason.code;
+  }
+};
+
+/**
+ * Get everything in a company waiting for review
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array>} Held items, oldest first:
+ *   { contentType, contentId, messageId, postId, title, text, reasons, isAnonymous, authorName, createdAt }
+ */
+export const getHeldContent = async (companyId) => {
+  try {
+    const heldQuery = (collectionName) => query(
+      collection(db, collectionName),
+      where("companyId", "==", companyId),
+      where("screeningStatus", "==", ScreeningStatus.PENDING_REVIEW)
+    );
+
+    const [postsSnapshot, commentsSnapshot, threadsSnapshot] = await Promise.all([
+      getDocs(heldQuery("posts")),
+      getDocs(heldQuery("comments")),
+      getDocs(query(
+        collection(db, "anonymousThreads"),
+        where("companyId", "==", companyId),
+        where("heldMessageCount", ">", 0)
+      )),
+    ]);
+
+    const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+    const items = [];
+
+    postsSnapshot.docs.forEach((postDoc) => {
+      const post = postDoc.data();
+      items.push({
+        contentType: ScreenedContentType.POST,
+        contentId: postDoc.id,
+        postId: postDoc.id,
+        title: post.title || "",
+        text: post.content || "",
+        reasons: post.screeningReasons || [],
+        isAnonymous: !!post.isAnonymous,
+        authorName: post.isAnonymous ? "Anonymous" : post.authorName,
+        createdAt: toDate(post.createdAt),
+      });
+    });
+
+    commentsSnapshot.docs.forEach((commentDoc) => {
+      const comment = commentDoc.data();
+      items.push({
+        contentType: ScreenedContentType.COMMENT,
+        contentId: commentDoc.id,
+        postId: comment.postId,
+        title: "",
+        text: comment.text || comment.content || "",
+        reasons: comment.screeningReasons || [],
+        isAnonymous: !!comment.isAnonymous,
+        authorName: comment.isAnonymous ? "Anonymous" : comment.authorName,
+        createdAt: toDate(comment.createdAt),
+      });
+    });
+
+    // Thread messages are encrypted, so the threads are read decrypted server-side
+    for (const threadDoc of threadsSnapshot.docs) {
+      const thread = await getThread(threadDoc.id);
+      (thread?.messages || [])
+        .filter((message) => message.screeningStatus === ScreeningStatus.PENDING_REVIEW)
+        .forEach((message) => {
+          items.push({
+            contentType: ScreenedContentType.THREAD_MESSAGE,
+            contentId: threadDoc.id,
+            messageId: message.id,
+            postId: threadDoc.id,
+            title: "",
+            text: message.content,
+            reasons: message.screeningReasons || [],
+            isAnonymous: true,
+            authorName: "Anonymous",
+            createdAt: toDate(message.timestamp),
+          });
+        });
+    }
+
+    return items.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  } catch (error) {
+    console.error("Error getting held content:", error);
+    throw error;
+  }
+};
+
+/**
+ * Approve or reject held content
+ * @param {Object} review - { contentType, contentId, messageId, decision: 'approve'|'reject', note }
+ * @returns {Promise<{status: string}>}
+ */
+export async function reviewScreenedContent(review) {
+  const reviewScreenedContentFunc = httpsCallable(functions, "reviewScreenedContent");
+  const result = await reviewScreenedContentFunc(review);
+  return result.data.data;
+}
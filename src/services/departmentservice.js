@@ -12,6 +12,7 @@ import {
   writeBatch,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { getMinGroupSize } from "./analyticsService";
 
 // ============================================
 // DEPARTMENT CRUD OPERATIONS
@@ -423,11 +424,15 @@ export const setDepartmentHead = async (departmentId, userId) => {
 
 /**
  * Get department statistics
+ * Post counts are left out (null, with suppressed set) for departments with
+ * fewer members than the company's minimum group size, so they cannot be
+ * used to work out who posted anonymously
  * @param {string} departmentId - Department ID
  * @param {string} [companyId] - Company ID (required to query posts safely)
+ * @param {number} [minGroupSize] - k-anonymity threshold; looked up from the company when omitted
  * @returns {Promise<object>}
  */
-export const getDepartmentStats = async (departmentId, companyId) => {
+export const getDepartmentStats = async (departmentId, companyId, minGroupSize) => {
   const stats = {
     totalMembers: 0,
     activeMembers: 0,
@@ -435,6 +440,7 @@ export const getDepartmentStats = async (departmentId, companyId) => {
     resolvedIssues: 0,
     pendingIssues: 0,
     avgResponseTime: 0,
+    suppressed: false,
   };
 
   // Get members count — scoped to this department and company
@@ -453,6 +459,19 @@ export const getDepartmentStats = async (departmentId, companyId) => {
     console.error("Error fetching department member stats:", error);
   }
 
+  if (companyId) {
+    const threshold = minGroupSize ?? await getMinGroupSize(companyId);
+    if (stats.totalMembers < threshold) {
+      return {
+        ...stats,
+        totalPosts: null,
+        resolvedIssues: null,
+        pendingIssues: null,
+        suppressed: true,
+      };
+    }
+  }
+
   // Get posts assigned to department — must scope by companyId to satisfy security rules
   if (companyId) {
     try {
@@ -0,0 +1,114 @@
+/**
+ * Invite Service
+ * Frontend service for signed company invitation links
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { collection, query, where, orderBy, getDocs } from 'firebase/firestore';
+import { db, functions } from '../config/firebase';
+
+const REGISTRATION_BASE_URL = 'https://portal.voxwel.com/register';
+
+/**
+ * Build the registration URL for an invitation token
+ * @param {string} token - Signed invitation token
+ * @param {string} source - Where the link is distributed ('qr' or 'link')
+ * @returns {string} Registration URL
+ */
+export function buildInviteUrl(token, source = 'link') {
+  return `${REGISTRATION_BASE_URL}?invite=${encodeURIComponent(token)}&source=${source}`;
+}
+
+/**
+ * Create a signed invitation
+ * @param {Object} params - Invitation parameters
+ * @param {string} params.companyId - Company ID
+ * @param {string} params.label - Label shown to admins
+ * @param {number} params.expiresInDays - Days until the link expires
+ * @param {number|null} params.maxUses - Maximum registrations (null for unlimited)
+ * @param {string|null} params.defaultDepartmentId - Department assigned on registration
+ * @param {string} params.defaultRole - Role assigned on registration ('employee' or 'hr')
+ * @param {string} params.source - 'qr' or 'link'
+ * @returns {Promise<Object>} { inviteId, token, expiresAt }
+ */
+export async function createInvite(params) {
+  const createInviteFunc = httpsCallable(functions, 'createInvite');
+  const result = await createInviteFunc(params);
+  return result.data.data;
+}
+
+/**
+ * Revoke an invitation
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Result
+ */
+export async function revokeInvite(inviteId) {
+  const revokeInviteFunc = httpsCallable(functions, 'revokeInvite');
+  const result = await revokeInviteFunc({ inviteId });
+  return result.data;
+}
+
+/**
+ * Validate an invitation token
+ * @param {string} token - Signed invitation token
+ * @returns {Promise<Object>} { companyId, companyName, departmentName, defaultRole, expiresAt }
+ */
+export async function validateInvite(token) {
+  const validateInviteFunc = httpsCallable(functions, 'validateInvite');
+  const result = await validateInviteFunc({ token });
+  return result.data.data;
+}
+
+/**
+ * Check whether a username is free for someone registering with an invitation
+ * @param {string} token - Signed invitation token
+ * @param {string} username - Username to check
+ * @returns {Promise<boolean>} True if the username is available
+ */
+export async function checkInviteUsername(token, username) {
+  const checkInviteUsernameFunc = httpsCallable(functions, 'checkInviteUsername');
+  const result = await checkInviteUsernameFunc({ token, username });
+  return result.data.data.available;
+}
+
+/**
+ * Register a new user with an invitation
+ * @param {string} token - Signed invitation token
+ * @param {Object} registration - { fullName, username, mobile, gender, password }
+ * @returns {Promise<Object>} { userId }
+ */
+export async function registerWithInvite(token, registration) {
+  const registerWithInviteFunc = httpsCallable(functions, 'registerWithInvite');
+  const result = await registerWithInviteFunc({ token, ...registration });
+  return result.data.data;
+}
+
+/**
+ * Get all invitations for a company, newest first
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array>} Invitations
+ */
+export async function getCompanyInvites(companyId) {
+  const q = query(
+    collection(db, 'invites'),
+    where('companyId', '==', companyId),
+    orderBy('createdAt', 'desc'),
+  );
+
+  const snapshot = await getDocs(q);
+  return snapshot.docs.map((inviteDoc) => ({ id: inviteDoc.id, ...inviteDoc.data() }));
+}
+
+/**
+ * Check whether an invitation can still be used
+ * @param {Object} invite - Invitation document
+ * @returns {boolean}
+ */
+export function isInviteUsable(invite) {
+  if (invite.status !== 'active') return false;
+
+  const expiresAt = invite.expiresAt?.toDate ? invite.expiresAt.toDate() : new Date(invite.expiresAt);
+  if (expiresAt < new Date()) return false;
+
+  return !invite.maxUses || invite.useCount < invite.maxUses;
+}
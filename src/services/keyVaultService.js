@@ -1,26 +1,10 @@
-import {
-  collection,
-  doc,
-  getDoc,
-  setDoc,
-  updateDoc,
-  getDocs,
-  serverTimestamp,
-  increment,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
-import CryptoJS from "crypto-js";
+import { httpsCallable } from "firebase/functions";
+import { functions } from "../config/firebase";
 
-const ANONYMOUS_SECRET = import.meta.env.VITE_ANONYMOUS_SECRET || "default-secret-key-change-in-production";
-
-// ============================================
-// KEY GENERATION
-// ============================================
-
-const generateFullKey = () =>
-  Array.from(crypto.getRandomValues(new Uint8Array(32)))
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
+// Key vaults are managed by Cloud Functions (functions/services/keyVaultService.js).
+// Each company's data key is escrowed in its vault under a key pair sealed
+// with Key Part A + Key Part B; neither the keys nor Part A reach the browser.
+// Part B goes to the DPO, or is split into shares among M-of-N custodians.
 
 // ============================================
 // KEY VAULT OPERATIONS
@@ -29,240 +13,154 @@ const generateFullKey = () =>
 /**
  * Initialize the split-key vault for a company.
  *
- * Generates a 64-char hex AES key, splits it at position 32:
- *   - Part A (chars 0–31) is stored in Firestore: keyVault/{companyId}
- *   - Part B (chars 32–63) is returned to the caller for out-of-band delivery
- *     to the DPO — it is NEVER stored.
- * Also stores a wrappedSecret so KeyPartB can be verified during disclosure.
+ * Key Part A stays in the vault; Key Part B is returned once for out-of-band
+ * delivery to the DPO — it is NEVER stored.
  *
- * @param {string} companyId     - Firestore company document ID
- * @param {string} dpoEmail      - Email of the company's Data Protection Officer
- * @param {string} currentUserId - ID of the super_admin performing the action
- * @returns {Promise<string>} keyPartB — must be delivered to DPO immediately
+ * @param {string} companyId - Firestore company document ID
+ * @param {string} dpoEmail  - Email of the company's Data Protection Officer
+ * @returns {Promise<{keyPartB: string, keyVersion: number}>} keyPartB must be delivered to DPO immediately
  */
-export const initializeCompanyKeyVault = async (companyId, dpoEmail, currentUserId) => {
-  const vaultRef = doc(db, "keyVault", companyId);
-  const existing = await getDoc(vaultRef);
-
-  if (existing.exists()) {
-    throw new Error("Key Vault already initialized. Use Rotate Key to generate new keys.");
-  }
-
-  const fullKey = generateFullKey();
-  const keyPartA = fullKey.slice(0, 32);
-  const keyPartB = fullKey.slice(32);
-
-  const wrappedSecret = CryptoJS.AES.encrypt(ANONYMOUS_SECRET, keyPartA + keyPartB).toString();
-
-  await setDoc(vaultRef, {
-    keyPartA,
-    wrappedSecret,
-    dpoEmail,
-    keyVersion: 1,
-    companyId,
-    initializedBy: currentUserId,
-    createdAt: serverTimestamp(),
-    status: "active",
-  });
-
-  // keyPartB is returned to the caller and NEVER written to Firestore
-  return keyPartB;
+export const initializeCompanyKeyVault = async (companyId, dpoEmail) => {
+  const initializeKeyVaultFunc = httpsCallable(functions, "initializeKeyVault");
+  const result = await initializeKeyVaultFunc({ companyId, dpoEmail });
+  return result.data.data;
 };
 
 /**
- * Get vault status for a single company. Never returns keyPartA.
+ * Get vault status for a single company. Never includes key material.
  *
  * @param {string} companyId
- * @returns {Promise<{exists: boolean, dpoEmail?, keyVersion?, createdAt?, status?, rotatedAt?, rotatedBy?}>}
+ * @returns {Promise<{exists: boolean, dpoEmail?, keyVersion?, dataKeyVersion?, createdAt?, status?, rotatedAt?, rotatedBy?, escrowReady?, custody?, reencryption?}>}
  */
 export const getKeyVaultStatus = async (companyId) => {
-  const vaultRef = doc(db, "keyVault", companyId);
-  const snap = await getDoc(vaultRef);
-
-  if (!snap.exists()) {
-    return { exists: false };
-  }
-
-  const data = snap.data();
-  return {
-    exists: true,
-    dpoEmail: data.dpoEmail,
-    keyVersion: data.keyVersion,
-    createdAt: data.createdAt,
-    status: data.status,
-    rotatedAt: data.rotatedAt,
-    rotatedBy: data.rotatedBy,
-    hasWrappedSecret: !!data.wrappedSecret,
-  };
+  const getKeyVaultStatusesFunc = httpsCallable(functions, "getKeyVaultStatuses");
+  const result = await getKeyVaultStatusesFunc({ companyId });
+  const [status] = result.data.data;
+  return status ? { exists: true, ...status } : { exists: false };
 };
 
 /**
  * Get vault statuses for all companies, joined with company names.
- * Never returns keyPartA.
+ * Dates are ISO strings.
  *
- * @returns {Promise<Array<{companyId, companyName, dpoEmail, keyVersion, createdAt, status, rotatedAt}>>}
+ * custody is null when the DPO holds Key Part B, otherwise
+ * { threshold, custodians: [{ id, name, username, role, email }] }.
+ *
+ * @returns {Promise<Array<{companyId, companyName, dpoEmail, keyVersion, dataKeyVersion, createdAt, status, rotatedAt, escrowReady, custody, reencryption}>>}
  */
 export const getAllKeyVaultStatuses = async () => {
-  const [vaultSnap, companiesSnap] = await Promise.all([
-    getDocs(collection(db, "keyVault")),
-    getDocs(collection(db, "companies")),
-  ]);
-
-  const companyMap = {};
-  companiesSnap.forEach((docSnap) => {
-    const data = docSnap.data();
-    companyMap[docSnap.id] = data.companyName || data.name || docSnap.id;
-  });
-
-  const statuses = [];
-  vaultSnap.forEach((docSnap) => {
-    const data = docSnap.data();
-    statuses.push({
-      companyId: docSnap.id,
-      companyName: companyMap[docSnap.id] || docSnap.id,
-      dpoEmail: data.dpoEmail,
-      keyVersion: data.keyVersion,
-      createdAt: data.createdAt,
-      status: data.status,
-      rotatedAt: data.rotatedAt,
-      hasWrappedSecret: !!data.wrappedSecret,
-    });
-  });
-
-  return statuses;
+  const getKeyVaultStatusesFunc = httpsCallable(functions, "getKeyVaultStatuses");
+  const result = await getKeyVaultStatusesFunc({});
+  return result.data.data;
 };
 
 /**
- * Rotate the company's key pair.
+ * Rotate the company's key pair and data key.
  *
- * Generates a new 64-char key, replaces keyPartA in Firestore, increments
- * keyVersion, records rotatedAt and rotatedBy, and returns the new keyPartB.
- * The new keyPartB is NEVER stored in Firestore.
+ * Replaces Key Part A, increments keyVersion and returns the new Key Part B,
+ * or new shares for the same custodians when custody is set up. The old
+ * Key Part B and shares stop working. A new data key version is added and a
+ * background job re-encrypts existing content with it; its progress is in
+ * the vault status as `reencryption`.
  *
- * @param {string} companyId     - Company ID
- * @param {string} currentUserId - ID of the super_admin performing the rotation
- * @returns {Promise<string>} new keyPartB
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{keyPartB: string|null, shares: Array|null, threshold: number|null, keyVersion: number, rotationJobId: string}>}
  */
-export const rotateKey = async (companyId, currentUserId) => {
-  const vaultRef = doc(db, "keyVault", companyId);
-  const existing = await getDoc(vaultRef);
-
-  if (!existing.exists()) {
-    throw new Error("Key vault not initialized for this company");
-  }
-
-  const fullKey = generateFullKey();
-  const newKeyPartA = fullKey.slice(0, 32);
-  const newKeyPartB = fullKey.slice(32);
-
-  const wrappedSecret = CryptoJS.AES.encrypt(ANONYMOUS_SECRET, newKeyPartA + newKeyPartB).toString();
-
-  await updateDoc(vaultRef, {
-    keyPartA: newKeyPartA,
-    wrappedSecret,
-    keyVersion: increment(1),
-    rotatedAt: serverTimestamp(),
-    rotatedBy: currentUserId,
-  });
-
-  // newKeyPartB is returned to the caller and NEVER written to Firestore
-  return newKeyPartB;
+export const rotateKey = async (companyId) => {
+  const rotateKeyVaultFunc = httpsCallable(functions, "rotateKeyVault");
+  const result = await rotateKeyVaultFunc({ companyId });
+  return result.data.data;
 };
 
 /**
- * Retrieve Key Part A for a company.
- * Used during legal disclosure decryption.
- * Only call this from super_admin-gated code paths.
+ * Split Key Part B among M-of-N custodians instead of the DPO.
  *
- * @param {string} companyId - Company ID
- * @returns {Promise<string>} keyPartA
+ * Issues new keys and returns one share per custodian, shown once for
+ * out-of-band delivery. Any `threshold` custodians together can disclose;
+ * the previous Key Part B and shares stop working.
+ *
+ * @param {string} companyId  - Company ID
+ * @param {number} threshold  - Shares needed to disclose (M)
+ * @param {Array<{username: string, role: string}>} custodians - N custodians, role from KeyCustodianRole
+ * @returns {Promise<{shares: Array<{custodianId, name, username, role, email, share}>, threshold: number, keyVersion: number}>}
  */
-export const getKeyPartA = async (companyId) => {
-  const vaultRef = doc(db, "keyVault", companyId);
-  const snap = await getDoc(vaultRef);
-
-  if (!snap.exists()) {
-    throw new Error("Key vault not found for this company");
-  }
-
-  return snap.data().keyPartA;
+export const configureKeyCustody = async (companyId, threshold, custodians) => {
+  const configureKeyCustodyFunc = httpsCallable(functions, "configureKeyCustody");
+  const result = await configureKeyCustodyFunc({ companyId, custody: { threshold, custodians } });
+  return result.data.data;
 };
 
 /**
- * Verify Key Part B via the wrappedSecret, then decrypt the anonymous author ID
- * using ANONYMOUS_SECRET (the same key used to encrypt it at post creation time).
+ * Which custodians have submitted their share for a legal request.
  *
- * @param {string} companyId         - Company ID
- * @param {string} encryptedAuthorId - CryptoJS AES-encrypted author ID
- * @param {string} keyPartB          - Key Part B (provided by the DPO)
- * @returns {Promise<string>} Decrypted userId
+ * @param {string} legalRequestId - Approved legal request ID
+ * @returns {Promise<{custody: boolean, threshold?, submittedCount?, expiresAt?, custodians?}>}
+ *   custody is false when the DPO holds Key Part B
  */
-export const combineAndDecrypt = async (companyId, encryptedAuthorId, keyPartB) => {
-  const vaultRef = doc(db, "keyVault", companyId);
-  const vaultSnap = await getDoc(vaultRef);
-
-  if (!vaultSnap.exists()) {
-    throw new Error("Key Vault not initialized for this company. Please initialize it in Key Vault Management first.");
-  }
-
-  const { keyPartA, wrappedSecret } = vaultSnap.data();
-
-  // Step 1: Verify KeyPartB by unwrapping the secret — recover the original secret
-  let recoveredSecret;
-  try {
-    const unwrappedBytes = CryptoJS.AES.decrypt(wrappedSecret, keyPartA + keyPartB);
-    recoveredSecret = unwrappedBytes.toString(CryptoJS.enc.Utf8);
-    if (!recoveredSecret || recoveredSecret.length < 8) {
-      throw new Error("Invalid Key Part B. Please verify with the DPO and try again.");
-    }
-  } catch (e) {
-    throw new Error("Invalid Key Part B. Please verify with the DPO and try again.");
-  }
-
-  // Step 2: Decrypt the authorId using the recovered secret (not the constant)
-  try {
-    const bytes = CryptoJS.AES.decrypt(encryptedAuthorId, recoveredSecret);
-    const userId = bytes.toString(CryptoJS.enc.Utf8);
-    console.log('VoxWel decrypt - recoveredSecret length:', recoveredSecret.length);
-    console.log('VoxWel decrypt - userId result:', userId ? 'success ✓' : 'empty ✗');
-    if (!userId || userId.length < 5) {
-      throw new Error("Decryption produced invalid result. The post may use a different key version.");
-    }
-    return userId;
-  } catch (e) {
-    throw new Error("Could not decrypt reporter identity. " + e.message);
-  }
+export const getDisclosureSession = async (legalRequestId) => {
+  const getDisclosureSessionFunc = httpsCallable(functions, "getDisclosureSession");
+  const result = await getDisclosureSessionFunc({ legalRequestId });
+  return result.data.data;
 };
 
 /**
- * Re-initialize an existing vault (overwrites keys). Use when a vault is missing
- * the wrappedSecret field (created before that field existed).
+ * Legal requests waiting for the signed-in user's key share, for every
+ * company whose Key Part B they hold a share of.
  *
- * @param {string} companyId     - Firestore company document ID
- * @param {string} dpoEmail      - DPO email for this company
- * @param {string} currentUserId - ID of the super_admin performing the action
- * @returns {Promise<string>} new keyPartB — must be delivered to DPO immediately
+ * @returns {Promise<Array<{legalRequestId, companyId, companyName, requestedBy, legalJustification, courtOrderUrl, submittedByMe, threshold, submittedCount, expiresAt, custodians}>>}
  */
-export const reinitializeKeyVault = async (companyId, dpoEmail, currentUserId) => {
-  const vaultRef = doc(db, "keyVault", companyId);
-
-  const fullKey = generateFullKey();
-  const keyPartA = fullKey.slice(0, 32);
-  const newKeyPartB = fullKey.slice(32);
+export const getCustodianRequests = async () => {
+  const getCustodianRequestsFunc = httpsCallable(functions, "getCustodianRequests");
+  const result = await getCustodianRequestsFunc({});
+  return result.data.data;
+};
 
-  const wrappedSecret = CryptoJS.AES.encrypt(ANONYMOUS_SECRET, keyPartA + newKeyPartB).toString();
+/**
+ * Submit the signed-in user's key share for a legal request. Shares are only
+ * accepted from the custodian they were issued to; every attempt is written
+ * to the disclosure audit log.
+ *
+ * @param {string} legalRequestId - Approved legal request ID
+ * @param {string} share          - The custodian's key share
+ * @returns {Promise<Object>} Updated session, as getDisclosureSession()
+ */
+export const submitCustodyShare = async (legalRequestId, share) => {
+  const submitCustodyShareFunc = httpsCallable(functions, "submitCustodyShare");
+  const result = await submitCustodyShareFunc({ legalRequestId, share });
+  return result.data.data;
+};
 
-  await setDoc(vaultRef, {
-    keyPartA,
-    wrappedSecret,
-    dpoEmail,
-    keyVersion: 1,
-    companyId,
-    initializedBy: currentUserId,
-    createdAt: serverTimestamp(),
-    status: "active",
-  });
+/**
+ * Disclose the author of the post named in an approved legal request.
+ *
+ * Runs in Cloud Functions: Key Part A from the vault and Key Part B recover
+ * the escrowed data key the author ID was encrypted with. Only the identity
+ * comes back, never a key, and only after the disclosure is written to the
+ * disclosure audit log.
+ *
+ * @param {string} legalRequestId      - Approved legal request ID
+ * @param {string|null} keyPartB       - Key Part B from the DPO; null when custodians
+ *                                       have submitted their shares instead
+ * @param {string|null} deliveryMethod - How the identity will be delivered, for the audit log
+ * @returns {Promise<{identity: Object, keyVersion: number, dpoEmail: string, auditId: string}>}
+ */
+export const combineAndDecrypt = async (legalRequestId, keyPartB = null, deliveryMethod = null) => {
+  const combineAndDecryptFunc = httpsCallable(functions, "combineAndDecrypt");
+  const result = await combineAndDecryptFunc({ legalRequestId, keyPartB, deliveryMethod });
+  return result.data.data;
+};
 
-  // newKeyPartB is returned to the caller and NEVER written to Firestore
-  return newKeyPartB;
+/**
+ * Re-initialize an existing vault (new keys). Use when a vault was created
+ * before data keys were escrowed server-side.
+ *
+ * @param {string} companyId - Firestore company document ID
+ * @param {string} dpoEmail  - DPO email for this company
+ * @returns {Promise<{keyPartB: string|null, shares: Array|null, threshold: number|null, keyVersion: number}>}
+ *   keyPartB, or each share, must be delivered immediately
+ */
+export const reinitializeKeyVault = async (companyId, dpoEmail) => {
+  const reinitializeKeyVaultFunc = httpsCallable(functions, "reinitializeKeyVault");
+  const result = await reinitializeKeyVaultFunc({ companyId, dpoEmail });
+  return result.data.data;
 };
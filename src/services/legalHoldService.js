@@ -0,0 +1,103 @@
+/**
+ * Legal Hold Service
+ * Frontend service for legal holds on posts, comments, anonymous threads and users
+ *
+ * Holds are placed and released by Cloud Functions. Held items carry
+ * legalHold: true; the services that edit or delete content call
+ * assertNotUnderLegalHold first, which logs the refused attempt.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { collection, getDocs, query, where, orderBy } from "firebase/firestore";
+import { db, functions } from "../config/firebase";
+import { logSystemActivity } from "./auditService";
+import { LegalHoldStatus, SystemActivityType } from "../utils/constants";
+
+export const LEGAL_HOLD_ERROR = "This content is under legal hold and cannot be edited or deleted";
+
+/**
+ * Place a legal hold (super admin only)
+ * @param {Object} holdData - { targetType, targetId, legalRequestId, reason }
+ * @returns {Promise<Object>} The hold
+ */
+export async function placeLegalHold(holdData) {
+  const placeLegalHoldFunc = httpsCallable(functions, "placeLegalHold");
+  const result = await placeLegalHoldFunc(holdData);
+  return result.data.data;
+}
+
+/**
+ * Release a legal hold (super admin only)
+ * @param {string} holdId - Hold ID
+ * @param {string} note - Why the hold is released
+ * @returns {Promise<{released: number, stillHeld: number}>}
+ */
+export async function releaseLegalHold(holdId, note = "") {
+  const releaseLegalHoldFunc = httpsCallable(functions, "releaseLegalHold");
+  const result = await releaseLegalHoldFunc({ holdId, note });
+  return result.data.data;
+}
+
+/**
+ * Get legal holds by status, newest first (super admin only)
+ * @param {string} status - LegalHoldStatus value
+ * @returns {Promise<Array>}
+ */
+export const getLegalHolds = async (status = LegalHoldStatus.ACTIVE) => {
+  try {
+    const q = query(
+      collection(db, "legalHolds"),
+      where("status", "==", status),
+      orderBy("placedAt", "desc")
+    );
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs.map((d) => ({
+      id: d.id,
+      ...d.data(),
+      placedAt: d.data().placedAt?.toDate(),
+      releasedAt: d.data().releasedAt?.toDate(),
+    }));
+  } catch (error) {
+    console.error("Error fetching legal holds:", error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether an item is under legal hold
+ * @param {Object} data - Post, comment, thread or user data
+ * @returns {boolean}
+ */
+export const isUnderLegalHold = (data) => data?.legalHold === true;
+
+/**
+ * Check whether an error came from assertNotUnderLegalHold
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+export const isLegalHoldError = (error) => error?.message === LEGAL_HOLD_ERROR;
+
+/**
+ * Log a refused edit or deletion of a held item to the company audit log
+ * @param {Object} data - Current data of the item
+ * @param {Object} attempt - { contentType, contentId, action, companyId, userId }
+ * @returns {Promise<object>}
+ */
+export const logLegalHoldBlock = async (data, attempt) => {
+  const { companyId, ...metadata } = attempt;
+  return logSystemActivity(companyId || data.companyId, SystemActivityType.LEGAL_HOLD_BLOCKED, metadata);
+};
+
+/**
+ * Refuse to edit or delete a held item, logging the attempt
+ * @param {Object} data - Current data of the item
+ * @param {Object} attempt - { contentType, contentId, action, companyId, userId }
+ * @throws {Error} If the item is under legal hold
+ */
+export const assertNotUnderLegalHold = async (data, attempt) => {
+  if (!isUnderLegalHold(data)) return;
+
+  await logLegalHoldBlock(data, attempt);
+  throw new Error(LEGAL_HOLD_ERROR);
+};
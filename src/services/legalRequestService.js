@@ -9,11 +9,47 @@ import {
   where,
   orderBy,
   serverTimestamp,
-  Timestamp,
+  arrayUnion,
 } from "firebase/firestore";
-import { db } from "../config/firebase";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../config/firebase";
 import { logSystemActivity } from "./auditService";
-import { LegalRequestStatus } from "../utils/constants";
+import {
+  LegalRequestStatus,
+  LegalRequestEvent,
+  DEFAULT_LEGAL_APPROVAL_POLICY,
+} from "../utils/constants";
+
+// Reviews run in Cloud Functions (functions/services/legalApprovalService.js):
+// identity disclosure requests need several distinct approvers and a
+// cooling-off period, so clients cannot set review fields themselves.
+
+/**
+ * Build a timeline entry written by the client
+ */
+const timelineEvent = (type, actorId, actorName, note = null) => ({
+  id: crypto.randomUUID(),
+  type,
+  actorId,
+  actorName,
+  at: new Date().toISOString(),
+  note,
+});
+
+/**
+ * Convert the Firestore timestamps of a legal request to dates
+ */
+const toLegalRequest = (snap) => ({
+  id: snap.id,
+  ...snap.data(),
+  createdAt: snap.data().createdAt?.toDate(),
+  updatedAt: snap.data().updatedAt?.toDate(),
+  reviewedAt: snap.data().reviewedAt?.toDate(),
+  fulfilledAt: snap.data().fulfilledAt?.toDate(),
+  coolingOffEndsAt: snap.data().coolingOffEndsAt?.toDate() || null,
+  approvals: snap.data().approvals || [],
+  timeline: snap.data().timeline || [],
+});
 
 // ============================================
 // LEGAL REQUEST CRUD OPERATIONS
@@ -66,6 +102,8 @@ export const createLegalRequest = async (requestData) => {
       disclosedData: null,
       disclosureMethod: null,
       fulfilledAt: null,
+      approvals: [],
+      timeline: [timelineEvent(LegalRequestEvent.SUBMITTED, requestedByUserId, requestedBy)],
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
     });
@@ -75,8 +113,6 @@ export const createLegalRequest = async (requestData) => {
       requestId: legalRequestRef.id,
       requestType,
       reportId,
-      requestedBy,
-      requestedByUserId,
     });
 
     return legalRequestRef.id;
@@ -100,14 +136,7 @@ export const getLegalRequest = async (requestId) => {
       throw new Error("Legal request not found");
     }
 
-    return {
-      id: requestSnap.id,
-      ...requestSnap.data(),
-      createdAt: requestSnap.data().createdAt?.toDate(),
-      updatedAt: requestSnap.data().updatedAt?.toDate(),
-      reviewedAt: requestSnap.data().reviewedAt?.toDate(),
-      fulfilledAt: requestSnap.data().fulfilledAt?.toDate(),
-    };
+    return toLegalRequest(requestSnap);
   } catch (error) {
     console.error("Error fetching legal request:", error);
     throw error;
@@ -140,14 +169,7 @@ export const getCompanyLegalRequests = async (companyId, status = null) => {
     }
 
     const snapshot = await getDocs(q);
-    return snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate(),
-      updatedAt: doc.data().updatedAt?.toDate(),
-      reviewedAt: doc.data().reviewedAt?.toDate(),
-      fulfilledAt: doc.data().fulfilledAt?.toDate(),
-    }));
+    return snapshot.docs.map(toLegalRequest);
   } catch (error) {
     console.error("Error fetching company legal requests:", error);
     return [];
@@ -174,14 +196,7 @@ export const getAllLegalRequests = async (status = null) => {
     }
 
     const snapshot = await getDocs(q);
-    return snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate(),
-      updatedAt: doc.data().updatedAt?.toDate(),
-      reviewedAt: doc.data().reviewedAt?.toDate(),
-      fulfilledAt: doc.data().fulfilledAt?.toDate(),
-    }));
+    return snapshot.docs.map(toLegalRequest);
   } catch (error) {
     console.error("Error fetching all legal requests:", error);
     return [];
@@ -190,20 +205,27 @@ export const getAllLegalRequests = async (status = null) => {
 
 /**
  * Review a legal request (approve/reject)
+ *
+ * The reviewer must not be the person who submitted the request, and may
+ * approve it only once. An identity disclosure request stays under review
+ * until it has the approvals its company's policy requires; the last one
+ * starts the cooling-off period.
+ *
  * @param {string} requestId - Legal request ID
- * @param {Object} reviewData - Review data
- * @returns {Promise<void>}
+ * @param {Object} reviewData - { status, approvalNotes, rejectionReason,
+ *   disclosureMethod, reporterNotice, withholdReason }; reporterNotice is a
+ *   ReporterNotice value, withholdReason the legal grounds for withholding
+ * @returns {Promise<{status: string, approvals: Array, requiredApprovals: number, coolingOffEndsAt: string|null}>}
  */
 export const reviewLegalRequest = async (requestId, reviewData) => {
   try {
     const {
-      reviewedBy,
-      reviewedByUserId,
       status,
       approvalNotes,
       rejectionReason,
-      disclosedData,
       disclosureMethod,
+      reporterNotice,
+      withholdReason,
     } = reviewData;
 
     // Validate status
@@ -214,39 +236,68 @@ export const reviewLegalRequest = async (requestId, reviewData) => {
       throw new Error("Invalid review status");
     }
 
-    // Get the request to fetch companyId for logging
-    const request = await getLegalRequest(requestId);
+    const reviewLegalRequestFunc = httpsCallable(functions, "reviewLegalRequest");
+    const result = await reviewLegalRequestFunc({
+      requestId,
+      decision: status === LegalRequestStatus.APPROVED ? "approve" : "reject",
+      notes: approvalNotes || null,
+      rejectionReason: rejectionReason || null,
+      disclosureMethod: disclosureMethod || null,
+      reporterNotice: reporterNotice || null,
+      withholdReason: withholdReason || null,
+    });
+    return result.data.data;
+  } catch (error) {
+    console.error("Error reviewing legal request:", error);
+    throw error;
+  }
+};
 
-    const updateData = {
-      status,
-      reviewedBy,
-      reviewedByUserId,
-      reviewedAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    };
+/**
+ * Whether an approved request's cooling-off period is over
+ * @param {Object} request - Legal request, as returned by this service
+ * @returns {boolean}
+ */
+export const isCoolingOffOver = (request) =>
+  !request.coolingOffEndsAt || request.coolingOffEndsAt <= new Date();
 
-    if (status === LegalRequestStatus.APPROVED) {
-      updateData.approvalNotes = approvalNotes || null;
-      updateData.disclosedData = disclosedData || null;
-      updateData.disclosureMethod = disclosureMethod || null;
-    } else {
-      updateData.rejectionReason = rejectionReason || null;
+/**
+ * Get a company's approval policy for identity disclosure requests
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{requiredApprovals: number, coolingOffHours: number}>}
+ */
+export const getLegalApprovalPolicy = async (companyId) => {
+  try {
+    const policySnap = await getDoc(doc(db, "legalApprovalPolicies", companyId));
+    if (!policySnap.exists()) {
+      return { ...DEFAULT_LEGAL_APPROVAL_POLICY };
     }
 
-    // Update the request
-    const requestRef = doc(db, "legalRequests", requestId);
-    await updateDoc(requestRef, updateData);
+    const data = policySnap.data();
+    return {
+      requiredApprovals: data.requiredApprovals ?? DEFAULT_LEGAL_APPROVAL_POLICY.requiredApprovals,
+      coolingOffHours: data.coolingOffHours ?? DEFAULT_LEGAL_APPROVAL_POLICY.coolingOffHours,
+    };
+  } catch (error) {
+    console.error("Error fetching legal approval policy:", error);
+    return { ...DEFAULT_LEGAL_APPROVAL_POLICY };
+  }
+};
 
-    // Log the activity
-    await logSystemActivity(request.companyId, "legal_request_reviewed", {
-      requestId,
-      status,
-      reviewedBy,
-      reviewedByUserId,
-      reportId: request.reportId,
-    });
+/**
+ * Update a company's approval policy for identity disclosure requests
+ * (super admins only). Requests already under review keep their policy.
+ * @param {string} companyId - Company ID
+ * @param {{requiredApprovals: number, coolingOffHours: number}} policy
+ * @returns {Promise<Object>} Saved policy
+ */
+export const updateLegalApprovalPolicy = async (companyId, policy) => {
+  try {
+    const updateLegalApprovalPolicyFunc = httpsCallable(functions, "updateLegalApprovalPolicy");
+    const result = await updateLegalApprovalPolicyFunc({ companyId, policy });
+    return result.data.data;
   } catch (error) {
-    console.error("Error reviewing legal request:", error);
+    console.error("Error updating legal approval policy:", error);
     throw error;
   }
 };
@@ -265,10 +316,13 @@ export const fulfillLegalRequest = async (requestId, fulfillmentData) => {
     // Get the request to fetch companyId for logging
     const request = await getLegalRequest(requestId);
 
-    // Ensure request is approved before fulfilling
+    // Ensure request is approved and out of its cooling-off period before fulfilling
     if (request.status !== LegalRequestStatus.APPROVED) {
       throw new Error("Only approved requests can be fulfilled");
     }
+    if (!isCoolingOffOver(request)) {
+      throw new Error("This request is still in its cooling-off period");
+    }
 
     const updateData = {
       status: LegalRequestStatus.FULFILLED,
@@ -276,6 +330,9 @@ export const fulfillLegalRequest = async (requestId, fulfillmentData) => {
       disclosureMethod: disclosureMethod || request.disclosureMethod,
       fulfilledAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
+      timeline: arrayUnion(
+        timelineEvent(LegalRequestEvent.FULFILLED, fulfilledByUserId || null, fulfilledBy || null)
+      ),
     };
 
     // Update the request
@@ -286,8 +343,6 @@ export const fulfillLegalRequest = async (requestId, fulfillmentData) => {
     await logSystemActivity(request.companyId, "legal_request_fulfilled", {
       requestId,
       disclosureMethod: updateData.disclosureMethod,
-      fulfilledBy,
-      fulfilledByUserId,
       reportId: request.reportId,
     });
   } catch (error) {
@@ -310,14 +365,7 @@ export const getLegalRequestsByReport = async (reportId) => {
     );
 
     const snapshot = await getDocs(q);
-    return snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate(),
-      updatedAt: doc.data().updatedAt?.toDate(),
-      reviewedAt: doc.data().reviewedAt?.toDate(),
-      fulfilledAt: doc.data().fulfilledAt?.toDate(),
-    }));
+    return snapshot.docs.map(toLegalRequest);
   } catch (error) {
     console.error("Error fetching legal requests by report:", error);
     return [];
@@ -381,42 +429,3 @@ export const getLegalRequestStats = async (companyId = null) => {
     };
   }
 };
-
-/**
- * Update legal request status
- * @param {string} requestId - Legal request ID
- * @param {string} status - New status
- * @param {string} updatedBy - User who updated
- * @param {string} updatedByUserId - User ID who updated
- * @returns {Promise<void>}
- */
-export const updateLegalRequestStatus = async (
-  requestId,
-  status,
-  updatedBy,
-  updatedByUserId
-) => {
-  try {
-    // Get the request to fetch companyId for logging
-    const request = await getLegalRequest(requestId);
-
-    // Update the request
-    const requestRef = doc(db, "legalRequests", requestId);
-    await updateDoc(requestRef, {
-      status,
-      updatedAt: serverTimestamp(),
-    });
-
-    // Log the activity
-    await logSystemActivity(request.companyId, "legal_request_status_updated", {
-      requestId,
-      status,
-      updatedBy,
-      updatedByUserId,
-      reportId: request.reportId,
-    });
-  } catch (error) {
-    console.error("Error updating legal request status:", error);
-    throw error;
-  }
-};
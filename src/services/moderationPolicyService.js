@@ -0,0 +1,90 @@
+/**
+ * Moderation Policy Service
+ * Frontend service for per-company moderation policies: the strike ladder,
+ * strike expiry, HR escalation reasons and report retention
+ */
+
+import { doc, getDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+import { DEFAULT_MODERATION_POLICY, StrikeOutcome } from '../utils/constants';
+
+/**
+ * Get a company's moderation policy
+ * Falls back to the default policy for fields the company has not set
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Policy
+ */
+export async function getModerationPolicy(companyId) {
+  try {
+    const policyDoc = await getDoc(doc(db, 'moderationPolicies', companyId));
+    if (!policyDoc.exists()) {
+      return { ...DEFAULT_MODERATION_POLICY };
+    }
+
+    const data = policyDoc.data();
+    const policy = { ...DEFAULT_MODERATION_POLICY };
+    Object.keys(DEFAULT_MODERATION_POLICY).forEach((field) => {
+      if (data[field] !== undefined) policy[field] = data[field];
+    });
+    return policy;
+  } catch (error) {
+    console.error('Error getting moderation policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a company's moderation policy
+ * An empty strikeExpiryDays means strikes never expire
+ * @param {string} companyId - Company ID
+ * @param {Object} policy - Policy fields
+ * @returns {Promise<Object>} Saved policy
+ */
+export async function updateModerationPolicy(companyId, policy) {
+  const updateModerationPolicyFunc = httpsCallable(functions, 'updateCompanyModerationPolicy');
+  const result = await updateModerationPolicyFunc({ companyId, policy });
+  return result.data.data;
+}
+
+/**
+ * Whether a strike still counts toward the ladder
+ * @param {Object} strike - userStrikes document data
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isStrikeActive(strike, now = new Date()) {
+  // Reversed on appeal, or already decayed by the expiry job
+  if (strike.isActive === false) return false;
+  if (!strike.expiresAt) return true;
+  const expiresAt = strike.expiresAt.toDate ? strike.expiresAt.toDate() : new Date(strike.expiresAt);
+  return expiresAt > now;
+}
+
+/**
+ * What a strike at a given level leads to
+ * @param {Object} policy - Moderation policy
+ * @param {number} strikeLevel - Number of active strikes including this one
+ * @returns {{ outcome: string, days: number|null }}
+ */
+export function getStrikeOutcome(policy, strikeLevel) {
+  if (strikeLevel >= policy.suspendAtStrikes) {
+    return { outcome: StrikeOutcome.SUSPENSION, days: policy.suspensionDays };
+  }
+  if (strikeLevel >= policy.restrictAtStrikes) {
+    return { outcome: StrikeOutcome.RESTRICTION, days: policy.restrictionDays };
+  }
+  return { outcome: StrikeOutcome.WARNING, days: null };
+}
+
+/**
+ * Expiry date for a strike issued now, or null if strikes never expire
+ * @param {Object} policy - Moderation policy
+ * @returns {Date|null}
+ */
+export function getStrikeExpiryDate(policy) {
+  if (!policy.strikeExpiryDays) return null;
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + policy.strikeExpiryDays);
+  return expiresAt;
+}
@@ -4,6 +4,7 @@ import {
   doc,
   getDoc,
   getDocs,
+  setDoc,
   updateDoc,
   query,
   where,
@@ -12,19 +13,32 @@ import {
   serverTimestamp,
   increment,
   Timestamp,
+  writeBatch,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
-import { decryptAuthorId } from "./postManagementService";
+import { assertNotUnderLegalHold } from "./legalHoldService";
+import {
+  getModerationPolicy,
+  isStrikeActive,
+  getStrikeOutcome,
+  getStrikeExpiryDate,
+} from "./moderationPolicyService";
 import {
   ReportStatus,
   ReportableContentType,
   ModerationActionType,
-  StrikeLevel,
-  StrikeConfig,
+  StrikeOutcome,
+  StrikeOutcomeConfig,
+  DEFAULT_MODERATION_POLICY,
   RestrictionType,
   ModerationActivityType,
   NotificationType,
   UserStatus,
+  ReportSeverity,
+  ReportSeverityConfig,
+  ReportReasonSeverity,
+  REPORT_CASE_ESCALATION_REPORTERS,
+  AppealStatus,
 } from "../utils/constants";
 
 // ============================================
@@ -66,9 +80,9 @@ export const createContentReport = async (reportData) => {
       throw new Error("Content not found");
     }
 
-    // Detect critical report types for HR auto-escalation
-    const criticalReasons = ["harassment", "discrimination", "violence"];
-    const isCritical = criticalReasons.includes(reason);
+    // The company's moderation policy decides which reasons escalate to HR
+    const policy = await getModerationPolicy(companyId);
+    const isCritical = policy.escalationReasons.includes(reason);
 
     // Create report
     const report = {
@@ -79,14 +93,9 @@ export const createContentReport = async (reportData) => {
       reportedBy,
       companyId,
       status: ReportStatus.PENDING,
-      contentAuthorId: (() => {
-        // Use creatorId (real user ID) when available; otherwise try to decrypt for anonymous posts
-        if (content.creatorId) return content.creatorId;
-        if (content.isAnonymous && content.authorId) {
-          try { const d = decryptAuthorId(content.authorId); if (d) return d; } catch {}
-        }
-        return content.authorId || content.userId;
-      })(),
+      // Anonymous content stores the author only encrypted, and only legal
+      // disclosure can recover it, so its author is not recorded
+      contentAuthorId: content.isAnonymous ? null : content.authorId || content.userId,
       contentPreview:
         contentType === ReportableContentType.POST
           ? content.title || content.description?.substring(0, 200)
@@ -98,7 +107,7 @@ export const createContentReport = async (reportData) => {
       // Auto-set critical priority and legal hold for serious incidents
       priority: isCritical ? "critical" : "medium",
       legalHold: isCritical,
-      retentionYears: isCritical ? 7 : 2, // EEOC compliance: 7 years for harassment
+      retentionYears: isCritical ? policy.criticalRetentionYears : policy.standardRetentionYears,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
     };
@@ -314,6 +323,9 @@ export const getReportById = async (reportId) => {
       }
     }
 
+    // Other reports about the same content, reviewed together
+    reportData.case = await getReportCase(reportData);
+
     // Get author's moderation history
     if (reportData.contentAuthorId) {
       reportData.authorHistory = await getUserModerationHistory(
@@ -329,6 +341,202 @@ export const getReportById = async (reportId) => {
   }
 };
 
+// ============================================
+// REPORT CASES
+// ============================================
+
+const CLOSED_REPORT_STATUSES = [ReportStatus.RESOLVED, ReportStatus.DISMISSED];
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const isReportClosed = (report) => CLOSED_REPORT_STATUSES.includes(report.status);
+
+/**
+ * Key of the case a report belongs to
+ * Open reports about the same content form one case; closed reports stay
+ * with the reports they were resolved together with
+ * @param {Object} report - Report data
+ * @returns {string}
+ */
+const getCaseKey = (report) => {
+  const contentKey = `${report.contentType}:${report.contentId}`;
+  return isReportClosed(report)
+    ? `${contentKey}:${report.resolvedWithReportId || report.id}`
+    : contentKey;
+};
+
+/**
+ * Combined severity of a set of reports about the same content
+ * @param {Array} reports - Reports in the case
+ * @returns {string} ReportSeverity value
+ */
+export const getCaseSeverity = (reports) => {
+  if (reports.some((report) => report.priority === "critical")) {
+    return ReportSeverity.CRITICAL;
+  }
+
+  const levels = Object.values(ReportSeverity);
+  let rank = Math.max(
+    ...reports.map((report) => ReportSeverityConfig[ReportReasonSeverity[report.reason] || ReportSeverity.LOW].rank)
+  );
+
+  // Many people reporting the same content raises it one level
+  const reporterCount = new Set(reports.map((report) => report.reportedBy)).size;
+  if (reporterCount >= REPORT_CASE_ESCALATION_REPORTERS) {
+    rank = Math.min(rank + 1, levels.length - 1);
+  }
+
+  return levels.find((level) => ReportSeverityConfig[level].rank === rank);
+};
+
+/**
+ * Combine reports about the same content into a case
+ * @param {Array} reports - Reports in the case
+ * @returns {Object} Case with its reports, newest first
+ */
+export const buildReportCase = (reports) => {
+  const sorted = [...reports].sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+  const latest = sorted[0];
+  const openReports = sorted.filter((report) => !isReportClosed(report));
+
+  const reasonCounts = {};
+  sorted.forEach((report) => {
+    reasonCounts[report.reason] = (reasonCounts[report.reason] || 0) + 1;
+  });
+  const bySeverity = (a, b) =>
+    ReportSeverityConfig[ReportReasonSeverity[b] || ReportSeverity.LOW].rank
+    - ReportSeverityConfig[ReportReasonSeverity[a] || ReportSeverity.LOW].rank;
+
+  return {
+    id: getCaseKey(latest),
+    contentType: latest.contentType,
+    contentId: latest.contentId,
+    contentPreview: latest.contentPreview,
+    contentAuthorId: latest.contentAuthorId,
+    contentAuthorName: latest.contentAuthorName,
+    companyId: latest.companyId,
+    // Actions are taken on the newest open report and applied to the rest
+    primaryReportId: (openReports[0] || latest).id,
+    reports: sorted,
+    reportCount: sorted.length,
+    reporterCount: new Set(sorted.map((report) => report.reportedBy)).size,
+    reasons: Object.keys(reasonCounts).sort(bySeverity),
+    reasonCounts,
+    descriptions: sorted.map((report) => report.description).filter(Boolean),
+    severity: getCaseSeverity(sorted),
+    status: openReports[0]?.status || latest.status,
+    legalHold: sorted.some((report) => report.legalHold),
+    previouslyActionedForContent: latest.previouslyActionedForContent || 0,
+    firstReportedAt: sorted[sorted.length - 1].createdAt,
+    lastReportedAt: latest.createdAt,
+  };
+};
+
+/**
+ * Group reports into cases, one per reported post or comment
+ * @param {Array} reports - Reports, e.g. from getCompanyReports
+ * @returns {Array} Cases, in no particular order
+ */
+export const groupReportsIntoCases = (reports) => {
+  const groups = new Map();
+  reports.forEach((report) => {
+    const key = getCaseKey(report);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(report);
+  });
+  return [...groups.values()].map(buildReportCase);
+};
+
+/**
+ * Get the case a report belongs to
+ * @param {Object} report - Report data with id
+ * @returns {Promise<Object>} Case built from every report in it
+ */
+export const getReportCase = async (report) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, "contentReports"),
+      where("contentId", "==", report.contentId),
+      where("companyId", "==", report.companyId)
+    ));
+    const caseKey = getCaseKey(report);
+    const reports = snapshot.docs
+      .map((reportDoc) => ({ id: reportDoc.id, ...reportDoc.data() }))
+      .filter((other) => other.contentType === report.contentType && getCaseKey(other) === caseKey);
+
+    return buildReportCase(reports.length > 0 ? reports : [report]);
+  } catch (error) {
+    console.error("Error getting report case:", error);
+    throw error;
+  }
+};
+
+/**
+ * Apply the outcome of the action taken on a case's primary report to the
+ * other open reports in the case, and tell each reporter what happened
+ * @param {Object} primaryReport - Report the action was taken on
+ * @param {Object} reportCase - Case from getReportCase, before the action
+ */
+const applyOutcomeToCase = async (primaryReport, reportCase) => {
+  const outcomeDoc = await getDoc(doc(db, "contentReports", primaryReport.id));
+  const outcome = outcomeDoc.data();
+  const closed = isReportClosed(outcome);
+
+  const outcomeFields = {
+    status: outcome.status,
+    actionTaken: outcome.actionTaken || null,
+    reviewedBy: outcome.reviewedBy || null,
+    reviewedAt: serverTimestamp(),
+    moderatorNotes: outcome.moderatorNotes || "",
+    updatedAt: serverTimestamp(),
+  };
+  if (outcome.escalatedTo) {
+    outcomeFields.escalatedTo = outcome.escalatedTo;
+    outcomeFields.escalatedBy = outcome.escalatedBy;
+    outcomeFields.escalatedAt = serverTimestamp();
+  }
+  // Closed reports remember which reports they were resolved with
+  if (closed) {
+    outcomeFields.resolvedWithReportId = primaryReport.id;
+  }
+
+  const caseReports = reportCase.reports.filter((report) => !isReportClosed(report));
+  const batch = writeBatch(db);
+  caseReports.forEach((report) => {
+    if (report.id !== primaryReport.id) {
+      batch.update(doc(db, "contentReports", report.id), outcomeFields);
+    }
+  });
+  if (closed) {
+    batch.update(doc(db, "contentReports", primaryReport.id), { resolvedWithReportId: primaryReport.id });
+  }
+  await batch.commit();
+
+  if (!closed) return;
+
+  // Each reporter hears about the outcome once, without details of any
+  // action taken against the author
+  const contentLabel = primaryReport.contentType === ReportableContentType.POST ? "post" : "comment";
+  const dismissed = outcome.status === ReportStatus.DISMISSED;
+  const reporters = new Map();
+  caseReports.forEach((report) => {
+    if (report.reportedBy && !reporters.has(report.reportedBy)) reporters.set(report.reportedBy, report.id);
+  });
+
+  for (const [reporterId, reportId] of reporters) {
+    await createNotification({
+      userId: reporterId,
+      type: NotificationType.REPORT_OUTCOME,
+      title: dismissed ? "Report Reviewed" : "Report Resolved",
+      message: dismissed
+        ? `Thank you for your report. A moderator reviewed the ${contentLabel} and found no policy violation.`
+        : `Thank you for your report. The ${contentLabel} you reported has been removed.`,
+      companyId: primaryReport.companyId,
+      metadata: { reportId, contentType: primaryReport.contentType, contentId: primaryReport.contentId },
+    });
+  }
+};
+
 // ============================================
 // MODERATION ACTIONS
 // ============================================
@@ -356,6 +564,12 @@ export const reviewReport = async (actionData) => {
     }
 
     const report = { id: reportDoc.id, ...reportDoc.data() };
+    if (isReportClosed(report)) {
+      throw new Error("This report has already been closed");
+    }
+
+    // Every open report about the same content is settled by this action
+    const reportCase = await getReportCase(report);
 
     // Update report status
     await updateDoc(doc(db, "contentReports", reportId), {
@@ -398,6 +612,8 @@ export const reviewReport = async (actionData) => {
         throw new Error("Invalid action type");
     }
 
+    await applyOutcomeToCase(report, reportCase);
+
     // Log activity
     await logModerationActivity({
       activityType: ModerationActivityType.REPORT_REVIEWED,
@@ -409,6 +625,8 @@ export const reviewReport = async (actionData) => {
       metadata: {
         actionType,
         moderatorNotes: moderatorNotes || "",
+        caseReportIds: reportCase.reports.map((caseReport) => caseReport.id),
+        reporterCount: reportCase.reporterCount,
       },
     });
   } catch (error) {
@@ -444,6 +662,28 @@ const dismissReport = async (reportId, moderatorId, notes) => {
   });
 };
 
+/**
+ * Get the reported post or comment, refusing content under legal hold
+ */
+const getRemovableContentRef = async (report, moderatorId) => {
+  const { contentType, contentId, companyId } = report;
+  const contentRef =
+    contentType === ReportableContentType.POST
+      ? doc(db, "posts", contentId)
+      : doc(db, "comments", contentId);
+
+  const contentSnap = await getDoc(contentRef);
+  await assertNotUnderLegalHold(contentSnap.data(), {
+    contentType,
+    contentId,
+    action: "moderation_remove",
+    companyId,
+    userId: moderatorId,
+  });
+
+  return contentRef;
+};
+
 /**
  * Remove content and optionally issue strike
  */
@@ -457,10 +697,7 @@ const removeContent = async (
   const { contentType, contentId, contentAuthorId, companyId } = report;
 
   // Mark content as removed
-  const contentRef =
-    contentType === ReportableContentType.POST
-      ? doc(db, "posts", contentId)
-      : doc(db, "comments", contentId);
+  const contentRef = await getRemovableContentRef(report, moderatorId);
 
   await updateDoc(contentRef, {
     isRemoved: true,
@@ -554,10 +791,7 @@ const removeAndSuspend = async (report, moderatorId, notes, strikeInfo) => {
   const { contentType, contentId, contentAuthorId, companyId } = report;
 
   // Remove content
-  const contentRef =
-    contentType === ReportableContentType.POST
-      ? doc(db, "posts", contentId)
-      : doc(db, "comments", contentId);
+  const contentRef = await getRemovableContentRef(report, moderatorId);
 
   await updateDoc(contentRef, {
     isRemoved: true,
@@ -569,38 +803,42 @@ const removeAndSuspend = async (report, moderatorId, notes, strikeInfo) => {
 
   // Suspend user immediately
   if (contentAuthorId) {
+    const policy = await getModerationPolicy(companyId);
     const suspensionEnd = new Date();
-    suspensionEnd.setDate(suspensionEnd.getDate() + 30); // 30-day suspension
+    suspensionEnd.setDate(suspensionEnd.getDate() + policy.suspensionDays);
+
+    // Issue a strike at the suspension level automatically
+    const strikeId = await issueStrikeDirectly(contentAuthorId, companyId, policy.suspendAtStrikes, {
+      contentType,
+      contentId,
+      reportId: report.id,
+      violationType: strikeInfo.violationType,
+      explanation: strikeInfo.explanation,
+      moderatorId,
+    }, getStrikeExpiryDate(policy));
 
     await updateDoc(doc(db, "users", contentAuthorId), {
       status: UserStatus.SUSPENDED,
       suspendedAt: serverTimestamp(),
       suspendedUntil: Timestamp.fromDate(suspensionEnd),
       suspensionReason: strikeInfo.violationType || "Severe content violation",
+      suspensionStrikeId: strikeId,
       suspendedBy: moderatorId,
       updatedAt: serverTimestamp(),
     });
 
-    // Issue third strike automatically
-    await issueStrikeDirectly(contentAuthorId, companyId, StrikeLevel.THIRD, {
-      contentType,
-      contentId,
-      reportId: report.id,
-      violationType: strikeInfo.violationType,
-      explanation: strikeInfo.explanation,
-      moderatorId,
-    });
-
     // Notify user
     await createNotification({
       userId: contentAuthorId,
       type: NotificationType.ACCOUNT_SUSPENDED,
       title: "Account Suspended",
-      message: `Your account has been suspended for 30 days due to a severe violation: ${
+      message: `Your account has been suspended for ${policy.suspensionDays} days due to a severe violation: ${
         strikeInfo.violationType || "Content policy violation"
       }`,
       companyId,
       metadata: {
+        strikeId,
+        reportId: report.id,
         suspensionEnd: suspensionEnd.toISOString(),
         reason: strikeInfo.explanation,
       },
@@ -641,20 +879,25 @@ const removeAndSuspend = async (report, moderatorId, notes, strikeInfo) => {
  * @param {string} userId - User ID
  * @param {string} companyId - Company ID
  * @param {Object} strikeInfo - Strike details
- * @returns {Promise<void>}
+ * @returns {Promise<string>} Strike ID
  */
 const issueStrikeToUser = async (userId, companyId, strikeInfo) => {
   try {
-    // Get user's current strikes
+    const policy = await getModerationPolicy(companyId);
+
+    // Get user's current strikes; expired strikes no longer count
     const strikesQuery = query(
       collection(db, "userStrikes"),
       where("userId", "==", userId),
       where("companyId", "==", companyId)
     );
     const strikesSnapshot = await getDocs(strikesQuery);
-    const currentStrikes = strikesSnapshot.size;
+    const currentStrikes = strikesSnapshot.docs.filter((strikeDoc) =>
+      isStrikeActive(strikeDoc.data())
+    ).length;
 
-    const newStrikeLevel = Math.min(currentStrikes + 1, 3);
+    const newStrikeLevel = Math.min(currentStrikes + 1, policy.suspendAtStrikes);
+    const expiresAt = getStrikeExpiryDate(policy);
 
     // Create strike record
     const strike = {
@@ -668,24 +911,39 @@ const issueStrikeToUser = async (userId, companyId, strikeInfo) => {
       explanation: strikeInfo.explanation,
       issuedBy: strikeInfo.moderatorId,
       issuedAt: serverTimestamp(),
-      expiresAt: null, // Strikes don't expire unless reset
+      expiresAt: expiresAt ? Timestamp.fromDate(expiresAt) : null,
+      isActive: true, // Cleared by the expiry job once the strike expires
     };
 
-    await addDoc(collection(db, "userStrikes"), strike);
+    const strikeRef = await addDoc(collection(db, "userStrikes"), strike);
 
     // Apply restrictions based on strike level
-    await applyStrikeRestrictions(userId, newStrikeLevel, companyId);
+    await applyStrikeRestrictions(userId, newStrikeLevel, companyId, policy, {
+      strikeId: strikeRef.id,
+      reportId: strikeInfo.reportId,
+    });
 
     // Notify user
-    const strikeConfig = StrikeConfig[newStrikeLevel];
+    const { outcome, days } = getStrikeOutcome(policy, newStrikeLevel);
+    const consequence = {
+      [StrikeOutcome.WARNING]: "Content removed, warning issued.",
+      [StrikeOutcome.RESTRICTION]: `You cannot post or comment for ${days} days.`,
+      [StrikeOutcome.SUSPENSION]: `Your account is suspended for ${days} days.`,
+    }[outcome];
+    const expiry = expiresAt
+      ? ` This strike expires on ${expiresAt.toLocaleDateString()}.`
+      : "";
     await createNotification({
       userId,
       type: NotificationType.STRIKE_RECEIVED,
-      title: `Strike ${newStrikeLevel} - ${strikeConfig.label}`,
-      message: `Your ${strikeInfo.contentType} violated community guidelines: ${strikeInfo.violationType}. ${strikeConfig.consequence}`,
+      title: `Strike ${newStrikeLevel} of ${policy.suspendAtStrikes} - ${StrikeOutcomeConfig[outcome].label}`,
+      message: `Your ${strikeInfo.contentType} violated community guidelines: ${strikeInfo.violationType}. ${consequence}${expiry}`,
       companyId,
       metadata: {
+        strikeId: strikeRef.id,
+        reportId: strikeInfo.reportId,
         strikeLevel: newStrikeLevel,
+        outcome,
         violationType: strikeInfo.violationType,
         explanation: strikeInfo.explanation,
         contentType: strikeInfo.contentType,
@@ -701,10 +959,13 @@ const issueStrikeToUser = async (userId, companyId, strikeInfo) => {
       companyId,
       metadata: {
         targetUserId: userId,
+        strikeId: strikeRef.id,
         strikeLevel: newStrikeLevel,
         violationType: strikeInfo.violationType,
       },
     });
+
+    return strikeRef.id;
   } catch (error) {
     console.error("Error issuing strike:", error);
     throw error;
@@ -713,12 +974,14 @@ const issueStrikeToUser = async (userId, companyId, strikeInfo) => {
 
 /**
  * Issue a specific strike level directly (for severe violations)
+ * @returns {Promise<string>} Strike ID
  */
 const issueStrikeDirectly = async (
   userId,
   companyId,
   strikeLevel,
-  strikeInfo
+  strikeInfo,
+  expiresAt = null
 ) => {
   const strike = {
     userId,
@@ -731,22 +994,27 @@ const issueStrikeDirectly = async (
     explanation: strikeInfo.explanation,
     issuedBy: strikeInfo.moderatorId,
     issuedAt: serverTimestamp(),
-    expiresAt: null,
+    expiresAt: expiresAt ? Timestamp.fromDate(expiresAt) : null,
+    isActive: true,
   };
 
-  await addDoc(collection(db, "userStrikes"), strike);
+  const strikeRef = await addDoc(collection(db, "userStrikes"), strike);
+  return strikeRef.id;
 };
 
 /**
- * Apply restrictions based on strike level
+ * Apply restrictions based on strike level, as set by the company's
+ * moderation policy. Restrictions and suspensions record the strike that
+ * caused them so an overturned appeal can lift them.
+ * @param {Object} source - { strikeId, reportId }
  */
-const applyStrikeRestrictions = async (userId, strikeLevel, companyId) => {
-  const config = StrikeConfig[strikeLevel];
+const applyStrikeRestrictions = async (userId, strikeLevel, companyId, policy, source = {}) => {
+  const { strikeId = null, reportId = null } = source;
+  const { outcome, days } = getStrikeOutcome(policy, strikeLevel);
 
-  if (strikeLevel === StrikeLevel.SECOND) {
-    // 7-day posting restriction
+  if (outcome === StrikeOutcome.RESTRICTION) {
     const restrictionEnd = new Date();
-    restrictionEnd.setDate(restrictionEnd.getDate() + 7);
+    restrictionEnd.setDate(restrictionEnd.getDate() + days);
 
     await addDoc(collection(db, "userRestrictions"), {
       userId,
@@ -754,7 +1022,8 @@ const applyStrikeRestrictions = async (userId, strikeLevel, companyId) => {
       restrictionType: RestrictionType.POSTING,
       startedAt: serverTimestamp(),
       endsAt: Timestamp.fromDate(restrictionEnd),
-      reason: "Strike 2 - Temporary restriction",
+      reason: `Strike ${strikeLevel} - Temporary restriction`,
+      strikeId,
       isActive: true,
     });
 
@@ -762,31 +1031,36 @@ const applyStrikeRestrictions = async (userId, strikeLevel, companyId) => {
       userId,
       type: NotificationType.ACCOUNT_RESTRICTED,
       title: "Posting Restricted",
-      message: `You cannot post or comment for 7 days due to repeated violations.`,
+      message: `You cannot post or comment for ${days} days due to repeated violations.`,
       companyId,
       metadata: {
+        strikeId,
+        reportId,
         restrictionEnd: restrictionEnd.toISOString(),
       },
     });
 
     await logModerationActivity({
       activityType: ModerationActivityType.USER_RESTRICTED,
+      reportId,
       userId,
+      companyId,
       metadata: {
+        strikeId,
         restrictionType: RestrictionType.POSTING,
-        duration: "7 days",
+        duration: `${days} days`,
       },
     });
-  } else if (strikeLevel === StrikeLevel.THIRD) {
-    // 30-day account suspension
+  } else if (outcome === StrikeOutcome.SUSPENSION) {
     const suspensionEnd = new Date();
-    suspensionEnd.setDate(suspensionEnd.getDate() + 30);
+    suspensionEnd.setDate(suspensionEnd.getDate() + days);
 
     await updateDoc(doc(db, "users", userId), {
       status: UserStatus.SUSPENDED,
       suspendedAt: serverTimestamp(),
       suspendedUntil: Timestamp.fromDate(suspensionEnd),
-      suspensionReason: "Strike 3 - Account suspension",
+      suspensionReason: `Strike ${strikeLevel} - Account suspension`,
+      suspensionStrikeId: strikeId,
       updatedAt: serverTimestamp(),
     });
 
@@ -794,18 +1068,23 @@ const applyStrikeRestrictions = async (userId, strikeLevel, companyId) => {
       userId,
       type: NotificationType.ACCOUNT_SUSPENDED,
       title: "Account Suspended",
-      message: `Your account has been suspended for 30 days. All strikes will be reset after the suspension period.`,
+      message: `Your account has been suspended for ${days} days and will be reactivated automatically when the suspension ends.`,
       companyId,
       metadata: {
+        strikeId,
+        reportId,
         suspensionEnd: suspensionEnd.toISOString(),
       },
     });
 
     await logModerationActivity({
       activityType: ModerationActivityType.USER_SUSPENDED,
+      reportId,
       userId,
+      companyId,
       metadata: {
-        duration: "30 days",
+        strikeId,
+        duration: `${days} days`,
         suspensionEnd: suspensionEnd.toISOString(),
       },
     });
@@ -851,9 +1130,14 @@ export const getUserModerationHistory = async (userId, companyId = null) => {
       ...doc.data(),
     }));
 
+    const policy = companyId
+      ? await getModerationPolicy(companyId)
+      : DEFAULT_MODERATION_POLICY;
+
     return {
       strikes,
-      currentStrikeCount: strikes.length,
+      currentStrikeCount: strikes.filter((strike) => isStrikeActive(strike)).length,
+      strikeLimit: policy.suspendAtStrikes,
       activeRestrictions: restrictions,
     };
   } catch (error) {
@@ -900,6 +1184,499 @@ export const checkUserRestrictions = async (userId) => {
   }
 };
 
+// ============================================
+// APPEALS
+// ============================================
+
+const OPEN_APPEAL_STATUSES = [AppealStatus.PENDING, AppealStatus.ESCALATED];
+
+const sortByCreatedAtDesc = (items) =>
+  items.sort((a, b) => toDate(b.createdAt || 0) - toDate(a.createdAt || 0));
+
+/**
+ * Company admins and HR who may review an appeal: everyone except the
+ * moderator who issued the strike
+ */
+const getAppealReviewerIds = async (companyId, originalModeratorId) => {
+  const reviewersSnapshot = await getDocs(
+    query(
+      collection(db, "users"),
+      where("companyId", "==", companyId),
+      where("role", "in", ["company_admin", "hr"])
+    )
+  );
+  return reviewersSnapshot.docs
+    .map((reviewerDoc) => reviewerDoc.id)
+    .filter((reviewerId) => reviewerId !== originalModeratorId);
+};
+
+/**
+ * Notify whoever has to decide an appeal
+ */
+const notifyAppealReviewers = async (reviewerIds, appeal, escalated) => {
+  for (const reviewerId of reviewerIds) {
+    await createNotification({
+      userId: reviewerId,
+      type: NotificationType.APPEAL_FILED,
+      title: escalated ? "Appeal Escalated" : "New Appeal",
+      message: escalated
+        ? "A strike appeal has been escalated and requires your review."
+        : `A user has appealed a strike for ${appeal.violationType || "a guidelines violation"}.`,
+      companyId: appeal.companyId,
+      metadata: {
+        appealId: appeal.id,
+        reportId: appeal.reportId,
+        strikeId: appeal.strikeId,
+        escalated,
+      },
+    });
+  }
+};
+
+const getSuperAdminIds = async () => {
+  const superAdminsSnapshot = await getDocs(
+    query(collection(db, "users"), where("role", "==", "super_admin"))
+  );
+  return superAdminsSnapshot.docs.map((adminDoc) => adminDoc.id);
+};
+
+/**
+ * Appeal one of the user's own strikes
+ * The appeal is stored under the strike's ID, so a strike has at most one,
+ * and goes to the company's other moderators; when the moderator who issued
+ * the strike is the only one, Cloud Functions escalate it to super admins
+ * @param {Object} appealData - { strikeId, reason }
+ * @param {Object} user - userData from AuthContext
+ * @returns {Promise<string>} Appeal ID
+ */
+export const fileAppeal = async ({ strikeId, reason }, user) => {
+  try {
+    if (!reason?.trim()) {
+      throw new Error("Please explain why you are appealing");
+    }
+
+    const strikeSnap = await getDoc(doc(db, "userStrikes", strikeId));
+    if (!strikeSnap.exists() || strikeSnap.data().userId !== user.id) {
+      throw new Error("Strike not found");
+    }
+    const strike = strikeSnap.data();
+    if (strike.reversedAt) {
+      throw new Error("This strike has already been reversed");
+    }
+
+    const existingSnapshot = await getDocs(
+      query(
+        collection(db, "moderationAppeals"),
+        where("userId", "==", user.id),
+        where("companyId", "==", strike.companyId),
+        where("strikeId", "==", strikeId)
+      )
+    );
+    if (!existingSnapshot.empty) {
+      const existing = existingSnapshot.docs[0].data();
+      throw new Error(
+        OPEN_APPEAL_STATUSES.includes(existing.status)
+          ? "This strike is already under appeal"
+          : "An appeal for this strike has already been decided"
+      );
+    }
+
+    const appeal = {
+      userId: user.id,
+      companyId: strike.companyId,
+      strikeId,
+      reportId: strike.reportId || null,
+      contentType: strike.contentType || null,
+      contentId: strike.contentId || null,
+      strikeLevel: strike.strikeLevel,
+      violationType: strike.violationType || null,
+      originalModeratorId: strike.issuedBy,
+      reason: reason.trim(),
+      status: AppealStatus.PENDING,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+
+    await setDoc(doc(db, "moderationAppeals", strikeId), appeal);
+    appeal.id = strikeId;
+
+    await logModerationActivity({
+      activityType: ModerationActivityType.APPEAL_FILED,
+      reportId: appeal.reportId,
+      contentType: appeal.contentType,
+      contentId: appeal.contentId,
+      userId: user.id,
+      companyId: appeal.companyId,
+      metadata: { appealId: appeal.id, strikeId, strikeLevel: strike.strikeLevel },
+    });
+
+    // With no other moderator to notify, the appeal is escalated by
+    // escalateNewAppeals in Cloud Functions
+    const reviewerIds = await getAppealReviewerIds(strike.companyId, strike.issuedBy);
+    await notifyAppealReviewers(reviewerIds, appeal, false);
+
+    return appeal.id;
+  } catch (error) {
+    console.error("Error filing appeal:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's own appeals in a company, newest first
+ */
+export const getMyAppeals = async (userId, companyId) => {
+  try {
+    const appealsSnapshot = await getDocs(
+      query(
+        collection(db, "moderationAppeals"),
+        where("userId", "==", userId),
+        where("companyId", "==", companyId)
+      )
+    );
+    return sortByCreatedAtDesc(
+      appealsSnapshot.docs.map((appealDoc) => ({ id: appealDoc.id, ...appealDoc.data() }))
+    );
+  } catch (error) {
+    console.error("Error getting user appeals:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get appeals for a company, or for every company (super admin)
+ */
+export const getAppeals = async (companyId = null) => {
+  try {
+    const appealsQuery = companyId
+      ? query(
+          collection(db, "moderationAppeals"),
+          where("companyId", "==", companyId),
+          orderBy("createdAt", "desc")
+        )
+      : query(collection(db, "moderationAppeals"), orderBy("createdAt", "desc"));
+
+    const appealsSnapshot = await getDocs(appealsQuery);
+    return appealsSnapshot.docs.map((appealDoc) => ({ id: appealDoc.id, ...appealDoc.data() }));
+  } catch (error) {
+    console.error("Error getting appeals:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get appeals against strikes issued for a report, newest first
+ */
+export const getAppealsForReport = async (reportId, companyId) => {
+  try {
+    const appealsSnapshot = await getDocs(
+      query(
+        collection(db, "moderationAppeals"),
+        where("reportId", "==", reportId),
+        where("companyId", "==", companyId)
+      )
+    );
+    return sortByCreatedAtDesc(
+      appealsSnapshot.docs.map((appealDoc) => ({ id: appealDoc.id, ...appealDoc.data() }))
+    );
+  } catch (error) {
+    console.error("Error getting report appeals:", error);
+    throw error;
+  }
+};
+
+/**
+ * Whether a moderator may decide an appeal: never the one who issued the
+ * strike, and only super admins once it is escalated
+ * @param {Object} appeal - Appeal data
+ * @param {Object} user - userData from AuthContext
+ * @returns {boolean}
+ */
+export const canDecideAppeal = (appeal, user) => {
+  if (!user || !OPEN_APPEAL_STATUSES.includes(appeal.status)) return false;
+  if (user.id === appeal.originalModeratorId) return false;
+  if (user.role === "super_admin") return true;
+  return (
+    ["company_admin", "hr"].includes(user.role) &&
+    user.companyId === appeal.companyId &&
+    appeal.status === AppealStatus.PENDING
+  );
+};
+
+const getOpenAppeal = async (appealId, reviewer) => {
+  const appealSnap = await getDoc(doc(db, "moderationAppeals", appealId));
+  if (!appealSnap.exists()) {
+    throw new Error("Appeal not found");
+  }
+  const appeal = { id: appealSnap.id, ...appealSnap.data() };
+  if (!OPEN_APPEAL_STATUSES.includes(appeal.status)) {
+    throw new Error("This appeal has already been decided");
+  }
+  if (reviewer.id === appeal.originalModeratorId) {
+    throw new Error("Appeals must be reviewed by a different moderator");
+  }
+  return appeal;
+};
+
+/**
+ * Pass an appeal to super admins
+ * @param {string} appealId - Appeal ID
+ * @param {Object} moderator - userData of the moderator escalating
+ * @param {string} notes - Why it is escalated
+ */
+export const escalateAppeal = async (appealId, moderator, notes = "") => {
+  try {
+    const appeal = await getOpenAppeal(appealId, moderator);
+    if (appeal.status === AppealStatus.ESCALATED) {
+      throw new Error("This appeal is already escalated");
+    }
+
+    await updateDoc(doc(db, "moderationAppeals", appealId), {
+      status: AppealStatus.ESCALATED,
+      escalatedBy: moderator.id,
+      escalatedAt: serverTimestamp(),
+      escalationReason: notes,
+      updatedAt: serverTimestamp(),
+    });
+
+    await notifyAppealReviewers(await getSuperAdminIds(), appeal, true);
+
+    await logModerationActivity({
+      activityType: ModerationActivityType.APPEAL_ESCALATED,
+      reportId: appeal.reportId,
+      contentType: appeal.contentType,
+      contentId: appeal.contentId,
+      userId: moderator.id,
+      companyId: appeal.companyId,
+      metadata: { appealId, reason: notes },
+    });
+  } catch (error) {
+    console.error("Error escalating appeal:", error);
+    throw error;
+  }
+};
+
+/**
+ * Put back content taken down by removeContent or removeAndSuspend,
+ * keeping the removal fields they stored as history
+ */
+const restoreRemovedContent = async (appeal, reviewerId) => {
+  if (!appeal.contentId) return false;
+
+  const contentRef =
+    appeal.contentType === ReportableContentType.POST
+      ? doc(db, "posts", appeal.contentId)
+      : doc(db, "comments", appeal.contentId);
+  const contentSnap = await getDoc(contentRef);
+  if (!contentSnap.exists() || !contentSnap.data().isRemoved) return false;
+
+  await assertNotUnderLegalHold(contentSnap.data(), {
+    contentType: appeal.contentType,
+    contentId: appeal.contentId,
+    action: "moderation_restore",
+    companyId: appeal.companyId,
+    userId: reviewerId,
+  });
+
+  await updateDoc(contentRef, {
+    isRemoved: false,
+    restoredAt: serverTimestamp(),
+    restoredBy: reviewerId,
+    restoredByAppealId: appeal.id,
+    updatedAt: serverTimestamp(),
+  });
+  return true;
+};
+
+/**
+ * Lift the restrictions and suspension caused by the appealed strike
+ * @returns {Promise<{restrictionsLifted: number, suspensionLifted: boolean}>}
+ */
+const liftStrikeRestrictions = async (appeal, reviewerId) => {
+  const restrictionsSnapshot = await getDocs(
+    query(
+      collection(db, "userRestrictions"),
+      where("userId", "==", appeal.userId),
+      where("companyId", "==", appeal.companyId),
+      where("strikeId", "==", appeal.strikeId),
+      where("isActive", "==", true)
+    )
+  );
+
+  for (const restrictionDoc of restrictionsSnapshot.docs) {
+    await updateDoc(restrictionDoc.ref, {
+      isActive: false,
+      liftedAt: serverTimestamp(),
+      liftedBy: reviewerId,
+      liftedByAppealId: appeal.id,
+    });
+  }
+
+  const userSnap = await getDoc(doc(db, "users", appeal.userId));
+  const user = userSnap.exists() ? userSnap.data() : {};
+  const suspensionLifted =
+    user.status === UserStatus.SUSPENDED && user.suspensionStrikeId === appeal.strikeId;
+
+  if (suspensionLifted) {
+    await updateDoc(doc(db, "users", appeal.userId), {
+      status: UserStatus.ACTIVE,
+      suspendedUntil: null,
+      suspensionReason: null,
+      suspensionStrikeId: null,
+      suspensionLiftedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  }
+
+  return { restrictionsLifted: restrictionsSnapshot.size, suspensionLifted };
+};
+
+/**
+ * Decide an appeal. Overturning can reverse the strike, restore the removed
+ * content and lift the restrictions the strike caused; every change is
+ * logged against the original report
+ * @param {string} appealId - Appeal ID
+ * @param {Object} decision - { outcome: 'uphold'|'overturn', reverseStrike, restoreContent, liftRestrictions, notes }
+ * @param {Object} reviewer - userData of the deciding moderator
+ * @returns {Promise<Object>} What was changed
+ */
+export const decideAppeal = async (appealId, decision, reviewer) => {
+  try {
+    const appeal = await getOpenAppeal(appealId, reviewer);
+    if (!canDecideAppeal(appeal, reviewer)) {
+      throw new Error(
+        appeal.status === AppealStatus.ESCALATED
+          ? "Escalated appeals are decided by a super admin"
+          : "You cannot decide this appeal"
+      );
+    }
+
+    const overturned = decision.outcome === "overturn";
+    const notes = decision.notes || "";
+    const logEntry = {
+      reportId: appeal.reportId,
+      contentType: appeal.contentType,
+      contentId: appeal.contentId,
+      userId: reviewer.id,
+      companyId: appeal.companyId,
+    };
+    const changes = {
+      strikeReversed: false,
+      contentRestored: false,
+      restrictionsLifted: 0,
+      suspensionLifted: false,
+    };
+
+    if (overturned && decision.reverseStrike) {
+      await updateDoc(doc(db, "userStrikes", appeal.strikeId), {
+        isActive: false,
+        reversedAt: serverTimestamp(),
+        reversedBy: reviewer.id,
+        reversedByAppealId: appealId,
+      });
+      changes.strikeReversed = true;
+      await logModerationActivity({
+        ...logEntry,
+        activityType: ModerationActivityType.STRIKE_REVERSED,
+        metadata: { appealId, strikeId: appeal.strikeId, targetUserId: appeal.userId },
+      });
+    }
+
+    if (overturned && decision.restoreContent) {
+      changes.contentRestored = await restoreRemovedContent(appeal, reviewer.id);
+      if (changes.contentRestored) {
+        await logModerationActivity({
+          ...logEntry,
+          activityType: ModerationActivityType.CONTENT_RESTORED,
+          metadata: { appealId },
+        });
+      }
+    }
+
+    if (overturned && decision.liftRestrictions) {
+      const lifted = await liftStrikeRestrictions(appeal, reviewer.id);
+      changes.restrictionsLifted = lifted.restrictionsLifted;
+      changes.suspensionLifted = lifted.suspensionLifted;
+      if (lifted.restrictionsLifted > 0) {
+        await logModerationActivity({
+          ...logEntry,
+          activityType: ModerationActivityType.RESTRICTION_LIFTED,
+          metadata: { appealId, strikeId: appeal.strikeId, count: lifted.restrictionsLifted },
+        });
+      }
+      if (lifted.suspensionLifted) {
+        await logModerationActivity({
+          ...logEntry,
+          activityType: ModerationActivityType.SUSPENSION_LIFTED,
+          metadata: { appealId, strikeId: appeal.strikeId },
+        });
+      }
+    }
+
+    const status = overturned ? AppealStatus.OVERTURNED : AppealStatus.UPHELD;
+    await updateDoc(doc(db, "moderationAppeals", appealId), {
+      status,
+      decidedBy: reviewer.id,
+      decidedAt: serverTimestamp(),
+      decisionNotes: notes,
+      ...changes,
+      updatedAt: serverTimestamp(),
+    });
+
+    await logModerationActivity({
+      ...logEntry,
+      activityType: overturned
+        ? ModerationActivityType.APPEAL_OVERTURNED
+        : ModerationActivityType.APPEAL_UPHELD,
+      metadata: { appealId, strikeId: appeal.strikeId, notes, ...changes },
+    });
+
+    const outcomes = [
+      changes.strikeReversed && "the strike has been removed from your record",
+      changes.contentRestored && `your ${appeal.contentType} has been restored`,
+      (changes.restrictionsLifted > 0 || changes.suspensionLifted) && "your restrictions have been lifted",
+    ].filter(Boolean);
+
+    await createNotification({
+      userId: appeal.userId,
+      type: NotificationType.APPEAL_DECIDED,
+      title: overturned ? "Appeal Successful" : "Appeal Not Successful",
+      message: overturned
+        ? `Your appeal was accepted${outcomes.length ? `: ${outcomes.join(", ")}` : ""}.`
+        : "Your appeal was reviewed by another moderator and the original decision stands.",
+      companyId: appeal.companyId,
+      metadata: { appealId, strikeId: appeal.strikeId, status, notes },
+    });
+
+    return { status, ...changes };
+  } catch (error) {
+    console.error("Error deciding appeal:", error);
+    throw error;
+  }
+};
+
+/**
+ * Everything logged for a report, oldest first: the review, strikes,
+ * restrictions and any appeal
+ */
+export const getReportActivityLog = async (reportId, companyId) => {
+  try {
+    const logsSnapshot = await getDocs(
+      query(
+        collection(db, "moderationActivities"),
+        where("reportId", "==", reportId),
+        where("companyId", "==", companyId)
+      )
+    );
+    return logsSnapshot.docs
+      .map((logDoc) => ({ id: logDoc.id, ...logDoc.data() }))
+      .sort((a, b) => toDate(a.createdAt || 0) - toDate(b.createdAt || 0));
+  } catch (error) {
+    console.error("Error getting report activity log:", error);
+    throw error;
+  }
+};
+
 // ============================================
 // AUDIT TRAIL
 // ============================================
@@ -4,6 +4,7 @@ import {
   addDoc,
   updateDoc,
   deleteDoc,
+  getDoc,
   getDocs,
   query,
   where,
@@ -12,6 +13,7 @@ import {
 } from "firebase/firestore";
 import { ref, uploadBytesResumable, getDownloadURL } from "firebase/storage";
 import { db, storage } from "../config/firebase";
+import { LEGAL_HOLD_ERROR, logLegalHoldBlock } from "./legalHoldService";
 
 const POLICIES_COLLECTION = "policies";
 const ACKNOWLEDGEMENTS_COLLECTION = "policyAcknowledgements";
@@ -49,13 +51,35 @@ export const publishPolicy = async (policyId) => {
   return { success: true };
 };
 
-export const deletePolicy = async (policyId, companyId = null) => {
-  await deleteDoc(doc(db, POLICIES_COLLECTION, policyId));
-  // Also delete associated acknowledgements
+// Acknowledgements are a record of what held users agreed to, so a policy
+// acknowledged by a user under legal hold is kept
+export const deletePolicy = async (policyId, companyId = null, deletedBy = null) => {
   const acksQuery = companyId
     ? query(collection(db, ACKNOWLEDGEMENTS_COLLECTION), where("policyId", "==", policyId), where("companyId", "==", companyId))
     : query(collection(db, ACKNOWLEDGEMENTS_COLLECTION), where("policyId", "==", policyId));
   const acksSnapshot = await getDocs(acksQuery);
+
+  const policySnap = await getDoc(doc(db, POLICIES_COLLECTION, policyId));
+  const policyCompanyId = companyId || policySnap.data()?.companyId;
+  if (!acksSnapshot.empty && policyCompanyId) {
+    const heldUsersSnapshot = await getDocs(
+      query(collection(db, "users"), where("companyId", "==", policyCompanyId), where("legalHold", "==", true))
+    );
+    const heldUserIds = new Set(heldUsersSnapshot.docs.map((d) => d.id));
+    if (acksSnapshot.docs.some((d) => heldUserIds.has(d.data().userId))) {
+      await logLegalHoldBlock(policySnap.data(), {
+        contentType: "policy",
+        contentId: policyId,
+        action: "delete",
+        companyId: policyCompanyId,
+        userId: deletedBy,
+      });
+      throw new Error(LEGAL_HOLD_ERROR);
+    }
+  }
+
+  await deleteDoc(doc(db, POLICIES_COLLECTION, policyId));
+  // Also delete associated acknowledgements
   const deletePromises = acksSnapshot.docs.map((d) => deleteDoc(d.ref));
   await Promise.all(deletePromises);
   return { success: true };
@@ -1,157 +1,43 @@
-import {
-  doc,
-  updateDoc,
-  arrayUnion,
-  arrayRemove,
-  getDoc,
-  serverTimestamp,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
+import { castBallot } from "./ballotService";
+import { BallotKind } from "../utils/constants";
 
 /**
  * Poll Service
  * Handles poll creation and voting functionality
+ *
+ * Poll votes are ballots; the post carries pollCounts (votes per option
+ * index) and pollVoterCount instead of voter lists.
  */
 
 /**
  * Vote on a poll option
+ * Single-choice polls move the vote, multiple-choice polls toggle the option;
+ * voting for an already chosen option removes the vote
  * @param {string} postId - The post ID containing the poll
  * @param {number} optionIndex - Index of the option to vote for
- * @param {string} userId - The user ID
- * @returns {Promise<Object>} Updated poll data
+ * @returns {Promise<{choices: Array<number>, pollCounts: Object, pollVoterCount: number}>}
  */
-export async function votePoll(postId, optionIndex, userId) {
-  if (!postId || optionIndex === undefined || !userId) {
+export async function votePoll(postId, optionIndex) {
+  if (!postId || optionIndex === undefined) {
     throw new Error("Invalid poll vote parameters");
   }
 
   try {
-    const postRef = doc(db, "posts", postId);
-    const postDoc = await getDoc(postRef);
-
-    if (!postDoc.exists()) {
-      throw new Error("Post not found");
-    }
-
-    const postData = postDoc.data();
-    const poll = postData.poll;
-
-    if (!poll || !poll.options) {
-      throw new Error("Poll not found in post");
-    }
-
-    if (optionIndex < 0 || optionIndex >= poll.options.length) {
-      throw new Error("Invalid poll option index");
-    }
-
-    // Check if poll has ended
-    if (poll.endDate) {
-      const endDate = poll.endDate.toDate
-        ? poll.endDate.toDate()
-        : new Date(poll.endDate);
-      if (new Date() > endDate) {
-        throw new Error("This poll has ended");
-      }
-    }
-
-    // Initialize votes array if not exists
-    const updatedOptions = poll.options.map((option, index) => ({
-      ...option,
-      votes: option.votes || [],
-    }));
-
-    // Check if user has already voted
-    let previousVoteIndex = -1;
-    updatedOptions.forEach((option, index) => {
-      if (option.votes.includes(userId)) {
-        previousVoteIndex = index;
-      }
-    });
-
-    // Handle voting logic
-    if (poll.multipleChoice) {
-      // Multiple choice: toggle the vote
-      if (updatedOptions[optionIndex].votes.includes(userId)) {
-        // Remove vote
-        updatedOptions[optionIndex].votes = updatedOptions[optionIndex].votes.filter(
-          (id) => id !== userId
-        );
-      } else {
-        // Add vote
-        updatedOptions[optionIndex].votes.push(userId);
-      }
-    } else {
-      // Single choice: remove previous vote and add new one
-      if (previousVoteIndex !== -1) {
-        updatedOptions[previousVoteIndex].votes = updatedOptions[
-          previousVoteIndex
-        ].votes.filter((id) => id !== userId);
-      }
-
-      if (previousVoteIndex !== optionIndex) {
-        updatedOptions[optionIndex].votes.push(userId);
-      }
-    }
-
-    // Update the post with new poll data
-    await updateDoc(postRef, {
-      "poll.options": updatedOptions,
-      "poll.totalVotes": updatedOptions.reduce(
-        (sum, option) => sum + option.votes.length,
-        0
-      ),
-      "poll.voters": arrayUnion(userId),
-      updatedAt: serverTimestamp(),
-    });
-
-    // Return updated poll data
-    const updatedDoc = await getDoc(postRef);
-    return updatedDoc.data().poll;
+    const { choice, counts } = await castBallot(postId, BallotKind.POLL, optionIndex);
+    return { choices: choice, ...counts };
   } catch (error) {
     console.error("Error voting on poll:", error);
     throw error;
   }
 }
 
-/**
- * Check if a user has voted on a poll
- * @param {Object} poll - The poll object
- * @param {string} userId - The user ID
- * @returns {boolean} True if user has voted
- */
-export function hasUserVoted(poll, userId) {
-  if (!poll || !poll.options || !userId) return false;
-
-  return poll.options.some((option) =>
-    (option.votes || []).includes(userId)
-  );
-}
-
-/**
- * Get user's votes on a poll
- * @param {Object} poll - The poll object
- * @param {string} userId - The user ID
- * @returns {Array<number>} Array of option indices the user voted for
- */
-export function getUserVotes(poll, userId) {
-  if (!poll || !poll.options || !userId) return [];
-
-  const votes = [];
-  poll.options.forEach((option, index) => {
-    if ((option.votes || []).includes(userId)) {
-      votes.push(index);
-    }
-  });
-
-  return votes;
-}
-
 /**
  * Calculate poll statistics
  * @param {Object} poll - The poll object
+ * @param {Object} pollCounts - Votes per option index, from the post
  * @returns {Object} Poll statistics
  */
-export function getPollStats(poll) {
+export function getPollStats(poll, pollCounts = {}) {
   if (!poll || !poll.options) {
     return {
       totalVotes: 0,
@@ -161,12 +47,12 @@ export function getPollStats(poll) {
   }
 
   const totalVotes = poll.options.reduce(
-    (sum, option) => sum + (option.votes?.length || 0),
+    (sum, option, index) => sum + (pollCounts?.[index] || 0),
     0
   );
 
-  const options = poll.options.map((option) => {
-    const votes = option.votes?.length || 0;
+  const options = poll.options.map((option, index) => {
+    const votes = pollCounts?.[index] || 0;
     const percentage = totalVotes > 0 ? (votes / totalVotes) * 100 : 0;
 
     return {
@@ -14,6 +14,8 @@ import {
 import { db } from "../config/firebase";
 import { logPostActivity } from "./postManagementService";
 import { PostActivityType } from "../utils/constants";
+import { assertNotUnderLegalHold, isLegalHoldError } from "./legalHoldService";
+import { screeningClearedConstraint } from "./contentScreeningService";
 
 // ============================================
 // EDIT HISTORY TRACKING
@@ -177,6 +179,7 @@ export const getPinnedPosts = async (companyId, feedType = null, user = null) =>
       collection(db, "posts"),
       where("companyId", "==", companyId),
       where("isPinned", "==", true),
+      screeningClearedConstraint(),
       orderBy("pinnedAt", "desc")
     );
 
@@ -216,6 +219,14 @@ export const archivePost = async (postId, userId, userName, reason = "") => {
       throw new Error("Post not found");
     }
 
+    await assertNotUnderLegalHold(postSnap.data(), {
+      contentType: "post",
+      contentId: postId,
+      action: "archive",
+      companyId: postSnap.data().companyId,
+      userId,
+    });
+
     await updateDoc(postRef, {
       isArchived: true,
       archivedAt: serverTimestamp(),
@@ -233,7 +244,7 @@ export const archivePost = async (postId, userId, userName, reason = "") => {
     });
   } catch (error) {
     console.error("Error archiving post:", error);
-    throw new Error("Failed to archive post");
+    throw isLegalHoldError(error) ? error : new Error("Failed to archive post");
   }
 };
 
@@ -247,6 +258,15 @@ export const archivePost = async (postId, userId, userName, reason = "") => {
 export const unarchivePost = async (postId, userId, userName) => {
   try {
     const postRef = doc(db, "posts", postId);
+    const postSnap = await getDoc(postRef);
+
+    await assertNotUnderLegalHold(postSnap.data(), {
+      contentType: "post",
+      contentId: postId,
+      action: "unarchive",
+      companyId: postSnap.data()?.companyId,
+      userId,
+    });
 
     await updateDoc(postRef, {
       isArchived: false,
@@ -262,7 +282,7 @@ export const unarchivePost = async (postId, userId, userName) => {
     });
   } catch (error) {
     console.error("Error unarchiving post:", error);
-    throw new Error("Failed to unarchive post");
+    throw isLegalHoldError(error) ? error : new Error("Failed to unarchive post");
   }
 };
 
@@ -278,6 +298,7 @@ export const getArchivedPosts = async (companyId, limit = 50) => {
       collection(db, "posts"),
       where("companyId", "==", companyId),
       where("isArchived", "==", true),
+      screeningClearedConstraint(),
       orderBy("archivedAt", "desc")
     );
 
@@ -297,6 +318,7 @@ export const getArchivedPosts = async (companyId, limit = 50) => {
  * @param {string} companyId - Company ID
  * @param {number} daysOld - Number of days after which to archive (default: 90)
  * @returns {Promise<number>} - Number of posts archived
+ * @deprecated Company retention policies are applied server-side by retentionPolicyJob
  */
 export const autoArchiveOldPosts = async (companyId, daysOld = 90) => {
   try {
@@ -337,27 +359,33 @@ export const autoArchiveOldPosts = async (companyId, daysOld = 90) => {
 
 /**
  * Bulk archive posts
+ * Posts under legal hold are skipped (and the attempt logged by archivePost)
  * @param {Array<string>} postIds - Array of post IDs
  * @param {string} userId - User ID performing the action
  * @param {string} userName - User name performing the action
  * @param {string} reason - Reason for archiving
- * @returns {Promise<{success: number, failed: number}>}
+ * @returns {Promise<{success: number, failed: number, held: number}>}
  */
 export const bulkArchivePosts = async (postIds, userId, userName, reason = "") => {
   let success = 0;
   let failed = 0;
+  let held = 0;
 
   for (const postId of postIds) {
     try {
       await archivePost(postId, userId, userName, reason);
       success++;
     } catch (error) {
+      if (isLegalHoldError(error)) {
+        held++;
+        continue;
+      }
       console.error(`Failed to archive post ${postId}:`, error);
       failed++;
     }
   }
 
-  return { success, failed };
+  return { success, failed, held };
 };
 
 /**
@@ -14,8 +14,11 @@ import {
   writeBatch,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
-import { PostStatus, PostActivityType, UserRole } from "../utils/constants";
+import { PostStatus, PostActivityType, UserRole, ScreeningStatus } from "../utils/constants";
 import { logPostActivity } from "./postManagementService";
+import { assertNotUnderLegalHold, isUnderLegalHold, logLegalHoldBlock } from "./legalHoldService";
+import { isContentAuthor, getRecordedActor, publishAnonymousDraft } from "./anonymousContentService";
+import { screeningClearedConstraint } from "./contentScreeningService";
 
 // ============================================
 // DRAFT POSTS
@@ -29,10 +32,14 @@ import { logPostActivity } from "./postManagementService";
 export const saveDraft = async (postData) => {
   try {
     const draftData = {
+      // Feed sort counters, so the post appears in every feed order
+      comments: 0,
+      voteScore: 0,
       ...postData,
       isDraft: true,
       isScheduled: false,
       status: "draft",
+      screeningStatus: ScreeningStatus.PENDING,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
     };
@@ -83,9 +90,17 @@ export const publishDraft = async (draftId, adminUser) => {
       throw new Error("Draft not found");
     }
 
+    // Anonymous drafts are published by a Cloud Function, which replaces the author
+    if (draftSnap.data().isAnonymous) {
+      await publishAnonymousDraft(draftId);
+      return { success: true };
+    }
+
     await updateDoc(draftRef, {
       isDraft: false,
       status: "open",
+      // Drafts are screened when they are published
+      screeningStatus: ScreeningStatus.PENDING,
       publishedAt: serverTimestamp(),
       publishedBy: adminUser.displayName,
       publishedById: adminUser.id,
@@ -270,15 +285,25 @@ export const editPost = async (postId, updateData, editor) => {
     const oldData = postSnap.data();
 
     // Verify editor is the author (or admin/HR/super admin)
-    const isAuthor = oldData.authorId === editor.id || oldData.authorId === editor.uid;
+    const isAuthor = isContentAuthor(oldData, editor, postId);
     const isAdmin = [UserRole.SUPER_ADMIN, UserRole.COMPANY_ADMIN, UserRole.HR].includes(editor.role);
 
     if (!isAuthor && !isAdmin) {
       throw new Error("Unauthorized to edit this post");
     }
 
+    const recordedEditor = getRecordedActor(oldData, editor, postId);
+
+    await assertNotUnderLegalHold(oldData, {
+      contentType: "post",
+      contentId: postId,
+      action: "edit",
+      companyId: oldData.companyId,
+      userId: recordedEditor.id || recordedEditor.uid,
+    });
+
     // Save edit history
-    await saveEditHistory(postId, oldData, updateData, editor);
+    await saveEditHistory(postId, oldData, updateData, recordedEditor);
 
     // Update post
     await updateDoc(postRef, {
@@ -297,6 +322,14 @@ export const editPost = async (postId, updateData, editor) => {
 // POST SCHEDULING
 // ============================================
 
+// Retry bookkeeping written by the scheduled publisher when a publish fails
+const clearedPublishFailure = {
+  publishStatus: null,
+  publishAttempts: 0,
+  lastPublishError: null,
+  nextPublishAttemptAt: null,
+};
+
 /**
  * Schedule post for future publishing
  * @param {object} postData - Post data
@@ -305,12 +338,21 @@ export const editPost = async (postId, updateData, editor) => {
  */
 export const schedulePost = async (postData, scheduledDate) => {
   try {
+    // Anonymous posts can only be written by the createAnonymousPost Cloud Function
+    if (postData.isAnonymous) {
+      throw new Error("Anonymous posts cannot be scheduled");
+    }
+
     const scheduledData = {
+      // Feed sort counters, so the post appears in every feed order
+      comments: 0,
+      voteScore: 0,
       ...postData,
       isDraft: false,
       isScheduled: true,
       scheduledPublishDate: scheduledDate,
       status: "scheduled",
+      screeningStatus: ScreeningStatus.PENDING,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
     };
@@ -336,6 +378,7 @@ export const getScheduledPosts = async (companyId) => {
       postsRef,
       where("companyId", "==", companyId),
       where("isScheduled", "==", true),
+      screeningClearedConstraint(),
       orderBy("scheduledPublishDate", "asc"),
       limit(100)
     );
@@ -355,7 +398,10 @@ export const getScheduledPosts = async (companyId) => {
 };
 
 /**
- * Publish scheduled post (called by cron/cloud function)
+ * Publish scheduled post immediately
+ * Due posts are published automatically by the publishScheduledPostsJob
+ * Cloud Function; this is used for "Publish Now" and for retrying a post
+ * whose automatic publish failed.
  * @param {string} postId - Post ID
  * @returns {Promise<void>}
  *
@@ -381,12 +427,17 @@ export const publishScheduledPost = async (postId) => {
       throw new Error("Cannot publish department-only post without departmentId");
     }
 
+    if (!postData.isScheduled) {
+      throw new Error("Post has already been published");
+    }
+
     // Only update scheduling-related fields, preserving all other data
     await updateDoc(postRef, {
       isScheduled: false,
       status: "open",
       publishedAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
+      ...clearedPublishFailure,
       // Note: privacyLevel, departmentId, and all other fields are preserved
     });
 
@@ -429,6 +480,7 @@ export const cancelScheduledPost = async (postId, userId) => {
       status: "draft",
       isDraft: true,
       updatedAt: serverTimestamp(),
+      ...clearedPublishFailure,
     });
 
     return { success: true };
@@ -523,6 +575,14 @@ export const archivePost = async (postId, user) => {
       throw new Error("Post not found");
     }
 
+    await assertNotUnderLegalHold(postSnap.data(), {
+      contentType: "post",
+      contentId: postId,
+      action: "archive",
+      companyId: postSnap.data().companyId,
+      userId: user.id,
+    });
+
     await updateDoc(postRef, {
       isArchived: true,
       archivedAt: serverTimestamp(),
@@ -587,6 +647,7 @@ export const getArchivedPosts = async (companyId, limitCount = 50) => {
       postsRef,
       where("companyId", "==", companyId),
       where("isArchived", "==", true),
+      screeningClearedConstraint(),
       orderBy("archivedAt", "desc"),
       limit(limitCount)
     );
@@ -649,16 +710,35 @@ export const bulkUpdateStatus = async (postIds, newStatus, adminUser) => {
 
 /**
  * Bulk archive posts
+ * Posts under legal hold are skipped and the attempt is logged
  * @param {Array<string>} postIds - Array of post IDs
  * @param {object} adminUser - Admin user
- * @returns {Promise<void>}
+ * @returns {Promise<{success: boolean, count: number, held: number}>}
  */
 export const bulkArchivePosts = async (postIds, adminUser) => {
   try {
     const batch = writeBatch(db);
+    let count = 0;
+    let held = 0;
 
     for (const postId of postIds) {
       const postRef = doc(db, "posts", postId);
+      const postSnap = await getDoc(postRef);
+      if (!postSnap.exists()) continue;
+
+      if (isUnderLegalHold(postSnap.data())) {
+        held++;
+        await logLegalHoldBlock(postSnap.data(), {
+          contentType: "post",
+          contentId: postId,
+          action: "bulk_archive",
+          companyId: postSnap.data().companyId,
+          userId: adminUser.id,
+        });
+        continue;
+      }
+
+      count++;
       batch.update(postRef, {
         isArchived: true,
         archivedAt: serverTimestamp(),
@@ -670,7 +750,7 @@ export const bulkArchivePosts = async (postIds, adminUser) => {
 
     await batch.commit();
 
-    return { success: true, count: postIds.length };
+    return { success: true, count, held };
   } catch (error) {
     console.error("Error bulk archiving posts:", error);
     throw error;
@@ -9,6 +9,8 @@ import {
   where,
   orderBy,
   limit,
+  startAfter,
+  getCountFromServer,
   getDoc,
   increment,
   deleteDoc,
@@ -16,7 +18,9 @@ import {
   writeBatch,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
-import CryptoJS from "crypto-js";
+import { assertNotUnderLegalHold } from "./legalHoldService";
+import { isContentAuthor, getRecordedActor, getMyAnonymousPosts } from "./anonymousContentService";
+import { canSeeScreenedContent, screeningClearedConstraint } from "./contentScreeningService";
 import {
   PostStatus,
   PostPriority,
@@ -24,43 +28,14 @@ import {
   PostActivityType,
   UserRole,
   NotificationType,
+  FeedSort,
+  FeedSortConfig,
+  FEED_PAGE_SIZE,
+  ScreeningStatus,
 } from "../utils/constants";
 
-// Secret key for anonymous encryption (should be in environment variables in production)
-const ANONYMOUS_SECRET = import.meta.env.VITE_ANONYMOUS_SECRET || "default-secret-key-change-in-production";
-
-// ============================================
-// ANONYMOUS AUTHOR ENCRYPTION
-// ============================================
-
-/**
- * Encrypt anonymous author ID
- * @param {string} authorId - The actual user ID
- * @returns {string} - Encrypted author ID
- */
-export const encryptAuthorId = (authorId) => {
-  try {
-    return CryptoJS.AES.encrypt(authorId, ANONYMOUS_SECRET).toString();
-  } catch (error) {
-    console.error("Error encrypting author ID:", error);
-    throw error;
-  }
-};
-
-/**
- * Decrypt anonymous author ID (admin only)
- * @param {string} encryptedId - The encrypted author ID
- * @returns {string} - Decrypted author ID
- */
-export const decryptAuthorId = (encryptedId) => {
-  try {
-    const bytes = CryptoJS.AES.decrypt(encryptedId, ANONYMOUS_SECRET);
-    return bytes.toString(CryptoJS.enc.Utf8);
-  } catch (error) {
-    console.error("Error decrypting author ID:", error);
-    return null;
-  }
-};
+// Stop filling a feed page after this many reads when most posts are hidden
+const MAX_FEED_PAGE_READS = 5;
 
 // ============================================
 // RATE LIMITING
@@ -418,6 +393,7 @@ export const addAdminComment = async (postId, commentText, adminUser) => {
       authorRole: adminUser.role,
       isAdminComment: true, // Flag to distinguish admin comments
       companyId: postData.companyId,
+      screeningStatus: ScreeningStatus.PENDING,
       createdAt: serverTimestamp(),
     };
 
@@ -700,9 +676,10 @@ const notifyAuthor = async (postId, postData, notificationType, metadata) => {
  * @param {string} userId - User ID
  * @param {string} companyId - Company ID
  * @param {string} postType - Optional post type filter
+ * @param {string} authorToken - The user's author token, to find anonymous posts
  * @returns {Promise<Array>}
  */
-export const getUserPosts = async (userId, companyId, postType = null) => {
+export const getUserPosts = async (userId, companyId, postType = null, authorToken = null) => {
   try {
     const postsRef = collection(db, "posts");
     const buildConstraints = (authorId) => {
@@ -714,29 +691,25 @@ export const getUserPosts = async (userId, companyId, postType = null) => {
 
     // Fetch by plain authorId (non-anonymous posts)
     const snapshot = await getDocs(query(postsRef, ...buildConstraints(userId)));
-    // Also fetch by creatorId to catch anonymous posts (which have encrypted authorId).
-    // No orderBy here to avoid requiring a composite index — results are sorted client-side below.
-    let creatorDocs = [];
-    try {
-      const creatorSnap = await getDocs(
-        query(postsRef, where("creatorId", "==", userId), where("companyId", "==", companyId), limit(100))
-      );
-      creatorDocs = creatorSnap.docs;
-    } catch {
-      // creatorId index not yet available — fall back to authorId results only
-    }
+    // Anonymous posts are found through their author records (their authorId
+    // is encrypted); results are sorted client-side below
+    const anonymousPosts = authorToken
+      ? (await getMyAnonymousPosts({ authorToken, companyId })).filter((post) => !postType || post.type === postType)
+      : [];
 
     // Merge, deduplicating by post ID
     const seenIds = new Set();
-    const allDocs = [...snapshot.docs, ...creatorDocs].filter(d => {
-      if (seenIds.has(d.id)) return false;
-      seenIds.add(d.id);
+    const allPosts = [
+      ...snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() })),
+      ...anonymousPosts,
+    ].filter((post) => {
+      if (seenIds.has(post.id)) return false;
+      seenIds.add(post.id);
       return true;
     });
 
     const posts = [];
-    for (const docSnap of allDocs) {
-      const postData = { id: docSnap.id, ...docSnap.data() };
+    for (const postData of allPosts) {
       postData.hasUnreadUpdates = await hasUnreadUpdates(postData, userId);
       posts.push(postData);
     }
@@ -817,6 +790,178 @@ export const createDefaultDepartments = async (companyId, departments) => {
 // PRIVACY FILTERING
 // ============================================
 
+/**
+ * Check whether a user may see a post in the feeds
+ * @param {object} post - Post data
+ * @param {object} user - Current user object with role, departmentId
+ * @returns {boolean}
+ */
+export const canUserViewPost = (post, user) => {
+  if (post.isArchived) return false;
+  if (post.isDraft) return false;
+
+  // Unscreened and held posts stay with their author; admins review them
+  // from the Moderation Dashboard instead of the feed
+  if (!canSeeScreenedContent(post, user)) return false;
+
+  // Super admin and company admin can see all posts
+  if (user.role === UserRole.SUPER_ADMIN || user.role === UserRole.COMPANY_ADMIN) {
+    return true;
+  }
+
+  const userId = user.id || user.uid;
+
+  // Authors can always see their own posts
+  if (userId && post.authorId === userId) return true;
+
+  // Users can see posts assigned to them
+  if (userId && post.assignedTo?.id === userId) return true;
+
+  const privacyLevel = post.privacyLevel || "company_public";
+
+  if (privacyLevel === "company_public") return true;
+
+  // HR-only posts
+  if (privacyLevel === "hr_only") {
+    return user.role === UserRole.HR;
+  }
+
+  // Department-only posts
+  if (privacyLevel === "department_only") {
+    if (user.role === UserRole.HR) return true;
+    if (user.departmentId && post.departmentId) {
+      return user.departmentId === post.departmentId;
+    }
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Convert a post snapshot to the shape the feeds render
+ * @param {object} postDoc - Firestore document snapshot
+ * @returns {object} Post with JS dates
+ */
+export const toFeedPost = (postDoc) => ({
+  id: postDoc.id,
+  ...postDoc.data(),
+  createdAt: postDoc.data().createdAt?.toDate(),
+  updatedAt: postDoc.data().updatedAt?.toDate(),
+});
+
+/**
+ * Build the query constraints shared by a feed's pages and its live listener
+ * Feeds only list posts that have cleared screening; authors find their own
+ * held posts under My Posts
+ * @param {string} companyId - Company ID
+ * @param {string} feedType - Type of feed
+ * @param {string} sortBy - FeedSort value
+ * @param {Array<string>} statuses - Only include these statuses (optional)
+ * @returns {Array} Query constraints
+ */
+export const getFeedQueryConstraints = (companyId, feedType, sortBy = FeedSort.NEWEST, statuses = null) => {
+  const sortField = (FeedSortConfig[sortBy] || FeedSortConfig[FeedSort.NEWEST]).field;
+  const constraints = [
+    where("companyId", "==", companyId),
+    where("type", "==", feedType),
+    screeningClearedConstraint(),
+  ];
+
+  if (statuses?.length) {
+    constraints.push(where("status", "in", statuses));
+  }
+
+  constraints.push(orderBy(sortField, "desc"));
+  if (sortField !== "createdAt") {
+    constraints.push(orderBy("createdAt", "desc"));
+  }
+
+  return constraints;
+};
+
+/**
+ * Get one page of a feed with privacy filtering
+ * Privacy is applied client-side, so filling a page can take several reads.
+ * Pass the returned cursor (the last document read) back to get the next page.
+ * @param {string} companyId - Company ID
+ * @param {string} feedType - Type of feed (problem_report, idea_suggestion, etc.)
+ * @param {object} user - Current user object with role, departmentId
+ * @param {object} options - { sortBy, statuses, cursor, pageSize }
+ * @returns {Promise<{posts: Array, cursor: object|null, hasMore: boolean}>}
+ */
+export const getFeedPage = async (companyId, feedType, user, options = {}) => {
+  const {
+    sortBy = FeedSort.NEWEST,
+    statuses = null,
+    cursor = null,
+    pageSize = FEED_PAGE_SIZE,
+  } = options;
+
+  try {
+    if (!companyId || !user) {
+      return { posts: [], cursor: null, hasMore: false };
+    }
+
+    const constraints = getFeedQueryConstraints(companyId, feedType, sortBy, statuses);
+    const posts = [];
+    let lastDoc = cursor;
+    let hasMore = true;
+
+    for (let reads = 0; reads < MAX_FEED_PAGE_READS && hasMore && posts.length < pageSize; reads++) {
+      const pageConstraints = lastDoc ? [startAfter(lastDoc)] : [];
+      const snapshot = await getDocs(
+        query(collection(db, "posts"), ...constraints, ...pageConstraints, limit(pageSize))
+      );
+
+      hasMore = snapshot.docs.length === pageSize;
+
+      for (const [index, postDoc] of snapshot.docs.entries()) {
+        lastDoc = postDoc;
+        const post = toFeedPost(postDoc);
+        if (canUserViewPost(post, user)) posts.push(post);
+
+        if (posts.length === pageSize) {
+          hasMore = hasMore || index < snapshot.docs.length - 1;
+          break;
+        }
+      }
+    }
+
+    return { posts, cursor: lastDoc, hasMore };
+  } catch (error) {
+    console.error("Error getting feed page:", error);
+    throw error;
+  }
+};
+
+/**
+ * Count the posts in a feed on the server
+ * Counts are not privacy filtered, so only show them to company admins
+ * @param {string} companyId - Company ID
+ * @param {string} feedType - Type of feed
+ * @param {Array<string>} statuses - Only count these statuses (optional)
+ * @returns {Promise<number>}
+ */
+export const getFeedCount = async (companyId, feedType, statuses = null) => {
+  try {
+    const constraints = [
+      where("companyId", "==", companyId),
+      where("type", "==", feedType),
+      screeningClearedConstraint(),
+    ];
+    if (statuses?.length) {
+      constraints.push(where("status", "in", statuses));
+    }
+
+    const snapshot = await getCountFromServer(query(collection(db, "posts"), ...constraints));
+    return snapshot.data().count;
+  } catch (error) {
+    console.error("Error counting feed posts:", error);
+    throw error;
+  }
+};
+
 /**
  * Get posts with privacy filtering based on user role and department
  * @param {string} companyId - Company ID
@@ -838,56 +983,14 @@ export const getPostsWithPrivacyFilter = async (companyId, feedType, user) => {
       postsRef,
       where("companyId", "==", companyId),
       where("type", "==", feedType),
+      screeningClearedConstraint(),
       orderBy("createdAt", "desc")
     );
 
     const snapshot = await getDocs(q);
-    const allPosts = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate(),
-      updatedAt: doc.data().updatedAt?.toDate(),
-    }));
-
-    // Apply privacy filtering based on user role
-    const userId = user.id || user.uid;
-    const filteredPosts = allPosts.filter((post) => {
-      if (post.isArchived) return false;
-      if (post.isDraft) return false;
-
-      // Super admin and company admin can see all posts
-      if (user.role === UserRole.SUPER_ADMIN || user.role === UserRole.COMPANY_ADMIN) {
-        return true;
-      }
-
-      // Authors can always see their own posts
-      if (userId && post.authorId === userId) return true;
-
-      // Users can see posts assigned to them
-      if (userId && post.assignedTo?.id === userId) return true;
-
-      const privacyLevel = post.privacyLevel || "company_public";
-
-      if (privacyLevel === "company_public") return true;
-
-      // HR-only posts
-      if (privacyLevel === "hr_only") {
-        return user.role === UserRole.HR;
-      }
-
-      // Department-only posts
-      if (privacyLevel === "department_only") {
-        if (user.role === UserRole.HR) return true;
-        if (user.departmentId && post.departmentId) {
-          return user.departmentId === post.departmentId;
-        }
-        return false;
-      }
-
-      return true;
-    });
-
-    return filteredPosts;
+    return snapshot.docs
+      .map(toFeedPost)
+      .filter((post) => canUserViewPost(post, user));
   } catch (error) {
     console.error("Error getting posts with privacy filter:", error);
     return [];
@@ -922,7 +1025,7 @@ export const deletePost = async (postId, user) => {
     const postData = postSnap.data();
 
     // Check authorization: author or admin
-    const isAuthor = postData.authorId === user.id || postData.authorId === user.uid;
+    const isAuthor = isContentAuthor(postData, user, postId);
     const isAdmin = [UserRole.SUPER_ADMIN, UserRole.COMPANY_ADMIN, UserRole.HR].includes(user.role);
 
     if (!isAuthor && !isAdmin) {
@@ -934,6 +1037,16 @@ export const deletePost = async (postId, user) => {
       throw new Error("Unauthorized: Post belongs to a different company");
     }
 
+    const deletedBy = getRecordedActor(postData, user, postId);
+
+    await assertNotUnderLegalHold(postData, {
+      contentType: "post",
+      contentId: postId,
+      action: "delete",
+      companyId: postData.companyId,
+      userId: deletedBy.id || deletedBy.uid,
+    });
+
     // SOFT DELETE: Move post to deletedPosts collection instead of deleting
     const deletedPostRef = doc(db, "deletedPosts", postId);
 
@@ -942,9 +1055,9 @@ export const deletePost = async (postId, user) => {
       ...postData,
       originalPostId: postId,
       deletedBy: {
-        id: user.id || user.uid,
-        name: user.displayName || user.username,
-        role: user.role,
+        id: deletedBy.id || deletedBy.uid,
+        name: deletedBy.displayName || deletedBy.username,
+        role: deletedBy.role,
       },
       deletedAt: serverTimestamp(),
     };
@@ -0,0 +1,44 @@
+/**
+ * Retention Service
+ * Frontend service for per-company retention policies
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../config/firebase';
+
+/**
+ * Get a company's retention policy
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} { enabled, archiveResolvedAfterDays, deleteArchivedAfterDays,
+ *   purgeReadNotificationsAfterDays, updatedAt, lastRunAt, lastRunSummary }
+ */
+export async function getRetentionPolicy(companyId) {
+  const getRetentionPolicyFunc = httpsCallable(functions, 'getCompanyRetentionPolicy');
+  const result = await getRetentionPolicyFunc({ companyId });
+  return result.data.data;
+}
+
+/**
+ * Save a company's retention policy
+ * Empty day values switch the matching rule off
+ * @param {string} companyId - Company ID
+ * @param {Object} policy - { enabled, archiveResolvedAfterDays, deleteArchivedAfterDays, purgeReadNotificationsAfterDays }
+ * @returns {Promise<Object>} Saved policy
+ */
+export async function updateRetentionPolicy(companyId, policy) {
+  const updateRetentionPolicyFunc = httpsCallable(functions, 'updateCompanyRetentionPolicy');
+  const result = await updateRetentionPolicyFunc({ companyId, policy });
+  return result.data.data;
+}
+
+/**
+ * Preview what a retention policy would do right now, without changing anything
+ * @param {string} companyId - Company ID
+ * @param {Object} policy - Policy to preview (may be unsaved)
+ * @returns {Promise<Object>} { archive, delete, held, notifications, maxActionsPerRule }
+ */
+export async function previewRetention(companyId, policy) {
+  const previewRetentionFunc = httpsCallable(functions, 'previewCompanyRetention');
+  const result = await previewRetentionFunc({ companyId, policy });
+  return result.data.data;
+}
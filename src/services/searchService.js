@@ -0,0 +1,125 @@
+/**
+ * Search Service
+ * Frontend service for the advanced search Firebase Functions
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../config/firebase';
+
+/**
+ * Search posts (and optionally comments) visible to the current user
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Search text
+ * @param {boolean} params.searchInComments - Also match comment text
+ * @param {Object} params.filters - { department, type, status, priority, isAnonymous, startDate, endDate }
+ * @param {string} params.cursor - pagination.nextCursor from the previous page
+ * @param {number} params.limit - Results per page (max 50)
+ * @param {string} params.sortBy - 'createdAt' or 'relevance'
+ * @param {string} params.sortOrder - 'asc' or 'desc'
+ * @returns {Promise<Object>} { results, commentResults, terms, pagination }
+ */
+export async function advancedSearch(params) {
+  const advancedSearchFunc = httpsCallable(functions, 'advancedSearch');
+  const result = await advancedSearchFunc(params);
+  return result.data;
+}
+
+/**
+ * Save a search (admins only)
+ * @param {Object} params - { name, query, filters, searchInComments }
+ * @returns {Promise<Object>} { searchId }
+ */
+export async function saveSearch(params) {
+  const saveSearchFunc = httpsCallable(functions, 'saveSearch');
+  const result = await saveSearchFunc(params);
+  return result.data;
+}
+
+/**
+ * Get saved searches (company-wide for admins, own searches otherwise)
+ * @returns {Promise<Array>} Saved searches
+ */
+export async function getSavedSearches() {
+  const getSavedSearchesFunc = httpsCallable(functions, 'getSavedSearches');
+  const result = await getSavedSearchesFunc({});
+  return result.data.searches || [];
+}
+
+/**
+ * Delete a saved search (creator only)
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<Object>} Result
+ */
+export async function deleteSavedSearch(searchId) {
+  const deleteSavedSearchFunc = httpsCallable(functions, 'deleteSavedSearch');
+  const result = await deleteSavedSearchFunc({ searchId });
+  return result.data;
+}
+
+/**
+ * Record that a saved search was run and get its parameters
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<Object>} { id, name, query, filters, searchInComments }
+ */
+export async function runSavedSearch(searchId) {
+  const markSavedSearchUsedFunc = httpsCallable(functions, 'useSavedSearch');
+  const result = await markSavedSearchUsedFunc({ searchId });
+  return result.data.search;
+}
+
+/**
+ * Get search analytics (admins only)
+ * @param {Object} params - { startDate, endDate, limit }
+ * @returns {Promise<Object>} { topQueries, filterStats, totalSearches }
+ */
+export async function getSearchAnalytics(params = {}) {
+  const getSearchAnalyticsFunc = httpsCallable(functions, 'getSearchAnalytics');
+  const result = await getSearchAnalyticsFunc(params);
+  return result.data;
+}
+
+/**
+ * Split text into segments marking search-term matches, for highlighting
+ * @param {string} text - Text to split
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function getHighlightSegments(text, terms = []) {
+  const source = text || '';
+  const escaped = terms
+    .filter(Boolean)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  if (escaped.length === 0) {
+    return [{ text: source, match: false }];
+  }
+
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  return source
+    .split(pattern)
+    .filter((part) => part.length > 0)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+/**
+ * Shorten text to a window around the first match
+ * @param {string} text - Full text
+ * @param {string[]} terms - Lowercase search terms
+ * @param {number} length - Maximum snippet length
+ * @returns {string} Snippet
+ */
+export function getMatchSnippet(text, terms = [], length = 240) {
+  const source = text || '';
+  if (source.length <= length) return source;
+
+  const lower = source.toLowerCase();
+  const firstMatch = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index >= 0)
+    .sort((a, b) => a - b)[0];
+
+  const start = Math.max(0, (firstMatch ?? 0) - Math.floor(length / 3));
+  const end = Math.min(source.length, start + length);
+
+  return `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+}
@@ -9,10 +9,12 @@ import {
   where,
   increment,
   serverTimestamp,
+  Timestamp,
 } from "firebase/firestore";
 import { ref, uploadBytesResumable, getDownloadURL } from "firebase/storage";
 import { db, storage } from "../config/firebase";
-import { encryptAuthorId } from "./postManagementService";
+import { getEncryptedAuthorId } from "./anonymousContentService";
+import { coarsenDate, prepareAnonymousFile } from "../utils/anonymityHelpers";
 
 const VENDOR_REPORTS_COLLECTION = "vendorReports";
 
@@ -31,10 +33,12 @@ export const generateReferenceCode = async (companyId) => {
 };
 
 // ── FILE UPLOAD ──────────────────────────────────────────────────────────────
+// Reports are anonymous, so evidence is uploaded without its metadata and
+// under a random name, and submission times are rounded down to the hour
 
-export const uploadEvidenceFile = async (file, companyId, reportId, prefix = "") => {
-  const timestamp = Date.now();
-  const path = `vendorEvidence/${companyId}/${reportId}/${prefix}${timestamp}_${file.name}`;
+export const uploadEvidenceFile = async (originalFile, companyId, reportId, prefix = "") => {
+  const file = await prepareAnonymousFile(originalFile);
+  const path = `vendorEvidence/${companyId}/${reportId}/${prefix}${file.name}`;
   const storageRef = ref(storage, path);
 
   return new Promise((resolve, reject) => {
@@ -60,9 +64,8 @@ const uploadFilesWithProgress = async (files, companyId, reportId, prefix = "",
   if (!files || files.length === 0) return [];
   const urls = [];
   for (let i = 0; i < files.length; i++) {
-    const file = files[i];
-    const timestamp = Date.now();
-    const path = `vendorEvidence/${companyId}/${reportId}/${prefix}${timestamp}_${file.name}`;
+    const file = await prepareAnonymousFile(files[i]);
+    const path = `vendorEvidence/${companyId}/${reportId}/${prefix}${file.name}`;
     const storageRef = ref(storage, path);
 
     const url = await new Promise((resolve, reject) => {
@@ -115,6 +118,7 @@ export const submitVendorReport = async (reportData, files, userData, onProgress
   );
 
   // Write document
+  const submittedAt = Timestamp.fromDate(coarsenDate());
   await addDoc(collection(db, VENDOR_REPORTS_COLLECTION), {
     companyId: userData.companyId,
     referenceCode,
@@ -124,12 +128,12 @@ export const submitVendorReport = async (reportData, files, userData, onProgress
     status: "open",
     description,
     attachmentUrls,
-    authorId: encryptAuthorId(userData.id),
+    authorId: await getEncryptedAuthorId(),
     isAnonymous: true,
     corroborationCount: 0,
     autoEscalated: false,
-    submittedAt: serverTimestamp(),
-    updatedAt: serverTimestamp(),
+    submittedAt,
+    updatedAt: submittedAt,
     reviewedBy: null,
     reviewNotes: null,
     resolvedAt: null,
@@ -140,7 +144,7 @@ export const submitVendorReport = async (reportData, files, userData, onProgress
 
 // ── SUBMIT CORROBORATION ─────────────────────────────────────────────────────
 
-export const submitCorroboration = async (reportId, corrData, files, userData) => {
+export const submitCorroboration = async (reportId, corrData, files) => {
   const { relationship, account, severity } = corrData;
 
   // Fetch parent report to get companyId
@@ -166,6 +170,7 @@ export const submitCorroboration = async (reportId, corrData, files, userData) =
   );
 
   // Add corroboration document
+  const submittedAt = Timestamp.fromDate(coarsenDate());
   await addDoc(
     collection(db, VENDOR_REPORTS_COLLECTION, reportId, "corroborations"),
     {
@@ -173,15 +178,15 @@ export const submitCorroboration = async (reportId, corrData, files, userData) =
       account,
       severity,
       attachmentUrls,
-      authorId: encryptAuthorId(userData.id),
-      submittedAt: serverTimestamp(),
+      authorId: await getEncryptedAuthorId(),
+      submittedAt,
     }
   );
 
   // Increment corroborationCount on parent
   await updateDoc(parentRef, {
     corroborationCount: increment(1),
-    updatedAt: serverTimestamp(),
+    updatedAt: submittedAt,
   });
 
   // Re-fetch to check new count for auto-escalation
@@ -192,7 +197,7 @@ export const submitCorroboration = async (reportId, corrData, files, userData) =
       autoEscalated: true,
       severity: "high",
       status: "escalated",
-      updatedAt: serverTimestamp(),
+      updatedAt: submittedAt,
     });
   }
 
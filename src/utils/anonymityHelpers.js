@@ -0,0 +1,95 @@
+/**
+ * Anonymity helpers
+ * Scrub what an anonymous submission could give away besides its text:
+ * exact times, file names and the metadata inside attached files.
+ */
+
+import { ANONYMOUS_TIME_PRECISION_MINUTES } from "./constants";
+
+// Image types the browser can re-encode; re-encoding keeps only the pixels,
+// dropping EXIF data such as GPS location, camera model and capture time
+const REENCODABLE_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "application/pdf": "pdf",
+};
+
+/**
+ * Round a time down to the precision used for anonymous content
+ * @param {Date} [date] - Exact time, defaults to now
+ * @returns {Date}
+ */
+export const coarsenDate = (date = new Date()) => {
+  const precision = ANONYMOUS_TIME_PRECISION_MINUTES * 60 * 1000;
+  return new Date(Math.floor(date.getTime() / precision) * precision);
+};
+
+/**
+ * Whether a file's embedded metadata can be removed before upload
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const canStripMetadata = (file) => REENCODABLE_IMAGE_TYPES.includes(file.type);
+
+/**
+ * Random file name that keeps only the extension
+ * @param {string} type - MIME type of the file
+ * @param {string} originalName - Original file name, used for unknown types
+ * @returns {string}
+ */
+const randomFileName = (type, originalName) => {
+  const id = Array.from(crypto.getRandomValues(new Uint8Array(12)))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  const extension = EXTENSIONS[type] || originalName.match(/\.([a-z0-9]{1,8})$/i)?.[1]?.toLowerCase();
+  return extension ? `${id}.${extension}` : id;
+};
+
+/**
+ * Re-encode an image through a canvas so only its pixels are kept
+ * @param {File} file - JPEG, PNG or WebP image
+ * @returns {Promise<Blob>}
+ */
+const stripImageMetadata = async (file) => {
+  // Applies the EXIF orientation, so the image still displays the right way up
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Could not re-encode image"))),
+      file.type,
+      0.92
+    );
+  });
+};
+
+/**
+ * Prepare a file for an anonymous upload: images lose their metadata and
+ * every file gets a random name
+ * Other files keep their contents, so metadata such as a PDF's author stays
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<File>}
+ */
+export const prepareAnonymousFile = async (file) => {
+  if (!canStripMetadata(file)) {
+    return new File([file], randomFileName(file.type, file.name), { type: file.type });
+  }
+
+  try {
+    const image = await stripImageMetadata(file);
+    // Browsers that cannot encode the original type fall back to PNG
+    return new File([image], randomFileName(image.type, file.name), { type: image.type });
+  } catch (error) {
+    console.error("Error stripping image metadata:", error);
+    throw new Error(`Could not remove the metadata from ${file.name}. Please try a different image.`);
+  }
+};
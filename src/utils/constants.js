@@ -6,6 +6,7 @@
 export const ThreadSender = {
   REPORTER: "reporter",
   INVESTIGATOR: "investigator",
+  SYSTEM: "system", // Platform notices, e.g. an approved identity disclosure request
 };
 
 // ============================================
@@ -104,6 +105,40 @@ export const PrivacyLevel = {
   HR_ONLY: "hr_only",
 };
 
+// Feed sort orders
+export const FeedSort = {
+  NEWEST: "newest",
+  MOST_VOTED: "most_voted",
+  MOST_DISCUSSED: "most_discussed",
+};
+
+// Post field each feed sort orders by (newest first on ties)
+export const FeedSortConfig = {
+  [FeedSort.NEWEST]: { field: "createdAt" },
+  [FeedSort.MOST_VOTED]: { field: "voteScore" },
+  [FeedSort.MOST_DISCUSSED]: { field: "comments" },
+};
+
+// Posts per feed page
+export const FEED_PAGE_SIZE = 20;
+
+// Smallest group analytics may describe on its own (k-anonymity); companies
+// can raise it but not go below the minimum
+export const DEFAULT_MIN_GROUP_SIZE = 5;
+export const MIN_ALLOWED_GROUP_SIZE = 3;
+
+// Anonymous content timestamps are rounded down to this precision, and
+// anonymous posts can be held back for a random delay within this window
+export const ANONYMOUS_TIME_PRECISION_MINUTES = 60;
+export const ANONYMOUS_PUBLISH_DELAY_MINUTES = { min: 30, max: 240 };
+
+// Kinds of ballot a user can cast on a post, one of each per user
+export const BallotKind = {
+  VOTE: "vote",
+  REACTION: "reaction",
+  POLL: "poll",
+};
+
 // ============================================
 // POST MANAGEMENT SYSTEM
 // ============================================
@@ -440,7 +475,23 @@ export const SystemActivityType = {
   DEPARTMENT_UPDATED: "department_updated",
   DEPARTMENT_DELETED: "department_deleted",
   PASSWORD_CHANGED: "password_changed",
+  PASSWORD_CHANGE_REQUIRED: "password_change_required",
+  PASSWORD_CHANGE_CANCELLED: "password_change_cancelled",
   PROFILE_UPDATED: "profile_updated",
+  // Written by the retention Cloud Functions
+  RETENTION_POLICY_UPDATED: "retention_policy_updated",
+  MODERATION_POLICY_UPDATED: "moderation_policy_updated",
+  RETENTION_POST_ARCHIVED: "retention_post_archived",
+  RETENTION_POST_DELETED: "retention_post_deleted",
+  RETENTION_NOTIFICATIONS_PURGED: "retention_notifications_purged",
+  RETENTION_RUN_COMPLETED: "retention_run_completed",
+  // Legal holds: placed and released by the Cloud Functions, blocked
+  // attempts logged by the client service that refused the change
+  LEGAL_HOLD_PLACED: "legal_hold_placed",
+  LEGAL_HOLD_RELEASED: "legal_hold_released",
+  LEGAL_HOLD_BLOCKED: "legal_hold_blocked",
+  // Written when the re-encryption job started by a key rotation finishes
+  KEY_ROTATION_COMPLETED: "key_rotation_completed",
 };
 
 // System activity type display configuration
@@ -541,6 +592,22 @@ export const SystemActivityTypeConfig = {
     textColor: "text-yellow-800",
     description: "User password was changed",
   },
+  [SystemActivityType.PASSWORD_CHANGE_REQUIRED]: {
+    label: "Password Change Required",
+    icon: "🔑",
+    color: "yellow",
+    bgColor: "bg-yellow-100",
+    textColor: "text-yellow-800",
+    description: "User must change their password at next login",
+  },
+  [SystemActivityType.PASSWORD_CHANGE_CANCELLED]: {
+    label: "Password Change Cancelled",
+    icon: "🔑",
+    color: "gray",
+    bgColor: "bg-gray-100",
+    textColor: "text-gray-800",
+    description: "Required password change was cancelled",
+  },
   [SystemActivityType.PROFILE_UPDATED]: {
     label: "Profile Updated",
     icon: "👤",
@@ -549,6 +616,86 @@ export const SystemActivityTypeConfig = {
     textColor: "text-blue-800",
     description: "User profile was updated",
   },
+  [SystemActivityType.RETENTION_POLICY_UPDATED]: {
+    label: "Retention Policy Updated",
+    icon: "⚙️",
+    color: "blue",
+    bgColor: "bg-blue-100",
+    textColor: "text-blue-800",
+    description: "Company retention policy was changed",
+  },
+  [SystemActivityType.MODERATION_POLICY_UPDATED]: {
+    label: "Moderation Policy Updated",
+    icon: "⚙️",
+    color: "blue",
+    bgColor: "bg-blue-100",
+    textColor: "text-blue-800",
+    description: "Company moderation policy was changed",
+  },
+  [SystemActivityType.RETENTION_POST_ARCHIVED]: {
+    label: "Post Auto-Archived",
+    icon: "📦",
+    color: "amber",
+    bgColor: "bg-amber-100",
+    textColor: "text-amber-800",
+    description: "Post was archived by the retention policy",
+  },
+  [SystemActivityType.RETENTION_POST_DELETED]: {
+    label: "Post Permanently Deleted",
+    icon: "🗑️",
+    color: "red",
+    bgColor: "bg-red-100",
+    textColor: "text-red-800",
+    description: "Archived post was deleted by the retention policy",
+  },
+  [SystemActivityType.RETENTION_NOTIFICATIONS_PURGED]: {
+    label: "Notifications Purged",
+    icon: "🔕",
+    color: "gray",
+    bgColor: "bg-gray-100",
+    textColor: "text-gray-800",
+    description: "Read notifications were deleted by the retention policy",
+  },
+  [SystemActivityType.RETENTION_RUN_COMPLETED]: {
+    label: "Retention Run Completed",
+    icon: "🧹",
+    color: "gray",
+    bgColor: "bg-gray-100",
+    textColor: "text-gray-800",
+    description: "Scheduled retention policy run finished",
+  },
+  [SystemActivityType.LEGAL_HOLD_PLACED]: {
+    label: "Legal Hold Placed",
+    icon: "⚖️",
+    color: "indigo",
+    bgColor: "bg-indigo-100",
+    textColor: "text-indigo-800",
+    description: "Content was placed under legal hold",
+  },
+  [SystemActivityType.LEGAL_HOLD_RELEASED]: {
+    label: "Legal Hold Released",
+    icon: "🔓",
+    color: "gray",
+    bgColor: "bg-gray-100",
+    textColor: "text-gray-800",
+    description: "A legal hold was released",
+  },
+  [SystemActivityType.LEGAL_HOLD_BLOCKED]: {
+    label: "Change Blocked by Legal Hold",
+    icon: "⛔",
+    color: "red",
+    bgColor: "bg-red-100",
+    textColor: "text-red-800",
+    description: "An edit or deletion of held content was refused",
+  },
+  [SystemActivityType.KEY_ROTATION_COMPLETED]: {
+    label: "Key Rotation Completed",
+    icon: "🔐",
+    color: "indigo",
+    bgColor: "bg-indigo-100",
+    textColor: "text-indigo-800",
+    description: "Existing content was re-encrypted with the new data key",
+  },
 };
 
 // ============================================
@@ -597,6 +744,12 @@ export const NotificationType = {
   STRIKE_RECEIVED: "strike_received",
   ACCOUNT_RESTRICTED: "account_restricted",
   ACCOUNT_SUSPENDED: "account_suspended",
+  RESTRICTION_LIFTED: "restriction_lifted",
+  ACCOUNT_REINSTATED: "account_reinstated",
+  STRIKE_EXPIRED: "strike_expired",
+  REPORT_OUTCOME: "report_outcome",
+  APPEAL_FILED: "appeal_filed",
+  APPEAL_DECIDED: "appeal_decided",
 };
 
 // Reaction types
@@ -713,6 +866,57 @@ export const ReportStatusConfig = {
   },
 };
 
+// Combined severity of a report case. Reports about the same post or comment
+// are reviewed together as one case; its severity is the most severe reason,
+// raised one level once REPORT_CASE_ESCALATION_REPORTERS people report it,
+// and critical whenever a report was escalated to HR by the company policy.
+export const ReportSeverity = {
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+  CRITICAL: "critical",
+};
+
+export const ReportSeverityConfig = {
+  [ReportSeverity.LOW]: {
+    label: "Low",
+    rank: 0,
+    bgColor: "bg-gray-100",
+    textColor: "text-gray-700",
+  },
+  [ReportSeverity.MEDIUM]: {
+    label: "Medium",
+    rank: 1,
+    bgColor: "bg-yellow-100",
+    textColor: "text-yellow-800",
+  },
+  [ReportSeverity.HIGH]: {
+    label: "High",
+    rank: 2,
+    bgColor: "bg-orange-100",
+    textColor: "text-orange-700",
+  },
+  [ReportSeverity.CRITICAL]: {
+    label: "Critical",
+    rank: 3,
+    bgColor: "bg-red-100",
+    textColor: "text-red-700",
+  },
+};
+
+// Severity each report reason contributes to its case
+export const ReportReasonSeverity = {
+  [ReportReason.HARASSMENT]: ReportSeverity.HIGH,
+  [ReportReason.DISCRIMINATION]: ReportSeverity.HIGH,
+  [ReportReason.VIOLENCE]: ReportSeverity.CRITICAL,
+  [ReportReason.INAPPROPRIATE]: ReportSeverity.MEDIUM,
+  [ReportReason.FALSE_INFO]: ReportSeverity.LOW,
+  [ReportReason.SPAM]: ReportSeverity.LOW,
+  [ReportReason.OTHER]: ReportSeverity.LOW,
+};
+
+export const REPORT_CASE_ESCALATION_REPORTERS = 3;
+
 // Moderation action types
 export const ModerationActionType = {
   DISMISS: "dismiss",
@@ -756,40 +960,53 @@ export const ModerationActionConfig = {
   },
 };
 
-// Strike levels (3-strike policy)
-export const StrikeLevel = {
-  FIRST: 1,
-  SECOND: 2,
-  THIRD: 3,
+// Default moderation policy, used until a company saves its own in
+// moderationPolicies/{companyId}. Strikes count toward the ladder until they
+// expire; a null strikeExpiryDays means they never do.
+// Keep in sync with DEFAULT_POLICY in functions/services/moderationPolicyService.js
+export const DEFAULT_MODERATION_POLICY = {
+  restrictAtStrikes: 2,
+  restrictionDays: 7,
+  suspendAtStrikes: 3,
+  suspensionDays: 30,
+  strikeExpiryDays: null,
+  escalationReasons: ["harassment", "discrimination", "violence"],
+  criticalRetentionYears: 7, // EEOC compliance: 7 years for harassment
+  standardRetentionYears: 2,
 };
 
-// Strike configuration
-export const StrikeConfig = {
-  [StrikeLevel.FIRST]: {
-    label: "Strike 1 - Warning",
-    action: "Warning notification",
-    consequence: "Content removed, warning issued",
-    duration: null,
+// Bounds enforced when a policy is saved
+export const MODERATION_POLICY_LIMITS = {
+  MAX_STRIKES: 10,
+  MAX_RESTRICTION_DAYS: 365,
+  MAX_EXPIRY_DAYS: 3650,
+  MAX_RETENTION_YEARS: 50,
+};
+
+// What a strike leads to under the moderation policy
+export const StrikeOutcome = {
+  WARNING: "warning",
+  RESTRICTION: "restriction",
+  SUSPENSION: "suspension",
+};
+
+export const StrikeOutcomeConfig = {
+  [StrikeOutcome.WARNING]: {
+    label: "Warning",
     icon: "⚠️",
     color: "yellow",
     bgColor: "bg-yellow-100",
     textColor: "text-yellow-800",
   },
-  [StrikeLevel.SECOND]: {
-    label: "Strike 2 - Temporary Restriction",
-    action: "7-day posting restriction",
-    consequence: "Cannot post or comment for 7 days",
-    duration: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+  [StrikeOutcome.RESTRICTION]: {
+    label: "Temporary Restriction",
     icon: "🚫",
     color: "orange",
     bgColor: "bg-orange-100",
     textColor: "text-orange-800",
   },
-  [StrikeLevel.THIRD]: {
-    label: "Strike 3 - Account Suspension",
-    action: "30-day account suspension",
-    consequence: "Account suspended for 30 days",
-    duration: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+  [StrikeOutcome.SUSPENSION]: {
+    label: "Account Suspension",
     icon: "🔒",
     color: "red",
     bgColor: "bg-red-100",
@@ -816,6 +1033,81 @@ export const ModerationActivityType = {
   USER_SUSPENDED: "user_suspended",
   REPORT_DISMISSED: "report_dismissed",
   REPORT_ESCALATED: "report_escalated",
+  // Written by the hourly expiry job in Cloud Functions
+  RESTRICTION_LIFTED: "restriction_lifted",
+  SUSPENSION_LIFTED: "suspension_lifted",
+  STRIKE_EXPIRED: "strike_expired",
+  // Written by the content screening triggers and review function
+  CONTENT_HELD: "content_held",
+  CONTENT_APPROVED: "content_approved",
+  CONTENT_REJECTED: "content_rejected",
+  // Appeals against strikes and removals
+  APPEAL_FILED: "appeal_filed",
+  APPEAL_ESCALATED: "appeal_escalated",
+  APPEAL_UPHELD: "appeal_upheld",
+  APPEAL_OVERTURNED: "appeal_overturned",
+  STRIKE_REVERSED: "strike_reversed",
+  CONTENT_RESTORED: "content_restored",
+};
+
+// Appeals against a strike. An appeal is reviewed by a moderator other than
+// the one who issued the strike; when the company has nobody else it is
+// ESCALATED to super admins.
+export const AppealStatus = {
+  PENDING: "pending",
+  ESCALATED: "escalated",
+  UPHELD: "upheld",
+  OVERTURNED: "overturned",
+};
+
+export const AppealStatusConfig = {
+  [AppealStatus.PENDING]: {
+    label: "Under Review",
+    bgColor: "bg-yellow-100",
+    textColor: "text-yellow-800",
+  },
+  [AppealStatus.ESCALATED]: {
+    label: "Escalated",
+    bgColor: "bg-purple-100",
+    textColor: "text-purple-800",
+  },
+  [AppealStatus.UPHELD]: {
+    label: "Decision Upheld",
+    bgColor: "bg-gray-100",
+    textColor: "text-gray-700",
+  },
+  [AppealStatus.OVERTURNED]: {
+    label: "Overturned",
+    bgColor: "bg-green-100",
+    textColor: "text-green-800",
+  },
+};
+
+// Pre-publication screening of posts, comments and anonymous-thread messages.
+// New content is written as PENDING and only shown to others once it has
+// PASSED screening or been APPROVED by a reviewer; content without a status
+// predates screening.
+// Keep in sync with functions/services/contentScreeningService.js
+export const ScreeningStatus = {
+  PENDING: "pending",
+  PASSED: "passed",
+  PENDING_REVIEW: "pending_review",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+export const ScreeningReason = {
+  KEYWORD: "keyword",
+  PII_EMAIL: "pii_email",
+  PII_PHONE: "pii_phone",
+  PII_EMPLOYEE_ID: "pii_employee_id",
+  CLASSIFIER: "classifier",
+};
+
+export const ScreenedContentType = {
+  POST: "post",
+  COMMENT: "comment",
+  THREAD_MESSAGE: "thread_message",
 };
 
 // ============================================
@@ -890,7 +1182,7 @@ export const LegalRequestStatusConfig = {
     bgColor: "bg-blue-100",
     textColor: "text-blue-800",
     borderColor: "border-blue-300",
-    description: "Being reviewed by VoxWel legal team",
+    description: "Collecting approvals from the VoxWel legal team",
   },
   [LegalRequestStatus.APPROVED]: {
     label: "Approved",
@@ -898,7 +1190,7 @@ export const LegalRequestStatusConfig = {
     bgColor: "bg-green-100",
     textColor: "text-green-800",
     borderColor: "border-green-300",
-    description: "Request approved, disclosure in progress",
+    description: "Request approved; identity disclosures wait out a cooling-off period",
   },
   [LegalRequestStatus.REJECTED]: {
     label: "Rejected",
@@ -918,6 +1210,82 @@ export const LegalRequestStatusConfig = {
   },
 };
 
+// Default approval policy for identity disclosure requests, used until a
+// super admin saves one in legalApprovalPolicies/{companyId}. Approvers must
+// be distinct super admins other than the submitter; the cooling-off period
+// starts at the last approval.
+// Keep in sync with DEFAULT_POLICY in functions/services/legalApprovalService.js
+export const DEFAULT_LEGAL_APPROVAL_POLICY = {
+  requiredApprovals: 2,
+  coolingOffHours: 72,
+};
+
+// Bounds enforced when an approval policy is saved
+export const LEGAL_APPROVAL_POLICY_LIMITS = {
+  MIN_APPROVALS: 2,
+  MAX_APPROVALS: 5,
+  MIN_COOLING_OFF_HOURS: 24,
+  MAX_COOLING_OFF_HOURS: 720,
+};
+
+// Whether an approver allows the reporter to be told about an approved
+// identity disclosure. Any approver choosing WITHHOLD (e.g. under a gag
+// order) keeps the notice back.
+// Keep in sync with REPORTER_NOTICE in functions/services/legalApprovalService.js
+export const ReporterNotice = {
+  NOTIFY: "notify",
+  WITHHOLD: "withhold",
+};
+
+// Entries in a legal request's timeline
+// Keep in sync with REQUEST_EVENT in functions/services/legalApprovalService.js
+export const LegalRequestEvent = {
+  SUBMITTED: "submitted",
+  APPROVAL: "approval",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  REPORTER_NOTIFIED: "reporter_notified",
+  REPORTER_NOTICE_WITHHELD: "reporter_notice_withheld",
+  IDENTITY_DISCLOSED: "identity_disclosed",
+  FULFILLED: "fulfilled",
+};
+
+// Legal request timeline display configuration
+export const LegalRequestEventConfig = {
+  [LegalRequestEvent.SUBMITTED]: {
+    label: "Request submitted",
+    dotColor: "bg-gray-400",
+  },
+  [LegalRequestEvent.APPROVAL]: {
+    label: "Approval recorded",
+    dotColor: "bg-blue-500",
+  },
+  [LegalRequestEvent.APPROVED]: {
+    label: "Fully approved, cooling-off started",
+    dotColor: "bg-green-500",
+  },
+  [LegalRequestEvent.REJECTED]: {
+    label: "Request rejected",
+    dotColor: "bg-red-500",
+  },
+  [LegalRequestEvent.REPORTER_NOTIFIED]: {
+    label: "Reporter notified",
+    dotColor: "bg-teal-500",
+  },
+  [LegalRequestEvent.REPORTER_NOTICE_WITHHELD]: {
+    label: "Reporter notice withheld",
+    dotColor: "bg-amber-500",
+  },
+  [LegalRequestEvent.IDENTITY_DISCLOSED]: {
+    label: "Identity disclosed",
+    dotColor: "bg-purple-600",
+  },
+  [LegalRequestEvent.FULFILLED]: {
+    label: "Request fulfilled",
+    dotColor: "bg-slate-500",
+  },
+};
+
 // Legal disclosure method
 export const DisclosureMethod = {
   ENCRYPTED_EMAIL: "encrypted_email",
@@ -950,6 +1318,65 @@ export const DisclosureMethodConfig = {
   },
 };
 
+// Roles of the custodians holding shares of a company's Key Part B
+// Keep in sync with CUSTODIAN_ROLES in functions/services/keyCustodyService.js
+export const KeyCustodianRole = {
+  DPO: "dpo",
+  LEGAL_COUNSEL: "legal_counsel",
+  EXTERNAL_TRUSTEE: "external_trustee",
+  OTHER: "other",
+};
+
+// Key custodian role display configuration
+export const KeyCustodianRoleConfig = {
+  [KeyCustodianRole.DPO]: {
+    label: "Data Protection Officer",
+  },
+  [KeyCustodianRole.LEGAL_COUNSEL]: {
+    label: "Legal Counsel",
+  },
+  [KeyCustodianRole.EXTERNAL_TRUSTEE]: {
+    label: "External Trustee",
+  },
+  [KeyCustodianRole.OTHER]: {
+    label: "Other",
+  },
+};
+
+// Legal hold targets
+export const LegalHoldTargetType = {
+  POST: "post",
+  COMMENT: "comment",
+  THREAD: "thread",
+  USER: "user",
+};
+
+// Legal hold target display configuration
+export const LegalHoldTargetTypeConfig = {
+  [LegalHoldTargetType.POST]: {
+    label: "Post",
+    description: "The post, its comments and its anonymous thread",
+  },
+  [LegalHoldTargetType.COMMENT]: {
+    label: "Comment",
+    description: "A single comment",
+  },
+  [LegalHoldTargetType.THREAD]: {
+    label: "Anonymous Thread",
+    description: "An anonymous reporter thread (ID is the post ID)",
+  },
+  [LegalHoldTargetType.USER]: {
+    label: "User",
+    description: "The user and every post, comment and thread they wrote",
+  },
+};
+
+// Legal hold status
+export const LegalHoldStatus = {
+  ACTIVE: "active",
+  RELEASED: "released",
+};
+
 // ============================================
 // WCAG AA COMPLIANT COLOR SYSTEM
 // ============================================